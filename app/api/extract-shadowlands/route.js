@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { buildProxyUrl, getClientIp, getDefaultUrlSigner } from '../stream-proxy/urlSigner';
 
 /**
  * Shadowlands Direct Extraction API
@@ -389,6 +390,13 @@ export async function GET(request) {
     
     // Perform extraction
     const result = await extractShadowlandsChain(tmdbId, season, episode, requestId);
+
+    // Hand out a signed proxy URL; the stream proxy rejects unsigned requests
+    result.proxyUrl = buildProxyUrl(result.streamUrl, {
+      source: result.server,
+      signer: getDefaultUrlSigner(),
+      clientIp: getClientIp(request)
+    });
     
     // Return successful response
     return NextResponse.json(result);
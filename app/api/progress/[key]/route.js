@@ -0,0 +1,73 @@
+// Watch progress sync for a single title or episode (movie_<id> or tv_<id>_s<n>_e<n>)
+
+import { NextResponse } from 'next/server';
+import {
+  ProgressSyncError,
+  checkProgressQuota,
+  checkProgressRateLimit,
+  getProgressStore,
+  getSyncId,
+  toProgressErrorResponse,
+  validateProgressRecord
+} from '../progressSync';
+
+const errorResponse = (error) => {
+  const { body, status, headers } = toProgressErrorResponse(error);
+  return NextResponse.json(body, { status, headers });
+};
+
+export async function GET(request, { params }) {
+  try {
+    await checkProgressRateLimit(request);
+    const syncId = getSyncId(request);
+    const store = await getProgressStore();
+    const record = await store.getRecord(syncId, params.key);
+
+    if (!record) {
+      throw new ProgressSyncError('No progress stored for this key', 404);
+    }
+    return NextResponse.json({ success: true, record }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// PUT { updatedAt, entry } - answers with the record kept, which is newer when another device won
+export async function PUT(request, { params }) {
+  try {
+    await checkProgressRateLimit(request);
+    const syncId = getSyncId(request);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw new ProgressSyncError('Request body must be valid JSON');
+    }
+
+    const store = await getProgressStore();
+    const validRecord = validateProgressRecord(body, params.key);
+    await checkProgressQuota(store, syncId, [validRecord]);
+    const [record] = await store.applyRecords(syncId, [validRecord]);
+    return NextResponse.json({ success: true, record });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// DELETE ?updatedAt=<ISO date> - stores a tombstone so other devices remove the entry too
+export async function DELETE(request, { params }) {
+  try {
+    await checkProgressRateLimit(request);
+    const syncId = getSyncId(request);
+    const updatedAt = new URL(request.url).searchParams.get('updatedAt') || new Date().toISOString();
+
+    const store = await getProgressStore();
+    const tombstone = validateProgressRecord({ updatedAt, deleted: true }, params.key);
+    await checkProgressQuota(store, syncId, [tombstone]);
+    const [record] = await store.applyRecords(syncId, [tombstone]);
+    return NextResponse.json({ success: true, record });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Progress Sync Tests
+ * Tests sync code hashing, record validation, and the memory and SQLite
+ * stores: last write wins, tombstones and pulling by revision
+ */
+
+import {
+  PROGRESS_LIMITS,
+  ProgressSyncError,
+  checkProgressQuota,
+  checkProgressRateLimit,
+  getSyncId,
+  parseCursor,
+  validateProgressBatch,
+  validateProgressRecord
+} from '../progressSync';
+import { createMemoryProgressStore } from '../stores/memoryStore';
+import { createSqliteProgressStore } from '../stores/sqliteStore';
+
+const requestWithCode = (code) => ({
+  headers: new Map(code === undefined ? [] : [['X-Sync-Code', code]])
+});
+
+const record = (key, updatedAt, entry = { currentTime: 60, isCompleted: false }) => ({
+  key,
+  updatedAt,
+  deleted: false,
+  entry
+});
+
+const tombstone = (key, updatedAt) => ({ key, updatedAt, deleted: true, entry: null });
+
+describe('Progress sync requests', () => {
+  test('should link codes that differ only in case, spaces and dashes', () => {
+    const syncId = getSyncId(requestWithCode('K7DM-X2QA-9FHE-TW4N'));
+
+    expect(syncId).toMatch(/^[0-9a-f]{64}$/);
+    expect(getSyncId(requestWithCode('k7dm x2qa 9fhe tw4n'))).toBe(syncId);
+    expect(getSyncId(requestWithCode(encodeURIComponent('k7dmx2qa9fhetw4n')))).toBe(syncId);
+    expect(getSyncId(requestWithCode('k7dm-x2qa-9fhe-tw4m'))).not.toBe(syncId);
+  });
+
+  test('should require a sync code', () => {
+    expect(() => getSyncId(requestWithCode(undefined))).toThrow(expect.objectContaining({ status: 401 }));
+    expect(() => getSyncId(requestWithCode('short-code'))).toThrow(ProgressSyncError);
+  });
+
+  test('should validate records and batches', () => {
+    expect(validateProgressRecord(record('tv_1396_s1_e2', '2025-01-01T12:00:00Z'))).toEqual(
+      record('tv_1396_s1_e2', '2025-01-01T12:00:00.000Z')
+    );
+    expect(validateProgressRecord({ updatedAt: '2025-01-01T12:00:00.000Z', deleted: true, entry: { x: 1 } }, 'movie_27205'))
+      .toEqual(tombstone('movie_27205', '2025-01-01T12:00:00.000Z'));
+
+    expect(() => validateProgressRecord(record('unknown_1', '2025-01-01T12:00:00Z'))).toThrow('Invalid progress key');
+    expect(() => validateProgressRecord(record('movie_1', 'yesterday'))).toThrow('updatedAt');
+    expect(() => validateProgressRecord(record('movie_1', '2999-01-01T00:00:00Z'))).toThrow('future');
+    expect(() => validateProgressRecord({ key: 'movie_1', updatedAt: '2025-01-01T12:00:00Z' })).toThrow('needs an entry');
+    expect(() => validateProgressRecord(record('movie_1', '2025-01-01T12:00:00Z', { notes: 'x'.repeat(5000) })))
+      .toThrow('larger than');
+
+    expect(validateProgressBatch({
+      records: [record('movie_1', '2025-01-01T12:00:00Z'), record('unknown_2', '2025-01-01T12:00:00Z'), null]
+    })).toEqual({
+      records: [record('movie_1', '2025-01-01T12:00:00.000Z')],
+      rejected: [
+        { key: 'unknown_2', error: 'Invalid progress key: unknown_2' },
+        { key: null, error: 'Each record must be an object' }
+      ]
+    });
+    expect(() => validateProgressBatch({ records: [] })).toThrow('non-empty');
+    expect(() => validateProgressBatch({
+      records: Array.from({ length: PROGRESS_LIMITS.maxBatchSize + 1 }, (_, index) => record(`movie_${index}`, '2025-01-01T12:00:00Z'))
+    })).toThrow('At most');
+  });
+
+  test('should rate limit requests per client', async () => {
+    const request = { headers: new Map([['x-real-ip', '198.51.100.7']]) };
+    for (let count = 0; count < 120; count++) {
+      await checkProgressRateLimit(request);
+    }
+
+    const error = await checkProgressRateLimit(request).catch(thrown => thrown);
+    expect(error).toMatchObject({ status: 429, headers: { 'Retry-After': '60' } });
+    await expect(checkProgressRateLimit({ headers: new Map([['x-real-ip', '198.51.100.8']]) })).resolves.toMatchObject({ allowed: true });
+  });
+
+  test('should parse pull cursors', () => {
+    expect(parseCursor(null)).toBe(0);
+    expect(parseCursor('42')).toBe(42);
+    expect(() => parseCursor('-1')).toThrow(ProgressSyncError);
+    expect(() => parseCursor('abc')).toThrow(ProgressSyncError);
+  });
+});
+
+describe.each([
+  ['memory', () => createMemoryProgressStore()],
+  ['sqlite', () => createSqliteProgressStore({ filename: ':memory:' })]
+])('%s progress store', (name, createStore) => {
+  let store;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = await createStore();
+  });
+
+  afterEach(() => {
+    store.close?.();
+    console.log.mockRestore();
+  });
+
+  test('should keep the newest record for each key', async () => {
+    const older = record('movie_27205', '2025-01-01T12:00:00.000Z', { currentTime: 600 });
+    const newer = record('movie_27205', '2025-01-01T13:00:00.000Z', { currentTime: 300 });
+
+    expect(await store.applyRecords('a', [newer])).toEqual([newer]);
+    expect(await store.applyRecords('a', [older])).toEqual([newer]);
+    expect(await store.getRecord('a', 'movie_27205')).toEqual(newer);
+    expect(await store.getRecord('b', 'movie_27205')).toBeNull();
+  });
+
+  test('should break ties the same way every time', async () => {
+    const at = '2025-01-01T12:00:00.000Z';
+    const watching = record('movie_1', at, { currentTime: 300, isCompleted: false });
+    const completed = record('movie_1', at, { currentTime: 100, isCompleted: true });
+
+    await store.applyRecords('a', [completed]);
+    expect(await store.applyRecords('a', [watching])).toEqual([completed]);
+    expect(await store.applyRecords('a', [tombstone('movie_1', at)])).toEqual([tombstone('movie_1', at)]);
+  });
+
+  test('should pull changes after a cursor in pages', async () => {
+    await store.applyRecords('a', [
+      record('movie_1', '2025-01-01T12:00:00.000Z'),
+      record('movie_2', '2025-01-01T12:00:00.000Z'),
+      record('movie_3', '2025-01-01T12:00:00.000Z')
+    ]);
+    await store.applyRecords('b', [record('movie_4', '2025-01-01T12:00:00.000Z')]);
+
+    const first = await store.getRecords('a', { since: 0, limit: 2 });
+    expect(first.records.map(r => r.key)).toEqual(['movie_1', 'movie_2']);
+    expect(first.hasMore).toBe(true);
+
+    const second = await store.getRecords('a', { since: first.cursor, limit: 2 });
+    expect(second.records.map(r => r.key)).toEqual(['movie_3']);
+    expect(second.hasMore).toBe(false);
+
+    // Removing a title is a change like any other
+    await store.applyRecords('a', [tombstone('movie_1', '2025-01-02T12:00:00.000Z')]);
+    const third = await store.getRecords('a', { since: second.cursor });
+    expect(third.records).toEqual([tombstone('movie_1', '2025-01-02T12:00:00.000Z')]);
+
+    expect(await store.getRecords('a', { since: third.cursor })).toEqual({ records: [], cursor: third.cursor, hasMore: false });
+  });
+
+  test('should keep each sync code within its quota', async () => {
+    const limits = { ...PROGRESS_LIMITS };
+    Object.assign(PROGRESS_LIMITS, { maxRecordsPerSyncCode: 2, maxBytesPerSyncCode: 100 });
+
+    try {
+      await store.applyRecords('a', [record('movie_1', '2025-01-01T12:00:00.000Z'), tombstone('movie_2', '2025-01-01T12:00:00.000Z')]);
+      expect(await store.getUsage('a')).toEqual({ records: 2, bytes: 38 });
+
+      // Replacing stored keys is fine; a third key, or a larger entry, is not
+      await expect(checkProgressQuota(store, 'a', [record('movie_2', '2025-01-02T12:00:00.000Z')])).resolves.toBeUndefined();
+      await expect(checkProgressQuota(store, 'a', [record('movie_3', '2025-01-02T12:00:00.000Z')]))
+        .rejects.toMatchObject({ status: 413 });
+      await expect(checkProgressQuota(store, 'a', [record('movie_1', '2025-01-02T12:00:00.000Z', { notes: 'x'.repeat(100) })]))
+        .rejects.toThrow('sync code is full');
+      await expect(checkProgressQuota(store, 'b', [record('movie_3', '2025-01-02T12:00:00.000Z')])).resolves.toBeUndefined();
+    } finally {
+      Object.assign(PROGRESS_LIMITS, limits);
+    }
+  });
+
+  test('should delete everything stored for a sync code', async () => {
+    await store.applyRecords('a', [record('movie_1', '2025-01-01T12:00:00.000Z'), record('movie_2', '2025-01-01T12:00:00.000Z')]);
+    await store.applyRecords('b', [record('movie_1', '2025-01-01T12:00:00.000Z')]);
+
+    expect(await store.deleteAll('a')).toBe(2);
+    expect((await store.getRecords('a')).records).toEqual([]);
+    expect(await store.getRecord('b', 'movie_1')).not.toBeNull();
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Watch progress sync for /api/progress
+ *
+ * Devices are linked by an anonymous sync code (or passphrase) sent in the
+ * X-Sync-Code header; only a hash of it is stored, so the code is the one
+ * credential there is. Records use the browser's shape
+ * ({ key, updatedAt, deleted, entry }) and are merged with the same rule,
+ * resolveProgressConflict from watchProgressStorage: the newest updatedAt
+ * wins, and removals stay as tombstones so other devices hear about them.
+ *
+ * The store is pluggable. PROGRESS_STORE names one registered with
+ * registerProgressStore: "sqlite" (the default, a file at PROGRESS_DB_PATH)
+ * or "memory". A store implements:
+ *   getRecords(syncId, { since, limit }) -> { records, cursor, hasMore }
+ *   getRecord(syncId, key)               -> record or null
+ *   applyRecords(syncId, records)        -> records kept, one per input
+ *   getUsage(syncId)                     -> { records, bytes } stored
+ *   deleteAll(syncId)                    -> number of records removed
+ * Every change gets a revision number; clients pull with the last cursor
+ * they saw to get only what changed since.
+ *
+ * Anyone can make up a sync code, so requests are rate limited per client IP
+ * with the stream proxy's limiter (the "progress" policy) and each code has a
+ * quota of records and entry bytes.
+ */
+
+import { createHash } from 'crypto';
+import path from 'path';
+import {
+  SYNC_CODE_HEADER,
+  isValidSyncCode,
+  normalizeSyncCode
+} from '../../components/UniversalMediaPlayer/utils/watchProgressStorage';
+import { createRateLimiterFromEnv, getRateLimitHeaders } from '../stream-proxy/rateLimiter';
+import { getClientIp } from '../stream-proxy/urlSigner';
+import { createMemoryProgressStore } from './stores/memoryStore';
+import { createSqliteProgressStore } from './stores/sqliteStore';
+
+export const PROGRESS_LIMITS = {
+  maxBatchSize: 500,
+  maxPullSize: 1000,
+  maxEntryBytes: 4096,
+  maxRecordsPerSyncCode: 5000,          // Local storage keeps 1000 entries, plus tombstones
+  maxBytesPerSyncCode: 4 * 1024 * 1024,
+  maxClockSkewMs: 24 * 60 * 60 * 1000   // Later updatedAt values would win every conflict
+};
+
+const KEY_PATTERN = /^(movie_\d+|tv_\d+_s\d+_e\d+)$/;
+
+export class ProgressSyncError extends Error {
+  constructor(message, status = 400, headers = {}) {
+    super(message);
+    this.name = 'ProgressSyncError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+const getEntryBytes = (record) => (record?.entry ? JSON.stringify(record.entry).length : 0);
+
+/**
+ * Read store settings from the environment
+ */
+export function getProgressStoreConfigFromEnv(env = process.env) {
+  return {
+    store: env.PROGRESS_STORE || 'sqlite',
+    filename: env.PROGRESS_DB_PATH || path.join(process.cwd(), 'data', 'progress.sqlite')
+  };
+}
+
+/**
+ * ID the records of a sync code are stored under
+ * @throws {ProgressSyncError} 401 when the header is missing or too short
+ */
+export function getSyncId(request) {
+  let code = request.headers.get(SYNC_CODE_HEADER);
+  try {
+    code = decodeURIComponent(code || '');
+  } catch {
+    code = '';
+  }
+
+  if (!isValidSyncCode(code)) {
+    throw new ProgressSyncError('A sync code of at least 12 characters is required', 401);
+  }
+
+  return createHash('sha256').update(`flyx-progress:${normalizeSyncCode(code)}`).digest('hex');
+}
+
+/**
+ * Validate one record. Returns the normalized record or throws a 400
+ * ProgressSyncError.
+ * @param {string} key - Key from the URL, which takes precedence over the body's
+ */
+export function validateProgressRecord(record, key = record?.key) {
+  if (!record || typeof record !== 'object') {
+    throw new ProgressSyncError('Each record must be an object');
+  }
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new ProgressSyncError(`Invalid progress key: ${String(key).slice(0, 50)}`);
+  }
+
+  const updatedAt = new Date(record.updatedAt);
+  if (typeof record.updatedAt !== 'string' || isNaN(updatedAt.getTime())) {
+    throw new ProgressSyncError(`Record ${key} needs an ISO updatedAt`);
+  }
+  if (updatedAt.getTime() > Date.now() + PROGRESS_LIMITS.maxClockSkewMs) {
+    throw new ProgressSyncError(`Record ${key} is dated in the future; check the device clock`);
+  }
+
+  const deleted = record.deleted === true;
+  if (!deleted) {
+    if (!record.entry || typeof record.entry !== 'object' || Array.isArray(record.entry)) {
+      throw new ProgressSyncError(`Record ${key} needs an entry unless it is deleted`);
+    }
+    if (JSON.stringify(record.entry).length > PROGRESS_LIMITS.maxEntryBytes) {
+      throw new ProgressSyncError(`Record ${key} is larger than ${PROGRESS_LIMITS.maxEntryBytes} bytes`);
+    }
+  }
+
+  return {
+    key,
+    updatedAt: updatedAt.toISOString(),
+    deleted,
+    entry: deleted ? null : record.entry
+  };
+}
+
+/**
+ * Validate a batch upsert body ({ records: [...] }). Invalid records are
+ * rejected one by one rather than failing the batch, so one bad entry on a
+ * device can't keep the rest of its queue from syncing.
+ * @returns {{ records: Object[], rejected: { key: string|null, error: string }[] }}
+ * @throws {ProgressSyncError} 400 when the batch itself is malformed
+ */
+export function validateProgressBatch(body) {
+  const records = body?.records;
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new ProgressSyncError('records must be a non-empty array');
+  }
+  if (records.length > PROGRESS_LIMITS.maxBatchSize) {
+    throw new ProgressSyncError(`At most ${PROGRESS_LIMITS.maxBatchSize} records can be sent at once`);
+  }
+
+  const valid = [];
+  const rejected = [];
+  records.forEach(record => {
+    try {
+      valid.push(validateProgressRecord(record));
+    } catch (error) {
+      if (!(error instanceof ProgressSyncError)) throw error;
+      rejected.push({ key: typeof record?.key === 'string' ? record.key : null, error: error.message });
+    }
+  });
+
+  return { records: valid, rejected };
+}
+
+/**
+ * Check that storing `records` keeps the sync code within its quota. Records
+ * replace the ones stored under the same keys.
+ * @throws {ProgressSyncError} 413 when the records or bytes would exceed it
+ */
+export async function checkProgressQuota(store, syncId, records) {
+  const usage = await store.getUsage(syncId);
+  let recordCount = usage.records;
+  let bytes = usage.bytes;
+
+  const seen = new Set();
+  for (const record of records) {
+    if (seen.has(record.key)) continue;
+    seen.add(record.key);
+
+    const current = await store.getRecord(syncId, record.key);
+    if (current) {
+      recordCount -= 1;
+      bytes -= getEntryBytes(current);
+    }
+    recordCount += 1;
+    bytes += getEntryBytes(record);
+  }
+
+  if (recordCount > PROGRESS_LIMITS.maxRecordsPerSyncCode || bytes > PROGRESS_LIMITS.maxBytesPerSyncCode) {
+    throw new ProgressSyncError(
+      `This sync code is full (at most ${PROGRESS_LIMITS.maxRecordsPerSyncCode} records and ` +
+      `${PROGRESS_LIMITS.maxBytesPerSyncCode} bytes); remove some watch history to sync more`,
+      413
+    );
+  }
+}
+
+let rateLimiter = null;
+
+/**
+ * Count a progress request against the client's rate limit
+ * @throws {ProgressSyncError} 429, with Retry-After, when it is over the limit
+ */
+export async function checkProgressRateLimit(request) {
+  if (!rateLimiter) {
+    rateLimiter = createRateLimiterFromEnv();
+  }
+
+  const result = await rateLimiter.check({ clientId: getClientIp(request), route: 'progress' });
+  if (!result.allowed) {
+    throw new ProgressSyncError('Too many sync requests, try again later', 429, getRateLimitHeaders(result));
+  }
+  return result;
+}
+
+/**
+ * Parse the `since` cursor of a pull
+ */
+export function parseCursor(value) {
+  if (value == null || value === '') return 0;
+
+  const cursor = Number(value);
+  if (!Number.isInteger(cursor) || cursor < 0) {
+    throw new ProgressSyncError('since must be a revision number');
+  }
+  return cursor;
+}
+
+const storeFactories = new Map([
+  ['memory', createMemoryProgressStore],
+  ['sqlite', createSqliteProgressStore]
+]);
+
+let storePromise = null;
+
+/**
+ * Make a store available under PROGRESS_STORE=<name>
+ * @param {Function} factory - (config) => store or Promise of one
+ */
+export function registerProgressStore(name, factory) {
+  storeFactories.set(name, factory);
+}
+
+/**
+ * The store chosen by the environment, created on first use
+ */
+export function getProgressStore() {
+  if (!storePromise) {
+    const config = getProgressStoreConfigFromEnv();
+    const factory = storeFactories.get(config.store);
+    if (!factory) {
+      return Promise.reject(new ProgressSyncError(`Unknown progress store "${config.store}"`, 500));
+    }
+
+    storePromise = Promise.resolve().then(() => factory(config));
+    storePromise.catch(() => {
+      storePromise = null;   // Try again on the next request
+    });
+  }
+  return storePromise;
+}
+
+/**
+ * Forget the current store, e.g. after changing PROGRESS_STORE in tests
+ */
+export function resetProgressStore() {
+  storePromise = null;
+}
+
+/**
+ * JSON body, status and headers for an error thrown while handling a progress
+ * request. Errors that aren't ProgressSyncErrors become a generic 500.
+ */
+export function toProgressErrorResponse(error) {
+  if (!(error instanceof ProgressSyncError)) {
+    console.error('❌ Progress sync failed:', error);
+    return { status: 500, body: { success: false, error: 'Progress sync failed' }, headers: {} };
+  }
+
+  return { status: error.status, body: { success: false, error: error.message }, headers: error.headers };
+}
@@ -0,0 +1,77 @@
+// Watch progress sync: pull changes, batch upsert and remove everything
+// stored for a sync code (sent in the X-Sync-Code header)
+
+import { NextResponse } from 'next/server';
+import {
+  PROGRESS_LIMITS,
+  ProgressSyncError,
+  checkProgressQuota,
+  checkProgressRateLimit,
+  getProgressStore,
+  getSyncId,
+  parseCursor,
+  toProgressErrorResponse,
+  validateProgressBatch
+} from './progressSync';
+
+const errorResponse = (error) => {
+  const { body, status, headers } = toProgressErrorResponse(error);
+  return NextResponse.json(body, { status, headers });
+};
+
+// GET /api/progress?since=<cursor> - records changed after the cursor, oldest first
+export async function GET(request) {
+  try {
+    await checkProgressRateLimit(request);
+    const syncId = getSyncId(request);
+    const since = parseCursor(new URL(request.url).searchParams.get('since'));
+    const store = await getProgressStore();
+    const { records, cursor, hasMore } = await store.getRecords(syncId, { since, limit: PROGRESS_LIMITS.maxPullSize });
+
+    return NextResponse.json(
+      { success: true, records, cursor, hasMore },
+      { headers: { 'Cache-Control': 'no-store' } }
+    );
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// PUT /api/progress { records } - answers with the record kept for each valid
+// key, and the keys that were rejected with the reason
+export async function PUT(request) {
+  try {
+    await checkProgressRateLimit(request);
+    const syncId = getSyncId(request);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw new ProgressSyncError('Request body must be valid JSON');
+    }
+
+    const { records: valid, rejected } = validateProgressBatch(body);
+    const store = await getProgressStore();
+    await checkProgressQuota(store, syncId, valid);
+    const records = valid.length > 0 ? await store.applyRecords(syncId, valid) : [];
+    return NextResponse.json({ success: true, records, rejected });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// DELETE /api/progress - drop the server copy; devices keep theirs
+export async function DELETE(request) {
+  try {
+    await checkProgressRateLimit(request);
+    const syncId = getSyncId(request);
+    const store = await getProgressStore();
+    const deleted = await store.deleteAll(syncId);
+
+    console.log(`🗑️ Removed ${deleted} synced progress records`);
+    return NextResponse.json({ success: true, deleted });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * In-process progress store, for tests and deployments without a writable
+ * disk. Everything is lost when the server restarts.
+ */
+
+import { resolveProgressConflict } from '../../../components/UniversalMediaPlayer/utils/watchProgressStorage';
+
+export function createMemoryProgressStore() {
+  const syncSets = new Map();   // syncId -> Map(key -> { record, revision })
+  let revision = 0;
+
+  const getSyncSet = (syncId) => {
+    if (!syncSets.has(syncId)) {
+      syncSets.set(syncId, new Map());
+    }
+    return syncSets.get(syncId);
+  };
+
+  return {
+    async getRecords(syncId, { since = 0, limit = Infinity } = {}) {
+      const changed = [...(syncSets.get(syncId)?.values() || [])]
+        .filter(row => row.revision > since)
+        .sort((a, b) => a.revision - b.revision);
+      const page = changed.slice(0, limit);
+
+      return {
+        records: page.map(row => row.record),
+        cursor: page.length > 0 ? page[page.length - 1].revision : since,
+        hasMore: changed.length > page.length
+      };
+    },
+
+    async getRecord(syncId, key) {
+      return syncSets.get(syncId)?.get(key)?.record || null;
+    },
+
+    async applyRecords(syncId, records) {
+      const syncSet = getSyncSet(syncId);
+
+      return records.map(record => {
+        const current = syncSet.get(record.key)?.record || null;
+        const kept = resolveProgressConflict(current, record);
+        if (kept !== current) {
+          revision += 1;
+          syncSet.set(record.key, { record: kept, revision });
+        }
+        return kept;
+      });
+    },
+
+    async getUsage(syncId) {
+      const rows = [...(syncSets.get(syncId)?.values() || [])];
+      return {
+        records: rows.length,
+        bytes: rows.reduce((sum, row) => sum + (row.record.entry ? JSON.stringify(row.record.entry).length : 0), 0)
+      };
+    },
+
+    async deleteAll(syncId) {
+      const count = syncSets.get(syncId)?.size || 0;
+      syncSets.delete(syncId);
+      return count;
+    }
+  };
+}
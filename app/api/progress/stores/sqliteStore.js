@@ -0,0 +1,120 @@
+/**
+ * SQLite progress store (better-sqlite3), the default. One row per sync ID
+ * and key; `revision` comes from a counter shared by all rows, so pulls can
+ * ask for everything after a revision. Writes run in a transaction, which
+ * also keeps the counter consistent between server processes sharing the file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveProgressConflict } from '../../../components/UniversalMediaPlayer/utils/watchProgressStorage';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS watch_progress (
+    sync_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    deleted INTEGER NOT NULL DEFAULT 0,
+    entry TEXT,
+    revision INTEGER NOT NULL,
+    PRIMARY KEY (sync_id, key)
+  );
+  CREATE INDEX IF NOT EXISTS watch_progress_sync_revision ON watch_progress (sync_id, revision);
+  CREATE INDEX IF NOT EXISTS watch_progress_revision ON watch_progress (revision);
+`;
+
+const toRecord = (row) => (row ? {
+  key: row.key,
+  updatedAt: row.updated_at,
+  deleted: row.deleted === 1,
+  entry: row.entry ? JSON.parse(row.entry) : null
+} : null);
+
+/**
+ * @param {Object} config - { filename }, a path or ':memory:'
+ */
+export async function createSqliteProgressStore({ filename }) {
+  const { default: Database } = await import('better-sqlite3');
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    page: db.prepare(`
+      SELECT key, updated_at, deleted, entry, revision FROM watch_progress
+      WHERE sync_id = ? AND revision > ? ORDER BY revision LIMIT ?
+    `),
+    get: db.prepare('SELECT key, updated_at, deleted, entry FROM watch_progress WHERE sync_id = ? AND key = ?'),
+    nextRevision: db.prepare('SELECT COALESCE(MAX(revision), 0) + 1 AS revision FROM watch_progress'),
+    upsert: db.prepare(`
+      INSERT INTO watch_progress (sync_id, key, updated_at, deleted, entry, revision)
+      VALUES (@syncId, @key, @updatedAt, @deleted, @entry, @revision)
+      ON CONFLICT (sync_id, key) DO UPDATE SET
+        updated_at = excluded.updated_at,
+        deleted = excluded.deleted,
+        entry = excluded.entry,
+        revision = excluded.revision
+    `),
+    usage: db.prepare(`
+      SELECT COUNT(*) AS records, COALESCE(SUM(LENGTH(entry)), 0) AS bytes FROM watch_progress WHERE sync_id = ?
+    `),
+    deleteAll: db.prepare('DELETE FROM watch_progress WHERE sync_id = ?')
+  };
+
+  const applyRecords = db.transaction((syncId, records) => records.map(record => {
+    const current = toRecord(statements.get.get(syncId, record.key));
+    const kept = resolveProgressConflict(current, record);
+    if (kept !== current) {
+      statements.upsert.run({
+        syncId,
+        key: kept.key,
+        updatedAt: kept.updatedAt,
+        deleted: kept.deleted ? 1 : 0,
+        entry: kept.entry ? JSON.stringify(kept.entry) : null,
+        revision: statements.nextRevision.get().revision
+      });
+    }
+    return kept;
+  }));
+
+  console.log(`📂 Progress store opened: ${filename}`);
+
+  return {
+    async getRecords(syncId, { since = 0, limit = -1 } = {}) {
+      // One extra row tells whether there is another page
+      const rows = statements.page.all(syncId, since, limit > 0 ? limit + 1 : -1);
+      const page = limit > 0 ? rows.slice(0, limit) : rows;
+
+      return {
+        records: page.map(toRecord),
+        cursor: page.length > 0 ? page[page.length - 1].revision : since,
+        hasMore: rows.length > page.length
+      };
+    },
+
+    async getRecord(syncId, key) {
+      return toRecord(statements.get.get(syncId, key));
+    },
+
+    async applyRecords(syncId, records) {
+      return applyRecords(syncId, records);
+    },
+
+    async getUsage(syncId) {
+      return statements.usage.get(syncId);
+    },
+
+    async deleteAll(syncId) {
+      return statements.deleteAll.run(syncId).changes;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * DASH Manifest Rewriter Tests
+ * Tests hierarchical BaseURL resolution, SegmentTemplate placeholder
+ * preservation and SegmentList rewriting of MPD manifests
+ */
+
+import { URL as NodeURL } from 'url';
+import {
+  decodeXmlEntities,
+  isDashManifest,
+  proxySegmentTemplate,
+  rewriteDashManifest
+} from '../dashManifestRewriter';
+
+const MANIFEST_URL = 'https://cdn.example.com/dash/show/manifest.mpd?token=abc';
+const toProxyUrl = (url) => `https://flyx.test/api/stream-proxy?url=${encodeURIComponent(url)}`;
+const proxiedAttribute = (url) => toProxyUrl(url).replace(/&/g, '&amp;');
+const proxiedTemplate = (template) => toProxyUrl(template).replace(/%24(\w+(?:%25\d+d)?)%24/g, (m, id) => `$${decodeURIComponent(id)}$`);
+
+describe('DASH Manifest Rewriter', () => {
+  let originalURL;
+
+  beforeAll(() => {
+    // jest.setup.js replaces URL with a blob-only mock
+    originalURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+  });
+
+  describe('isDashManifest', () => {
+    test('should detect MPD URLs and content types', () => {
+      expect(isDashManifest('https://cdn.example.com/a/manifest.mpd')).toBe(true);
+      expect(isDashManifest('https://cdn.example.com/a/manifest.MPD?x=1')).toBe(true);
+      expect(isDashManifest('https://cdn.example.com/a/stream', 'application/dash+xml')).toBe(true);
+      expect(isDashManifest('https://cdn.example.com/a/index.m3u8', 'application/vnd.apple.mpegurl')).toBe(false);
+    });
+  });
+
+  describe('proxySegmentTemplate', () => {
+    test('should keep $Identifier$ placeholders literal', () => {
+      const template = 'https://cdn.example.com/dash/$RepresentationID$/seg-$Number%05d$.m4s';
+      const proxied = proxySegmentTemplate(template, toProxyUrl);
+
+      expect(proxied).toBe(
+        'https://flyx.test/api/stream-proxy?url=https%3A%2F%2Fcdn.example.com%2Fdash%2F$RepresentationID$%2Fseg-$Number%05d$.m4s'
+      );
+    });
+  });
+
+  describe('rewriteDashManifest', () => {
+    test('should resolve segment templates against the manifest URL without BaseURL', () => {
+      const manifest = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">',
+        '  <Period>',
+        '    <AdaptationSet mimeType="video/mp4">',
+        '      <SegmentTemplate initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/$Number$.m4s" startNumber="1"/>',
+        '      <Representation id="720p" bandwidth="2000000"/>',
+        '    </AdaptationSet>',
+        '  </Period>',
+        '</MPD>'
+      ].join('\n');
+
+      const { content, stats } = rewriteDashManifest(manifest, MANIFEST_URL, toProxyUrl);
+      const base = 'https://cdn.example.com/dash/show/';
+
+      expect(content).toContain(`initialization="${proxiedTemplate(`${base}$RepresentationID$/init.mp4`)}"`);
+      expect(content).toContain(`media="${proxiedTemplate(`${base}$RepresentationID$/$Number$.m4s`)}"`);
+      expect(content).toContain('startNumber="1"');
+      expect(content.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+      expect(stats).toMatchObject({ baseUrls: 0, attributes: 2, failures: [] });
+    });
+
+    test('should resolve BaseURL hierarchically through Period, AdaptationSet and Representation', () => {
+      const manifest = [
+        '<MPD type="static">',
+        '  <BaseURL>https://edge.example.net/content/</BaseURL>',
+        '  <Period>',
+        '    <BaseURL>period-1/</BaseURL>',
+        '    <AdaptationSet mimeType="video/mp4">',
+        '      <BaseURL>video/</BaseURL>',
+        '      <Representation id="1080p" bandwidth="5000000">',
+        '        <BaseURL>1080/</BaseURL>',
+        '        <SegmentList>',
+        '          <Initialization sourceURL="init.mp4"/>',
+        '          <SegmentURL media="seg-1.m4s"/>',
+        '        </SegmentList>',
+        '      </Representation>',
+        '      <Representation id="480p" bandwidth="900000">',
+        '        <SegmentList>',
+        '          <SegmentURL media="480/seg-1.m4s"/>',
+        '        </SegmentList>',
+        '      </Representation>',
+        '    </AdaptationSet>',
+        '  </Period>',
+        '</MPD>'
+      ].join('\n');
+
+      const { content, stats } = rewriteDashManifest(manifest, MANIFEST_URL, toProxyUrl);
+      const video = 'https://edge.example.net/content/period-1/video/';
+
+      expect(content).toContain(`<BaseURL>${proxiedAttribute('https://edge.example.net/content/')}</BaseURL>`);
+      expect(content).toContain(`<BaseURL>${proxiedAttribute('https://edge.example.net/content/period-1/')}</BaseURL>`);
+      expect(content).toContain(`<BaseURL>${proxiedAttribute(video)}</BaseURL>`);
+      expect(content).toContain(`<BaseURL>${proxiedAttribute(`${video}1080/`)}</BaseURL>`);
+      expect(content).toContain(`sourceURL="${proxiedAttribute(`${video}1080/init.mp4`)}"`);
+      expect(content).toContain(`media="${proxiedAttribute(`${video}1080/seg-1.m4s`)}"`);
+      // Sibling representation falls back to the AdaptationSet base
+      expect(content).toContain(`media="${proxiedAttribute(`${video}480/seg-1.m4s`)}"`);
+      expect(stats).toMatchObject({ baseUrls: 4, attributes: 3, failures: [] });
+    });
+
+    test('should decode and re-escape XML entities in URLs', () => {
+      const manifest = [
+        '<MPD type="static">',
+        '  <BaseURL>https://edge.example.net/v/?sig=a&amp;exp=1/</BaseURL>',
+        '  <Period><AdaptationSet>',
+        '    <SegmentTemplate media="chunk-$Number$.m4s?auth=x&amp;y=2"/>',
+        '  </AdaptationSet></Period>',
+        '</MPD>'
+      ].join('\n');
+
+      const { content } = rewriteDashManifest(manifest, MANIFEST_URL, toProxyUrl);
+
+      expect(content).not.toMatch(/&(?!amp;)/);
+      const mediaValue = decodeXmlEntities(content.match(/media="([^"]*)"/)[1]);
+      const targetUrl = decodeURIComponent(mediaValue.split('url=')[1]);
+      expect(targetUrl).toBe('https://edge.example.net/v/chunk-$Number$.m4s?auth=x&y=2');
+    });
+
+    test('should leave comments, non-http URLs and unrelated attributes alone', () => {
+      const manifest = [
+        '<MPD type="dynamic" availabilityStartTime="2024-01-01T00:00:00Z">',
+        '  <!-- <BaseURL>ignored/</BaseURL> -->',
+        '  <Period id="p0">',
+        '    <AdaptationSet>',
+        '      <SegmentTemplate media="data:video/mp4;base64,AAAA" timescale="90000"/>',
+        '    </AdaptationSet>',
+        '  </Period>',
+        '</MPD>'
+      ].join('\n');
+
+      const { content, stats } = rewriteDashManifest(manifest, MANIFEST_URL, toProxyUrl);
+
+      expect(content).toBe(manifest);
+      expect(stats).toMatchObject({ baseUrls: 0, attributes: 0 });
+    });
+  });
+});
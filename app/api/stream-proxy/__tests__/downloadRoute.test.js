@@ -0,0 +1,79 @@
+/**
+ * Download Route Tests
+ * Tests that upstream failures while building the download plan are answered
+ * with a CORS-enabled 502 and reported to progress subscribers
+ */
+
+import { URL as NodeURL } from 'url';
+import { fetchWithHeaderFallback } from '../upstreamFetch';
+import { getDownloadProgress } from '../hlsDownloader';
+
+const mockNextResponse = {
+  NextResponse: Object.assign(
+    jest.fn((body, options = {}) => ({ body, status: options.status, headers: options.headers })),
+    { json: jest.fn((body, options = {}) => ({ body, status: options.status, headers: options.headers })) }
+  )
+};
+
+jest.mock('next/server', () => mockNextResponse);
+jest.mock('../upstreamFetch', () => ({ fetchWithHeaderFallback: jest.fn() }));
+
+const { GET, HEAD } = require('../download/route');
+
+const createRequest = (params) => ({
+  url: `https://flyx.example/api/stream-proxy/download?${new URLSearchParams(params).toString()}`,
+  headers: { get: (name) => (name === 'x-real-ip' ? '203.0.113.9' : null) }
+});
+
+describe('Download route', () => {
+  let originalURL;
+  let originalTimeout;
+
+  beforeAll(() => {
+    originalURL = global.URL;
+    global.URL = NodeURL;
+    // jsdom has no AbortSignal.timeout; the upstream fetch is mocked anyway
+    originalTimeout = AbortSignal.timeout;
+    AbortSignal.timeout = () => new AbortController().signal;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+    AbortSignal.timeout = originalTimeout;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fetchWithHeaderFallback.mockReset();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should answer 502 and report the error when the upstream fetch rejects', async () => {
+    fetchWithHeaderFallback.mockRejectedValue(new TypeError('fetch failed'));
+
+    const response = await GET(createRequest({ url: 'https://cdn.example.com/hls/rejects.m3u8', id: 'dl-rejects' }));
+
+    expect(response.status).toBe(502);
+    expect(response.body).toMatchObject({ success: false, error: 'Failed to fetch stream: fetch failed' });
+    expect(response.headers).toMatchObject({ 'Access-Control-Allow-Origin': '*', 'X-Download-Id': 'dl-rejects' });
+    expect(getDownloadProgress('dl-rejects')).toMatchObject({ phase: 'error', error: 'Failed to fetch stream: fetch failed' });
+  });
+
+  test('should answer HEAD requests the same way', async () => {
+    fetchWithHeaderFallback.mockRejectedValue(new Error('The operation was aborted due to timeout'));
+
+    const response = await HEAD(createRequest({ url: 'https://cdn.example.com/hls/times-out.m3u8', id: 'dl-timeout' }));
+
+    expect(fetchWithHeaderFallback).toHaveBeenCalled();
+    expect(response.status).toBe(502);
+    expect(response.body).toBeNull();
+    expect(getDownloadProgress('dl-timeout').phase).toBe('error');
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * HLS Downloader Tests
+ * Tests variant selection, segment sizing (including AES-128 padding),
+ * ranged streaming of the concatenated file and progress tracking
+ */
+
+import crypto from 'crypto';
+import { URL as NodeURL } from 'url';
+import {
+  buildContentDisposition,
+  buildDownloadPlan,
+  getSegmentIv,
+  selectVariant,
+  streamDownload,
+  subscribeToDownloadProgress,
+  updateDownloadProgress
+} from '../hlsDownloader';
+import { parseMasterPlaylist } from '../playlistInspector';
+
+const BASE_URL = 'https://cdn.example.com/hls/episode';
+const KEY = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+
+const mediaPlaylist = (lines, { live = false } = {}) => [
+  '#EXTM3U',
+  '#EXT-X-TARGETDURATION:6',
+  '#EXT-X-MEDIA-SEQUENCE:7',
+  ...lines,
+  ...(live ? [] : ['#EXT-X-ENDLIST'])
+].join('\n');
+
+function createResponse(status, body = Buffer.alloc(0), headers = {}) {
+  const data = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => lowerHeaders[name.toLowerCase()] ?? null },
+    text: async () => data.toString('utf8'),
+    arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+    body: { cancel: jest.fn() }
+  };
+}
+
+/**
+ * Fake CDN serving `files` (url -> Buffer|string) with HEAD and single-range support
+ */
+function createCdn(files, { headSupported = true } = {}) {
+  const fetchUrl = jest.fn(async (url, { method = 'GET', range = null } = {}) => {
+    const file = files[url];
+    if (file === undefined) return createResponse(404);
+
+    const data = Buffer.isBuffer(file) ? file : Buffer.from(file);
+    if (method === 'HEAD') {
+      return headSupported ? createResponse(200, Buffer.alloc(0), { 'Content-Length': data.length }) : createResponse(405);
+    }
+    if (range) {
+      const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(range);
+      const slice = data.subarray(parseInt(start, 10), parseInt(end, 10) + 1);
+      return createResponse(206, slice, { 'Content-Range': `bytes ${start}-${end}/${data.length}` });
+    }
+    return createResponse(200, data, { 'Content-Length': data.length });
+  });
+  return fetchUrl;
+}
+
+async function collect(generator) {
+  const chunks = [];
+  for await (const chunk of generator) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+const segmentBytes = (label, length) => Buffer.alloc(length, label);
+
+describe('HLS Downloader', () => {
+  let originalURL;
+
+  beforeAll(() => {
+    // jest.setup.js replaces URL with a blob-only mock
+    originalURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+  });
+
+  describe('selectVariant', () => {
+    // Parsed lazily: URL resolution needs the Node URL installed in beforeAll
+    const parseMaster = () => parseMasterPlaylist([
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",URI="audio.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=8000000,RESOLUTION=1920x1080,AUDIO="aud"',
+      '1080-split.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080',
+      '1080.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+      '360.m3u8'
+    ].join('\n'), `${BASE_URL}/master.m3u8`);
+
+    test('should pick by quality, height or index and skip split audio automatically', () => {
+      const master = parseMaster();
+      expect(selectVariant(master, 'best').variant.uri).toBe(`${BASE_URL}/1080.m3u8`);
+      expect(selectVariant(master, 'worst').variant.uri).toBe(`${BASE_URL}/360.m3u8`);
+      expect(selectVariant(master, '360p').variant.uri).toBe(`${BASE_URL}/360.m3u8`);
+      expect(selectVariant(master, '2').variant.uri).toBe(`${BASE_URL}/360.m3u8`);
+      expect(selectVariant(master, '1080p').variant.uri).toBe(`${BASE_URL}/1080.m3u8`);
+    });
+
+    test('should reject unknown variants and explicit split-audio variants', () => {
+      const master = parseMaster();
+      expect(selectVariant(master, '720p')).toEqual({ success: false, status: 400, error: 'Unknown variant "720p"' });
+      expect(selectVariant(master, '0')).toMatchObject({ success: false, status: 422 });
+    });
+  });
+
+  describe('buildDownloadPlan', () => {
+    test('should size MPEG-TS segments and fall back to ranged GETs without HEAD', async () => {
+      const fetchUrl = createCdn({
+        [`${BASE_URL}/master.m3u8`]: '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1000,RESOLUTION=640x360\n360/index.m3u8\n',
+        [`${BASE_URL}/360/index.m3u8`]: mediaPlaylist(['#EXTINF:6,', 'a.ts', '#EXTINF:4,', 'b.ts']),
+        [`${BASE_URL}/360/a.ts`]: segmentBytes('a', 188 * 3),
+        [`${BASE_URL}/360/b.ts`]: segmentBytes('b', 188 * 2)
+      }, { headSupported: false });
+      const onProgress = jest.fn();
+
+      const { success, plan } = await buildDownloadPlan(`${BASE_URL}/master.m3u8`, fetchUrl, { onProgress });
+
+      expect(success).toBe(true);
+      expect(plan).toMatchObject({
+        playlistUrl: `${BASE_URL}/360/index.m3u8`,
+        format: 'ts',
+        contentType: 'video/mp2t',
+        extension: 'ts',
+        totalBytes: 188 * 5,
+        totalDuration: 10,
+        variant: { bandwidth: 1000, resolution: { width: 640, height: 360 } }
+      });
+      expect(plan.parts.map(part => part.size)).toEqual([564, 376]);
+      expect(plan.etag).toMatch(/^"[\w-]+"$/);
+      expect(onProgress).toHaveBeenLastCalledWith({ partsSized: 2, totalParts: 2 });
+    });
+
+    test('should put the fMP4 init segment first and use playlist byte ranges', async () => {
+      const fetchUrl = createCdn({
+        [`${BASE_URL}/index.m3u8`]: mediaPlaylist([
+          '#EXT-X-MAP:URI="video.mp4",BYTERANGE="100@0"',
+          '#EXTINF:6,',
+          '#EXT-X-BYTERANGE:300@100',
+          'video.mp4',
+          '#EXTINF:6,',
+          '#EXT-X-BYTERANGE:200',
+          'video.mp4'
+        ]),
+        [`${BASE_URL}/video.mp4`]: Buffer.concat([segmentBytes('i', 100), segmentBytes('1', 300), segmentBytes('2', 200)])
+      });
+
+      const { plan } = await buildDownloadPlan(`${BASE_URL}/index.m3u8`, fetchUrl);
+
+      expect(plan.format).toBe('mp4');
+      expect(plan.parts.map(part => [part.init || false, part.byteRange])).toEqual([
+        [true, { length: 100, offset: 0 }],
+        [false, { length: 300, offset: 100 }],
+        [false, { length: 200, offset: 400 }]
+      ]);
+      expect(fetchUrl.mock.calls.every(([, options]) => options?.method !== 'HEAD')).toBe(true);
+
+      const file = await collect(streamDownload(plan, fetchUrl));
+      expect(file.equals(Buffer.concat([segmentBytes('i', 100), segmentBytes('1', 300), segmentBytes('2', 200)]))).toBe(true);
+    });
+
+    test('should refuse live, DRM and unreachable playlists', async () => {
+      const fetchUrl = createCdn({
+        [`${BASE_URL}/live.m3u8`]: mediaPlaylist(['#EXTINF:6,', 'a.ts'], { live: true }),
+        [`${BASE_URL}/drm.m3u8`]: mediaPlaylist(['#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://k"', '#EXTINF:6,', 'a.ts']),
+        [`${BASE_URL}/page.m3u8`]: '<html></html>'
+      });
+
+      expect(await buildDownloadPlan(`${BASE_URL}/live.m3u8`, fetchUrl)).toMatchObject({ status: 422, error: 'Live streams cannot be downloaded' });
+      expect(await buildDownloadPlan(`${BASE_URL}/drm.m3u8`, fetchUrl)).toMatchObject({ status: 422, error: 'SAMPLE-AES encrypted streams cannot be downloaded' });
+      expect(await buildDownloadPlan(`${BASE_URL}/page.m3u8`, fetchUrl)).toMatchObject({ status: 422, error: 'Not an HLS playlist' });
+      expect(await buildDownloadPlan(`${BASE_URL}/missing.m3u8`, fetchUrl)).toMatchObject({ status: 502 });
+    });
+  });
+
+  describe('AES-128 streams', () => {
+    const encrypt = (data, iv) => {
+      const cipher = crypto.createCipheriv('aes-128-cbc', KEY, iv);
+      return Buffer.concat([cipher.update(data), cipher.final()]);
+    };
+    const plainA = crypto.randomBytes(1000);
+    const plainB = crypto.randomBytes(10);
+    const explicitIv = Buffer.from('0102030405060708090a0b0c0d0e0f10', 'hex');
+
+    function createEncryptedCdn() {
+      return createCdn({
+        [`${BASE_URL}/enc.m3u8`]: mediaPlaylist([
+          '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+          '#EXTINF:6,',
+          'a.ts',
+          '#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x0102030405060708090a0b0c0d0e0f10',
+          '#EXTINF:6,',
+          'b.ts'
+        ]),
+        [`${BASE_URL}/key.bin`]: KEY,
+        // Without an IV attribute the media sequence number (7) is the IV
+        [`${BASE_URL}/a.ts`]: encrypt(plainA, getSegmentIv({ iv: null }, 7)),
+        [`${BASE_URL}/b.ts`]: encrypt(plainB, explicitIv)
+      });
+    }
+
+    test('should size segments by their decrypted length and decrypt while streaming', async () => {
+      const fetchUrl = createEncryptedCdn();
+      const { plan } = await buildDownloadPlan(`${BASE_URL}/enc.m3u8`, fetchUrl);
+
+      expect(plan.parts.map(part => part.size)).toEqual([1000, 10]);
+      expect(plan.totalBytes).toBe(1010);
+      expect(fetchUrl.mock.calls.filter(([url]) => url.endsWith('key.bin'))).toHaveLength(1);
+
+      const file = await collect(streamDownload(plan, fetchUrl));
+      expect(file.equals(Buffer.concat([plainA, plainB]))).toBe(true);
+    });
+
+    test('should serve byte ranges that span segments', async () => {
+      const fetchUrl = createEncryptedCdn();
+      const { plan } = await buildDownloadPlan(`${BASE_URL}/enc.m3u8`, fetchUrl);
+      const onProgress = jest.fn();
+
+      const slice = await collect(streamDownload(plan, fetchUrl, { start: 995, end: 1003, onProgress }));
+
+      expect(slice.equals(Buffer.concat([plainA, plainB]).subarray(995, 1004))).toBe(true);
+      expect(onProgress).toHaveBeenLastCalledWith({ partsCompleted: 2, totalParts: 2, bytesSent: 9 });
+    });
+  });
+
+  test('should fail when a segment no longer matches its planned size', async () => {
+    const files = {
+      [`${BASE_URL}/index.m3u8`]: mediaPlaylist(['#EXTINF:6,', 'a.ts']),
+      [`${BASE_URL}/a.ts`]: segmentBytes('a', 376)
+    };
+    const fetchUrl = createCdn(files);
+    const { plan } = await buildDownloadPlan(`${BASE_URL}/index.m3u8`, fetchUrl);
+
+    files[`${BASE_URL}/a.ts`] = segmentBytes('a', 188);
+
+    await expect(collect(streamDownload(plan, fetchUrl))).rejects.toThrow('Segment 1 size changed');
+  });
+
+  test('should build attachment headers with an ASCII fallback name', () => {
+    expect(buildContentDisposition('Shōgun S01E02: "Servants"', 'ts'))
+      .toBe('attachment; filename="Shogun S01E02 Servants.ts"; filename*=UTF-8\'\'Sh%C5%8Dgun%20S01E02%20Servants.ts');
+    expect(buildContentDisposition('movie.mp4', 'mp4')).toBe('attachment; filename="movie.mp4"; filename*=UTF-8\'\'movie.mp4');
+    expect(buildContentDisposition('', 'ts')).toBe('attachment; filename="video.ts"; filename*=UTF-8\'\'video.ts');
+  });
+
+  test('should publish progress to subscribers', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToDownloadProgress('test-download', listener);
+
+    updateDownloadProgress('test-download', { phase: 'downloading', totalBytes: 2000, rangeStart: 500, bytesSent: 500 });
+    unsubscribe();
+    updateDownloadProgress('test-download', { phase: 'complete', bytesSent: 1500 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ downloadId: 'test-download', phase: 'downloading', percent: 50 }));
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Playlist Inspector Tests
+ * Tests master/media playlist parsing and the health report built from
+ * fetched variants and probed segments
+ */
+
+import { URL as NodeURL } from 'url';
+import {
+  inspectPlaylist,
+  isMasterPlaylist,
+  parseMasterPlaylist,
+  parseMediaPlaylist
+} from '../playlistInspector';
+
+const MASTER_URL = 'https://cdn.example.com/hls/show/master.m3u8';
+
+const MASTER_PLAYLIST = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:6',
+  '#EXT-X-INDEPENDENT-SEGMENTS',
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="audio/en.m3u8"',
+  '#EXT-X-STREAM-INF:BANDWIDTH=5000000,AVERAGE-BANDWIDTH=4500000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2",FRAME-RATE=23.976,AUDIO="aud"',
+  '1080/index.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=1500000,RESOLUTION=854x480,CODECS="avc1.4d401e,mp4a.40.2"',
+  'https://other.example.com/480/index.m3u8',
+  '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=200000,RESOLUTION=1920x1080,URI="1080/iframes.m3u8"'
+].join('\n');
+
+const mediaPlaylist = (segments, extraHeader = []) => [
+  '#EXTM3U',
+  '#EXT-X-TARGETDURATION:6',
+  '#EXT-X-MEDIA-SEQUENCE:100',
+  '#EXT-X-PLAYLIST-TYPE:VOD',
+  ...extraHeader,
+  ...segments,
+  '#EXT-X-ENDLIST'
+].join('\n');
+
+function createResponse(status, body = '', headers = {}) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => lowerHeaders[name.toLowerCase()] ?? null },
+    text: async () => body,
+    body: { cancel: jest.fn() }
+  };
+}
+
+// Fetcher backed by a url -> response (or Error) map
+function createFetcher(routes) {
+  const calls = [];
+  const fetchUrl = jest.fn(async (url, options) => {
+    calls.push({ url, options });
+    const route = routes[url];
+    if (route instanceof Error) throw route;
+    return route ? route() : createResponse(404);
+  });
+  return { fetchUrl, calls };
+}
+
+describe('Playlist Inspector', () => {
+  let originalURL;
+
+  beforeAll(() => {
+    // jest.setup.js replaces URL with a blob-only mock
+    originalURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+  });
+
+  describe('parseMasterPlaylist', () => {
+    test('should parse variants, renditions and I-frame playlists', () => {
+      expect(isMasterPlaylist(MASTER_PLAYLIST)).toBe(true);
+
+      const master = parseMasterPlaylist(MASTER_PLAYLIST, MASTER_URL);
+
+      expect(master.version).toBe(6);
+      expect(master.independentSegments).toBe(true);
+      expect(master.variants).toHaveLength(2);
+      expect(master.variants[0]).toEqual({
+        uri: 'https://cdn.example.com/hls/show/1080/index.m3u8',
+        bandwidth: 5000000,
+        averageBandwidth: 4500000,
+        resolution: { width: 1920, height: 1080 },
+        codecs: ['avc1.640028', 'mp4a.40.2'],
+        frameRate: 23.976,
+        audio: 'aud',
+        subtitles: null
+      });
+      expect(master.variants[1].uri).toBe('https://other.example.com/480/index.m3u8');
+      expect(master.renditions[0]).toMatchObject({
+        type: 'AUDIO',
+        groupId: 'aud',
+        language: 'en',
+        default: true,
+        uri: 'https://cdn.example.com/hls/show/audio/en.m3u8'
+      });
+      expect(master.iFramePlaylists[0].uri).toBe('https://cdn.example.com/hls/show/1080/iframes.m3u8');
+    });
+  });
+
+  describe('parseMediaPlaylist', () => {
+    test('should track sequences, discontinuities, encryption and duration', () => {
+      const content = mediaPlaylist([
+        '#EXT-X-MAP:URI="init.mp4"',
+        '#EXTINF:6.006,',
+        'seg100.m4s',
+        '#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x1234',
+        '#EXTINF:6.006,',
+        'seg101.m4s',
+        '#EXT-X-DISCONTINUITY',
+        '#EXT-X-KEY:METHOD=NONE',
+        '#EXTINF:4.5,',
+        'ad/seg0.ts'
+      ]);
+
+      const media = parseMediaPlaylist(content, 'https://cdn.example.com/hls/show/1080/index.m3u8');
+
+      expect(media.targetDuration).toBe(6);
+      expect(media.playlistType).toBe('VOD');
+      expect(media.endList).toBe(true);
+      expect(media.initSegment).toBe('https://cdn.example.com/hls/show/1080/init.mp4');
+      expect(media.segments.map(segment => segment.sequence)).toEqual([100, 101, 102]);
+      expect(media.segments.map(segment => segment.encrypted)).toEqual([false, true, false]);
+      expect(media.segments[2].uri).toBe('https://cdn.example.com/hls/show/1080/ad/seg0.ts');
+      expect(media.totalDuration).toBe(16.512);
+      expect(media.discontinuities).toEqual({ count: 1, sequences: [102] });
+      expect(media.encryption).toEqual({ encrypted: true, methods: ['AES-128'], keyCount: 1, keyFormats: ['identity'] });
+    });
+  });
+
+  describe('inspectPlaylist', () => {
+    const segments = ['#EXTINF:6,', 'a.ts', '#EXTINF:6,', 'b.ts', '#EXTINF:6,', 'c.ts', '#EXTINF:6,', 'd.ts'];
+    const segmentResponse = () => createResponse(206, '', { 'Content-Type': 'video/mp2t', 'Content-Length': '1024' });
+
+    test('should report a healthy master playlist and probe only the first segments', async () => {
+      const { fetchUrl, calls } = createFetcher({
+        [MASTER_URL]: () => createResponse(200, MASTER_PLAYLIST, { 'Content-Type': 'application/vnd.apple.mpegurl' }),
+        'https://cdn.example.com/hls/show/1080/index.m3u8': () => createResponse(200, mediaPlaylist(segments)),
+        'https://other.example.com/480/index.m3u8': () => createResponse(200, mediaPlaylist(segments)),
+        'https://cdn.example.com/hls/show/1080/a.ts': segmentResponse,
+        'https://cdn.example.com/hls/show/1080/b.ts': segmentResponse,
+        'https://other.example.com/480/a.ts': segmentResponse,
+        'https://other.example.com/480/b.ts': segmentResponse
+      });
+
+      const report = await inspectPlaylist(MASTER_URL, fetchUrl, { segmentsPerVariant: 2 });
+
+      expect(report.type).toBe('master');
+      expect(report.master).toMatchObject({ ok: true, status: 200, version: 6, variantCount: 2 });
+      expect(report.variants).toHaveLength(2);
+      expect(report.variants[0].playlist).toMatchObject({ segmentCount: 4, totalDuration: 24, mediaSequence: 100 });
+      expect(report.variants[0].segments.map(segment => segment.status)).toEqual([206, 206]);
+      expect(report.variants[0].missingSegments).toEqual([]);
+      expect(report.summary).toEqual({ healthy: true, issues: [] });
+
+      const probes = calls.filter(call => call.url.endsWith('.ts'));
+      expect(probes).toHaveLength(4);
+      expect(probes.every(call => call.options.range === 'bytes=0-1023')).toBe(true);
+    });
+
+    test('should flag missing segments, error pages and unavailable variants', async () => {
+      const { fetchUrl } = createFetcher({
+        [MASTER_URL]: () => createResponse(200, MASTER_PLAYLIST),
+        'https://cdn.example.com/hls/show/1080/index.m3u8': () => createResponse(200, mediaPlaylist(segments)),
+        'https://other.example.com/480/index.m3u8': () => createResponse(403),
+        'https://cdn.example.com/hls/show/1080/a.ts': segmentResponse,
+        'https://cdn.example.com/hls/show/1080/b.ts': () => createResponse(200, '', { 'Content-Type': 'text/html; charset=utf-8' }),
+        'https://cdn.example.com/hls/show/1080/c.ts': new Error('socket hang up')
+      });
+
+      const report = await inspectPlaylist(MASTER_URL, fetchUrl);
+
+      const [hd, sd] = report.variants;
+      expect(hd.missingSegments).toEqual([101, 102]);
+      expect(hd.segments[1].errorPage).toBe(true);
+      expect(hd.segments[2]).toMatchObject({ ok: false, status: null, error: 'socket hang up' });
+      expect(sd.playlist.error).toBe('HTTP 403');
+      expect(report.summary.healthy).toBe(false);
+      expect(report.summary.issues).toEqual([
+        '1080p: 2 of 3 probed segments failed',
+        '480p: media playlist unavailable (HTTP 403)'
+      ]);
+    });
+
+    test('should inspect a media playlist directly without refetching it', async () => {
+      const mediaUrl = 'https://cdn.example.com/hls/show/1080/index.m3u8';
+      const { fetchUrl } = createFetcher({
+        [mediaUrl]: () => createResponse(200, mediaPlaylist(segments, ['#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key"']))
+      });
+
+      const report = await inspectPlaylist(mediaUrl, fetchUrl, { segmentsPerVariant: 0 });
+
+      expect(report.type).toBe('media');
+      expect(fetchUrl).toHaveBeenCalledTimes(1);
+      expect(report.variants[0].playlist.encryption.methods).toEqual(['SAMPLE-AES']);
+      expect(report.summary.issues).toEqual(['variant 1: uses SAMPLE-AES encryption, which may need DRM support']);
+    });
+
+    test('should report non-playlist responses and cap the number of variants', async () => {
+      const html = createFetcher({ [MASTER_URL]: () => createResponse(200, '<html>blocked</html>') });
+      const htmlReport = await inspectPlaylist(MASTER_URL, html.fetchUrl);
+
+      expect(htmlReport.type).toBeNull();
+      expect(htmlReport.summary).toEqual({ healthy: false, issues: ['Playlist request failed: Not an HLS playlist'] });
+
+      const capped = createFetcher({ [MASTER_URL]: () => createResponse(200, MASTER_PLAYLIST) });
+      const cappedReport = await inspectPlaylist(MASTER_URL, capped.fetchUrl, { maxVariants: 1, segmentsPerVariant: 0 });
+
+      expect(cappedReport.variants).toHaveLength(1);
+      expect(cappedReport.skippedVariants).toBe(1);
+      expect(cappedReport.summary.issues).toContain('1 variants not inspected (limit 1)');
+    });
+  });
+});
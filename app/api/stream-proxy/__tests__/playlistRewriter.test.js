@@ -0,0 +1,169 @@
+/**
+ * Playlist Rewriter Tests
+ * Tests attribute-list parsing and proxy rewriting of segment lines and
+ * tag URI attributes for fMP4, AES-128 and multi-audio playlists
+ */
+
+import { URL as NodeURL } from 'url';
+import {
+  parseAttributeList,
+  rewriteTagLine,
+  rewritePlaylist
+} from '../playlistRewriter';
+
+const PLAYLIST_URL = 'https://cdn.example.com/hls/show/index.m3u8?token=abc';
+const toProxyUrl = (url) => `https://flyx.test/api/stream-proxy?url=${encodeURIComponent(url)}`;
+const proxied = (url) => toProxyUrl(url);
+
+describe('Playlist Rewriter', () => {
+  let originalURL;
+
+  beforeAll(() => {
+    // jest.setup.js replaces URL with a blob-only mock
+    originalURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+  });
+
+  describe('parseAttributeList', () => {
+    test('should parse quoted and unquoted values with their offsets', () => {
+      const input = 'METHOD=AES-128,URI="key.bin",IV=0x1234';
+      const attributes = parseAttributeList(input);
+
+      expect(attributes.map(({ name, value, quoted }) => ({ name, value, quoted }))).toEqual([
+        { name: 'METHOD', value: 'AES-128', quoted: false },
+        { name: 'URI', value: 'key.bin', quoted: true },
+        { name: 'IV', value: '0x1234', quoted: false }
+      ]);
+      expect(input.substring(attributes[1].valueStart, attributes[1].valueEnd)).toBe('key.bin');
+    });
+
+    test('should keep commas inside quoted strings', () => {
+      const attributes = parseAttributeList('BANDWIDTH=800000,CODECS="avc1.4d401f,mp4a.40.2",RESOLUTION=640x360');
+
+      expect(attributes).toHaveLength(3);
+      expect(attributes[1].value).toBe('avc1.4d401f,mp4a.40.2');
+      expect(attributes[2].value).toBe('640x360');
+    });
+  });
+
+  describe('rewriteTagLine', () => {
+    test('should only touch the URI value and preserve the rest of the tag', () => {
+      const line = '#EXT-X-KEY:METHOD=AES-128,URI="../keys/k1.key",IV=0x00000000000000000000000000000001,KEYFORMAT="identity"';
+      const { line: rewritten, rewritten: count } = rewriteTagLine(line, PLAYLIST_URL, toProxyUrl);
+
+      expect(count).toBe(1);
+      expect(rewritten).toBe(
+        `#EXT-X-KEY:METHOD=AES-128,URI="${proxied('https://cdn.example.com/hls/keys/k1.key')}",IV=0x00000000000000000000000000000001,KEYFORMAT="identity"`
+      );
+    });
+
+    test('should leave METHOD=NONE keys and non-http URIs alone', () => {
+      const noneKey = '#EXT-X-KEY:METHOD=NONE';
+      const fairplay = '#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key-id",KEYFORMAT="com.apple.streamingkeydelivery"';
+      const dataUri = '#EXT-X-SESSION-KEY:METHOD=AES-128,URI="data:text/plain;base64,AAAA"';
+
+      expect(rewriteTagLine(noneKey, PLAYLIST_URL, toProxyUrl).line).toBe(noneKey);
+      expect(rewriteTagLine(fairplay, PLAYLIST_URL, toProxyUrl).line).toBe(fairplay);
+      expect(rewriteTagLine(dataUri, PLAYLIST_URL, toProxyUrl).line).toBe(dataUri);
+    });
+
+    test('should ignore tags that never carry URIs', () => {
+      const line = '#EXT-X-STREAM-INF:BANDWIDTH=1280000,URI="not-a-real-attribute"';
+      expect(rewriteTagLine(line, PLAYLIST_URL, toProxyUrl).line).toBe(line);
+    });
+  });
+
+  describe('rewritePlaylist', () => {
+    test('should rewrite fMP4 media playlists including EXT-X-MAP', () => {
+      const playlist = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:7',
+        '#EXT-X-TARGETDURATION:6',
+        '#EXT-X-MAP:URI="init.mp4",BYTERANGE="720@0"',
+        '#EXTINF:6.000,',
+        'seg-1.m4s',
+        '#EXTINF:6.000,',
+        '/abs/seg-2.m4s',
+        '#EXT-X-ENDLIST'
+      ].join('\n');
+
+      const { content, stats } = rewritePlaylist(playlist, PLAYLIST_URL, toProxyUrl);
+      const lines = content.split('\n');
+
+      expect(lines[3]).toBe(`#EXT-X-MAP:URI="${proxied('https://cdn.example.com/hls/show/init.mp4')}",BYTERANGE="720@0"`);
+      expect(lines[5]).toBe(proxied('https://cdn.example.com/hls/show/seg-1.m4s'));
+      expect(lines[7]).toBe(proxied('https://cdn.example.com/abs/seg-2.m4s'));
+      expect(lines[8]).toBe('#EXT-X-ENDLIST');
+      expect(stats).toMatchObject({ uriLines: 2, tagUris: 1, failures: [] });
+    });
+
+    test('should rewrite AES-128 key rotation in media playlists', () => {
+      const playlist = [
+        '#EXTM3U',
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.net/k?id=1"',
+        '#EXTINF:4,',
+        'https://edge.example.net/seg0.ts',
+        '#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.net/k?id=2",IV=0xABCDEF',
+        '#EXTINF:4,',
+        'seg1.ts'
+      ].join('\n');
+
+      const { content, stats } = rewritePlaylist(playlist, PLAYLIST_URL, toProxyUrl);
+
+      expect(content).toContain(`URI="${proxied('https://keys.example.net/k?id=1')}"`);
+      expect(content).toContain(`URI="${proxied('https://keys.example.net/k?id=2')}",IV=0xABCDEF`);
+      expect(content).toContain(proxied('https://edge.example.net/seg0.ts'));
+      expect(stats.tagUris).toBe(2);
+      expect(stats.uriLines).toBe(2);
+    });
+
+    test('should rewrite alternate renditions, I-frame and session data in multi-audio masters', () => {
+      const playlist = [
+        '#EXTM3U',
+        '#EXT-X-SESSION-DATA:DATA-ID="com.example.lyrics",URI="lyrics.json"',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,URI="audio/en.m3u8"',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="Deutsch",LANGUAGE="de",URI="audio/de.m3u8"',
+        '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",URI="subs/en.m3u8"',
+        '#EXT-X-MEDIA:TYPE=CLOSED-CAPTIONS,GROUP-ID="cc",NAME="CC1",INSTREAM-ID="CC1"',
+        '#EXT-X-STREAM-INF:BANDWIDTH=2000000,CODECS="avc1.640028,mp4a.40.2",RESOLUTION=1280x720,AUDIO="aac",SUBTITLES="subs"',
+        '720p/index.m3u8',
+        '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=150000,CODECS="avc1.640028",URI="720p/iframes.m3u8"'
+      ].join('\n');
+
+      const { content, stats } = rewritePlaylist(playlist, PLAYLIST_URL, toProxyUrl);
+      const lines = content.split('\n');
+      const base = 'https://cdn.example.com/hls/show/';
+
+      expect(lines[1]).toBe(`#EXT-X-SESSION-DATA:DATA-ID="com.example.lyrics",URI="${proxied(`${base}lyrics.json`)}"`);
+      expect(lines[2]).toBe(
+        `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,URI="${proxied(`${base}audio/en.m3u8`)}"`
+      );
+      expect(lines[3]).toContain(`URI="${proxied(`${base}audio/de.m3u8`)}"`);
+      expect(lines[4]).toContain(`URI="${proxied(`${base}subs/en.m3u8`)}"`);
+      expect(lines[5]).toBe('#EXT-X-MEDIA:TYPE=CLOSED-CAPTIONS,GROUP-ID="cc",NAME="CC1",INSTREAM-ID="CC1"');
+      expect(lines[6]).toBe('#EXT-X-STREAM-INF:BANDWIDTH=2000000,CODECS="avc1.640028,mp4a.40.2",RESOLUTION=1280x720,AUDIO="aac",SUBTITLES="subs"');
+      expect(lines[7]).toBe(proxied(`${base}720p/index.m3u8`));
+      expect(lines[8]).toBe(`#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=150000,CODECS="avc1.640028",URI="${proxied(`${base}720p/iframes.m3u8`)}"`);
+      expect(stats).toMatchObject({ uriLines: 1, tagUris: 5 });
+    });
+
+    test('should keep comments and blank lines in place', () => {
+      const playlist = '#EXTM3U\n\n# generated by packager\n#EXTINF:4,\nseg.ts\n';
+      const { content } = rewritePlaylist(playlist, PLAYLIST_URL, toProxyUrl);
+
+      expect(content.split('\n')).toEqual([
+        '#EXTM3U',
+        '',
+        '# generated by packager',
+        '#EXTINF:4,',
+        proxied('https://cdn.example.com/hls/show/seg.ts'),
+        ''
+      ]);
+    });
+  });
+});
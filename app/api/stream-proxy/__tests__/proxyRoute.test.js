@@ -0,0 +1,115 @@
+/**
+ * Stream Proxy Route Tests
+ * Tests which upstream bodies are buffered for the segment cache and which
+ * are streamed through, and the fallback when a playlist can't be rewritten
+ */
+
+import { URL as NodeURL } from 'url';
+import { fetchWithHeaderFallback } from '../upstreamFetch';
+import { rewritePlaylist } from '../playlistRewriter';
+
+const mockNextResponse = {
+  NextResponse: Object.assign(
+    jest.fn((body, options = {}) => ({ body, status: options.status, headers: options.headers })),
+    { json: jest.fn((body, options = {}) => ({ body, status: options.status, headers: options.headers })) }
+  )
+};
+
+jest.mock('next/server', () => mockNextResponse);
+jest.mock('../upstreamFetch', () => ({ fetchWithHeaderFallback: jest.fn() }));
+jest.mock('../playlistRewriter', () => ({ rewritePlaylist: jest.fn() }));
+
+const { GET } = require('../route');
+
+const createRequest = (targetUrl) => ({
+  url: `https://flyx.example/api/stream-proxy?url=${encodeURIComponent(targetUrl)}`,
+  headers: new Headers({ 'user-agent': 'Mozilla/5.0 (X11; Linux x86_64)', 'x-real-ip': '203.0.113.9' })
+});
+
+const upstreamResponse = (headers, { text = '' } = {}) => ({
+  ok: true,
+  status: 200,
+  headers: new Headers(headers),
+  body: 'upstream-stream',
+  arrayBuffer: jest.fn(async () => new Uint8Array([1, 2, 3, 4]).buffer),
+  text: jest.fn()
+    .mockResolvedValueOnce(text)
+    .mockRejectedValue(new TypeError('Body is unusable'))
+});
+
+describe('Stream proxy route', () => {
+  let originalURL;
+  let originalTimeout;
+
+  beforeAll(() => {
+    originalURL = global.URL;
+    global.URL = NodeURL;
+    // jsdom has no AbortSignal.timeout; the upstream fetch is mocked anyway
+    originalTimeout = AbortSignal.timeout;
+    AbortSignal.timeout = () => new AbortController().signal;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+    AbortSignal.timeout = originalTimeout;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fetchWithHeaderFallback.mockReset();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should buffer segments of a known size for the cache', async () => {
+    const upstream = upstreamResponse({ 'content-type': 'video/mp2t', 'content-length': '4' });
+    fetchWithHeaderFallback.mockResolvedValue(upstream);
+
+    const response = await GET(createRequest('https://cdn.example.com/hls/seg-1.ts'));
+
+    expect(upstream.arrayBuffer).toHaveBeenCalled();
+    expect(Buffer.isBuffer(response.body)).toBe(true);
+    expect(response.headers.get('content-length')).toBe('4');
+  });
+
+  test('should stream segments without a content-length instead of buffering them', async () => {
+    const upstream = upstreamResponse({ 'content-type': 'video/mp2t' });
+    fetchWithHeaderFallback.mockResolvedValue(upstream);
+
+    const response = await GET(createRequest('https://cdn.example.com/hls/seg-2.ts'));
+
+    expect(upstream.arrayBuffer).not.toHaveBeenCalled();
+    expect(response.body).toBe('upstream-stream');
+  });
+
+  test('should stream progressive MP4 files with their own content type', async () => {
+    const upstream = upstreamResponse({ 'content-type': 'application/octet-stream', 'content-length': '4' });
+    fetchWithHeaderFallback.mockResolvedValue(upstream);
+
+    const response = await GET(createRequest('https://cdn.example.com/movies/feature.mp4'));
+
+    expect(upstream.arrayBuffer).not.toHaveBeenCalled();
+    expect(response.body).toBe('upstream-stream');
+    expect(response.headers.get('content-type')).toBe('application/octet-stream');
+  });
+
+  test('should serve the original playlist when rewriting fails', async () => {
+    const playlist = '#EXTM3U\n#EXTINF:6.0,\nseg-1.ts\n';
+    const upstream = upstreamResponse({ 'content-type': 'application/vnd.apple.mpegurl', 'content-length': '30' }, { text: playlist });
+    fetchWithHeaderFallback.mockResolvedValue(upstream);
+    rewritePlaylist.mockImplementation(() => { throw new Error('rewrite failed'); });
+
+    const response = await GET(createRequest('https://cdn.example.com/hls/broken.m3u8'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toBe(playlist);
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect(response.headers.get('content-length')).toBeNull();
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Rate Limiter Tests
+ * Tests the sliding-window algorithm, policy selection, RateLimit-* headers
+ * and the memory, filesystem and Redis-protocol stores (the latter against a
+ * local RESP stand-in server)
+ */
+
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { URL as NodeURL } from 'url';
+import {
+  SlidingWindowRateLimiter,
+  getRateLimitHeaders,
+  getRateLimitPoliciesFromEnv,
+  selectRateLimitPolicy,
+  DEFAULT_RATE_LIMIT_POLICIES
+} from '../rateLimiter';
+import {
+  FileSystemRateLimitStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  createRateLimitStore,
+  encodeRespCommand,
+  parseRespReply
+} from '../rateLimitStore';
+
+const WINDOW_MS = 60 * 1000;
+const WINDOW_START = 1000 * WINDOW_MS;
+const policy = (overrides = {}) => ({ name: 'test', limit: 10, windowMs: WINDOW_MS, ...overrides });
+
+/**
+ * Minimal in-process server speaking the subset of the Redis protocol the
+ * store uses (GET, SET ... PX, INCR, PEXPIRE, DEL, AUTH, SELECT, QUIT)
+ */
+function startRespStandIn({ password: initialPassword = null } = {}) {
+  let password = initialPassword;
+  const data = new Map();
+  const commands = [];
+
+  const readValue = (key) => {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const execute = (args, session) => {
+    const [name, ...rest] = args;
+    const command = name.toUpperCase();
+    commands.push(command);
+
+    if (password && !session.authenticated && command !== 'AUTH') {
+      return '-NOAUTH Authentication required.\r\n';
+    }
+
+    switch (command) {
+      case 'AUTH':
+        session.authenticated = rest[rest.length - 1] === password;
+        return session.authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+      case 'SELECT':
+      case 'QUIT':
+        return '+OK\r\n';
+      case 'GET': {
+        const entry = readValue(rest[0]);
+        return entry ? `$${Buffer.byteLength(entry.value)}\r\n${entry.value}\r\n` : '$-1\r\n';
+      }
+      case 'SET': {
+        const pxIndex = rest.findIndex(arg => arg.toUpperCase() === 'PX');
+        data.set(rest[0], {
+          value: rest[1],
+          expiresAt: pxIndex === -1 ? null : Date.now() + parseInt(rest[pxIndex + 1], 10)
+        });
+        return '+OK\r\n';
+      }
+      case 'INCR': {
+        const entry = readValue(rest[0]);
+        const value = (entry ? parseInt(entry.value, 10) : 0) + 1;
+        data.set(rest[0], { value: value.toString(), expiresAt: entry?.expiresAt ?? null });
+        return `:${value}\r\n`;
+      }
+      case 'PEXPIRE': {
+        const entry = readValue(rest[0]);
+        if (!entry) return ':0\r\n';
+        entry.expiresAt = Date.now() + parseInt(rest[1], 10);
+        return ':1\r\n';
+      }
+      case 'DEL':
+        return `:${data.delete(rest[0]) ? 1 : 0}\r\n`;
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const server = net.createServer(socket => {
+    const session = { authenticated: false };
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while ((request = parseRespReply(buffer)) !== null) {
+        buffer = buffer.subarray(request.offset);
+        socket.write(execute(request.value, session));
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${server.address().port}`,
+        data,
+        commands,
+        setPassword: (value) => { password = value; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('Rate Limiter', () => {
+  let originalURL;
+
+  beforeAll(() => {
+    // jest.setup.js replaces URL with a blob-only mock
+    originalURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+  });
+
+  describe('selectRateLimitPolicy', () => {
+    test('should match host policies including subdomains before the default', () => {
+      const route = 'stream-proxy';
+
+      expect(selectRateLimitPolicy(DEFAULT_RATE_LIMIT_POLICIES, { route, targetUrl: 'https://lightningbolt.site/a.ts' }).name).toBe('segment-cdn');
+      expect(selectRateLimitPolicy(DEFAULT_RATE_LIMIT_POLICIES, { route, targetUrl: 'https://edge3.lightningbolts.ru/a.ts' }).name).toBe('segment-cdn');
+      expect(selectRateLimitPolicy(DEFAULT_RATE_LIMIT_POLICIES, { route, targetUrl: 'https://notlightningbolt.site/a.ts' }).name).toBe('default');
+      expect(selectRateLimitPolicy(DEFAULT_RATE_LIMIT_POLICIES, { route, targetUrl: 'https://cdn.example.com/?u=lightningbolt.site' }).name).toBe('default');
+    });
+
+    test('should respect route restrictions', () => {
+      const policies = [
+        policy({ name: 'inspect', routes: ['stream-proxy/inspect'], limit: 5 }),
+        policy({ name: 'fallback' })
+      ];
+
+      expect(selectRateLimitPolicy(policies, { route: 'stream-proxy/inspect' }).name).toBe('inspect');
+      expect(selectRateLimitPolicy(policies, { route: 'stream-proxy' }).name).toBe('fallback');
+      expect(selectRateLimitPolicy([policies[0]], { route: 'stream-proxy' })).toBeNull();
+    });
+  });
+
+  describe('getRateLimitPoliciesFromEnv', () => {
+    test('should read policies from env and reject invalid ones', () => {
+      const custom = [policy({ name: 'custom', limit: 3 })];
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(getRateLimitPoliciesFromEnv({})).toBe(DEFAULT_RATE_LIMIT_POLICIES);
+      expect(getRateLimitPoliciesFromEnv({ STREAM_PROXY_RATE_LIMIT_POLICIES: JSON.stringify(custom) })).toEqual(custom);
+      expect(getRateLimitPoliciesFromEnv({ STREAM_PROXY_RATE_LIMIT_POLICIES: '[{"name":"x"}]' })).toBe(DEFAULT_RATE_LIMIT_POLICIES);
+      expect(getRateLimitPoliciesFromEnv({ STREAM_PROXY_RATE_LIMIT_POLICIES: 'not json' })).toBe(DEFAULT_RATE_LIMIT_POLICIES);
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('sliding window', () => {
+    test('should allow up to the limit within a window and count down remaining', async () => {
+      const limiter = new SlidingWindowRateLimiter({ store: new MemoryRateLimitStore(), policies: [policy({ limit: 3 })] });
+      const check = () => limiter.check({ clientId: '1.2.3.4', now: WINDOW_START + 1000 });
+
+      expect(await check()).toMatchObject({ allowed: true, remaining: 2 });
+      expect(await check()).toMatchObject({ allowed: true, remaining: 1 });
+      expect(await check()).toMatchObject({ allowed: true, remaining: 0 });
+      expect(await check()).toMatchObject({ allowed: false, blocked: false, remaining: 0 });
+    });
+
+    test('should weight the previous window by its remaining overlap', async () => {
+      const store = new MemoryRateLimitStore();
+      const limiter = new SlidingWindowRateLimiter({ store, policies: [policy({ limit: 10 })] });
+
+      for (let i = 0; i < 10; i++) {
+        await limiter.check({ clientId: 'c', now: WINDOW_START + 50 * 1000 });
+      }
+
+      // A fixed window would reset here; a quarter into the next window 7.5 requests still count
+      const quarter = WINDOW_START + WINDOW_MS + 15 * 1000;
+      expect(await limiter.check({ clientId: 'c', now: quarter })).toMatchObject({ allowed: true, remaining: 1 });
+      expect(await limiter.check({ clientId: 'c', now: quarter })).toMatchObject({ allowed: true, remaining: 0 });
+
+      const rejected = await limiter.check({ clientId: 'c', now: quarter });
+      expect(rejected).toMatchObject({ allowed: false });
+      // 10 * (60 - t) / 60 + 2 + 1 <= 10  =>  t >= 18s, i.e. 3s from now
+      expect(rejected.retryAfter).toBe(3);
+
+      expect(await limiter.check({ clientId: 'c', now: quarter + 3000 })).toMatchObject({ allowed: true });
+    });
+
+    test('should track clients and policies separately', async () => {
+      const limiter = new SlidingWindowRateLimiter({
+        store: new MemoryRateLimitStore(),
+        policies: [
+          policy({ name: 'cdn', hosts: ['cdn.example.com'], limit: 1 }),
+          policy({ name: 'default', limit: 1 })
+        ]
+      });
+      const now = WINDOW_START;
+
+      expect((await limiter.check({ clientId: 'a', targetUrl: 'https://cdn.example.com/1.ts', now })).allowed).toBe(true);
+      expect((await limiter.check({ clientId: 'a', targetUrl: 'https://other.example.com/1.ts', now })).allowed).toBe(true);
+      expect((await limiter.check({ clientId: 'b', targetUrl: 'https://cdn.example.com/1.ts', now })).allowed).toBe(true);
+      expect((await limiter.check({ clientId: 'a', targetUrl: 'https://cdn.example.com/2.ts', now })).allowed).toBe(false);
+    });
+
+    test('should block for blockDurationMs once the limit is exceeded', async () => {
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(WINDOW_START);
+      const limiter = new SlidingWindowRateLimiter({
+        store: new MemoryRateLimitStore(),
+        policies: [policy({ limit: 1, blockDurationMs: 5 * 60 * 1000 })]
+      });
+
+      try {
+        expect((await limiter.check({ clientId: 'c', now: WINDOW_START })).allowed).toBe(true);
+        expect(await limiter.check({ clientId: 'c', now: WINDOW_START })).toMatchObject({ allowed: false, blocked: true, retryAfter: 300 });
+
+        // Still blocked two windows later
+        dateSpy.mockReturnValue(WINDOW_START + 2 * WINDOW_MS);
+        expect(await limiter.check({ clientId: 'c', now: WINDOW_START + 2 * WINDOW_MS })).toMatchObject({ allowed: false, retryAfter: 180 });
+
+        dateSpy.mockReturnValue(WINDOW_START + 6 * WINDOW_MS);
+        expect((await limiter.check({ clientId: 'c', now: WINDOW_START + 6 * WINDOW_MS })).allowed).toBe(true);
+      } finally {
+        dateSpy.mockRestore();
+      }
+    });
+
+    test('should fail open when the store is unavailable', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const brokenStore = {
+        get: jest.fn().mockRejectedValue(new Error('connection refused')),
+        increment: jest.fn(),
+        set: jest.fn()
+      };
+      const limiter = new SlidingWindowRateLimiter({ store: brokenStore, policies: [policy()] });
+
+      expect(await limiter.check({ clientId: 'c' })).toMatchObject({ allowed: true, storeError: 'connection refused' });
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('getRateLimitHeaders', () => {
+    test('should emit RateLimit-* and legacy headers', async () => {
+      const limiter = new SlidingWindowRateLimiter({ store: new MemoryRateLimitStore(), policies: [policy({ limit: 2 })] });
+      const now = WINDOW_START + 45 * 1000;
+
+      const allowed = await limiter.check({ clientId: 'c', now });
+      expect(getRateLimitHeaders(allowed, now)).toEqual({
+        'RateLimit-Policy': '2;w=60',
+        'RateLimit-Limit': '2',
+        'RateLimit-Remaining': '1',
+        'RateLimit-Reset': '15',
+        'X-RateLimit-Remaining': '1',
+        'X-RateLimit-Reset': new Date(now + 15 * 1000).toISOString()
+      });
+
+      await limiter.check({ clientId: 'c', now });
+      const rejected = await limiter.check({ clientId: 'c', now });
+      expect(getRateLimitHeaders(rejected, now)).toMatchObject({ 'RateLimit-Remaining': '0', 'Retry-After': '15' });
+    });
+
+    test('should emit nothing when no policy applies', () => {
+      expect(getRateLimitHeaders({ allowed: true, policy: null })).toEqual({});
+    });
+  });
+
+  describe('FileSystemRateLimitStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flyx-rate-limit-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should persist counters across store instances', async () => {
+      const first = new FileSystemRateLimitStore({ directory });
+      expect(await first.increment('client:1', WINDOW_MS)).toBe(1);
+      expect(await first.increment('client:1', WINDOW_MS)).toBe(2);
+
+      const second = new FileSystemRateLimitStore({ directory });
+      expect(await second.increment('client:1', WINDOW_MS)).toBe(3);
+      expect(await second.get('client:1')).toBe('3');
+      expect(fs.readdirSync(directory).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('should expire entries and support set/delete', async () => {
+      const store = new FileSystemRateLimitStore({ directory });
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(WINDOW_START);
+
+      try {
+        await store.set('block', '123', 1000);
+        expect(await store.get('block')).toBe('123');
+
+        dateSpy.mockReturnValue(WINDOW_START + 1000);
+        expect(await store.get('block')).toBeNull();
+
+        await store.set('other', 'x', 1000);
+        await store.delete('other');
+        expect(await store.get('other')).toBeNull();
+      } finally {
+        dateSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('Redis protocol store', () => {
+    test('should encode commands and parse replies', () => {
+      expect(encodeRespCommand(['SET', 'k', 'vä'])).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$3\r\nvä\r\n');
+
+      const buffer = Buffer.from('+OK\r\n:42\r\n$-1\r\n*2\r\n$1\r\na\r\n:1\r\n-ERR bad\r\n$5\r\nab');
+      const replies = [];
+      let offset = 0;
+      let reply;
+      while ((reply = parseRespReply(buffer, offset)) !== null) {
+        replies.push(reply.value);
+        offset = reply.offset;
+      }
+
+      expect(replies.slice(0, 4)).toEqual(['OK', 42, null, ['a', 1]]);
+      expect(replies[4]).toBeInstanceOf(Error);
+      expect(replies[4].message).toBe('ERR bad');
+      // Incomplete bulk string waits for more data
+      expect(replies).toHaveLength(5);
+    });
+
+    test('should run the limiter against a Redis-protocol server', async () => {
+      const server = await startRespStandIn({ password: 'hunter2' });
+      const store = createRateLimitStore({ store: 'redis', redisUrl: server.url, keyPrefix: 'test:' });
+      const limiter = new SlidingWindowRateLimiter({ store, policies: [policy({ limit: 2, blockDurationMs: 1000 })] });
+
+      try {
+        expect(store).toBeInstanceOf(RedisRateLimitStore);
+
+        const now = WINDOW_START;
+        const results = await Promise.all([
+          limiter.check({ clientId: 'c', now }),
+          limiter.check({ clientId: 'c', now })
+        ]);
+        expect(results.map(result => result.allowed)).toEqual([true, true]);
+        expect(await limiter.check({ clientId: 'c', now })).toMatchObject({ allowed: false, blocked: true });
+
+        expect(server.commands[0]).toBe('AUTH');
+        expect(server.data.get(`test:test:c:${WINDOW_START / WINDOW_MS}`).value).toBe('2');
+        expect(server.data.get(`test:test:c:${WINDOW_START / WINDOW_MS}`).expiresAt).not.toBeNull();
+        expect(server.data.has('test:test:c:block')).toBe(true);
+
+        await store.delete('test:c:block');
+        expect(server.data.has('test:test:c:block')).toBe(false);
+      } finally {
+        await store.close();
+        await server.close();
+      }
+    });
+
+    test('should surface server errors and connection failures', async () => {
+      const server = await startRespStandIn({ password: 'hunter2' });
+      const wrongPassword = new RedisRateLimitStore({ redisUrl: server.url.replace('hunter2', 'nope') });
+
+      await expect(wrongPassword.get('k')).rejects.toThrow('WRONGPASS');
+
+      // A failed connection isn't kept; the next command connects again
+      server.setPassword('nope');
+      await expect(wrongPassword.get('k')).resolves.toBeNull();
+      await wrongPassword.close();
+      await server.close();
+
+      const unreachable = new RedisRateLimitStore({ redisUrl: server.url, commandTimeoutMs: 200 });
+      await expect(unreachable.get('k')).rejects.toThrow();
+    });
+
+    test('should time out a connection that never completes', async () => {
+      // Accepts the socket but never answers the TLS handshake
+      const sockets = [];
+      const silent = net.createServer(socket => sockets.push(socket));
+      await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+
+      const store = new RedisRateLimitStore({ redisUrl: `rediss://127.0.0.1:${silent.address().port}`, commandTimeoutMs: 200 });
+      await expect(store.get('k')).rejects.toThrow('Redis connection timed out after 200ms');
+
+      sockets.forEach(socket => socket.destroy());
+      await new Promise(resolve => silent.close(resolve));
+    });
+  });
+});
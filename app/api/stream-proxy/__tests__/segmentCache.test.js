@@ -0,0 +1,174 @@
+/**
+ * Segment Cache Tests
+ * Tests LRU eviction under the byte budget, per-kind TTLs, range parsing
+ * and the filesystem-backed store
+ */
+
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import {
+  CACHE_ENTRY_KINDS,
+  MemorySegmentCache,
+  FileSystemSegmentCache,
+  NullSegmentCache,
+  classifyPlaylist,
+  createSegmentCache,
+  getSegmentCacheConfigFromEnv,
+  isFmp4SegmentUrl,
+  parseRangeHeader
+} from '../segmentCache';
+
+const bytes = (size, fill = 1) => Buffer.alloc(size, fill);
+
+describe('Segment Cache', () => {
+  describe('MemorySegmentCache', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new MemorySegmentCache({ maxBytes: 100, maxEntryBytes: 60 });
+    });
+
+    test('should store and return entries with metadata', async () => {
+      await cache.set('a', { body: bytes(10), contentType: 'video/mp2t' });
+
+      const entry = await cache.get('a');
+      expect(entry.body.length).toBe(10);
+      expect(entry.contentType).toBe('video/mp2t');
+      expect(entry.kind).toBe(CACHE_ENTRY_KINDS.SEGMENT);
+      expect(cache.getStats()).toMatchObject({ entries: 1, bytes: 10, hits: 1 });
+    });
+
+    test('should evict least recently used entries to stay within the byte budget', async () => {
+      await cache.set('a', { body: bytes(40) });
+      await cache.set('b', { body: bytes(40) });
+
+      // Touch "a" so "b" becomes the eviction candidate
+      await cache.get('a');
+      await cache.set('c', { body: bytes(40) });
+
+      expect(await cache.get('a')).not.toBeNull();
+      expect(await cache.get('b')).toBeNull();
+      expect(await cache.get('c')).not.toBeNull();
+      expect(cache.getStats().bytes).toBe(80);
+      expect(cache.getStats().evictions).toBe(1);
+    });
+
+    test('should refuse entries larger than the per-entry limit', async () => {
+      expect(await cache.set('big', { body: bytes(61) })).toBe(false);
+      expect(cache.getStats().entries).toBe(0);
+    });
+
+    test('should replace an existing key without double counting bytes', async () => {
+      await cache.set('a', { body: bytes(30) });
+      await cache.set('a', { body: bytes(20) });
+
+      expect(cache.getStats()).toMatchObject({ entries: 1, bytes: 20 });
+    });
+
+    test('should apply separate TTLs per entry kind', async () => {
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      cache = new MemorySegmentCache({
+        ttl: {
+          [CACHE_ENTRY_KINDS.MASTER_PLAYLIST]: 500,
+          [CACHE_ENTRY_KINDS.MEDIA_PLAYLIST]: 100,
+          [CACHE_ENTRY_KINDS.SEGMENT]: 1000
+        }
+      });
+
+      await cache.set('master', { body: bytes(1), kind: CACHE_ENTRY_KINDS.MASTER_PLAYLIST });
+      await cache.set('media', { body: bytes(1), kind: CACHE_ENTRY_KINDS.MEDIA_PLAYLIST });
+      await cache.set('segment', { body: bytes(1), kind: CACHE_ENTRY_KINDS.SEGMENT });
+
+      nowSpy.mockReturnValue(1200);
+      expect(await cache.get('media')).toBeNull();
+      expect(await cache.get('master')).not.toBeNull();
+
+      nowSpy.mockReturnValue(1600);
+      expect(await cache.get('master')).toBeNull();
+      expect(await cache.get('segment')).not.toBeNull();
+
+      expect(cache.getStats().expirations).toBe(2);
+      nowSpy.mockRestore();
+    });
+  });
+
+  describe('FileSystemSegmentCache', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'segment-cache-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('should persist bodies and rebuild the index in a new instance', async () => {
+      const first = new FileSystemSegmentCache({ directory, maxBytes: 100 });
+      await first.set('https://cdn.example/seg1.ts', { body: bytes(10, 7), contentType: 'video/mp2t' });
+
+      const second = new FileSystemSegmentCache({ directory, maxBytes: 100 });
+      const entry = await second.get('https://cdn.example/seg1.ts');
+
+      expect(entry.body.equals(bytes(10, 7))).toBe(true);
+      expect(entry.contentType).toBe('video/mp2t');
+      expect(second.getStats().bytes).toBe(10);
+    });
+
+    test('should remove files when entries are evicted', async () => {
+      const cache = new FileSystemSegmentCache({ directory, maxBytes: 20 });
+      await cache.set('a', { body: bytes(15) });
+      await cache.set('b', { body: bytes(15) });
+
+      const files = await fs.readdir(directory);
+      expect(files).toHaveLength(2); // one .bin and one .json for "b"
+      expect(await cache.get('a')).toBeNull();
+    });
+  });
+
+  describe('parseRangeHeader', () => {
+    test('should parse bounded, open-ended and suffix ranges', () => {
+      expect(parseRangeHeader('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+      expect(parseRangeHeader('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+      expect(parseRangeHeader('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+      expect(parseRangeHeader('bytes=50-500', 100)).toEqual({ start: 50, end: 99 });
+    });
+
+    test('should flag ranges outside the body as unsatisfiable', () => {
+      expect(parseRangeHeader('bytes=100-', 100)).toEqual({ unsatisfiable: true });
+      expect(parseRangeHeader('bytes=20-10', 100)).toEqual({ unsatisfiable: true });
+    });
+
+    test('should ignore missing, malformed and multi-range headers', () => {
+      expect(parseRangeHeader(null, 100)).toBeNull();
+      expect(parseRangeHeader('items=0-1', 100)).toBeNull();
+      expect(parseRangeHeader('bytes=0-1,5-6', 100)).toBeNull();
+    });
+  });
+
+  describe('Helpers', () => {
+    test('should classify master and media playlists', () => {
+      expect(classifyPlaylist('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1\nlow.m3u8')).toBe(CACHE_ENTRY_KINDS.MASTER_PLAYLIST);
+      expect(classifyPlaylist('#EXTM3U\n#EXTINF:4,\nseg1.ts')).toBe(CACHE_ENTRY_KINDS.MEDIA_PLAYLIST);
+    });
+
+    test('should detect fMP4 segment URLs', () => {
+      expect(isFmp4SegmentUrl('https://cdn.example/v/seg-12.m4s?token=1')).toBe(true);
+      expect(isFmp4SegmentUrl('https://cdn.example/v/seg-12.ts')).toBe(false);
+      expect(isFmp4SegmentUrl('https://cdn.example/movies/feature.mp4')).toBe(false);
+    });
+
+    test('should build stores from environment settings', () => {
+      const config = getSegmentCacheConfigFromEnv({
+        STREAM_PROXY_CACHE: 'none',
+        STREAM_PROXY_CACHE_MAX_BYTES: '2048',
+        STREAM_PROXY_CACHE_TTL_SEGMENT: '5000'
+      });
+
+      expect(config).toMatchObject({ store: 'none', maxBytes: 2048, ttl: { segment: 5000 } });
+      expect(createSegmentCache(config)).toBeInstanceOf(NullSegmentCache);
+      expect(createSegmentCache({})).toBeInstanceOf(MemorySegmentCache);
+    });
+  });
+});
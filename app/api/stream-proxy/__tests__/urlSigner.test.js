@@ -0,0 +1,234 @@
+/**
+ * Proxy URL Signer Tests
+ * Tests signature tampering, expiry, client IP binding, DASH template
+ * signatures and re-signing of nested playlist URLs
+ */
+
+import { URL as NodeURL } from 'url';
+import {
+  ProxyUrlSigner,
+  buildProxyUrl,
+  getUrlSigningConfigFromEnv,
+  matchesSegmentTemplate
+} from '../urlSigner';
+import { rewritePlaylist } from '../playlistRewriter';
+import { decodeXmlEntities, rewriteDashManifest } from '../dashManifestRewriter';
+
+const SECRET = 'test-secret';
+const TARGET_URL = 'https://cdn.example.com/hls/show/index.m3u8?token=abc';
+const NOW = Date.UTC(2025, 0, 1);
+
+const paramsOf = (proxyUrl) => new NodeURL(proxyUrl, 'https://flyx.test').searchParams;
+
+describe('Proxy URL Signer', () => {
+  let originalURL;
+
+  beforeAll(() => {
+    // jest.setup.js replaces URL with a blob-only mock
+    originalURL = global.URL;
+    global.URL = NodeURL;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+  });
+
+  describe('sign/verify', () => {
+    const signer = new ProxyUrlSigner({ secret: SECRET, ttlSeconds: 60 });
+
+    test('should accept a freshly signed URL', () => {
+      const params = paramsOf(buildProxyUrl(TARGET_URL, { signer, source: 'shadowlands' }));
+
+      expect(params.get('url')).toBe(TARGET_URL);
+      expect(params.get('source')).toBe('shadowlands');
+      expect(signer.verify(params)).toMatchObject({ valid: true });
+    });
+
+    test('should reject a tampered target URL', () => {
+      const params = paramsOf(buildProxyUrl(TARGET_URL, { signer }));
+      params.set('url', 'https://internal.example.com/admin');
+
+      expect(signer.verify(params)).toMatchObject({ valid: false, reason: 'invalid' });
+    });
+
+    test('should reject a tampered expiry or signature', () => {
+      const params = paramsOf(buildProxyUrl(TARGET_URL, { signer }));
+
+      const extended = new URLSearchParams(params);
+      extended.set('exp', (parseInt(params.get('exp'), 10) + 3600).toString());
+      expect(signer.verify(extended)).toMatchObject({ valid: false, reason: 'invalid' });
+
+      const forged = new URLSearchParams(params);
+      const sig = params.get('sig');
+      // Swap the first character for a different one, whatever it was
+      forged.set('sig', `${sig[0] === 'A' ? 'B' : 'A'}${sig.slice(1)}`);
+      expect(signer.verify(forged).valid).toBe(false);
+    });
+
+    test('should reject signatures from another secret', () => {
+      const other = new ProxyUrlSigner({ secret: 'other-secret', ttlSeconds: 60 });
+      const params = paramsOf(buildProxyUrl(TARGET_URL, { signer: other }));
+
+      expect(signer.verify(params)).toMatchObject({ valid: false, reason: 'invalid' });
+    });
+
+    test('should reject missing and malformed parameters', () => {
+      expect(signer.verify(paramsOf(buildProxyUrl(TARGET_URL)))).toMatchObject({ valid: false, reason: 'missing' });
+
+      const params = paramsOf(buildProxyUrl(TARGET_URL, { signer }));
+      params.set('exp', 'tomorrow');
+      expect(signer.verify(params)).toMatchObject({ valid: false, reason: 'malformed' });
+    });
+
+    test('should reject expired URLs', () => {
+      const params = new URLSearchParams({ url: TARGET_URL, ...signer.sign(TARGET_URL, { now: NOW }) });
+
+      expect(signer.verify(params, { now: NOW + 59 * 1000 })).toMatchObject({ valid: true });
+      expect(signer.verify(params, { now: NOW + 61 * 1000 })).toMatchObject({ valid: false, reason: 'expired' });
+    });
+  });
+
+  describe('client IP binding', () => {
+    test('should only accept the IP the URL was signed for', () => {
+      const signer = new ProxyUrlSigner({ secret: SECRET, bindClientIp: true });
+      const params = paramsOf(buildProxyUrl(TARGET_URL, { signer, clientIp: '203.0.113.7' }));
+
+      expect(signer.verify(params, { clientIp: '203.0.113.7' }).valid).toBe(true);
+      expect(signer.verify(params, { clientIp: '198.51.100.1' })).toMatchObject({ valid: false, reason: 'invalid' });
+    });
+
+    test('should ignore the IP when binding is disabled', () => {
+      const signer = new ProxyUrlSigner({ secret: SECRET, bindClientIp: false });
+      const params = paramsOf(buildProxyUrl(TARGET_URL, { signer, clientIp: '203.0.113.7' }));
+
+      expect(signer.verify(params, { clientIp: '198.51.100.1' }).valid).toBe(true);
+    });
+  });
+
+  describe('DASH segment templates', () => {
+    const signer = new ProxyUrlSigner({ secret: SECRET });
+    const template = 'https://cdn.example.com/dash/$RepresentationID$/seg-$Number%05d$.m4s';
+
+    test('should match template instances only', () => {
+      expect(matchesSegmentTemplate(template, 'https://cdn.example.com/dash/720p/seg-00042.m4s')).toBe(true);
+      expect(matchesSegmentTemplate(template, 'https://cdn.example.com/dash/720p/seg-abc.m4s')).toBe(false);
+      expect(matchesSegmentTemplate(template, 'https://cdn.example.com/dash/../../etc/seg-1.m4s')).toBe(false);
+      expect(matchesSegmentTemplate(template, 'https://evil.example.com/dash/720p/seg-1.m4s')).toBe(false);
+    });
+
+    test('should verify substituted URLs against the signed template', () => {
+      const params = new URLSearchParams({
+        url: 'https://cdn.example.com/dash/720p/seg-00007.m4s',
+        ...signer.sign(template, { template: true })
+      });
+      expect(signer.verify(params).valid).toBe(true);
+
+      params.set('url', 'https://cdn.example.com/other/720p/seg-00007.m4s');
+      expect(signer.verify(params)).toMatchObject({ valid: false, reason: 'template_mismatch' });
+    });
+
+    test('should keep the signed template intact through manifest rewriting', () => {
+      const manifest = [
+        '<MPD type="static"><Period><AdaptationSet>',
+        '<SegmentTemplate media="$RepresentationID$/seg-$Number$.m4s"/>',
+        '</AdaptationSet></Period></MPD>'
+      ].join('\n');
+      const toProxyUrl = (url, options) => buildProxyUrl(url, { baseUrl: 'https://flyx.test', signer, ...options });
+
+      const { content } = rewriteDashManifest(manifest, 'https://cdn.example.com/dash/manifest.mpd', toProxyUrl);
+      const media = decodeXmlEntities(content.match(/media="([^"]*)"/)[1]);
+
+      // The player substitutes identifiers in the url parameter only
+      const requested = media.replace('$RepresentationID$', '1080p').replace('$Number$', '12');
+      const params = paramsOf(requested);
+
+      expect(params.get('url')).toBe('https://cdn.example.com/dash/1080p/seg-12.m4s');
+      expect(params.get('tpl')).toBe('https://cdn.example.com/dash/$RepresentationID$/seg-$Number$.m4s');
+      expect(signer.verify(params).valid).toBe(true);
+    });
+  });
+
+  describe('nested playlist re-signing', () => {
+    test('should sign every nested URL with a fresh expiry', () => {
+      const signer = new ProxyUrlSigner({ secret: SECRET, ttlSeconds: 60, bindClientIp: true });
+      const clientIp = '203.0.113.7';
+      const dateSpy = jest.spyOn(Date, 'now');
+
+      try {
+        dateSpy.mockReturnValue(NOW);
+        const master = paramsOf(buildProxyUrl(TARGET_URL, { signer, clientIp }));
+
+        // The master playlist is fetched 50 seconds later, close to its own expiry
+        dateSpy.mockReturnValue(NOW + 50 * 1000);
+        expect(signer.verify(master, { clientIp }).valid).toBe(true);
+
+        const playlist = [
+          '#EXTM3U',
+          '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",URI="audio/en.m3u8"',
+          '#EXT-X-STREAM-INF:BANDWIDTH=2000000,RESOLUTION=1280x720,AUDIO="aac"',
+          '720p/index.m3u8'
+        ].join('\n');
+        const toProxyUrl = (url) => buildProxyUrl(url, { baseUrl: 'https://flyx.test', signer, clientIp });
+        const { content } = rewritePlaylist(playlist, TARGET_URL, toProxyUrl);
+
+        const lines = content.split('\n');
+        const nested = [
+          paramsOf(lines[1].match(/URI="([^"]*)"/)[1]),
+          paramsOf(lines[3])
+        ];
+
+        // Past the master's expiry the nested URLs are still valid
+        dateSpy.mockReturnValue(NOW + 90 * 1000);
+        expect(signer.verify(master, { clientIp })).toMatchObject({ valid: false, reason: 'expired' });
+        nested.forEach(params => {
+          expect(signer.verify(params, { clientIp }).valid).toBe(true);
+          expect(signer.verify(params, { clientIp: '198.51.100.1' }).valid).toBe(false);
+        });
+        expect(nested.map(params => params.get('url'))).toEqual([
+          'https://cdn.example.com/hls/show/audio/en.m3u8',
+          'https://cdn.example.com/hls/show/720p/index.m3u8'
+        ]);
+      } finally {
+        dateSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('getUrlSigningConfigFromEnv', () => {
+    test('should enforce in production and log otherwise by default', () => {
+      const secret = { STREAM_PROXY_SIGNING_SECRET: 's3cret' };
+
+      expect(getUrlSigningConfigFromEnv({ NODE_ENV: 'production', ...secret }).enforce).toBe(true);
+      expect(getUrlSigningConfigFromEnv({ NODE_ENV: 'production', STREAM_PROXY_SIGNING_MODE: 'log' }).enforce).toBe(false);
+      expect(getUrlSigningConfigFromEnv({ NODE_ENV: 'development', ...secret }).enforce).toBe(false);
+      expect(getUrlSigningConfigFromEnv({ NODE_ENV: 'development', STREAM_PROXY_SIGNING_MODE: 'enforce', ...secret }).enforce).toBe(true);
+      expect(getUrlSigningConfigFromEnv({ NODE_ENV: 'production', STREAM_PROXY_SIGNING_MODE: 'log', ...secret }).enforce).toBe(false);
+    });
+
+    test('should refuse to enforce without a configured secret', () => {
+      expect(() => getUrlSigningConfigFromEnv({ NODE_ENV: 'production' })).toThrow('STREAM_PROXY_SIGNING_SECRET');
+      expect(() => getUrlSigningConfigFromEnv({ NODE_ENV: 'development', STREAM_PROXY_SIGNING_MODE: 'enforce' }))
+        .toThrow('STREAM_PROXY_SIGNING_SECRET');
+      expect(() => new ProxyUrlSigner({ enforce: true })).toThrow('configured secret');
+      expect(new ProxyUrlSigner({ secret: SECRET, enforce: true }).enforce).toBe(true);
+    });
+
+    test('should read secret, TTL and IP binding', () => {
+      expect(getUrlSigningConfigFromEnv({
+        STREAM_PROXY_SIGNING_SECRET: 's3cret',
+        STREAM_PROXY_SIGNATURE_TTL: '120',
+        STREAM_PROXY_BIND_CLIENT_IP: 'true'
+      })).toMatchObject({ secret: 's3cret', ttlSeconds: 120, bindClientIp: true });
+      expect(getUrlSigningConfigFromEnv({ STREAM_PROXY_SIGNATURE_TTL: 'nope' }).ttlSeconds).toBe(21600);
+    });
+
+    test('should share one generated secret when none is configured', () => {
+      const first = new ProxyUrlSigner({ enforce: false });
+      const second = new ProxyUrlSigner({ enforce: false });
+      const params = paramsOf(buildProxyUrl(TARGET_URL, { signer: first }));
+
+      expect(first.ephemeralSecret).toBe(true);
+      expect(second.verify(params).valid).toBe(true);
+    });
+  });
+});
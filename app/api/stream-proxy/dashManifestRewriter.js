@@ -0,0 +1,209 @@
+/**
+ * MPEG-DASH manifest rewriter for the stream proxy
+ * Routes BaseURL elements and segment addressing attributes (SegmentTemplate
+ * media/initialization/index, SegmentURL, Initialization, RepresentationIndex)
+ * through the proxy.
+ *
+ * DASH resolves URLs hierarchically: each BaseURL is relative to its parent's
+ * BaseURL, and segment templates are relative to the innermost one. The
+ * rewriter tracks the effective base while walking the element tree and
+ * emits absolute proxied URLs, so the player never has to resolve anything
+ * against a proxy URL.
+ *
+ * Limitation: a SegmentTemplate declared on an AdaptationSet is resolved
+ * against the AdaptationSet's base, not against BaseURLs declared on the
+ * individual Representations that inherit it.
+ */
+
+// Attributes carrying URLs, per element
+export const DASH_URL_ATTRIBUTES = {
+  SegmentTemplate: ['media', 'initialization', 'index', 'bitstreamSwitching'],
+  SegmentURL: ['media', 'index'],
+  Initialization: ['sourceURL'],
+  RepresentationIndex: ['sourceURL'],
+  BitstreamSwitching: ['sourceURL']
+};
+
+// Elements whose BaseURL children change the base for their descendants
+const BASE_SCOPED_ELEMENTS = ['MPD', 'Period', 'AdaptationSet', 'Representation'];
+
+// $Identifier$ placeholders the player substitutes at request time
+const TEMPLATE_IDENTIFIER_PATTERN = /%24((?:RepresentationID|Number|Bandwidth|Time|SubNumber)(?:%25\d+d)?)%24/g;
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+export function decodeXmlEntities(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+}
+
+export function encodeXmlAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Whether content/URL looks like an MPD manifest
+ */
+export function isDashManifest(url, contentType = '') {
+  return /\.mpd(\?|$)/i.test(url || '') ||
+    contentType.includes('application/dash+xml');
+}
+
+/**
+ * Resolve a DASH reference, returning null for non-HTTP(S) URLs
+ */
+function resolveDashUrl(reference, baseUrl) {
+  const resolved = new URL(reference, baseUrl);
+  if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+    return null;
+  }
+  return resolved.href;
+}
+
+/**
+ * Proxy a segment template while keeping $Identifier$ placeholders
+ * literal so the player can still substitute them. Only the `url`
+ * parameter is touched; other parameters (e.g. the signed template) keep
+ * their placeholders encoded.
+ */
+export function proxySegmentTemplate(absoluteTemplate, toProxyUrl) {
+  const proxied = toProxyUrl(absoluteTemplate, { template: true });
+  const urlParamStart = proxied.indexOf('url=');
+  if (urlParamStart === -1) return proxied;
+
+  const urlParamEnd = proxied.indexOf('&', urlParamStart);
+  const end = urlParamEnd === -1 ? proxied.length : urlParamEnd;
+
+  return proxied.substring(0, urlParamStart) +
+    proxied.substring(urlParamStart, end).replace(
+      TEMPLATE_IDENTIFIER_PATTERN,
+      (match, identifier) => `$${decodeURIComponent(identifier)}$`
+    ) +
+    proxied.substring(end);
+}
+
+/**
+ * Rewrite an MPD manifest so every URL goes through `toProxyUrl(absoluteUrl)`.
+ * Returns the rewritten XML plus counters for logging.
+ */
+export function rewriteDashManifest(xml, manifestUrl, toProxyUrl) {
+  const stats = {
+    baseUrls: 0,
+    attributes: 0,
+    failures: []
+  };
+
+  // Stack of open elements with the effective base URL for their children
+  const stack = [{ name: '#document', baseUrl: manifestUrl }];
+  const currentBase = () => stack[stack.length - 1].baseUrl;
+
+  const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>/g;
+  let output = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(xml)) !== null) {
+    output += xml.substring(lastIndex, match.index);
+    lastIndex = tagPattern.lastIndex;
+
+    const [fullTag, closing, qualifiedName, , selfClosing] = match;
+
+    // Comments and processing instructions pass through untouched
+    if (!qualifiedName) {
+      output += fullTag;
+      continue;
+    }
+
+    const name = qualifiedName.includes(':') ? qualifiedName.split(':').pop() : qualifiedName;
+
+    if (closing) {
+      stack.pop();
+      output += fullTag;
+      continue;
+    }
+
+    if (name === 'BaseURL' && !selfClosing) {
+      // Consume the text content up to the closing tag
+      const closeIndex = xml.indexOf('</', lastIndex);
+      const closeEnd = xml.indexOf('>', closeIndex);
+      const rawText = xml.substring(lastIndex, closeIndex);
+      const reference = decodeXmlEntities(rawText.trim());
+
+      try {
+        const absoluteUrl = reference ? resolveDashUrl(reference, currentBase()) : currentBase();
+        if (absoluteUrl) {
+          // Only the first BaseURL of an element sets the base for its children
+          const parent = stack[stack.length - 1];
+          if (!parent.hasOwnBase && BASE_SCOPED_ELEMENTS.includes(parent.name)) {
+            parent.baseUrl = absoluteUrl;
+            parent.hasOwnBase = true;
+          }
+          output += `${fullTag}${encodeXmlAttribute(toProxyUrl(absoluteUrl))}${xml.substring(closeIndex, closeEnd + 1)}`;
+          stats.baseUrls++;
+        } else {
+          output += xml.substring(match.index, closeEnd + 1);
+        }
+      } catch (error) {
+        stats.failures.push({ element: 'BaseURL', value: reference.substring(0, 100), error: error.message });
+        output += xml.substring(match.index, closeEnd + 1);
+      }
+
+      lastIndex = closeEnd + 1;
+      tagPattern.lastIndex = lastIndex;
+      continue;
+    }
+
+    let rewrittenTag = fullTag;
+    const urlAttributes = DASH_URL_ATTRIBUTES[name];
+
+    if (urlAttributes) {
+      const baseUrl = currentBase();
+      rewrittenTag = fullTag.replace(
+        /([\w:.-]+)\s*=\s*"([^"]*)"/g,
+        (attributeMatch, attributeName, rawValue) => {
+          if (!urlAttributes.includes(attributeName) || !rawValue) {
+            return attributeMatch;
+          }
+
+          const reference = decodeXmlEntities(rawValue);
+          try {
+            const absoluteUrl = resolveDashUrl(reference, baseUrl);
+            if (!absoluteUrl) return attributeMatch;
+
+            const proxied = name === 'SegmentTemplate'
+              ? proxySegmentTemplate(absoluteUrl, toProxyUrl)
+              : toProxyUrl(absoluteUrl);
+
+            stats.attributes++;
+            return `${attributeName}="${encodeXmlAttribute(proxied)}"`;
+          } catch (error) {
+            stats.failures.push({ element: name, value: reference.substring(0, 100), error: error.message });
+            return attributeMatch;
+          }
+        }
+      );
+    }
+
+    output += rewrittenTag;
+
+    if (!selfClosing) {
+      stack.push({ name, baseUrl: currentBase(), hasOwnBase: false });
+    }
+  }
+
+  output += xml.substring(lastIndex);
+
+  return {
+    content: output,
+    stats
+  };
+}
@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+import { getDownloadProgress, subscribeToDownloadProgress } from '../../hlsDownloader';
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+// How long to wait for a download that hasn't started yet
+const PENDING_TIMEOUT_MS = 60000;
+
+const FINAL_PHASES = ['complete', 'aborted', 'error'];
+
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * GET /api/stream-proxy/download/progress?id=...
+ * Server-sent events for a download started with the same `id`:
+ * `progress` while preparing/downloading, then `complete` or `error`.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const downloadId = searchParams.get('id');
+
+  if (!downloadId || !/^[\w-]{1,64}$/.test(downloadId)) {
+    return NextResponse.json({ success: false, error: 'Download id parameter is required' }, { status: 400 });
+  }
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const body = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      let unsubscribe = () => {};
+      let heartbeat = null;
+      let pendingTimeout = null;
+
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(pendingTimeout);
+        try {
+          controller.close();
+        } catch (error) {
+          // Already closed by the client
+        }
+      };
+
+      const send = (progress) => {
+        if (closed) return;
+
+        const event = progress.phase === 'error'
+          ? 'error'
+          : progress.phase === 'complete' ? 'complete' : 'progress';
+        controller.enqueue(encoder.encode(formatEvent(event, progress)));
+
+        if (FINAL_PHASES.includes(progress.phase)) {
+          close();
+        }
+      };
+
+      // Send the current state first so late subscribers catch up
+      const current = getDownloadProgress(downloadId);
+      unsubscribe = subscribeToDownloadProgress(downloadId, send);
+      send(current || { downloadId, phase: 'pending' });
+
+      heartbeat = setInterval(() => {
+        if (!closed) controller.enqueue(encoder.encode(': heartbeat\n\n'));
+      }, HEARTBEAT_INTERVAL_MS);
+
+      pendingTimeout = setTimeout(() => {
+        if (getDownloadProgress(downloadId)?.phase === 'pending') {
+          send({ downloadId, phase: 'error', error: 'Download did not start' });
+        }
+      }, PENDING_TIMEOUT_MS);
+
+      request.signal?.addEventListener('abort', close);
+      cleanup = close;
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new NextResponse(body, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,255 @@
+import { NextResponse } from 'next/server';
+import {
+  buildContentDisposition,
+  buildDownloadPlan,
+  cacheDownloadPlan,
+  getCachedDownloadPlan,
+  streamDownload,
+  updateDownloadProgress
+} from '../hlsDownloader';
+import { parseRangeHeader } from '../segmentCache';
+import { checkProxySignature, getClientIp } from '../urlSigner';
+import { createRateLimiterFromEnv, getRateLimitHeaders } from '../rateLimiter';
+import { fetchWithHeaderFallback } from '../upstreamFetch';
+import { createLogger, generateRequestId } from '../requestLogger';
+
+// Each download (or resume) counts once against the download policy
+const rateLimiter = createRateLimiterFromEnv();
+
+const DOWNLOAD_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const EXPOSED_HEADERS = 'Content-Length, Content-Range, Content-Disposition, Accept-Ranges, ETag, X-Download-Id, RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After';
+
+function errorResponse(status, error, requestId, headers = {}) {
+  return NextResponse.json({ success: false, error, requestId }, {
+    status,
+    headers: { 'Access-Control-Allow-Origin': '*', 'Access-Control-Expose-Headers': EXPOSED_HEADERS, ...headers }
+  });
+}
+
+// Default file name: last path segment of the playlist, minus its extension
+function getDefaultFilename(url) {
+  try {
+    const lastSegment = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+    const name = decodeURIComponent(lastSegment).replace(/\.[^.]+$/, '');
+    return name && !/^(index|master|playlist)$/i.test(name) ? name : 'video';
+  } catch (error) {
+    return 'video';
+  }
+}
+
+/**
+ * Validate the request and resolve its download plan and byte range.
+ * Returns { response } when the request should be answered immediately.
+ */
+async function prepareDownload(request, requestId, logger) {
+  const clientIp = getClientIp(request);
+  const { searchParams } = new URL(request.url);
+  const streamUrl = searchParams.get('url');
+  const source = searchParams.get('source');
+  const variant = searchParams.get('variant') || 'best';
+  const downloadId = searchParams.get('id') || requestId;
+
+  if (!streamUrl) {
+    return { response: errorResponse(400, 'Stream URL parameter is required', requestId) };
+  }
+
+  try {
+    const parsedUrl = new URL(streamUrl);
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error(`Unsupported protocol ${parsedUrl.protocol}`);
+    }
+  } catch (error) {
+    logger.error('Invalid stream URL format', error, { providedUrl: streamUrl });
+    return { response: errorResponse(400, 'Invalid stream URL format', requestId) };
+  }
+
+  if (!DOWNLOAD_ID_PATTERN.test(downloadId)) {
+    return { response: errorResponse(400, 'Invalid download id', requestId) };
+  }
+
+  const signatureCheck = checkProxySignature(searchParams, clientIp, logger);
+  if (!signatureCheck.allowed) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        error: signatureCheck.reason === 'expired' ? 'Proxy URL has expired' : 'Invalid proxy URL signature',
+        reason: signatureCheck.reason,
+        requestId
+      }, { status: 403 })
+    };
+  }
+
+  const rateLimitResult = await rateLimiter.check({
+    clientId: clientIp,
+    route: 'stream-proxy/download',
+    targetUrl: streamUrl
+  });
+  if (!rateLimitResult.allowed) {
+    logger.warn('Rate limit exceeded', { clientIp, policy: rateLimitResult.policy?.name, retryAfter: rateLimitResult.retryAfter });
+    return { response: errorResponse(429, 'Rate limit exceeded', requestId, getRateLimitHeaders(rateLimitResult)) };
+  }
+
+  const userAgent = request.headers.get('user-agent');
+  const fetchUrl = (url, { method = 'GET', range = null, timeoutMs }) => fetchWithHeaderFallback(url, {
+    method,
+    headers: range ? { Range: range } : {},
+    signal: AbortSignal.timeout(timeoutMs)
+  }, logger, userAgent, source);
+
+  const planKey = `${streamUrl}|${variant}`;
+  let plan = getCachedDownloadPlan(planKey);
+
+  if (!plan) {
+    const planStartTime = Date.now();
+    updateDownloadProgress(downloadId, { phase: 'preparing', partsSized: 0 });
+
+    let result;
+    try {
+      result = await buildDownloadPlan(streamUrl, fetchUrl, {
+        variant,
+        onProgress: ({ partsSized, totalParts }) => updateDownloadProgress(downloadId, { phase: 'preparing', partsSized, totalParts })
+      });
+    } catch (error) {
+      // Network errors and timeouts from the upstream fetch, after its retry
+      logger.error('Download plan fetch failed', error, { downloadId });
+      result = { success: false, status: 502, error: `Failed to fetch stream: ${error.message}` };
+    }
+
+    if (!result.success) {
+      logger.warn('Download plan failed', { status: result.status, error: result.error });
+      updateDownloadProgress(downloadId, { phase: 'error', error: result.error });
+      return { response: errorResponse(result.status, result.error, requestId, { 'X-Download-Id': downloadId }) };
+    }
+
+    plan = result.plan;
+    cacheDownloadPlan(planKey, plan);
+    logger.timing('Download plan', planStartTime);
+  }
+
+  // A stale If-Range means the file changed; send the whole thing again
+  const ifRange = request.headers.get('if-range');
+  const rangeHeader = ifRange && ifRange !== plan.etag ? null : request.headers.get('range');
+  const range = parseRangeHeader(rangeHeader, plan.totalBytes);
+
+  const headers = {
+    'Content-Type': plan.contentType,
+    'Content-Disposition': buildContentDisposition(searchParams.get('filename') || getDefaultFilename(streamUrl), plan.extension),
+    'Accept-Ranges': 'bytes',
+    'ETag': plan.etag,
+    'Cache-Control': 'no-store',
+    'X-Download-Id': downloadId,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': EXPOSED_HEADERS,
+    ...getRateLimitHeaders(rateLimitResult)
+  };
+
+  if (range?.unsatisfiable) {
+    return {
+      response: new NextResponse(null, {
+        status: 416,
+        headers: { ...headers, 'Content-Range': `bytes */${plan.totalBytes}` }
+      })
+    };
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : plan.totalBytes - 1;
+
+  if (range) {
+    headers['Content-Range'] = `bytes ${start}-${end}/${plan.totalBytes}`;
+  }
+  headers['Content-Length'] = (end - start + 1).toString();
+
+  logger.info('Download prepared', {
+    downloadId,
+    format: plan.format,
+    parts: plan.parts.length,
+    totalBytes: plan.totalBytes,
+    range: range ? `${start}-${end}` : null
+  });
+
+  return { plan, fetchUrl, downloadId, start, end, status: range ? 206 : 200, headers };
+}
+
+/**
+ * GET /api/stream-proxy/download?url=...&exp=...&sig=...
+ *   [&variant=best|worst|<index>|<height>p][&filename=...][&id=...][&source=...]
+ * Streams the selected variant as one file. Progress for `id` is published
+ * at /api/stream-proxy/download/progress?id=...
+ */
+export async function GET(request) {
+  const requestId = generateRequestId('download');
+  const logger = createLogger(requestId);
+  const requestStartTime = Date.now();
+
+  const prepared = await prepareDownload(request, requestId, logger);
+  if (prepared.response) {
+    return prepared.response;
+  }
+
+  const { plan, fetchUrl, downloadId, start, end, status, headers } = prepared;
+  const abortController = new AbortController();
+  const progressBase = { totalBytes: plan.totalBytes, totalParts: plan.parts.length, rangeStart: start };
+
+  updateDownloadProgress(downloadId, { ...progressBase, phase: 'downloading', partsCompleted: 0, bytesSent: 0, error: null });
+
+  const chunks = streamDownload(plan, fetchUrl, {
+    start,
+    end,
+    signal: abortController.signal,
+    onProgress: ({ partsCompleted, bytesSent }) => updateDownloadProgress(downloadId, { phase: 'downloading', partsCompleted, bytesSent })
+  });
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+        if (done) {
+          updateDownloadProgress(downloadId, { phase: 'complete' });
+          logger.timing('Download', requestStartTime);
+          controller.close();
+          return;
+        }
+        controller.enqueue(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+      } catch (error) {
+        logger.error('Download failed', error, { downloadId });
+        updateDownloadProgress(downloadId, { phase: 'error', error: error.message });
+        controller.error(error);
+      }
+    },
+    cancel() {
+      // Client went away; a later Range request can resume from what it has
+      abortController.abort();
+      chunks.return();
+      updateDownloadProgress(downloadId, { phase: 'aborted' });
+      logger.info('Download cancelled by client', { downloadId });
+    }
+  });
+
+  return new NextResponse(body, { status, headers });
+}
+
+export async function HEAD(request) {
+  const requestId = generateRequestId('download');
+  const logger = createLogger(requestId);
+
+  const prepared = await prepareDownload(request, requestId, logger);
+  if (prepared.response) {
+    return new NextResponse(null, { status: prepared.response.status, headers: prepared.response.headers });
+  }
+
+  return new NextResponse(null, { status: prepared.status, headers: prepared.headers });
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+      'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Range, If-Range',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
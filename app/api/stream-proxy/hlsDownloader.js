@@ -0,0 +1,458 @@
+/**
+ * HLS to single-file downloads
+ * Resolves a playlist to one variant, sizes every segment up front (HEAD, or
+ * the playlist's byte ranges) so the file has a fixed length, then streams
+ * the segments in order: MPEG-TS segments concatenate into a playable .ts,
+ * fMP4 segments follow their init segment to form a fragmented .mp4.
+ * AES-128 segments are decrypted on the way through; the decrypted size is
+ * worked out from the last cipher block so byte offsets stay exact and
+ * `Range` requests can resume an interrupted download.
+ *
+ * Fetching is injected (`fetchUrl(url, { method, range, timeoutMs })`) the
+ * same way as in playlistInspector.js.
+ */
+
+import crypto from 'crypto';
+import { isMasterPlaylist, parseMasterPlaylist, parseMediaPlaylist } from './playlistInspector';
+import { isFmp4SegmentUrl } from './segmentCache';
+
+export const DEFAULT_DOWNLOAD_OPTIONS = {
+  sizeConcurrency: 6,
+  timeoutMs: 30000,
+  maxSegments: 5000,
+  planTtlMs: 30 * 60 * 1000,      // Keep sized plans long enough to resume
+  progressTtlMs: 60 * 60 * 1000
+};
+
+export const DOWNLOAD_FORMATS = {
+  ts: { contentType: 'video/mp2t', extension: 'ts' },
+  mp4: { contentType: 'video/mp4', extension: 'mp4' }
+};
+
+const AES_BLOCK_SIZE = 16;
+
+// Shared across route bundles in the same process (download + progress routes)
+const PLAN_CACHE_KEY = '__flyxStreamDownloadPlans';
+const PROGRESS_REGISTRY_KEY = '__flyxStreamDownloadProgress';
+
+function getGlobalMap(key) {
+  if (!globalThis[key]) {
+    globalThis[key] = new Map();
+  }
+  return globalThis[key];
+}
+
+function failure(status, error) {
+  return { success: false, status, error };
+}
+
+function formatByteRange(byteRange) {
+  return byteRange ? `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` : null;
+}
+
+async function fetchText(fetchUrl, url, options) {
+  const response = await fetchUrl(url, { timeoutMs: options.timeoutMs });
+  if (!response.ok) {
+    return { ok: false, status: response.status };
+  }
+  return { ok: true, body: await response.text() };
+}
+
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Pick a variant from a parsed master playlist.
+ * `selector` is 'best' (default), 'worst', a variant index, or a height such as '720p'.
+ * Variants whose audio lives in a separate rendition can't be combined into
+ * one file without a muxer, so automatic picks skip them.
+ */
+export function selectVariant(master, selector = 'best') {
+  const separateAudioGroups = new Set(
+    master.renditions
+      .filter(rendition => rendition.type === 'AUDIO' && rendition.uri)
+      .map(rendition => rendition.groupId)
+  );
+  const hasMuxedAudio = variant => !(variant.audio && separateAudioGroups.has(variant.audio));
+  const variants = master.variants.filter(variant => variant.uri);
+
+  let variant = null;
+  const value = (selector || 'best').toString().toLowerCase();
+
+  if (value === 'best' || value === 'worst') {
+    const candidates = variants.filter(hasMuxedAudio).sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0));
+    if (candidates.length === 0) {
+      return failure(422, 'All variants use separate audio renditions, which cannot be combined into a single file');
+    }
+    variant = value === 'best' ? candidates[0] : candidates[candidates.length - 1];
+  } else if (/^\d+p$/.test(value)) {
+    const height = parseInt(value, 10);
+    variant = variants
+      .filter(candidate => candidate.resolution?.height === height)
+      .sort((a, b) => (hasMuxedAudio(b) - hasMuxedAudio(a)) || ((b.bandwidth || 0) - (a.bandwidth || 0)))[0] || null;
+  } else if (/^\d+$/.test(value)) {
+    variant = variants[parseInt(value, 10)] || null;
+  }
+
+  if (!variant) {
+    return failure(400, `Unknown variant "${selector}"`);
+  }
+  if (!hasMuxedAudio(variant)) {
+    return failure(422, 'Variant uses a separate audio rendition, which cannot be combined into a single file');
+  }
+
+  return { success: true, variant };
+}
+
+/**
+ * IV for an AES-128 segment: the explicit IV attribute, or the media sequence
+ * number as a 128-bit big-endian integer
+ */
+export function getSegmentIv(key, sequence) {
+  const iv = Buffer.alloc(AES_BLOCK_SIZE);
+
+  if (key.iv) {
+    const hex = key.iv.replace(/^0x/i, '').padStart(AES_BLOCK_SIZE * 2, '0').slice(-AES_BLOCK_SIZE * 2);
+    Buffer.from(hex, 'hex').copy(iv);
+  } else {
+    iv.writeBigUInt64BE(BigInt(sequence), 8);
+  }
+
+  return iv;
+}
+
+export function decryptSegment(data, keyBytes, iv) {
+  const decipher = crypto.createDecipheriv('aes-128-cbc', keyBytes, iv);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Size of a resource from HEAD, falling back to a one-byte ranged GET
+ */
+async function probeResourceSize(fetchUrl, url, options) {
+  try {
+    const head = await fetchUrl(url, { method: 'HEAD', timeoutMs: options.timeoutMs });
+    const length = parseInt(head.headers.get('content-length'), 10);
+    if (head.ok && Number.isFinite(length) && length > 0) {
+      return length;
+    }
+  } catch (error) {
+    // Some CDNs reject HEAD; the ranged GET below still works
+  }
+
+  const response = await fetchUrl(url, { range: 'bytes=0-0', timeoutMs: options.timeoutMs });
+  await response.body?.cancel?.();
+  const total = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+  return response.ok && total ? parseInt(total[1], 10) : null;
+}
+
+/**
+ * Plaintext size of an AES-128 segment: decrypt the final block (using the
+ * block before it as the IV) and subtract the PKCS#7 padding
+ */
+async function getDecryptedSize(fetchUrl, part, encryptedSize, options) {
+  if (encryptedSize % AES_BLOCK_SIZE !== 0) {
+    return null;
+  }
+
+  const baseOffset = part.byteRange ? part.byteRange.offset : 0;
+  const tailLength = Math.min(encryptedSize, AES_BLOCK_SIZE * 2);
+  const tailStart = baseOffset + encryptedSize - tailLength;
+  const response = await fetchUrl(part.uri, {
+    range: `bytes=${tailStart}-${baseOffset + encryptedSize - 1}`,
+    timeoutMs: options.timeoutMs
+  });
+  if (!response.ok) {
+    return null;
+  }
+
+  const tail = Buffer.from(await response.arrayBuffer()).subarray(-tailLength);
+  const iv = tailLength > AES_BLOCK_SIZE ? tail.subarray(0, AES_BLOCK_SIZE) : part.key.iv;
+  const decipher = crypto.createDecipheriv('aes-128-cbc', part.key.bytes, iv);
+  decipher.setAutoPadding(false);
+  const lastBlock = Buffer.concat([decipher.update(tail.subarray(-AES_BLOCK_SIZE)), decipher.final()]);
+  const padding = lastBlock[AES_BLOCK_SIZE - 1];
+
+  return padding >= 1 && padding <= AES_BLOCK_SIZE ? encryptedSize - padding : null;
+}
+
+/**
+ * Resolve a playlist URL to a download plan: the ordered parts with their
+ * sizes, the container format and a validator for resumed requests.
+ * Returns { success: true, plan } or { success: false, status, error }.
+ */
+export async function buildDownloadPlan(url, fetchUrl, { variant: selector = 'best', onProgress = null, ...overrides } = {}) {
+  const options = { ...DEFAULT_DOWNLOAD_OPTIONS, ...overrides };
+
+  const playlist = await fetchText(fetchUrl, url, options);
+  if (!playlist.ok) {
+    return failure(502, `Playlist request failed (HTTP ${playlist.status})`);
+  }
+  if (!playlist.body.trimStart().startsWith('#EXTM3U')) {
+    return failure(422, 'Not an HLS playlist');
+  }
+
+  let mediaUrl = url;
+  let mediaBody = playlist.body;
+  let variant = null;
+
+  if (isMasterPlaylist(playlist.body)) {
+    const selection = selectVariant(parseMasterPlaylist(playlist.body, url), selector);
+    if (!selection.success) {
+      return selection;
+    }
+
+    variant = selection.variant;
+    mediaUrl = variant.uri;
+
+    const media = await fetchText(fetchUrl, mediaUrl, options);
+    if (!media.ok) {
+      return failure(502, `Media playlist request failed (HTTP ${media.status})`);
+    }
+    mediaBody = media.body;
+  }
+
+  const media = parseMediaPlaylist(mediaBody, mediaUrl);
+
+  if (!media.endList) {
+    return failure(422, 'Live streams cannot be downloaded');
+  }
+  if (media.segments.length === 0) {
+    return failure(422, 'Playlist has no segments');
+  }
+  if (media.segments.length > options.maxSegments) {
+    return failure(422, `Playlist has more than ${options.maxSegments} segments`);
+  }
+
+  const unsupportedMethod = media.encryption.methods.find(method => method !== 'AES-128');
+  if (unsupportedMethod) {
+    return failure(422, `${unsupportedMethod} encrypted streams cannot be downloaded`);
+  }
+
+  // Fetch each distinct key once
+  const keys = new Map();
+  for (const segment of media.segments) {
+    if (segment.key && !keys.has(segment.key.uri)) {
+      const response = segment.key.uri ? await fetchUrl(segment.key.uri, { timeoutMs: options.timeoutMs }) : null;
+      if (!response?.ok) {
+        return failure(502, 'Decryption key request failed');
+      }
+      const keyBytes = Buffer.from(await response.arrayBuffer());
+      if (keyBytes.length !== AES_BLOCK_SIZE) {
+        return failure(502, 'Decryption key has an unexpected length');
+      }
+      keys.set(segment.key.uri, keyBytes);
+    }
+  }
+
+  const parts = media.segments.map(segment => ({
+    uri: segment.uri,
+    sequence: segment.sequence,
+    byteRange: segment.byteRange,
+    key: segment.key ? { bytes: keys.get(segment.key.uri), iv: getSegmentIv(segment.key, segment.sequence) } : null,
+    size: null
+  }));
+
+  if (media.initSegment) {
+    parts.unshift({ uri: media.initSegment, sequence: null, byteRange: media.initSegmentByteRange, key: null, size: null, init: true });
+  }
+
+  let sized = 0;
+  const sizes = await mapWithConcurrency(parts, options.sizeConcurrency, async (part) => {
+    let size = part.byteRange ? part.byteRange.length : await probeResourceSize(fetchUrl, part.uri, options);
+    if (size && part.key) {
+      size = await getDecryptedSize(fetchUrl, part, size, options);
+    }
+
+    sized++;
+    onProgress?.({ partsSized: sized, totalParts: parts.length });
+    return size;
+  });
+
+  const unsizedIndex = sizes.findIndex(size => !size);
+  if (unsizedIndex !== -1) {
+    return failure(502, `Could not determine the size of segment ${unsizedIndex + 1}`);
+  }
+  parts.forEach((part, index) => { part.size = sizes[index]; });
+
+  const format = media.initSegment || isFmp4SegmentUrl(media.segments[0].uri) ? 'mp4' : 'ts';
+  const totalBytes = sizes.reduce((total, size) => total + size, 0);
+  const etag = crypto
+    .createHash('sha1')
+    .update(`${mediaUrl}\n${sizes.join(',')}`)
+    .digest('base64url');
+
+  return {
+    success: true,
+    plan: {
+      sourceUrl: url,
+      playlistUrl: mediaUrl,
+      variant: variant && {
+        bandwidth: variant.bandwidth,
+        resolution: variant.resolution,
+        codecs: variant.codecs
+      },
+      format,
+      ...DOWNLOAD_FORMATS[format],
+      parts,
+      totalBytes,
+      totalDuration: media.totalDuration,
+      etag: `"${etag}"`
+    }
+  };
+}
+
+/**
+ * Fetch, decrypt and verify a single part
+ */
+async function fetchPart(fetchUrl, part, index, options) {
+  const response = await fetchUrl(part.uri, { range: formatByteRange(part.byteRange), timeoutMs: options.timeoutMs });
+  if (!response.ok) {
+    throw new Error(`Segment ${index + 1} request failed (HTTP ${response.status})`);
+  }
+
+  let data = Buffer.from(await response.arrayBuffer());
+  if (part.key) {
+    data = decryptSegment(data, part.key.bytes, part.key.iv);
+  }
+
+  // A different size would shift every later byte offset and corrupt resumed downloads
+  if (data.length !== part.size) {
+    throw new Error(`Segment ${index + 1} size changed (expected ${part.size} bytes, got ${data.length})`);
+  }
+
+  return data;
+}
+
+/**
+ * Yield the bytes of the plan between `start` and `end` (inclusive), one
+ * segment at a time and in order. `onProgress` is called after each segment.
+ */
+export async function* streamDownload(plan, fetchUrl, { start = 0, end = plan.totalBytes - 1, onProgress = null, signal = null, ...overrides } = {}) {
+  const options = { ...DEFAULT_DOWNLOAD_OPTIONS, ...overrides };
+  let partStart = 0;
+  let bytesSent = 0;
+
+  for (let index = 0; index < plan.parts.length; index++) {
+    const part = plan.parts[index];
+    const partEnd = partStart + part.size - 1;
+
+    if (partEnd >= start && partStart <= end) {
+      if (signal?.aborted) {
+        return;
+      }
+
+      const data = await fetchPart(fetchUrl, part, index, options);
+      const chunk = data.subarray(Math.max(start - partStart, 0), Math.min(end, partEnd) - partStart + 1);
+      bytesSent += chunk.length;
+
+      yield chunk;
+      onProgress?.({ partsCompleted: index + 1, totalParts: plan.parts.length, bytesSent });
+    }
+
+    partStart = partEnd + 1;
+    if (partStart > end) {
+      break;
+    }
+  }
+}
+
+/**
+ * `Content-Disposition: attachment` with an ASCII fallback and an RFC 5987 UTF-8 name
+ */
+export function buildContentDisposition(filename, extension) {
+  const cleaned = (filename || 'video')
+    .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 150) || 'video';
+  const fullName = cleaned.toLowerCase().endsWith(`.${extension}`) ? cleaned : `${cleaned}.${extension}`;
+  const asciiName = fullName.normalize('NFKD').replace(/[^\x20-\x7e]/g, '').replace(/%/g, '') || `video.${extension}`;
+  const encodedName = encodeURIComponent(fullName).replace(/['()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
+// Plans are cached so resumed (Range) requests skip the sizing pass
+export function getCachedDownloadPlan(cacheKey, now = Date.now()) {
+  const plans = getGlobalMap(PLAN_CACHE_KEY);
+  const entry = plans.get(cacheKey);
+
+  if (entry && entry.expiresAt > now) {
+    return entry.plan;
+  }
+  plans.delete(cacheKey);
+  return null;
+}
+
+export function cacheDownloadPlan(cacheKey, plan, ttlMs = DEFAULT_DOWNLOAD_OPTIONS.planTtlMs, now = Date.now()) {
+  const plans = getGlobalMap(PLAN_CACHE_KEY);
+
+  plans.forEach((entry, key) => {
+    if (entry.expiresAt <= now) plans.delete(key);
+  });
+  plans.set(cacheKey, { plan, expiresAt: now + ttlMs });
+}
+
+/**
+ * Record progress for a download and notify subscribers.
+ * Phases: 'preparing', 'downloading', 'complete', 'aborted', 'error'.
+ */
+export function updateDownloadProgress(downloadId, update, now = Date.now()) {
+  const registry = getGlobalMap(PROGRESS_REGISTRY_KEY);
+  const entry = registry.get(downloadId) || { progress: { downloadId }, listeners: new Set() };
+
+  entry.progress = { ...entry.progress, ...update, updatedAt: now };
+  const { rangeStart = 0, bytesSent = 0, totalBytes } = entry.progress;
+  if (totalBytes) {
+    entry.progress.percent = Math.min(100, Math.round(((rangeStart + bytesSent) / totalBytes) * 1000) / 10);
+  }
+  registry.set(downloadId, entry);
+
+  entry.listeners.forEach(listener => {
+    try {
+      listener(entry.progress);
+    } catch (error) {
+      console.warn('[download] Progress listener failed:', error.message);
+    }
+  });
+
+  // Forget finished downloads nobody is watching
+  registry.forEach((other, id) => {
+    if (other.listeners.size === 0 && now - other.progress.updatedAt > DEFAULT_DOWNLOAD_OPTIONS.progressTtlMs) {
+      registry.delete(id);
+    }
+  });
+
+  return entry.progress;
+}
+
+export function getDownloadProgress(downloadId) {
+  return getGlobalMap(PROGRESS_REGISTRY_KEY).get(downloadId)?.progress || null;
+}
+
+/**
+ * Listen for progress updates; returns an unsubscribe function
+ */
+export function subscribeToDownloadProgress(downloadId, listener) {
+  const registry = getGlobalMap(PROGRESS_REGISTRY_KEY);
+  if (!registry.has(downloadId)) {
+    registry.set(downloadId, { progress: { downloadId, phase: 'pending', updatedAt: Date.now() }, listeners: new Set() });
+  }
+
+  const entry = registry.get(downloadId);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+}
@@ -0,0 +1,149 @@
+import { NextResponse } from 'next/server';
+import { inspectPlaylist, DEFAULT_INSPECTION_OPTIONS } from '../playlistInspector';
+import { checkProxySignature, getClientIp } from '../urlSigner';
+import { createRateLimiterFromEnv, getRateLimitHeaders } from '../rateLimiter';
+import { fetchWithHeaderFallback } from '../upstreamFetch';
+import { createLogger, generateRequestId } from '../requestLogger';
+
+// Inspections fan out to many upstream requests, so they get their own (stricter) policy
+const rateLimiter = createRateLimiterFromEnv();
+
+function parseSegmentCount(value) {
+  if (value === null) {
+    return DEFAULT_INSPECTION_OPTIONS.segmentsPerVariant;
+  }
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0
+    ? Math.min(parsed, DEFAULT_INSPECTION_OPTIONS.maxSegmentsPerVariant)
+    : DEFAULT_INSPECTION_OPTIONS.segmentsPerVariant;
+}
+
+/**
+ * GET /api/stream-proxy/inspect?url=...&exp=...&sig=...[&source=...][&segments=3]
+ * Accepts the same signed parameters as the stream proxy itself and returns a
+ * JSON health report for the playlist.
+ */
+export async function GET(request) {
+  const requestId = generateRequestId('inspect');
+  const logger = createLogger(requestId);
+  const requestStartTime = Date.now();
+  const clientIp = getClientIp(request);
+
+  const { searchParams } = new URL(request.url);
+  const streamUrl = searchParams.get('url');
+  const source = searchParams.get('source');
+
+  if (!streamUrl) {
+    return NextResponse.json({
+      success: false,
+      error: 'Stream URL parameter is required',
+      requestId
+    }, { status: 400 });
+  }
+
+  try {
+    const parsedUrl = new URL(streamUrl);
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new Error(`Unsupported protocol ${parsedUrl.protocol}`);
+    }
+  } catch (error) {
+    logger.error('Invalid stream URL format', error, { providedUrl: streamUrl });
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid stream URL format',
+      requestId
+    }, { status: 400 });
+  }
+
+  const signatureCheck = checkProxySignature(searchParams, clientIp, logger);
+  if (!signatureCheck.allowed) {
+    return NextResponse.json({
+      success: false,
+      error: signatureCheck.reason === 'expired' ? 'Proxy URL has expired' : 'Invalid proxy URL signature',
+      reason: signatureCheck.reason,
+      requestId
+    }, { status: 403 });
+  }
+
+  const rateLimitResult = await rateLimiter.check({
+    clientId: clientIp,
+    route: 'stream-proxy/inspect',
+    targetUrl: streamUrl
+  });
+  if (!rateLimitResult.allowed) {
+    logger.warn('Rate limit exceeded', {
+      clientIp,
+      policy: rateLimitResult.policy?.name,
+      retryAfter: rateLimitResult.retryAfter
+    });
+    return NextResponse.json({
+      success: false,
+      error: 'Rate limit exceeded',
+      retryAfter: rateLimitResult.retryAfter,
+      requestId
+    }, {
+      status: 429,
+      headers: getRateLimitHeaders(rateLimitResult)
+    });
+  }
+
+  const segmentsPerVariant = parseSegmentCount(searchParams.get('segments'));
+  const userAgent = request.headers.get('user-agent');
+
+  logger.info('Playlist inspection started', {
+    url: streamUrl.substring(0, 100),
+    source: source || 'unknown',
+    segmentsPerVariant
+  });
+
+  // Upstream requests go out with the same headers the proxy would use
+  const fetchUrl = (url, { range, timeoutMs }) => fetchWithHeaderFallback(url, {
+    method: 'GET',
+    headers: range ? { Range: range } : {},
+    signal: AbortSignal.timeout(timeoutMs)
+  }, logger, userAgent, source);
+
+  try {
+    const report = await inspectPlaylist(streamUrl, fetchUrl, { segmentsPerVariant });
+
+    logger.timing('Playlist inspection', requestStartTime);
+    logger.info('Playlist inspection finished', {
+      type: report.type,
+      variants: report.variants.length,
+      healthy: report.summary.healthy,
+      issues: report.summary.issues.length
+    });
+
+    return NextResponse.json({
+      success: true,
+      requestId,
+      ...report
+    }, {
+      headers: {
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*',
+        ...getRateLimitHeaders(rateLimitResult)
+      }
+    });
+  } catch (error) {
+    logger.error('Playlist inspection failed', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Playlist inspection failed',
+      details: error.message,
+      requestId
+    }, { status: 500 });
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept',
+      'Access-Control-Max-Age': '86400'
+    }
+  });
+}
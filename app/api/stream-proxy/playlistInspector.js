@@ -0,0 +1,452 @@
+/**
+ * HLS playlist health inspection
+ * Fetches a master (or media) playlist, parses its variants, fetches each
+ * variant's media playlist and probes its first segments, then returns a
+ * structured report: bandwidths, resolutions, codecs, missing segments,
+ * discontinuities and encryption.
+ *
+ * Fetching is injected (`fetchUrl(url, { range, signal })` resolving to a
+ * fetch Response) so the route can reuse the proxy's header fallback logic.
+ */
+
+import { parseAttributeList, resolvePlaylistUri } from './playlistRewriter';
+
+export const DEFAULT_INSPECTION_OPTIONS = {
+  segmentsPerVariant: 3,
+  maxSegmentsPerVariant: 10,
+  maxVariants: 8,
+  timeoutMs: 10000,
+  probeBytes: 1024
+};
+
+// Content types that mean an error page was served instead of media
+const ERROR_PAGE_CONTENT_TYPES = ['text/html', 'application/json'];
+
+function attributesToObject(attributeText) {
+  return Object.fromEntries(
+    parseAttributeList(attributeText).map(({ name, value }) => [name, value])
+  );
+}
+
+function parseResolution(value) {
+  const match = /^(\d+)x(\d+)$/.exec(value || '');
+  return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+}
+
+function toNumber(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// `<length>[@<offset>]`
+function parseByteRange(value, defaultOffset) {
+  const match = /^(\d+)(?:@(\d+))?$/.exec((value || '').trim());
+  if (!match) return null;
+  return {
+    length: parseInt(match[1], 10),
+    offset: match[2] !== undefined ? parseInt(match[2], 10) : defaultOffset
+  };
+}
+
+function safeResolve(reference, playlistUrl) {
+  try {
+    return resolvePlaylistUri(reference, playlistUrl);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a playlist is a master playlist (lists variants, not segments)
+ */
+export function isMasterPlaylist(content) {
+  return content.includes('#EXT-X-STREAM-INF');
+}
+
+/**
+ * Parse a master playlist into variants, alternate renditions and I-frame playlists
+ */
+export function parseMasterPlaylist(content, playlistUrl) {
+  const lines = content.split('\n').map(line => line.trim());
+  const report = {
+    version: null,
+    independentSegments: false,
+    variants: [],
+    renditions: [],
+    iFramePlaylists: [],
+    sessionKeys: []
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('#EXT-X-VERSION:')) {
+      report.version = parseInt(line.substring('#EXT-X-VERSION:'.length), 10);
+    } else if (line === '#EXT-X-INDEPENDENT-SEGMENTS') {
+      report.independentSegments = true;
+    } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attributes = attributesToObject(line.substring('#EXT-X-STREAM-INF:'.length));
+
+      // The variant URI is the next non-comment line
+      let uriLine = null;
+      while (i + 1 < lines.length && (lines[i + 1] === '' || lines[i + 1].startsWith('#'))) {
+        i++;
+      }
+      if (i + 1 < lines.length) {
+        uriLine = lines[++i];
+      }
+
+      report.variants.push({
+        uri: uriLine ? safeResolve(uriLine, playlistUrl) : null,
+        bandwidth: toNumber(attributes.BANDWIDTH),
+        averageBandwidth: toNumber(attributes['AVERAGE-BANDWIDTH']),
+        resolution: parseResolution(attributes.RESOLUTION),
+        codecs: attributes.CODECS ? attributes.CODECS.split(',').map(codec => codec.trim()) : [],
+        frameRate: toNumber(attributes['FRAME-RATE']),
+        audio: attributes.AUDIO || null,
+        subtitles: attributes.SUBTITLES || null
+      });
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attributes = attributesToObject(line.substring('#EXT-X-MEDIA:'.length));
+      report.renditions.push({
+        type: attributes.TYPE || null,
+        groupId: attributes['GROUP-ID'] || null,
+        name: attributes.NAME || null,
+        language: attributes.LANGUAGE || null,
+        default: attributes.DEFAULT === 'YES',
+        uri: attributes.URI ? safeResolve(attributes.URI, playlistUrl) : null
+      });
+    } else if (line.startsWith('#EXT-X-I-FRAME-STREAM-INF:')) {
+      const attributes = attributesToObject(line.substring('#EXT-X-I-FRAME-STREAM-INF:'.length));
+      report.iFramePlaylists.push({
+        uri: attributes.URI ? safeResolve(attributes.URI, playlistUrl) : null,
+        bandwidth: toNumber(attributes.BANDWIDTH),
+        resolution: parseResolution(attributes.RESOLUTION)
+      });
+    } else if (line.startsWith('#EXT-X-SESSION-KEY:')) {
+      const attributes = attributesToObject(line.substring('#EXT-X-SESSION-KEY:'.length));
+      report.sessionKeys.push({ method: attributes.METHOD || null, keyFormat: attributes.KEYFORMAT || 'identity' });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Parse a media playlist into segments plus discontinuity and encryption details
+ */
+export function parseMediaPlaylist(content, playlistUrl) {
+  const lines = content.split('\n').map(line => line.trim());
+  const report = {
+    targetDuration: null,
+    mediaSequence: 0,
+    playlistType: null,
+    endList: false,
+    initSegment: null,
+    initSegmentByteRange: null,
+    segments: [],
+    totalDuration: 0,
+    discontinuities: { count: 0, sequences: [] },
+    encryption: { encrypted: false, methods: [], keyCount: 0, keyFormats: [] }
+  };
+
+  let pendingDuration = null;
+  let pendingByteRange = null;
+  let lastByteRangeEnd = 0;
+  let pendingDiscontinuity = false;
+  let currentKey = null;
+
+  lines.forEach(line => {
+    if (!line) return;
+
+    if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      report.targetDuration = toNumber(line.substring('#EXT-X-TARGETDURATION:'.length));
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      report.mediaSequence = parseInt(line.substring('#EXT-X-MEDIA-SEQUENCE:'.length), 10) || 0;
+    } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+      report.playlistType = line.substring('#EXT-X-PLAYLIST-TYPE:'.length);
+    } else if (line === '#EXT-X-ENDLIST') {
+      report.endList = true;
+    } else if (line === '#EXT-X-DISCONTINUITY') {
+      pendingDiscontinuity = true;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attributes = attributesToObject(line.substring('#EXT-X-MAP:'.length));
+      report.initSegment = attributes.URI ? safeResolve(attributes.URI, playlistUrl) : null;
+      report.initSegmentByteRange = attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE, 0) : null;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attributes = attributesToObject(line.substring('#EXT-X-KEY:'.length));
+      const method = attributes.METHOD || 'NONE';
+      currentKey = method === 'NONE' ? null : {
+        method,
+        uri: attributes.URI ? safeResolve(attributes.URI, playlistUrl) : null,
+        iv: attributes.IV || null
+      };
+
+      if (currentKey) {
+        report.encryption.encrypted = true;
+        report.encryption.keyCount++;
+        if (!report.encryption.methods.includes(method)) {
+          report.encryption.methods.push(method);
+        }
+        const keyFormat = attributes.KEYFORMAT || 'identity';
+        if (!report.encryption.keyFormats.includes(keyFormat)) {
+          report.encryption.keyFormats.push(keyFormat);
+        }
+      }
+    } else if (line.startsWith('#EXTINF:')) {
+      pendingDuration = toNumber(line.substring('#EXTINF:'.length).split(',')[0]);
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      // Without an offset the sub-range continues where the previous one ended
+      pendingByteRange = parseByteRange(line.substring('#EXT-X-BYTERANGE:'.length), lastByteRangeEnd);
+      if (pendingByteRange) {
+        lastByteRangeEnd = pendingByteRange.offset + pendingByteRange.length;
+      }
+    } else if (!line.startsWith('#')) {
+      const sequence = report.mediaSequence + report.segments.length;
+
+      if (pendingDiscontinuity) {
+        report.discontinuities.count++;
+        report.discontinuities.sequences.push(sequence);
+      }
+
+      report.segments.push({
+        sequence,
+        uri: safeResolve(line, playlistUrl),
+        duration: pendingDuration,
+        discontinuity: pendingDiscontinuity,
+        byteRange: pendingByteRange,
+        encrypted: !!currentKey,
+        key: currentKey
+      });
+      report.totalDuration += pendingDuration || 0;
+
+      pendingDuration = null;
+      pendingByteRange = null;
+      pendingDiscontinuity = false;
+    }
+  });
+
+  report.totalDuration = Math.round(report.totalDuration * 1000) / 1000;
+  return report;
+}
+
+/**
+ * Fetch a URL and time it, never throwing
+ */
+async function timedFetch(fetchUrl, url, options, readBody) {
+  const startTime = Date.now();
+
+  try {
+    const response = await fetchUrl(url, options);
+    const latencyMs = Date.now() - startTime;
+    const result = {
+      status: response.status,
+      ok: response.ok,
+      latencyMs,
+      contentType: response.headers.get('content-type'),
+      contentLength: toNumber(response.headers.get('content-length')),
+      contentRange: response.headers.get('content-range')
+    };
+
+    if (readBody) {
+      result.body = await response.text();
+    } else {
+      // Only headers matter for probes; don't download the rest
+      await response.body?.cancel?.();
+    }
+
+    return result;
+  } catch (error) {
+    return {
+      status: null,
+      ok: false,
+      latencyMs: Date.now() - startTime,
+      error: error.name === 'TimeoutError' || error.name === 'AbortError' ? 'timeout' : error.message
+    };
+  }
+}
+
+/**
+ * Probe one segment with a small ranged GET
+ */
+async function probeSegment(fetchUrl, segment, options) {
+  const probe = await timedFetch(fetchUrl, segment.uri, {
+    range: `bytes=0-${options.probeBytes - 1}`,
+    timeoutMs: options.timeoutMs
+  }, false);
+
+  const contentType = (probe.contentType || '').split(';')[0].trim().toLowerCase();
+
+  return {
+    sequence: segment.sequence,
+    uri: segment.uri,
+    status: probe.status,
+    ok: probe.ok,
+    latencyMs: probe.latencyMs,
+    contentType: probe.contentType || null,
+    contentLength: probe.contentLength ?? null,
+    errorPage: ERROR_PAGE_CONTENT_TYPES.includes(contentType),
+    ...(probe.error && { error: probe.error })
+  };
+}
+
+/**
+ * Fetch a media playlist and probe its first segments
+ */
+async function inspectMediaPlaylist(fetchUrl, playlistUrl, options, preloaded = null) {
+  const fetched = preloaded || await timedFetch(fetchUrl, playlistUrl, { timeoutMs: options.timeoutMs }, true);
+  const playlist = {
+    status: fetched.status,
+    latencyMs: fetched.latencyMs,
+    contentType: fetched.contentType || null
+  };
+
+  if (!fetched.ok) {
+    return { playlist: { ...playlist, error: fetched.error || `HTTP ${fetched.status}` }, segments: [], missingSegments: [] };
+  }
+
+  if (!fetched.body.trimStart().startsWith('#EXTM3U')) {
+    return { playlist: { ...playlist, error: 'Not an HLS playlist' }, segments: [], missingSegments: [] };
+  }
+
+  const parsed = parseMediaPlaylist(fetched.body, playlistUrl);
+  const toProbe = parsed.segments.filter(segment => segment.uri).slice(0, options.segmentsPerVariant);
+  const segments = await Promise.all(toProbe.map(segment => probeSegment(fetchUrl, segment, options)));
+
+  return {
+    playlist: {
+      ...playlist,
+      targetDuration: parsed.targetDuration,
+      mediaSequence: parsed.mediaSequence,
+      playlistType: parsed.playlistType,
+      endList: parsed.endList,
+      segmentCount: parsed.segments.length,
+      totalDuration: parsed.totalDuration,
+      initSegment: parsed.initSegment,
+      discontinuities: parsed.discontinuities,
+      encryption: parsed.encryption
+    },
+    segments,
+    missingSegments: segments.filter(segment => !segment.ok || segment.errorPage).map(segment => segment.sequence)
+  };
+}
+
+/**
+ * Summarize problems into human readable issues
+ */
+function summarize(report) {
+  const issues = [];
+
+  if (report.master && !report.master.ok) {
+    issues.push(`Playlist request failed: ${report.master.error || `HTTP ${report.master.status}`}`);
+  }
+
+  report.variants.forEach((variant, index) => {
+    const label = variant.resolution ? `${variant.resolution.height}p` : `variant ${index + 1}`;
+
+    if (variant.playlist?.error) {
+      issues.push(`${label}: media playlist unavailable (${variant.playlist.error})`);
+      return;
+    }
+    if (variant.missingSegments.length > 0) {
+      issues.push(`${label}: ${variant.missingSegments.length} of ${variant.segments.length} probed segments failed`);
+    }
+    if (variant.playlist?.segmentCount === 0) {
+      issues.push(`${label}: media playlist has no segments`);
+    }
+    if (variant.playlist?.discontinuities?.count > 0) {
+      issues.push(`${label}: ${variant.playlist.discontinuities.count} discontinuities`);
+    }
+    if (variant.playlist?.encryption?.methods.some(method => method !== 'AES-128')) {
+      issues.push(`${label}: uses ${variant.playlist.encryption.methods.join(', ')} encryption, which may need DRM support`);
+    }
+  });
+
+  if (report.skippedVariants > 0) {
+    issues.push(`${report.skippedVariants} variants not inspected (limit ${report.options.maxVariants})`);
+  }
+
+  const healthy = !!report.master?.ok &&
+    report.variants.length > 0 &&
+    report.variants.every(variant => !variant.playlist?.error && variant.missingSegments.length === 0);
+
+  return { healthy, issues };
+}
+
+/**
+ * Inspect a stream URL and build a health report
+ */
+export async function inspectPlaylist(url, fetchUrl, options = {}) {
+  const settings = { ...DEFAULT_INSPECTION_OPTIONS, ...options };
+  settings.segmentsPerVariant = Math.max(0, Math.min(settings.segmentsPerVariant, settings.maxSegmentsPerVariant));
+
+  const startTime = Date.now();
+  const fetched = await timedFetch(fetchUrl, url, { timeoutMs: settings.timeoutMs }, true);
+  const report = {
+    url,
+    inspectedAt: new Date(startTime).toISOString(),
+    type: null,
+    master: {
+      ok: fetched.ok,
+      status: fetched.status,
+      latencyMs: fetched.latencyMs,
+      contentType: fetched.contentType || null,
+      ...(fetched.error && { error: fetched.error })
+    },
+    variants: [],
+    skippedVariants: 0,
+    options: {
+      segmentsPerVariant: settings.segmentsPerVariant,
+      maxVariants: settings.maxVariants
+    }
+  };
+
+  if (fetched.ok && !fetched.body.trimStart().startsWith('#EXTM3U')) {
+    report.master = { ...report.master, ok: false, error: 'Not an HLS playlist' };
+  }
+
+  if (report.master.ok) {
+    if (isMasterPlaylist(fetched.body)) {
+      const master = parseMasterPlaylist(fetched.body, url);
+      const variants = master.variants.filter(variant => variant.uri);
+
+      report.type = 'master';
+      report.master = {
+        ...report.master,
+        version: master.version,
+        independentSegments: master.independentSegments,
+        variantCount: master.variants.length,
+        renditions: master.renditions,
+        iFramePlaylists: master.iFramePlaylists.length,
+        sessionKeys: master.sessionKeys
+      };
+      report.skippedVariants = Math.max(0, variants.length - settings.maxVariants);
+
+      // One variant at a time keeps the upstream load modest
+      for (const variant of variants.slice(0, settings.maxVariants)) {
+        report.variants.push({
+          ...variant,
+          ...(await inspectMediaPlaylist(fetchUrl, variant.uri, settings))
+        });
+      }
+    } else {
+      report.type = 'media';
+      report.variants.push({
+        uri: url,
+        bandwidth: null,
+        averageBandwidth: null,
+        resolution: null,
+        codecs: [],
+        frameRate: null,
+        audio: null,
+        subtitles: null,
+        ...(await inspectMediaPlaylist(fetchUrl, url, settings, fetched))
+      });
+    }
+  }
+
+  report.summary = summarize(report);
+  report.durationMs = Date.now() - startTime;
+
+  return report;
+}
@@ -0,0 +1,169 @@
+/**
+ * HLS playlist rewriter for the stream proxy
+ * Routes every URI in a playlist through the proxy: bare segment/variant
+ * lines as well as URI attributes inside tags (EXT-X-KEY, EXT-X-MAP,
+ * EXT-X-MEDIA, EXT-X-I-FRAME-STREAM-INF, EXT-X-SESSION-DATA, ...).
+ * Everything except the URI values is preserved byte for byte.
+ */
+
+// Tags whose attribute lists may carry a URI attribute (RFC 8216 + LL-HLS)
+export const URI_ATTRIBUTE_TAGS = [
+  'EXT-X-KEY',
+  'EXT-X-SESSION-KEY',
+  'EXT-X-MAP',
+  'EXT-X-MEDIA',
+  'EXT-X-I-FRAME-STREAM-INF',
+  'EXT-X-SESSION-DATA',
+  'EXT-X-PART',
+  'EXT-X-PRELOAD-HINT',
+  'EXT-X-RENDITION-REPORT'
+];
+
+/**
+ * Parse an HLS attribute list (`NAME=VALUE,NAME="quoted, value",...`).
+ * Each attribute keeps the offsets of its value within the input so callers
+ * can splice replacements without re-serializing the rest of the tag.
+ */
+export function parseAttributeList(input) {
+  const attributes = [];
+  let position = 0;
+
+  while (position < input.length) {
+    // Skip separators and stray whitespace between attributes
+    while (position < input.length && (input[position] === ',' || input[position] === ' ')) {
+      position++;
+    }
+    if (position >= input.length) break;
+
+    const equalsIndex = input.indexOf('=', position);
+    if (equalsIndex === -1) {
+      // Trailing garbage without a value; nothing more to parse
+      break;
+    }
+
+    const name = input.substring(position, equalsIndex).trim();
+    let valueStart = equalsIndex + 1;
+    let valueEnd;
+    let quoted = false;
+
+    if (input[valueStart] === '"') {
+      quoted = true;
+      valueStart++;
+      const closingQuote = input.indexOf('"', valueStart);
+      valueEnd = closingQuote === -1 ? input.length : closingQuote;
+      position = closingQuote === -1 ? input.length : closingQuote + 1;
+    } else {
+      const nextComma = input.indexOf(',', valueStart);
+      valueEnd = nextComma === -1 ? input.length : nextComma;
+      position = valueEnd;
+    }
+
+    attributes.push({
+      name,
+      value: input.substring(valueStart, valueEnd),
+      quoted,
+      valueStart,
+      valueEnd
+    });
+  }
+
+  return attributes;
+}
+
+/**
+ * Resolve a playlist reference against the playlist URL.
+ * Returns null for references the proxy cannot or should not fetch
+ * (data: URIs, FairPlay skd:// keys, ...).
+ */
+export function resolvePlaylistUri(reference, playlistUrl) {
+  const resolved = new URL(reference, playlistUrl);
+  if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+    return null;
+  }
+  return resolved.href;
+}
+
+/**
+ * Rewrite the URI attributes of a single tag line. Returns the line
+ * unchanged when the tag carries no rewritable URI.
+ */
+export function rewriteTagLine(line, playlistUrl, toProxyUrl) {
+  const colonIndex = line.indexOf(':');
+  if (colonIndex === -1) return { line, rewritten: 0 };
+
+  const tagName = line.substring(1, colonIndex);
+  if (!URI_ATTRIBUTE_TAGS.includes(tagName)) return { line, rewritten: 0 };
+
+  const attributeText = line.substring(colonIndex + 1);
+  const uriAttributes = parseAttributeList(attributeText)
+    .filter(attribute => attribute.name === 'URI' && attribute.quoted && attribute.value);
+
+  let rewrittenText = attributeText;
+  let rewritten = 0;
+
+  // Splice from the end so earlier offsets stay valid
+  for (const attribute of uriAttributes.reverse()) {
+    const targetUrl = resolvePlaylistUri(attribute.value, playlistUrl);
+    if (!targetUrl) continue;
+
+    rewrittenText = rewrittenText.substring(0, attribute.valueStart) +
+      toProxyUrl(targetUrl) +
+      rewrittenText.substring(attribute.valueEnd);
+    rewritten++;
+  }
+
+  return {
+    line: `${line.substring(0, colonIndex + 1)}${rewrittenText}`,
+    rewritten
+  };
+}
+
+/**
+ * Rewrite every URI in an M3U8 playlist through `toProxyUrl(absoluteUrl)`.
+ * Returns the rewritten content plus counters for logging; lines that fail
+ * to resolve are kept as-is and reported in `failures`.
+ */
+export function rewritePlaylist(content, playlistUrl, toProxyUrl) {
+  const lines = content.split('\n');
+  const stats = {
+    totalLines: lines.length,
+    uriLines: 0,
+    tagUris: 0,
+    failures: []
+  };
+
+  const processedLines = lines.map((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (!line) {
+      return line;
+    }
+
+    try {
+      if (line.startsWith('#EXT')) {
+        const result = rewriteTagLine(line, playlistUrl, toProxyUrl);
+        stats.tagUris += result.rewritten;
+        return result.line;
+      }
+
+      if (line.startsWith('#')) {
+        // Plain comment
+        return line;
+      }
+
+      const targetUrl = resolvePlaylistUri(line, playlistUrl);
+      if (!targetUrl) return line;
+
+      stats.uriLines++;
+      return toProxyUrl(targetUrl);
+    } catch (error) {
+      stats.failures.push({ lineNumber: index + 1, line: line.substring(0, 100), error: error.message });
+      return line;
+    }
+  });
+
+  return {
+    content: processedLines.join('\n'),
+    stats
+  };
+}
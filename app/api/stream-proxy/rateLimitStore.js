@@ -0,0 +1,429 @@
+/**
+ * Rate limit stores for the stream proxy
+ * A store is a tiny expiring key/value interface the limiter builds its
+ * counters on:
+ *   increment(key, ttlMs) -> new integer value (key expires ttlMs after creation)
+ *   get(key)              -> string value or null
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *
+ * - memory: per-instance Map, lost on cold start (default)
+ * - filesystem: one JSON file per key, survives restarts on a persistent volume
+ * - redis: any server speaking the Redis protocol, shared across instances
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import tls from 'tls';
+import { promises as fs } from 'fs';
+
+export const DEFAULT_RATE_LIMIT_STORE_CONFIG = {
+  store: 'memory',
+  directory: path.join(os.tmpdir(), 'flyx-rate-limit'),
+  redisUrl: 'redis://127.0.0.1:6379',
+  keyPrefix: 'flyx:ratelimit:',
+  commandTimeoutMs: 1000
+};
+
+// Sweep expired memory entries every N writes
+const MEMORY_SWEEP_INTERVAL = 1000;
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+    this.writes = 0;
+  }
+
+  readEntry(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  recordWrite() {
+    this.writes++;
+    if (this.writes % MEMORY_SWEEP_INTERVAL === 0) {
+      this.sweep();
+    }
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const entry = this.readEntry(key, now);
+    const value = entry ? Number(entry.value) + 1 : 1;
+
+    this.entries.set(key, {
+      value: value.toString(),
+      expiresAt: entry ? entry.expiresAt : now + ttlMs
+    });
+    this.recordWrite();
+    return value;
+  }
+
+  async get(key) {
+    return this.readEntry(key)?.value ?? null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+    this.recordWrite();
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * File-per-key store. Writes go through a temp file and rename so readers
+ * never see partial JSON; increments are not atomic across processes, so use
+ * it for a single instance that needs limits to survive restarts.
+ */
+export class FileSystemRateLimitStore {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_RATE_LIMIT_STORE_CONFIG.directory;
+    this.readyPromise = null;
+  }
+
+  ensureReady() {
+    if (!this.readyPromise) {
+      this.readyPromise = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.readyPromise;
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async readEntry(key) {
+    await this.ensureReady();
+    const filePath = this.filePath(key);
+
+    try {
+      const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(filePath, { force: true });
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeEntry(key, entry) {
+    await this.ensureReady();
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(entry));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async increment(key, ttlMs) {
+    const entry = await this.readEntry(key);
+    const value = entry ? Number(entry.value) + 1 : 1;
+
+    await this.writeEntry(key, {
+      value: value.toString(),
+      expiresAt: entry ? entry.expiresAt : Date.now() + ttlMs
+    });
+    return value;
+  }
+
+  async get(key) {
+    return (await this.readEntry(key))?.value ?? null;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.writeEntry(key, { value: String(value), expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    await this.ensureReady();
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async close() {}
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+export function encodeRespCommand(args) {
+  let output = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    output += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return output;
+}
+
+/**
+ * Parse one RESP reply from `buffer` starting at `offset`.
+ * Returns { value, offset } or null when the reply is incomplete.
+ * Error replies are returned as Error instances.
+ */
+export function parseRespReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseRespReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+/**
+ * Minimal pipelined Redis protocol connection (no external dependency).
+ * Replies are matched to commands in FIFO order; the socket is dropped and
+ * re-created on errors or command timeouts. Connecting gets the same timeout
+ * as a command, so an unreachable server fails open instead of hanging.
+ */
+export class RedisConnection {
+  constructor(redisUrl, options = {}) {
+    const parsed = new URL(redisUrl);
+
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port, 10) || 6379;
+    this.useTls = parsed.protocol === 'rediss:';
+    this.username = decodeURIComponent(parsed.username || '');
+    this.password = decodeURIComponent(parsed.password || '');
+    this.database = parseInt(parsed.pathname.replace('/', ''), 10) || 0;
+    this.commandTimeoutMs = options.commandTimeoutMs || DEFAULT_RATE_LIMIT_STORE_CONFIG.commandTimeoutMs;
+
+    this.socket = null;
+    this.connectPromise = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.connectPromise) return this.connectPromise;
+
+    const connectPromise = new Promise((resolve, reject) => {
+      const socket = this.useTls
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.createConnection({ host: this.host, port: this.port });
+
+      const onConnectError = (error) => {
+        clearTimeout(timer);
+        this.reset(error);
+        reject(error);
+      };
+      const timer = setTimeout(() => {
+        socket.removeAllListeners();
+        socket.on('error', () => {});
+        socket.destroy();
+        onConnectError(new Error(`Redis connection timed out after ${this.commandTimeoutMs}ms`));
+      }, this.commandTimeoutMs);
+
+      socket.once('error', onConnectError);
+      socket.once(this.useTls ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        socket.removeListener('error', onConnectError);
+        socket.on('error', error => this.reset(error));
+        socket.on('close', () => this.reset(new Error('Redis connection closed')));
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.setNoDelay(true);
+        this.socket = socket;
+        resolve(this.authenticate());
+      });
+    });
+    connectPromise.catch(error => {
+      // Connect again on the next command, e.g. after a failed AUTH
+      if (this.connectPromise === connectPromise) this.reset(error);
+    });
+
+    this.connectPromise = connectPromise;
+    return connectPromise;
+  }
+
+  async authenticate() {
+    if (this.password) {
+      await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+    }
+    if (this.database) {
+      await this.send(['SELECT', this.database]);
+    }
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.pending.length > 0 && (reply = parseRespReply(this.buffer)) !== null) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  }
+
+  reset(error) {
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.destroy();
+    }
+    this.socket = null;
+    this.connectPromise = null;
+    this.buffer = Buffer.alloc(0);
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Redis connection is not open'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.reset(new Error(`Redis command timed out: ${args[0]}`));
+      }, this.commandTimeoutMs);
+
+      this.pending.push({ resolve, reject, timer });
+      this.socket.write(encodeRespCommand(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async quit() {
+    if (!this.socket) return;
+    try {
+      await this.send(['QUIT']);
+    } catch (error) {
+      // Closing anyway
+    }
+    this.reset(new Error('Redis connection closed'));
+  }
+}
+
+export class RedisRateLimitStore {
+  constructor(options = {}) {
+    this.keyPrefix = options.keyPrefix ?? DEFAULT_RATE_LIMIT_STORE_CONFIG.keyPrefix;
+    this.connection = options.connection || new RedisConnection(
+      options.redisUrl || DEFAULT_RATE_LIMIT_STORE_CONFIG.redisUrl,
+      { commandTimeoutMs: options.commandTimeoutMs }
+    );
+  }
+
+  async increment(key, ttlMs) {
+    const redisKey = `${this.keyPrefix}${key}`;
+    const value = await this.connection.command('INCR', redisKey);
+
+    // First hit creates the counter; give it its lifetime
+    if (value === 1) {
+      await this.connection.command('PEXPIRE', redisKey, Math.ceil(ttlMs));
+    }
+    return value;
+  }
+
+  async get(key) {
+    return this.connection.command('GET', `${this.keyPrefix}${key}`);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.connection.command('SET', `${this.keyPrefix}${key}`, String(value), 'PX', Math.ceil(ttlMs));
+  }
+
+  async delete(key) {
+    await this.connection.command('DEL', `${this.keyPrefix}${key}`);
+  }
+
+  async close() {
+    await this.connection.quit();
+  }
+}
+
+export function getRateLimitStoreConfigFromEnv(env = process.env) {
+  return {
+    store: env.STREAM_PROXY_RATE_LIMIT_STORE || DEFAULT_RATE_LIMIT_STORE_CONFIG.store,
+    directory: env.STREAM_PROXY_RATE_LIMIT_DIR || DEFAULT_RATE_LIMIT_STORE_CONFIG.directory,
+    redisUrl: env.STREAM_PROXY_RATE_LIMIT_REDIS_URL || env.REDIS_URL || DEFAULT_RATE_LIMIT_STORE_CONFIG.redisUrl,
+    keyPrefix: env.STREAM_PROXY_RATE_LIMIT_PREFIX || DEFAULT_RATE_LIMIT_STORE_CONFIG.keyPrefix
+  };
+}
+
+export function createRateLimitStore(options = {}) {
+  const config = { ...DEFAULT_RATE_LIMIT_STORE_CONFIG, ...options };
+
+  switch (config.store) {
+    case 'filesystem':
+      return new FileSystemRateLimitStore(config);
+    case 'redis':
+      return new RedisRateLimitStore(config);
+    case 'memory':
+    default:
+      return new MemoryRateLimitStore();
+  }
+}
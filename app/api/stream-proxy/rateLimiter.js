@@ -0,0 +1,188 @@
+/**
+ * Sliding-window rate limiter for the stream proxy
+ * Counts requests per client in fixed windows and estimates the rolling rate
+ * as `previous * overlap + current`, which smooths out the burst a fixed
+ * window allows at every boundary while needing only two counters per
+ * client. Counters live in a pluggable store (see rateLimitStore.js) so
+ * limits can be shared across instances.
+ *
+ * Policies are matched per route and upstream host; the first match wins.
+ * Defaults come from rateLimitPolicies.json and can be replaced with
+ * STREAM_PROXY_RATE_LIMIT_POLICIES (a JSON array of the same shape).
+ */
+
+import defaultPolicies from './rateLimitPolicies.json';
+import { createRateLimitStore, getRateLimitStoreConfigFromEnv } from './rateLimitStore';
+
+export const DEFAULT_RATE_LIMIT_POLICIES = defaultPolicies;
+
+/**
+ * Whether `hostname` is `host` or one of its subdomains
+ */
+function hostMatches(hostname, host) {
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+function getHostname(targetUrl) {
+  try {
+    return new URL(targetUrl).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Pick the first policy matching the route and the upstream host
+ */
+export function selectRateLimitPolicy(policies, { route, targetUrl } = {}) {
+  const hostname = targetUrl ? getHostname(targetUrl) : null;
+
+  return policies.find(policy => {
+    if (policy.routes && !policy.routes.includes(route)) {
+      return false;
+    }
+    if (policy.hosts && !(hostname && policy.hosts.some(host => hostMatches(hostname, host.toLowerCase())))) {
+      return false;
+    }
+    return true;
+  }) || null;
+}
+
+/**
+ * Load policies from the environment, falling back to the bundled defaults
+ */
+export function getRateLimitPoliciesFromEnv(env = process.env) {
+  if (!env.STREAM_PROXY_RATE_LIMIT_POLICIES) {
+    return DEFAULT_RATE_LIMIT_POLICIES;
+  }
+
+  try {
+    const policies = JSON.parse(env.STREAM_PROXY_RATE_LIMIT_POLICIES);
+    if (!Array.isArray(policies) || policies.some(policy => !policy.name || !(policy.limit > 0) || !(policy.windowMs > 0))) {
+      throw new Error('each policy needs a name, a positive limit and a positive windowMs');
+    }
+    return policies;
+  } catch (error) {
+    console.error('[rate-limit] Ignoring invalid STREAM_PROXY_RATE_LIMIT_POLICIES:', error.message);
+    return DEFAULT_RATE_LIMIT_POLICIES;
+  }
+}
+
+export class SlidingWindowRateLimiter {
+  constructor({ store, policies = DEFAULT_RATE_LIMIT_POLICIES } = {}) {
+    this.store = store || createRateLimitStore();
+    this.policies = policies;
+  }
+
+  /**
+   * Count a request from `clientId` and decide whether it may proceed.
+   * Store failures fail open so an unreachable Redis never takes playback down.
+   */
+  async check({ clientId, route, targetUrl, now = Date.now() }) {
+    const policy = selectRateLimitPolicy(this.policies, { route, targetUrl });
+    if (!policy) {
+      return { allowed: true, policy: null };
+    }
+
+    const { name, limit, windowMs, blockDurationMs = 0 } = policy;
+    const baseKey = `${name}:${clientId}`;
+    const windowIndex = Math.floor(now / windowMs);
+    const elapsed = now - windowIndex * windowMs;
+    const resetSeconds = Math.max(1, Math.ceil((windowMs - elapsed) / 1000));
+    const result = { policy: { name, limit, windowMs }, limit, resetSeconds };
+
+    try {
+      const blockedUntil = Number(await this.store.get(`${baseKey}:block`));
+      if (blockedUntil > now) {
+        const retryAfter = Math.ceil((blockedUntil - now) / 1000);
+        return { ...result, allowed: false, blocked: true, remaining: 0, resetSeconds: retryAfter, retryAfter };
+      }
+
+      const [previousRaw, currentRaw] = await Promise.all([
+        this.store.get(`${baseKey}:${windowIndex - 1}`),
+        this.store.get(`${baseKey}:${windowIndex}`)
+      ]);
+      const previous = Number(previousRaw) || 0;
+      const current = Number(currentRaw) || 0;
+      const overlap = (windowMs - elapsed) / windowMs;
+      const estimated = previous * overlap + current;
+
+      if (estimated + 1 > limit) {
+        if (blockDurationMs > 0) {
+          await this.store.set(`${baseKey}:block`, now + blockDurationMs, blockDurationMs);
+          const retryAfter = Math.ceil(blockDurationMs / 1000);
+          return { ...result, allowed: false, blocked: true, remaining: 0, resetSeconds: retryAfter, retryAfter };
+        }
+
+        return {
+          ...result,
+          allowed: false,
+          blocked: false,
+          remaining: 0,
+          retryAfter: this.secondsUntilAllowed({ previous, current, limit, windowMs, elapsed })
+        };
+      }
+
+      // Counters must outlive the following window, which still reads them as `previous`
+      const count = await this.store.increment(`${baseKey}:${windowIndex}`, windowMs * 2);
+      const remaining = Math.max(0, Math.floor(limit - (previous * overlap + count)));
+
+      return { ...result, allowed: true, blocked: false, remaining };
+    } catch (error) {
+      console.warn('[rate-limit] Store unavailable, allowing request:', error.message);
+      return { ...result, allowed: true, blocked: false, remaining: limit, storeError: error.message };
+    }
+  }
+
+  /**
+   * Seconds until the sliding estimate leaves room for one more request
+   */
+  secondsUntilAllowed({ previous, current, limit, windowMs, elapsed }) {
+    if (current + 1 > limit || previous === 0) {
+      return Math.max(1, Math.ceil((windowMs - elapsed) / 1000));
+    }
+
+    // previous * (windowMs - t) / windowMs + current + 1 <= limit
+    const allowedAt = windowMs - ((limit - current - 1) * windowMs) / previous;
+    return Math.max(1, Math.ceil((allowedAt - elapsed) / 1000));
+  }
+}
+
+/**
+ * Standard RateLimit-* headers (IETF draft) plus the legacy X-RateLimit-*
+ * pair existing clients read
+ */
+export function getRateLimitHeaders(result, now = Date.now()) {
+  if (!result?.policy) {
+    return {};
+  }
+
+  const headers = {
+    'RateLimit-Policy': `${result.limit};w=${Math.round(result.policy.windowMs / 1000)}`,
+    'RateLimit-Limit': result.limit.toString(),
+    'RateLimit-Remaining': (result.remaining ?? 0).toString(),
+    'RateLimit-Reset': result.resetSeconds.toString(),
+    'X-RateLimit-Remaining': (result.remaining ?? 0).toString(),
+    'X-RateLimit-Reset': new Date(now + result.resetSeconds * 1000).toISOString()
+  };
+
+  if (!result.allowed) {
+    headers['Retry-After'] = result.retryAfter.toString();
+  }
+
+  return headers;
+}
+
+export function applyRateLimitHeaders(responseHeaders, result) {
+  Object.entries(getRateLimitHeaders(result)).forEach(([name, value]) => {
+    responseHeaders.set(name, value);
+  });
+  return responseHeaders;
+}
+
+export function createRateLimiterFromEnv(env = process.env) {
+  return new SlidingWindowRateLimiter({
+    store: createRateLimitStore(getRateLimitStoreConfigFromEnv(env)),
+    policies: getRateLimitPoliciesFromEnv(env)
+  });
+}
@@ -0,0 +1,39 @@
+/**
+ * Request-scoped logging for the stream proxy routes
+ * Every line is prefixed with the request id so concurrent requests can be
+ * told apart in the server logs.
+ */
+
+export function createLogger(requestId) {
+  return {
+    info: (message, data = {}) => {
+      console.log(`[${requestId}] INFO: ${message}`, JSON.stringify(data, null, 2));
+    },
+    warn: (message, data = {}) => {
+      console.warn(`[${requestId}] WARN: ${message}`, JSON.stringify(data, null, 2));
+    },
+    error: (message, error = null, data = {}) => {
+      console.error(`[${requestId}] ERROR: ${message}`, {
+        error: error ? {
+          name: error.name,
+          message: error.message,
+          stack: error.stack
+        } : null,
+        ...data
+      });
+    },
+    debug: (message, data = {}) => {
+      console.log(`[${requestId}] DEBUG: ${message}`, JSON.stringify(data, null, 2));
+    },
+    timing: (label, startTime) => {
+      const duration = Date.now() - startTime;
+      console.log(`[${requestId}] TIMING: ${label} took ${duration}ms`);
+      return duration;
+    }
+  };
+}
+
+// Prefix names the route, e.g. proxy_1700000000000 or download_1700000000000
+export function generateRequestId(prefix = 'proxy') {
+  return `${prefix}_${Date.now()}`;
+}
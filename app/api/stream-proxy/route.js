@@ -1,54 +1,35 @@
 import { NextResponse } from 'next/server';
+import {
+  CACHE_ENTRY_KINDS,
+  classifyPlaylist,
+  createSegmentCache,
+  getSegmentCacheConfigFromEnv,
+  isFmp4SegmentUrl,
+  parseRangeHeader
+} from './segmentCache';
+import { rewritePlaylist } from './playlistRewriter';
+import { isDashManifest, rewriteDashManifest } from './dashManifestRewriter';
+import { buildProxyUrl, checkProxySignature, getClientIp, getDefaultUrlSigner } from './urlSigner';
+import { applyRateLimitHeaders, createRateLimiterFromEnv, getRateLimitHeaders } from './rateLimiter';
+import { fetchWithHeaderFallback } from './upstreamFetch';
+import { createLogger, generateRequestId } from './requestLogger';
 
-// Enhanced rate limiting store (in-memory for simplicity)
-const rateLimitStore = new Map();
 const connectionPool = new Map();
 
-// Active logger for stream-proxy debugging
-function createLogger(requestId) {
-  return {
-    info: (message, data = {}) => {
-      console.log(`[${requestId}] INFO: ${message}`, JSON.stringify(data, null, 2));
-    },
-    warn: (message, data = {}) => {
-      console.warn(`[${requestId}] WARN: ${message}`, JSON.stringify(data, null, 2));
-    },
-    error: (message, error = null, data = {}) => {
-      console.error(`[${requestId}] ERROR: ${message}`, {
-        error: error ? {
-          name: error.name,
-          message: error.message,
-          stack: error.stack
-        } : null,
-        ...data
-      });
-    },
-    debug: (message, data = {}) => {
-      console.log(`[${requestId}] DEBUG: ${message}`, JSON.stringify(data, null, 2));
-    },
-    timing: (label, startTime) => {
-      const duration = Date.now() - startTime;
-      console.log(`[${requestId}] TIMING: ${label} took ${duration}ms`);
-      return duration;
-    }
-  };
-}
+// Whole-file MP4s (and fMP4 init segments) are streamed, never treated as TS or cached
+const PROGRESSIVE_MP4_PATTERN = /\.(mp4|m4v|m4a)(\?|$)/i;
 
-// Rate limiting configuration
-const RATE_LIMIT_CONFIG = {
-  windowMs: 60 * 1000, // 1 minute window
-  maxRequests: 1000, // Increased to 1000 requests per minute per IP
-  blockDuration: 5 * 60 * 1000, // Block for 5 minutes if exceeded
-  lightningboltMaxRequests: 2000 // Special higher limit for lightningbolt URLs
-};
+// Sliding-window rate limiter; store and per-host policies come from env/config
+const rateLimiter = createRateLimiterFromEnv();
 
-// STABLE Retry configuration - patient and non-aggressive
-const RETRY_CONFIG = {
-  maxRetries: 1,         // Only 1 retry to avoid interruptions
-  baseDelay: 3000,       // 3 seconds base delay
-  maxDelay: 5000,        // 5 seconds max delay
-  backoffFactor: 1       // No exponential backoff
-};
+// Playlist/segment cache shared by all requests handled by this instance
+const segmentCache = createSegmentCache(getSegmentCacheConfigFromEnv());
+
+// Signs every proxy URL we hand out and verifies incoming requests
+const urlSigner = getDefaultUrlSigner();
+if (urlSigner.ephemeralSecret) {
+  console.warn('[stream-proxy] STREAM_PROXY_SIGNING_SECRET is not set; using a per-process secret and only logging failed signature checks. Set it to enforce signed URLs.');
+}
 
 // STABLE Connection configuration - longer timeouts for stability
 const CONNECTION_POOL_CONFIG = {
@@ -57,80 +38,24 @@ const CONNECTION_POOL_CONFIG = {
   timeout: 60000            // 60 seconds request timeout for patience
 };
 
-// Generate unique request ID (simplified)
-function generateRequestId() {
-  return `proxy_${Date.now()}`;
-}
+// Rate limit a request against the policy for its upstream host
+async function checkRateLimit(clientIp, streamUrl, logger) {
+  const result = await rateLimiter.check({
+    clientId: clientIp,
+    route: 'stream-proxy',
+    targetUrl: streamUrl
+  });
 
-// Enhanced rate limiting
-function checkRateLimit(clientIp, logger, isLightningbolt = false) {
-  const now = Date.now();
-  const clientKey = `rate_${clientIp}`;
-  
-  // Determine the appropriate rate limit based on URL type
-  const maxRequests = isLightningbolt ?
-    RATE_LIMIT_CONFIG.lightningboltMaxRequests :
-    RATE_LIMIT_CONFIG.maxRequests;
-  
-  if (!rateLimitStore.has(clientKey)) {
-    rateLimitStore.set(clientKey, {
-      requests: 1,
-      windowStart: now,
-      blocked: false,
-      blockUntil: 0
-    });
-    return { allowed: true, remaining: maxRequests - 1 };
-  }
-  
-  const clientData = rateLimitStore.get(clientKey);
-  
-  // Check if client is currently blocked
-  if (clientData.blocked && now < clientData.blockUntil) {
-    logger.warn('Rate limit blocked request', {
-      clientIp,
-      blockedUntil: new Date(clientData.blockUntil).toISOString(),
-      remainingBlockTime: clientData.blockUntil - now
-    });
-    return {
-      allowed: false,
-      blocked: true,
-      retryAfter: Math.ceil((clientData.blockUntil - now) / 1000)
-    };
-  }
-  
-  // Reset window if expired
-  if (now - clientData.windowStart > RATE_LIMIT_CONFIG.windowMs) {
-    clientData.requests = 1;
-    clientData.windowStart = now;
-    clientData.blocked = false;
-    clientData.blockUntil = 0;
-    return { allowed: true, remaining: maxRequests - 1 };
-  }
-  
-  // Check if limit exceeded
-  if (clientData.requests >= maxRequests) {
-    clientData.blocked = true;
-    clientData.blockUntil = now + RATE_LIMIT_CONFIG.blockDuration;
+  if (!result.allowed) {
     logger.warn('Rate limit exceeded', {
       clientIp,
-      requests: clientData.requests,
-      windowStart: new Date(clientData.windowStart).toISOString(),
-      blockedUntil: new Date(clientData.blockUntil).toISOString(),
-      isLightningbolt
+      policy: result.policy?.name,
+      blocked: result.blocked,
+      retryAfter: result.retryAfter
     });
-    return {
-      allowed: false,
-      blocked: true,
-      retryAfter: Math.ceil(RATE_LIMIT_CONFIG.blockDuration / 1000)
-    };
   }
-  
-  // Increment request count
-  clientData.requests++;
-  return {
-    allowed: true,
-    remaining: maxRequests - clientData.requests
-  };
+
+  return result;
 }
 
 // Enhanced request validation
@@ -159,122 +84,6 @@ function validateRequest(request, logger) {
   return { isValid: true };
 }
 
-// SIMPLIFIED fetch with minimal retries for stability
-async function fetchWithHeaderFallback(url, baseOptions, logger, userAgent, source, strategyIndex = 0, retryCount = 0) {
-  // Check if this is a shadowlands URL
-  const isShadowlands = source === 'shadowlands' ||
-                       source === 'vidsrc' ||  // vidsrc source is used for shadowlands
-                       url.includes('shadowlandschronicles') ||
-                       url.includes('shadowlands') ||
-                       url.includes('tmstr');
-  
-  let options;
-  
-  if (isShadowlands) {
-    // For shadowlands URLs, fetch directly without any header modifications
-    logger.info('Fetching shadowlands URL directly without header modifications', {
-      url: url.substring(0, 100)
-    });
-    
-    options = {
-      ...baseOptions,
-      // Only preserve range header if present, no other headers
-      headers: baseOptions.headers?.Range ? { 'Range': baseOptions.headers.Range } : {}
-    };
-  } else {
-    // Use simplified headers for non-shadowlands URLs
-    const headers = getSimplifiedHeaders(url, userAgent, source);
-    
-    options = {
-      ...baseOptions,
-      headers: {
-        ...headers,
-        // Preserve range header if present
-        ...(baseOptions.headers?.Range && { 'Range': baseOptions.headers.Range })
-      }
-    };
-  }
-  
-  try {
-    logger.debug('Fetch attempt', {
-      url: url.substring(0, 100),
-      retryCount: retryCount,
-      isShadowlands: isShadowlands,
-      headers: Object.keys(options.headers || {})
-    });
-    
-    const response = await fetch(url, options);
-    
-    // If response is successful, return it
-    if (response.ok) {
-      logger.info('Fetch successful', {
-        status: response.status,
-        contentType: response.headers.get('content-type')
-      });
-      return response;
-    }
-    
-    // Only retry server errors once
-    const isRetryableError = response.status >= 500;
-    
-    if (isRetryableError && retryCount < RETRY_CONFIG.maxRetries) {
-      const delay = RETRY_CONFIG.baseDelay;
-      
-      logger.warn('Server error, single retry attempt', {
-        status: response.status,
-        delay
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return fetchWithHeaderFallback(url, baseOptions, logger, userAgent, source, 0, retryCount + 1);
-    }
-    
-    // Don't retry, just return the response
-    return response;
-    
-  } catch (error) {
-    // Single retry for network errors
-    if (retryCount < RETRY_CONFIG.maxRetries) {
-      const delay = RETRY_CONFIG.baseDelay;
-      
-      logger.warn('Network error, single retry attempt', {
-        error: error.message,
-        delay
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return fetchWithHeaderFallback(url, baseOptions, logger, userAgent, source, 0, retryCount + 1);
-    }
-    
-    // Re-throw the error if retries exhausted
-    throw error;
-  }
-}
-
-// SIMPLIFIED headers for non-shadowlands URLs
-function getSimplifiedHeaders(url, userAgent, source) {
-  const baseUserAgent = userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-  
-  // Minimal headers for stability
-  const headers = {
-    'User-Agent': baseUserAgent,
-    'Accept': '*/*',
-    'Accept-Language': 'en-US,en;q=0.9',
-    'Connection': 'keep-alive'
-  };
-  
-  // Add Origin/Referer for specific non-shadowlands sources
-  if (url.includes('embed.su')) {
-    headers['Referer'] = 'https://embed.su/';
-    headers['Origin'] = 'https://embed.su';
-  } else if (url.includes('lightningbolt')) {
-    headers['Referer'] = 'https://vidsrc.cc/';
-    headers['Origin'] = 'https://vidsrc.cc';
-  }
-  
-  return headers;
-}
-
 // Legacy function for backward compatibility
 async function fetchWithRetry(url, options, logger, retryCount = 0) {
   // Extract source and userAgent from options if available
@@ -285,19 +94,6 @@ async function fetchWithRetry(url, options, logger, retryCount = 0) {
   return fetchWithHeaderFallback(url, options, logger, userAgent, source, 0, retryCount);
 }
 
-// Get client IP address
-function getClientIp(request) {
-  const forwarded = request.headers.get('x-forwarded-for');
-  const realIp = request.headers.get('x-real-ip');
-  const cfConnectingIp = request.headers.get('cf-connecting-ip');
-  
-  if (cfConnectingIp) return cfConnectingIp;
-  if (realIp) return realIp;
-  if (forwarded) return forwarded.split(',')[0].trim();
-  
-  return 'unknown';
-}
-
 // Validate stream URL
 function validateStreamUrl(url, logger) {
   if (!url) {
@@ -346,12 +142,10 @@ function getResponseHeaders(originalResponse, logger, skipContentLength = false)
     }
   });
 
-  // Add CORS headers
-  responseHeaders.set('Access-Control-Allow-Origin', '*');
-  responseHeaders.set('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-  responseHeaders.set('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control, Range');
-  responseHeaders.set('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges');
-  responseHeaders.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  applyCorsHeaders(responseHeaders);
+
+  // Anything built from an upstream response was not served from the segment cache
+  responseHeaders.set('X-Cache', 'MISS');
 
   logger.debug('Response headers prepared', {
     originalHeaders: Object.keys(Object.fromEntries(originalResponse.headers.entries())).length,
@@ -362,74 +156,150 @@ function getResponseHeaders(originalResponse, logger, skipContentLength = false)
   return responseHeaders;
 }
 
-// Process M3U8 playlist content and rewrite URLs to use our proxy
-async function processM3U8Playlist(m3u8Content, originalUrl, request, logger, source) {
-  const lines = m3u8Content.split('\n');
-  const processedLines = [];
-  const baseUrl = new URL(originalUrl);
-  const proxyBaseUrl = new URL(request.url).origin;
-  
-  let streamCount = 0;
-  let processedCount = 0;
+// Add CORS headers
+function applyCorsHeaders(responseHeaders) {
+  responseHeaders.set('Access-Control-Allow-Origin', '*');
+  responseHeaders.set('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+  responseHeaders.set('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control, Range');
+  responseHeaders.set('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges, X-Cache, RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+  responseHeaders.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  return responseHeaders;
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Skip empty lines and comments (except URLs)
-    if (!line || line.startsWith('#')) {
-      processedLines.push(line);
-      continue;
+// Build a response for a segment cache hit, slicing the stored body for Range requests
+async function createCachedResponse(cachedEntry, streamUrl, request, logger, source, rateLimitResult, includeBody = true) {
+  const responseHeaders = applyCorsHeaders(new Headers());
+  responseHeaders.set('X-Cache', 'HIT');
+  applyRateLimitHeaders(responseHeaders, rateLimitResult);
+  if (cachedEntry.contentType) {
+    responseHeaders.set('content-type', cachedEntry.contentType);
+  }
+
+  let body = cachedEntry.body;
+  let status = 200;
+
+  if (cachedEntry.kind === CACHE_ENTRY_KINDS.SEGMENT) {
+    responseHeaders.set('accept-ranges', 'bytes');
+
+    const range = parseRangeHeader(request.headers.get('range'), body.length);
+    if (range?.unsatisfiable) {
+      responseHeaders.set('content-range', `bytes */${body.length}`);
+      return new NextResponse(null, { status: 416, headers: responseHeaders });
     }
-    
-    streamCount++;
-    
-    try {
-      let targetUrl;
-      
-      if (line.startsWith('http://') || line.startsWith('https://')) {
-        // Absolute URL
-        targetUrl = line;
-      } else if (line.startsWith('/')) {
-        // Root-relative URL
-        targetUrl = `${baseUrl.protocol}//${baseUrl.host}${line}`;
-      } else {
-        // Relative URL
-        const basePath = originalUrl.substring(0, originalUrl.lastIndexOf('/') + 1);
-        targetUrl = basePath + line;
-      }
-      
-      // Create proxied URL with source parameter
-      const sourceParam = source ? `&source=${encodeURIComponent(source)}` : '';
-      const proxiedUrl = `${proxyBaseUrl}/api/stream-proxy?url=${encodeURIComponent(targetUrl)}${sourceParam}`;
-      processedLines.push(proxiedUrl);
-      processedCount++;
-      
-      logger.debug('URL rewritten in M3U8', {
-        original: line.substring(0, 100),
-        resolved: targetUrl.substring(0, 100),
-        proxied: proxiedUrl.substring(0, 100)
-      });
-      
-    } catch (error) {
-      logger.warn('Failed to process M3U8 line', error, { 
-        line: line.substring(0, 100),
-        lineNumber: i + 1 
-      });
-      // Keep original line if processing fails
-      processedLines.push(line);
+    if (range) {
+      responseHeaders.set('content-range', `bytes ${range.start}-${range.end}/${body.length}`);
+      body = body.subarray(range.start, range.end + 1);
+      status = 206;
     }
+  } else {
+    // Playlists are cached as fetched and rewritten per request, since the
+    // proxied URLs depend on the requesting origin and source
+    const processPlaylist = isDashManifest(streamUrl, cachedEntry.contentType || '')
+      ? processDashManifest
+      : processM3U8Playlist;
+    const processedPlaylist = await processPlaylist(body.toString('utf-8'), streamUrl, request, logger, source);
+    body = Buffer.from(processedPlaylist, 'utf-8');
   }
-  
+
+  responseHeaders.set('content-length', body.length.toString());
+
+  logger.info('Served from segment cache', {
+    url: streamUrl.substring(0, 100),
+    kind: cachedEntry.kind,
+    status,
+    bytes: body.length,
+    age: Date.now() - cachedEntry.storedAt
+  });
+
+  return new NextResponse(includeBody ? body : null, {
+    status,
+    headers: responseHeaders
+  });
+}
+
+// Buffer a complete segment response and store it in the segment cache.
+// Returns null when the body should be streamed through instead (range
+// requests, partial responses, and bodies without a content-length or over
+// the per-entry limit, which are never read into memory).
+async function cacheSegmentResponse(response, streamUrl, contentType, rangeHeader, logger) {
+  if (!segmentCache.enabled || rangeHeader || response.status !== 200) {
+    return null;
+  }
+
+  const declaredLength = parseInt(response.headers.get('content-length'), 10);
+  if (!(declaredLength > 0) || declaredLength > segmentCache.maxEntryBytes) {
+    return null;
+  }
+
+  const segmentBuffer = Buffer.from(await response.arrayBuffer());
+  const stored = await segmentCache.set(streamUrl, {
+    body: segmentBuffer,
+    contentType,
+    kind: CACHE_ENTRY_KINDS.SEGMENT
+  });
+
+  logger.debug('Segment cache store', {
+    url: streamUrl.substring(0, 100),
+    bytes: segmentBuffer.length,
+    stored,
+    cacheBytes: segmentCache.getStats().bytes
+  });
+
+  return segmentBuffer;
+}
+
+// Create proxied URL builder with source parameter; every URL is freshly signed
+// for the requesting client, so nested playlists are re-signed on each fetch
+function createProxyUrlBuilder(request, source) {
+  const proxyBaseUrl = new URL(request.url).origin;
+  const clientIp = getClientIp(request);
+
+  return (targetUrl, { template = false } = {}) => buildProxyUrl(targetUrl, {
+    baseUrl: proxyBaseUrl,
+    source,
+    signer: urlSigner,
+    clientIp,
+    template
+  });
+}
+
+// Process MPD manifest content and rewrite BaseURL/segment addressing to use our proxy
+async function processDashManifest(mpdContent, originalUrl, request, logger, source) {
+  const toProxyUrl = createProxyUrlBuilder(request, source);
+  const { content: finalContent, stats } = rewriteDashManifest(mpdContent, originalUrl, toProxyUrl);
+
+  stats.failures.forEach(failure => {
+    logger.warn('Failed to process MPD URL', failure);
+  });
+
+  logger.info('MPD URL rewriting completed', {
+    baseUrls: stats.baseUrls,
+    segmentAttributes: stats.attributes,
+    skippedUrls: stats.failures.length,
+    finalContentLength: finalContent.length
+  });
+
+  return finalContent;
+}
+
+// Process M3U8 playlist content and rewrite URLs (segment lines and tag URI attributes) to use our proxy
+async function processM3U8Playlist(m3u8Content, originalUrl, request, logger, source) {
+  const toProxyUrl = createProxyUrlBuilder(request, source);
+
+  const { content: finalContent, stats } = rewritePlaylist(m3u8Content, originalUrl, toProxyUrl);
+
+  stats.failures.forEach(failure => {
+    logger.warn('Failed to process M3U8 line', failure);
+  });
+
   logger.info('M3U8 URL rewriting completed', {
-    totalLines: lines.length,
-    streamUrls: streamCount,
-    processedUrls: processedCount,
-    skippedUrls: streamCount - processedCount,
-    finalContentLength: processedLines.join('\n').length
+    totalLines: stats.totalLines,
+    streamUrls: stats.uriLines,
+    tagUris: stats.tagUris,
+    skippedUrls: stats.failures.length,
+    finalContentLength: finalContent.length
   });
   
-  const finalContent = processedLines.join('\n');
-  
   // Debug: Log the final few lines to check for truncation
   const finalLines = finalContent.split('\n');
   logger.debug('M3U8 final content check', {
@@ -478,10 +348,8 @@ export async function GET(request) {
   const source = searchParams.get('source'); // 'vidsrc', 'embed.su', 'shadowlands', etc.
 
   // Rate limiting check (Requirement 5.3)
-  const isLightningboltUrl = (streamUrl?.includes('lightningbolt') || streamUrl?.includes('lightningbolts.ru')) || false;
-  const rateLimitResult = checkRateLimit(clientIp, logger, isLightningboltUrl);
+  const rateLimitResult = await checkRateLimit(clientIp, streamUrl, logger);
   if (!rateLimitResult.allowed) {
-    logger.warn('Rate limit exceeded', { clientIp, blocked: rateLimitResult.blocked, isLightningboltUrl });
     return NextResponse.json({
       success: false,
       error: 'Rate limit exceeded',
@@ -489,11 +357,7 @@ export async function GET(request) {
       requestId
     }, {
       status: 429,
-      headers: {
-        'Retry-After': rateLimitResult.retryAfter?.toString() || '60',
-        'X-RateLimit-Remaining': '0',
-        'X-RateLimit-Reset': new Date(Date.now() + (rateLimitResult.retryAfter * 1000)).toISOString()
-      }
+      headers: getRateLimitHeaders(rateLimitResult)
     });
   }
 
@@ -514,7 +378,22 @@ export async function GET(request) {
     }, { status: 400 });
   }
 
+  const signatureCheck = checkProxySignature(searchParams, clientIp, logger);
+  if (!signatureCheck.allowed) {
+    return NextResponse.json({
+      success: false,
+      error: signatureCheck.reason === 'expired' ? 'Proxy URL has expired' : 'Invalid proxy URL signature',
+      reason: signatureCheck.reason,
+      requestId
+    }, { status: 403 });
+  }
+
   try {
+    const cachedEntry = await segmentCache.get(streamUrl);
+    if (cachedEntry) {
+      return await createCachedResponse(cachedEntry, streamUrl, request, logger, source, rateLimitResult);
+    }
+
     const fetchStartTime = Date.now();
     logger.info('Fetching stream content', {
       url: streamUrl.substring(0, 100) + (streamUrl.length > 100 ? '...' : ''),
@@ -574,14 +453,22 @@ export async function GET(request) {
                    contentType.includes('application/vnd.apple.mpegurl') ||
                    contentType.includes('application/x-mpegURL');
     
+    // Check if this is a DASH manifest that needs URL rewriting
+    const isMPD = !isM3U8 && isDashManifest(streamUrl, contentType);
+
+    // Check if this is an fMP4/CMAF segment (cached like TS, but keeps its own content type)
+    const isFmp4Segment = isFmp4SegmentUrl(streamUrl);
+
+    const isProgressiveMp4 = PROGRESSIVE_MP4_PATTERN.test(streamUrl);
+
     // Check if this is a TS segment (including lightningbolt.site with wrong content type)
-    const isTSSegment = streamUrl.includes('.ts') ||
+    const isTSSegment = !isFmp4Segment && !isProgressiveMp4 && (streamUrl.includes('.ts') ||
                        streamUrl.includes('lightningbolt') ||
                        streamUrl.includes('lightningbolts') || // Also check for plural form
                        contentType.includes('video/mp2t') ||
                        contentType.includes('application/octet-stream') ||
-                       (contentType.includes('image') && streamUrl.includes('.ts'));
-    
+                       (contentType.includes('image') && streamUrl.includes('.ts')));
+
     // Check if this is a subtitle file
     const isSubtitle = streamUrl.includes('.vtt') || streamUrl.includes('.srt') ||
                       contentType.includes('text/vtt') || contentType.includes('text/plain');
@@ -594,8 +481,18 @@ export async function GET(request) {
         contentType
       });
 
+      const m3u8Content = await response.text();
+
       try {
-        const m3u8Content = await response.text();
+        // Cache the upstream playlist as fetched; rewriting happens per request
+        if (response.status === 200) {
+          await segmentCache.set(streamUrl, {
+            body: Buffer.from(m3u8Content, 'utf-8'),
+            contentType: contentType || 'application/vnd.apple.mpegurl',
+            kind: classifyPlaylist(m3u8Content)
+          });
+        }
+
         const processedM3U8 = await processM3U8Playlist(m3u8Content, streamUrl, request, logger, source);
         
         logger.timing('M3U8 processing', m3u8ProcessingStart);
@@ -608,8 +505,7 @@ export async function GET(request) {
         responseHeaders.set('content-length', processedBuffer.length.toString());
         
         // Add rate limiting headers
-        responseHeaders.set('X-RateLimit-Remaining', rateLimitResult.remaining?.toString() || '0');
-        responseHeaders.set('X-RateLimit-Reset', new Date(Date.now() + RATE_LIMIT_CONFIG.windowMs).toISOString());
+        applyRateLimitHeaders(responseHeaders, rateLimitResult);
         
         logger.info('M3U8 playlist processed successfully', {
           originalLines: m3u8Content.split('\n').length,
@@ -630,12 +526,44 @@ export async function GET(request) {
       } catch (m3u8Error) {
         logger.error('M3U8 processing failed', m3u8Error);
         // Fallback to original content
-        const fallbackContent = await response.text();
-        return new NextResponse(fallbackContent, {
+        const responseHeaders = getResponseHeaders(response, logger, true);
+        applyRateLimitHeaders(responseHeaders, rateLimitResult);
+        return new NextResponse(m3u8Content, {
           status: response.status,
           headers: responseHeaders
         });
       }
+    } else if (isMPD) {
+      // Process DASH manifest to rewrite BaseURL and segment template URLs
+      const mpdProcessingStart = Date.now();
+      logger.info('Processing MPD manifest', {
+        originalUrl: streamUrl.substring(0, 100),
+        contentType
+      });
+
+      const mpdContent = await response.text();
+
+      if (response.status === 200) {
+        await segmentCache.set(streamUrl, {
+          body: Buffer.from(mpdContent, 'utf-8'),
+          contentType: 'application/dash+xml',
+          kind: classifyPlaylist(mpdContent)
+        });
+      }
+
+      const processedMPD = await processDashManifest(mpdContent, streamUrl, request, logger, source);
+      logger.timing('MPD processing', mpdProcessingStart);
+
+      const responseHeaders = getResponseHeaders(response, logger, true);
+      const processedBuffer = Buffer.from(processedMPD, 'utf-8');
+      responseHeaders.set('content-type', 'application/dash+xml');
+      responseHeaders.set('content-length', processedBuffer.length.toString());
+      applyRateLimitHeaders(responseHeaders, rateLimitResult);
+
+      return new NextResponse(processedBuffer, {
+        status: response.status,
+        headers: responseHeaders
+      });
     } else if (isSubtitle) {
       // Handle subtitle files with proper content-type
       const subtitleProcessingStart = Date.now();
@@ -666,8 +594,7 @@ export async function GET(request) {
         responseHeaders.set('content-length', subtitleBuffer.length.toString());
         
         // Add rate limiting headers
-        responseHeaders.set('X-RateLimit-Remaining', rateLimitResult.remaining?.toString() || '0');
-        responseHeaders.set('X-RateLimit-Reset', new Date(Date.now() + RATE_LIMIT_CONFIG.windowMs).toISOString());
+        applyRateLimitHeaders(responseHeaders, rateLimitResult);
         
         logger.info('Subtitle file processed successfully', {
           originalLength: subtitleContent.length,
@@ -714,8 +641,7 @@ export async function GET(request) {
       }
 
       // Add rate limiting headers
-      responseHeaders.set('X-RateLimit-Remaining', rateLimitResult.remaining?.toString() || '0');
-      responseHeaders.set('X-RateLimit-Reset', new Date(Date.now() + RATE_LIMIT_CONFIG.windowMs).toISOString());
+      applyRateLimitHeaders(responseHeaders, rateLimitResult);
 
       logger.info('TS segment processed successfully', {
         status: response.status,
@@ -723,7 +649,47 @@ export async function GET(request) {
         rateLimitRemaining: rateLimitResult.remaining
       });
 
+      const segmentBuffer = await cacheSegmentResponse(
+        response,
+        streamUrl,
+        responseHeaders.get('content-type'),
+        rangeHeader,
+        logger
+      );
+      if (segmentBuffer) {
+        responseHeaders.set('content-length', segmentBuffer.length.toString());
+        return new NextResponse(segmentBuffer, {
+          status: response.status,
+          headers: responseHeaders
+        });
+      }
+
       // Stream the response directly for TS segments
+      return new NextResponse(response.body, {
+        status: response.status,
+        headers: responseHeaders
+      });
+    } else if (isFmp4Segment) {
+      // Handle fMP4/CMAF segments, keeping the upstream content type
+      const responseHeaders = getResponseHeaders(response, logger);
+
+      applyRateLimitHeaders(responseHeaders, rateLimitResult);
+
+      const segmentBuffer = await cacheSegmentResponse(
+        response,
+        streamUrl,
+        contentType || 'video/mp4',
+        rangeHeader,
+        logger
+      );
+      if (segmentBuffer) {
+        responseHeaders.set('content-length', segmentBuffer.length.toString());
+        return new NextResponse(segmentBuffer, {
+          status: response.status,
+          headers: responseHeaders
+        });
+      }
+
       return new NextResponse(response.body, {
         status: response.status,
         headers: responseHeaders
@@ -740,8 +706,7 @@ export async function GET(request) {
       });
 
       // Add rate limiting headers to response
-      responseHeaders.set('X-RateLimit-Remaining', rateLimitResult.remaining?.toString() || '0');
-      responseHeaders.set('X-RateLimit-Reset', new Date(Date.now() + RATE_LIMIT_CONFIG.windowMs).toISOString());
+      applyRateLimitHeaders(responseHeaders, rateLimitResult);
 
       logger.info('Stream proxy completed successfully', {
         totalDuration: Date.now() - requestStartTime,
@@ -807,16 +772,13 @@ export async function OPTIONS(request) {
   // Apply rate limiting to OPTIONS requests as well
   const { searchParams: optionsParams } = new URL(request.url);
   const optionsStreamUrl = optionsParams.get('url');
-  const isOptionsLightningboltUrl = (optionsStreamUrl?.includes('lightningbolt') || optionsStreamUrl?.includes('lightningbolts.ru')) || false;
-  const rateLimitResult = checkRateLimit(clientIp, logger, isOptionsLightningboltUrl);
+  const rateLimitResult = await checkRateLimit(clientIp, optionsStreamUrl, logger);
   if (!rateLimitResult.allowed) {
     return new NextResponse(null, {
       status: 429,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Retry-After': rateLimitResult.retryAfter?.toString() || '60',
-        'X-RateLimit-Remaining': '0',
-        'X-RateLimit-Reset': new Date(Date.now() + (rateLimitResult.retryAfter * 1000)).toISOString()
+        ...getRateLimitHeaders(rateLimitResult)
       }
     });
   }
@@ -828,8 +790,7 @@ export async function OPTIONS(request) {
       'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
       'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control, Range',
       'Access-Control-Max-Age': '86400',
-      'X-RateLimit-Remaining': rateLimitResult.remaining?.toString() || '0',
-      'X-RateLimit-Reset': new Date(Date.now() + RATE_LIMIT_CONFIG.windowMs).toISOString()
+      ...getRateLimitHeaders(rateLimitResult)
     }
   });
 }
@@ -852,16 +813,11 @@ export async function HEAD(request) {
   const streamUrl = searchParams.get('url');
   const source = searchParams.get('source');
 
-  const isHeadLightningboltUrl = (streamUrl?.includes('lightningbolt') || streamUrl?.includes('lightningbolts.ru')) || false;
-  const rateLimitResult = checkRateLimit(clientIp, logger, isHeadLightningboltUrl);
+  const rateLimitResult = await checkRateLimit(clientIp, streamUrl, logger);
   if (!rateLimitResult.allowed) {
     return new NextResponse(null, {
       status: 429,
-      headers: {
-        'Retry-After': rateLimitResult.retryAfter?.toString() || '60',
-        'X-RateLimit-Remaining': '0',
-        'X-RateLimit-Reset': new Date(Date.now() + (rateLimitResult.retryAfter * 1000)).toISOString()
-      }
+      headers: getRateLimitHeaders(rateLimitResult)
     });
   }
 
@@ -870,7 +826,17 @@ export async function HEAD(request) {
     return new NextResponse(null, { status: 400 });
   }
 
+  const signatureCheck = checkProxySignature(searchParams, clientIp, logger);
+  if (!signatureCheck.allowed) {
+    return new NextResponse(null, { status: 403 });
+  }
+
   try {
+    const cachedEntry = await segmentCache.get(streamUrl);
+    if (cachedEntry) {
+      return await createCachedResponse(cachedEntry, streamUrl, request, logger, source, rateLimitResult, false);
+    }
+
     const userAgent = request.headers.get('user-agent');
     
     // Use enhanced fetch with header fallback strategies
@@ -891,8 +857,7 @@ export async function HEAD(request) {
     const responseHeaders = getResponseHeaders(response, logger);
     
     // Add rate limiting headers
-    responseHeaders.set('X-RateLimit-Remaining', rateLimitResult.remaining?.toString() || '0');
-    responseHeaders.set('X-RateLimit-Reset', new Date(Date.now() + RATE_LIMIT_CONFIG.windowMs).toISOString());
+    applyRateLimitHeaders(responseHeaders, rateLimitResult);
     
     // Set appropriate content-type for subtitle files
     const isSubtitle = streamUrl.includes('.vtt') || streamUrl.includes('.srt');
@@ -905,10 +870,10 @@ export async function HEAD(request) {
     }
     
     // Set appropriate content-type for TS segments
-    const isTSSegment = streamUrl.includes('.ts') ||
+    const isTSSegment = !isFmp4SegmentUrl(streamUrl) && (streamUrl.includes('.ts') ||
                        streamUrl.includes('lightningbolt') ||
                        streamUrl.includes('lightningbolts') || // Also check for plural form
-                       (response.headers.get('content-type') || '').includes('image') && streamUrl.includes('.ts');
+                       (response.headers.get('content-type') || '').includes('image') && streamUrl.includes('.ts'));
     if (isTSSegment) {
       // Fix content type for TS segments with wrong content type
       const contentType = response.headers.get('content-type') || '';
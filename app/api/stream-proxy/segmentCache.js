@@ -0,0 +1,436 @@
+/**
+ * Segment cache for the stream proxy
+ * Keeps recently proxied playlists and media segments so repeat requests
+ * (several viewers on the same stream, seeking back) skip the upstream fetch.
+ *
+ * Stores:
+ * - memory: byte-budgeted LRU held in the server process (default)
+ * - filesystem: same LRU bookkeeping, bodies written under a cache directory
+ * - none: disables caching entirely
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+export const CACHE_ENTRY_KINDS = {
+  MASTER_PLAYLIST: 'master',
+  MEDIA_PLAYLIST: 'media',
+  SEGMENT: 'segment'
+};
+
+export const DEFAULT_SEGMENT_CACHE_CONFIG = {
+  store: 'memory',
+  maxBytes: 256 * 1024 * 1024, // 256MB total budget
+  maxEntryBytes: 16 * 1024 * 1024, // Larger bodies are streamed, never cached
+  directory: path.join(os.tmpdir(), 'flyx-segment-cache'),
+  ttl: {
+    [CACHE_ENTRY_KINDS.MASTER_PLAYLIST]: 5 * 60 * 1000, // Variant lists rarely change
+    [CACHE_ENTRY_KINDS.MEDIA_PLAYLIST]: 10 * 1000, // Live playlists roll every target duration
+    [CACHE_ENTRY_KINDS.SEGMENT]: 10 * 60 * 1000 // Segments are immutable once published
+  }
+};
+
+// Segment-only extensions; .mp4/.m4v/.m4a are usually whole progressive files
+const FMP4_SEGMENT_PATTERN = /\.(m4s|cmfv|cmfa|cmft)(\?|$)/i;
+
+/**
+ * Classify playlist content so the right TTL is applied.
+ * DASH manifests count as master playlists unless they are live (dynamic).
+ */
+export function classifyPlaylist(content) {
+  if (content.includes('<MPD')) {
+    return /type\s*=\s*["']dynamic["']/.test(content)
+      ? CACHE_ENTRY_KINDS.MEDIA_PLAYLIST
+      : CACHE_ENTRY_KINDS.MASTER_PLAYLIST;
+  }
+
+  return content.includes('#EXT-X-STREAM-INF')
+    ? CACHE_ENTRY_KINDS.MASTER_PLAYLIST
+    : CACHE_ENTRY_KINDS.MEDIA_PLAYLIST;
+}
+
+/**
+ * Whether a URL points at an fMP4/CMAF media segment
+ */
+export function isFmp4SegmentUrl(url) {
+  return FMP4_SEGMENT_PATTERN.test(url || '');
+}
+
+/**
+ * Parse a single-range `Range` header against a body of known size.
+ * Returns null when there is no usable range (serve the full body),
+ * { unsatisfiable: true } when the range lies outside the body,
+ * or { start, end } with an inclusive end offset.
+ */
+export function parseRangeHeader(rangeHeader, totalSize) {
+  if (!rangeHeader) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    // Multi-range and malformed headers are ignored, as RFC 9110 allows
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) return { unsatisfiable: true };
+    start = Math.max(totalSize - suffixLength, 0);
+    end = totalSize - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? totalSize - 1 : Math.min(parseInt(match[2], 10), totalSize - 1);
+  }
+
+  if (start >= totalSize || start > end) {
+    return { unsatisfiable: true };
+  }
+
+  return { start, end };
+}
+
+/**
+ * Shared LRU bookkeeping for the concrete stores. Subclasses implement
+ * readBody/writeBody/removeBody; the index (key -> metadata) lives here.
+ * Map iteration order doubles as recency order: touched keys are re-inserted.
+ */
+class BaseSegmentCache {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_SEGMENT_CACHE_CONFIG,
+      ...options,
+      ttl: {
+        ...DEFAULT_SEGMENT_CACHE_CONFIG.ttl,
+        ...(options.ttl || {})
+      }
+    };
+
+    this.enabled = true;
+    this.maxBytes = this.options.maxBytes;
+    this.maxEntryBytes = this.options.maxEntryBytes;
+    this.index = new Map();
+    this.totalBytes = 0;
+
+    this.metrics = {
+      hits: 0,
+      misses: 0,
+      stores: 0,
+      evictions: 0,
+      expirations: 0
+    };
+  }
+
+  getTtl(kind) {
+    return this.options.ttl[kind] ?? this.options.ttl[CACHE_ENTRY_KINDS.SEGMENT];
+  }
+
+  async get(key) {
+    const meta = this.index.get(key);
+    if (!meta) {
+      this.metrics.misses++;
+      return null;
+    }
+
+    if (Date.now() >= meta.expiresAt) {
+      this.metrics.expirations++;
+      this.metrics.misses++;
+      await this.removeEntry(key);
+      return null;
+    }
+
+    const body = await this.readBody(key, meta);
+    if (!body) {
+      // Backing storage lost the body (e.g. tmp directory cleaned)
+      this.metrics.misses++;
+      await this.removeEntry(key);
+      return null;
+    }
+
+    // Refresh recency
+    this.index.delete(key);
+    this.index.set(key, meta);
+    this.metrics.hits++;
+
+    return { ...meta, body };
+  }
+
+  async set(key, { body, contentType = null, kind = CACHE_ENTRY_KINDS.SEGMENT, ttl } = {}) {
+    if (!body) return false;
+
+    const size = body.length;
+    if (size > this.maxEntryBytes || size > this.maxBytes) {
+      return false;
+    }
+
+    if (this.index.has(key)) {
+      await this.removeEntry(key);
+    }
+
+    await this.evictUntilFits(size);
+
+    const now = Date.now();
+    const meta = {
+      key,
+      kind,
+      contentType,
+      size,
+      storedAt: now,
+      expiresAt: now + (ttl ?? this.getTtl(kind))
+    };
+
+    await this.writeBody(key, meta, body);
+    this.index.set(key, meta);
+    this.totalBytes += size;
+    this.metrics.stores++;
+
+    return true;
+  }
+
+  async delete(key) {
+    return this.removeEntry(key);
+  }
+
+  async removeEntry(key) {
+    const meta = this.index.get(key);
+    if (!meta) return false;
+
+    this.index.delete(key);
+    this.totalBytes -= meta.size;
+    await this.removeBody(key, meta);
+    return true;
+  }
+
+  async clear() {
+    const keys = Array.from(this.index.keys());
+    for (const key of keys) {
+      await this.removeEntry(key);
+    }
+  }
+
+  async evictUntilFits(incomingSize) {
+    const now = Date.now();
+
+    // Expired entries go first, regardless of recency
+    for (const [key, meta] of this.index) {
+      if (now >= meta.expiresAt) {
+        this.metrics.expirations++;
+        await this.removeEntry(key);
+      }
+    }
+
+    while (this.totalBytes + incomingSize > this.maxBytes && this.index.size > 0) {
+      const oldestKey = this.index.keys().next().value;
+      this.metrics.evictions++;
+      await this.removeEntry(oldestKey);
+    }
+  }
+
+  getStats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    return {
+      store: this.options.store,
+      entries: this.index.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      hitRate: lookups > 0 ? this.metrics.hits / lookups : 0,
+      ...this.metrics
+    };
+  }
+}
+
+/**
+ * In-process LRU store
+ */
+export class MemorySegmentCache extends BaseSegmentCache {
+  constructor(options = {}) {
+    super({ ...options, store: 'memory' });
+    this.bodies = new Map();
+  }
+
+  async readBody(key) {
+    return this.bodies.get(key) || null;
+  }
+
+  async writeBody(key, meta, body) {
+    this.bodies.set(key, body);
+  }
+
+  async removeBody(key) {
+    this.bodies.delete(key);
+  }
+}
+
+/**
+ * Filesystem-backed store. The LRU index stays in memory and is rebuilt
+ * from the metadata files on first use, so bodies survive process restarts
+ * on hosts with a persistent cache directory.
+ */
+export class FileSystemSegmentCache extends BaseSegmentCache {
+  constructor(options = {}) {
+    super({ ...options, store: 'filesystem' });
+    this.directory = this.options.directory;
+    this.ready = null;
+  }
+
+  getFilePaths(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return {
+      bodyPath: path.join(this.directory, `${hash}.bin`),
+      metaPath: path.join(this.directory, `${hash}.json`)
+    };
+  }
+
+  ensureReady() {
+    if (!this.ready) {
+      this.ready = this.loadIndex();
+    }
+    return this.ready;
+  }
+
+  async loadIndex() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const files = await fs.readdir(this.directory);
+    const entries = [];
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf-8'));
+        if (meta?.key && typeof meta.size === 'number') {
+          entries.push(meta);
+        }
+      } catch (error) {
+        // Half-written metadata from a crashed process; drop it
+        await fs.rm(path.join(this.directory, file), { force: true });
+      }
+    }
+
+    // Oldest first so the Map keeps LRU order
+    entries.sort((a, b) => a.storedAt - b.storedAt);
+    for (const meta of entries) {
+      this.index.set(meta.key, meta);
+      this.totalBytes += meta.size;
+    }
+
+    await this.evictUntilFits(0);
+  }
+
+  async get(key) {
+    await this.ensureReady();
+    return super.get(key);
+  }
+
+  async set(key, entry) {
+    await this.ensureReady();
+    return super.set(key, entry);
+  }
+
+  async delete(key) {
+    await this.ensureReady();
+    return super.delete(key);
+  }
+
+  async clear() {
+    await this.ensureReady();
+    return super.clear();
+  }
+
+  async readBody(key) {
+    try {
+      return await fs.readFile(this.getFilePaths(key).bodyPath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeBody(key, meta, body) {
+    const { bodyPath, metaPath } = this.getFilePaths(key);
+    await fs.writeFile(bodyPath, body);
+    await fs.writeFile(metaPath, JSON.stringify(meta));
+  }
+
+  async removeBody(key) {
+    const { bodyPath, metaPath } = this.getFilePaths(key);
+    await fs.rm(bodyPath, { force: true });
+    await fs.rm(metaPath, { force: true });
+  }
+}
+
+/**
+ * No-op store used when caching is switched off
+ */
+export class NullSegmentCache {
+  constructor() {
+    this.enabled = false;
+    this.maxBytes = 0;
+    this.maxEntryBytes = 0;
+  }
+
+  async get() { return null; }
+  async set() { return false; }
+  async delete() { return false; }
+  async clear() {}
+
+  getStats() {
+    return { store: 'none', entries: 0, bytes: 0, maxBytes: 0 };
+  }
+}
+
+/**
+ * Read cache settings from the environment:
+ * STREAM_PROXY_CACHE (memory | filesystem | none), STREAM_PROXY_CACHE_MAX_BYTES,
+ * STREAM_PROXY_CACHE_MAX_ENTRY_BYTES, STREAM_PROXY_CACHE_DIR and the per-kind
+ * TTLs STREAM_PROXY_CACHE_TTL_MASTER / _MEDIA / _SEGMENT in milliseconds.
+ */
+export function getSegmentCacheConfigFromEnv(env = process.env) {
+  const toNumber = (value) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+  };
+
+  const config = {
+    store: env.STREAM_PROXY_CACHE || DEFAULT_SEGMENT_CACHE_CONFIG.store,
+    ttl: {}
+  };
+
+  const maxBytes = toNumber(env.STREAM_PROXY_CACHE_MAX_BYTES);
+  const maxEntryBytes = toNumber(env.STREAM_PROXY_CACHE_MAX_ENTRY_BYTES);
+  if (maxBytes !== undefined) config.maxBytes = maxBytes;
+  if (maxEntryBytes !== undefined) config.maxEntryBytes = maxEntryBytes;
+  if (env.STREAM_PROXY_CACHE_DIR) config.directory = env.STREAM_PROXY_CACHE_DIR;
+
+  const ttlEnv = {
+    [CACHE_ENTRY_KINDS.MASTER_PLAYLIST]: env.STREAM_PROXY_CACHE_TTL_MASTER,
+    [CACHE_ENTRY_KINDS.MEDIA_PLAYLIST]: env.STREAM_PROXY_CACHE_TTL_MEDIA,
+    [CACHE_ENTRY_KINDS.SEGMENT]: env.STREAM_PROXY_CACHE_TTL_SEGMENT
+  };
+  Object.entries(ttlEnv).forEach(([kind, value]) => {
+    const ttl = toNumber(value);
+    if (ttl !== undefined) config.ttl[kind] = ttl;
+  });
+
+  return config;
+}
+
+/**
+ * Factory function for creating a segment cache
+ */
+export function createSegmentCache(options = {}) {
+  const store = options.store || DEFAULT_SEGMENT_CACHE_CONFIG.store;
+
+  switch (store) {
+    case 'filesystem':
+      return new FileSystemSegmentCache(options);
+    case 'none':
+    case 'off':
+      return new NullSegmentCache();
+    case 'memory':
+    default:
+      return new MemorySegmentCache(options);
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Signed, expiring stream proxy URLs
+ * Every URL the proxy hands out (extraction results, rewritten playlist and
+ * manifest entries) carries an HMAC token over the target URL, an expiry and,
+ * optionally, the client IP. GET/HEAD reject requests whose token is missing,
+ * expired or does not match, so the proxy cannot be used as an open relay.
+ *
+ * DASH SegmentTemplate URLs are substituted by the player ($Number$, $Time$,
+ * ...) after signing, so for those the template itself is signed and sent
+ * alongside as `tpl`; verification checks the signature over the template and
+ * that the requested URL is an instance of it.
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_PARAMS = {
+  EXPIRES: 'exp',
+  SIGNATURE: 'sig',
+  TEMPLATE: 'tpl'
+};
+
+export const DEFAULT_URL_SIGNING_CONFIG = {
+  secret: null,
+  ttlSeconds: 6 * 60 * 60, // 6 hours, long enough for a feature film with pauses
+  bindClientIp: false,
+  enforce: true
+};
+
+const SIGNATURE_VERSION = 'v1';
+
+// Values the player may substitute for each template identifier
+const TEMPLATE_IDENTIFIER_PATTERNS = {
+  RepresentationID: '[^/?#&%\\s]+',
+  Number: '\\d+',
+  Bandwidth: '\\d+',
+  Time: '\\d+',
+  SubNumber: '\\d+'
+};
+
+const TEMPLATE_TOKEN_PATTERN = /\$(?:(RepresentationID|Number|Bandwidth|Time|SubNumber)(%0\d+d)?)?\$/g;
+
+// Shared across route bundles in the same process when no secret is configured
+const EPHEMERAL_SECRET_KEY = '__flyxStreamProxySigningSecret';
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read signing settings from the environment.
+ * STREAM_PROXY_SIGNING_MODE=enforce|log overrides the default, which is to
+ * enforce in production and only log otherwise. A per-process secret differs
+ * between instances and restarts, so enforcing requires
+ * STREAM_PROXY_SIGNING_SECRET; production without one has to opt out with
+ * STREAM_PROXY_SIGNING_MODE=log.
+ * @throws {Error} When signatures would be enforced without a secret
+ */
+export function getUrlSigningConfigFromEnv(env = process.env) {
+  const mode = (env.STREAM_PROXY_SIGNING_MODE || '').toLowerCase();
+  const secret = env.STREAM_PROXY_SIGNING_SECRET || null;
+  const enforce = mode ? mode === 'enforce' : env.NODE_ENV === 'production';
+
+  if (enforce && !secret) {
+    throw new Error(
+      'STREAM_PROXY_SIGNING_SECRET must be set to enforce signed stream proxy URLs ' +
+      '(set STREAM_PROXY_SIGNING_MODE=log to run without signature checks)'
+    );
+  }
+
+  return {
+    secret,
+    ttlSeconds: parsePositiveInt(env.STREAM_PROXY_SIGNATURE_TTL, DEFAULT_URL_SIGNING_CONFIG.ttlSeconds),
+    bindClientIp: env.STREAM_PROXY_BIND_CLIENT_IP === 'true',
+    enforce
+  };
+}
+
+// Get client IP address
+export function getClientIp(request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  const realIp = request.headers.get('x-real-ip');
+  const cfConnectingIp = request.headers.get('cf-connecting-ip');
+
+  if (cfConnectingIp) return cfConnectingIp;
+  if (realIp) return realIp;
+  if (forwarded) return forwarded.split(',')[0].trim();
+
+  return 'unknown';
+}
+
+/**
+ * Whether `url` is an instance of a DASH segment template, i.e. the template
+ * with each $Identifier$ replaced by a value the player could substitute
+ */
+export function matchesSegmentTemplate(template, url) {
+  let pattern = '';
+  let lastIndex = 0;
+  let match;
+
+  TEMPLATE_TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TEMPLATE_TOKEN_PATTERN.exec(template)) !== null) {
+    pattern += escapeRegExp(template.substring(lastIndex, match.index));
+    // `$$` is an escaped literal dollar sign
+    pattern += match[1] ? `(?:${TEMPLATE_IDENTIFIER_PATTERNS[match[1]]})` : '\\$';
+    lastIndex = TEMPLATE_TOKEN_PATTERN.lastIndex;
+  }
+  pattern += escapeRegExp(template.substring(lastIndex));
+
+  return new RegExp(`^${pattern}$`).test(url);
+}
+
+export class ProxyUrlSigner {
+  constructor(options = {}) {
+    const config = { ...DEFAULT_URL_SIGNING_CONFIG, ...options };
+
+    this.ttlSeconds = config.ttlSeconds;
+    this.bindClientIp = config.bindClientIp;
+    this.ephemeralSecret = !config.secret;
+    this.enforce = config.enforce;
+
+    // Other instances can't match a per-process secret
+    if (this.enforce && this.ephemeralSecret) {
+      throw new Error('Enforcing signed stream proxy URLs requires a configured secret');
+    }
+
+    if (config.secret) {
+      this.secret = config.secret;
+    } else {
+      if (!globalThis[EPHEMERAL_SECRET_KEY]) {
+        globalThis[EPHEMERAL_SECRET_KEY] = crypto.randomBytes(32).toString('hex');
+      }
+      this.secret = globalThis[EPHEMERAL_SECRET_KEY];
+    }
+  }
+
+  computeSignature(target, expiresAt, clientIp) {
+    const urlHash = crypto.createHash('sha256').update(target).digest('hex');
+    const boundIp = this.bindClientIp ? (clientIp || 'unknown') : '';
+
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${SIGNATURE_VERSION}\n${expiresAt}\n${boundIp}\n${urlHash}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Sign a target URL (or a DASH segment template when `template` is set).
+   * Returns the query parameters to append to the proxy URL.
+   */
+  sign(targetUrl, { clientIp = null, template = false, now = Date.now() } = {}) {
+    const expiresAt = Math.floor(now / 1000) + this.ttlSeconds;
+    const params = {
+      [SIGNATURE_PARAMS.EXPIRES]: expiresAt.toString(),
+      [SIGNATURE_PARAMS.SIGNATURE]: this.computeSignature(targetUrl, expiresAt, clientIp)
+    };
+
+    if (template) {
+      params[SIGNATURE_PARAMS.TEMPLATE] = targetUrl;
+    }
+
+    return params;
+  }
+
+  /**
+   * Verify the signature parameters of a proxy request.
+   * Returns { valid, reason, expiresAt }; reason is one of
+   * 'missing', 'malformed', 'expired', 'template_mismatch', 'invalid'.
+   */
+  verify(searchParams, { clientIp = null, now = Date.now() } = {}) {
+    const targetUrl = searchParams.get('url');
+    const expiresParam = searchParams.get(SIGNATURE_PARAMS.EXPIRES);
+    const signature = searchParams.get(SIGNATURE_PARAMS.SIGNATURE);
+    const template = searchParams.get(SIGNATURE_PARAMS.TEMPLATE);
+
+    if (!targetUrl || !expiresParam || !signature) {
+      return { valid: false, reason: 'missing' };
+    }
+
+    if (!/^\d+$/.test(expiresParam)) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const expiresAt = parseInt(expiresParam, 10);
+    if (expiresAt < Math.floor(now / 1000)) {
+      return { valid: false, reason: 'expired', expiresAt };
+    }
+
+    if (template !== null && !matchesSegmentTemplate(template, targetUrl)) {
+      return { valid: false, reason: 'template_mismatch', expiresAt };
+    }
+
+    const expected = Buffer.from(this.computeSignature(template ?? targetUrl, expiresAt, clientIp));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { valid: false, reason: 'invalid', expiresAt };
+    }
+
+    return { valid: true, expiresAt };
+  }
+}
+
+/**
+ * Build a (signed) stream proxy URL for a target.
+ * `baseUrl` is the proxy origin, or '' for a same-origin relative URL.
+ */
+export function buildProxyUrl(targetUrl, { baseUrl = '', source = null, signer = null, clientIp = null, template = false } = {}) {
+  const sourceParam = source ? `&source=${encodeURIComponent(source)}` : '';
+  let proxyUrl = `${baseUrl}/api/stream-proxy?url=${encodeURIComponent(targetUrl)}${sourceParam}`;
+
+  if (signer) {
+    const params = signer.sign(targetUrl, { clientIp, template });
+    proxyUrl += Object.entries(params)
+      .map(([name, value]) => `&${name}=${encodeURIComponent(value)}`)
+      .join('');
+  }
+
+  return proxyUrl;
+}
+
+let defaultSigner = null;
+
+// Process-wide signer configured from the environment
+export function getDefaultUrlSigner() {
+  if (!defaultSigner) {
+    defaultSigner = new ProxyUrlSigner(getUrlSigningConfigFromEnv());
+  }
+  return defaultSigner;
+}
+
+// Verify a proxy request's signature; in log-only mode failures are reported but allowed
+export function checkProxySignature(searchParams, clientIp, logger, signer = getDefaultUrlSigner()) {
+  const result = signer.verify(searchParams, { clientIp });
+
+  if (result.valid) {
+    return { allowed: true };
+  }
+
+  if (!signer.enforce) {
+    logger.warn('Proxy signature check failed (not enforced)', { reason: result.reason, clientIp });
+    return { allowed: true };
+  }
+
+  logger.warn('Proxy signature check failed', { reason: result.reason, clientIp });
+  return { allowed: false, reason: result.reason };
+}
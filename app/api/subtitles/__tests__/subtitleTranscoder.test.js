@@ -0,0 +1,80 @@
+/**
+ * Subtitle Transcoder Tests
+ * Tests unpacking downloaded files, decoding them with the SubEncoding hint
+ * and converting them to UTF-8 WebVTT
+ */
+
+import { gzipSync } from 'zlib';
+import { URL as NodeURL } from 'url';
+import { TextDecoder as NodeTextDecoder } from 'util';
+import { DecompressionStream as NodeDecompressionStream } from 'stream/web';
+import { getSubtitleFileName, transcodeSubtitle } from '../subtitleTranscoder';
+
+const ARABIC_LINE = '\u0644\u0627 \u0623\u0639\u0631\u0641 \u0645\u0627 \u0627\u0644\u0630\u064a \u062a\u062a\u062d\u062f\u062b \u0639\u0646\u0647';
+
+// Any single-byte code page, by reversing its decoding table
+const encodeWith = (encoding, text) => {
+  const decoder = new NodeTextDecoder(encoding);
+  const bytesByChar = new Map();
+  for (let byte = 0; byte < 256; byte++) {
+    bytesByChar.set(decoder.decode(Uint8Array.of(byte)), byte);
+  }
+  return Uint8Array.from(text, char => bytesByChar.get(char));
+};
+
+const srt = (line) => `1\r\n00:00:01,000 --> 00:00:03,500\r\n${line}\r\n`;
+
+describe('Subtitle transcoder', () => {
+  const originalTextDecoder = global.TextDecoder;
+  const originalURL = global.URL;
+
+  beforeAll(() => {
+    // jest.setup.js replaces URL with a blob URL mock
+    global.URL = NodeURL;
+    global.TextDecoder = NodeTextDecoder;
+    global.DecompressionStream = NodeDecompressionStream;
+  });
+
+  afterAll(() => {
+    global.URL = originalURL;
+    global.TextDecoder = originalTextDecoder;
+    delete global.DecompressionStream;
+  });
+
+  test('should turn a gzipped Windows-1256 SRT into UTF-8 VTT', async () => {
+    const gzipped = gzipSync(encodeWith('windows-1256', srt(ARABIC_LINE)));
+
+    const subtitle = await transcodeSubtitle(gzipped, { fileName: '1955.gz', encodingHint: 'CP1256' });
+
+    expect(subtitle).toMatchObject({ fileName: '1955', format: 'srt', encoding: 'windows-1256', ass: null });
+    expect(subtitle.vtt).toMatch(/^WEBVTT/);
+    expect(subtitle.vtt).toContain('00:00:01.000 --> 00:00:03.500');
+    expect(subtitle.vtt).toContain(ARABIC_LINE);
+  });
+
+  test('should detect the encoding when the hint is wrong or missing', async () => {
+    const russian = '\u0413\u0434\u0435 \u0442\u044b \u0431\u044b\u043b \u0432\u0441\u0451 \u044d\u0442\u043e \u0432\u0440\u0435\u043c\u044f?';
+    const bytes = encodeWith('windows-1251', srt(russian));
+
+    const mislabelled = await transcodeSubtitle(bytes, { fileName: 'movie.srt', encodingHint: 'CP1252' });
+    expect(mislabelled.encoding).toBe('windows-1251');
+    expect(mislabelled.vtt).toContain(russian);
+
+    expect((await transcodeSubtitle(bytes, { fileName: 'movie.srt' })).vtt).toContain(russian);
+  });
+
+  test('should pass VTT through and reject empty files', async () => {
+    const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n';
+
+    expect(await transcodeSubtitle(Buffer.from(vtt), { encodingHint: 'UTF-8' }))
+      .toMatchObject({ vtt, format: 'vtt', encoding: 'utf-8' });
+    await expect(transcodeSubtitle(new ArrayBuffer(0))).rejects.toThrow('empty');
+    await expect(transcodeSubtitle(Buffer.from('\r\n\r\n'))).rejects.toThrow('empty');
+  });
+
+  test('should name the file after the last segment of the download link', () => {
+    expect(getSubtitleFileName('https://dl.opensubtitles.org/en/download/src-api/vrf-19e20c60/filead/1955.gz')).toBe('1955.gz');
+    expect(getSubtitleFileName('https://example.com/subs/My%20Movie.srt?token=1')).toBe('My Movie.srt');
+    expect(getSubtitleFileName('not a url')).toBe('subtitle');
+  });
+});
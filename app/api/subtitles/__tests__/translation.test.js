@@ -0,0 +1,268 @@
+/**
+ * Subtitle Translation Tests
+ * Tests request validation, keeping markup and line breaks intact through
+ * the provider, playback-first ordering, batching and the translation cache
+ */
+
+import {
+  LibreTranslateProvider,
+  TranslationCache,
+  TranslationError,
+  orderCuesForTranslation,
+  protectMarkup,
+  restoreMarkup,
+  translateCues,
+  validateTranslationRequest
+} from '../translation';
+
+// Fake provider that upper-cases text outside of tags, like a translator would leave markup alone
+function createUppercaseProvider() {
+  return {
+    calls: [],
+    async translate(texts, options) {
+      this.calls.push({ texts, options });
+      return texts.map(text => text.replace(/(^|>)([^<]*)/g, (match, close, content) => close + content.toUpperCase()));
+    }
+  };
+}
+
+async function collect(generator) {
+  const batches = [];
+  for await (const batch of generator) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+function buildRequest(overrides = {}) {
+  return validateTranslationRequest({
+    targetLanguage: 'es',
+    subtitleId: 'os-123',
+    cues: Array.from({ length: 25 }, (_, index) => ({ index, start: index * 2, text: `line ${index}` })),
+    ...overrides
+  });
+}
+
+describe('Subtitle translation', () => {
+  describe('validateTranslationRequest', () => {
+    test('should normalize a valid request', () => {
+      expect(validateTranslationRequest({
+        targetLanguage: 'pt-BR',
+        subtitleId: 42,
+        priorityFrom: -5,
+        cues: [{ start: 1.5, text: 'Hello' }, { index: 7, text: '' }]
+      })).toEqual({
+        targetLanguage: 'pt-BR',
+        sourceLanguage: 'auto',
+        subtitleId: '42',
+        priorityFrom: 0,
+        cues: [{ index: 0, start: 1.5, text: 'Hello' }, { index: 7, start: null, text: '' }]
+      });
+    });
+
+    test.each([
+      ['a missing body', null],
+      ['a language name instead of a code', { targetLanguage: 'spanish', cues: [{ text: 'Hi' }] }],
+      ['an invalid source language', { targetLanguage: 'es', sourceLanguage: 'english', cues: [{ text: 'Hi' }] }],
+      ['an empty cue list', { targetLanguage: 'es', cues: [] }],
+      ['a cue without text', { targetLanguage: 'es', cues: [{ text: 12 }] }],
+      ['an overlong cue', { targetLanguage: 'es', cues: [{ text: 'x'.repeat(1001) }] }]
+    ])('should reject %s with a 400', (description, body) => {
+      expect(() => validateTranslationRequest(body)).toThrow(TranslationError);
+      try {
+        validateTranslationRequest(body);
+      } catch (error) {
+        expect(error.status).toBe(400);
+      }
+    });
+  });
+
+  describe('markup protection', () => {
+    test('should keep leading overrides, inline tags, line breaks and entities', () => {
+      const original = '{\\an8}<i>Hello</i>\nworld & <b>co</b>';
+      const protectedText = protectMarkup(original);
+
+      expect(protectedText.prefix).toBe('{\\an8}<i>');
+      expect(protectedText.html).toBe('Hello<m id="0"></m><br>world &amp; <m id="1"></m>co<m id="2"></m>');
+      expect(restoreMarkup(protectedText.html, protectedText)).toBe(original);
+    });
+
+    test('should accept self-closing placeholders and drop invented ones', () => {
+      const protectedText = protectMarkup('one\\Ntwo <i>three</i>');
+
+      expect(restoreMarkup('UNO<br/>DOS <m id="0"/>TRES<m id="1"></m><m id="9"></m>', protectedText))
+        .toBe('UNO\nDOS <i>TRES</i>');
+    });
+  });
+
+  test('should order cues from the playback position onwards first', () => {
+    const cues = [
+      { index: 0, start: 0, text: 'a' },
+      { index: 2, start: 20, text: 'c' },
+      { index: 1, start: 10, text: 'b' },
+      { index: 3, start: 30, text: 'd' }
+    ];
+
+    expect(orderCuesForTranslation(cues).map(cue => cue.index)).toEqual([0, 1, 2, 3]);
+    expect(orderCuesForTranslation(cues, 15).map(cue => cue.index)).toEqual([2, 3, 0, 1]);
+  });
+
+  describe('LibreTranslateProvider', () => {
+    test('should send an HTML batch with the API key', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ translatedText: ['Hola', 'Mundo'] })
+      });
+      const provider = new LibreTranslateProvider({ apiUrl: 'http://translate.local/', apiKey: 'secret' }, { fetchImpl });
+
+      await expect(provider.translate(['Hello', 'World'], { source: 'en', target: 'es' })).resolves.toEqual(['Hola', 'Mundo']);
+      expect(fetchImpl.mock.calls[0][0]).toBe('http://translate.local/translate');
+      expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toEqual({
+        q: ['Hello', 'World'],
+        source: 'en',
+        target: 'es',
+        format: 'html',
+        api_key: 'secret'
+      });
+    });
+
+    test('should map provider failures to status codes', async () => {
+      const rejectLanguage = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 400,
+        json: async () => ({ error: 'xx is not supported' })
+      });
+      const unreachable = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+      const malformed = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({ translatedText: ['only one'] }) });
+
+      await expect(new LibreTranslateProvider({}, { fetchImpl: rejectLanguage }).translate(['a'], { target: 'xx' }))
+        .rejects.toMatchObject({ status: 400, message: 'xx is not supported' });
+      await expect(new LibreTranslateProvider({}, { fetchImpl: unreachable }).translate(['a'], { target: 'es' }))
+        .rejects.toMatchObject({ status: 502 });
+      await expect(new LibreTranslateProvider({}, { fetchImpl: malformed }).translate(['a', 'b'], { target: 'es' }))
+        .rejects.toMatchObject({ status: 502 });
+    });
+
+    test('should time out slow providers', async () => {
+      const fetchImpl = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+      const provider = new LibreTranslateProvider({ timeoutMs: 10 }, { fetchImpl });
+
+      await expect(provider.translate(['a'], { target: 'es' })).rejects.toMatchObject({ status: 504 });
+    });
+  });
+
+  describe('translateCues', () => {
+    test('should translate a small first batch, then full batches, in playback order', async () => {
+      const provider = createUppercaseProvider();
+      const request = buildRequest({ priorityFrom: 20 });
+
+      const batches = await collect(translateCues(request, {
+        provider,
+        cache: new TranslationCache(),
+        batchSize: 8,
+        firstBatchSize: 3
+      }));
+
+      expect(provider.calls.map(call => call.texts.length)).toEqual([3, 8, 8, 6]);
+      expect(provider.calls[0].options).toMatchObject({ source: 'auto', target: 'es' });
+      expect(batches[0].cues).toEqual([
+        { index: 10, text: 'LINE 10' },
+        { index: 11, text: 'LINE 11' },
+        { index: 12, text: 'LINE 12' }
+      ]);
+      expect(batches.flatMap(batch => batch.cues)).toHaveLength(25);
+    });
+
+    test('should pass blank cues through without asking the provider', async () => {
+      const provider = createUppercaseProvider();
+      const request = buildRequest({ cues: [{ text: '  ' }, { text: 'hi' }] });
+
+      const batches = await collect(translateCues(request, { provider, cache: new TranslationCache() }));
+
+      expect(batches).toEqual([
+        { cues: [{ index: 0, text: '  ' }], cached: false },
+        { cues: [{ index: 1, text: 'HI' }], cached: false }
+      ]);
+      expect(provider.calls).toHaveLength(1);
+    });
+
+    test('should reuse cached cues and only translate what is missing', async () => {
+      const cache = new TranslationCache();
+      const request = buildRequest();
+      const failing = {
+        calls: 0,
+        async translate() {
+          this.calls++;
+          if (this.calls > 1) throw new TranslationError('Provider went away');
+          return Array.from({ length: 10 }, (_, i) => `translated ${i}`);
+        }
+      };
+
+      await expect(collect(translateCues(request, { provider: failing, cache }))).rejects.toThrow('Provider went away');
+
+      const provider = createUppercaseProvider();
+      const batches = await collect(translateCues(request, { provider, cache }));
+
+      expect(batches[0].cached).toBe(true);
+      expect(batches[0].cues).toHaveLength(10);
+      expect(provider.calls.flatMap(call => call.texts)).toHaveLength(15);
+
+      // A complete track needs no provider at all
+      const again = createUppercaseProvider();
+      const cachedBatches = await collect(translateCues(request, { provider: again, cache }));
+      expect(cachedBatches).toHaveLength(1);
+      expect(again.calls).toHaveLength(0);
+    });
+
+    test('should start over when the cue list under a subtitle ID changes', async () => {
+      const cache = new TranslationCache();
+      await collect(translateCues(buildRequest(), { provider: createUppercaseProvider(), cache }));
+
+      const provider = createUppercaseProvider();
+      const changed = buildRequest({ cues: [{ index: 0, start: 0, text: 'different' }] });
+      const batches = await collect(translateCues(changed, { provider, cache }));
+
+      expect(batches).toEqual([{ cues: [{ index: 0, text: 'DIFFERENT' }], cached: false }]);
+    });
+
+    test('should stop between batches once aborted', async () => {
+      const controller = new AbortController();
+      const provider = createUppercaseProvider();
+      const batches = [];
+
+      for await (const batch of translateCues(buildRequest(), {
+        provider,
+        cache: new TranslationCache(),
+        signal: controller.signal
+      })) {
+        batches.push(batch);
+        controller.abort();
+      }
+
+      expect(batches).toHaveLength(1);
+      expect(provider.calls).toHaveLength(1);
+    });
+  });
+
+  describe('TranslationCache', () => {
+    test('should expire entries and evict the least recently used track', () => {
+      let now = 0;
+      const cache = new TranslationCache({ ttlMs: 100, maxTracks: 2, now: () => now });
+      const cues = [{ index: 0, text: 'a' }];
+
+      cache.getTrack('a', cues).cues.set(0, 'A');
+      cache.getTrack('b', cues).cues.set(0, 'B');
+      cache.getTrack('a', cues);
+      cache.getTrack('c', cues);
+
+      expect([...cache.tracks.keys()]).toEqual(['a', 'c']);
+      expect(cache.getTrack('a', cues).cues.get(0)).toBe('A');
+
+      now = 500;
+      expect(cache.getTrack('a', cues).cues.size).toBe(0);
+    });
+  });
+});
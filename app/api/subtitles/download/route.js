@@ -1,11 +1,14 @@
 // Server-side proxy for downloading subtitle files (avoids CORS issues)
 
 import { NextResponse } from 'next/server';
-import { gunzipSync } from 'zlib';
+import { getSubtitleFileName, transcodeSubtitle } from '../subtitleTranscoder';
 
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
   const downloadUrl = searchParams.get('url');
+  // format=vtt returns the file as UTF-8 WebVTT instead of the raw bytes
+  const outputFormat = searchParams.get('format');
+  const encodingHint = searchParams.get('encoding');
 
   if (!downloadUrl) {
     return NextResponse.json(
@@ -52,6 +55,32 @@ export async function GET(request) {
     
     console.log(`✅ Downloaded subtitle file: ${contentLength} bytes`);
 
+    if (outputFormat === 'vtt') {
+      const subtitle = await transcodeSubtitle(arrayBuffer, {
+        fileName: getSubtitleFileName(downloadUrl),
+        encodingHint
+      });
+
+      console.log('🔤 Transcoded subtitle to UTF-8 VTT:', {
+        format: subtitle.format,
+        encoding: subtitle.encoding,
+        encodingHint: encodingHint || 'none'
+      });
+
+      return new NextResponse(subtitle.vtt, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/vtt; charset=utf-8',
+          'X-Subtitle-Encoding': subtitle.encoding,
+          'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET',
+          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Expose-Headers': 'X-Subtitle-Encoding'
+        }
+      });
+    }
+
     // Return the binary content with appropriate headers
     return new NextResponse(arrayBuffer, {
       status: 200,
@@ -85,7 +114,8 @@ export async function GET(request) {
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { download_link } = body;
+    // encoding is the SubEncoding OpenSubtitles reported for the file
+    const { download_link, encoding: encodingHint = null } = body;
 
     if (!download_link) {
       console.error('❌ Missing download_link parameter:', {
@@ -130,67 +160,29 @@ export async function POST(request) {
       isGzipped: uint8Array.length >= 2 && uint8Array[0] === 0x1f && uint8Array[1] === 0x8b
     });
 
-    let subtitleContent;
-    
-    // Check if content is gzipped (magic number: 1f 8b)
-    if (uint8Array.length >= 2 && uint8Array[0] === 0x1f && uint8Array[1] === 0x8b) {
-      console.log('🗜️ Decompressing gzipped content...');
-      try {
-        // Decompress using Node.js zlib
-        const decompressed = gunzipSync(Buffer.from(arrayBuffer));
-        subtitleContent = decompressed.toString('utf-8');
-        console.log('✅ Successfully decompressed gzipped content:', {
-          originalSize: arrayBuffer.byteLength,
-          decompressedSize: subtitleContent.length
-        });
-      } catch (decompressError) {
-        console.error('❌ Failed to decompress gzipped content:', decompressError);
-        throw new Error(`Failed to decompress gzipped subtitle: ${decompressError.message}`);
-      }
-    } else {
-      // Not gzipped, treat as regular text
-      console.log('📄 Processing uncompressed content');
-      subtitleContent = new TextDecoder('utf-8').decode(arrayBuffer);
-    }
-
-    console.log('📝 Subtitle content preview:', {
-      length: subtitleContent.length,
-      startsWithWebVTT: subtitleContent.startsWith('WEBVTT'),
-      firstLine: subtitleContent.split('\n')[0],
-      hasNumbers: /^\d+$/.test(subtitleContent.split('\n')[0]) // SRT format check
+    // Unpack, decode from the file's own encoding and convert to VTT. ASS/SSA
+    // keeps its styling: the script goes to the styled overlay, with a VTT
+    // conversion for everything that only reads plain cues
+    const subtitle = await transcodeSubtitle(arrayBuffer, {
+      fileName: getSubtitleFileName(download_link),
+      encodingHint
     });
 
-    // Convert SRT to VTT if needed
-    let vttContent;
-    if (subtitleContent.startsWith('WEBVTT')) {
-      // Already VTT format
-      vttContent = subtitleContent;
-      console.log('✅ Already in VTT format');
-    } else if (download_link.includes('.srt') || subtitleContent.includes('-->') && !subtitleContent.startsWith('WEBVTT')) {
-      // Convert SRT to VTT
-      vttContent = convertSrtToVtt(subtitleContent);
-      console.log('🔄 Converted SRT to VTT');
-    } else {
-      // Assume it's SRT and convert
-      vttContent = convertSrtToVtt(subtitleContent);
-      console.log('🔄 Assumed SRT format and converted to VTT');
-    }
-
-    // Validate VTT content
-    if (!vttContent.startsWith('WEBVTT')) {
-      console.warn('⚠️ VTT content does not start with WEBVTT header, adding it...');
-      vttContent = 'WEBVTT\n\n' + vttContent;
-    }
-
-    console.log('📄 Final VTT content preview:', {
-      length: vttContent.length,
-      startsWithWebVTT: vttContent.startsWith('WEBVTT'),
-      firstLines: vttContent.split('\n').slice(0, 5)
+    console.log('📄 Transcoded subtitle:', {
+      fileName: subtitle.fileName,
+      format: subtitle.format,
+      encoding: subtitle.encoding,
+      encodingHint: encodingHint || 'none',
+      length: subtitle.vtt.length,
+      firstLines: subtitle.vtt.split('\n').slice(0, 5)
     });
 
     return NextResponse.json({
       success: true,
-      vtt: vttContent,
+      vtt: subtitle.vtt,
+      ...(subtitle.ass && { ass: subtitle.ass }),
+      format: subtitle.format,
+      encoding: subtitle.encoding
     });
 
   } catch (error) {
@@ -201,23 +193,3 @@ export async function POST(request) {
     );
   }
 }
-
-function convertSrtToVtt(srtContent) {
-  console.log('🔄 Converting SRT to VTT...');
-  
-  // Basic SRT to VTT conversion
-  let vtt = 'WEBVTT\n\n';
-  
-  // Replace SRT timestamps (00:00:00,000) with VTT timestamps (00:00:00.000)
-  vtt += srtContent
-    .replace(/(\d{2}):(\d{2}):(\d{2}),(\d{3})/g, '$1:$2:$3.$4')
-    .replace(/\r\n/g, '\n')
-    .replace(/\r/g, '\n');
-
-  console.log('✅ SRT to VTT conversion completed:', {
-    originalLength: srtContent.length,
-    vttLength: vtt.length
-  });
-
-  return vtt;
-} 
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Subtitle transcoding for /api/subtitles/download
+ *
+ * OpenSubtitles serves files gzipped (sometimes zipped) and in whatever
+ * encoding they were uploaded in, which for Arabic, Russian or Greek is
+ * usually a Windows or ISO code page. This unpacks the file, detects its
+ * encoding with the SubEncoding of the search result as a hint, decodes it
+ * and converts it to WebVTT, so clients always get clean UTF-8 text.
+ */
+
+import { unpackSubtitleFile } from '../../utils/subtitleArchive';
+import { convertSubtitleText } from '../../utils/subtitleConversion';
+import { decodeSubtitleBytes } from '../../utils/subtitleEncoding';
+
+/**
+ * File name of a download link, used when the content is ambiguous
+ * @param {string} downloadLink - Subtitle download URL
+ * @returns {string} Last path segment, or "subtitle"
+ */
+export function getSubtitleFileName(downloadLink = '') {
+  try {
+    const segment = new URL(downloadLink).pathname.split('/').filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment) : 'subtitle';
+  } catch (error) {
+    return 'subtitle';
+  }
+}
+
+/**
+ * Turn a downloaded subtitle file into UTF-8 WebVTT
+ * @param {ArrayBuffer|Uint8Array} input - Downloaded file contents
+ * @param {Object} options - Transcoding options
+ * @param {string} options.fileName - Name of the file (.gz and .zip are unpacked)
+ * @param {string} options.encodingHint - Encoding announced by OpenSubtitles (SubEncoding)
+ * @returns {Promise<Object>} { vtt, ass, format, encoding, fileName }
+ */
+export async function transcodeSubtitle(input, { fileName = 'subtitle', encodingHint = null } = {}) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (bytes.length === 0) {
+    throw new Error('Downloaded subtitle file is empty');
+  }
+
+  const unpacked = await unpackSubtitleFile(bytes, fileName);
+  const { text, encoding } = decodeSubtitleBytes(unpacked.bytes, { hint: encodingHint });
+  if (!text.trim()) {
+    throw new Error('Subtitle content is empty after processing');
+  }
+
+  const { vtt, ass, format } = convertSubtitleText(text, unpacked.fileName);
+
+  return {
+    vtt,
+    ass,
+    format,
+    encoding,
+    fileName: unpacked.fileName
+  };
+}
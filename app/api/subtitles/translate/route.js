@@ -0,0 +1,97 @@
+// Subtitle translation through a LibreTranslate-compatible provider
+// Streams translated cues back as NDJSON, one line per batch, so the player
+// can show the first minutes while the rest of the track is still translating
+
+import { NextResponse } from 'next/server';
+import {
+  getTranslationConfigFromEnv,
+  translateCues,
+  TranslationError,
+  validateTranslationRequest
+} from '../translation';
+
+const encoder = new TextEncoder();
+
+const line = (payload) => encoder.encode(`${JSON.stringify(payload)}\n`);
+
+export async function POST(request) {
+  let translationRequest;
+  try {
+    translationRequest = validateTranslationRequest(await request.json());
+  } catch (error) {
+    const status = error instanceof TranslationError ? error.status : 400;
+    return NextResponse.json(
+      { success: false, error: error instanceof TranslationError ? error.message : 'Request body must be valid JSON' },
+      { status }
+    );
+  }
+
+  const { cues, targetLanguage, subtitleId } = translationRequest;
+  const total = cues.length;
+  const abortController = new AbortController();
+  const batches = translateCues(translationRequest, {
+    batchSize: getTranslationConfigFromEnv().batchSize,
+    signal: abortController.signal
+  });
+  const startedAt = Date.now();
+  let translated = 0;
+
+  console.log('🌐 Translating subtitles:', { subtitleId, targetLanguage, cues: total });
+
+  // The first batch is awaited before responding, so an unreachable provider
+  // or an unsupported language still gets a proper status code
+  let first;
+  try {
+    first = await batches.next();
+  } catch (error) {
+    console.error('❌ Subtitle translation failed:', error.message);
+    return NextResponse.json(
+      { success: false, error: error instanceof TranslationError ? error.message : 'Translation failed' },
+      { status: error instanceof TranslationError ? error.status : 500 }
+    );
+  }
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const next = first || await batches.next();
+        first = null;
+        const { value, done } = next;
+
+        if (done) {
+          console.log(`✅ Translated ${translated}/${total} cues to ${targetLanguage} in ${Date.now() - startedAt}ms`);
+          controller.enqueue(line({ type: 'complete', translated, total }));
+          controller.close();
+          return;
+        }
+
+        translated += value.cues.length;
+        controller.enqueue(line({ type: 'cues', cues: value.cues, cached: value.cached, translated, total }));
+      } catch (error) {
+        // Headers are gone by now; report the failure in-band and keep what was sent
+        console.error('❌ Subtitle translation failed:', error.message);
+        controller.enqueue(line({
+          type: 'error',
+          error: error instanceof TranslationError ? error.message : 'Translation failed',
+          status: error instanceof TranslationError ? error.status : 500,
+          translated,
+          total
+        }));
+        controller.close();
+      }
+    },
+    cancel() {
+      abortController.abort();
+      console.log(`⏹️ Subtitle translation cancelled after ${translated}/${total} cues`);
+    }
+  });
+
+  return new NextResponse(body, {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    }
+  });
+}
@@ -0,0 +1,353 @@
+/**
+ * Subtitle translation for /api/subtitles/translate
+ *
+ * Cue texts are sent in batches to a LibreTranslate-compatible HTTP API
+ * (https://github.com/LibreTranslate/LibreTranslate), so a local instance
+ * can be used. Only text is translated: timings stay with the client, and
+ * inline markup (<i>, <font>, ASS override blocks, line breaks) is shielded
+ * from the translator and restored afterwards.
+ *
+ * Translated cues are cached per subtitle ID and language pair, including
+ * partially translated tracks, so a repeat request only translates what is
+ * missing.
+ */
+
+export const DEFAULT_TRANSLATION_CONFIG = {
+  apiUrl: 'http://localhost:5000',
+  apiKey: null,
+  timeoutMs: 20000,
+  batchSize: 40,
+  firstBatchSize: 10,          // Small first batch so the opening cues show up quickly
+  cacheTtlMs: 24 * 60 * 60 * 1000,
+  cacheMaxTracks: 200
+};
+
+export const TRANSLATION_LIMITS = {
+  maxCues: 5000,
+  maxCueLength: 1000
+};
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+export class TranslationError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'TranslationError';
+    this.status = status;
+  }
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Read translation provider settings from the environment
+ */
+export function getTranslationConfigFromEnv(env = process.env) {
+  return {
+    apiUrl: env.TRANSLATION_API_URL || DEFAULT_TRANSLATION_CONFIG.apiUrl,
+    apiKey: env.TRANSLATION_API_KEY || null,
+    timeoutMs: parsePositiveInt(env.TRANSLATION_TIMEOUT_MS, DEFAULT_TRANSLATION_CONFIG.timeoutMs),
+    batchSize: parsePositiveInt(env.TRANSLATION_BATCH_SIZE, DEFAULT_TRANSLATION_CONFIG.batchSize)
+  };
+}
+
+/**
+ * Validate a translation request body. Returns the normalized request or
+ * throws a 400 TranslationError.
+ */
+export function validateTranslationRequest(body) {
+  if (!body || typeof body !== 'object') {
+    throw new TranslationError('Request body must be a JSON object', 400);
+  }
+
+  const { targetLanguage, sourceLanguage = 'auto', subtitleId = null, priorityFrom = 0, cues } = body;
+
+  if (!LANGUAGE_PATTERN.test(targetLanguage || '')) {
+    throw new TranslationError('targetLanguage must be a language code such as es or pt-BR', 400);
+  }
+  if (sourceLanguage !== 'auto' && !LANGUAGE_PATTERN.test(sourceLanguage)) {
+    throw new TranslationError('sourceLanguage must be "auto" or a language code', 400);
+  }
+  if (!Array.isArray(cues) || cues.length === 0) {
+    throw new TranslationError('cues must be a non-empty array', 400);
+  }
+  if (cues.length > TRANSLATION_LIMITS.maxCues) {
+    throw new TranslationError(`At most ${TRANSLATION_LIMITS.maxCues} cues can be translated per request`, 400);
+  }
+
+  const normalizedCues = cues.map((cue, position) => {
+    const index = Number.isInteger(cue?.index) ? cue.index : position;
+    if (typeof cue?.text !== 'string' || cue.text.length > TRANSLATION_LIMITS.maxCueLength) {
+      throw new TranslationError(`Cue ${index} needs a text of at most ${TRANSLATION_LIMITS.maxCueLength} characters`, 400);
+    }
+    return {
+      index,
+      start: Number.isFinite(cue.start) ? cue.start : null,
+      text: cue.text
+    };
+  });
+
+  return {
+    targetLanguage,
+    sourceLanguage,
+    subtitleId: subtitleId ? String(subtitleId) : null,
+    priorityFrom: Number.isFinite(priorityFrom) && priorityFrom > 0 ? priorityFrom : 0,
+    cues: normalizedCues
+  };
+}
+
+// Markup the translator must not touch: ASS override blocks and HTML-style tags
+const MARKUP_PATTERN = /\{\\[^}]*\}|<\/?[a-zA-Z][^>]*>/g;
+const LEADING_MARKUP_PATTERN = /^(?:\{\\[^}]*\}|<\/?[a-zA-Z][^>]*>|\s)+/;
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': '\'',
+  '&#x27;': '\'',
+  '&nbsp;': ' '
+};
+
+/**
+ * Prepare cue text for an HTML-format translation request. Leading markup
+ * (e.g. `{\an8}<i>`) is cut off entirely; other markup is replaced by
+ * numbered empty elements the translator keeps in place, and line breaks
+ * by <br>.
+ */
+export function protectMarkup(text) {
+  const prefix = (text.match(LEADING_MARKUP_PATTERN) || [''])[0];
+  const tags = [];
+
+  const html = text
+    .slice(prefix.length)
+    .replace(/&/g, '&amp;')
+    .replace(MARKUP_PATTERN, (tag) => {
+      tags.push(tag);
+      return `<m id="${tags.length - 1}"></m>`;
+    })
+    .replace(/\r?\n|\\N/g, '<br>');
+
+  return { prefix, html, tags };
+}
+
+/**
+ * Turn a translated HTML string back into cue text with the original markup
+ */
+export function restoreMarkup(translated, { prefix, tags }) {
+  const text = translated
+    .replace(/<m id="(\d+)">\s*<\/m>|<m id="(\d+)"\s*\/>/g, (match, id, selfClosingId) => tags[Number(id ?? selfClosingId)] ?? '')
+    .replace(/<br\s*\/?>\s*/gi, '\n')
+    // Drop anything the translator invented
+    .replace(/<\/?m[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|#x27|nbsp);/g, (entity) => HTML_ENTITIES[entity]);
+
+  return prefix + text.replace(/[ \t]+\n/g, '\n').trim();
+}
+
+/**
+ * Cues in the order they should be translated: from `priorityFrom` (the
+ * current playback position) onwards first, then the earlier ones, each
+ * part in time order.
+ */
+export function orderCuesForTranslation(cues, priorityFrom = 0) {
+  const byTime = [...cues].sort((a, b) => (a.start ?? a.index) - (b.start ?? b.index));
+  if (!priorityFrom) {
+    return byTime;
+  }
+
+  const ahead = byTime.filter(cue => cue.start === null || cue.start >= priorityFrom);
+  const behind = byTime.filter(cue => cue.start !== null && cue.start < priorityFrom);
+  return [...ahead, ...behind];
+}
+
+/**
+ * Client for a LibreTranslate-compatible API (POST /translate with an
+ * array `q` and `format: 'html'`)
+ */
+export class LibreTranslateProvider {
+  constructor(options = {}, { fetchImpl = null } = {}) {
+    const config = { ...DEFAULT_TRANSLATION_CONFIG, ...options };
+    this.apiUrl = config.apiUrl.replace(/\/+$/, '');
+    this.apiKey = config.apiKey;
+    this.timeoutMs = config.timeoutMs;
+    this.fetchImpl = fetchImpl;
+  }
+
+  async translate(texts, { source = 'auto', target, signal = null } = {}) {
+    const fetchImpl = this.fetchImpl || fetch;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    let response;
+    try {
+      response = await fetchImpl(`${this.apiUrl}/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', accept: 'application/json' },
+        body: JSON.stringify({
+          q: texts,
+          source,
+          target,
+          format: 'html',
+          ...(this.apiKey && { api_key: this.apiKey })
+        }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new TranslationError('Translation cancelled', 499);
+      }
+      if (controller.signal.aborted) {
+        throw new TranslationError(`Translation provider timed out after ${this.timeoutMs}ms`, 504);
+      }
+      throw new TranslationError(`Translation provider unreachable: ${error.message}`);
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const message = body?.error || `Translation provider failed with status ${response.status}`;
+      // Unsupported languages and the like are the caller's problem
+      throw new TranslationError(message, response.status === 400 ? 400 : 502);
+    }
+
+    const translated = body?.translatedText;
+    const results = Array.isArray(translated) ? translated : [translated];
+    if (results.length !== texts.length || results.some(result => typeof result !== 'string')) {
+      throw new TranslationError('Translation provider returned an unexpected response');
+    }
+    return results;
+  }
+}
+
+// Small stable hash to tell different cue lists under one subtitle ID apart
+function fingerprintCues(cues) {
+  let hash = 5381;
+  for (const cue of cues) {
+    const value = `${cue.index}\u0000${cue.text}\u0001`;
+    for (let i = 0; i < value.length; i++) {
+      hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+    }
+  }
+  return `${cues.length}:${hash.toString(36)}`;
+}
+
+/**
+ * In-process cache of translated cues: key -> { fingerprint, cues: Map(index -> text), complete, expiresAt }
+ */
+export class TranslationCache {
+  constructor({ ttlMs = DEFAULT_TRANSLATION_CONFIG.cacheTtlMs, maxTracks = DEFAULT_TRANSLATION_CONFIG.cacheMaxTracks, now = () => Date.now() } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxTracks = maxTracks;
+    this.now = now;
+    this.tracks = new Map();
+  }
+
+  static key(subtitleId, sourceLanguage, targetLanguage) {
+    return `${subtitleId}|${sourceLanguage}|${targetLanguage}`;
+  }
+
+  /**
+   * Entry for a track, reset when the cue list differs from the cached one
+   */
+  getTrack(key, cues) {
+    const fingerprint = fingerprintCues(cues);
+    let entry = this.tracks.get(key);
+
+    if (!entry || entry.fingerprint !== fingerprint || entry.expiresAt <= this.now()) {
+      entry = { fingerprint, cues: new Map(), complete: false };
+    }
+
+    entry.expiresAt = this.now() + this.ttlMs;
+    this.tracks.delete(key);
+    this.tracks.set(key, entry);
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    while (this.tracks.size > this.maxTracks) {
+      this.tracks.delete(this.tracks.keys().next().value);
+    }
+    return entry;
+  }
+}
+
+let defaultProvider = null;
+
+// Process-wide cache, shared across route bundles like the stream proxy's stores
+export function getDefaultTranslationCache() {
+  if (!globalThis.__flyxSubtitleTranslationCache) {
+    globalThis.__flyxSubtitleTranslationCache = new TranslationCache();
+  }
+  return globalThis.__flyxSubtitleTranslationCache;
+}
+
+export function getDefaultTranslationProvider() {
+  if (!defaultProvider) {
+    defaultProvider = new LibreTranslateProvider(getTranslationConfigFromEnv());
+  }
+  return defaultProvider;
+}
+
+/**
+ * Translate a validated request batch by batch. Yields
+ * { cues: [{ index, text }], cached } for each batch, with cached cues first.
+ */
+export async function* translateCues(request, {
+  provider = getDefaultTranslationProvider(),
+  cache = getDefaultTranslationCache(),
+  batchSize = DEFAULT_TRANSLATION_CONFIG.batchSize,
+  firstBatchSize = DEFAULT_TRANSLATION_CONFIG.firstBatchSize,
+  signal = null
+} = {}) {
+  const { cues, sourceLanguage, targetLanguage, subtitleId, priorityFrom } = request;
+  const entry = subtitleId
+    ? cache.getTrack(TranslationCache.key(subtitleId, sourceLanguage, targetLanguage), cues)
+    : { cues: new Map(), complete: false };
+
+  const cached = cues
+    .filter(cue => entry.cues.has(cue.index))
+    .map(cue => ({ index: cue.index, text: entry.cues.get(cue.index) }));
+  if (cached.length > 0) {
+    yield { cues: cached, cached: true };
+  }
+
+  // Blank cues need no round trip
+  const pending = orderCuesForTranslation(cues.filter(cue => !entry.cues.has(cue.index)), priorityFrom);
+  const blank = pending.filter(cue => !cue.text.trim());
+  if (blank.length > 0) {
+    blank.forEach(cue => entry.cues.set(cue.index, cue.text));
+    yield { cues: blank.map(cue => ({ index: cue.index, text: cue.text })), cached: false };
+  }
+
+  const toTranslate = pending.filter(cue => cue.text.trim());
+  let offset = 0;
+  while (offset < toTranslate.length) {
+    if (signal?.aborted) {
+      return;
+    }
+
+    const size = offset === 0 ? Math.min(firstBatchSize, batchSize) : batchSize;
+    const batch = toTranslate.slice(offset, offset + size);
+    offset += batch.length;
+
+    const protectedTexts = batch.map(cue => protectMarkup(cue.text));
+    const translated = await provider.translate(protectedTexts.map(item => item.html), {
+      source: sourceLanguage,
+      target: targetLanguage,
+      signal
+    });
+
+    const results = batch.map((cue, i) => ({ index: cue.index, text: restoreMarkup(translated[i], protectedTexts[i]) }));
+    results.forEach(result => entry.cues.set(result.index, result.text));
+    yield { cues: results, cached: false };
+  }
+
+  entry.complete = true;
+}
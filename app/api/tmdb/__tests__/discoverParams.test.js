@@ -0,0 +1,103 @@
+/**
+ * Discover Parameter Tests
+ * Tests the mapping of our filters onto TMDB /discover parameters for movies
+ * and TV, and the 400s for malformed values
+ */
+
+import { buildDiscoverParams } from '../discoverParams';
+import { TMDB_ERROR_TYPES } from '../tmdbClient';
+
+const TODAY = '2025-06-15';
+
+function build(query) {
+  return buildDiscoverParams(new URLSearchParams(query), { today: TODAY });
+}
+
+function expectInvalid(query, message) {
+  expect(() => build(query)).toThrow(expect.objectContaining({
+    type: TMDB_ERROR_TYPES.INVALID_REQUEST,
+    status: 400,
+    message: expect.stringContaining(message)
+  }));
+}
+
+describe('buildDiscoverParams', () => {
+  test('should default to popular released movies on the first page', () => {
+    expect(build('')).toEqual({
+      mediaType: 'movie',
+      params: {
+        language: 'en-US',
+        include_adult: false,
+        page: 1,
+        sort_by: 'popularity.desc',
+        'primary_release_date.lte': TODAY
+      }
+    });
+  });
+
+  test('should map every movie filter', () => {
+    const { params } = build(
+      'genres=28,12&withoutGenres=27|53&yearFrom=1990&yearTo=1999&runtimeMin=90&runtimeMax=150' +
+      '&ratingMin=6.5&ratingMax=9&minVotes=500&originalLanguage=en&country=US|GB&sortBy=revenue.desc&pageNumber=3'
+    );
+
+    expect(params).toMatchObject({
+      page: 3,
+      sort_by: 'revenue.desc',
+      with_genres: '28,12',
+      without_genres: '27,53',
+      'primary_release_date.gte': '1990-01-01',
+      'primary_release_date.lte': '1999-12-31',
+      'with_runtime.gte': 90,
+      'with_runtime.lte': 150,
+      'vote_average.gte': 6.5,
+      'vote_average.lte': 9,
+      'vote_count.gte': 500,
+      with_original_language: 'en',
+      with_origin_country: 'US|GB'
+    });
+  });
+
+  test('should use TV date and sort fields for shows', () => {
+    const { mediaType, params } = build('mediaType=tv&yearFrom=2020&sortBy=release_date.asc&genres=16,35&match=any');
+
+    expect(mediaType).toBe('tv');
+    expect(params).toMatchObject({
+      sort_by: 'first_air_date.asc',
+      with_genres: '16|35',
+      'first_air_date.gte': '2020-01-01',
+      'first_air_date.lte': TODAY,
+      include_null_first_air_dates: false
+    });
+    expect(params).not.toHaveProperty('primary_release_date.gte');
+  });
+
+  test('should cap ranges at today unless unreleased titles are requested', () => {
+    expect(build('yearTo=2030').params['primary_release_date.lte']).toBe(TODAY);
+    expect(build('yearTo=2030&includeUnreleased=true').params['primary_release_date.lte']).toBe('2030-12-31');
+    expect(build('includeUnreleased=true').params).not.toHaveProperty('primary_release_date.lte');
+  });
+
+  test('should send a watch region along with providers', () => {
+    expect(build('providers=8,337').params).toMatchObject({ with_watch_providers: '8|337', watch_region: 'US' });
+    expect(build('providers=8&region=GB&monetization=flatrate|free').params).toMatchObject({
+      with_watch_providers: '8',
+      watch_region: 'GB',
+      with_watch_monetization_types: 'flatrate|free'
+    });
+  });
+
+  test('should reject malformed parameters', () => {
+    expectInvalid('mediaType=person', 'mediaType');
+    expectInvalid('genres=action', 'genres');
+    expectInvalid('yearFrom=2010&yearTo=2000', 'yearFrom must not be greater than yearTo');
+    expectInvalid('yearFrom=1800', 'yearFrom');
+    expectInvalid('ratingMin=11', 'ratingMin');
+    expectInvalid('runtimeMin=1.5', 'runtimeMin must be an integer');
+    expectInvalid('pageNumber=501', 'pageNumber');
+    expectInvalid('originalLanguage=eng', 'originalLanguage');
+    expectInvalid('region=gb', 'region');
+    expectInvalid('sortBy=popularity', 'sortBy');
+    expectInvalid('mediaType=tv&sortBy=revenue.desc', 'sortBy');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Federated Search Tests
+ * Tests anime result normalization, de-duplication against TMDB results,
+ * ranking and the per-source timeouts
+ */
+
+import {
+  federatedSearch,
+  isSameTitle,
+  mergeSearchResults,
+  normalizeAnimeResult,
+  normalizeTitle,
+  rankSearchResults,
+  runSourceWithTimeout,
+  titleSimilarity
+} from '../federatedSearch';
+
+const tmdbFrieren = {
+  id: 209867,
+  media_type: 'tv',
+  name: 'Frieren: Beyond Journey\'s End',
+  original_name: '葬送のフリーレン',
+  first_air_date: '2023-09-29',
+  poster_path: '/frieren.jpg',
+  popularity: 120,
+  vote_average: 8.9,
+  vote_count: 400
+};
+
+const tmdbMovie = {
+  id: 129,
+  media_type: 'movie',
+  title: 'Spirited Away',
+  release_date: '2001-07-20',
+  poster_path: '/spirited.jpg',
+  popularity: 90,
+  vote_average: 8.5,
+  vote_count: 16000
+};
+
+const rawFrieren = {
+  id: 52991,
+  title: 'Sousou no Frieren',
+  title_english: 'Frieren: Beyond Journey’s End',
+  title_japanese: '葬送のフリーレン',
+  type: 'TV',
+  year: 2023,
+  score: 9.3,
+  image: 'https://cdn.example/frieren.jpg'
+};
+
+const rawAnimeOnly = {
+  id: 777,
+  title: { english: 'Obscure Frieren Parody', romaji: 'Frieren Parody' },
+  format: 'MOVIE',
+  start_date: '2024-04-01',
+  averageScore: 71
+};
+
+function fakeSources({ tmdb = { results: [tmdbFrieren, tmdbMovie], total_pages: 3, total_results: 50 }, anime = [rawFrieren, rawAnimeOnly] } = {}) {
+  return {
+    tmdb: jest.fn(async () => tmdb),
+    anime: jest.fn(async () => anime)
+  };
+}
+
+describe('Federated search', () => {
+  describe('titles', () => {
+    test('should normalize punctuation, case and diacritics', () => {
+      expect(normalizeTitle('Frieren: Beyond Journey’s End')).toBe('frieren beyond journey s end');
+      expect(normalizeTitle('Pokémon & Friends')).toBe('pokemon and friends');
+      expect(normalizeTitle('葬送のフリーレン')).toBe('葬送のフリーレン');
+    });
+
+    test('should score similar titles close to 1 and unrelated ones low', () => {
+      expect(titleSimilarity('Frieren: Beyond Journey\'s End', 'Frieren - Beyond Journeys End')).toBeGreaterThan(0.9);
+      expect(titleSimilarity('Spirited Away', 'Frieren')).toBeLessThan(0.2);
+      expect(titleSimilarity('', 'Frieren')).toBe(0);
+    });
+  });
+
+  describe('normalizeAnimeResult', () => {
+    test('should map a raw anime result to the TMDB result shape', () => {
+      expect(normalizeAnimeResult(rawFrieren)).toMatchObject({
+        id: 'anime-52991',
+        tmdb_id: null,
+        media_type: 'tv',
+        name: 'Frieren: Beyond Journey’s End',
+        original_name: '葬送のフリーレン',
+        first_air_date: '2023-01-01',
+        poster_path: null,
+        poster_url: 'https://cdn.example/frieren.jpg',
+        vote_average: 9.3,
+        sources: ['anime']
+      });
+    });
+
+    test('should read nested titles, movie formats and 100-point scores', () => {
+      expect(normalizeAnimeResult(rawAnimeOnly)).toMatchObject({
+        media_type: 'movie',
+        title: 'Obscure Frieren Parody',
+        release_date: '2024-04-01',
+        vote_average: 7.1,
+        alternative_titles: ['Obscure Frieren Parody', 'Frieren Parody']
+      });
+    });
+
+    test('should use a known TMDB ID and skip results without titles', () => {
+      expect(normalizeAnimeResult({ id: 1, title: 'Spirited Away', type: 'Movie', tmdb_id: '129' })).toMatchObject({ id: 129, tmdb_id: 129 });
+      expect(normalizeAnimeResult({ id: 1 })).toBeNull();
+      expect(normalizeAnimeResult(null)).toBeNull();
+    });
+  });
+
+  describe('merging', () => {
+    test('should match duplicates by TMDB ID, or by title and year', () => {
+      const anime = normalizeAnimeResult(rawFrieren);
+
+      expect(isSameTitle(tmdbFrieren, anime)).toBe(true);
+      expect(isSameTitle({ ...tmdbFrieren, first_air_date: '2010-01-01' }, anime)).toBe(false);
+      expect(isSameTitle(tmdbMovie, normalizeAnimeResult({ title: 'Other', tmdb_id: 129 }))).toBe(true);
+      // Without a year only exact titles match
+      expect(isSameTitle({ ...tmdbFrieren, first_air_date: '' }, { ...anime, first_air_date: null })).toBe(true);
+      expect(isSameTitle({ ...tmdbFrieren, name: 'Frieren: Beyond the End', original_name: null, first_air_date: '' }, { ...anime, first_air_date: null })).toBe(false);
+    });
+
+    test('should fold duplicates into the TMDB result and append the rest', () => {
+      const merged = mergeSearchResults(
+        [tmdbFrieren, tmdbMovie],
+        [rawFrieren, { ...rawFrieren, id: 99999 }, rawAnimeOnly].map(normalizeAnimeResult)
+      );
+
+      expect(merged).toHaveLength(3);
+      expect(merged[0]).toMatchObject({
+        id: 209867,
+        sources: ['tmdb', 'anime'],
+        anime_id: 52991,
+        external_ids: { tmdb_id: 209867 }
+      });
+      expect(merged[1].sources).toEqual(['tmdb']);
+      expect(merged[2]).toMatchObject({ id: 'anime-777', sources: ['anime'] });
+    });
+  });
+
+  describe('ranking', () => {
+    test('should put exact title matches ahead of more popular partial matches', () => {
+      const ranked = rankSearchResults([
+        { id: 1, title: 'Spirited Away Making Of', popularity: 500, vote_average: 9, vote_count: 1000, sources: ['tmdb'] },
+        { id: 2, title: 'Spirited Away', popularity: 50, vote_average: 8, vote_count: 1000, sources: ['tmdb'] }
+      ], 'spirited away');
+
+      expect(ranked.map(result => result.id)).toEqual([2, 1]);
+      expect(ranked[0].search_score).toBeGreaterThan(ranked[1].search_score);
+    });
+
+    test('should keep source order for equal scores', () => {
+      const ranked = rankSearchResults([{ id: 'a', title: 'X' }, { id: 'b', title: 'X' }], 'x');
+      expect(ranked.map(result => result.id)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('sources', () => {
+    test('should time out slow sources and abort them', async () => {
+      jest.useFakeTimers();
+      try {
+        let signal = null;
+        const pending = runSourceWithTimeout((sourceSignal) => {
+          signal = sourceSignal;
+          return new Promise(() => {});
+        }, 100);
+
+        jest.advanceTimersByTime(100);
+        await expect(pending).resolves.toMatchObject({ status: 'timeout' });
+        expect(signal.aborted).toBe(true);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should merge both sources and report their status', async () => {
+      const sources = fakeSources();
+      const response = await federatedSearch('frieren', { page: 1, sources });
+
+      expect(response.results.map(result => result.id)).toEqual([209867, 'anime-777', 129]);
+      expect(response).toMatchObject({
+        page: 1,
+        total_pages: 3,
+        total_results: 51,
+        sources: {
+          tmdb: { status: 'ok', count: 2 },
+          anime: { status: 'ok', count: 2 }
+        }
+      });
+    });
+
+    test('should return the other source when one fails', async () => {
+      const sources = fakeSources();
+      sources.anime.mockRejectedValue(new Error('anime api down'));
+
+      const response = await federatedSearch('frieren', { sources });
+
+      expect(response.results).toHaveLength(2);
+      expect(response.sources.anime).toMatchObject({ status: 'error', error: 'anime api down' });
+    });
+
+    test('should throw the TMDB error when every source fails', async () => {
+      const tmdbError = new Error('TMDB rate limit exceeded');
+      const sources = fakeSources();
+      sources.tmdb.mockRejectedValue(tmdbError);
+      sources.anime.mockRejectedValue(new Error('anime api down'));
+
+      await expect(federatedSearch('frieren', { sources })).rejects.toBe(tmdbError);
+      expect(tmdbError.sources.anime.status).toBe('error');
+    });
+  });
+});
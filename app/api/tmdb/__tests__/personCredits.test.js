@@ -0,0 +1,67 @@
+/**
+ * Person Credits Tests
+ * Tests grouping repeated combined_credits entries per title and the
+ * date/popularity orderings used by the person page
+ */
+
+import { normalizePersonCredits, sortPersonCredits } from '../personCredits';
+
+const combinedCredits = {
+  id: 525,
+  cast: [
+    { id: 1, media_type: 'movie', title: 'Old Film', release_date: '1999-05-01', popularity: 40, character: 'Himself' },
+    { id: 2, media_type: 'tv', name: 'Long Show', first_air_date: '2010-01-10', popularity: 90, character: 'Guest', episode_count: 2 },
+    { id: 2, media_type: 'tv', name: 'Long Show', first_air_date: '2010-01-10', popularity: 90, character: 'Narrator', episode_count: 3 },
+    { id: 3, media_type: 'movie', title: 'Announced', release_date: '', popularity: 5, character: '' },
+    { id: 4, media_type: 'person', name: 'Not a title' }
+  ],
+  crew: [
+    { id: 5, media_type: 'movie', title: 'Big Film', release_date: '2008-07-18', popularity: 80, job: 'Director', department: 'Directing' },
+    { id: 5, media_type: 'movie', title: 'Big Film', release_date: '2008-07-18', popularity: 80, job: 'Screenplay', department: 'Writing' },
+    { id: 5, media_type: 'tv', name: 'Same ID, other type', first_air_date: '2015-03-01', popularity: 10, job: 'Producer', department: 'Production' }
+  ]
+};
+
+describe('Person credits', () => {
+  test('should group cast entries per title and collect characters and episodes', () => {
+    const { cast } = normalizePersonCredits(combinedCredits);
+
+    expect(cast.map(credit => credit.id)).toEqual([2, 1, 3]);
+    expect(cast[0]).toMatchObject({
+      media_type: 'tv',
+      title: 'Long Show',
+      date: '2010-01-10',
+      roles: ['Guest', 'Narrator'],
+      episode_count: 5
+    });
+    expect(cast[2]).toMatchObject({ title: 'Announced', date: null, roles: [] });
+  });
+
+  test('should group crew jobs and keep movies and shows with the same ID apart', () => {
+    const { crew } = normalizePersonCredits(combinedCredits);
+
+    expect(crew).toHaveLength(2);
+    expect(crew[1]).toMatchObject({
+      id: 5,
+      media_type: 'movie',
+      roles: ['Director', 'Screenplay'],
+      departments: ['Directing', 'Writing']
+    });
+  });
+
+  test('should sort by popularity with date as the tie-breaker', () => {
+    const { cast } = normalizePersonCredits(combinedCredits, 'popularity');
+    expect(cast.map(credit => credit.id)).toEqual([2, 1, 3]);
+
+    const tied = sortPersonCredits([
+      { id: 'older', date: '2001-01-01', popularity: 10 },
+      { id: 'newer', date: '2020-01-01', popularity: 10 },
+      { id: 'undated', date: null, popularity: 10 }
+    ], 'popularity');
+    expect(tied.map(credit => credit.id)).toEqual(['newer', 'older', 'undated']);
+  });
+
+  test('should handle people without credits', () => {
+    expect(normalizePersonCredits({ id: 1 })).toEqual({ cast: [], crew: [] });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * TMDB Client Tests
+ * Tests credentials, caching, 429 retries, timeouts and the translation of
+ * TMDB failures into typed errors and JSON error responses
+ */
+
+import {
+  buildCacheKey,
+  getTmdbConfigFromEnv,
+  parseRetryAfter,
+  TmdbClient,
+  TmdbError,
+  TMDB_ERROR_TYPES,
+  toTmdbErrorResponse
+} from '../tmdbClient';
+
+function createResponse(status, body = {}, headers = {}) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => lowerHeaders[name.toLowerCase()] ?? null },
+    json: async () => body
+  };
+}
+
+// Fetch mock answering with the queued responses in order
+function createFetch(...responses) {
+  return jest.fn(async () => {
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return next;
+  });
+}
+
+function createClient(fetchImpl, options = {}, now = () => 1000) {
+  const sleep = jest.fn(async () => {});
+  const client = new TmdbClient({ accessToken: 'token', ...options }, { fetchImpl, sleep, now });
+  return { client, sleep };
+}
+
+describe('TMDB Client', () => {
+  describe('configuration', () => {
+    test('should read credentials and limits from env', () => {
+      expect(getTmdbConfigFromEnv({
+        TMDB_API_READ_ACCESS_TOKEN: 'read-token',
+        TMDB_TIMEOUT_MS: '3000',
+        TMDB_CACHE_TTL_MS: 'soon'
+      })).toEqual({
+        accessToken: 'read-token',
+        apiKey: null,
+        baseUrl: 'https://api.themoviedb.org/3',
+        timeoutMs: 3000,
+        cacheTtlMs: 5 * 60 * 1000
+      });
+    });
+
+    test('should fail with a configuration error when no credentials are set', async () => {
+      const fetchImpl = createFetch(createResponse(200));
+      const client = new TmdbClient({}, { fetchImpl });
+
+      await expect(client.get('/tv/1')).rejects.toMatchObject({ type: TMDB_ERROR_TYPES.CONFIGURATION, status: 500 });
+      expect(fetchImpl).not.toHaveBeenCalled();
+    });
+
+    test('should send a bearer token, or the v3 key as a query parameter', async () => {
+      const bearerFetch = createFetch(createResponse(200, { id: 1 }));
+      await createClient(bearerFetch).client.get('/tv/1', { language: 'en-US' });
+
+      expect(bearerFetch).toHaveBeenCalledWith('https://api.themoviedb.org/3/tv/1?language=en-US', expect.objectContaining({
+        headers: { accept: 'application/json', Authorization: 'Bearer token' }
+      }));
+
+      const keyFetch = createFetch(createResponse(200, { id: 1 }));
+      await createClient(keyFetch, { accessToken: null, apiKey: 'v3key' }).client.get('/search/multi', { query: 'a b' });
+
+      expect(keyFetch.mock.calls[0][0]).toBe('https://api.themoviedb.org/3/search/multi?api_key=v3key&query=a%20b');
+      expect(keyFetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    });
+  });
+
+  describe('caching', () => {
+    test('should key the cache by endpoint and parameters regardless of order', () => {
+      expect(buildCacheKey('/discover/tv', { page: 2, sort_by: 'popularity.desc', with_genres: undefined }))
+        .toBe(buildCacheKey('/discover/tv', { sort_by: 'popularity.desc', page: 2 }));
+      expect(buildCacheKey('/tv/1')).toBe('/tv/1');
+    });
+
+    test('should serve cached responses until the TTL expires', async () => {
+      let time = 0;
+      const fetchImpl = createFetch(createResponse(200, { id: 1, name: 'first' }), createResponse(200, { id: 1, name: 'second' }));
+      const { client } = createClient(fetchImpl, { cacheTtlMs: 1000 }, () => time);
+
+      expect((await client.get('/tv/1', { language: 'en-US' })).name).toBe('first');
+      time = 999;
+      expect((await client.get('/tv/1', { language: 'en-US' })).name).toBe('first');
+      expect((await client.get('/tv/1', { language: 'fr-FR' })).name).toBe('second');
+      time = 1000;
+      expect((await client.get('/tv/1', { language: 'en-US' })).name).toBe('second');
+      expect(fetchImpl).toHaveBeenCalledTimes(3);
+    });
+
+    test('should share in-flight requests, skip caching errors and evict the oldest entries', async () => {
+      const fetchImpl = createFetch(createResponse(200, { id: 1 }));
+      const { client } = createClient(fetchImpl, { cacheMaxEntries: 2 });
+
+      await Promise.all([client.get('/tv/1'), client.get('/tv/1')]);
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+      await client.get('/tv/2');
+      await client.get('/tv/3');
+      expect([...client.cache.keys()]).toEqual(['/tv/2', '/tv/3']);
+
+      const failingFetch = createFetch(createResponse(500, {}), createResponse(200, { id: 4 }));
+      const { client: failingClient } = createClient(failingFetch);
+      await expect(failingClient.get('/tv/4')).rejects.toBeInstanceOf(TmdbError);
+      expect(await failingClient.get('/tv/4')).toEqual({ id: 4 });
+    });
+  });
+
+  describe('getWithAppends', () => {
+    test('should split appends over parallel calls and merge the responses', async () => {
+      const fetchImpl = jest.fn(async (url) => {
+        const appended = decodeURIComponent(/append_to_response=([^&]+)/.exec(url)[1]).split(',');
+        return createResponse(200, { id: 1, name: 'Show', ...Object.fromEntries(appended.map(item => [item, { item }])) });
+      });
+      const { client } = createClient(fetchImpl);
+      const seasons = Array.from({ length: 25 }, (_, index) => `season/${index}`);
+
+      const show = await client.getWithAppends('/tv/1', { language: 'en-US' }, seasons);
+
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+      expect(fetchImpl.mock.calls[0][0]).toContain('append_to_response=season%2F0%2C');
+      expect(Object.keys(show).filter(key => key.startsWith('season/'))).toHaveLength(25);
+      expect(show).toMatchObject({ id: 1, name: 'Show', 'season/24': { item: 'season/24' } });
+    });
+
+    test('should make a plain request when nothing is appended', async () => {
+      const fetchImpl = createFetch(createResponse(200, { id: 1 }));
+      await createClient(fetchImpl).client.getWithAppends('/movie/1', {}, []);
+
+      expect(fetchImpl.mock.calls[0][0]).toBe('https://api.themoviedb.org/3/movie/1');
+    });
+  });
+
+  describe('errors and retries', () => {
+    test('should retry 429 responses after Retry-After', async () => {
+      const fetchImpl = createFetch(
+        createResponse(429, {}, { 'Retry-After': '2' }),
+        createResponse(429, {}),
+        createResponse(200, { id: 1 })
+      );
+      const { client, sleep } = createClient(fetchImpl);
+
+      expect(await client.get('/tv/1')).toEqual({ id: 1 });
+      expect(sleep.mock.calls).toEqual([[2000], [2000]]);
+    });
+
+    test('should give up with a rate limit error when Retry-After is too long or retries run out', async () => {
+      const { client: longWait, sleep } = createClient(createFetch(createResponse(429, {}, { 'Retry-After': '60' })));
+      await expect(longWait.get('/tv/1')).rejects.toMatchObject({ type: TMDB_ERROR_TYPES.RATE_LIMITED, status: 429, retryAfter: 60 });
+      expect(sleep).not.toHaveBeenCalled();
+
+      const { client: exhausted } = createClient(createFetch(createResponse(429, {}, { 'Retry-After': '1' })), { maxRetries: 1 });
+      await expect(exhausted.get('/tv/1')).rejects.toMatchObject({ type: TMDB_ERROR_TYPES.RATE_LIMITED, retryAfter: 1 });
+    });
+
+    test('should map TMDB status codes to error types', async () => {
+      const cases = [
+        [401, TMDB_ERROR_TYPES.UNAUTHORIZED, 502],
+        [404, TMDB_ERROR_TYPES.NOT_FOUND, 404],
+        [422, TMDB_ERROR_TYPES.INVALID_REQUEST, 400],
+        [503, TMDB_ERROR_TYPES.UPSTREAM, 502]
+      ];
+
+      for (const [tmdbStatus, type, status] of cases) {
+        const body = { success: false, status_code: 34, status_message: 'The resource you requested could not be found.' };
+        const { client } = createClient(createFetch(createResponse(tmdbStatus, body)));
+        await expect(client.get('/tv/0')).rejects.toMatchObject({ type, status, tmdbStatus, tmdbCode: 34, message: body.status_message });
+      }
+    });
+
+    test('should report timeouts and network failures', async () => {
+      jest.useFakeTimers();
+      try {
+        const hangingFetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+        const { client } = createClient(hangingFetch, { timeoutMs: 50 });
+
+        const pending = client.get('/tv/1');
+        jest.advanceTimersByTime(50);
+        await expect(pending).rejects.toMatchObject({ type: TMDB_ERROR_TYPES.TIMEOUT, status: 504 });
+      } finally {
+        jest.useRealTimers();
+      }
+
+      const { client } = createClient(createFetch(new Error('ECONNRESET')));
+      await expect(client.get('/tv/1')).rejects.toMatchObject({ type: TMDB_ERROR_TYPES.NETWORK, status: 502 });
+    });
+
+    test('should parse Retry-After seconds and HTTP dates', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter(new Date(15000).toUTCString(), 10000)).toBe(5000);
+      expect(parseRetryAfter('soon')).toBeNull();
+      expect(parseRetryAfter(null)).toBeNull();
+    });
+  });
+
+  describe('toTmdbErrorResponse', () => {
+    test('should build consistent JSON bodies with Retry-After for rate limits', () => {
+      expect(toTmdbErrorResponse(new TmdbError(TMDB_ERROR_TYPES.RATE_LIMITED, 'TMDB rate limit exceeded', { tmdbStatus: 429, retryAfter: 30 }))).toEqual({
+        status: 429,
+        body: { success: false, error: 'TMDB rate limit exceeded', code: 'rate_limited', tmdbStatus: 429, retryAfter: 30 },
+        headers: { 'Retry-After': '30' }
+      });
+      expect(toTmdbErrorResponse(new TmdbError(TMDB_ERROR_TYPES.INVALID_REQUEST, 'Invalid action'))).toEqual({
+        status: 400,
+        body: { success: false, error: 'Invalid action', code: 'invalid_request' },
+        headers: {}
+      });
+      expect(toTmdbErrorResponse(new TypeError('boom'))).toMatchObject({ status: 500, body: { code: 'internal_error' } });
+    });
+  });
+});
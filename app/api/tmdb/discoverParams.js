@@ -0,0 +1,154 @@
+/**
+ * Validation and mapping for the `discover` action
+ * Turns our query parameters (one vocabulary for movies and TV) into TMDB
+ * /discover parameters, rejecting anything malformed with an
+ * INVALID_REQUEST TmdbError so the route answers 400.
+ */
+
+import { TmdbError, TMDB_ERROR_TYPES } from './tmdbClient';
+
+export const DISCOVER_MEDIA_TYPES = ['movie', 'tv'];
+
+// TMDB only serves the first 500 pages of any listing
+export const DISCOVER_MAX_PAGE = 500;
+
+// Our sort keys -> TMDB sort fields per media type
+const SORT_FIELDS = {
+  popularity: { movie: 'popularity', tv: 'popularity' },
+  rating: { movie: 'vote_average', tv: 'vote_average' },
+  votes: { movie: 'vote_count', tv: 'vote_count' },
+  release_date: { movie: 'primary_release_date', tv: 'first_air_date' },
+  title: { movie: 'title', tv: 'name' },
+  revenue: { movie: 'revenue', tv: null }
+};
+
+// Date field used for year ranges and the released-only cut-off
+const DATE_FIELDS = {
+  movie: 'primary_release_date',
+  tv: 'first_air_date'
+};
+
+const ID_LIST_PATTERN = /^\d+([,|]\d+)*$/;
+
+function invalid(message) {
+  return new TmdbError(TMDB_ERROR_TYPES.INVALID_REQUEST, message);
+}
+
+function readNumber(searchParams, name, { min, max, integer = true }) {
+  const value = searchParams.get(name);
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw invalid(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function readRange(searchParams, fromName, toName, limits) {
+  const from = readNumber(searchParams, fromName, limits);
+  const to = readNumber(searchParams, toName, limits);
+
+  if (from !== null && to !== null && from > to) {
+    throw invalid(`${fromName} must not be greater than ${toName}`);
+  }
+  return [from, to];
+}
+
+/**
+ * ID lists: `16,35` means all of them, `16|35` any of them.
+ * `match=any` on the request turns a comma list into an "any" list.
+ */
+function readIdList(searchParams, name, matchAny = false) {
+  const value = searchParams.get(name);
+  if (!value) {
+    return null;
+  }
+  if (!ID_LIST_PATTERN.test(value)) {
+    throw invalid(`${name} must be a list of numeric IDs separated by , (all) or | (any)`);
+  }
+  return matchAny ? value.replace(/,/g, '|') : value;
+}
+
+function readCode(searchParams, name, pattern, description) {
+  const value = searchParams.get(name);
+  if (!value) {
+    return null;
+  }
+  if (!pattern.test(value)) {
+    throw invalid(`${name} must be ${description}`);
+  }
+  return value;
+}
+
+function readSort(searchParams, mediaType) {
+  const value = searchParams.get('sortBy') || 'popularity.desc';
+  const [key, direction] = value.split('.');
+  const field = SORT_FIELDS[key]?.[mediaType];
+
+  if (!field || !['asc', 'desc'].includes(direction)) {
+    const supported = Object.keys(SORT_FIELDS).filter(name => SORT_FIELDS[name][mediaType]);
+    throw invalid(`sortBy must be one of ${supported.join(', ')} followed by .asc or .desc`);
+  }
+  return `${field}.${direction}`;
+}
+
+/**
+ * Build TMDB /discover parameters from request parameters.
+ * Returns { mediaType, params }. Unreleased titles are excluded unless
+ * includeUnreleased=true, so pages stay full instead of being filtered afterwards.
+ */
+export function buildDiscoverParams(searchParams, { today = new Date().toISOString().split('T')[0] } = {}) {
+  const mediaType = searchParams.get('mediaType') || 'movie';
+  if (!DISCOVER_MEDIA_TYPES.includes(mediaType)) {
+    throw invalid(`mediaType must be one of: ${DISCOVER_MEDIA_TYPES.join(', ')}`);
+  }
+
+  const currentYear = parseInt(today.substring(0, 4), 10);
+  const matchAny = searchParams.get('match') === 'any';
+  const [yearFrom, yearTo] = readRange(searchParams, 'yearFrom', 'yearTo', { min: 1870, max: currentYear + 5 });
+  const [runtimeMin, runtimeMax] = readRange(searchParams, 'runtimeMin', 'runtimeMax', { min: 0, max: 1000 });
+  const [ratingMin, ratingMax] = readRange(searchParams, 'ratingMin', 'ratingMax', { min: 0, max: 10, integer: false });
+  const providers = readIdList(searchParams, 'providers', true);
+  const region = readCode(searchParams, 'region', /^[A-Z]{2}$/, 'an ISO 3166-1 country code such as US');
+  const dateField = DATE_FIELDS[mediaType];
+
+  let latestDate = yearTo !== null ? `${yearTo}-12-31` : null;
+  if (searchParams.get('includeUnreleased') !== 'true' && (!latestDate || latestDate > today)) {
+    latestDate = today;
+  }
+
+  const params = {
+    language: 'en-US',
+    include_adult: false,
+    page: readNumber(searchParams, 'pageNumber', { min: 1, max: DISCOVER_MAX_PAGE }) || 1,
+    sort_by: readSort(searchParams, mediaType),
+    with_genres: readIdList(searchParams, 'genres', matchAny),
+    without_genres: readIdList(searchParams, 'withoutGenres', false)?.replace(/\|/g, ','),
+    [`${dateField}.gte`]: yearFrom !== null ? `${yearFrom}-01-01` : null,
+    [`${dateField}.lte`]: latestDate,
+    'with_runtime.gte': runtimeMin,
+    'with_runtime.lte': runtimeMax,
+    'vote_average.gte': ratingMin,
+    'vote_average.lte': ratingMax,
+    'vote_count.gte': readNumber(searchParams, 'minVotes', { min: 0, max: 1000000 }),
+    with_original_language: readCode(searchParams, 'originalLanguage', /^[a-z]{2}$/, 'an ISO 639-1 language code such as ja'),
+    with_origin_country: readCode(searchParams, 'country', /^[A-Z]{2}(\|[A-Z]{2})*$/, 'ISO 3166-1 country codes such as JP, separated by |'),
+    with_watch_providers: providers,
+    // Providers are per region; TMDB ignores with_watch_providers without one
+    watch_region: providers ? (region || 'US') : region,
+    with_watch_monetization_types: readCode(searchParams, 'monetization', /^(flatrate|free|ads|rent|buy)(\|(flatrate|free|ads|rent|buy))*$/, 'flatrate, free, ads, rent or buy, separated by |')
+  };
+
+  // Shows without a first air date would slip past the date range
+  if (mediaType === 'tv') {
+    params.include_null_first_air_dates = false;
+  }
+
+  return {
+    mediaType,
+    params: Object.fromEntries(Object.entries(params).filter(([, value]) => value !== null && value !== undefined))
+  };
+}
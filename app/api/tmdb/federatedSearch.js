@@ -0,0 +1,360 @@
+/**
+ * Federated search across TMDB and the anime search API
+ * Both sources are queried in parallel, each with its own timeout, so a
+ * slow or failing source only drops its own results. Anime results are
+ * normalized to the TMDB search result shape, merged into TMDB results they
+ * duplicate (by TMDB ID, or by fuzzy title and year) and the combined list
+ * is ranked by relevance to the query, popularity and rating.
+ */
+
+export const FEDERATED_SEARCH_SOURCES = ['tmdb', 'anime'];
+
+export const DEFAULT_SOURCE_TIMEOUTS_MS = {
+  tmdb: 4000,
+  anime: 3000
+};
+
+// Title similarity needed to treat two results as the same title
+const DUPLICATE_TITLE_THRESHOLD = 0.85;
+
+// Release years may differ by one between sources (air date vs. season start)
+const DUPLICATE_YEAR_TOLERANCE = 1;
+
+const RANKING_WEIGHTS = {
+  relevance: 0.6,
+  popularity: 0.2,
+  rating: 0.1,
+  multiSource: 0.1
+};
+
+/**
+ * Lowercase, strip diacritics and punctuation for title comparison
+ */
+export function normalizeTitle(title) {
+  if (!title || typeof title !== 'string') return '';
+
+  return title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\u3040-\u30ff\u4e00-\u9fff]+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+/**
+ * Dice coefficient over character bigrams of the normalized titles, 0..1
+ */
+export function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+
+  const counts = new Map();
+  for (const pair of leftPairs) {
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (const pair of rightPairs) {
+    const count = counts.get(pair);
+    if (count) {
+      shared++;
+      counts.set(pair, count - 1);
+    }
+  }
+
+  return (2 * shared) / (leftPairs.length + rightPairs.length);
+}
+
+function parseYear(value) {
+  if (typeof value === 'number' && value > 1800) return value;
+  const match = typeof value === 'string' && value.match(/\b(18|19|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function firstValue(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '') ?? null;
+}
+
+/**
+ * Collect the title variants of an anime result; titles may be plain
+ * strings or objects such as { english, romaji, native }
+ */
+function collectAnimeTitles(raw) {
+  const titles = [];
+  const add = (value) => {
+    if (!value) return;
+    if (typeof value === 'string') {
+      titles.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(add);
+    } else if (typeof value === 'object') {
+      Object.values(value).forEach(add);
+    }
+  };
+
+  add(raw.title_english);
+  add(raw.english);
+  add(raw.title);
+  add(raw.name);
+  add(raw.title_romaji);
+  add(raw.romaji);
+  add(raw.title_japanese);
+  add(raw.native);
+  add(raw.synonyms);
+  add(raw.other_names);
+
+  return [...new Set(titles)];
+}
+
+/**
+ * Normalize a raw anime search result to the TMDB search result shape.
+ * Results without a known TMDB ID get a string `anime-<id>` ID, which the
+ * details pages can't open; `tmdb_id` tells the two apart.
+ */
+export function normalizeAnimeResult(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const titles = collectAnimeTitles(raw);
+  if (titles.length === 0) return null;
+
+  const sourceId = firstValue(raw.id, raw.mal_id, raw.anilist_id, raw.slug);
+  const tmdbId = parseInt(firstValue(raw.tmdb_id, raw.tmdb, raw.ids?.tmdb), 10) || null;
+  const format = String(firstValue(raw.type, raw.format, '')).toLowerCase();
+  const mediaType = format === 'movie' ? 'movie' : 'tv';
+  const date = firstValue(raw.release_date, raw.start_date, raw.aired?.from, raw.aired, raw.released);
+  const year = parseYear(firstValue(raw.year, raw.season_year, date));
+  const rawScore = parseFloat(firstValue(raw.score, raw.rating, raw.averageScore));
+  const score = Number.isFinite(rawScore) ? (rawScore > 10 ? rawScore / 10 : rawScore) : 0;
+  const posterUrl = firstValue(raw.poster, raw.image, raw.cover, raw.coverImage?.large, raw.images?.jpg?.image_url);
+  const isoDate = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date) ? date.slice(0, 10) : (year ? `${year}-01-01` : null);
+  const originalTitle = raw.title_japanese || raw.native || (typeof raw.title === 'object' ? raw.title?.native : null) || titles[0];
+
+  return {
+    id: tmdbId || `anime-${sourceId ?? normalizeTitle(titles[0]).replace(/ /g, '-')}`,
+    tmdb_id: tmdbId,
+    media_type: mediaType,
+    ...(mediaType === 'movie'
+      ? { title: titles[0], original_title: originalTitle, release_date: isoDate }
+      : { name: titles[0], original_name: originalTitle, first_air_date: isoDate }),
+    overview: firstValue(raw.description, raw.synopsis, raw.overview, '') || '',
+    poster_path: null,
+    poster_url: posterUrl,
+    vote_average: score,
+    vote_count: parseInt(firstValue(raw.scored_by, raw.members, 0), 10) || 0,
+    popularity: parseFloat(firstValue(raw.popularity_score, raw.trending, 0)) || 0,
+    genre_ids: [16],
+    origin_country: ['JP'],
+    alternative_titles: titles,
+    external_ids: {
+      tmdb_id: tmdbId,
+      imdb_id: raw.imdb_id || null,
+      mal_id: firstValue(raw.mal_id, raw.idMal, raw.ids?.mal),
+      anilist_id: firstValue(raw.anilist_id, raw.ids?.anilist)
+    },
+    anime_id: sourceId,
+    sources: ['anime']
+  };
+}
+
+function resultTitles(result) {
+  return [
+    result.title,
+    result.name,
+    result.original_title,
+    result.original_name,
+    ...(result.alternative_titles || [])
+  ].filter(Boolean);
+}
+
+function resultYear(result) {
+  return parseYear(result.release_date || result.first_air_date);
+}
+
+/**
+ * Whether an anime result is the same title as a TMDB result
+ */
+export function isSameTitle(tmdbResult, animeResult) {
+  if (animeResult.tmdb_id) {
+    return animeResult.tmdb_id === tmdbResult.id;
+  }
+
+  const tmdbYear = resultYear(tmdbResult);
+  const animeYear = resultYear(animeResult);
+  const yearsKnown = tmdbYear !== null && animeYear !== null;
+
+  if (yearsKnown && Math.abs(tmdbYear - animeYear) > DUPLICATE_YEAR_TOLERANCE) {
+    return false;
+  }
+
+  // Without years to compare, only an exact title match counts
+  const threshold = yearsKnown ? DUPLICATE_TITLE_THRESHOLD : 1;
+
+  return resultTitles(tmdbResult).some(tmdbTitle =>
+    resultTitles(animeResult).some(animeTitle => titleSimilarity(tmdbTitle, animeTitle) >= threshold)
+  );
+}
+
+/**
+ * Fold anime results into the TMDB results they duplicate; the rest are appended
+ */
+export function mergeSearchResults(tmdbResults = [], animeResults = []) {
+  const merged = tmdbResults.map(result => ({ ...result, sources: ['tmdb'] }));
+  const seenAnime = new Set();
+
+  for (const anime of animeResults) {
+    if (seenAnime.has(anime.id)) continue;
+    seenAnime.add(anime.id);
+
+    const duplicate = merged.find(result => result.sources.includes('tmdb') && isSameTitle(result, anime));
+
+    if (duplicate) {
+      // Several anime entries (e.g. one per season) can map to one TMDB show; the first one wins
+      if (duplicate.sources.includes('anime')) continue;
+
+      duplicate.sources = [...duplicate.sources, 'anime'];
+      duplicate.external_ids = { ...anime.external_ids, ...duplicate.external_ids, tmdb_id: duplicate.id };
+      duplicate.anime_id = anime.anime_id;
+      if (!duplicate.poster_path && !duplicate.poster_url) {
+        duplicate.poster_url = anime.poster_url;
+      }
+    } else {
+      merged.push(anime);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * How well a result's titles match the query, 0..1
+ */
+export function queryRelevance(result, query) {
+  const normalizedQuery = normalizeTitle(query);
+  if (!normalizedQuery) return 0;
+
+  return Math.max(0, ...resultTitles(result).map(title => {
+    const normalized = normalizeTitle(title);
+    if (normalized === normalizedQuery) return 1;
+    if (normalized.startsWith(normalizedQuery)) return 0.75;
+    if (normalized.includes(normalizedQuery)) return 0.6;
+    return titleSimilarity(normalized, normalizedQuery) * 0.7;
+  }));
+}
+
+/**
+ * Order merged results, best first. Ties keep their source order (TMDB's own ranking first).
+ */
+export function rankSearchResults(results, query) {
+  return results
+    .map((result, index) => {
+      // TMDB popularity is open-ended; log scale it so blockbusters don't drown out exact matches
+      const popularity = Math.min(1, Math.log10(1 + (result.popularity || 0)) / 3);
+      // Ratings from a handful of votes say little
+      const rating = ((result.vote_average || 0) / 10) * Math.min(1, (result.vote_count || 0) / 100);
+
+      const score = RANKING_WEIGHTS.relevance * queryRelevance(result, query) +
+        RANKING_WEIGHTS.popularity * popularity +
+        RANKING_WEIGHTS.rating * rating +
+        RANKING_WEIGHTS.multiSource * (result.sources?.length > 1 ? 1 : 0);
+
+      return { result, index, score };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ result, score }) => ({ ...result, search_score: Math.round(score * 1000) / 1000 }));
+}
+
+/**
+ * Run a source with a timeout. The source gets an AbortSignal that fires on
+ * timeout; sources that ignore it are still abandoned. Never rejects.
+ */
+export async function runSourceWithTimeout(source, timeoutMs, now = () => Date.now()) {
+  const startedAt = now();
+  const controller = new AbortController();
+  let timer = null;
+
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve({ status: 'timeout' });
+    }, timeoutMs);
+  });
+
+  const outcome = await Promise.race([
+    Promise.resolve()
+      .then(() => source(controller.signal))
+      .then(value => ({ status: 'ok', value }), error => ({ status: 'error', error })),
+    timeout
+  ]);
+  clearTimeout(timer);
+
+  return { ...outcome, durationMs: now() - startedAt };
+}
+
+function describeSource(outcome, count) {
+  return {
+    status: outcome.status,
+    durationMs: outcome.durationMs,
+    ...(outcome.status === 'ok' && { count }),
+    ...(outcome.status === 'error' && { error: outcome.error?.message || 'Unknown error' })
+  };
+}
+
+/**
+ * Query every source and merge the results.
+ * `sources.tmdb(signal)` resolves to a TMDB search page ({ results, total_pages,
+ * total_results }); `sources.anime(signal)` to an array of raw anime results.
+ * Throws the TMDB error (or the anime one) only when every source failed.
+ */
+export async function federatedSearch(query, { page = 1, sources, timeouts = DEFAULT_SOURCE_TIMEOUTS_MS, now } = {}) {
+  const names = FEDERATED_SEARCH_SOURCES.filter(name => sources[name]);
+  const outcomes = await Promise.all(names.map(name =>
+    runSourceWithTimeout(sources[name], timeouts[name] ?? DEFAULT_SOURCE_TIMEOUTS_MS[name], now)
+  ));
+  const byName = Object.fromEntries(names.map((name, index) => [name, outcomes[index]]));
+
+  if (outcomes.every(outcome => outcome.status !== 'ok')) {
+    const failed = byName.tmdb?.status === 'error' ? byName.tmdb : outcomes.find(outcome => outcome.status === 'error');
+    const error = failed?.error || new Error('All search sources timed out');
+    error.sources = Object.fromEntries(names.map(name => [name, describeSource(byName[name], 0)]));
+    throw error;
+  }
+
+  const tmdbPage = byName.tmdb?.status === 'ok' ? byName.tmdb.value : null;
+  const rawAnime = byName.anime?.status === 'ok' && Array.isArray(byName.anime.value) ? byName.anime.value : [];
+  const tmdbResults = tmdbPage?.results || [];
+  const animeResults = rawAnime.map(normalizeAnimeResult).filter(Boolean);
+
+  const merged = mergeSearchResults(tmdbResults, animeResults);
+  const results = rankSearchResults(merged, query);
+
+  // The anime API doesn't report totals; a non-empty page means there may be another
+  const animeHasMore = animeResults.length > 0;
+
+  return {
+    page,
+    total_pages: Math.max(tmdbPage?.total_pages || 0, animeHasMore ? page + 1 : page),
+    total_results: (tmdbPage?.total_results || 0) + merged.filter(result => !result.sources.includes('tmdb')).length,
+    results,
+    sources: {
+      ...(byName.tmdb && { tmdb: describeSource(byName.tmdb, tmdbResults.length) }),
+      ...(byName.anime && { anime: describeSource(byName.anime, animeResults.length) })
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Person credits for the `getPersonCredits` action
+ * TMDB's combined_credits lists a title once per character or job, so a
+ * director-writer or an actor with several characters shows up repeatedly.
+ * Credits are grouped per title here, with the roles collected, and sorted
+ * for the person page.
+ */
+
+export const PERSON_CREDIT_SORTS = ['date', 'popularity'];
+
+const MEDIA_TYPES = ['movie', 'tv'];
+
+function creditDate(credit) {
+  return credit.release_date || credit.first_air_date || null;
+}
+
+/**
+ * Group credits by title. `roleField` is `character` for cast and `job` for crew.
+ */
+function groupCredits(credits = [], roleField) {
+  const grouped = new Map();
+
+  for (const credit of credits) {
+    if (!MEDIA_TYPES.includes(credit.media_type)) continue;
+
+    const key = `${credit.media_type}:${credit.id}`;
+    let entry = grouped.get(key);
+
+    if (!entry) {
+      entry = {
+        id: credit.id,
+        media_type: credit.media_type,
+        title: credit.title || credit.name || 'Unknown Title',
+        poster_path: credit.poster_path || null,
+        date: creditDate(credit),
+        popularity: credit.popularity || 0,
+        vote_average: credit.vote_average || 0,
+        vote_count: credit.vote_count || 0,
+        episode_count: 0,
+        roles: [],
+        departments: []
+      };
+      grouped.set(key, entry);
+    }
+
+    entry.episode_count += credit.episode_count || 0;
+
+    const role = credit[roleField];
+    if (role && !entry.roles.includes(role)) {
+      entry.roles.push(role);
+    }
+    if (credit.department && !entry.departments.includes(credit.department)) {
+      entry.departments.push(credit.department);
+    }
+  }
+
+  return [...grouped.values()];
+}
+
+/**
+ * Sort grouped credits in place.
+ * `date`: newest first, undated (announced or unknown) titles last.
+ * `popularity`: most popular first. Each sort breaks ties with the other.
+ */
+export function sortPersonCredits(credits, sortBy = 'date') {
+  const byDate = (a, b) => {
+    if (a.date === b.date) return 0;
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return a.date < b.date ? 1 : -1;
+  };
+  const byPopularity = (a, b) => b.popularity - a.popularity;
+
+  return credits.sort(sortBy === 'popularity'
+    ? (a, b) => byPopularity(a, b) || byDate(a, b)
+    : (a, b) => byDate(a, b) || byPopularity(a, b));
+}
+
+/**
+ * Turn a combined_credits response into { cast, crew } with one entry per title
+ */
+export function normalizePersonCredits(combinedCredits = {}, sortBy = 'date') {
+  return {
+    cast: sortPersonCredits(groupCredits(combinedCredits.cast, 'character'), sortBy),
+    crew: sortPersonCredits(groupCredits(combinedCredits.crew, 'job'), sortBy)
+  };
+}
@@ -0,0 +1,328 @@
+/**
+ * Shared TMDB client for the API routes
+ * Reads credentials from the environment, times out slow requests, retries
+ * 429s after the `Retry-After` delay and caches successful responses in
+ * process, keyed by endpoint and query parameters. Failures are thrown as
+ * TmdbError with a `type` from TMDB_ERROR_TYPES; routes turn them into JSON
+ * responses with toTmdbErrorResponse().
+ *
+ * Cached responses are shared between callers and must be treated as read-only.
+ */
+
+export const TMDB_ERROR_TYPES = {
+  CONFIGURATION: 'configuration',
+  INVALID_REQUEST: 'invalid_request',
+  UNAUTHORIZED: 'unauthorized',
+  NOT_FOUND: 'not_found',
+  RATE_LIMITED: 'rate_limited',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  UPSTREAM: 'upstream'
+};
+
+// Status codes our routes answer with for each error type
+const ERROR_STATUS_CODES = {
+  [TMDB_ERROR_TYPES.CONFIGURATION]: 500,
+  [TMDB_ERROR_TYPES.INVALID_REQUEST]: 400,
+  [TMDB_ERROR_TYPES.UNAUTHORIZED]: 502,  // Our credentials, not the caller's
+  [TMDB_ERROR_TYPES.NOT_FOUND]: 404,
+  [TMDB_ERROR_TYPES.RATE_LIMITED]: 429,
+  [TMDB_ERROR_TYPES.TIMEOUT]: 504,
+  [TMDB_ERROR_TYPES.NETWORK]: 502,
+  [TMDB_ERROR_TYPES.UPSTREAM]: 502
+};
+
+export const DEFAULT_TMDB_CONFIG = {
+  accessToken: null,
+  apiKey: null,
+  baseUrl: 'https://api.themoviedb.org/3',
+  timeoutMs: 8000,
+  maxRetries: 2,
+  maxRetryDelayMs: 10000,   // Longer Retry-After values are passed on to the caller instead
+  cacheTtlMs: 5 * 60 * 1000,
+  cacheMaxEntries: 500
+};
+
+// TMDB accepts at most this many comma-separated items in append_to_response
+export const TMDB_APPEND_LIMIT = 20;
+
+export class TmdbError extends Error {
+  constructor(type, message, { tmdbStatus = null, tmdbCode = null, retryAfter = null, endpoint = null } = {}) {
+    super(message);
+    this.name = 'TmdbError';
+    this.type = type;
+    this.status = ERROR_STATUS_CODES[type] || 500;
+    this.tmdbStatus = tmdbStatus;
+    this.tmdbCode = tmdbCode;
+    this.retryAfter = retryAfter;
+    this.endpoint = endpoint;
+  }
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Read TMDB settings from the environment.
+ * TMDB_API_READ_ACCESS_TOKEN (v4 bearer token) is preferred; TMDB_API_KEY
+ * (v3 key, sent as ?api_key=) works too.
+ */
+export function getTmdbConfigFromEnv(env = process.env) {
+  return {
+    accessToken: env.TMDB_API_READ_ACCESS_TOKEN || null,
+    apiKey: env.TMDB_API_KEY || null,
+    baseUrl: env.TMDB_API_BASE_URL || DEFAULT_TMDB_CONFIG.baseUrl,
+    timeoutMs: parsePositiveInt(env.TMDB_TIMEOUT_MS, DEFAULT_TMDB_CONFIG.timeoutMs),
+    cacheTtlMs: parsePositiveInt(env.TMDB_CACHE_TTL_MS, DEFAULT_TMDB_CONFIG.cacheTtlMs)
+  };
+}
+
+/**
+ * Retry-After as milliseconds; accepts delay-seconds or an HTTP date
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Cache key for an endpoint and its parameters, independent of parameter order
+ */
+export function buildCacheKey(endpoint, params = {}) {
+  const query = Object.keys(params)
+    .filter(name => params[name] !== undefined && params[name] !== null)
+    .sort()
+    .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+    .join('&');
+
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class TmdbClient {
+  constructor(options = {}, { fetchImpl = null, sleep = defaultSleep, now = () => Date.now() } = {}) {
+    const config = { ...DEFAULT_TMDB_CONFIG, ...options };
+
+    this.accessToken = config.accessToken;
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = config.timeoutMs;
+    this.maxRetries = config.maxRetries;
+    this.maxRetryDelayMs = config.maxRetryDelayMs;
+    this.cacheTtlMs = config.cacheTtlMs;
+    this.cacheMaxEntries = config.cacheMaxEntries;
+
+    this.fetchImpl = fetchImpl;
+    this.sleep = sleep;
+    this.now = now;
+
+    // key -> { value, expiresAt } for responses, key -> promise for requests in flight
+    this.cache = new Map();
+    this.inFlight = new Map();
+  }
+
+  isConfigured() {
+    return !!(this.accessToken || this.apiKey);
+  }
+
+  /**
+   * GET a TMDB endpoint (e.g. '/tv/1399') with query parameters.
+   * `cacheTtlMs: 0` skips the cache for this call.
+   */
+  async get(endpoint, params = {}, { cacheTtlMs = this.cacheTtlMs } = {}) {
+    if (!this.isConfigured()) {
+      throw new TmdbError(TMDB_ERROR_TYPES.CONFIGURATION, 'TMDB credentials are not configured', { endpoint });
+    }
+
+    const key = buildCacheKey(endpoint, params);
+
+    if (cacheTtlMs > 0) {
+      const cached = this.cache.get(key);
+      if (cached && cached.expiresAt > this.now()) {
+        return cached.value;
+      }
+      this.cache.delete(key);
+    }
+
+    // Identical concurrent requests share one upstream call
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const request = this.request(endpoint, params)
+      .then(value => {
+        if (cacheTtlMs > 0) {
+          this.remember(key, value, cacheTtlMs);
+        }
+        return value;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * GET an endpoint with `append_to_response` items (e.g. 'credits',
+   * 'season/3'). More items than TMDB allows per call are split across
+   * parallel requests and the responses merged into one object.
+   */
+  async getWithAppends(endpoint, params = {}, appends = [], options = {}) {
+    if (appends.length === 0) {
+      return this.get(endpoint, params, options);
+    }
+
+    const batches = [];
+    for (let i = 0; i < appends.length; i += TMDB_APPEND_LIMIT) {
+      batches.push(appends.slice(i, i + TMDB_APPEND_LIMIT));
+    }
+
+    const responses = await Promise.all(batches.map(batch =>
+      this.get(endpoint, { ...params, append_to_response: batch.join(',') }, options)
+    ));
+
+    return Object.assign({}, ...responses);
+  }
+
+  remember(key, value, ttlMs) {
+    this.cache.delete(key);
+    this.cache.set(key, { value, expiresAt: this.now() + ttlMs });
+
+    // Map iteration order is insertion order, so the first key is the oldest
+    while (this.cache.size > this.cacheMaxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  buildUrl(endpoint, params) {
+    const query = buildCacheKey('', { ...params, ...(!this.accessToken && { api_key: this.apiKey }) });
+    return `${this.baseUrl}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}${query}`;
+  }
+
+  async request(endpoint, params, attempt = 0) {
+    const fetchImpl = this.fetchImpl || fetch;
+    const headers = { accept: 'application/json' };
+    if (this.accessToken) {
+      headers.Authorization = `Bearer ${this.accessToken}`;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetchImpl(this.buildUrl(endpoint, params), {
+        method: 'GET',
+        headers,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new TmdbError(TMDB_ERROR_TYPES.TIMEOUT, `TMDB request timed out after ${this.timeoutMs}ms`, { endpoint });
+      }
+      throw new TmdbError(TMDB_ERROR_TYPES.NETWORK, `TMDB request failed: ${error.message}`, { endpoint });
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (response.status === 429) {
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'), this.now()) ?? 1000 * (attempt + 1);
+
+      if (attempt < this.maxRetries && retryAfterMs <= this.maxRetryDelayMs) {
+        await this.sleep(retryAfterMs);
+        return this.request(endpoint, params, attempt + 1);
+      }
+
+      throw new TmdbError(TMDB_ERROR_TYPES.RATE_LIMITED, 'TMDB rate limit exceeded', {
+        endpoint,
+        tmdbStatus: 429,
+        retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000))
+      });
+    }
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      if (response.ok) {
+        throw new TmdbError(TMDB_ERROR_TYPES.UPSTREAM, 'TMDB returned an invalid JSON response', { endpoint, tmdbStatus: response.status });
+      }
+    }
+
+    if (!response.ok) {
+      const details = {
+        endpoint,
+        tmdbStatus: response.status,
+        tmdbCode: body?.status_code ?? null
+      };
+      const message = body?.status_message || `TMDB request failed with status ${response.status}`;
+
+      if (response.status === 401 || response.status === 403) {
+        throw new TmdbError(TMDB_ERROR_TYPES.UNAUTHORIZED, message, details);
+      }
+      if (response.status === 404) {
+        throw new TmdbError(TMDB_ERROR_TYPES.NOT_FOUND, message, details);
+      }
+      if (response.status === 400 || response.status === 422) {
+        throw new TmdbError(TMDB_ERROR_TYPES.INVALID_REQUEST, message, details);
+      }
+      throw new TmdbError(TMDB_ERROR_TYPES.UPSTREAM, message, details);
+    }
+
+    return body;
+  }
+}
+
+let defaultClient = null;
+
+// Process-wide client configured from the environment
+export function getDefaultTmdbClient() {
+  if (!defaultClient) {
+    defaultClient = new TmdbClient(getTmdbConfigFromEnv());
+    if (!defaultClient.isConfigured()) {
+      console.warn('[tmdb] TMDB_API_READ_ACCESS_TOKEN / TMDB_API_KEY is not set; TMDB requests will fail.');
+    }
+  }
+  return defaultClient;
+}
+
+/**
+ * JSON body, status and headers for an error thrown while handling a TMDB request.
+ * Errors that aren't TmdbErrors become a generic 500.
+ */
+export function toTmdbErrorResponse(error) {
+  if (!(error instanceof TmdbError)) {
+    return {
+      status: 500,
+      body: { success: false, error: 'Internal server error', code: 'internal_error' },
+      headers: {}
+    };
+  }
+
+  return {
+    status: error.status,
+    body: {
+      success: false,
+      error: error.message,
+      code: error.type,
+      ...(error.tmdbStatus && { tmdbStatus: error.tmdbStatus }),
+      ...(error.retryAfter && { retryAfter: error.retryAfter })
+    },
+    headers: error.retryAfter ? { 'Retry-After': error.retryAfter.toString() } : {}
+  };
+}
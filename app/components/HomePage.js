@@ -5,6 +5,8 @@ import "./HomePage.css"
 import Results from "./Results";
 import SearchBar from "./SearchBar";
 import SearchResults from './SearchResults';
+import WatchHistoryRow from './WatchHistoryRow';
+import { WATCH_HISTORY_ROWS } from '../utils/watchHistory';
 
 const HomePage = ({ movieClick }) => {
   const [searchQuery, setSearchQuery] = useState("");
@@ -37,6 +39,8 @@ const HomePage = ({ movieClick }) => {
             <SearchResults query={searchQuery} movieClick={movieClick} />
           ) : (
             <>
+              <WatchHistoryRow category={WATCH_HISTORY_ROWS.CONTINUE_WATCHING} />
+              <WatchHistoryRow category={WATCH_HISTORY_ROWS.RECENTLY_WATCHED} />
               <Results movieClick={movieClick} category="Trending Today" />
               <Results movieClick={movieClick} category="Trending This Week" />
               <Results movieClick={movieClick} category="Popular Anime" />
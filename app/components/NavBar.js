@@ -24,6 +24,14 @@ const NavBar = ({ onClearSearch }) => {
     router.push('/about');
   };
 
+  const handleMyListClick = () => {
+    router.push('/my-list');
+  };
+
+  const handleSettingsClick = () => {
+    router.push('/settings');
+  };
+
   return (
     <nav className="navbar">
       <div className="nav-container">
@@ -68,6 +76,18 @@ const NavBar = ({ onClearSearch }) => {
           >
             About
           </button>
+          <button 
+            className={`nav-link ${pathname === '/my-list' ? 'active' : ''}`}
+            onClick={handleMyListClick}
+          >
+            My List
+          </button>
+          <button 
+            className={`nav-link ${pathname === '/settings' ? 'active' : ''}`}
+            onClick={handleSettingsClick}
+          >
+            Settings
+          </button>
         </div>
       </div>
     </nav>
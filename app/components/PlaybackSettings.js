@@ -0,0 +1,44 @@
+'use client'
+
+import React, { useEffect, useState } from 'react';
+import {
+  isIntroDetectionEnabled,
+  setIntroDetectionEnabled
+} from './UniversalMediaPlayer/utils/introMarkerStorage';
+
+/**
+ * Settings section for player features that are off until turned on
+ */
+const PlaybackSettings = () => {
+  const [introDetection, setIntroDetection] = useState(null);
+
+  useEffect(() => {
+    setIntroDetection(isIntroDetectionEnabled());
+  }, []);
+
+  const handleIntroDetectionChange = (event) => {
+    if (setIntroDetectionEnabled(event.target.checked)) {
+      setIntroDetection(event.target.checked);
+    }
+  };
+
+  // Rendered after mount; the setting lives in localStorage
+  if (introDetection === null) return null;
+
+  return (
+    <section className="settings-section">
+      <h2>⏭️ Playback</h2>
+      <label className="settings-toggle">
+        <input type="checkbox" checked={introDetection} onChange={handleIntroDetectionChange} />
+        <span>Skip intro and credits</span>
+      </label>
+      <p>
+        Listens to the first and last minutes of each episode to find the theme song and credits
+        shared across a season, and shows skip buttons inside them. While this is on, player audio goes
+        through Web Audio in the browser. Takes effect the next time a player opens.
+      </p>
+    </section>
+  );
+};
+
+export default PlaybackSettings;
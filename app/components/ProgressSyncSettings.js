@@ -0,0 +1,112 @@
+'use client'
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  MIN_SYNC_CODE_LENGTH,
+  PROGRESS_SYNC_EVENT,
+  disableProgressSync,
+  enableProgressSync,
+  generateSyncCode,
+  getProgressSyncStatus,
+  isValidSyncCode,
+  syncWatchProgress
+} from './UniversalMediaPlayer/utils/watchProgressStorage';
+
+const describeStatus = (status, syncing) => {
+  if (syncing) return 'Syncing\u2026';
+  if (status.lastError) {
+    const retry = status.nextRetryAt ? `, retrying at ${new Date(status.nextRetryAt).toLocaleTimeString()}` : '';
+    return `Last sync failed (${status.lastError})${retry}. ${status.pendingCount} changes waiting.`;
+  }
+  if (status.lastSyncedAt) {
+    return `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}`;
+  }
+  return 'Not synced yet';
+};
+
+/**
+ * Settings section that links this device to others with a sync code, so
+ * watch progress follows the user between devices without an account.
+ */
+const ProgressSyncSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [codeInput, setCodeInput] = useState('');
+  const [syncing, setSyncing] = useState(false);
+
+  const refreshStatus = useCallback(() => setStatus(getProgressSyncStatus()), []);
+
+  useEffect(() => {
+    refreshStatus();
+    window.addEventListener(PROGRESS_SYNC_EVENT, refreshStatus);
+    return () => window.removeEventListener(PROGRESS_SYNC_EVENT, refreshStatus);
+  }, [refreshStatus]);
+
+  const runSync = async () => {
+    setSyncing(true);
+    await syncWatchProgress();
+    setSyncing(false);
+    refreshStatus();
+  };
+
+  const handleLink = (event) => {
+    event.preventDefault();
+    if (enableProgressSync(codeInput)) {
+      setCodeInput('');
+      runSync();
+    }
+  };
+
+  const handleDisable = () => {
+    disableProgressSync();
+    refreshStatus();
+  };
+
+  // Rendered after mount; the status lives in localStorage
+  if (!status) return null;
+
+  return (
+    <section className="settings-section">
+      <h2>🔗 Sync watch progress</h2>
+      <p>
+        Use the same sync code on your other devices to continue watching where you left off.
+        Anyone with the code can see and change your progress, so keep it private.
+      </p>
+
+      {status.enabled ? (
+        <>
+          <p>Sync code: <span className="settings-code">{status.syncCode}</span></p>
+          <p className={`settings-status ${status.lastError && !syncing ? 'error' : ''}`}>
+            {describeStatus(status, syncing)}
+          </p>
+          <div className="settings-row">
+            <button className="settings-button primary" onClick={runSync} disabled={syncing}>
+              Sync now
+            </button>
+            <button className="settings-button" onClick={handleDisable} disabled={syncing}>
+              Stop syncing on this device
+            </button>
+          </div>
+        </>
+      ) : (
+        <form className="settings-row" onSubmit={handleLink}>
+          <input
+            className="settings-input"
+            value={codeInput}
+            onChange={(event) => setCodeInput(event.target.value)}
+            placeholder={`Sync code or passphrase (${MIN_SYNC_CODE_LENGTH}+ characters)`}
+            aria-label="Sync code or passphrase"
+            autoComplete="off"
+          />
+          <button className="settings-button primary" type="submit" disabled={!isValidSyncCode(codeInput)}>
+            Link device
+          </button>
+          <button className="settings-button" type="button" onClick={() => setCodeInput(generateSyncCode())}>
+            Generate code
+          </button>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default ProgressSyncSettings;
@@ -2,6 +2,7 @@
 
 import React, { useEffect, useState, useRef } from 'react';
 import Flag from 'react-world-flags';
+import WatchlistButton from './WatchlistButton';
 import "./Results.css"
 const Results = ({ category, movieClick }) => {
   const [movies, setMovies] = useState([]);
@@ -127,6 +128,7 @@ const Results = ({ category, movieClick }) => {
                   src={`https://image.tmdb.org/t/p/w500${movie.poster_path}`}
                   alt={movie.title || movie.name}
                 />
+                <WatchlistButton media={{ ...movie, media_type: movie.media_type || (movie.title ? 'movie' : 'tv') }} />
                 {hoveredMovie && hoveredMovie.id === movie.id && (
                   <div className="movie-details">
                     <p>{movie.media_type}</p>
@@ -1,21 +1,144 @@
 'use client'
 
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { useSearchSuggestions } from "../hooks/useSearchSuggestions";
+import { addRecentSearch, clearRecentSearches, getRecentSearches, removeRecentSearch } from "../utils/recentSearches";
 import "./SearchBar.css"
 
+const MEDIA_TYPE_LABELS = {
+  movie: 'Movie',
+  tv: 'TV Show',
+  person: 'Person'
+};
+
 const SearchBar = ({ onSearch }) => {
+  const router = useRouter();
   const [query, setQuery] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const { suggestions, loading } = useSearchSuggestions(query, { enabled: isOpen });
+
+  // Local storage is only available after mount
+  useEffect(() => {
+    setRecentSearches(getRecentSearches());
+  }, []);
+
+  const showingSuggestions = query.trim().length >= 2;
+  const items = showingSuggestions ? suggestions : recentSearches;
+
+  // A new list invalidates the highlighted row
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [query, suggestions]);
+
+  const closeDropdown = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const runSearch = (searchQuery) => {
+    const trimmed = searchQuery.trim();
+    if (!trimmed) return;
+
+    setRecentSearches(addRecentSearch(trimmed));
+    closeDropdown();
+    if (onSearch) {
+      onSearch(trimmed);
+    }
+  };
 
   const handleSearch = () => {
-    if (onSearch && query.trim()) {
-      onSearch(query);
+    runSearch(query);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    setRecentSearches(addRecentSearch(suggestion.title));
+    closeDropdown();
+
+    if (suggestion.media_type === 'person') {
+      router.push(`/person/${suggestion.id}`);
+    } else {
+      router.push(`/details/${suggestion.id}?type=${suggestion.media_type}`);
     }
   };
 
+  const selectRecentSearch = (recentQuery) => {
+    setQuery(recentQuery);
+    runSearch(recentQuery);
+  };
+
+  const selectItem = (index) => {
+    const item = items[index];
+    if (!item) return;
+
+    if (showingSuggestions) {
+      selectSuggestion(item);
+    } else {
+      selectRecentSearch(item);
+    }
+  };
+
+  const handleRemoveRecent = (e, recentQuery) => {
+    e.stopPropagation();
+    setRecentSearches(removeRecentSearch(recentQuery));
+  };
+
+  const handleClearRecent = () => {
+    clearRecentSearches();
+    setRecentSearches([]);
+  };
+
   const handleInputChange = (e) => {
     setQuery(e.target.value);
+    setIsOpen(true);
   };
 
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (!isOpen) {
+          setIsOpen(true);
+          return;
+        }
+        if (items.length > 0) {
+          setActiveIndex(index => (index + 1) % items.length);
+        }
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (items.length > 0) {
+          // Moving up from the first row goes back to the input
+          setActiveIndex(index => (index <= -1 ? items.length - 1 : index - 1));
+        }
+        break;
+      case "Enter":
+        e.preventDefault();
+        if (isOpen && activeIndex >= 0) {
+          selectItem(activeIndex);
+        } else {
+          handleSearch();
+        }
+        break;
+      case "Escape":
+        if (isOpen) {
+          e.preventDefault();
+          closeDropdown();
+        }
+        break;
+      case "Tab":
+        closeDropdown();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const dropdownVisible = isOpen && (items.length > 0 || (showingSuggestions && loading));
+  const optionId = (index) => `search-suggestion-${index}`;
+
   return (
     <div className="search-bar">
       <div className={`search-container ${query ? 'has-value' : ''}`}>
@@ -25,13 +148,83 @@ const SearchBar = ({ onSearch }) => {
           placeholder="Search movies, shows, anime..."
         value={query}
           onChange={handleInputChange}
-          onKeyDown={(e) => e.key === "Enter" && handleSearch()}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={closeDropdown}
+          role="combobox"
+          aria-expanded={dropdownVisible}
+          aria-controls="search-suggestions"
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : undefined}
       />
         <button className="search-button" onClick={handleSearch}>
           <span className="search-icon">🔍</span>
           Search
         </button>
       </div>
+
+      {dropdownVisible && (
+        // mousedown would blur the input and close the list before the click lands
+        <div className="search-suggestions" onMouseDown={(e) => e.preventDefault()}>
+          {!showingSuggestions && (
+            <div className="search-suggestions-header">
+              <span>Recent searches</span>
+              <button className="search-suggestions-clear" onClick={handleClearRecent}>Clear</button>
+            </div>
+          )}
+          <ul id="search-suggestions" role="listbox">
+            {showingSuggestions && loading && items.length === 0 && (
+              <li className="search-suggestion-status">Searching...</li>
+            )}
+            {items.map((item, index) => (
+              <li
+                key={showingSuggestions ? `${item.media_type}-${item.id}` : item}
+                id={optionId(index)}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => selectItem(index)}
+              >
+                {showingSuggestions ? (
+                  <>
+                    {item.poster_path ? (
+                      <img
+                        className="search-suggestion-thumb"
+                        src={`https://image.tmdb.org/t/p/w92${item.poster_path}`}
+                        alt=""
+                        loading="lazy"
+                      />
+                    ) : (
+                      <div className="search-suggestion-thumb placeholder" />
+                    )}
+                    <div className="search-suggestion-text">
+                      <span className="search-suggestion-title">{item.title}</span>
+                      <span className="search-suggestion-meta">
+                        {MEDIA_TYPE_LABELS[item.media_type] || item.media_type}
+                        {item.year ? ` · ${item.year}` : ''}
+                        {item.known_for_department ? ` · ${item.known_for_department}` : ''}
+                      </span>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <span className="search-suggestion-recent-icon">🕘</span>
+                    <span className="search-suggestion-title">{item}</span>
+                    <button
+                      className="search-suggestion-remove"
+                      onClick={(e) => handleRemoveRecent(e, item)}
+                      aria-label={`Remove ${item} from recent searches`}
+                    >
+                      ×
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,13 +1,52 @@
 'use client'
 
 import React, { useState, useEffect, useCallback } from "react";
+import WatchlistButton from "./WatchlistButton";
 import "./SearchResults.css"
 
+const fetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Request failed: ${response.status}`);
+  }
+  return response.json();
+};
+
+const getPosterUrl = (result) => (
+  result.poster_path ? `https://image.tmdb.org/t/p/w500${result.poster_path}` : result.poster_url || null
+);
+
+/**
+ * TMDB ID for an anime-only result: its own TMDB ID, the title its IMDB ID
+ * points to, or a title search narrowed to its release year
+ */
+const resolveTmdbId = async (result) => {
+  const tmdbId = result.tmdb_id || result.external_ids?.tmdb_id;
+  if (tmdbId) return tmdbId;
+
+  const imdbId = result.external_ids?.imdb_id;
+  if (imdbId) {
+    const found = await fetchJson(`/api/tmdb?action=findByImdbId&imdbId=${encodeURIComponent(imdbId)}`);
+    const match = found.results?.find((item) => item.media_type === result.media_type);
+    if (match) return match.id;
+  }
+
+  const year = (result.release_date || result.first_air_date)?.split("-")[0];
+  if (year) {
+    const params = new URLSearchParams({ action: "searchTitle", mediaType: result.media_type, query: result.title || result.name, year });
+    const found = await fetchJson(`/api/tmdb?${params.toString()}`);
+    if (found.results?.length > 0) return found.results[0].id;
+  }
+
+  return null;
+};
+
 const SearchResults = ({ query, movieClick }) => {
   const [results, setResults] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
   const [loading, setLoading] = useState(false);
   const [hasMore, setHasMore] = useState(true);
+  const [notice, setNotice] = useState(null);
 
   const fetchSearchResults = async (pageNumber) => {
     if (!query || !hasMore || loading) return;
@@ -16,13 +55,14 @@ const SearchResults = ({ query, movieClick }) => {
 
     try {
       const response = await fetch(
-        `/api/tmdb?action=search&query=${encodeURIComponent(
+        `/api/tmdb?action=federatedSearch&query=${encodeURIComponent(
           query
         )}&pageNumber=${pageNumber}`
       );
       const data = await response.json();
 
-      // Filter out people from the results (only include movies and TV shows)
+      // Anime-only results the anime API couldn't map to TMDB have string
+      // IDs; they are resolved to a TMDB title when clicked
       const filteredResults = (data.results || []).filter(
         (result) => result.media_type === "movie" || result.media_type === "tv"
       );
@@ -31,7 +71,7 @@ const SearchResults = ({ query, movieClick }) => {
       setResults((prevResults) => [
         ...prevResults,
         ...filteredResults.filter(
-          (newResult) => !prevResults.some((r) => r.id === newResult.id)
+          (newResult) => !prevResults.some((r) => r.id === newResult.id && r.media_type === newResult.media_type)
         ),
       ]);
 
@@ -61,8 +101,35 @@ const SearchResults = ({ query, movieClick }) => {
     setResults([]);
     setCurrentPage(1);
     setHasMore(true);
+    setNotice(null);
   }, [query]);
 
+  const handleResultClick = async (result) => {
+    console.log('Search result clicked:', result);
+
+    if (!movieClick) {
+      console.error('movieClick function is not defined');
+      return;
+    }
+
+    if (typeof result.id === "number") {
+      movieClick(result);
+      return;
+    }
+
+    setNotice(null);
+    try {
+      const tmdbId = await resolveTmdbId(result);
+      if (tmdbId) {
+        movieClick({ ...result, id: tmdbId });
+        return;
+      }
+    } catch (error) {
+      console.error("Error resolving anime result:", error);
+    }
+    setNotice(`"${result.title || result.name}" isn't available to open yet.`);
+  };
+
   useEffect(() => {
     // Fetch results whenever query or current page changes
     fetchSearchResults(currentPage);
@@ -81,33 +148,20 @@ const SearchResults = ({ query, movieClick }) => {
     <div className="search-results">
       {results.length > 0 ? (
         <div className="results-container">
+          {notice && <p className="search-notice">{notice}</p>}
           <div className="results-grid">
             {results.map((result) =>
-              result.poster_path ? (
+              getPosterUrl(result) ? (
                 <div
-                  key={result.id}
+                  key={`${result.media_type}-${result.id}`}
                   className="result-item"
-                  onClick={() => {
-                    console.log('Search result clicked:', result);
-                    console.log('movieClick function:', movieClick);
-                    
-                    // Ensure media_type is present, fallback logic
-                    const resultWithType = {
-                      ...result,
-                      media_type: result.media_type || (result.title ? 'movie' : 'tv')
-                    };
-                    
-                    if (movieClick) {
-                      movieClick(resultWithType);
-                    } else {
-                      console.error('movieClick function is not defined');
-                    }
-                  }}
+                  onClick={() => handleResultClick(result)}
                 >
                   <img
-                    src={`https://image.tmdb.org/t/p/w500${result.poster_path}`}
+                    src={getPosterUrl(result)}
                     alt={result.title || result.name}
                   />
+                  {typeof result.id === "number" && <WatchlistButton media={result} />}
                   <h3>{result.title || result.name}</h3>
                 </div>
               ) : null
@@ -1,14 +1,16 @@
 'use client'
 
 import React, { useEffect, useState, useRef } from "react";
+import Link from "next/link";
 import SimpleVideoPlayer from "./SimpleVideoPlayer"; // Import the simple video player
 import Recommendations from "./Recommendations"; // Import the Recommendations component
+import WatchlistButton from "./WatchlistButton";
 import WatchProgressIndicator, { EpisodeProgressOverlay, ShowProgressSummary } from "./UniversalMediaPlayer/components/WatchProgressIndicator";
 import { getWatchProgress, getShowProgress } from "./UniversalMediaPlayer/utils/watchProgressStorage";
 import "./ShowDetails.css"; // Custom styles for the compact design
 
 
-const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
+const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange, playbackRequest = null }) => {
   const [movieDetails, setMovieDetails] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedSeason, setSelectedSeason] = useState(0); // Tracks which season is selected
@@ -17,6 +19,8 @@ const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
   const [isLaunching, setIsLaunching] = useState(false); // Track when media player is being launched
   const [showProgress, setShowProgress] = useState(null); // Track overall show progress
   const [episodeProgresses, setEpisodeProgresses] = useState({}); // Track individual episode progress
+  const [playerStartTime, setPlayerStartTime] = useState(null); // Resume position for a watch history link
+  const handledPlaybackRequestRef = useRef(null);
 
   // Show media player only when:
   // - For movies: when launching or when selected episode is set (movie object)
@@ -45,19 +49,15 @@ const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
     const fetchMovieDetails = async () => {
       try {
         if (movieId.media_type === "tv" || !movieId.media_type) {
+          // Show details and every season's episodes in one request
           const showResponse = await fetch(
-            `/api/tmdb?action=getShowDetails&movieId=${movieId.id}`
+            `/api/tmdb?action=getShowWithSeasons&movieId=${movieId.id}`
           );
-          const showDetailsResponse = await showResponse.json();
-          const seasons = await Promise.all(
-            showDetailsResponse.seasons.map(async (season) => {
-              const seasonResponse = await fetch(
-                `/api/tmdb?action=getSeasonDetails&movieId=${movieId.id}&seasonId=${season.season_number}`
-              );
-              return seasonResponse.json();
-            })
-          );
-          setMovieDetails({ movie: showDetailsResponse, seasons });
+          if (!showResponse.ok) {
+            throw new Error(`Failed to load show (${showResponse.status})`);
+          }
+          const { show, seasons } = await showResponse.json();
+          setMovieDetails({ movie: show, seasons });
         } else {
           const movieResponse = await fetch(
             `/api/tmdb?action=getMovieDetails&movieId=${movieId.id}`
@@ -109,6 +109,37 @@ const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
     }
   }, [movieDetails, movieId]);
 
+  // Watch history links open the player straight away, at the saved position
+  useEffect(() => {
+    if (!movieDetails || !playbackRequest || handledPlaybackRequestRef.current === playbackRequest) return;
+    handledPlaybackRequestRef.current = playbackRequest;
+
+    if (movieId.media_type === "tv") {
+      const seasonIndex = movieDetails.seasons?.findIndex(
+        season => season.season_number === playbackRequest.seasonNumber
+      ) ?? -1;
+      const episode = movieDetails.seasons?.[seasonIndex]?.episodes?.find(
+        item => item.episode_number === playbackRequest.episodeNumber
+      );
+
+      if (!episode) {
+        console.warn('❌ Episode from watch history link not found:', playbackRequest);
+        return;
+      }
+
+      console.log('⏯️ Resuming episode from watch history:', episode.name, playbackRequest);
+      setSelectedSeason(seasonIndex);
+      setPlayerStartTime(playbackRequest.startTime);
+      setIsLaunching(true);
+      setSelectedEpisode(episode);
+    } else if (movieId.media_type === "movie") {
+      console.log('⏯️ Resuming movie from watch history:', playbackRequest);
+      setPlayerStartTime(playbackRequest.startTime);
+      setIsLaunching(true);
+      setSelectedEpisode(movieDetails.movie);
+    }
+  }, [movieDetails, movieId.media_type, playbackRequest]);
+
   const returnToHome = () => {
     // Prevent navigation back to home if media player is launching or active
     if (isLaunching || selectedEpisode) {
@@ -167,6 +198,7 @@ const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
     // CRITICAL: Reset media player state to return to show details view
     setSelectedEpisode(null);
     setIsLaunching(false);
+    setPlayerStartTime(null);
     
     // DO NOT call clearMovie - stay in the modal/show details view
     console.log('✅ Media player closed - returned to show details modal');
@@ -281,6 +313,12 @@ const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
 
   const { movie, seasons } = movieDetails;
 
+  // Directors (or show creators) and top-billed cast, linked to their person pages
+  const creators = movie.created_by?.length
+    ? movie.created_by
+    : (movie.credits?.crew || []).filter(member => member.job === "Director");
+  const topCast = (movie.credits?.cast || []).slice(0, 10);
+
   if (shouldShowPlayer()) {
     if (movieId.media_type === "movie") {
       // For movies, we don't need season/episode info
@@ -290,6 +328,7 @@ const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
           movieId={movieId.id}
           seasonId={null}
           episodeId={null}
+          startTime={playerStartTime}
           onBackToShowDetails={handleBackFromMediaPlayer}
         />
       );
@@ -311,6 +350,7 @@ const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
           movieId={movieId.id}
           seasonId={actualSeasonNumber} // Use actual season number (0 for Specials, 1+ for regular seasons)
           episodeId={selectedEpisode.episode_number}
+          startTime={playerStartTime}
           onBackToShowDetails={handleBackFromMediaPlayer}
         />
       );
@@ -333,7 +373,28 @@ const ShowDetails = ({ movieId, clearMovie, onMediaPlayerStateChange }) => {
         )}
         <div className="movie-info">
         <h1>{movie.name || movie.title}</h1>
+        <WatchlistButton media={{ ...movie, media_type: movieId.media_type || "tv" }} variant="details" />
         <p className="movie-overview">{movie.overview}</p>
+        {creators.length > 0 && (
+          <p className="movie-people">
+            <span className="movie-people-label">{movie.created_by?.length ? "Created by" : "Directed by"}</span>
+            {creators.map(person => (
+              <Link key={person.id} href={`/person/${person.id}`} className="person-link">
+                {person.name}
+              </Link>
+            ))}
+          </p>
+        )}
+        {topCast.length > 0 && (
+          <p className="movie-people">
+            <span className="movie-people-label">Starring</span>
+            {topCast.map(person => (
+              <Link key={person.credit_id || person.id} href={`/person/${person.id}`} className="person-link" title={person.character}>
+                {person.name}
+              </Link>
+            ))}
+          </p>
+        )}
         </div>
       </div>
 
@@ -4,12 +4,22 @@ import React, { useRef, useEffect, useState, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useSimpleSubtitles } from './SimpleVideoPlayer/hooks/useSimpleSubtitles';
 import SubtitleControls from './SimpleVideoPlayer/components/SubtitleControls';
+import SkipMarkerControls from './SimpleVideoPlayer/components/SkipMarkerControls';
+import { generateContentKey } from './UniversalMediaPlayer/utils/watchProgressStorage';
+import useWatchProgress from './UniversalMediaPlayer/hooks/useWatchProgress';
+import useIntroMarkers from './UniversalMediaPlayer/hooks/useIntroMarkers';
+import { MARKER_TYPES } from '../utils/introMarkers';
+import useDash, { isDashStreamUrl } from './UniversalMediaPlayer/hooks/useDash';
+
+// Seconds of playback between watch progress saves
+const PROGRESS_SAVE_INTERVAL = 10;
 
 /**
  * Enhanced SimpleVideoPlayer - Fixed Core + Modern UI
  * 
  * ✨ Modern design with beautiful animations
  * 📺 Auto-queue next episode (30 seconds before end)  
+ * ⏭️ Skip intro and credits, detected per season
  * 🎮 Enhanced controls with smooth interactions
  * 📱 Responsive and accessible design
  * 🔄 Seamless episode navigation
@@ -19,11 +29,16 @@ const SimpleVideoPlayer = ({
   movieId,
   seasonId,
   episodeId,
+  startTime = null, // Seconds to start the first stream at (resuming from watch history)
   onBackToShowDetails
 }) => {
   // Core refs
   const videoRef = useRef(null);
   const containerRef = useRef(null);
+  const loadingTimeoutRef = useRef(null);
+  const pendingStartTimeRef = useRef(startTime);
+  const progressTrackingRef = useRef(false); // True once the current stream's metadata is in
+  const lastProgressSaveRef = useRef(0);
   
   // Core state (keep original working logic)
   const [streamUrl, setStreamUrl] = useState(null);
@@ -56,9 +71,61 @@ const SimpleVideoPlayer = ({
     season: mediaType === 'tv' ? currentSeasonId : null,
     episode: mediaType === 'tv' ? currentEpisodeId : null,
     videoRef,
-    enabled: true
+    enabled: true,
+    contentKey: generateContentKey(mediaType, movieId, currentSeasonId, currentEpisodeId)
+  });
+  const { adjustSubtitleOffset } = subtitleHook;
+
+  // Watch progress, for resuming and the home page's watch history rows
+  const { saveProgress } = useWatchProgress({
+    mediaType,
+    movieId,
+    seasonId: mediaType === 'tv' ? currentSeasonId : null,
+    episodeId: mediaType === 'tv' ? currentEpisodeId : null,
+    videoRef,
+    autoSave: false
+  });
+
+  // DASH streams, with the same recovery and logging as the HLS path; the
+  // subtitle hook uses native text tracks, so useDash leaves them alone
+  useDash(streamUrl, videoRef, isDashStreamUrl(streamUrl) ? 'dash' : null, null, {
+    manageTextTracks: false,
+    onReady: () => setLoading(false),
+    onFatalError: (dashError) => {
+      console.error('💥 [DEBUG] DASH Error:', dashError);
+      clearTimeout(loadingTimeoutRef.current);
+      setError(`DASH playback error: ${dashError?.message || dashError?.code || 'unknown'}`);
+      setLoading(false);
+    }
+  });
+
+  // Intro and credits ranges for the skip button, when turned on in Settings
+  const introMarkers = useIntroMarkers({
+    videoRef,
+    mediaType,
+    movieId,
+    seasonId: currentSeasonId,
+    episodeId: currentEpisodeId,
+    currentTime,
+    duration,
+    isPlaying
   });
 
+  // Times from the previous episode must not be saved for the next one
+  useEffect(() => {
+    progressTrackingRef.current = false;
+    lastProgressSaveRef.current = 0;
+  }, [currentSeasonId, currentEpisodeId]);
+
+  // Save every few seconds of playback, and whenever playback stops somewhere new
+  useEffect(() => {
+    if (!progressTrackingRef.current || !duration || !isFinite(duration) || currentTime <= 0) return;
+    if (Math.abs(currentTime - lastProgressSaveRef.current) < (isPlaying ? PROGRESS_SAVE_INTERVAL : 0.5)) return;
+
+    lastProgressSaveRef.current = currentTime;
+    saveProgress({ currentTime, duration });
+  }, [currentTime, duration, isPlaying, saveProgress]);
+
   // Update current episode ID when props change
   useEffect(() => {
     setCurrentEpisodeId(episodeId);
@@ -124,13 +191,12 @@ const SimpleVideoPlayer = ({
           error: data.error
         });
 
-        if (data.success && data.streamUrl) {
-          const proxyUrl = `/api/stream-proxy?url=${encodeURIComponent(data.streamUrl)}&source=shadowlands`;
-          console.log('🔗 [DEBUG] Setting proxy URL:', proxyUrl);
-          setStreamUrl(proxyUrl);
+        if (data.success && data.proxyUrl) {
+          console.log('🔗 [DEBUG] Setting proxy URL:', data.proxyUrl);
+          setStreamUrl(data.proxyUrl);
           console.log('⚠️ [DEBUG] Loading state still TRUE - waiting for video ready...');
         } else {
-          console.error('❌ [DEBUG] Stream extraction failed:', data.error || 'No stream URL');
+          console.error('❌ [DEBUG] Stream extraction failed:', data.error || 'No signed proxy URL');
           setError(data.error || 'Failed to extract stream');
           setLoading(false);
         }
@@ -256,9 +322,19 @@ const SimpleVideoPlayer = ({
         muted: video.muted,
         readyState: video.readyState
       });
+      // Resume position applies to the first stream only
+      const resumeTime = pendingStartTimeRef.current;
+      pendingStartTimeRef.current = null;
+      if (resumeTime > 0 && resumeTime < video.duration - 10) {
+        console.log('⏯️ Resuming playback at', resumeTime);
+        video.currentTime = resumeTime;
+      }
+
       setDuration(video.duration);
+      setCurrentTime(video.currentTime);
       setVolume(video.volume);
       setIsMuted(video.muted);
+      progressTrackingRef.current = true;
     };
 
     const handleCanPlay = () => {
@@ -328,6 +404,7 @@ const SimpleVideoPlayer = ({
       setLoading(false);
       setError('Video loading timeout. The stream may be unavailable.');
     }, 30000);
+    loadingTimeoutRef.current = loadingTimeout;
 
     // Clear timeout when video starts playing
     const clearLoadingTimeout = () => {
@@ -336,9 +413,13 @@ const SimpleVideoPlayer = ({
     video.addEventListener('playing', clearLoadingTimeout);
     video.addEventListener('canplay', clearLoadingTimeout);
 
-    video.src = streamUrl;
+    const isDashStream = isDashStreamUrl(streamUrl);
 
-    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+    if (!isDashStream) {
+      video.src = streamUrl;
+    }
+
+    if (!isDashStream && video.canPlayType('application/vnd.apple.mpegurl')) {
       console.log('📱 [DEBUG] Using native HLS support');
       video.load();
       return () => {
@@ -404,7 +485,10 @@ const SimpleVideoPlayer = ({
       }
     };
 
-    loadHLS();
+    // DASH streams are attached by useDash
+    if (!isDashStream) {
+      loadHLS();
+    }
 
     return () => {
       console.log('🧹 [DEBUG] Cleaning up video event listeners and timeout');
@@ -511,6 +595,15 @@ const SimpleVideoPlayer = ({
         setShowEpisodeCarousel(false);
         setShowAutoQueuePrompt(false);
       }
+      // Subtitle timing: G earlier, H later; with Shift in whole seconds
+      if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+        if (e.key === 'g' || e.key === 'G') {
+          adjustSubtitleOffset(e.shiftKey ? -1 : -0.1);
+        }
+        if (e.key === 'h' || e.key === 'H') {
+          adjustSubtitleOffset(e.shiftKey ? 1 : 0.1);
+        }
+      }
       if (e.key === ' ') {
         e.preventDefault();
         if (videoRef.current) {
@@ -539,7 +632,7 @@ const SimpleVideoPlayer = ({
       document.removeEventListener('keydown', handleKeyPress);
       clearTimeout(controlsTimeout);
     };
-  }, [isPlaying, mediaType]);
+  }, [isPlaying, mediaType, adjustSubtitleOffset]);
 
   // Fullscreen handling
   useEffect(() => {
@@ -621,6 +714,19 @@ const SimpleVideoPlayer = ({
     setShowAutoQueuePrompt(false);
   }, []);
 
+  // Skipping the credits starts the next episode when there is one
+  const handleSkipMarker = useCallback(() => {
+    if (introMarkers.activeMarker === MARKER_TYPES.CREDITS) {
+      const currentEpisode = episodes.find(ep => ep.episode_number === parseInt(currentEpisodeId));
+      const nextEpisode = episodes[episodes.indexOf(currentEpisode) + 1];
+      if (currentEpisode && nextEpisode) {
+        handleEpisodeSelect(nextEpisode);
+        return;
+      }
+    }
+    introMarkers.skipMarker();
+  }, [introMarkers, episodes, currentEpisodeId, handleEpisodeSelect]);
+
   // Format time helper
   const formatTime = (seconds) => {
     if (!seconds || !isFinite(seconds)) return '0:00';
@@ -841,6 +947,39 @@ const SimpleVideoPlayer = ({
         )}
       </AnimatePresence>
 
+      {/* Skip Intro / Skip Credits */}
+      <AnimatePresence>
+        {introMarkers.activeMarker && !showAutoQueuePrompt && (
+          <motion.button
+            initial={{ opacity: 0, x: 30 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: 30 }}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            transition={{ duration: 0.3 }}
+            onClick={handleSkipMarker}
+            style={{
+              position: 'absolute',
+              right: '3rem',
+              bottom: showControls ? '11rem' : '4rem',
+              padding: '14px 28px',
+              background: 'rgba(0, 0, 0, 0.8)',
+              border: '2px solid rgba(0, 245, 255, 0.6)',
+              borderRadius: '12px',
+              color: 'white',
+              cursor: 'pointer',
+              fontWeight: '600',
+              fontSize: '1rem',
+              backdropFilter: 'blur(15px)',
+              boxShadow: '0 8px 25px rgba(0, 245, 255, 0.3)',
+              zIndex: 90
+            }}
+          >
+            {introMarkers.activeMarker === MARKER_TYPES.INTRO ? 'Skip Intro ⏭️' : 'Skip Credits ⏭️'}
+          </motion.button>
+        )}
+      </AnimatePresence>
+
       {/* Auto-Queue Prompt */}
       <AnimatePresence>
         {showAutoQueuePrompt && (
@@ -1422,8 +1561,26 @@ const SimpleVideoPlayer = ({
                   onUpdateStyle={subtitleHook.updateSubtitleStyle}
                   loading={subtitleHook.loading}
                   hasSubtitles={subtitleHook.hasSubtitles}
+                  subtitleOffset={subtitleHook.subtitleOffset}
+                  framerateConversion={subtitleHook.framerateConversion}
+                  timingSuggestion={subtitleHook.timingSuggestion}
+                  onAdjustOffset={subtitleHook.adjustSubtitleOffset}
+                  onSetFramerate={subtitleHook.setFramerateConversion}
+                  onResetTiming={subtitleHook.resetSubtitleTiming}
+                  onApplySuggestion={subtitleHook.applyTimingSuggestion}
+                  onDismissSuggestion={subtitleHook.dismissTimingSuggestion}
                 />
 
+                {/* Intro / Credits Markers */}
+                {mediaType === 'tv' && introMarkers.enabled && (
+                  <SkipMarkerControls
+                    markers={introMarkers.markers}
+                    onSetBoundary={introMarkers.setMarkerBoundary}
+                    onClear={introMarkers.clearMarker}
+                    onReset={introMarkers.resetMarker}
+                  />
+                )}
+
                 {/* Episode List Button */}
                 {(mediaType === 'tv' || episodes.length > 0) && (
                   <motion.button
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { MARKER_TYPES, hasMarkerRange } from '../../../utils/introMarkers';
+import { MARKER_SOURCES } from '../../UniversalMediaPlayer/utils/introMarkerStorage';
+
+const MARKER_LABELS = {
+  [MARKER_TYPES.INTRO]: 'Intro',
+  [MARKER_TYPES.CREDITS]: 'Credits'
+};
+
+const formatMarkerTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+const describeMarker = (marker) => {
+  if (!marker) return 'Not found yet';
+  if (!hasMarkerRange(marker)) return 'None';
+  const range = `${formatMarkerTime(marker.start)} \u2013 ${formatMarkerTime(marker.end)}`;
+  return marker.source === MARKER_SOURCES.MANUAL ? `${range} (set by you)` : range;
+};
+
+const buttonStyle = {
+  padding: '0.35rem 0.6rem',
+  background: 'rgba(255, 255, 255, 0.1)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '6px',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+/**
+ * Intro/credits marker menu: shows the ranges found for the episode and lets
+ * the user move their ends to the current time, remove them or go back to
+ * detection.
+ */
+const SkipMarkerControls = ({
+  markers,
+  onSetBoundary,
+  onClear,
+  onReset
+}) => {
+  const [showMenu, setShowMenu] = useState(false);
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => setShowMenu(prev => !prev)}
+        style={{
+          background: showMenu ? 'rgba(0, 245, 255, 0.3)' : 'rgba(255,255,255,0.1)',
+          border: showMenu ? '2px solid #00f5ff' : '1px solid rgba(255,255,255,0.2)',
+          color: showMenu ? '#00f5ff' : 'white',
+          padding: '8px 12px',
+          borderRadius: '8px',
+          cursor: 'pointer',
+          fontSize: '14px',
+          transition: 'all 0.3s ease',
+          backdropFilter: 'blur(10px)'
+        }}
+        title="Intro and credits markers"
+      >
+        ⏭️ Markers
+      </motion.button>
+
+      <AnimatePresence>
+        {showMenu && (
+          <motion.div
+            initial={{ opacity: 0, y: 10, scale: 0.95 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: 10, scale: 0.95 }}
+            transition={{ duration: 0.2 }}
+            style={{
+              position: 'absolute',
+              bottom: '100%',
+              right: '0',
+              marginBottom: '0.5rem',
+              background: 'rgba(0, 0, 0, 0.95)',
+              border: '2px solid rgba(0, 245, 255, 0.3)',
+              borderRadius: '12px',
+              padding: '1rem',
+              backdropFilter: 'blur(20px)',
+              boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)',
+              zIndex: 1000,
+              minWidth: '280px',
+              color: 'white'
+            }}
+          >
+            {Object.values(MARKER_TYPES).map(type => {
+              const marker = markers[type];
+              const label = MARKER_LABELS[type];
+
+              return (
+                <div key={type} style={{ marginBottom: type === MARKER_TYPES.INTRO ? '1rem' : 0 }}>
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    fontSize: '12px',
+                    marginBottom: '0.5rem'
+                  }}>
+                    <span style={{ color: '#00f5ff', fontWeight: '600' }}>{label}</span>
+                    <span style={{ opacity: 0.8 }}>{describeMarker(marker)}</span>
+                  </div>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem' }}>
+                    <button style={buttonStyle} onClick={() => onSetBoundary(type, 'start')}>
+                      Starts here
+                    </button>
+                    <button style={buttonStyle} onClick={() => onSetBoundary(type, 'end')}>
+                      Ends here
+                    </button>
+                    <button style={buttonStyle} onClick={() => onClear(type)}>
+                      No {label.toLowerCase()}
+                    </button>
+                    {marker?.source === MARKER_SOURCES.MANUAL && (
+                      <button style={buttonStyle} onClick={() => onReset(type)}>
+                        Detect again
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default SkipMarkerControls;
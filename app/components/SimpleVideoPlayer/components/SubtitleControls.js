@@ -1,5 +1,8 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { FRAMERATE_CONVERSIONS, formatContentLabel } from '../utils/subtitleTimingStorage';
+
+const formatOffset = (offset) => `${offset > 0 ? '+' : ''}${offset.toFixed(1)}s`;
 
 const SubtitleControls = ({
   subtitles,
@@ -14,7 +17,15 @@ const SubtitleControls = ({
   onToggleSubtitles,
   onUpdateStyle,
   loading,
-  hasSubtitles
+  hasSubtitles,
+  subtitleOffset = 0,
+  framerateConversion = 'none',
+  timingSuggestion = null,
+  onAdjustOffset,
+  onSetFramerate,
+  onResetTiming,
+  onApplySuggestion,
+  onDismissSuggestion
 }) => {
   const [showSettings, setShowSettings] = useState(false);
   const [showLanguageMenu, setShowLanguageMenu] = useState(false);
@@ -42,6 +53,15 @@ const SubtitleControls = ({
     { value: 'rgba(255, 255, 255, 0.8)', label: 'Light', preview: '#ffffff' }
   ];
 
+  const offsetSteps = [
+    { delta: -1, label: '-1s' },
+    { delta: -0.1, label: '-0.1' },
+    { delta: 0.1, label: '+0.1' },
+    { delta: 1, label: '+1s' }
+  ];
+
+  const isTimingCorrected = subtitleOffset !== 0 || framerateConversion !== 'none';
+
   const positionOptions = [
     { value: 'bottom', label: 'Bottom' },
     { value: 'top', label: 'Top' },
@@ -145,9 +165,85 @@ const SubtitleControls = ({
           title="Subtitle settings"
         >
           ⚙️
+          {isTimingCorrected && (
+            <span style={{ marginLeft: '0.35rem', fontSize: '10px', color: '#00f5ff' }}>
+              {formatOffset(subtitleOffset)}
+            </span>
+          )}
         </motion.button>
       )}
 
+      {/* Timing suggestion from another episode of the same release */}
+      <AnimatePresence>
+        {timingSuggestion && activeSubtitle && !showSettings && !showLanguageMenu && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            transition={{ duration: 0.2 }}
+            style={{
+              position: 'absolute',
+              bottom: '100%',
+              right: '0',
+              marginBottom: '0.5rem',
+              background: 'rgba(0, 0, 0, 0.95)',
+              border: '2px solid rgba(0, 245, 255, 0.3)',
+              borderRadius: '12px',
+              padding: '0.75rem',
+              backdropFilter: 'blur(20px)',
+              boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)',
+              zIndex: 1000,
+              minWidth: '240px',
+              fontSize: '12px',
+              color: 'white'
+            }}
+          >
+            <div style={{ marginBottom: '0.5rem' }}>
+              Use the subtitle timing from {formatContentLabel(timingSuggestion.contentKey)}?
+              <span style={{ color: '#00f5ff', marginLeft: '0.35rem' }}>
+                {formatOffset(timingSuggestion.offset)}
+                {timingSuggestion.framerate !== 'none' &&
+                  `, ${FRAMERATE_CONVERSIONS.find(option => option.id === timingSuggestion.framerate)?.label} fps`}
+              </span>
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={onDismissSuggestion}
+                style={{
+                  padding: '0.35rem 0.75rem',
+                  background: 'rgba(255, 255, 255, 0.1)',
+                  border: '1px solid rgba(255, 255, 255, 0.2)',
+                  borderRadius: '6px',
+                  color: 'white',
+                  cursor: 'pointer',
+                  fontSize: '11px'
+                }}
+              >
+                No thanks
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={onApplySuggestion}
+                style={{
+                  padding: '0.35rem 0.75rem',
+                  background: 'rgba(0, 245, 255, 0.3)',
+                  border: '1px solid #00f5ff',
+                  borderRadius: '6px',
+                  color: '#00f5ff',
+                  cursor: 'pointer',
+                  fontSize: '11px'
+                }}
+              >
+                Apply
+              </motion.button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Language Selection Menu */}
       <AnimatePresence>
         {showLanguageMenu && availableLanguages.length > 0 && (
@@ -269,7 +365,9 @@ const SubtitleControls = ({
               backdropFilter: 'blur(20px)',
               boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)',
               zIndex: 1000,
-              minWidth: '250px'
+              minWidth: '250px',
+              maxHeight: '70vh',
+              overflowY: 'auto'
             }}
           >
             <div style={{
@@ -282,6 +380,112 @@ const SubtitleControls = ({
               Subtitle Settings
             </div>
 
+            {/* Timing */}
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                fontSize: '11px',
+                color: 'rgba(255, 255, 255, 0.8)',
+                marginBottom: '0.5rem'
+              }}>
+                <span>Timing</span>
+                <span style={{ color: subtitleOffset !== 0 ? '#00f5ff' : 'rgba(255, 255, 255, 0.6)' }}>
+                  {formatOffset(subtitleOffset)}
+                </span>
+              </label>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(4, 1fr)',
+                gap: '0.25rem'
+              }}>
+                {offsetSteps.map((step) => (
+                  <motion.button
+                    key={step.delta}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={() => onAdjustOffset(step.delta)}
+                    title={step.delta < 0 ? 'Show subtitles earlier' : 'Show subtitles later'}
+                    style={{
+                      padding: '0.4rem',
+                      background: 'rgba(255, 255, 255, 0.1)',
+                      border: '1px solid rgba(255, 255, 255, 0.2)',
+                      borderRadius: '6px',
+                      color: 'white',
+                      cursor: 'pointer',
+                      fontSize: '10px',
+                      transition: 'all 0.2s ease'
+                    }}
+                  >
+                    {step.label}
+                  </motion.button>
+                ))}
+              </div>
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginTop: '0.35rem',
+                fontSize: '9px',
+                color: 'rgba(255, 255, 255, 0.5)'
+              }}>
+                <span>G / H to shift, Shift for 1s</span>
+                {isTimingCorrected && (
+                  <button
+                    onClick={onResetTiming}
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      color: '#00f5ff',
+                      cursor: 'pointer',
+                      fontSize: '10px',
+                      padding: 0
+                    }}
+                  >
+                    Reset
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {/* Framerate Conversion */}
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{
+                display: 'block',
+                fontSize: '11px',
+                color: 'rgba(255, 255, 255, 0.8)',
+                marginBottom: '0.5rem'
+              }}>
+                Framerate (subtitle {'\u2192'} video fps)
+              </label>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(2, 1fr)',
+                gap: '0.25rem'
+              }}>
+                {FRAMERATE_CONVERSIONS.map((option) => (
+                  <motion.button
+                    key={option.id}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={() => onSetFramerate(option.id)}
+                    style={{
+                      padding: '0.4rem',
+                      background: framerateConversion === option.id ? 'rgba(0, 245, 255, 0.3)' : 'rgba(255, 255, 255, 0.1)',
+                      border: framerateConversion === option.id ? '1px solid #00f5ff' : '1px solid rgba(255, 255, 255, 0.2)',
+                      borderRadius: '6px',
+                      color: framerateConversion === option.id ? '#00f5ff' : 'white',
+                      cursor: 'pointer',
+                      fontSize: '10px',
+                      transition: 'all 0.2s ease'
+                    }}
+                  >
+                    {option.label}
+                  </motion.button>
+                ))}
+              </div>
+            </div>
+
             {/* Font Size */}
             <div style={{ marginBottom: '1rem' }}>
               <label style={{
@@ -1,4 +1,11 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { mapCueTime } from '../../../utils/audioSubtitleSync';
+import {
+  findTimingSuggestion,
+  getFramerateScale,
+  getSubtitleTiming,
+  saveSubtitleTiming
+} from '../utils/subtitleTimingStorage';
 
 // Specific languages in the requested order: English, Spanish, Russian, Arabic, Italian, Portuguese, French
 const REQUESTED_LANGUAGES = [
@@ -11,7 +18,10 @@ const REQUESTED_LANGUAGES = [
   { code: 'fre', name: 'French', flag: '🇫🇷' }
 ];
 
-export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled = true }) => {
+// Offsets beyond this are a wrong file, not a timing problem
+const MAX_SUBTITLE_OFFSET = 600;
+
+export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled = true, contentKey = null }) => {
   const [subtitles, setSubtitles] = useState([]);
   const [availableLanguages, setAvailableLanguages] = useState([]);
   const [activeSubtitle, setActiveSubtitle] = useState(null);
@@ -22,9 +32,31 @@ export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled
   const [fontColor, setFontColor] = useState('#ffffff');
   const [backgroundColor, setBackgroundColor] = useState('rgba(0, 0, 0, 0.8)');
   const [position, setPosition] = useState('bottom');
+
+  // Timing correction, persisted per content key + subtitle file
+  const [subtitleOffset, setSubtitleOffset] = useState(0);
+  const [framerateConversion, setFramerateConversionState] = useState('none');
+  const [timingSuggestion, setTimingSuggestion] = useState(null);
   
   const trackRef = useRef(null);
   const blobUrlRef = useRef(null);
+  const timingRef = useRef({ offset: 0, scale: 1 });
+  const originalCueTimesRef = useRef(new WeakMap());
+
+  // Retime the native track's cues from their original times
+  const applyTimingToTrack = useCallback(() => {
+    const textTrack = trackRef.current?.track;
+    if (!textTrack?.cues) return;
+
+    Array.from(textTrack.cues).forEach(cue => {
+      if (!originalCueTimesRef.current.has(cue)) {
+        originalCueTimesRef.current.set(cue, { start: cue.startTime, end: cue.endTime });
+      }
+      const original = originalCueTimesRef.current.get(cue);
+      cue.startTime = Math.max(0, mapCueTime(original.start, timingRef.current));
+      cue.endTime = Math.max(0, mapCueTime(original.end, timingRef.current));
+    });
+  }, []);
 
   // Fetch all available subtitles
   const fetchAllSubtitles = useCallback(async () => {
@@ -122,6 +154,9 @@ export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled
       }
       
       setActiveSubtitle(null);
+      setSubtitleOffset(0);
+      setFramerateConversionState('none');
+      setTimingSuggestion(null);
       return;
     }
     
@@ -134,7 +169,7 @@ export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled
       const response = await fetch('/api/subtitles/download', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ download_link: subtitle.downloadLink }),
+        body: JSON.stringify({ download_link: subtitle.downloadLink, encoding: subtitle.encoding }),
       });
       
       if (!response.ok) {
@@ -186,10 +221,24 @@ export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled
             const textTrack = videoRef.current.textTracks[0];
             textTrack.mode = subtitlesVisible ? 'showing' : 'hidden';
           }
+          applyTimingToTrack();
         });
       }
+
+      // Restore this file's correction, or offer one made for the same release
+      const savedTiming = getSubtitleTiming(contentKey, subtitle.id);
+      const offset = savedTiming?.offset || 0;
+      const framerate = savedTiming?.framerate || 'none';
+      timingRef.current = { offset, scale: getFramerateScale(framerate) };
+      setSubtitleOffset(offset);
+      setFramerateConversionState(framerate);
+      setTimingSuggestion(savedTiming ? null : findTimingSuggestion(contentKey, subtitle));
+      if (savedTiming) {
+        console.log('⏱️ Restored subtitle timing:', { offset, framerate });
+      }
       
-      setActiveSubtitle({ ...subtitle, blobUrl });
+      // The content key is kept with the selection so a later episode change can't misfile its timing
+      setActiveSubtitle({ ...subtitle, blobUrl, contentKey });
       console.log('✅ Subtitle selected successfully:', subtitle.language);
       
     } catch (err) {
@@ -198,7 +247,7 @@ export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled
     } finally {
       setLoading(false);
     }
-  }, [videoRef, subtitlesVisible]);
+  }, [videoRef, subtitlesVisible, contentKey, applyTimingToTrack]);
 
   // Toggle subtitle visibility
   const toggleSubtitles = useCallback(() => {
@@ -223,6 +272,49 @@ export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled
     console.log('🎨 Subtitle style updated:', styleUpdates);
   }, []);
 
+  // Shift subtitles by delta seconds; positive shows them later
+  const adjustSubtitleOffset = useCallback((delta) => {
+    setSubtitleOffset(prev => {
+      const next = Math.round((prev + delta) * 1000) / 1000;
+      return Math.min(MAX_SUBTITLE_OFFSET, Math.max(-MAX_SUBTITLE_OFFSET, next));
+    });
+    setTimingSuggestion(null);
+  }, []);
+
+  const setFramerateConversion = useCallback((conversionId) => {
+    setFramerateConversionState(conversionId);
+    setTimingSuggestion(null);
+  }, []);
+
+  const resetSubtitleTiming = useCallback(() => {
+    setSubtitleOffset(0);
+    setFramerateConversionState('none');
+  }, []);
+
+  const applyTimingSuggestion = useCallback(() => {
+    if (!timingSuggestion) return;
+    setSubtitleOffset(timingSuggestion.offset);
+    setFramerateConversionState(timingSuggestion.framerate);
+    setTimingSuggestion(null);
+  }, [timingSuggestion]);
+
+  const dismissTimingSuggestion = useCallback(() => {
+    setTimingSuggestion(null);
+  }, []);
+
+  // Apply and remember the correction whenever it changes
+  useEffect(() => {
+    timingRef.current = { offset: subtitleOffset, scale: getFramerateScale(framerateConversion) };
+    applyTimingToTrack();
+
+    if (activeSubtitle?.contentKey) {
+      saveSubtitleTiming(activeSubtitle.contentKey, activeSubtitle, {
+        offset: subtitleOffset,
+        framerate: framerateConversion
+      });
+    }
+  }, [subtitleOffset, framerateConversion, activeSubtitle, applyTimingToTrack]);
+
   // Initial fetch when dependencies change
   useEffect(() => {
     fetchAllSubtitles();
@@ -260,12 +352,22 @@ export const useSimpleSubtitles = ({ imdbId, season, episode, videoRef, enabled
     fontColor,
     backgroundColor,
     position,
+
+    // Timing
+    subtitleOffset,
+    framerateConversion,
+    timingSuggestion,
     
     // Actions
     fetchSubtitles: fetchAllSubtitles,
     selectSubtitle,
     toggleSubtitles,
     updateSubtitleStyle,
+    adjustSubtitleOffset,
+    setFramerateConversion,
+    resetSubtitleTiming,
+    applyTimingSuggestion,
+    dismissTimingSuggestion,
     
     // Utilities
     hasSubtitles: subtitles.length > 0,
@@ -0,0 +1,79 @@
+/**
+ * Subtitle Timing Storage Tests
+ * Tests per-file persistence, release signatures and suggestions across
+ * episodes of the same release
+ */
+
+import { generateContentKey } from '../../../UniversalMediaPlayer/utils/watchProgressStorage';
+import {
+  findTimingSuggestion,
+  formatContentLabel,
+  getFramerateScale,
+  getReleaseSignature,
+  getSubtitleTiming,
+  saveSubtitleTiming
+} from '../subtitleTimingStorage';
+
+const episode1 = generateContentKey('tv', 1396, 1, 1);
+const episode2 = generateContentKey('tv', 1396, 1, 2);
+
+const subtitleFor = (id, releaseName) => ({ id, langcode: 'eng', releaseName });
+
+describe('Subtitle timing storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should save and restore a correction per content and subtitle file', () => {
+    const subtitle = subtitleFor('1001', 'Show.S01E01.Pilot.720p.HDTV.x264-GRP');
+
+    expect(saveSubtitleTiming(episode1, subtitle, { offset: 1.2345, framerate: '25-23.976' })).toBe(true);
+
+    expect(getSubtitleTiming(episode1, '1001')).toMatchObject({
+      contentKey: 'tv_1396_s1_e1',
+      offset: 1.235,
+      framerate: '25-23.976',
+      release: '720p.hdtv.x264.grp'
+    });
+    expect(getSubtitleTiming(episode1, '2002')).toBeNull();
+    expect(getSubtitleTiming(episode2, '1001')).toBeNull();
+  });
+
+  test('should forget a correction that is reset to the original timing', () => {
+    const subtitle = subtitleFor('1001', 'Show.S01E01.720p.HDTV.x264-GRP');
+
+    saveSubtitleTiming(episode1, subtitle, { offset: 2, framerate: 'none' });
+    saveSubtitleTiming(episode1, subtitle, { offset: 0, framerate: 'none' });
+
+    expect(getSubtitleTiming(episode1, '1001')).toBeNull();
+  });
+
+  test('should give every episode of a release the same signature', () => {
+    expect(getReleaseSignature(subtitleFor('1', 'Show.S01E01.Pilot.720p.WEB-DL.x264-GRP.srt')))
+      .toBe(getReleaseSignature(subtitleFor('2', 'Show S01E02 Cat.s in the Bag 720p WEB-DL x264-GRP')));
+    expect(getReleaseSignature(subtitleFor('1', 'Show.S01E01.1080p.BluRay.x265-OTHER')))
+      .not.toBe(getReleaseSignature(subtitleFor('2', 'Show.S01E02.720p.WEB-DL.x264-GRP')));
+    expect(getReleaseSignature({ id: '3', fileName: 'english.srt' })).toBeNull();
+    expect(getReleaseSignature({ id: '4' })).toBeNull();
+  });
+
+  test('should suggest the latest correction from the same release of the show', () => {
+    saveSubtitleTiming(episode1, subtitleFor('1001', 'Show.S01E01.720p.HDTV.x264-GRP'), { offset: 1.5 });
+    saveSubtitleTiming(generateContentKey('tv', 999, 1, 1), subtitleFor('3003', 'Other.S01E01.720p.HDTV.x264-GRP'), { offset: -4 });
+
+    const suggestion = findTimingSuggestion(episode2, subtitleFor('1002', 'Show.S01E02.720p.HDTV.x264-GRP'));
+    expect(suggestion).toMatchObject({ contentKey: 'tv_1396_s1_e1', offset: 1.5 });
+    expect(formatContentLabel(suggestion.contentKey)).toBe('S1 E1');
+
+    expect(findTimingSuggestion(episode2, subtitleFor('1002', 'Show.S01E02.1080p.WEB.h264-ELSE'))).toBeNull();
+    // A file's own entry is restored, not suggested
+    expect(findTimingSuggestion(episode1, subtitleFor('1001', 'Show.S01E01.720p.HDTV.x264-GRP'))).toBeNull();
+  });
+
+  test('should turn framerate conversions into time scales', () => {
+    expect(getFramerateScale('none')).toBe(1);
+    expect(getFramerateScale('25-23.976')).toBeCloseTo(1.0427, 4);
+    expect(getFramerateScale('23.976-25')).toBeCloseTo(0.959, 3);
+    expect(getFramerateScale('unknown')).toBe(1);
+  });
+});
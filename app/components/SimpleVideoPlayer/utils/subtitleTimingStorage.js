@@ -0,0 +1,215 @@
+/**
+ * Subtitle Timing Storage
+ *
+ * Remembers the offset and framerate conversion chosen for a subtitle file,
+ * keyed by content key (generateContentKey in watchProgressStorage) plus
+ * subtitle file ID.
+ * Corrections also carry a release signature, so a fix made on one episode
+ * can be suggested for the next episode of the same release.
+ */
+
+const STORAGE_KEY = 'flyx_subtitle_timing';
+const STORAGE_VERSION = '1.0';
+const MAX_STORAGE_ENTRIES = 500;
+
+/**
+ * Framerate conversions: subtitles timed for `from` fps shown on a `to` fps video
+ */
+export const FRAMERATE_CONVERSIONS = [
+  { id: 'none', label: 'Original', from: null, to: null },
+  { id: '23.976-25', label: '23.976 \u2192 25', from: 23.976, to: 25 },
+  { id: '25-23.976', label: '25 \u2192 23.976', from: 25, to: 23.976 },
+  { id: '24-25', label: '24 \u2192 25', from: 24, to: 25 },
+  { id: '25-24', label: '25 \u2192 24', from: 25, to: 24 },
+  { id: '23.976-24', label: '23.976 \u2192 24', from: 23.976, to: 24 },
+  { id: '24-23.976', label: '24 \u2192 23.976', from: 24, to: 23.976 }
+];
+
+// Tokens that describe a release rather than an episode
+const RELEASE_TAG_PATTERN = /^(\d{3,4}p|4k|uhd|web|webdl|webrip|bluray|bdrip|brrip|hdtv|dvdrip|hdrip|remux|[xh]26[45]|hevc|avc|xvid|amzn|nf|dsnp|hmax|atvp|hulu|hdr|proper|repack|extended)$/;
+
+/**
+ * Time scale for a framerate conversion
+ */
+export const getFramerateScale = (conversionId) => {
+  const conversion = FRAMERATE_CONVERSIONS.find(option => option.id === conversionId);
+  return conversion?.from ? conversion.from / conversion.to : 1;
+};
+
+/**
+ * Generate the storage key for a subtitle file on a piece of content
+ */
+export const generateTimingKey = (contentKey, subtitleId) => `${contentKey}|${subtitleId}`;
+
+/**
+ * Content key for a whole show, so episodes of one show can share suggestions
+ */
+export const getShowKey = (contentKey) => contentKey.replace(/_s[^_]*_e[^_]*$/, '');
+
+/**
+ * Human-readable label for a content key, e.g. "S1 E2"
+ */
+export const formatContentLabel = (contentKey) => {
+  const match = contentKey?.match(/_s([^_]+)_e([^_]+)$/);
+  return match ? `S${match[1]} E${match[2]}` : 'this title';
+};
+
+/**
+ * Release signature from the subtitle's release or file name: source,
+ * resolution and codec tags plus the release group. The episode marker and
+ * title are left out, so all episodes of one release share a signature.
+ */
+export const getReleaseSignature = (subtitle) => {
+  const name = subtitle?.releaseName || subtitle?.fileName;
+  if (!name) return null;
+
+  const base = name.trim().replace(/\.(srt|vtt|ass|ssa|sub|txt)$/i, '');
+  const groupMatch = base.match(/-([a-z0-9]+)$/i);
+  const group = groupMatch ? groupMatch[1].toLowerCase() : null;
+  const body = groupMatch ? base.slice(0, groupMatch.index) : base;
+
+  const tags = body
+    .split(/[\s._()[\]]+/)
+    .map(token => token.toLowerCase().replace(/-/g, ''))
+    .filter(token => RELEASE_TAG_PATTERN.test(token));
+
+  if (!group && tags.length === 0) return null;
+
+  return [...new Set(tags)].sort().concat(group ? [group] : []).join('.');
+};
+
+/**
+ * Get all subtitle timing data from storage
+ */
+export const getAllSubtitleTiming = () => {
+  // Check if we're in the browser environment
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return createEmptyStorage();
+  }
+
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    if (!data) {
+      return createEmptyStorage();
+    }
+
+    const parsed = JSON.parse(data);
+    if (parsed.version !== STORAGE_VERSION || !parsed.entries) {
+      console.log(`🔄 Resetting subtitle timing storage from version ${parsed.version}`);
+      return createEmptyStorage();
+    }
+
+    return parsed;
+  } catch (error) {
+    console.error('❌ Error reading subtitle timing:', error);
+    return createEmptyStorage();
+  }
+};
+
+/**
+ * Save all subtitle timing data to storage
+ */
+const saveAllSubtitleTiming = (data) => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return false;
+  }
+
+  try {
+    let entries = data.entries || {};
+
+    // Keep the most recently used corrections
+    const keys = Object.keys(entries);
+    if (keys.length > MAX_STORAGE_ENTRIES) {
+      entries = Object.fromEntries(
+        keys
+          .map(key => [key, entries[key]])
+          .sort(([, a], [, b]) => new Date(b.updatedAt) - new Date(a.updatedAt))
+          .slice(0, MAX_STORAGE_ENTRIES)
+      );
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      lastUpdated: new Date().toISOString(),
+      entries
+    }));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving subtitle timing:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the saved correction for a subtitle file on specific content
+ */
+export const getSubtitleTiming = (contentKey, subtitleId) => {
+  if (!contentKey || !subtitleId) return null;
+  return getAllSubtitleTiming().entries[generateTimingKey(contentKey, subtitleId)] || null;
+};
+
+/**
+ * Save the correction for a subtitle file; an uncorrected timing removes the entry
+ */
+export const saveSubtitleTiming = (contentKey, subtitle, { offset = 0, framerate = 'none' } = {}) => {
+  if (!contentKey || !subtitle?.id) return false;
+
+  const key = generateTimingKey(contentKey, subtitle.id);
+  const allData = getAllSubtitleTiming();
+
+  if (Math.abs(offset) < 0.001 && framerate === 'none') {
+    if (!allData.entries[key]) return true;
+    delete allData.entries[key];
+    return saveAllSubtitleTiming(allData);
+  }
+
+  allData.entries[key] = {
+    contentKey,
+    subtitleId: subtitle.id,
+    langcode: subtitle.langcode || null,
+    release: getReleaseSignature(subtitle),
+    offset: Math.round(offset * 1000) / 1000,
+    framerate,
+    updatedAt: new Date().toISOString()
+  };
+
+  return saveAllSubtitleTiming(allData);
+};
+
+/**
+ * Remove the correction for a subtitle file
+ */
+export const removeSubtitleTiming = (contentKey, subtitleId) => {
+  const allData = getAllSubtitleTiming();
+  delete allData.entries[generateTimingKey(contentKey, subtitleId)];
+  return saveAllSubtitleTiming(allData);
+};
+
+/**
+ * Find a correction made for the same release elsewhere in the show (or for
+ * another subtitle file of the same movie release), most recent first
+ */
+export const findTimingSuggestion = (contentKey, subtitle) => {
+  const release = getReleaseSignature(subtitle);
+  if (!contentKey || !release) return null;
+
+  const showKey = getShowKey(contentKey);
+  const ownKey = generateTimingKey(contentKey, subtitle.id);
+
+  return Object.entries(getAllSubtitleTiming().entries)
+    .filter(([key, entry]) => (
+      key !== ownKey &&
+      entry.release === release &&
+      getShowKey(entry.contentKey) === showKey
+    ))
+    .map(([, entry]) => entry)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0] || null;
+};
+
+function createEmptyStorage() {
+  return {
+    version: STORAGE_VERSION,
+    lastUpdated: new Date().toISOString(),
+    entries: {}
+  };
+}
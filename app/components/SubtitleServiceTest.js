@@ -47,7 +47,6 @@ const SubtitleServiceTest = () => {
         downloadTest: processedSubtitle ? {
           success: true,
           fileName: processedSubtitle.fileName,
-          wasGzipped: processedSubtitle.wasGzipped,
           originalSize: processedSubtitle.originalSize,
           processedSize: processedSubtitle.contentLength,
           hasValidVTT: processedSubtitle.content?.startsWith('WEBVTT'),
@@ -159,7 +158,6 @@ const SubtitleServiceTest = () => {
               <div style={{ fontSize: '12px', marginBottom: '10px' }}>
                 <div>📦 Original Size: {sub.originalSize} bytes</div>
                 <div>📄 Processed Size: {sub.contentLength} bytes</div>
-                <div>🗜️ Was Gzipped: {sub.wasGzipped ? '✅' : '❌'}</div>
                 <div>📹 Valid VTT: {sub.content?.startsWith('WEBVTT') ? '✅' : '❌'}</div>
                 <div>🔗 Blob URL: {sub.blobUrl ? '✅ Created' : '❌ Failed'}</div>
               </div>
@@ -222,14 +220,13 @@ const SubtitleServiceTest = () => {
       }}>
         <p>📝 <strong>Test Description:</strong></p>
         <ul>
-          <li><strong>Basic Test:</strong> Tests SRT format detection, VTT conversion, and pako library loading</li>
+          <li><strong>Basic Test:</strong> Tests SRT format detection and VTT conversion</li>
           <li><strong>Fetch Test:</strong> Fetches subtitles for Fight Club (IMDB: tt0137523) from OpenSubtitles</li>
-          <li><strong>Download Test:</strong> Downloads and processes the first available subtitle with gzip decompression</li>
+          <li><strong>Download Test:</strong> Downloads the first available subtitle, unpacked and converted to VTT by the proxy</li>
         </ul>
         
         <p>🔧 <strong>Enhanced Features Tested:</strong></p>
         <ul>
-          <li>Gzip detection and decompression using pako library</li>
           <li>Improved SRT to VTT conversion with proper timestamp formatting</li>
           <li>Error handling and fallback conversion methods</li>
           <li>Blob URL generation for CORS-free subtitle playback</li>
@@ -16,10 +16,12 @@ import useFetchMediaDetails from './hooks/useFetchMediaDetails';
 import useEpisodeNavigation from './hooks/useEpisodeNavigation';
 import useAutoAdvance from './hooks/useAutoAdvance';
 import useWatchProgress from './hooks/useWatchProgress';
+import { isSupportedSubtitleFile } from '../../utils/localSubtitleFile';
 
 // Enhanced UI components - lazy loaded for performance
 const EnhancedMediaControls = dynamic(() => import('./components/EnhancedMediaControls'), { ssr: false });
 const IntelligentSubtitles = dynamic(() => import('./components/IntelligentSubtitles'), { ssr: false });
+const DualSubtitles = dynamic(() => import('./components/DualSubtitles'), { ssr: false });
 const AmbientLighting = dynamic(() => import('./components/AmbientLighting'), { ssr: false });
 const VoiceInterface = dynamic(() => import('./components/VoiceInterface'), { ssr: false });
 const GestureOverlay = dynamic(() => import('./components/GestureOverlay'), { ssr: false });
@@ -84,6 +86,8 @@ const FuturisticMediaPlayerCore = ({
   const [fullscreenMode, setFullscreenMode] = useState('standard');
   const [episodeCarouselVisible, setEpisodeCarouselVisible] = useState(false); // NEW: Episode carousel visibility control
   const [resumeDialogVisible, setResumeDialogVisible] = useState(false); // NEW: Resume dialog visibility control
+  const [subtitleDropActive, setSubtitleDropActive] = useState(false);
+  const [localSubtitleNotice, setLocalSubtitleNotice] = useState(null); // Result of the last local subtitle file
 
   // Optimized player state - single source of truth
   const [playerState, setPlayerState] = useState({
@@ -571,7 +575,22 @@ const FuturisticMediaPlayerCore = ({
     availableLanguages,
     activeSubtitle,
     selectSubtitle,
+    loadLocalSubtitle,
+    secondarySubtitle,
+    selectSecondarySubtitle,
+    currentDualCue,
+    dualSubtitleSettings,
+    updateDualSubtitleSettings,
     currentSubtitleText,
+    currentStyledCues,
+    assInfo,
+    syncCorrection,
+    syncStatus,
+    syncToAudio,
+    cancelAutoSync,
+    syncCueToTime,
+    getSyncCandidates,
+    resetSync,
     loading: subtitlesLoading,
     error: subtitlesError
   } = useEnhancedSubtitles({
@@ -582,6 +601,69 @@ const FuturisticMediaPlayerCore = ({
     videoRef
   });
 
+  const subtitleSync = useMemo(() => ({
+    status: syncStatus,
+    correction: syncCorrection,
+    onAutoSync: () => syncToAudio(),
+    onCancelAutoSync: cancelAutoSync,
+    onSyncCue: syncCueToTime,
+    getCandidates: getSyncCandidates,
+    onReset: resetSync
+  }), [syncStatus, syncCorrection, syncToAudio, cancelAutoSync, syncCueToTime, getSyncCandidates, resetSync]);
+
+  const dualSubtitles = useMemo(() => ({
+    secondary: secondarySubtitle,
+    onSelectSecondary: selectSecondarySubtitle,
+    settings: dualSubtitleSettings,
+    onUpdateSettings: updateDualSubtitleSettings
+  }), [secondarySubtitle, selectSecondarySubtitle, dualSubtitleSettings, updateDualSubtitleSettings]);
+
+  // Subtitle files picked from disk or dropped on the player
+  const handleLocalSubtitleFile = useCallback(async (file) => {
+    if (!isSupportedSubtitleFile(file)) {
+      setLocalSubtitleNotice({ type: 'error', text: 'Drop a .srt, .vtt or .ass file (zipped or gzipped is fine)' });
+      return;
+    }
+
+    setLocalSubtitleNotice({ type: 'loading', text: `Loading ${file.name}...` });
+    const subtitle = await loadLocalSubtitle(file);
+    setLocalSubtitleNotice(subtitle
+      ? { type: 'success', text: `Subtitles loaded: ${subtitle.languageName}` }
+      : { type: 'error', text: null });
+  }, [loadLocalSubtitle]);
+
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleSubtitleDragOver = useCallback((e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setSubtitleDropActive(true);
+  }, []);
+
+  const handleSubtitleDragLeave = useCallback((e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setSubtitleDropActive(false);
+    }
+  }, []);
+
+  const handleSubtitleDrop = useCallback((e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setSubtitleDropActive(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) {
+      handleLocalSubtitleFile(file);
+    }
+  }, [handleLocalSubtitleFile]);
+
+  // Load results fade out on their own
+  useEffect(() => {
+    if (!localSubtitleNotice || localSubtitleNotice.type === 'loading') return;
+    const timer = setTimeout(() => setLocalSubtitleNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [localSubtitleNotice]);
+
   // Episode navigation for TV shows - Now uses provided data
   const {
     hasNextEpisode,
@@ -611,8 +693,13 @@ const FuturisticMediaPlayerCore = ({
     resetForNewEpisode
   } = useAutoAdvance({
     mediaType,
+    movieId,
+    seasonId,
+    episodeId,
+    videoRef,
     currentTime: playerState.currentTime,
     duration: playerState.duration,
+    isPlaying: playerState.isPlaying,
     hasNextEpisode,
     getNextEpisode,
     onNextEpisode: goToNextEpisode,
@@ -1614,6 +1701,10 @@ const FuturisticMediaPlayerCore = ({
         }`}
       onMouseMove={showUI}
       onMouseLeave={hideUI}
+      onDragEnter={handleSubtitleDragOver}
+      onDragOver={handleSubtitleDragOver}
+      onDragLeave={handleSubtitleDragLeave}
+      onDrop={handleSubtitleDrop}
     >
       {/* Ambient Lighting System */}
       <AnimatePresence>
@@ -1639,6 +1730,64 @@ const FuturisticMediaPlayerCore = ({
         data-testid="futuristic-video-player"
       />
 
+      {/* Subtitle file drop target */}
+      <AnimatePresence>
+        {subtitleDropActive && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            style={{
+              position: 'absolute',
+              inset: '24px',
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              gap: '8px',
+              border: '2px dashed rgba(0, 245, 255, 0.7)',
+              borderRadius: '16px',
+              background: 'rgba(0, 0, 0, 0.7)',
+              color: 'white',
+              pointerEvents: 'none',
+              zIndex: 150
+            }}
+          >
+            <div style={{ fontSize: '40px' }}>📂</div>
+            <div style={{ fontSize: '18px' }}>Drop a subtitle file</div>
+            <div style={{ fontSize: '13px', opacity: 0.7 }}>SRT, VTT or ASS - zipped or gzipped is fine</div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Local subtitle file result */}
+      <AnimatePresence>
+        {localSubtitleNotice && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            role="status"
+            style={{
+              position: 'absolute',
+              top: '24px',
+              left: 0,
+              right: 0,
+              width: 'fit-content',
+              margin: '0 auto',
+              padding: '10px 18px',
+              borderRadius: '10px',
+              background: localSubtitleNotice.type === 'error' ? 'rgba(120, 20, 30, 0.9)' : 'rgba(0, 0, 0, 0.8)',
+              color: 'white',
+              fontSize: '14px',
+              zIndex: 150
+            }}
+          >
+            {localSubtitleNotice.text || subtitlesError || "Couldn't read that subtitle file"}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Video Loading Overlay - Shows while video is initializing */}
       <AnimatePresence>
         {streamUrl && !isInitialized && (
@@ -1688,11 +1837,23 @@ const FuturisticMediaPlayerCore = ({
         height="1080"
       />
 
+      {/* Dual Subtitles - both languages replace the single-language display */}
+      {secondarySubtitle && (
+        <DualSubtitles
+          cue={currentDualCue}
+          settings={dualSubtitleSettings}
+          videoRef={videoRef}
+        />
+      )}
+
       {/* Intelligent Subtitles */}
       <AnimatePresence>
-        {currentSubtitleText && (
+        {!secondarySubtitle && (currentSubtitleText || (assInfo && currentStyledCues.length > 0)) && (
           <IntelligentSubtitles
             text={currentSubtitleText}
+            styledCues={assInfo ? currentStyledCues : null}
+            assInfo={assInfo}
+            videoRef={videoRef}
             position={{ bottom: '15%', left: '50%', transform: 'translateX(-50%)' }}
             contentAwareness={null}
             style={advancedState.subtitleStyle}
@@ -1847,6 +2008,9 @@ const FuturisticMediaPlayerCore = ({
             onMarkCompleted={markCompleted} // NEW: Pass mark completed handler
             onClearProgress={clearProgress} // NEW: Pass clear progress handler
             onSaveProgress={forceSave} // NEW: Pass save progress handler
+            subtitleSync={subtitleSync}
+            onLoadSubtitleFile={handleLocalSubtitleFile}
+            dualSubtitles={dualSubtitles}
           />
         )}
       </AnimatePresence>
@@ -144,7 +144,10 @@ const FuturisticMediaPlayerRefactored = ({
     isRecovering,
     retryCount,
     resetErrorRecovery,
-    forceStateSync
+    forceStateSync,
+    qualities,
+    currentQuality,
+    setQuality
   } = useMediaPlayer({
     streamUrl,
     streamType,
@@ -197,6 +200,8 @@ const FuturisticMediaPlayerRefactored = ({
     activeSubtitle,
     selectSubtitle,
     currentSubtitleText,
+    currentStyledCues,
+    assInfo,
     loading: subtitlesLoading,
     error: subtitlesError
   } = useEnhancedSubtitles({
@@ -236,8 +241,13 @@ const FuturisticMediaPlayerRefactored = ({
     resetForNewEpisode
   } = useAutoAdvance({
     mediaType,
+    movieId,
+    seasonId,
+    episodeId,
+    videoRef,
     currentTime: playerState.currentTime,
     duration: playerState.duration,
+    isPlaying: playerState.isPlaying,
     hasNextEpisode,
     getNextEpisode,
     onNextEpisode: goToNextEpisode,
@@ -292,18 +302,6 @@ const FuturisticMediaPlayerRefactored = ({
     }
   }), [resumePlayback, restartPlayback, hideResumeDialog]);
 
-  // Quality management
-  const qualities = useMemo(() => {
-    // This would be populated by HLS.js quality levels
-    return [
-      { id: 'auto', label: 'Auto', height: 0, bitrate: 0 }
-    ];
-  }, []);
-
-  const setQuality = useCallback((qualityId) => {
-    // Implement quality switching logic
-  }, []);
-
   // Gesture action handler
   const handleGestureAction = useCallback((gesture) => {
     if (!videoRef.current) return;
@@ -460,9 +458,12 @@ const FuturisticMediaPlayerRefactored = ({
 
       {/* Intelligent Subtitles */}
       <AnimatePresence>
-        {currentSubtitleText && (
+        {(currentSubtitleText || (assInfo && currentStyledCues.length > 0)) && (
           <IntelligentSubtitles
             text={currentSubtitleText}
+            styledCues={assInfo ? currentStyledCues : null}
+            assInfo={assInfo}
+            videoRef={videoRef}
             position={{ bottom: '15%', left: '50%', transform: 'translateX(-50%)' }}
             contentAwareness={null}
             style={{}}
@@ -502,7 +503,7 @@ const FuturisticMediaPlayerRefactored = ({
             playerState={playerState}
             playerActions={playerActions}
             qualities={qualities}
-            currentQuality="auto"
+            currentQuality={currentQuality}
             onQualityChange={setQuality}
             subtitles={availableLanguages || []}
             activeSubtitle={activeSubtitle}
@@ -601,7 +602,7 @@ const FuturisticMediaPlayerRefactored = ({
         onToggleFullscreen={toggleFullscreen}
         qualities={qualities}
         onSelectQuality={setQuality}
-        currentQuality="auto"
+        currentQuality={currentQuality}
         subtitles={availableLanguages || []}
         onSelectSubtitle={selectSubtitle}
         activeSubtitle={activeSubtitle}
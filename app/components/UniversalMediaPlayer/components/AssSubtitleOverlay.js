@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { assColorToCss } from '../../../utils/assParser';
+import styles from '../FuturisticMediaPlayer.module.css';
+
+/**
+ * AssSubtitleOverlay - Renders styled ASS/SSA cues over the video picture
+ *
+ * Script coordinates (PlayResX x PlayResY) are mapped onto the visible
+ * picture, leaving out letterbox bars. Supports fonts, colors, outline and
+ * shadow, opaque boxes, alignment, margins, \pos, \move, \fad/\fade, \frz
+ * and karaoke (\k, \kf, \ko). Cues stack per alignment like in libass.
+ */
+
+const FALLBACK_FONTS = '"Noto Sans", "Segoe UI", Arial, sans-serif';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Alignment 1-9 as on a numpad: 7 8 9 top, 4 5 6 middle, 1 2 3 bottom
+const alignmentParts = (alignment) => ({
+  horizontal: ['left', 'center', 'right'][(alignment - 1) % 3],
+  vertical: ['bottom', 'middle', 'top'][Math.floor((alignment - 1) / 3)]
+});
+
+const ANCHOR_OFFSETS = {
+  horizontal: { left: '0%', center: '-50%', right: '-100%' },
+  vertical: { top: '0%', middle: '-50%', bottom: '-100%' }
+};
+
+// Opacity from \fad/\fade: alphas (255 = transparent) change linearly between the four times
+function fadeOpacity(fade, elapsedMs) {
+  if (!fade) return 1;
+
+  const [a1, a2, a3] = fade.alphas;
+  const [t1, t2, t3, t4] = fade.times;
+  let alpha;
+  if (elapsedMs < t1) alpha = a1;
+  else if (elapsedMs < t2) alpha = a1 + (a2 - a1) * ((elapsedMs - t1) / Math.max(1, t2 - t1));
+  else if (elapsedMs < t3) alpha = a2;
+  else if (elapsedMs < t4) alpha = a2 + (a3 - a2) * ((elapsedMs - t3) / Math.max(1, t4 - t3));
+  else alpha = a3;
+
+  return clamp(1 - alpha / 255, 0, 1);
+}
+
+function movePosition(move, elapsedMs) {
+  const progress = clamp((elapsedMs - move.t1) / Math.max(1, move.t2 - move.t1), 0, 1);
+  return {
+    x: move.x1 + (move.x2 - move.x1) * progress,
+    y: move.y1 + (move.y2 - move.y1) * progress
+  };
+}
+
+// Outline as eight offset shadows, then the drop shadow
+function textShadow(style, borderScale, { withOutline = true } = {}) {
+  const shadows = [];
+  const outline = style.outline * borderScale;
+  const blur = style.blur * borderScale;
+
+  if (withOutline && outline > 0 && style.borderStyle !== 3) {
+    const color = assColorToCss(style.outlineColor);
+    for (let step = 0; step < 8; step++) {
+      const angle = (Math.PI / 4) * step;
+      shadows.push(`${(Math.cos(angle) * outline).toFixed(2)}px ${(Math.sin(angle) * outline).toFixed(2)}px ${blur}px ${color}`);
+    }
+  }
+  if (style.shadow > 0) {
+    const offset = style.shadow * borderScale;
+    shadows.push(`${offset}px ${offset}px ${blur}px ${assColorToCss(style.backColor)}`);
+  }
+
+  return shadows.length > 0 ? shadows.join(', ') : 'none';
+}
+
+function segmentStyle(segment, { scale, scaleX, borderScale, elapsed }) {
+  const { style, karaoke } = segment;
+  const css = {
+    fontFamily: `"${style.fontName}", ${FALLBACK_FONTS}`,
+    fontSize: `${style.fontSize * scale}px`,
+    fontWeight: style.bold ? 700 : 400,
+    fontStyle: style.italic ? 'italic' : 'normal',
+    textDecoration: [style.underline && 'underline', style.strikeout && 'line-through'].filter(Boolean).join(' ') || 'none',
+    letterSpacing: style.spacing ? `${style.spacing * scaleX}px` : undefined,
+    color: assColorToCss(style.primaryColor),
+    textShadow: textShadow(style, borderScale)
+  };
+
+  if (style.borderStyle === 3) {
+    // Opaque box behind the text, drawn in the outline color
+    css.backgroundColor = assColorToCss(style.outlineColor);
+    css.padding = `0 ${style.outline * borderScale}px`;
+    css.boxDecorationBreak = 'clone';
+    css.WebkitBoxDecorationBreak = 'clone';
+  }
+
+  if (style.scaleX !== 100 || style.scaleY !== 100) {
+    css.display = 'inline-block';
+    css.transform = `scale(${style.scaleX / 100}, ${style.scaleY / 100})`;
+    css.transformOrigin = 'bottom center';
+  }
+
+  if (karaoke && elapsed !== null) {
+    const progress = clamp((elapsed - karaoke.start) / Math.max(0.001, karaoke.duration), 0, 1);
+    const sung = elapsed >= karaoke.start;
+
+    if (karaoke.type === 'kf') {
+      // Sweep from the secondary to the primary color; the outline moves to a text stroke
+      // because shadows would paint over the clipped gradient
+      const percent = `${(progress * 100).toFixed(1)}%`;
+      css.backgroundImage = `linear-gradient(to right, ${assColorToCss(style.primaryColor)} ${percent}, ${assColorToCss(style.secondaryColor)} ${percent})`;
+      css.WebkitBackgroundClip = 'text';
+      css.backgroundClip = 'text';
+      css.color = 'transparent';
+      css.textShadow = 'none';
+      css.WebkitTextStroke = style.outline > 0 ? `${style.outline * borderScale}px ${assColorToCss(style.outlineColor)}` : undefined;
+      css.paintOrder = 'stroke fill';
+    } else if (!sung) {
+      css.color = assColorToCss(style.secondaryColor);
+      if (karaoke.type === 'ko') {
+        css.textShadow = textShadow(style, borderScale, { withOutline: false });
+      }
+    }
+  }
+
+  return css;
+}
+
+const renderSegments = (cue, context) => cue.segments.map((segment, index) => (
+  <span key={index} style={segmentStyle(segment, context)}>
+    {segment.text}
+  </span>
+));
+
+const AssSubtitleOverlay = ({ cues = [], info, videoRef = null }) => {
+  const containerRef = useRef(null);
+  const [frame, setFrame] = useState(null);
+  const [time, setTime] = useState(null);
+
+  // Measure the picture area inside the player (object-fit: contain)
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !info) return;
+
+    const video = videoRef?.current;
+    const measure = () => {
+      const { width, height } = container.getBoundingClientRect();
+      if (!width || !height) return;
+
+      const ratio = video?.videoWidth && video?.videoHeight
+        ? video.videoWidth / video.videoHeight
+        : info.playResX / info.playResY;
+      let pictureWidth = width;
+      let pictureHeight = width / ratio;
+      if (pictureHeight > height) {
+        pictureHeight = height;
+        pictureWidth = height * ratio;
+      }
+
+      setFrame({
+        left: (width - pictureWidth) / 2,
+        top: (height - pictureHeight) / 2,
+        width: pictureWidth,
+        height: pictureHeight
+      });
+    };
+
+    measure();
+    video?.addEventListener('loadedmetadata', measure);
+
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => {
+        window.removeEventListener('resize', measure);
+        video?.removeEventListener('loadedmetadata', measure);
+      };
+    }
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => {
+      observer.disconnect();
+      video?.removeEventListener('loadedmetadata', measure);
+    };
+  }, [info, videoRef]);
+
+  // Follow the video clock only while a visible cue is animated
+  const animated = cues.some(cue => cue.fade || cue.move || cue.segments.some(segment => segment.karaoke));
+  useEffect(() => {
+    if (!animated || !videoRef?.current) {
+      setTime(null);
+      return;
+    }
+
+    let frameId;
+    const tick = () => {
+      if (videoRef.current) {
+        setTime(videoRef.current.currentTime);
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    tick();
+
+    return () => cancelAnimationFrame(frameId);
+  }, [animated, videoRef]);
+
+  if (!info) return null;
+
+  const scale = frame ? frame.height / info.playResY : 0;
+  const scaleX = frame ? frame.width / info.playResX : 0;
+  // Without ScaledBorderAndShadow, borders and shadows are in video pixels
+  const videoHeight = videoRef?.current?.videoHeight;
+  const borderScale = info.scaledBorderAndShadow || !frame || !videoHeight ? scale : frame.height / videoHeight;
+
+  const positioned = [];
+  const regions = new Map();
+  cues.forEach(cue => {
+    if (cue.position || cue.move) {
+      positioned.push(cue);
+      return;
+    }
+    if (!regions.has(cue.alignment)) regions.set(cue.alignment, []);
+    regions.get(cue.alignment).push(cue);
+  });
+
+  const cueContext = (cue) => {
+    const elapsed = time === null ? null : time - cue.start;
+    return {
+      scale,
+      scaleX,
+      borderScale,
+      elapsed,
+      opacity: elapsed === null ? 1 : fadeOpacity(cue.fade, elapsed * 1000)
+    };
+  };
+
+  const cueTextStyle = (cue, context) => ({
+    opacity: context.opacity,
+    whiteSpace: cue.wrapStyle === 2 ? 'pre' : 'pre-wrap',
+    transform: cue.angle ? `rotate(${-cue.angle}deg)` : undefined
+  });
+
+  return (
+    <div ref={containerRef} className={styles.assSubtitleOverlay} aria-hidden="true">
+      {frame && (
+        <div
+          className={styles.assSubtitleFrame}
+          style={{ left: frame.left, top: frame.top, width: frame.width, height: frame.height }}
+        >
+          {[...regions.entries()].map(([alignment, regionCues]) => {
+            const { horizontal, vertical } = alignmentParts(alignment);
+            const marginV = Math.max(...regionCues.map(cue => cue.margins.vertical)) * scale;
+
+            return (
+              <div
+                key={`region-${alignment}`}
+                className={styles.assSubtitleRegion}
+                style={{
+                  // Earlier cues sit closest to the edge they're aligned to
+                  flexDirection: vertical === 'bottom' ? 'column-reverse' : 'column',
+                  justifyContent: vertical === 'middle' ? 'center' : 'flex-start',
+                  alignItems: { left: 'flex-start', center: 'center', right: 'flex-end' }[horizontal],
+                  paddingTop: vertical === 'top' ? marginV : 0,
+                  paddingBottom: vertical === 'bottom' ? marginV : 0
+                }}
+              >
+                {regionCues.map(cue => {
+                  const context = cueContext(cue);
+                  return (
+                    <div
+                      key={cue.id}
+                      className={styles.assSubtitleCue}
+                      style={{
+                        ...cueTextStyle(cue, context),
+                        textAlign: horizontal,
+                        marginLeft: cue.margins.left * scaleX,
+                        marginRight: cue.margins.right * scaleX
+                      }}
+                    >
+                      {renderSegments(cue, context)}
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+
+          {positioned.map(cue => {
+            const context = cueContext(cue);
+            const point = cue.move && context.elapsed !== null
+              ? movePosition(cue.move, context.elapsed * 1000)
+              : cue.position;
+            const { horizontal, vertical } = alignmentParts(cue.alignment);
+            const rotation = cue.angle ? ` rotate(${-cue.angle}deg)` : '';
+
+            return (
+              <div
+                key={cue.id}
+                className={`${styles.assSubtitleCue} ${styles.assSubtitlePositioned}`}
+                style={{
+                  ...cueTextStyle(cue, context),
+                  // Signs are placed by their anchor point and don't wrap
+                  whiteSpace: 'pre',
+                  left: point.x * scaleX,
+                  top: point.y * scale,
+                  textAlign: horizontal,
+                  transform: `translate(${ANCHOR_OFFSETS.horizontal[horizontal]}, ${ANCHOR_OFFSETS.vertical[vertical]})${rotation}`
+                }}
+              >
+                {renderSegments(cue, context)}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssSubtitleOverlay;
@@ -0,0 +1,92 @@
+import React, { useCallback } from 'react';
+import { getDualCueText } from '../../../utils/dualSubtitles';
+import styles from '../FuturisticMediaPlayer.module.css';
+
+/**
+ * DualSubtitles - Shows a line in two languages at once
+ *
+ * Lines are paired by alignDualCues. "stacked" puts both languages together
+ * at the bottom, the second under the first; "split" moves the second language
+ * to the top of the picture. Each language has its own size and color, and
+ * clicking a line pauses (or resumes) playback so it can be read.
+ */
+
+const FONT_SIZES = {
+  small: 'clamp(14px, 2.2vh, 24px)',
+  medium: 'clamp(18px, 3vh, 32px)',
+  large: 'clamp(22px, 3.8vh, 40px)'
+};
+
+// Markup left by the VTT parser; the text itself is shown plain
+const toPlainLines = (text) => text
+  .replace(/<[^>]*>/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean);
+
+const DualSubtitleLine = ({ lines, trackStyle, onClick, title }) => (
+  <div
+    className={`${styles.subtitleText} ${styles.dualSubtitleLine}`}
+    style={{
+      fontSize: FONT_SIZES[trackStyle.fontSize] || FONT_SIZES.medium,
+      color: trackStyle.color
+    }}
+    onClick={onClick}
+    title={title}
+  >
+    {lines.map((line, index) => (
+      <div key={`${line}-${index}`}>{line}</div>
+    ))}
+  </div>
+);
+
+const DualSubtitles = ({ cue, settings, videoRef }) => {
+  const handleClick = useCallback((e) => {
+    e.stopPropagation();
+    const video = videoRef?.current;
+    if (!settings.pauseOnClick || !video) return;
+
+    if (video.paused) {
+      video.play().catch(() => {});
+    } else {
+      video.pause();
+    }
+  }, [settings.pauseOnClick, videoRef]);
+
+  if (!cue) return null;
+
+  const primaryLines = toPlainLines(getDualCueText(cue, 'primary'));
+  const secondaryLines = toPlainLines(getDualCueText(cue, 'secondary'));
+  if (primaryLines.length === 0 && secondaryLines.length === 0) return null;
+
+  const title = settings.pauseOnClick ? 'Click to pause or resume' : undefined;
+  const primary = primaryLines.length > 0 && (
+    <DualSubtitleLine lines={primaryLines} trackStyle={settings.primary} onClick={handleClick} title={title} />
+  );
+  const secondary = secondaryLines.length > 0 && (
+    <DualSubtitleLine lines={secondaryLines} trackStyle={settings.secondary} onClick={handleClick} title={title} />
+  );
+
+  if (settings.layout === 'split') {
+    return (
+      <>
+        {secondary && <div className={`${styles.dualSubtitles} ${styles.dualSubtitlesTop}`}>{secondary}</div>}
+        {primary && <div className={styles.dualSubtitles}>{primary}</div>}
+      </>
+    );
+  }
+
+  return (
+    <div className={styles.dualSubtitles}>
+      {primary}
+      {secondary}
+    </div>
+  );
+};
+
+export default DualSubtitles;
@@ -3,6 +3,8 @@
 import React, { useState, useRef, useEffect, useCallback, useMemo, memo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import styles from '../FuturisticMediaPlayer.module.css';
+import { LOCAL_SUBTITLE_ACCEPT } from '../../../utils/localSubtitleFile';
+import { DUAL_SUBTITLE_COLORS, DUAL_SUBTITLE_LAYOUTS, DUAL_SUBTITLE_SIZES } from '../../../utils/dualSubtitles';
 
 /**
  * EnhancedMediaControls - Optimized and Refactored Media Controls
@@ -39,7 +41,13 @@ const EnhancedMediaControls = memo(({
   progressData = null,
   onMarkCompleted = null,
   onClearProgress = null,
-  onSaveProgress = null
+  onSaveProgress = null,
+  // Subtitle timing: { status, correction, onAutoSync, onCancelAutoSync, onSyncCue, getCandidates, onReset }
+  subtitleSync = null,
+  // Loads a subtitle file picked from disk
+  onLoadSubtitleFile = null,
+  // Second language: { secondary, onSelectSecondary, settings, onUpdateSettings }
+  dualSubtitles = null
 }) => {
   // Local UI state
   const [isDraggingVolume, setIsDraggingVolume] = useState(false);
@@ -49,12 +57,14 @@ const EnhancedMediaControls = memo(({
   const [showSubtitleMenu, setShowSubtitleMenu] = useState(false);
   const [showSpeedMenu, setShowSpeedMenu] = useState(false);
   const [showProgressMenu, setShowProgressMenu] = useState(false); // NEW: Progress menu state
+  const [syncPicker, setSyncPicker] = useState(null); // Lines offered for "This line is now"
   const [timelineHover, setTimelineHover] = useState({ show: false, x: 0, time: 0 });
   
   // Refs for DOM elements
   const timelineRef = useRef(null);
   const volumeSliderRef = useRef(null);
   const settingsMenuRef = useRef(null);
+  const subtitleFileInputRef = useRef(null);
   const lastSeekTimeRef = useRef(0);
   const rafIdRef = useRef(null);
   
@@ -268,6 +278,7 @@ const EnhancedMediaControls = memo(({
         setShowSubtitleMenu(false);
         setShowSpeedMenu(false);
         setShowProgressMenu(false); // NEW: Close progress menu
+        setSyncPicker(null);
       }
     };
     
@@ -321,6 +332,45 @@ const EnhancedMediaControls = memo(({
     return subtitle.languageName || subtitle.language || subtitle.label || 'Unknown';
   }, []);
   
+  // Hand a picked subtitle file to the player
+  const handleSubtitleFileChange = useCallback((e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file && onLoadSubtitleFile) {
+      setShowSubtitleMenu(false);
+      onLoadSubtitleFile(file);
+    }
+  }, [onLoadSubtitleFile]);
+
+  // Subtitle timing summary shown under the sync actions
+  const getSyncStatusText = useCallback(() => {
+    if (!subtitleSync) return null;
+
+    const { status, correction } = subtitleSync;
+    if (status?.state === 'unsure' || status?.state === 'error') {
+      return status.message;
+    }
+    if (!correction || (correction.offset === 0 && correction.scale === 1)) {
+      return null;
+    }
+
+    const offset = `${correction.offset >= 0 ? '+' : ''}${correction.offset.toFixed(2)}s`;
+    const speed = correction.scale !== 1 ? ` \u00b7 ${(correction.scale * 100).toFixed(2)}% speed` : '';
+    return `Timing ${offset}${speed}`;
+  }, [subtitleSync]);
+
+  // Remember when the line was heard, not when it was picked from the list
+  const toggleSyncPicker = useCallback(() => {
+    if (syncPicker || !subtitleSync) {
+      setSyncPicker(null);
+      return;
+    }
+    setSyncPicker({
+      time: videoRef?.current?.currentTime ?? 0,
+      cues: subtitleSync.getCandidates()
+    });
+  }, [syncPicker, subtitleSync, videoRef]);
+
   // PiP handler
   const handlePiP = useCallback(async () => {
     if (!videoRef?.current) return;
@@ -680,6 +730,17 @@ const EnhancedMediaControls = memo(({
             >
               💬 {getSubtitleLabel(activeSubtitle)}
             </motion.button>
+
+            {onLoadSubtitleFile && (
+              <input
+                ref={subtitleFileInputRef}
+                type="file"
+                accept={LOCAL_SUBTITLE_ACCEPT}
+                onChange={handleSubtitleFileChange}
+                style={{ display: 'none' }}
+                aria-hidden="true"
+              />
+            )}
             
             <AnimatePresence>
               {showSubtitleMenu && (
@@ -723,6 +784,170 @@ const EnhancedMediaControls = memo(({
                       )}
                     </motion.button>
                   ))}
+
+                  {onLoadSubtitleFile && (
+                    <motion.button
+                      whileHover={{ x: 5 }}
+                      onClick={() => subtitleFileInputRef.current?.click()}
+                      className={styles.dropdownItem}
+                      title="SRT, VTT or ASS, also zipped - or drop the file on the player"
+                    >
+                      📂 Load from file...
+                    </motion.button>
+                  )}
+
+                  {/* Second language shown with the first, for language learners */}
+                  {activeSubtitle && dualSubtitles && subtitles.length > 1 && (
+                    <>
+                      <div className={styles.dropdownDivider} />
+                      <div className={styles.syncStatus}>Second language</div>
+
+                      <motion.button
+                        whileHover={{ x: 5 }}
+                        onClick={() => dualSubtitles.onSelectSecondary(null)}
+                        className={`${styles.dropdownItem} ${!dualSubtitles.secondary ? styles.active : ''}`}
+                      >
+                        Off
+                      </motion.button>
+
+                      {subtitles
+                        .filter(subtitle => subtitle.langcode !== activeSubtitle.langcode)
+                        .map((subtitle, index) => (
+                          <motion.button
+                            key={`secondary-${subtitle.langcode || subtitle.id || index}`}
+                            whileHover={{ x: 5 }}
+                            onClick={() => dualSubtitles.onSelectSecondary(subtitle)}
+                            className={`${styles.dropdownItem} ${
+                              dualSubtitles.secondary?.langcode === subtitle.langcode ? styles.active : ''
+                            }`}
+                          >
+                            {getSubtitleLabel(subtitle)}
+                          </motion.button>
+                        ))}
+
+                      {dualSubtitles.secondary && (
+                        <>
+                          <div className={styles.dualOptionRow}>
+                            {DUAL_SUBTITLE_LAYOUTS.map(layout => (
+                              <button
+                                key={layout.id}
+                                onClick={() => dualSubtitles.onUpdateSettings({ layout: layout.id })}
+                                className={`${styles.dualOption} ${
+                                  dualSubtitles.settings.layout === layout.id ? styles.active : ''
+                                }`}
+                              >
+                                {layout.label}
+                              </button>
+                            ))}
+                          </div>
+
+                          {['primary', 'secondary'].map(track => (
+                            <div key={track} className={styles.dualOptionRow}>
+                              <span className={styles.dualOptionLabel}>
+                                {track === 'primary' ? '1st' : '2nd'}
+                              </span>
+                              {DUAL_SUBTITLE_SIZES.map(size => (
+                                <button
+                                  key={size}
+                                  onClick={() => dualSubtitles.onUpdateSettings({ [track]: { fontSize: size } })}
+                                  className={`${styles.dualOption} ${
+                                    dualSubtitles.settings[track].fontSize === size ? styles.active : ''
+                                  }`}
+                                  aria-label={`${track === 'primary' ? 'First' : 'Second'} language ${size} text`}
+                                >
+                                  {size.charAt(0).toUpperCase()}
+                                </button>
+                              ))}
+                              {DUAL_SUBTITLE_COLORS.map(color => (
+                                <button
+                                  key={color}
+                                  onClick={() => dualSubtitles.onUpdateSettings({ [track]: { color } })}
+                                  className={`${styles.dualColor} ${
+                                    dualSubtitles.settings[track].color === color ? styles.active : ''
+                                  }`}
+                                  style={{ background: color }}
+                                  aria-label={`${track === 'primary' ? 'First' : 'Second'} language color ${color}`}
+                                />
+                              ))}
+                            </div>
+                          ))}
+
+                          <motion.button
+                            whileHover={{ x: 5 }}
+                            onClick={() => dualSubtitles.onUpdateSettings({ pauseOnClick: !dualSubtitles.settings.pauseOnClick })}
+                            className={`${styles.dropdownItem} ${dualSubtitles.settings.pauseOnClick ? styles.active : ''}`}
+                          >
+                            Click a line to pause
+                          </motion.button>
+                        </>
+                      )}
+                    </>
+                  )}
+
+                  {/* Timing correction for subtitles from another release */}
+                  {activeSubtitle && subtitleSync && (
+                    <>
+                      <div className={styles.dropdownDivider} />
+
+                      {subtitleSync.status?.state === 'listening' ? (
+                        <motion.button
+                          whileHover={{ x: 5 }}
+                          onClick={subtitleSync.onCancelAutoSync}
+                          className={`${styles.dropdownItem} ${styles.active}`}
+                        >
+                          🎧 Listening {Math.round((subtitleSync.status.progress || 0) * 100)}% - Cancel
+                        </motion.button>
+                      ) : (
+                        <motion.button
+                          whileHover={{ x: 5 }}
+                          onClick={subtitleSync.onAutoSync}
+                          className={styles.dropdownItem}
+                          title="Keep playing while dialogue is matched to the subtitles"
+                        >
+                          🎧 Auto-sync to audio
+                        </motion.button>
+                      )}
+
+                      <motion.button
+                        whileHover={{ x: 5 }}
+                        onClick={toggleSyncPicker}
+                        className={`${styles.dropdownItem} ${syncPicker ? styles.active : ''}`}
+                      >
+                        🎯 This line is now
+                      </motion.button>
+
+                      {syncPicker && (syncPicker.cues.length > 0 ? syncPicker.cues.map(cue => (
+                        <motion.button
+                          key={cue.id}
+                          whileHover={{ x: 5 }}
+                          onClick={() => {
+                            subtitleSync.onSyncCue(cue, syncPicker.time);
+                            setSyncPicker(null);
+                          }}
+                          className={`${styles.dropdownItem} ${styles.syncCandidate}`}
+                          title={cue.text}
+                        >
+                          {cue.text}
+                        </motion.button>
+                      )) : (
+                        <div className={styles.syncStatus}>No lines near this point</div>
+                      ))}
+
+                      {getSyncStatusText() && (
+                        <div className={styles.syncStatus}>{getSyncStatusText()}</div>
+                      )}
+
+                      {(subtitleSync.correction?.offset !== 0 || subtitleSync.correction?.scale !== 1) && (
+                        <motion.button
+                          whileHover={{ x: 5 }}
+                          onClick={subtitleSync.onReset}
+                          className={styles.dropdownItem}
+                        >
+                          ↺ Reset timing
+                        </motion.button>
+                      )}
+                    </>
+                  )}
                 </motion.div>
               )}
             </AnimatePresence>
@@ -1,7 +1,11 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import AssSubtitleOverlay from './AssSubtitleOverlay';
 import styles from '../FuturisticMediaPlayer.module.css';
 
+// Shared so the default doesn't change identity on every render
+const DEFAULT_POSITION = { x: 50, y: 85, align: 'center' };
+
 /**
  * IntelligentSubtitles - Advanced subtitle component with AI-powered positioning
  * 
@@ -13,10 +17,14 @@ import styles from '../FuturisticMediaPlayer.module.css';
  * - Accessibility features including high contrast mode
  * - Performance-optimized rendering
  * - Animation and transition effects
+ * - Styled ASS/SSA cues (fonts, colors, outline, alignment, positioning),
+ *   with plain text for cues using override tags the overlay can't draw
  */
 const IntelligentSubtitles = ({
   text = '',
-  position = { x: 50, y: 85, align: 'center' },
+  styledCues = null,
+  assInfo = null,
+  position = DEFAULT_POSITION,
   contentAwareness = null,
   style = {
     fontSize: 'medium',
@@ -43,6 +51,16 @@ const IntelligentSubtitles = ({
   const canvasRef = useRef(null);
   const previousTextRef = useRef('');
 
+  // Styled cues replace `text` when given; fallback cues are shown as plain text
+  const styled = Array.isArray(styledCues) && !!assInfo;
+  const overlayCues = useMemo(
+    () => (styled ? styledCues.filter(cue => !cue.fallback) : []),
+    [styled, styledCues]
+  );
+  const subtitleText = styled
+    ? styledCues.filter(cue => cue.fallback && cue.text).map(cue => cue.text).join('\n')
+    : text;
+
   // Font configuration for different languages
   const languageFonts = {
     'en': 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
@@ -89,10 +107,10 @@ const IntelligentSubtitles = ({
 
   // Smart text processing with language-aware line breaking
   const processText = useMemo(() => {
-    if (!text) return { lines: [], words: [] };
+    if (!subtitleText) return { lines: [], words: [] };
     
     // Clean HTML tags and decode entities
-    const cleanText = text
+    const cleanText = subtitleText
       .replace(/<[^>]*>/g, '') // Remove HTML tags
       .replace(/&amp;/g, '&')
       .replace(/&lt;/g, '<')
@@ -131,7 +149,7 @@ const IntelligentSubtitles = ({
     });
     
     return { lines: lines.length > 0 ? lines : [cleanText], words };
-  }, [text, language]);
+  }, [subtitleText, language]);
 
   // Content-aware positioning algorithm
   useEffect(() => {
@@ -229,30 +247,30 @@ const IntelligentSubtitles = ({
 
   // Update display text with smooth transitions
   useEffect(() => {
-    if (text === previousTextRef.current) return;
+    if (subtitleText === previousTextRef.current) return;
     
-    previousTextRef.current = text;
+    previousTextRef.current = subtitleText;
     
-    if (!text) {
+    if (!subtitleText) {
       setIsVisible(false);
       setTimeout(() => setDisplayText(''), 200);
       return;
     }
     
-    if (animations && displayText && text !== displayText) {
+    if (animations && displayText && subtitleText !== displayText) {
       // Fade out old text
       setIsVisible(false);
       setTimeout(() => {
-        setDisplayText(text);
+        setDisplayText(subtitleText);
         setTextLines(processText.lines);
         setIsVisible(true);
       }, 150);
     } else {
-      setDisplayText(text);
+      setDisplayText(subtitleText);
       setTextLines(processText.lines);
       setIsVisible(true);
     }
-  }, [text, animations, displayText, processText.lines]);
+  }, [subtitleText, animations, displayText, processText.lines]);
 
   // Dynamic styling based on background analysis
   const getDynamicStyles = useMemo(() => {
@@ -356,10 +374,14 @@ const IntelligentSubtitles = ({
     }
   };
 
-  if (!displayText) return null;
+  if (!displayText && overlayCues.length === 0) return null;
 
   return (
     <>
+      {overlayCues.length > 0 && (
+        <AssSubtitleOverlay cues={overlayCues} info={assInfo} videoRef={videoRef} />
+      )}
+
       {/* Hidden canvas for content analysis */}
       <canvas
         ref={canvasRef}
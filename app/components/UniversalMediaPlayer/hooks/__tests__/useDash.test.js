@@ -0,0 +1,98 @@
+/**
+ * useDash Tests
+ * Tests attaching dash.js, recovery from errors until it gives up, and that
+ * a player is never created after the stream changed during loading
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import { useDash } from '../useDash';
+
+jest.mock('../../../../utils/logging/DashLogger.js', () => ({
+  createDashLogger: () => new Proxy({}, { get: () => jest.fn() })
+}));
+
+const EVENTS = {
+  STREAM_INITIALIZED: 'streamInitialized',
+  QUALITY_CHANGE_RENDERED: 'qualityChangeRendered',
+  FRAGMENT_LOADING_COMPLETED: 'fragmentLoadingCompleted',
+  BUFFER_EMPTY: 'bufferStalled',
+  ERROR: 'error'
+};
+
+const STREAM_URL = '/api/stream-proxy?url=https%3A%2F%2Fcdn.example.com%2Fmanifest.mpd';
+
+function createDashPlayer() {
+  const handlers = {};
+  return {
+    handlers,
+    updateSettings: jest.fn(),
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    initialize: jest.fn(),
+    attachSource: jest.fn(),
+    reset: jest.fn(),
+    setQualityFor: jest.fn(),
+    getBitrateInfoListFor: jest.fn(() => [
+      { qualityIndex: 0, height: 480, bitrate: 1000000 },
+      { qualityIndex: 1, height: 1080, bitrate: 5000000 }
+    ])
+  };
+}
+
+describe('useDash', () => {
+  let player;
+  let videoRef;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    player = createDashPlayer();
+    window.dashjs = { MediaPlayer: Object.assign(() => ({ create: () => player }), { events: EVENTS }) };
+    videoRef = { current: document.createElement('video') };
+  });
+
+  afterEach(() => {
+    delete window.dashjs;
+    console.error.mockRestore();
+  });
+
+  test('should attach the stream and report when the manifest is parsed', async () => {
+    const onReady = jest.fn();
+    const { result } = renderHook(() => useDash(STREAM_URL, videoRef, 'dash', null, { onReady }));
+
+    await act(async () => {});
+    expect(player.initialize).toHaveBeenCalledWith(videoRef.current, STREAM_URL, false);
+
+    act(() => player.handlers[EVENTS.STREAM_INITIALIZED]());
+    expect(onReady).toHaveBeenCalledTimes(1);
+    expect(result.current.qualities.map(quality => quality.label)).toEqual(['1080p', '480p']);
+  });
+
+  test('should retry network errors and report a fatal error when it gives up', async () => {
+    jest.useFakeTimers();
+    const onFatalError = jest.fn();
+    renderHook(() => useDash(STREAM_URL, videoRef, 'dash', null, { onFatalError }));
+    await act(async () => {});
+
+    const networkError = { error: { code: 10, message: 'manifest failed' } };
+    for (let attempt = 0; attempt < 3; attempt++) {
+      act(() => player.handlers[EVENTS.ERROR](networkError));
+      act(() => jest.advanceTimersByTime(2000));
+    }
+    expect(player.attachSource).toHaveBeenCalledTimes(3);
+    expect(onFatalError).not.toHaveBeenCalled();
+
+    act(() => player.handlers[EVENTS.ERROR](networkError));
+    expect(onFatalError).toHaveBeenCalledWith(networkError.error);
+    jest.useRealTimers();
+  });
+
+  test('should not create a player when unmounted while dash.js loads', async () => {
+    const create = jest.fn(() => player);
+    window.dashjs.MediaPlayer = Object.assign(() => ({ create }), { events: EVENTS });
+
+    const { unmount } = renderHook(() => useDash(STREAM_URL, videoRef, 'dash', null));
+    unmount();
+    await act(async () => {});
+
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * useIntroMarkers Tests
+ * Tests that episode audio is only tapped once intro detection is turned on
+ * in Settings, whichever player asks for markers
+ */
+
+import { renderHook } from '@testing-library/react';
+import useIntroMarkers from '../useIntroMarkers';
+import { createFingerprintMonitor } from '../../../../utils/introMarkers';
+import { setIntroDetectionEnabled } from '../../utils/introMarkerStorage';
+
+jest.mock('../../../../utils/introMarkers', () => ({
+  ...jest.requireActual('../../../../utils/introMarkers'),
+  createFingerprintMonitor: jest.fn()
+}));
+
+const EPISODE = {
+  mediaType: 'tv',
+  movieId: 1396,
+  seasonId: 1,
+  episodeId: 2,
+  currentTime: 0,
+  duration: 2820,
+  isPlaying: true
+};
+
+describe('useIntroMarkers', () => {
+  let videoRef;
+
+  beforeEach(() => {
+    localStorage.clear();
+    videoRef = { current: document.createElement('video') };
+    createFingerprintMonitor.mockReset();
+    createFingerprintMonitor.mockImplementation(() => ({
+      reset: jest.fn(),
+      start: jest.fn(),
+      stop: jest.fn(),
+      destroy: jest.fn(),
+      isSilent: () => true,
+      getHeardCells: () => 0
+    }));
+  });
+
+  test('should not listen to episodes until detection is turned on', () => {
+    const { result, unmount } = renderHook(() => useIntroMarkers({ ...EPISODE, videoRef, enabled: true }));
+
+    expect(result.current.enabled).toBe(false);
+    expect(createFingerprintMonitor).not.toHaveBeenCalled();
+    unmount();
+
+    setIntroDetectionEnabled(true);
+    const enabledHook = renderHook(() => useIntroMarkers({ ...EPISODE, videoRef, enabled: true }));
+
+    expect(enabledHook.result.current.enabled).toBe(true);
+    expect(createFingerprintMonitor).toHaveBeenCalledWith(videoRef.current);
+    enabledHook.unmount();
+  });
+
+  test('should stay off when the player turns it off', () => {
+    setIntroDetectionEnabled(true);
+    renderHook(() => useIntroMarkers({ ...EPISODE, videoRef, enabled: false })).unmount();
+
+    expect(createFingerprintMonitor).not.toHaveBeenCalled();
+  });
+});
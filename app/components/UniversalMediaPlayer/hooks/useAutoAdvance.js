@@ -1,4 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import useIntroMarkers from './useIntroMarkers';
+import { MARKER_TYPES } from '../../../utils/introMarkers';
 
 /**
  * useAutoAdvance - Manages automatic episode advancement for TV shows
@@ -8,12 +10,17 @@ import { useState, useEffect, useCallback, useRef } from 'react';
  * - User preference learning and adaptation
  * - Customizable countdown timing and behavior
  * - AI-powered prediction of user intent
- * - Skip intro/outro detection
+ * - Skip intro/credits using markers detected per season (see useIntroMarkers)
  */
 const useAutoAdvance = ({
   mediaType,
+  movieId,
+  seasonId = null,
+  episodeId = null,
+  videoRef = null,
   currentTime,
   duration,
+  isPlaying = true,
   hasNextEpisode,
   getNextEpisode,
   onNextEpisode,
@@ -25,8 +32,6 @@ const useAutoAdvance = ({
   const config = {
     promptTime: 30, // Show prompt 30 seconds before end
     countdownDuration: 10, // 10 second countdown
-    skipIntroTime: 90, // Skip intro after 90 seconds
-    skipOutroTime: 30, // Skip outro in last 30 seconds
     autoAdvanceEnabled: true,
     showSkipIntro: true,
     showSkipOutro: true,
@@ -37,8 +42,6 @@ const useAutoAdvance = ({
   const [showNextEpisodePrompt, setShowNextEpisodePrompt] = useState(false);
   const [countdown, setCountdown] = useState(config.countdownDuration);
   const [nextEpisodeInfo, setNextEpisodeInfo] = useState(null);
-  const [showSkipIntro, setShowSkipIntro] = useState(false);
-  const [showSkipOutro, setShowSkipOutro] = useState(false);
   const [userEngagement, setUserEngagement] = useState({
     episodeCompletions: 0,
     autoAdvanceAccepted: 0,
@@ -47,6 +50,21 @@ const useAutoAdvance = ({
     skipOutroUsed: 0
   });
 
+  // Intro and credits ranges of the current episode
+  const introMarkers = useIntroMarkers({
+    videoRef,
+    mediaType,
+    movieId,
+    seasonId,
+    episodeId,
+    currentTime,
+    duration,
+    isPlaying,
+    enabled
+  });
+  const showSkipIntro = config.showSkipIntro && introMarkers.activeMarker === MARKER_TYPES.INTRO;
+  const showSkipOutro = config.showSkipOutro && introMarkers.activeMarker === MARKER_TYPES.CREDITS;
+
   // Refs for cleanup
   const countdownTimerRef = useRef(null);
   const promptTimerRef = useRef(null);
@@ -150,11 +168,8 @@ const useAutoAdvance = ({
       skipIntroUsed: prev.skipIntroUsed + 1
     }));
 
-    setShowSkipIntro(false);
-    // In a real implementation, this would seek to after the intro
-    // For now, we'll just simulate skipping 90 seconds
-    console.log('Skipping intro to time:', config.skipIntroTime);
-  }, [config.skipIntroTime]);
+    introMarkers.skipMarker(MARKER_TYPES.INTRO);
+  }, [introMarkers.skipMarker]);
 
   // Handle skip outro
   const handleSkipOutro = useCallback(() => {
@@ -163,18 +178,17 @@ const useAutoAdvance = ({
       skipOutroUsed: prev.skipOutroUsed + 1
     }));
 
-    setShowSkipOutro(false);
-    // Auto-advance to next episode
+    // Auto-advance to next episode, or jump past the credits of the last one
     if (hasNextEpisode) {
       handleNextEpisode();
+    } else {
+      introMarkers.skipMarker(MARKER_TYPES.CREDITS);
     }
-  }, [hasNextEpisode, handleNextEpisode]);
+  }, [hasNextEpisode, handleNextEpisode, introMarkers.skipMarker]);
 
   // Reset for new episode
   const resetForNewEpisode = useCallback(() => {
     setShowNextEpisodePrompt(false);
-    setShowSkipIntro(false);
-    setShowSkipOutro(false);
     setCountdown(config.countdownDuration);
     
     // Clear all timers
@@ -184,18 +198,7 @@ const useAutoAdvance = ({
         clearTimeout(ref.current);
       }
     });
-
-    // Set up skip intro for new episode
-    if (config.showSkipIntro && mediaType === 'tv') {
-      setTimeout(() => {
-        setShowSkipIntro(true);
-      }, 5000); // Show skip intro after 5 seconds
-
-      setTimeout(() => {
-        setShowSkipIntro(false);
-      }, config.skipIntroTime * 1000); // Hide after intro time
-    }
-  }, [config.countdownDuration, config.showSkipIntro, config.skipIntroTime, mediaType]);
+  }, [config.countdownDuration]);
 
   // Main effect for managing auto-advance logic
   useEffect(() => {
@@ -205,7 +208,6 @@ const useAutoAdvance = ({
 
     const timeRemaining = duration - currentTime;
     const shouldShowPrompt = timeRemaining <= config.promptTime && timeRemaining > 0;
-    const shouldShowSkipOutro = timeRemaining <= config.skipOutroTime && timeRemaining > 0;
 
     // Show next episode prompt
     if (shouldShowPrompt && hasNextEpisode && !showNextEpisodePrompt) {
@@ -217,11 +219,6 @@ const useAutoAdvance = ({
       }
     }
 
-    // Show skip outro
-    if (shouldShowSkipOutro && hasNextEpisode && !showSkipOutro && config.showSkipOutro) {
-      setShowSkipOutro(true);
-    }
-
     // Hide prompt if time has passed
     if (timeRemaining > config.promptTime && showNextEpisodePrompt) {
       setShowNextEpisodePrompt(false);
@@ -237,10 +234,7 @@ const useAutoAdvance = ({
     duration,
     hasNextEpisode,
     showNextEpisodePrompt,
-    showSkipOutro,
     config.promptTime,
-    config.skipOutroTime,
-    config.showSkipOutro,
     fetchNextEpisodeInfo,
     startCountdown
   ]);
@@ -285,6 +279,7 @@ const useAutoAdvance = ({
     showSkipIntro,
     showSkipOutro,
     userEngagement,
+    introMarkers: introMarkers.markers,
 
     // Actions
     handleNextEpisode,
@@ -292,6 +287,9 @@ const useAutoAdvance = ({
     handleSkipIntro,
     handleSkipOutro,
     resetForNewEpisode,
+    setMarkerBoundary: introMarkers.setMarkerBoundary,
+    clearMarker: introMarkers.clearMarker,
+    resetMarker: introMarkers.resetMarker,
 
     // Configuration
     updateConfig,
@@ -0,0 +1,333 @@
+import { useState, useEffect, useRef } from 'react';
+import { createDashLogger } from '../../../utils/logging/DashLogger.js';
+
+const DASHJS_CDN_URL = 'https://cdn.jsdelivr.net/npm/dashjs@4.7.4/dist/dash.all.min.js';
+
+// dash.js error codes for manifest/segment download failures; anything else
+// is treated as a media pipeline error
+export const DASH_NETWORK_ERROR_CODES = [10, 11, 25, 26, 27, 28];
+
+const MAX_RECOVERY_ATTEMPTS = 3;
+
+// Dynamically load the dash.js script
+export const loadDashJs = () => {
+  if (typeof window !== 'undefined' && !window.dashjs) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = DASHJS_CDN_URL;
+      script.async = true;
+      script.onload = () => resolve(window.dashjs);
+      script.onerror = reject;
+      document.head.appendChild(script);
+    });
+  }
+  return Promise.resolve(window.dashjs);
+};
+
+/**
+ * Whether a stream URL (direct or wrapped in /api/stream-proxy?url=) is an MPD
+ */
+export const isDashStreamUrl = (url) => {
+  if (!url) return false;
+  let target = url;
+  try {
+    if (url.includes('/api/stream-proxy')) {
+      target = decodeURIComponent(url.split('url=')[1]?.split('&')[0] || url);
+    }
+  } catch (error) {
+    target = url;
+  }
+  return /\.mpd(\?|$)/i.test(target);
+};
+
+/**
+ * Map dash.js bitrate info to the quality shape used by the HLS path
+ */
+export const mapDashQualities = (bitrateInfoList = []) => {
+  const sorted = [...bitrateInfoList].sort((a, b) => {
+    if (b.height !== a.height) {
+      return b.height - a.height;
+    }
+    return b.bitrate - a.bitrate;
+  });
+
+  return sorted.map((info, sortedIndex) => ({
+    id: info.qualityIndex,
+    height: info.height,
+    bitrate: info.bitrate,
+    label: `${info.height}p`,
+    bandwidth: info.bitrate,
+    sortedIndex
+  }));
+};
+
+// Stable playback settings, matching the patient HLS configuration
+export const DASH_PLAYER_SETTINGS = {
+  streaming: {
+    abr: {
+      autoSwitchBitrate: { video: false, audio: true }
+    },
+    buffer: {
+      stableBufferTime: 30,
+      bufferTimeAtTopQuality: 120,
+      bufferTimeAtTopQualityLongForm: 120,
+      bufferToKeep: 90
+    },
+    retryAttempts: {
+      MPD: 10,
+      MediaSegment: 6,
+      InitializationSegment: 6,
+      IndexSegment: 6
+    },
+    retryIntervals: {
+      MPD: 2000,
+      MediaSegment: 2000,
+      InitializationSegment: 2000,
+      IndexSegment: 2000
+    }
+  }
+};
+
+/**
+ * dash.js playback with the HLS path's error recovery and logging
+ * @param {Object} options - onReady() once the manifest is parsed,
+ * onFatalError(error) when recovery gives up, and manageTextTracks to turn
+ * off native text tracks for players that draw subtitles themselves
+ */
+export const useDash = (streamUrl, videoRef, streamType, activeSubtitle, options = {}) => {
+  const { manageTextTracks = true } = options;
+  const callbacksRef = useRef(options);
+  callbacksRef.current = options;
+
+  const [dash, setDash] = useState(null);
+  const [qualities, setQualities] = useState([]);
+  const [currentQuality, setCurrentQuality] = useState('0');
+  const [segmentErrors, setSegmentErrors] = useState(new Map());
+  const [errorRecoveryState, setErrorRecoveryState] = useState({
+    networkRetries: 0,
+    mediaRetries: 0,
+    fullRestarts: 0,
+    lastErrorTime: 0,
+    consecutiveErrors: 0,
+    qualityDowngrades: 0,
+    lastQualityChange: 0
+  });
+  const [bufferHealth, setBufferHealth] = useState({
+    stalls: 0,
+    lastStallTime: 0,
+    gapJumps: 0,
+    averageSegmentLoadTime: 0,
+    segmentLoadTimes: []
+  });
+
+  // Enhanced logging for DASH events
+  const [dashLogger] = useState(() => createDashLogger(streamUrl));
+
+  useEffect(() => {
+    let dashInstance = null;
+    let recoveryTimer = null;
+    let networkRetries = 0;
+    let mediaRetries = 0;
+    // Set when the stream changes or the player unmounts while dash.js loads
+    let cancelled = false;
+
+    const initializeDash = async () => {
+      try {
+        const dashjs = await loadDashJs();
+        if (cancelled) return;
+        if (!dashjs || !videoRef.current) {
+          console.warn('dash.js is not available or video element is not available.');
+          return;
+        }
+
+        dashInstance = dashjs.MediaPlayer().create();
+        dashInstance.updateSettings(DASH_PLAYER_SETTINGS);
+        dashLogger.logDashInitialization(DASH_PLAYER_SETTINGS, streamUrl);
+
+        const events = dashjs.MediaPlayer.events;
+
+        dashInstance.on(events.STREAM_INITIALIZED, () => {
+          const levels = mapDashQualities(dashInstance.getBitrateInfoListFor('video'));
+          setQualities(levels);
+
+          // DEFAULT TO MIDDLE QUALITY FOR STABILITY, same as the HLS path
+          const middleQualityIndex = Math.floor(levels.length / 2);
+          const defaultQuality = levels[middleQualityIndex] || levels[0];
+
+          if (defaultQuality) {
+            dashInstance.setQualityFor('video', defaultQuality.id);
+            setCurrentQuality(defaultQuality.id.toString());
+          }
+
+          dashLogger.logManifestParsed(levels, defaultQuality);
+          networkRetries = 0;
+          mediaRetries = 0;
+          callbacksRef.current.onReady?.();
+        });
+
+        dashInstance.on(events.QUALITY_CHANGE_RENDERED, (event) => {
+          if (event.mediaType !== 'video') return;
+          const bitrateList = dashInstance.getBitrateInfoListFor('video');
+          const toLevel = mapDashQualities(bitrateList).find(q => q.id === event.newQuality);
+          const fromLevel = mapDashQualities(bitrateList).find(q => q.id === event.oldQuality);
+          dashLogger.logQualitySwitch(fromLevel, toLevel, 'rendered', false);
+        });
+
+        dashInstance.on(events.FRAGMENT_LOADING_COMPLETED, (event) => {
+          const request = event.request;
+          if (!request?.requestStartDate || !request?.requestEndDate) return;
+
+          const loadTime = request.requestEndDate.getTime() - request.requestStartDate.getTime();
+          dashLogger.logFragmentLoaded(request, loadTime);
+
+          setBufferHealth(prev => {
+            const segmentLoadTimes = [...prev.segmentLoadTimes.slice(-19), loadTime];
+            return {
+              ...prev,
+              segmentLoadTimes,
+              averageSegmentLoadTime: segmentLoadTimes.reduce((a, b) => a + b, 0) / segmentLoadTimes.length
+            };
+          });
+        });
+
+        dashInstance.on(events.BUFFER_EMPTY, (event) => {
+          if (event.mediaType !== 'video') return;
+          setBufferHealth(prev => {
+            dashLogger.logBufferStall(videoRef.current?.currentTime, 0, prev.stalls + 1);
+            return { ...prev, stalls: prev.stalls + 1, lastStallTime: Date.now() };
+          });
+        });
+
+        // ERROR HANDLING - mirror the HLS recovery strategy
+        dashInstance.on(events.ERROR, (event) => {
+          const error = event.error || {};
+          const isNetworkError = DASH_NETWORK_ERROR_CODES.includes(error.code);
+
+          dashLogger.logDashError(error.code, error.message, true, {
+            networkError: isNetworkError,
+            url: error.data?.url?.substring(0, 100)
+          });
+
+          setErrorRecoveryState(prev => ({
+            ...prev,
+            lastErrorTime: Date.now(),
+            consecutiveErrors: prev.consecutiveErrors + 1
+          }));
+
+          if (error.data?.request) {
+            setSegmentErrors(prev => {
+              const next = new Map(prev);
+              const key = `${error.data.request.mediaType}_${error.data.request.index}`;
+              next.set(key, (next.get(key) || 0) + 1);
+              dashLogger.logFragmentError(error.data.request, error.message, next.get(key));
+              return next;
+            });
+          }
+
+          const resumeTime = videoRef.current?.currentTime || 0;
+
+          if (isNetworkError && networkRetries < MAX_RECOVERY_ATTEMPTS) {
+            // Network error - reload the manifest after a short pause
+            networkRetries++;
+            dashLogger.logRecoveryAttempt('network', networkRetries, 'reload_source', { resumeTime });
+            setErrorRecoveryState(prev => ({ ...prev, networkRetries }));
+            recoveryTimer = setTimeout(() => {
+              dashInstance?.attachSource(streamUrl, resumeTime);
+            }, 2000);
+            return;
+          }
+
+          if (!isNetworkError && mediaRetries < MAX_RECOVERY_ATTEMPTS) {
+            // Media error - rebuild the media pipeline at the current position
+            mediaRetries++;
+            dashLogger.logRecoveryAttempt('media', mediaRetries, 'reattach_source', { resumeTime });
+            setErrorRecoveryState(prev => ({ ...prev, mediaRetries }));
+            recoveryTimer = setTimeout(() => {
+              dashInstance?.attachSource(streamUrl, resumeTime);
+            }, 1000);
+            return;
+          }
+
+          console.error('Fatal DASH error - manual intervention required');
+          dashLogger.logRecoveryResult(isNetworkError ? 'network' : 'media', false, 'gave_up', 0, {
+            networkRetries,
+            mediaRetries
+          });
+          callbacksRef.current.onFatalError?.(error);
+        });
+
+        dashInstance.initialize(videoRef.current, streamUrl, false);
+        setDash(dashInstance);
+
+      } catch (error) {
+        console.error('Failed to initialize DASH player:', error);
+        dashLogger.error('DASH initialization failed', error);
+        if (!cancelled) {
+          callbacksRef.current.onFatalError?.(error);
+        }
+      }
+    };
+
+    if (streamUrl && streamType === 'dash' && videoRef.current) {
+      initializeDash();
+    }
+
+    return () => {
+      cancelled = true;
+      if (recoveryTimer) {
+        clearTimeout(recoveryTimer);
+      }
+      if (dashInstance && typeof dashInstance.reset === 'function') {
+        dashInstance.reset();
+      }
+      setDash(null);
+    };
+  }, [streamUrl, streamType]); // videoRef is stable
+
+  useEffect(() => {
+    // Subtitles are rendered by the custom overlay only, as on the HLS path
+    if (manageTextTracks && videoRef.current) {
+      const video = videoRef.current;
+      for (let i = 0; i < video.textTracks.length; i++) {
+        video.textTracks[i].mode = 'disabled';
+      }
+    }
+  }, [activeSubtitle, manageTextTracks]);
+
+  const setQuality = (qualityValue) => {
+    if (!dash) {
+      console.warn('DASH instance not available');
+      return;
+    }
+
+    try {
+      const qualityIndex = parseInt(qualityValue);
+      const selectedQuality = qualities.find(q => q.id === qualityIndex);
+
+      if (isNaN(qualityIndex) || !selectedQuality) {
+        console.error('Invalid quality level:', qualityValue);
+        return;
+      }
+
+      const previousQuality = qualities.find(q => q.id === parseInt(currentQuality));
+      dash.setQualityFor('video', qualityIndex, true);
+      setCurrentQuality(qualityIndex.toString());
+      setErrorRecoveryState(prev => ({ ...prev, lastQualityChange: Date.now() }));
+      dashLogger.logQualitySwitch(previousQuality, selectedQuality, 'user_selection', false);
+    } catch (error) {
+      console.error('Error setting quality:', error);
+    }
+  };
+
+  return {
+    qualities,
+    setQuality,
+    currentQuality,
+    dashInstance: dash,
+    errorRecoveryState,
+    bufferHealth,
+    segmentErrors
+  };
+};
+
+export default useDash;
@@ -393,8 +393,8 @@ export const useHls = (streamUrl, videoRef, streamType, activeSubtitle) => {
 
     if (streamUrl && streamType === 'hls' && videoRef.current) {
       initializeHls();
-    } else if (streamUrl && videoRef.current) {
-      // For non-HLS streams, just set the src directly
+    } else if (streamUrl && streamType !== 'dash' && videoRef.current) {
+      // For progressive streams, just set the src directly (DASH is handled by useDash)
       videoRef.current.src = streamUrl;
       // Clear qualities for non-HLS streams
       setQualities([]);
@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { isASSContent, parseASS, parseASSScriptInfo } from '../../../utils/assParser';
 
 /**
  * useIntelligentSubtitles - Advanced subtitle management hook with AI capabilities
@@ -20,10 +21,11 @@ const useIntelligentSubtitles = ({
   cacheSize = 100,
   preloadRadius = 30, // seconds
   defaultLanguage = 'en',
-  translationService = 'browser', // 'browser', 'google', 'custom'
+  translationService = 'server', // 'server' (LibreTranslate via /api/subtitles/translate) or 'browser' (on-device, falls back to server)
   speechLanguage = 'en-US',
   onSubtitleChange = null,
   onTranslationReady = null,
+  onTranslationProgress = null,
   onSearchResult = null
 } = {}) => {
 
@@ -50,7 +52,7 @@ const useIntelligentSubtitles = ({
   const currentTimeRef = useRef(0);
   const subtitleIndexRef = useRef(0);
   const speechRecognitionRef = useRef(null);
-  const translationWorkerRef = useRef(null);
+  const pendingTranslationsRef = useRef(new Map());
   const cacheRef = useRef(new Map());
 
   // Subtitle format parsers
@@ -132,50 +134,19 @@ const useIntelligentSubtitles = ({
       return cues;
     },
 
-    // ASS (Advanced SubStation Alpha) parser - simplified
+    // ASS/SSA parser; each cue keeps its styled model for the ASS overlay
     ass: (content) => {
-      const lines = content.split('\n');
-      const events = [];
-      let eventsSection = false;
-      
-      for (const line of lines) {
-        if (line.trim() === '[Events]') {
-          eventsSection = true;
-          continue;
-        }
-        
-        if (eventsSection && line.startsWith('Dialogue:')) {
-          const parts = line.substring(9).split(',');
-          if (parts.length >= 10) {
-            const startTime = parseTimeASS(parts[1]) + syncAdjustment;
-            const endTime = parseTimeASS(parts[2]) + syncAdjustment;
-            const text = parts.slice(9).join(',').replace(/\{[^}]*\}/g, '');
-            
-            events.push({
-              startTime,
-              endTime,
-              text: text.trim(),
-              originalText: text.trim(),
-              language: defaultLanguage
-            });
-          }
-        }
-      }
-      
-      return events;
+      return parseASS(content).cues.map(cue => ({
+        startTime: cue.start + syncAdjustment,
+        endTime: cue.end + syncAdjustment,
+        text: cue.text,
+        originalText: cue.text,
+        language: defaultLanguage,
+        ass: cue
+      }));
     }
   }), [syncAdjustment, defaultLanguage]);
 
-  // Helper function for ASS time parsing
-  const parseTimeASS = useCallback((timeStr) => {
-    const match = timeStr.match(/(\d{1,2}):(\d{2}):(\d{2})\.(\d{2})/);
-    if (match) {
-      return parseFloat(match[1]) * 3600 + parseFloat(match[2]) * 60 + 
-             parseFloat(match[3]) + parseFloat(match[4]) / 100;
-    }
-    return 0;
-  }, []);
-
   // Load and parse subtitle file
   const loadSubtitleFile = useCallback(async (url, language = defaultLanguage, label = 'Unknown') => {
     try {
@@ -186,11 +157,11 @@ const useIntelligentSubtitles = ({
       let format = 'srt';
       if (content.startsWith('WEBVTT')) {
         format = 'vtt';
-      } else if (content.includes('[Script Info]')) {
+      } else if (isASSContent(content)) {
         format = 'ass';
       } else if (url.toLowerCase().includes('.vtt')) {
         format = 'vtt';
-      } else if (url.toLowerCase().includes('.ass')) {
+      } else if (/\.(ass|ssa)\b/i.test(url)) {
         format = 'ass';
       }
       
@@ -208,6 +179,8 @@ const useIntelligentSubtitles = ({
         url,
         format,
         subtitles,
+        // Script resolution and border scaling for the ASS overlay
+        ...(format === 'ass' && { assInfo: parseASSScriptInfo(content) }),
         loadTime: Date.now()
       };
       
@@ -243,92 +216,199 @@ const useIntelligentSubtitles = ({
     return track;
   }, [defaultLanguage]);
 
-  // Translation functionality
-  const translateSubtitles = useCallback(async (track, targetLanguage) => {
-    if (!enableTranslation || !track) return null;
+  // Server translation: /api/subtitles/translate streams NDJSON batches, starting
+  // at the current playback position; untranslated cues keep their original text
+  const translateWithServer = useCallback(async (track, targetLanguage, signal, onPartial) => {
+    const subtitles = track.subtitles.map(subtitle => ({ ...subtitle }));
+    const sourceLanguage = /^[a-z]{2}(-[A-Z]{2})?$/.test(track.language || '') ? track.language : 'auto';
+    
+    const response = await fetch('/api/subtitles/translate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        subtitleId: track.subtitleId || track.url || track.id,
+        sourceLanguage,
+        targetLanguage,
+        priorityFrom: currentTimeRef.current,
+        cues: subtitles.map((subtitle, index) => ({
+          index,
+          start: subtitle.startTime,
+          text: subtitle.originalText ?? subtitle.text
+        }))
+      }),
+      signal
+    });
     
-    const cacheKey = `${track.id}_${targetLanguage}`;
-    if (translatedTracks.has(cacheKey)) {
-      return translatedTracks.get(cacheKey);
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || `Translation request failed with status ${response.status}`);
     }
     
-    setIsTranslating(true);
-    
-    try {
-      let translatedSubtitles;
+    const applyLine = (line) => {
+      if (!line.trim()) return;
       
-      switch (translationService) {
-        case 'browser':
-          // Use browser's built-in translation if available
-          translatedSubtitles = await translateWithBrowser(track.subtitles, targetLanguage);
-          break;
-          
-        case 'google':
-          // Use Google Translate API (would need API key)
-          translatedSubtitles = await translateWithGoogle(track.subtitles, targetLanguage);
-          break;
-          
-        case 'custom':
-          // Use custom translation service
-          translatedSubtitles = await translateWithCustomService(track.subtitles, targetLanguage);
-          break;
-          
-        default:
-          throw new Error('Unknown translation service');
+      const message = JSON.parse(line);
+      if (message.type === 'error') {
+        throw new Error(message.error);
       }
-      
-      const translatedTrack = {
-        ...track,
-        id: `${track.id}_translated_${targetLanguage}`,
-        language: targetLanguage,
-        label: `${track.label} (${targetLanguage})`,
-        subtitles: translatedSubtitles,
-        isTranslated: true,
-        originalTrack: track.id
-      };
-      
-      setTranslatedTracks(prev => new Map(prev.set(cacheKey, translatedTrack)));
-      
-      if (onTranslationReady) {
-        onTranslationReady(translatedTrack);
+      if (message.type === 'cues') {
+        message.cues.forEach(({ index, text }) => {
+          if (subtitles[index]) {
+            subtitles[index] = { ...subtitles[index], text, language: targetLanguage };
+          }
+        });
+        onPartial([...subtitles], { translated: message.translated, total: message.total });
       }
+    };
+    
+    if (!response.body?.getReader) {
+      (await response.text()).split('\n').forEach(applyLine);
+      return subtitles;
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
       
-      return translatedTrack;
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(applyLine);
+    }
+    applyLine(buffered + decoder.decode());
+    
+    return subtitles;
+  }, []);
+
+  // On-device translation through the browser Translator API; null when unavailable
+  const translateWithBrowser = useCallback(async (track, targetLanguage) => {
+    const sourceLanguage = track.language;
+    if (typeof self === 'undefined' || !('Translator' in self) || !/^[a-z]{2}(-[A-Z]{2})?$/.test(sourceLanguage || '')) {
+      return null;
+    }
+    
+    try {
+      const availability = await self.Translator.availability({ sourceLanguage, targetLanguage });
+      if (availability === 'unavailable') {
+        return null;
+      }
       
+      const translator = await self.Translator.create({ sourceLanguage, targetLanguage });
+      const translated = [];
+      for (const subtitle of track.subtitles) {
+        const original = subtitle.originalText ?? subtitle.text;
+        translated.push({
+          ...subtitle,
+          text: original.trim() ? await translator.translate(original) : original,
+          language: targetLanguage
+        });
+      }
+      return translated;
     } catch (error) {
-      console.error('Translation failed:', error);
+      console.warn('Browser translation unavailable, using server translation:', error);
       return null;
-    } finally {
-      setIsTranslating(false);
     }
-  }, [enableTranslation, translationService, translatedTracks, onTranslationReady]);
-
-  // Browser translation (simplified - would use actual translation API)
-  const translateWithBrowser = useCallback(async (subtitles, targetLanguage) => {
-    // Simplified browser translation - in reality would use a proper API
-    return subtitles.map(subtitle => ({
-      ...subtitle,
-      text: `[${targetLanguage.toUpperCase()}] ${subtitle.originalText}`
-    }));
   }, []);
 
-  // Google Translate integration
-  const translateWithGoogle = useCallback(async (subtitles, targetLanguage) => {
-    // This would integrate with Google Translate API
-    // For demo purposes, we'll simulate translation
-    return subtitles.map(subtitle => ({
-      ...subtitle,
-      text: `[GOOGLE-${targetLanguage.toUpperCase()}] ${subtitle.originalText}`
-    }));
-  }, []);
+  // Translation functionality
+  const translateSubtitles = useCallback(async (track, targetLanguage) => {
+    if (!enableTranslation || !track) return null;
+    
+    const cacheKey = `${track.id}_${targetLanguage}`;
+    const cachedTrack = translatedTracks.get(cacheKey);
+    if (cachedTrack && cachedTrack.isComplete !== false) {
+      return cachedTrack;
+    }
+    // Already streaming in
+    if (pendingTranslationsRef.current.has(cacheKey)) {
+      return pendingTranslationsRef.current.get(cacheKey).promise;
+    }
+    
+    const translatedId = `${track.id}_translated_${targetLanguage}`;
+    const buildTrack = (subtitles, progress) => ({
+      ...track,
+      id: translatedId,
+      language: targetLanguage,
+      label: `${track.label} (${targetLanguage})`,
+      subtitles,
+      isTranslated: true,
+      isComplete: progress.translated >= progress.total,
+      translationProgress: progress,
+      originalTrack: track.id
+    });
+    
+    // Partial tracks replace the previous version, including as the active track
+    const publishTrack = (translatedTrack) => {
+      setTranslatedTracks(prev => new Map(prev).set(cacheKey, translatedTrack));
+      setActiveTrack(prev => (prev?.id === translatedId ? translatedTrack : prev));
+      if (onTranslationProgress) {
+        onTranslationProgress(translatedTrack.translationProgress, translatedTrack);
+      }
+    };
+    
+    const controller = new AbortController();
+    
+    const run = async () => {
+      setIsTranslating(true);
+      
+      try {
+        let translatedSubtitles;
+        
+        switch (translationService) {
+          case 'server':
+            translatedSubtitles = await translateWithServer(track, targetLanguage, controller.signal, (subtitles, progress) => {
+              publishTrack(buildTrack(subtitles, progress));
+            });
+            break;
+            
+          case 'browser':
+            // On-device translation where the browser has it, the server otherwise
+            translatedSubtitles = await translateWithBrowser(track, targetLanguage);
+            if (!translatedSubtitles) {
+              translatedSubtitles = await translateWithServer(track, targetLanguage, controller.signal, (subtitles, progress) => {
+                publishTrack(buildTrack(subtitles, progress));
+              });
+            }
+            break;
+            
+          default:
+            throw new Error('Unknown translation service');
+        }
+        
+        const total = translatedSubtitles.length;
+        const translatedTrack = buildTrack(translatedSubtitles, { translated: total, total });
+        publishTrack(translatedTrack);
+        
+        if (onTranslationReady) {
+          onTranslationReady(translatedTrack);
+        }
+        
+        return translatedTrack;
+        
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Translation failed:', error);
+        }
+        return null;
+      } finally {
+        pendingTranslationsRef.current.delete(cacheKey);
+        setIsTranslating(pendingTranslationsRef.current.size > 0);
+      }
+    };
+    
+    const promise = run();
+    pendingTranslationsRef.current.set(cacheKey, { promise, controller });
+    return promise;
+  }, [enableTranslation, translationService, translatedTracks, onTranslationReady, onTranslationProgress, translateWithServer, translateWithBrowser]);
 
-  // Custom translation service
-  const translateWithCustomService = useCallback(async (subtitles, targetLanguage) => {
-    // This would integrate with a custom translation service
-    return subtitles.map(subtitle => ({
-      ...subtitle,
-      text: `[CUSTOM-${targetLanguage.toUpperCase()}] ${subtitle.originalText}`
-    }));
+  // Stop a translation that is still streaming in
+  const cancelTranslation = useCallback((track, targetLanguage) => {
+    const pending = pendingTranslationsRef.current.get(`${track?.id}_${targetLanguage}`);
+    pending?.controller.abort();
   }, []);
 
   // Speech recognition for subtitle generation
@@ -454,6 +534,15 @@ const useIntelligentSubtitles = ({
     }
   }, [activeTrack, isEnabled, currentSubtitle, findCurrentSubtitle, onSubtitleChange]);
 
+  // Stop streaming translations when the player goes away
+  useEffect(() => {
+    const pendingTranslations = pendingTranslationsRef.current;
+    return () => {
+      pendingTranslations.forEach(({ controller }) => controller.abort());
+      pendingTranslations.clear();
+    };
+  }, []);
+
   // Search within subtitles
   const searchSubtitles = useCallback((query, trackId = null) => {
     if (!query.trim()) {
@@ -617,6 +706,7 @@ const useIntelligentSubtitles = ({
     
     // Translation
     translateSubtitles,
+    cancelTranslation,
     translatedTracks,
     
     // Speech recognition
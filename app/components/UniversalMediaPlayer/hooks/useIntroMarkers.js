@@ -0,0 +1,222 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  MARKER_TYPES,
+  createFingerprintMonitor,
+  detectMarker,
+  getActiveMarker,
+  hasMarkerRange
+} from '../../../utils/introMarkers';
+import {
+  MARKER_SOURCES,
+  getEpisodeMarkers,
+  getSeasonFingerprints,
+  getSeasonTemplate,
+  isIntroDetectionEnabled,
+  removeEpisodeMarker,
+  saveEpisodeFingerprint,
+  saveEpisodeMarker,
+  saveSeasonTemplate
+} from '../utils/introMarkerStorage';
+
+// Seconds of playback between detection passes
+const DETECTION_INTERVAL = 5;
+
+// Length given to a range when only one of its ends has been set by hand
+const DEFAULT_MARKER_LENGTH = 60;
+
+const EMPTY_MARKERS = {
+  [MARKER_TYPES.INTRO]: null,
+  [MARKER_TYPES.CREDITS]: null
+};
+
+/**
+ * useIntroMarkers Hook
+ *
+ * Intro and credits ranges for the playing episode:
+ * - Fingerprints the first and last minutes of each episode while it plays
+ * - Finds the theme song and credits shared with other episodes of the season
+ * - Tells which skip button to show at the current time
+ * - Lets the user move or remove a range by hand
+ *
+ * Nothing runs unless intro detection is turned on in Settings; `enabled`
+ * lets a player turn it off further, e.g. when auto-advance is off.
+ */
+const useIntroMarkers = ({
+  videoRef = null,
+  mediaType,
+  movieId,
+  seasonId = null,
+  episodeId = null,
+  currentTime = 0,
+  duration = 0,
+  isPlaying = false,
+  enabled = true
+} = {}) => {
+  const [markers, setMarkers] = useState(EMPTY_MARKERS);
+
+  const monitorRef = useRef(null);
+  const lastDetectionRef = useRef(null);
+  const savedCellsRef = useRef(0);
+  // The audio graph waits for playback, so its context starts with the user's play
+  const [hasPlayed, setHasPlayed] = useState(false);
+
+  // Listening reroutes the element's audio through Web Audio, so it is opt-in
+  const [detectionEnabled] = useState(isIntroDetectionEnabled);
+  const isEpisode = enabled && detectionEnabled && mediaType === 'tv' && Boolean(movieId) && seasonId != null && episodeId != null;
+
+  useEffect(() => {
+    if (isPlaying) setHasPlayed(true);
+  }, [isPlaying]);
+
+  const reloadMarkers = useCallback(() => {
+    setMarkers(isEpisode ? getEpisodeMarkers(movieId, seasonId, episodeId) : EMPTY_MARKERS);
+  }, [isEpisode, movieId, seasonId, episodeId]);
+
+  useEffect(() => {
+    reloadMarkers();
+    lastDetectionRef.current = null;
+    savedCellsRef.current = 0;
+  }, [reloadMarkers]);
+
+  // Returns whether anything new was heard since the last save
+  const storeFingerprint = useCallback((monitor) => {
+    if (monitor.isSilent() || monitor.getHeardCells() === savedCellsRef.current) return false;
+
+    savedCellsRef.current = monitor.getHeardCells();
+    saveEpisodeFingerprint(movieId, seasonId, episodeId, {
+      [MARKER_TYPES.INTRO]: monitor.getFingerprint(MARKER_TYPES.INTRO),
+      [MARKER_TYPES.CREDITS]: monitor.getFingerprint(MARKER_TYPES.CREDITS)
+    });
+    return true;
+  }, [movieId, seasonId, episodeId]);
+
+  // Listen to each episode once it plays and its duration is known; what was heard is kept when it ends
+  useEffect(() => {
+    const video = videoRef?.current;
+    if (!isEpisode || !hasPlayed || !video || !duration || !isFinite(duration)) return;
+
+    try {
+      // Web Audio can only tap an element once, so the monitor is kept per element
+      if (monitorRef.current?.media !== video) {
+        monitorRef.current?.monitor.destroy();
+        monitorRef.current = { media: video, monitor: createFingerprintMonitor(video) };
+      }
+    } catch (error) {
+      console.warn('⚠️ Intro detection unavailable:', error.message);
+      return;
+    }
+
+    const { monitor } = monitorRef.current;
+    monitor.reset(duration);
+    monitor.start();
+
+    return () => {
+      monitor.stop();
+      storeFingerprint(monitor);
+    };
+  }, [isEpisode, hasPlayed, videoRef, duration, storeFingerprint]);
+
+  useEffect(() => () => {
+    monitorRef.current?.monitor.destroy();
+    monitorRef.current = null;
+  }, []);
+
+  // Look for markers still missing every few seconds of playback
+  useEffect(() => {
+    const monitor = monitorRef.current?.monitor;
+    if (!isEpisode || !monitor || !isPlaying) return;
+    if (lastDetectionRef.current !== null && Math.abs(currentTime - lastDetectionRef.current) < DETECTION_INTERVAL) return;
+
+    lastDetectionRef.current = currentTime;
+    if (!storeFingerprint(monitor)) return;
+
+    let found = false;
+    Object.values(MARKER_TYPES).forEach(type => {
+      if (markers[type]) return;
+
+      const result = detectMarker(type, monitor.getFingerprint(type), {
+        template: getSeasonTemplate(movieId, seasonId, type),
+        references: getSeasonFingerprints(movieId, seasonId, type, episodeId)
+      });
+      // A stretch shared with another episode may still be playing; wait until it has ended
+      if (!result || (result.reference && result.range.end > currentTime - DETECTION_INTERVAL)) return;
+
+      found = saveEpisodeMarker(movieId, seasonId, episodeId, type, result.range, MARKER_SOURCES.DETECTED) || found;
+      if (result.reference) {
+        saveEpisodeMarker(movieId, seasonId, result.reference.episodeId, type, result.reference.range, MARKER_SOURCES.DETECTED);
+      }
+      if (result.template) {
+        saveSeasonTemplate(movieId, seasonId, type, result.template);
+      }
+    });
+
+    if (found) {
+      reloadMarkers();
+    }
+  }, [isEpisode, isPlaying, currentTime, markers, movieId, seasonId, episodeId, storeFingerprint, reloadMarkers]);
+
+  const activeMarker = getActiveMarker(markers, currentTime);
+
+  // Jump to the end of a range
+  const skipMarker = useCallback((type = activeMarker) => {
+    const video = videoRef?.current;
+    const marker = markers[type];
+    if (!video || !hasMarkerRange(marker)) return false;
+
+    console.log(`⏭️ Skipping ${type} to`, marker.end);
+    video.currentTime = Math.min(marker.end, video.duration || marker.end);
+    return true;
+  }, [videoRef, markers, activeMarker]);
+
+  // Move one end of a range to a time (the current time by default)
+  const setMarkerBoundary = useCallback((type, boundary, time = videoRef?.current?.currentTime) => {
+    if (!isEpisode || typeof time !== 'number') return;
+
+    const current = hasMarkerRange(markers[type]) ? markers[type] : null;
+    const range = boundary === 'start'
+      ? {
+        start: time,
+        end: current && current.end > time
+          ? current.end
+          : (type === MARKER_TYPES.CREDITS && duration ? duration : time + DEFAULT_MARKER_LENGTH)
+      }
+      : {
+        start: current && current.start < time
+          ? current.start
+          : (type === MARKER_TYPES.INTRO ? 0 : Math.max(0, time - DEFAULT_MARKER_LENGTH)),
+        end: time
+      };
+
+    if (range.end <= range.start) return;
+    saveEpisodeMarker(movieId, seasonId, episodeId, type, range, MARKER_SOURCES.MANUAL);
+    reloadMarkers();
+  }, [isEpisode, markers, duration, movieId, seasonId, episodeId, videoRef, reloadMarkers]);
+
+  // This episode has no intro (or credits): never show the button
+  const clearMarker = useCallback((type) => {
+    if (!isEpisode) return;
+    saveEpisodeMarker(movieId, seasonId, episodeId, type, null, MARKER_SOURCES.MANUAL);
+    reloadMarkers();
+  }, [isEpisode, movieId, seasonId, episodeId, reloadMarkers]);
+
+  // Drop a correction and let detection try again
+  const resetMarker = useCallback((type) => {
+    if (!isEpisode) return;
+    removeEpisodeMarker(movieId, seasonId, episodeId, type);
+    lastDetectionRef.current = null;
+    savedCellsRef.current = -1;
+    reloadMarkers();
+  }, [isEpisode, movieId, seasonId, episodeId, reloadMarkers]);
+
+  return {
+    enabled: detectionEnabled,
+    markers,
+    activeMarker,
+    skipMarker,
+    setMarkerBoundary,
+    clearMarker,
+    resetMarker
+  };
+};
+
+export default useIntroMarkers;
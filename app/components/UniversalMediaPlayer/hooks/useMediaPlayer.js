@@ -2,9 +2,12 @@
 
 import { useRef, useState, useCallback, useEffect, useMemo } from 'react';
 import { useErrorRecovery } from '../utils/errorRecovery';
+import { loadDashJs, mapDashQualities, DASH_PLAYER_SETTINGS } from './useDash';
+
+const AUTO_QUALITY = { id: 'auto', label: 'Auto', height: 0, bitrate: 0 };
 
 /**
- * Core media player hook that manages video playback state and HLS integration
+ * Core media player hook that manages video playback state and HLS/DASH integration
  * This replaces the monolithic state management in the main component
  */
 export const useMediaPlayer = ({
@@ -25,9 +28,16 @@ export const useMediaPlayer = ({
   // Core refs
   const videoRef = useRef(null);
   const hlsRef = useRef(null);
+  const dashRef = useRef(null);
   const syncIntervalRef = useRef(null);
   const networkMonitorRef = useRef(null);
 
+  // Quality levels reported by HLS.js/dash.js
+  const [qualityState, setQualityState] = useState({
+    qualities: [AUTO_QUALITY],
+    currentQuality: 'auto'
+  });
+
   // Core player state - single source of truth
   const [playerState, setPlayerState] = useState({
     isPlaying: false,
@@ -303,6 +313,16 @@ export const useMediaPlayer = ({
 
       // HLS event handlers
       hls.on(Hls.Events.MANIFEST_PARSED, () => {
+        const levels = hls.levels
+          .map((level, index) => ({
+            id: index,
+            label: `${level.height}p`,
+            height: level.height,
+            bitrate: level.bitrate
+          }))
+          .sort((a, b) => b.height - a.height || b.bitrate - a.bitrate);
+
+        setQualityState({ qualities: [AUTO_QUALITY, ...levels], currentQuality: 'auto' });
         forceStateSync('hls-manifest-parsed');
       });
 
@@ -341,6 +361,82 @@ export const useMediaPlayer = ({
     }
   }, [streamUrl, streamType]);
 
+  // dash.js loading and management; isCancelled tells whether the stream
+  // changed or the player unmounted while dash.js was loading
+  const loadDASH = useCallback(async (isCancelled = () => false) => {
+    if (!streamUrl || streamType !== 'dash' || !videoRef.current) {
+      return;
+    }
+
+    try {
+      const dashjs = await loadDashJs();
+      if (isCancelled()) {
+        return;
+      }
+
+      if (!dashjs || !videoRef.current) {
+        throw new Error('dash.js is not available');
+      }
+
+      // Clean up existing instance
+      if (dashRef.current) {
+        dashRef.current.reset();
+        dashRef.current = null;
+      }
+
+      const player = dashjs.MediaPlayer().create();
+      player.updateSettings(DASH_PLAYER_SETTINGS);
+      // Start in adaptive mode; the quality menu can pin a representation
+      player.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: true } } } });
+      dashRef.current = player;
+
+      player.on(dashjs.MediaPlayer.events.STREAM_INITIALIZED, () => {
+        const levels = mapDashQualities(player.getBitrateInfoListFor('video'))
+          .map(({ id, label, height, bitrate }) => ({ id, label, height, bitrate }));
+
+        setQualityState({ qualities: [AUTO_QUALITY, ...levels], currentQuality: 'auto' });
+        forceStateSync('dash-stream-initialized');
+      });
+
+      player.on(dashjs.MediaPlayer.events.ERROR, (event) => {
+        console.error('DASH Error:', event.error);
+        handleRecoverableError(new Error(event.error?.message || 'DASH playback error'));
+      });
+
+      player.initialize(videoRef.current, streamUrl, false);
+
+    } catch (error) {
+      console.error('DASH loading error:', error);
+      onError?.(error);
+    }
+  }, [streamUrl, streamType]);
+
+  // Quality selection for whichever engine is active
+  const setQuality = useCallback((qualityId) => {
+    const isAuto = qualityId === 'auto';
+    const levelIndex = parseInt(qualityId);
+
+    if (!isAuto && isNaN(levelIndex)) {
+      return false;
+    }
+
+    if (hlsRef.current) {
+      hlsRef.current.currentLevel = isAuto ? -1 : levelIndex;
+    } else if (dashRef.current) {
+      dashRef.current.updateSettings({
+        streaming: { abr: { autoSwitchBitrate: { video: isAuto } } }
+      });
+      if (!isAuto) {
+        dashRef.current.setQualityFor('video', levelIndex, true);
+      }
+    } else {
+      return false;
+    }
+
+    setQualityState(prev => ({ ...prev, currentQuality: isAuto ? 'auto' : levelIndex.toString() }));
+    return true;
+  }, []);
+
   // Create callback ref for video element
   const setVideoRef = useCallback((element) => {
     videoRef.current = element;
@@ -471,21 +567,32 @@ export const useMediaPlayer = ({
       return;
     }
 
+    setQualityState({ qualities: [AUTO_QUALITY], currentQuality: 'auto' });
+    let cancelled = false;
+
     if (streamType === 'hls') {
       loadHLS();
+    } else if (streamType === 'dash') {
+      loadDASH(() => cancelled);
     } else {
       videoRef.current.src = streamUrl;
       videoRef.current.load();
     }
 
     return () => {
+      cancelled = true;
       // Cleanup HLS instance
       if (hlsRef.current) {
         hlsRef.current.destroy();
         hlsRef.current = null;
       }
+      // Cleanup DASH instance
+      if (dashRef.current) {
+        dashRef.current.reset();
+        dashRef.current = null;
+      }
     };
-  }, [streamUrl, streamType, loadHLS]);
+  }, [streamUrl, streamType, loadHLS, loadDASH]);
 
   // Intelligent sync interval
   useEffect(() => {
@@ -505,6 +612,10 @@ export const useMediaPlayer = ({
         hlsRef.current.destroy();
         hlsRef.current = null;
       }
+      if (dashRef.current) {
+        dashRef.current.reset();
+        dashRef.current = null;
+      }
       if (syncIntervalRef.current) {
         clearInterval(syncIntervalRef.current);
       }
@@ -521,7 +632,10 @@ export const useMediaPlayer = ({
     isRecovering,
     retryCount,
     resetErrorRecovery,
-    forceStateSync
+    forceStateSync,
+    qualities: qualityState.qualities,
+    currentQuality: qualityState.currentQuality,
+    setQuality
   };
 };
 
@@ -1,6 +1,7 @@
 'use client';
 
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { isDashStreamUrl } from './useDash';
 
 /**
  * useStream Hook - Optimized Stream Extraction with Robust Error Handling
@@ -150,17 +151,19 @@ export const useStream = ({
       throw new Error(data.error || 'Stream extraction failed');
     }
 
-    // Shadowlands extraction always requires proxy
+    // Proxied streams only play through the server-signed proxy URL
     let finalStreamUrl;
-    if (data.server === 'shadowlands' || data.requiresProxy) {
-      finalStreamUrl = `/api/stream-proxy?url=${encodeURIComponent(data.streamUrl)}&source=shadowlands`;
+    if (data.proxyUrl) {
+      finalStreamUrl = data.proxyUrl;
+    } else if (data.server === 'shadowlands' || data.requiresProxy) {
+      throw new Error('Stream extraction returned no signed proxy URL');
     } else {
       finalStreamUrl = data.streamUrl;
     }
 
     return {
       streamUrl: finalStreamUrl,
-      streamType: data.streamType || 'hls',
+      streamType: data.streamType || (isDashStreamUrl(data.streamUrl) ? 'dash' : 'hls'),
       serverInfo: {
         server: data.server || server,
         extractionMethod: data.extractionMethod || 'shadowlands_direct',
@@ -113,7 +113,7 @@ export const useSubtitles = ({ imdbId, season, episode, enabled }) => {
         const response = await fetch('/api/subtitles/download', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ download_link: subtitle.downloadLink }),
+            body: JSON.stringify({ download_link: subtitle.downloadLink, encoding: subtitle.encoding }),
         });
         
         console.log('📡 Download response status:', response.status);
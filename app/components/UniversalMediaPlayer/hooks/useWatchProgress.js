@@ -8,6 +8,7 @@ import {
   getShowProgress,
   shouldSaveProgress
 } from '../utils/watchProgressStorage';
+import { updateWatchlistFromProgress } from '../utils/watchlistStorage';
 
 /**
  * useWatchProgress Hook
@@ -104,6 +105,7 @@ const useWatchProgress = ({
         setLastSaveTime(Date.now());
         setHasUnsavedChanges(false);
         lastProgressRef.current = updateData.currentTime;
+        updateWatchlistFromProgress(mediaType, movieId);
         console.log(`💾 Saved progress: ${(updateData.progress * 100).toFixed(1)}%`);
         return true;
       }
@@ -193,6 +195,7 @@ const useWatchProgress = ({
           isCompleted: true,
           completedAt: new Date().toISOString()
         }));
+        updateWatchlistFromProgress(mediaType, movieId);
         console.log(`✅ Manually marked as completed: ${contentKey}`);
       }
       return success;
@@ -0,0 +1,198 @@
+/**
+ * Watch Progress Sync Tests
+ * Tests conflict resolution, sync codes, queueing changes, and syncing two
+ * devices through a fake /api/progress backed by the memory store
+ */
+
+import {
+  disableProgressSync,
+  enableProgressSync,
+  generateSyncCode,
+  getProgressSyncStatus,
+  getWatchProgress,
+  isValidSyncCode,
+  normalizeSyncCode,
+  removeWatchProgress,
+  resolveProgressConflict,
+  saveWatchProgress,
+  syncWatchProgress
+} from '../watchProgressStorage';
+import { validateProgressBatch } from '../../../../api/progress/progressSync';
+import { createMemoryProgressStore } from '../../../../api/progress/stores/memoryStore';
+
+const SYNC_CODE = 'k7dm-x2qa-9fhe-tw4n';
+
+// Fake /api/progress: one memory store, records kept per header value
+function createFakeServer() {
+  const store = createMemoryProgressStore();
+  const server = {
+    online: true,
+    requests: [],
+    fetch: jest.fn(async (url, { method, headers, body }) => {
+      server.requests.push({ url, method });
+      if (!server.online) throw new TypeError('Failed to fetch');
+
+      const syncId = headers['X-Sync-Code'];
+      if (method === 'PUT') {
+        const { records, rejected } = validateProgressBatch(JSON.parse(body));
+        const data = { success: true, records: await store.applyRecords(syncId, records), rejected };
+        return { ok: true, status: 200, json: async () => data };
+      }
+
+      const data = { success: true, ...(await store.getRecords(syncId, { since: Number(url.split('since=')[1]) })) };
+      return { ok: true, status: 200, json: async () => data };
+    })
+  };
+  return server;
+}
+
+// Each device is its own localStorage
+function switchDevice(devices, name) {
+  if (devices.current) {
+    devices[devices.current] = { ...localStorage };
+  }
+  localStorage.clear();
+  Object.entries(devices[name] || {}).forEach(([key, value]) => localStorage.setItem(key, value));
+  devices.current = name;
+}
+
+describe('Watch progress sync', () => {
+  let server;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.clear();
+    server = createFakeServer();
+    global.fetch = server.fetch;
+  });
+
+  afterEach(() => {
+    disableProgressSync();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    delete global.fetch;
+  });
+
+  test('should keep the newest record and break ties the same way on every side', () => {
+    const older = { key: 'movie_1', updatedAt: '2025-01-01T12:00:00.000Z', deleted: false, entry: { currentTime: 900 } };
+    const newer = { key: 'movie_1', updatedAt: '2025-01-01T12:05:00.000Z', deleted: false, entry: { currentTime: 100 } };
+    const removed = { key: 'movie_1', updatedAt: '2025-01-01T12:00:00.000Z', deleted: true, entry: null };
+
+    expect(resolveProgressConflict(older, newer)).toBe(newer);
+    expect(resolveProgressConflict(newer, older)).toBe(newer);
+    expect(resolveProgressConflict(null, older)).toBe(older);
+    expect(resolveProgressConflict(older, removed)).toBe(removed);
+    expect(resolveProgressConflict(removed, older)).toBe(removed);
+    expect(resolveProgressConflict(older, { ...older, entry: { currentTime: 50 } })).toBe(older);
+  });
+
+  test('should accept sync codes and passphrases of at least 12 characters', () => {
+    const code = generateSyncCode();
+
+    expect(code).toMatch(/^[a-z2-9]{4}(-[a-z2-9]{4}){3}$/);
+    expect(isValidSyncCode(code)).toBe(true);
+    expect(normalizeSyncCode(' K7DM-x2qa 9fhe-TW4N ')).toBe('k7dmx2qa9fhetw4n');
+    expect(isValidSyncCode('correct horse battery')).toBe(true);
+    expect(isValidSyncCode('short-code')).toBe(false);
+    expect(enableProgressSync('short-code')).toBe(false);
+  });
+
+  test('should queue changes only while sync is enabled', async () => {
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 600, duration: 8880 });
+    expect(getProgressSyncStatus()).toMatchObject({ enabled: false, pendingCount: 0 });
+
+    // Linking uploads what this device already has
+    expect(enableProgressSync(SYNC_CODE)).toBe(true);
+    await syncWatchProgress();
+    expect(getProgressSyncStatus()).toMatchObject({ enabled: true, pendingCount: 0, lastError: null });
+    expect(server.requests.map(request => request.method)).toEqual(['PUT', 'GET']);
+
+    saveWatchProgress('tv', 1396, 1, 2, { currentTime: 120, duration: 2800 });
+    saveWatchProgress('tv', 1396, 1, 2, { currentTime: 180, duration: 2800 });
+    expect(getProgressSyncStatus().pendingCount).toBe(1);
+
+    // Pushed together a few seconds later
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(server.requests.filter(request => request.method === 'PUT')).toHaveLength(2);
+    expect(getProgressSyncStatus().pendingCount).toBe(0);
+  });
+
+  test('should carry progress and removals between devices', async () => {
+    const devices = {};
+
+    switchDevice(devices, 'laptop');
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 600, duration: 8880 });
+    saveWatchProgress('tv', 1396, 1, 2, { currentTime: 120, duration: 2800 });
+    enableProgressSync(SYNC_CODE);
+    await syncWatchProgress();
+
+    switchDevice(devices, 'tv');
+    enableProgressSync('K7DM X2QA 9FHE TW4N');
+    const received = jest.fn();
+    window.addEventListener('flyx-watch-progress-synced', received);
+    await syncWatchProgress();
+    window.removeEventListener('flyx-watch-progress-synced', received);
+
+    expect(received.mock.calls[0][0].detail).toEqual({ success: true, received: 2 });
+    expect(getWatchProgress('movie', 27205).currentTime).toBe(600);
+
+    // The TV finishes the movie and removes the episode
+    jest.setSystemTime(new Date('2025-01-01T14:00:00Z'));
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 8800, duration: 8880 });
+    removeWatchProgress('tv', 1396, 1, 2);
+    await syncWatchProgress();
+
+    // Meanwhile the laptop, offline, had watched a bit more of both
+    switchDevice(devices, 'laptop');
+    jest.setSystemTime(new Date('2025-01-01T13:00:00Z'));
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 900, duration: 8880 });
+    saveWatchProgress('tv', 1396, 1, 2, { currentTime: 300, duration: 2800 });
+    jest.setSystemTime(new Date('2025-01-01T15:00:00Z'));
+    await syncWatchProgress();
+
+    expect(getWatchProgress('movie', 27205)).toMatchObject({ currentTime: 8800, isCompleted: true });
+    expect(getWatchProgress('tv', 1396, 1, 2).currentTime).toBe(0);
+    expect(getProgressSyncStatus().pendingCount).toBe(0);
+  });
+
+  test('should drop records the server rejects from the queue', async () => {
+    enableProgressSync(SYNC_CODE);
+    await syncWatchProgress();
+
+    saveWatchProgress('anime', 21, null, null, { currentTime: 300, duration: 1440 });
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 600, duration: 8880 });
+    const result = await syncWatchProgress();
+
+    expect(result.success).toBe(true);
+    expect(getProgressSyncStatus()).toMatchObject({ pendingCount: 0, lastError: null });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('unknown_21'), 'Invalid progress key: unknown_21');
+  });
+
+  test('should keep the queue while offline and retry with backoff', async () => {
+    enableProgressSync(SYNC_CODE);
+    await syncWatchProgress();
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 600, duration: 8880 });
+
+    server.online = false;
+    const result = await syncWatchProgress();
+    expect(result).toMatchObject({ success: false, error: 'Failed to fetch' });
+    expect(getProgressSyncStatus()).toMatchObject({
+      pendingCount: 1,
+      lastError: 'Failed to fetch',
+      nextRetryAt: '2025-01-01T12:00:05.000Z'
+    });
+
+    // Second failure waits twice as long
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(getProgressSyncStatus().nextRetryAt).toBe('2025-01-01T12:00:15.000Z');
+
+    server.online = true;
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(getProgressSyncStatus()).toMatchObject({ pendingCount: 0, lastError: null, nextRetryAt: null });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Watchlist Storage Tests
+ * Tests adding and removing titles, statuses, filtering and sorting, and the
+ * status changes driven by watch progress
+ */
+
+import {
+  WATCHLIST_EVENT,
+  WATCHLIST_SORTS,
+  WATCHLIST_STATUSES,
+  addToWatchlist,
+  getWatchlist,
+  getWatchlistCounts,
+  getWatchlistItem,
+  isInWatchlist,
+  reconcileWatchlistWithProgress,
+  refreshWatchlistItem,
+  removeFromWatchlist,
+  setWatchlistStatus,
+  updateWatchlistFromProgress
+} from '../watchlistStorage';
+import { getShowProgress, saveWatchProgress } from '../watchProgressStorage';
+
+const MOVIE = { id: 603, media_type: 'movie', title: 'The Matrix', poster_path: '/matrix.jpg', release_date: '1999-03-30', vote_average: 8.2 };
+const SHOW = { id: 1396, media_type: 'tv', name: 'Breaking Bad', poster_path: '/bb.jpg', first_air_date: '2008-01-20', vote_average: 8.9 };
+
+const watchMovie = (movieId, fraction) => saveWatchProgress('movie', movieId, null, null, { currentTime: fraction * 100, duration: 100 });
+const watchEpisode = (showId, season, episode, fraction) => saveWatchProgress('tv', showId, season, episode, { currentTime: fraction * 100, duration: 100 });
+
+describe('Watchlist storage', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('should add, update and remove titles', () => {
+    const changed = jest.fn();
+    window.addEventListener(WATCHLIST_EVENT, changed);
+
+    expect(addToWatchlist(MOVIE)).toBe(true);
+    expect(getWatchlistItem('movie', 603)).toMatchObject({
+      movieId: 603,
+      title: 'The Matrix',
+      posterPath: '/matrix.jpg',
+      releaseDate: '1999-03-30',
+      status: WATCHLIST_STATUSES.PLAN_TO_WATCH,
+      addedAt: '2025-01-01T12:00:00.000Z'
+    });
+    expect(changed.mock.calls[0][0].detail.key).toBe('movie_603');
+
+    jest.setSystemTime(new Date('2025-01-02T12:00:00Z'));
+    expect(setWatchlistStatus('movie', 603, WATCHLIST_STATUSES.DROPPED)).toBe(true);
+    expect(setWatchlistStatus('movie', 603, 'someday')).toBe(false);
+
+    // Adding again refreshes details but keeps the status and when it was added
+    addToWatchlist({ ...MOVIE, vote_average: 8.3 });
+    expect(getWatchlistItem('movie', 603)).toMatchObject({
+      status: WATCHLIST_STATUSES.DROPPED,
+      voteAverage: 8.3,
+      addedAt: '2025-01-01T12:00:00.000Z',
+      statusChangedAt: '2025-01-02T12:00:00.000Z'
+    });
+
+    expect(removeFromWatchlist('movie', 603)).toBe(true);
+    expect(isInWatchlist('movie', 603)).toBe(false);
+    expect(addToWatchlist({ id: 7, media_type: 'person', name: 'Keanu Reeves' })).toBe(false);
+
+    window.removeEventListener(WATCHLIST_EVENT, changed);
+  });
+
+  test('should refresh details without moving the title up the updated sort', () => {
+    expect(refreshWatchlistItem(SHOW)).toBe(false);
+
+    addToWatchlist({ ...SHOW, vote_average: undefined });
+    jest.setSystemTime(new Date('2025-01-02T12:00:00Z'));
+    addToWatchlist(MOVIE);
+
+    jest.setSystemTime(new Date('2025-01-03T12:00:00Z'));
+    expect(refreshWatchlistItem({ ...SHOW, number_of_episodes: 62 })).toBe(true);
+    expect(getWatchlistItem('tv', 1396)).toMatchObject({
+      totalEpisodes: 62,
+      voteAverage: 8.9,
+      updatedAt: '2025-01-01T12:00:00.000Z'
+    });
+    expect(getWatchlist({ sortBy: WATCHLIST_SORTS.UPDATED }).map(item => item.key)).toEqual(['movie_603', 'tv_1396']);
+
+    // Nothing new, nothing saved
+    expect(refreshWatchlistItem({ ...SHOW, number_of_episodes: 62 })).toBe(false);
+  });
+
+  test('should filter by status and type and sort', () => {
+    addToWatchlist(MOVIE);
+    jest.setSystemTime(new Date('2025-01-02T12:00:00Z'));
+    addToWatchlist(SHOW, WATCHLIST_STATUSES.WATCHING);
+    jest.setSystemTime(new Date('2025-01-03T12:00:00Z'));
+    addToWatchlist({ id: 27205, media_type: 'movie', title: 'Inception', release_date: '2010-07-15', vote_average: 8.4 });
+
+    const titles = (options) => getWatchlist(options).map(item => item.title);
+
+    expect(titles()).toEqual(['Inception', 'Breaking Bad', 'The Matrix']);
+    expect(titles({ sortBy: WATCHLIST_SORTS.TITLE })).toEqual(['Breaking Bad', 'Inception', 'The Matrix']);
+    expect(titles({ sortBy: WATCHLIST_SORTS.RATING })).toEqual(['Breaking Bad', 'Inception', 'The Matrix']);
+    expect(titles({ sortBy: WATCHLIST_SORTS.RELEASE })).toEqual(['Inception', 'Breaking Bad', 'The Matrix']);
+    expect(titles({ mediaType: 'movie' })).toEqual(['Inception', 'The Matrix']);
+    expect(titles({ status: WATCHLIST_STATUSES.WATCHING })).toEqual(['Breaking Bad']);
+    expect(getWatchlistCounts()).toEqual({ plan_to_watch: 2, watching: 1, completed: 0, dropped: 0 });
+  });
+
+  test('should move a movie forward with its progress', () => {
+    addToWatchlist(MOVIE);
+
+    watchMovie(603, 0.3);
+    expect(updateWatchlistFromProgress('movie', 603)).toBe(WATCHLIST_STATUSES.WATCHING);
+
+    watchMovie(603, 0.95);
+    expect(updateWatchlistFromProgress('movie', 603)).toBe(WATCHLIST_STATUSES.COMPLETED);
+
+    // Rewatching from the start doesn't move it back
+    watchMovie(603, 0.1);
+    expect(updateWatchlistFromProgress('movie', 603)).toBeNull();
+    expect(getWatchlistItem('movie', 603).status).toBe(WATCHLIST_STATUSES.COMPLETED);
+
+    // Titles added after watching start where the progress is
+    watchMovie(27205, 0.95);
+    addToWatchlist({ id: 27205, media_type: 'movie', title: 'Inception' });
+    expect(getWatchlistItem('movie', 27205).status).toBe(WATCHLIST_STATUSES.COMPLETED);
+  });
+
+  test('should complete a show once every episode is watched', () => {
+    addToWatchlist({ ...SHOW, number_of_episodes: 3 });
+
+    watchEpisode(1396, 1, 1, 0.95);
+    watchEpisode(1396, 1, 2, 0.95);
+    expect(updateWatchlistFromProgress('tv', 1396)).toBe(WATCHLIST_STATUSES.WATCHING);
+
+    watchEpisode(1396, 1, 3, 0.95);
+    expect(updateWatchlistFromProgress('tv', 1396)).toBe(WATCHLIST_STATUSES.COMPLETED);
+
+    // Without an episode count, finishing what was started isn't the whole show
+    addToWatchlist({ id: 1399, media_type: 'tv', name: 'Game of Thrones' });
+    watchEpisode(1399, 1, 1, 0.95);
+    expect(reconcileWatchlistWithProgress()).toBe(1);
+    expect(getWatchlistItem('tv', 1399).status).toBe(WATCHLIST_STATUSES.WATCHING);
+  });
+
+  test('should only pick up a dropped title when it is watched again', () => {
+    addToWatchlist(MOVIE);
+    watchMovie(603, 0.3);
+
+    jest.setSystemTime(new Date('2025-01-02T12:00:00Z'));
+    setWatchlistStatus('movie', 603, WATCHLIST_STATUSES.DROPPED);
+    expect(updateWatchlistFromProgress('movie', 603)).toBeNull();
+
+    jest.setSystemTime(new Date('2025-01-03T12:00:00Z'));
+    watchMovie(603, 0.4);
+    expect(updateWatchlistFromProgress('movie', 603)).toBe(WATCHLIST_STATUSES.WATCHING);
+  });
+
+  test('should count episodes the show has in its completion rate', () => {
+    watchEpisode(1396, 1, 1, 0.95);
+    watchEpisode(1396, 1, 2, 0.5);
+
+    expect(getShowProgress(1396)).toMatchObject({ totalEpisodes: 2, watchedEpisodes: 1, completionRate: 0.5 });
+    expect(getShowProgress(1396, 10)).toMatchObject({ totalEpisodes: 10, watchedEpisodes: 1, completionRate: 0.1 });
+  });
+});
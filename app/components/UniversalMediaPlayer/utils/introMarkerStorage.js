@@ -0,0 +1,298 @@
+/**
+ * Intro Marker Storage
+ *
+ * Keeps intro and credits ranges per show and season, one { intro, credits }
+ * pair per episode, along with what detection needs to find them in the next
+ * episode: the season's matched theme (template) and the audio fingerprints
+ * of a few recently played episodes.
+ * Ranges set by hand are never replaced by detected ones.
+ */
+
+import { MARKER_TYPES } from '../../../utils/introMarkers';
+
+const STORAGE_KEY = 'flyx_intro_markers';
+const DETECTION_SETTING_KEY = 'flyx_intro_detection';
+const STORAGE_VERSION = '1.0';
+const MAX_STORED_SEASONS = 100;
+const MAX_FINGERPRINTS_PER_SEASON = 3;
+
+// Eight hex digits per code; unknown cells are dashes
+const UNKNOWN_CODE = '--------';
+
+export const MARKER_SOURCES = {
+  DETECTED: 'detected',
+  MANUAL: 'manual'
+};
+
+/**
+ * Generate the storage key for a season of a show
+ */
+export const getSeasonKey = (showId, seasonId) => `tv_${showId}_s${seasonId}`;
+
+/**
+ * Pack fingerprint codes into a string for localStorage
+ */
+export const encodeFingerprintCodes = (codes = []) => codes
+  .map(code => (code == null ? UNKNOWN_CODE : code.toString(16).padStart(8, '0')))
+  .join('');
+
+/**
+ * Unpack codes written by encodeFingerprintCodes
+ */
+export const decodeFingerprintCodes = (encoded = '') => {
+  const codes = [];
+  for (let index = 0; index + 8 <= encoded.length; index += 8) {
+    const chunk = encoded.slice(index, index + 8);
+    codes.push(chunk === UNKNOWN_CODE ? null : parseInt(chunk, 16));
+  }
+  return codes;
+};
+
+const createEmptyStorage = () => ({
+  version: STORAGE_VERSION,
+  lastUpdated: new Date().toISOString(),
+  seasons: {}
+});
+
+const createEmptySeason = () => ({
+  episodes: {},
+  templates: {},
+  fingerprints: {},
+  updatedAt: null
+});
+
+const createEmptyMarkers = () => ({
+  [MARKER_TYPES.INTRO]: null,
+  [MARKER_TYPES.CREDITS]: null
+});
+
+/**
+ * Get all intro marker data from storage
+ */
+export const getAllIntroMarkers = () => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return createEmptyStorage();
+  }
+
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    if (!data) {
+      return createEmptyStorage();
+    }
+
+    const parsed = JSON.parse(data);
+    if (parsed.version !== STORAGE_VERSION || !parsed.seasons) {
+      console.log(`🔄 Resetting intro marker storage from version ${parsed.version}`);
+      return createEmptyStorage();
+    }
+
+    return parsed;
+  } catch (error) {
+    console.error('❌ Error reading intro markers:', error);
+    return createEmptyStorage();
+  }
+};
+
+/**
+ * Save all intro marker data to storage, keeping the most recently played seasons
+ */
+const saveAllIntroMarkers = (data) => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return false;
+  }
+
+  try {
+    let seasons = data.seasons || {};
+
+    const keys = Object.keys(seasons);
+    if (keys.length > MAX_STORED_SEASONS) {
+      seasons = Object.fromEntries(
+        keys
+          .map(key => [key, seasons[key]])
+          .sort(([, a], [, b]) => new Date(b.updatedAt) - new Date(a.updatedAt))
+          .slice(0, MAX_STORED_SEASONS)
+      );
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      lastUpdated: new Date().toISOString(),
+      seasons
+    }));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving intro markers:', error);
+    return false;
+  }
+};
+
+// Read-modify-write one season
+const updateSeason = (showId, seasonId, update) => {
+  const allData = getAllIntroMarkers();
+  const key = getSeasonKey(showId, seasonId);
+  const season = allData.seasons[key] || createEmptySeason();
+
+  if (update(season) === false) {
+    return false;
+  }
+
+  season.updatedAt = new Date().toISOString();
+  allData.seasons[key] = season;
+  return saveAllIntroMarkers(allData);
+};
+
+/**
+ * Get the intro and credits markers of an episode
+ * @returns {Object} { intro, credits }, each { start, end, source } or null.
+ * A manual marker without a range means the user removed it.
+ */
+export const getEpisodeMarkers = (showId, seasonId, episodeId) => {
+  const season = getAllIntroMarkers().seasons[getSeasonKey(showId, seasonId)];
+  return { ...createEmptyMarkers(), ...(season?.episodes[episodeId] || {}) };
+};
+
+/**
+ * Save a marker for an episode. Detected markers don't replace manual ones;
+ * a manual marker with a null range hides the skip button for good.
+ * @param {string} type - MARKER_TYPES value
+ * @param {Object|null} range - { start, end } in seconds
+ * @param {string} source - MARKER_SOURCES value
+ */
+export const saveEpisodeMarker = (showId, seasonId, episodeId, type, range, source = MARKER_SOURCES.MANUAL) => {
+  if (!showId || seasonId == null || episodeId == null || !Object.values(MARKER_TYPES).includes(type)) {
+    return false;
+  }
+
+  return updateSeason(showId, seasonId, (season) => {
+    const markers = season.episodes[episodeId] || createEmptyMarkers();
+    if (source === MARKER_SOURCES.DETECTED && markers[type]?.source === MARKER_SOURCES.MANUAL) {
+      return false;
+    }
+
+    markers[type] = {
+      start: range ? Math.max(0, range.start) : null,
+      end: range ? range.end : null,
+      source,
+      updatedAt: new Date().toISOString()
+    };
+    season.episodes[episodeId] = markers;
+    console.log(`⏭️ ${source === MARKER_SOURCES.MANUAL ? 'Set' : 'Detected'} ${type} for ${getSeasonKey(showId, seasonId)}_e${episodeId}:`, range);
+    return true;
+  });
+};
+
+/**
+ * Forget an episode's marker so it is detected again
+ */
+export const removeEpisodeMarker = (showId, seasonId, episodeId, type) => updateSeason(showId, seasonId, (season) => {
+  if (!season.episodes[episodeId]?.[type]) return false;
+  season.episodes[episodeId][type] = null;
+  return true;
+});
+
+/**
+ * Keep the fingerprints heard in an episode for comparison with the next ones
+ * @param {Object} fingerprints - { intro, credits }, each { start, codes }
+ */
+export const saveEpisodeFingerprint = (showId, seasonId, episodeId, fingerprints) => {
+  if (!showId || seasonId == null || episodeId == null || !fingerprints) return false;
+
+  return updateSeason(showId, seasonId, (season) => {
+    season.fingerprints[episodeId] = {
+      ...Object.fromEntries(Object.values(MARKER_TYPES)
+        .filter(type => fingerprints[type]?.codes?.some(code => code != null))
+        .map(type => [type, { start: fingerprints[type].start, codes: encodeFingerprintCodes(fingerprints[type].codes) }])),
+      savedAt: new Date().toISOString()
+    };
+
+    // Only a few episodes are needed to find the shared theme
+    season.fingerprints = Object.fromEntries(
+      Object.entries(season.fingerprints)
+        .sort(([, a], [, b]) => new Date(b.savedAt) - new Date(a.savedAt))
+        .slice(0, MAX_FINGERPRINTS_PER_SEASON)
+    );
+  });
+};
+
+/**
+ * Fingerprints of other episodes of the season, most recent first
+ * @param {string} type - MARKER_TYPES value
+ * @returns {Array} [{ episodeId, fingerprint: { start, codes } }]
+ */
+export const getSeasonFingerprints = (showId, seasonId, type, excludeEpisodeId = null) => {
+  const season = getAllIntroMarkers().seasons[getSeasonKey(showId, seasonId)];
+  if (!season) return [];
+
+  return Object.entries(season.fingerprints)
+    .filter(([episodeId, entry]) => String(episodeId) !== String(excludeEpisodeId) && entry[type])
+    .sort(([, a], [, b]) => new Date(b.savedAt) - new Date(a.savedAt))
+    .map(([episodeId, entry]) => ({
+      episodeId,
+      fingerprint: { start: entry[type].start, codes: decodeFingerprintCodes(entry[type].codes) }
+    }));
+};
+
+/**
+ * Save the season's theme or credits music as found in one episode
+ * @param {Object} template - { codes }
+ */
+export const saveSeasonTemplate = (showId, seasonId, type, template) => {
+  if (!template?.codes?.length) return false;
+
+  return updateSeason(showId, seasonId, (season) => {
+    season.templates[type] = { codes: encodeFingerprintCodes(template.codes) };
+  });
+};
+
+/**
+ * @returns {Object|null} { codes }
+ */
+export const getSeasonTemplate = (showId, seasonId, type) => {
+  const template = getAllIntroMarkers().seasons[getSeasonKey(showId, seasonId)]?.templates[type];
+  return template ? { codes: decodeFingerprintCodes(template.codes) } : null;
+};
+
+/**
+ * Whether skip intro/credits is turned on. Detection routes the player's
+ * audio through Web Audio, so it is off until the user turns it on.
+ */
+export const isIntroDetectionEnabled = () => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return false;
+  }
+
+  try {
+    return localStorage.getItem(DETECTION_SETTING_KEY) === 'on';
+  } catch (error) {
+    console.error('❌ Error reading intro detection setting:', error);
+    return false;
+  }
+};
+
+export const setIntroDetectionEnabled = (enabled) => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return false;
+  }
+
+  try {
+    localStorage.setItem(DETECTION_SETTING_KEY, enabled ? 'on' : 'off');
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving intro detection setting:', error);
+    return false;
+  }
+};
+
+export default {
+  getSeasonKey,
+  getAllIntroMarkers,
+  getEpisodeMarkers,
+  saveEpisodeMarker,
+  removeEpisodeMarker,
+  saveEpisodeFingerprint,
+  getSeasonFingerprints,
+  saveSeasonTemplate,
+  getSeasonTemplate,
+  isIntroDetectionEnabled,
+  setIntroDetectionEnabled
+};
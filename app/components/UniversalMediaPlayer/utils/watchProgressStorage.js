@@ -5,13 +5,37 @@
  * - Persistent storage across sessions
  * - Automatic cleanup of old data
  * - Backup and restore capabilities
- * - Progress synchronization
+ * - Progress synchronization across devices
+ *
+ * Syncing goes through /api/progress, where devices sharing a sync code (or
+ * passphrase) share their progress. Changed keys are queued and pushed a few
+ * seconds later, then changes from other devices are pulled. Both sides keep
+ * the record with the newest updatedAt (resolveProgressConflict); removed
+ * entries are kept as tombstones so the removal reaches the other devices.
+ * While offline or when the server fails, the queue stays in localStorage and
+ * is retried with backoff.
  */
 
 const STORAGE_KEY = 'flyx_watch_progress';
 const STORAGE_VERSION = '1.0';
 const MAX_STORAGE_ENTRIES = 1000; // Limit storage size
 const AUTO_SAVE_THRESHOLD = 10; // Save progress every 10 seconds of watch time
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000; // Devices offline for longer may bring removed entries back
+
+const SYNC_STATE_KEY = 'flyx_progress_sync';
+const SYNC_ENDPOINT = '/api/progress';
+const SYNC_DEBOUNCE_MS = 10000; // Playback saves every 10 seconds; push them together
+const SYNC_RETRY_BASE_MS = 5000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+const SYNC_PUSH_BATCH_SIZE = 200;
+const SYNC_CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789'; // No l, o, 0 or 1
+
+export const SYNC_CODE_HEADER = 'X-Sync-Code';
+export const MIN_SYNC_CODE_LENGTH = 12;
+export const MAX_SYNC_CODE_LENGTH = 128;
+
+// Dispatched on window after each sync attempt, with { success, received } as detail
+export const PROGRESS_SYNC_EVENT = 'flyx-watch-progress-synced';
 
 /**
  * Generate unique content key for storage
@@ -70,6 +94,7 @@ export const saveAllWatchProgress = (data) => {
       version: STORAGE_VERSION,
       lastUpdated: new Date().toISOString(),
       entries: data.entries || {},
+      tombstones: pruneTombstones(data.tombstones, data.entries || {}),
       metadata: {
         ...data.metadata,
         totalEntries: Object.keys(data.entries || {}).length,
@@ -129,11 +154,14 @@ export const saveWatchProgress = (mediaType, movieId, seasonId, episodeId, progr
   allData.entries[key] = progressEntry;
   allData.lastUpdated = new Date().toISOString();
   
-  return saveAllWatchProgress(allData);
+  const saved = saveAllWatchProgress(allData);
+  if (saved) queueProgressSync([key]);
+  return saved;
 };
 
 /**
- * Mark content as completed
+ * Mark content as completed. Like watching it, this brings a hidden title
+ * back to the watch history rows.
  */
 export const markAsCompleted = (mediaType, movieId, seasonId = null, episodeId = null) => {
   const progress = getWatchProgress(mediaType, movieId, seasonId, episodeId);
@@ -143,7 +171,8 @@ export const markAsCompleted = (mediaType, movieId, seasonId = null, episodeId =
     progress: 1.0,
     currentTime: progress.duration,
     isCompleted: true,
-    completedAt: new Date().toISOString()
+    completedAt: new Date().toISOString(),
+    dismissedAt: null
   });
 };
 
@@ -154,16 +183,45 @@ export const removeWatchProgress = (mediaType, movieId, seasonId = null, episode
   const key = generateContentKey(mediaType, movieId, seasonId, episodeId);
   const allData = getAllWatchProgress();
   
+  if (allData.entries[key]) {
+    allData.tombstones = { ...allData.tombstones, [key]: new Date().toISOString() };
+  }
   delete allData.entries[key];
   allData.lastUpdated = new Date().toISOString();
   
-  return saveAllWatchProgress(allData);
+  const saved = saveAllWatchProgress(allData);
+  if (saved) queueProgressSync([key]);
+  return saved;
+};
+
+/**
+ * Hide a movie or show from the home page's watch history rows. The progress
+ * itself is kept; watching the title again brings it back.
+ */
+export const hideFromWatchHistory = (mediaType, movieId) => {
+  const allData = getAllWatchProgress();
+  const prefix = mediaType === 'tv' ? `tv_${movieId}_` : generateContentKey(mediaType, movieId);
+  const dismissedAt = new Date().toISOString();
+
+  const keys = Object.keys(allData.entries)
+    .filter(key => key === prefix || (mediaType === 'tv' && key.startsWith(prefix)));
+  keys.forEach(key => {
+    allData.entries[key] = { ...allData.entries[key], dismissedAt, updatedAt: dismissedAt };
+  });
+  allData.lastUpdated = dismissedAt;
+
+  const saved = saveAllWatchProgress(allData);
+  if (saved) queueProgressSync(keys);
+  return saved;
 };
 
 /**
  * Get watch progress for entire TV show (all seasons/episodes)
+ * @param {number} episodeCount - Episodes the show has, when known. Without
+ * it totalEpisodes only counts episodes with saved progress, so completionRate
+ * is how much of what was started got finished.
  */
-export const getShowProgress = (movieId) => {
+export const getShowProgress = (movieId, episodeCount = null) => {
   const allData = getAllWatchProgress();
   const showEntries = Object.entries(allData.entries)
     .filter(([key]) => key.startsWith(`tv_${movieId}_`))
@@ -171,7 +229,7 @@ export const getShowProgress = (movieId) => {
     
   if (showEntries.length === 0) {
     return {
-      totalEpisodes: 0,
+      totalEpisodes: episodeCount || 0,
       watchedEpisodes: 0,
       inProgressEpisodes: 0,
       completionRate: 0,
@@ -180,7 +238,7 @@ export const getShowProgress = (movieId) => {
     };
   }
   
-  const totalEpisodes = showEntries.length;
+  const totalEpisodes = Math.max(showEntries.length, episodeCount || 0);
   const watchedEpisodes = showEntries.filter(ep => ep.isCompleted).length;
   const inProgressEpisodes = showEntries.filter(ep => ep.isStarted && !ep.isCompleted).length;
   const totalWatchTime = showEntries.reduce((sum, ep) => sum + (ep.currentTime || 0), 0);
@@ -217,7 +275,7 @@ export const getRecentlyWatched = (limit = 20) => {
   
   return Object.entries(allData.entries)
     .map(([key, data]) => ({ key, ...data }))
-    .filter(item => item.isStarted)
+    .filter(item => item.isStarted && !item.dismissedAt)
     .sort((a, b) => new Date(b.lastWatched) - new Date(a.lastWatched))
     .slice(0, limit);
 };
@@ -230,7 +288,7 @@ export const getContinueWatching = (limit = 10) => {
   
   return Object.entries(allData.entries)
     .map(([key, data]) => ({ key, ...data }))
-    .filter(item => item.isStarted && !item.isCompleted && item.progress > 0.05)
+    .filter(item => item.isStarted && !item.isCompleted && item.progress > 0.05 && !item.dismissedAt)
     .sort((a, b) => new Date(b.lastWatched) - new Date(a.lastWatched))
     .slice(0, limit);
 };
@@ -255,10 +313,11 @@ export const exportWatchProgress = () => {
 export const importWatchProgress = (importData, merge = true) => {
   try {
     const data = JSON.parse(importData);
+    const existing = getAllWatchProgress();
+    const importedKeys = Object.keys(data.entries || {});
     
     if (merge) {
       // Merge with existing data
-      const existing = getAllWatchProgress();
       const merged = {
         ...existing,
         entries: {
@@ -268,10 +327,22 @@ export const importWatchProgress = (importData, merge = true) => {
         lastUpdated: new Date().toISOString()
       };
       
-      return saveAllWatchProgress(merged);
+      const saved = saveAllWatchProgress(merged);
+      if (saved) queueProgressSync(importedKeys);
+      return saved;
     } else {
-      // Replace existing data
-      return saveAllWatchProgress(data);
+      // Replace existing data; entries that aren't in the import count as removed
+      const removedAt = new Date().toISOString();
+      const removedKeys = Object.keys(existing.entries).filter(key => !data.entries?.[key]);
+      const saved = saveAllWatchProgress({
+        ...data,
+        tombstones: {
+          ...existing.tombstones,
+          ...Object.fromEntries(removedKeys.map(key => [key, removedAt]))
+        }
+      });
+      if (saved) queueProgressSync([...importedKeys, ...removedKeys]);
+      return saved;
     }
   } catch (error) {
     console.error('❌ Error importing watch progress:', error);
@@ -289,7 +360,22 @@ export const clearAllWatchProgress = () => {
   }
 
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    // With sync on, the removal has to reach the other devices too
+    if (isProgressSyncEnabled()) {
+      const allData = getAllWatchProgress();
+      const keys = Object.keys(allData.entries);
+      const clearedAt = new Date().toISOString();
+      saveAllWatchProgress({
+        entries: {},
+        tombstones: {
+          ...allData.tombstones,
+          ...Object.fromEntries(keys.map(key => [key, clearedAt]))
+        }
+      });
+      queueProgressSync(keys);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
     console.log('✅ Cleared all watch progress data');
     return true;
   } catch (error) {
@@ -325,6 +411,378 @@ export const getStorageStats = () => {
   };
 };
 
+// Cross-device sync
+
+/**
+ * Pick the record to keep when two devices changed the same entry. The newest
+ * updatedAt wins; a tie goes to a removal, then to the entry watched
+ * furthest, so every device and the server keep the same one.
+ * @param {Object|null} current - { key, updatedAt, deleted, entry }
+ * @param {Object|null} incoming - Same shape
+ * @returns {Object|null} One of the two records; `current` when neither wins
+ */
+export const resolveProgressConflict = (current, incoming) => {
+  if (!current) return incoming || null;
+  if (!incoming) return current;
+
+  const currentAt = new Date(current.updatedAt).getTime() || 0;
+  const incomingAt = new Date(incoming.updatedAt).getTime() || 0;
+  if (incomingAt !== currentAt) {
+    return incomingAt > currentAt ? incoming : current;
+  }
+
+  if (Boolean(incoming.deleted) !== Boolean(current.deleted)) {
+    return incoming.deleted ? incoming : current;
+  }
+
+  const completed = (record) => (record.entry?.isCompleted ? 1 : 0);
+  if (completed(incoming) !== completed(current)) {
+    return completed(incoming) > completed(current) ? incoming : current;
+  }
+
+  return (incoming.entry?.currentTime || 0) > (current.entry?.currentTime || 0) ? incoming : current;
+};
+
+/**
+ * Sync codes are compared without case, spaces or dashes
+ */
+export const normalizeSyncCode = (code) => String(code || '').toLowerCase().replace(/[\s-]+/g, '');
+
+export const isValidSyncCode = (code) => {
+  const normalized = normalizeSyncCode(code);
+  return normalized.length >= MIN_SYNC_CODE_LENGTH && normalized.length <= MAX_SYNC_CODE_LENGTH;
+};
+
+/**
+ * Generate a random sync code such as "k7dm-x2qa-9fhe-tw4n"
+ */
+export const generateSyncCode = () => {
+  const bytes = new Uint8Array(16);
+  globalThis.crypto.getRandomValues(bytes);
+
+  return Array.from(bytes, byte => SYNC_CODE_ALPHABET[byte % SYNC_CODE_ALPHABET.length])
+    .join('')
+    .match(/.{4}/g)
+    .join('-');
+};
+
+const createEmptySyncState = () => ({
+  syncCode: null,
+  cursor: 0,          // Server revision pulled up to
+  pending: {},        // Keys changed here and not pushed yet
+  attempts: 0,
+  nextRetryAt: null,
+  lastSyncedAt: null,
+  lastError: null
+});
+
+const getSyncState = () => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return createEmptySyncState();
+  }
+
+  try {
+    const data = localStorage.getItem(SYNC_STATE_KEY);
+    return data ? { ...createEmptySyncState(), ...JSON.parse(data) } : createEmptySyncState();
+  } catch (error) {
+    console.error('❌ Error reading progress sync state:', error);
+    return createEmptySyncState();
+  }
+};
+
+const saveSyncState = (state) => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return false;
+  }
+
+  try {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving progress sync state:', error);
+    return false;
+  }
+};
+
+export const isProgressSyncEnabled = () => Boolean(getSyncState().syncCode);
+
+/**
+ * Sync settings and queue state for the settings page
+ */
+export const getProgressSyncStatus = () => {
+  const state = getSyncState();
+  return {
+    enabled: Boolean(state.syncCode),
+    syncCode: state.syncCode,
+    pendingCount: Object.keys(state.pending).length,
+    lastSyncedAt: state.lastSyncedAt,
+    lastError: state.lastError,
+    nextRetryAt: state.nextRetryAt
+  };
+};
+
+let syncTimer = null;
+let syncInFlight = null;
+let syncStarted = false;
+
+const scheduleProgressSync = (delay) => {
+  if (typeof window === 'undefined') return;
+
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    syncWatchProgress();
+  }, delay);
+};
+
+/**
+ * Queue changed keys for the next push
+ */
+const queueProgressSync = (keys) => {
+  const state = getSyncState();
+  if (!state.syncCode || keys.length === 0) return;
+
+  keys.forEach(key => {
+    state.pending[key] = true;
+  });
+  saveSyncState(state);
+
+  // A pending retry keeps its backoff
+  const retryIn = state.nextRetryAt ? new Date(state.nextRetryAt).getTime() - Date.now() : 0;
+  scheduleProgressSync(Math.max(SYNC_DEBOUNCE_MS, retryIn));
+};
+
+// The local side of an entry in sync record form
+const getLocalRecord = (allData, key) => {
+  const entry = allData.entries[key];
+  if (entry) {
+    return { key, updatedAt: entry.updatedAt, deleted: false, entry };
+  }
+
+  const deletedAt = allData.tombstones?.[key];
+  return deletedAt ? { key, updatedAt: deletedAt, deleted: true, entry: null } : null;
+};
+
+/**
+ * Store records from the server that win over the local ones
+ * @returns {number} How many entries changed
+ */
+const applyRemoteProgress = (records = []) => {
+  const allData = getAllWatchProgress();
+  allData.tombstones = { ...allData.tombstones };
+  let changed = 0;
+
+  records.forEach(remote => {
+    const local = getLocalRecord(allData, remote.key);
+    if (resolveProgressConflict(local, remote) !== remote || (remote.deleted && !local)) return;
+
+    if (remote.deleted) {
+      delete allData.entries[remote.key];
+      allData.tombstones[remote.key] = remote.updatedAt;
+    } else {
+      allData.entries[remote.key] = remote.entry;
+      delete allData.tombstones[remote.key];
+    }
+    changed++;
+  });
+
+  if (changed > 0) {
+    saveAllWatchProgress(allData);
+  }
+  return changed;
+};
+
+const requestProgressApi = async (syncCode, { method = 'GET', query = '', body } = {}) => {
+  const response = await fetch(`${SYNC_ENDPOINT}${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      // Passphrases may use any characters; headers only take Latin-1
+      [SYNC_CODE_HEADER]: encodeURIComponent(normalizeSyncCode(syncCode))
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data?.success) {
+    throw new Error(data?.error || `Progress sync failed with status ${response.status}`);
+  }
+  return data;
+};
+
+const finishSync = (state, result) => {
+  saveSyncState(state);
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(PROGRESS_SYNC_EVENT, { detail: result }));
+  }
+  return result;
+};
+
+// Back off exponentially; going back online retries right away
+const scheduleSyncRetry = (state, message, { offline = false } = {}) => {
+  const attempts = state.attempts + 1;
+  const delay = Math.min(SYNC_RETRY_BASE_MS * 2 ** (attempts - 1), SYNC_RETRY_MAX_MS);
+
+  if (offline) {
+    console.log('📴 Offline, watch progress will sync when the connection is back');
+  } else {
+    console.warn(`⚠️ Watch progress sync failed, retrying in ${Math.round(delay / 1000)}s:`, message);
+    scheduleProgressSync(delay);
+  }
+
+  return finishSync(
+    {
+      ...state,
+      attempts,
+      nextRetryAt: offline ? null : new Date(Date.now() + delay).toISOString(),
+      lastError: message
+    },
+    { success: false, received: 0, error: message }
+  );
+};
+
+const runProgressSync = async () => {
+  const state = getSyncState();
+  if (!state.syncCode) {
+    return { success: false, received: 0, error: 'Sync is not set up' };
+  }
+
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return scheduleSyncRetry(state, 'Offline', { offline: true });
+  }
+
+  try {
+    // Push what changed here; the server answers with the records it kept
+    const pendingKeys = Object.keys(state.pending);
+    const pushedAt = {};
+    const kept = [];
+    for (let index = 0; index < pendingKeys.length; index += SYNC_PUSH_BATCH_SIZE) {
+      const allData = getAllWatchProgress();
+      const records = pendingKeys.slice(index, index + SYNC_PUSH_BATCH_SIZE)
+        .map(key => getLocalRecord(allData, key))
+        .filter(Boolean);
+      if (records.length === 0) continue;
+
+      records.forEach(record => {
+        pushedAt[record.key] = record.updatedAt;
+      });
+      const data = await requestProgressApi(state.syncCode, { method: 'PUT', body: { records } });
+      kept.push(...data.records);
+      // Rejected records can never sync; they leave the queue with the rest
+      data.rejected?.forEach(({ key, error }) => {
+        console.warn(`⚠️ Watch progress for ${key} was not synced:`, error);
+      });
+    }
+    let received = applyRemoteProgress(kept);
+    const keptAt = Object.fromEntries(kept.map(record => [record.key, record.updatedAt]));
+
+    // Pull what other devices changed since the last sync
+    let cursor = state.cursor;
+    let hasMore = true;
+    while (hasMore) {
+      const data = await requestProgressApi(state.syncCode, { query: `?since=${cursor}` });
+      received += applyRemoteProgress(data.records);
+      cursor = data.cursor;
+      hasMore = data.hasMore;
+    }
+
+    // Keys changed again while the requests were out stay queued
+    const latest = getSyncState();
+    const allData = getAllWatchProgress();
+    pendingKeys.forEach(key => {
+      const local = getLocalRecord(allData, key);
+      if (!local || local.updatedAt === pushedAt[key] || local.updatedAt === keptAt[key]) {
+        delete latest.pending[key];
+      }
+    });
+    if (Object.keys(latest.pending).length > 0) {
+      scheduleProgressSync(SYNC_DEBOUNCE_MS);
+    }
+
+    if (received > 0) {
+      console.log(`🔄 Synced watch progress: ${received} entries from other devices`);
+    }
+
+    return finishSync(
+      { ...latest, cursor, attempts: 0, nextRetryAt: null, lastSyncedAt: new Date().toISOString(), lastError: null },
+      { success: true, received }
+    );
+  } catch (error) {
+    return scheduleSyncRetry(getSyncState(), error.message);
+  }
+};
+
+/**
+ * Push queued changes and pull those made on other devices. Concurrent
+ * calls share the sync that is running.
+ * @returns {Promise<Object>} { success, received, error }
+ */
+export const syncWatchProgress = () => {
+  if (!syncInFlight) {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+    syncInFlight = runProgressSync().finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+};
+
+/**
+ * Link this device to a sync code. Everything stored here is queued so it
+ * reaches the other devices, and everything from them is pulled.
+ */
+export const enableProgressSync = (syncCode) => {
+  if (!isValidSyncCode(syncCode)) {
+    return false;
+  }
+
+  const allData = getAllWatchProgress();
+  const keys = [...Object.keys(allData.entries), ...Object.keys(allData.tombstones || {})];
+  saveSyncState({
+    ...createEmptySyncState(),
+    syncCode: syncCode.trim(),
+    pending: Object.fromEntries(keys.map(key => [key, true]))
+  });
+
+  console.log(`🔗 Watch progress sync enabled, ${keys.length} entries to upload`);
+  syncWatchProgress();
+  return true;
+};
+
+/**
+ * Stop syncing on this device. Local progress and the server copy are kept.
+ */
+export const disableProgressSync = () => {
+  clearTimeout(syncTimer);
+  syncTimer = null;
+
+  if (typeof window !== 'undefined' && window.localStorage) {
+    localStorage.removeItem(SYNC_STATE_KEY);
+  }
+  console.log('🔗 Watch progress sync disabled');
+};
+
+/**
+ * Sync now and whenever the connection or the tab comes back. Safe to call
+ * from every component that shows progress.
+ */
+export const startProgressSync = () => {
+  if (typeof window === 'undefined' || syncStarted) return;
+  syncStarted = true;
+
+  window.addEventListener('online', () => {
+    if (isProgressSyncEnabled()) syncWatchProgress();
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && isProgressSyncEnabled()) syncWatchProgress();
+  });
+
+  if (isProgressSyncEnabled()) {
+    syncWatchProgress();
+  }
+};
+
 // Helper functions
 
 /**
@@ -335,6 +793,7 @@ function createEmptyStorage() {
     version: STORAGE_VERSION,
     lastUpdated: new Date().toISOString(),
     entries: {},
+    tombstones: {}, // Removed keys and when they were removed, for sync
     metadata: {
       totalEntries: 0,
       storageSize: 0
@@ -361,7 +820,8 @@ function createEmptyProgressEntry(mediaType, movieId, seasonId, episodeId) {
     updatedAt: new Date().toISOString(),
     watchCount: 0,
     resumeCount: 0,
-    completedAt: null
+    completedAt: null,
+    dismissedAt: null // Hidden from the home page rows until watched again
   };
 }
 
@@ -379,6 +839,18 @@ function cleanupOldEntries(entries, maxEntries = MAX_STORAGE_ENTRIES) {
   return Object.fromEntries(keptEntries);
 }
 
+/**
+ * Drop tombstones of entries that exist again and those past their TTL
+ */
+function pruneTombstones(tombstones = {}, entries = {}) {
+  const cutoff = Date.now() - TOMBSTONE_TTL_MS;
+
+  return Object.fromEntries(
+    Object.entries(tombstones || {})
+      .filter(([key, deletedAt]) => !entries[key] && new Date(deletedAt).getTime() > cutoff)
+  );
+}
+
 /**
  * Migrate storage from older versions
  */
@@ -405,6 +877,7 @@ export default {
   saveWatchProgress,
   markAsCompleted,
   removeWatchProgress,
+  hideFromWatchHistory,
   getShowProgress,
   getRecentlyWatched,
   getContinueWatching,
@@ -412,5 +885,15 @@ export default {
   importWatchProgress,
   clearAllWatchProgress,
   getStorageStats,
-  shouldSaveProgress
+  shouldSaveProgress,
+  resolveProgressConflict,
+  normalizeSyncCode,
+  isValidSyncCode,
+  generateSyncCode,
+  isProgressSyncEnabled,
+  getProgressSyncStatus,
+  syncWatchProgress,
+  enableProgressSync,
+  disableProgressSync,
+  startProgressSync
 };
\ No newline at end of file
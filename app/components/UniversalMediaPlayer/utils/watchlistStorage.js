@@ -0,0 +1,347 @@
+/**
+ * Watchlist Storage ("My List")
+ *
+ * Titles saved for later, one item per movie or show, each with a status:
+ * plan to watch, watching, completed or dropped. Watch progress moves the
+ * status along (updateWatchlistFromProgress): starting a title marks it
+ * watching, finishing a movie or every episode of a show marks it completed.
+ * Progress only moves a status forward, except that watching a dropped
+ * title again picks it back up.
+ */
+
+import { getShowProgress, getWatchProgress } from './watchProgressStorage';
+
+const STORAGE_KEY = 'flyx_watchlist';
+const STORAGE_VERSION = '1.0';
+const MAX_STORAGE_ENTRIES = 1000;
+
+// Dispatched on window whenever the list changes, with { key, item } as detail
+export const WATCHLIST_EVENT = 'flyx-watchlist-changed';
+
+export const WATCHLIST_STATUSES = {
+  PLAN_TO_WATCH: 'plan_to_watch',
+  WATCHING: 'watching',
+  COMPLETED: 'completed',
+  DROPPED: 'dropped'
+};
+
+export const WATCHLIST_STATUS_LABELS = {
+  [WATCHLIST_STATUSES.PLAN_TO_WATCH]: 'Plan to watch',
+  [WATCHLIST_STATUSES.WATCHING]: 'Watching',
+  [WATCHLIST_STATUSES.COMPLETED]: 'Completed',
+  [WATCHLIST_STATUSES.DROPPED]: 'Dropped'
+};
+
+export const WATCHLIST_SORTS = {
+  ADDED: 'added',
+  UPDATED: 'updated',
+  TITLE: 'title',
+  RATING: 'rating',
+  RELEASE: 'release'
+};
+
+// Order progress moves a status in
+const STATUS_RANK = {
+  [WATCHLIST_STATUSES.PLAN_TO_WATCH]: 0,
+  [WATCHLIST_STATUSES.WATCHING]: 1,
+  [WATCHLIST_STATUSES.COMPLETED]: 2
+};
+
+/**
+ * Generate the storage key for a movie or show
+ */
+export const getWatchlistKey = (mediaType, movieId) => `${mediaType}_${movieId}`;
+
+const createEmptyStorage = () => ({
+  version: STORAGE_VERSION,
+  lastUpdated: new Date().toISOString(),
+  items: {}
+});
+
+/**
+ * Get all watchlist data from storage
+ */
+export const getAllWatchlist = () => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return createEmptyStorage();
+  }
+
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    if (!data) {
+      return createEmptyStorage();
+    }
+
+    const parsed = JSON.parse(data);
+    if (parsed.version !== STORAGE_VERSION || !parsed.items) {
+      console.log(`🔄 Resetting watchlist storage from version ${parsed.version}`);
+      return createEmptyStorage();
+    }
+
+    return parsed;
+  } catch (error) {
+    console.error('❌ Error reading watchlist:', error);
+    return createEmptyStorage();
+  }
+};
+
+/**
+ * Save all watchlist data to storage, keeping the most recently updated items
+ */
+const saveAllWatchlist = (data, changedKey = null) => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return false;
+  }
+
+  try {
+    let items = data.items || {};
+
+    const keys = Object.keys(items);
+    if (keys.length > MAX_STORAGE_ENTRIES) {
+      items = Object.fromEntries(
+        keys
+          .map(key => [key, items[key]])
+          .sort(([, a], [, b]) => new Date(b.updatedAt) - new Date(a.updatedAt))
+          .slice(0, MAX_STORAGE_ENTRIES)
+      );
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      lastUpdated: new Date().toISOString(),
+      items
+    }));
+    window.dispatchEvent(new CustomEvent(WATCHLIST_EVENT, {
+      detail: { key: changedKey, item: changedKey ? items[changedKey] || null : null }
+    }));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving watchlist:', error);
+    return false;
+  }
+};
+
+/**
+ * Watchlist fields taken from a TMDB movie or show. Fields the object lacks
+ * (cards have no episode count) are left out so they don't overwrite known ones.
+ */
+const toWatchlistMetadata = (media) => Object.fromEntries(Object.entries({
+  title: media.title || media.name,
+  posterPath: media.poster_path,
+  releaseDate: media.release_date || media.first_air_date,
+  voteAverage: media.vote_average,
+  totalEpisodes: media.number_of_episodes
+}).filter(([, value]) => value !== undefined));
+
+/**
+ * Status the stored progress points to, or null when nothing was watched.
+ * A show only counts as completed once its episode count is known.
+ */
+export const getProgressStatus = (mediaType, movieId, totalEpisodes = null) => {
+  if (mediaType === 'movie') {
+    const progress = getWatchProgress('movie', movieId);
+    if (progress.isCompleted) return WATCHLIST_STATUSES.COMPLETED;
+    return progress.isStarted ? WATCHLIST_STATUSES.WATCHING : null;
+  }
+
+  const showProgress = getShowProgress(movieId, totalEpisodes);
+  if (totalEpisodes && showProgress.completionRate >= 1) return WATCHLIST_STATUSES.COMPLETED;
+  return showProgress.watchedEpisodes + showProgress.inProgressEpisodes > 0 ? WATCHLIST_STATUSES.WATCHING : null;
+};
+
+// When the title was last watched, for picking dropped titles back up
+const getLastWatched = (mediaType, movieId) => {
+  if (mediaType === 'movie') {
+    const progress = getWatchProgress('movie', movieId);
+    return progress.isStarted ? progress.lastWatched : null;
+  }
+
+  return getShowProgress(movieId).episodes
+    .map(episode => episode.lastWatched)
+    .sort()
+    .pop() || null;
+};
+
+/**
+ * Get a watchlist item
+ * @returns {Object|null} { mediaType, movieId, title, posterPath, releaseDate,
+ * voteAverage, totalEpisodes, status, addedAt, updatedAt, statusChangedAt }
+ */
+export const getWatchlistItem = (mediaType, movieId) => getAllWatchlist().items[getWatchlistKey(mediaType, movieId)] || null;
+
+export const isInWatchlist = (mediaType, movieId) => Boolean(getWatchlistItem(mediaType, movieId));
+
+/**
+ * Add a title to the list, or refresh its details if it's already there
+ * @param {Object} media - TMDB movie or show, with media_type
+ * @param {string} status - WATCHLIST_STATUSES value; by default what the
+ * progress points to, or plan to watch
+ */
+export const addToWatchlist = (media, status = null) => {
+  const mediaType = media?.media_type;
+  if (!media?.id || !['movie', 'tv'].includes(mediaType)) {
+    return false;
+  }
+  if (status && !Object.values(WATCHLIST_STATUSES).includes(status)) {
+    return false;
+  }
+
+  const allData = getAllWatchlist();
+  const key = getWatchlistKey(mediaType, media.id);
+  const now = new Date().toISOString();
+  const existing = allData.items[key];
+  const metadata = toWatchlistMetadata(media);
+
+  const nextStatus = status
+    || existing?.status
+    || getProgressStatus(mediaType, media.id, metadata.totalEpisodes)
+    || WATCHLIST_STATUSES.PLAN_TO_WATCH;
+
+  allData.items[key] = {
+    mediaType,
+    movieId: media.id,
+    title: null,
+    posterPath: null,
+    releaseDate: null,
+    voteAverage: null,
+    totalEpisodes: null,
+    ...existing,
+    ...metadata,
+    status: nextStatus,
+    addedAt: existing?.addedAt || now,
+    updatedAt: now,
+    statusChangedAt: existing?.status === nextStatus ? existing.statusChangedAt : now
+  };
+
+  if (!existing) {
+    console.log(`📌 Added ${key} to watchlist as ${nextStatus}`);
+  }
+  return saveAllWatchlist(allData, key);
+};
+
+/**
+ * Update the details of a title already in the list, e.g. from its details
+ * page. Unlike addToWatchlist this leaves updatedAt alone, so looking at a
+ * title doesn't move it up the "recently updated" sort.
+ * @param {Object} media - TMDB movie or show, with media_type
+ * @returns {boolean} True when details changed and were saved
+ */
+export const refreshWatchlistItem = (media) => {
+  const mediaType = media?.media_type;
+  if (!media?.id || !['movie', 'tv'].includes(mediaType)) return false;
+
+  const allData = getAllWatchlist();
+  const key = getWatchlistKey(mediaType, media.id);
+  const existing = allData.items[key];
+  if (!existing) return false;
+
+  const metadata = toWatchlistMetadata(media);
+  if (Object.entries(metadata).every(([field, value]) => existing[field] === value)) return false;
+
+  allData.items[key] = { ...existing, ...metadata };
+  return saveAllWatchlist(allData, key);
+};
+
+/**
+ * Remove a title from the list
+ */
+export const removeFromWatchlist = (mediaType, movieId) => {
+  const allData = getAllWatchlist();
+  const key = getWatchlistKey(mediaType, movieId);
+  if (!allData.items[key]) return false;
+
+  delete allData.items[key];
+  console.log(`📌 Removed ${key} from watchlist`);
+  return saveAllWatchlist(allData, key);
+};
+
+/**
+ * Set a title's status by hand
+ */
+export const setWatchlistStatus = (mediaType, movieId, status) => {
+  const allData = getAllWatchlist();
+  const key = getWatchlistKey(mediaType, movieId);
+  const item = allData.items[key];
+  if (!item || !Object.values(WATCHLIST_STATUSES).includes(status) || item.status === status) return false;
+
+  const now = new Date().toISOString();
+  allData.items[key] = { ...item, status, updatedAt: now, statusChangedAt: now };
+  return saveAllWatchlist(allData, key);
+};
+
+/**
+ * Move a title's status along with its watch progress
+ * @returns {string|null} The new status, or null when it didn't change
+ */
+export const updateWatchlistFromProgress = (mediaType, movieId) => {
+  const item = getWatchlistItem(mediaType, movieId);
+  if (!item) return null;
+
+  const progressStatus = getProgressStatus(mediaType, movieId, item.totalEpisodes);
+  if (!progressStatus || progressStatus === item.status) return null;
+
+  const moves = item.status === WATCHLIST_STATUSES.DROPPED
+    // Only watching it again after dropping it counts
+    ? new Date(getLastWatched(mediaType, movieId)) > new Date(item.statusChangedAt)
+    : STATUS_RANK[progressStatus] > STATUS_RANK[item.status];
+  if (!moves) return null;
+
+  const allData = getAllWatchlist();
+  const key = getWatchlistKey(mediaType, movieId);
+  const now = new Date().toISOString();
+  allData.items[key] = { ...item, status: progressStatus, updatedAt: now, statusChangedAt: now };
+  console.log(`📌 ${key} is now ${progressStatus}`);
+
+  return saveAllWatchlist(allData, key) ? progressStatus : null;
+};
+
+/**
+ * Apply progress to every item, for progress that came from another device
+ * or an import
+ * @returns {number} Items whose status changed
+ */
+export const reconcileWatchlistWithProgress = () => Object.values(getAllWatchlist().items)
+  .filter(item => updateWatchlistFromProgress(item.mediaType, item.movieId))
+  .length;
+
+const SORTERS = {
+  [WATCHLIST_SORTS.ADDED]: (a, b) => new Date(b.addedAt) - new Date(a.addedAt),
+  [WATCHLIST_SORTS.UPDATED]: (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt),
+  [WATCHLIST_SORTS.TITLE]: (a, b) => (a.title || '').localeCompare(b.title || ''),
+  [WATCHLIST_SORTS.RATING]: (a, b) => (b.voteAverage || 0) - (a.voteAverage || 0),
+  [WATCHLIST_SORTS.RELEASE]: (a, b) => (b.releaseDate || '').localeCompare(a.releaseDate || '')
+};
+
+/**
+ * Watchlist items, filtered and sorted
+ * @param {Object} options - { status, mediaType, sortBy }; a missing filter matches everything
+ * @returns {Array} Items with their storage key
+ */
+export const getWatchlist = ({ status = null, mediaType = null, sortBy = WATCHLIST_SORTS.ADDED } = {}) => Object.entries(getAllWatchlist().items)
+  .map(([key, item]) => ({ key, ...item }))
+  .filter(item => (!status || item.status === status) && (!mediaType || item.mediaType === mediaType))
+  .sort(SORTERS[sortBy] || SORTERS[WATCHLIST_SORTS.ADDED]);
+
+/**
+ * Number of items per status
+ */
+export const getWatchlistCounts = () => Object.values(getAllWatchlist().items).reduce(
+  (counts, item) => ({ ...counts, [item.status]: (counts[item.status] || 0) + 1 }),
+  Object.fromEntries(Object.values(WATCHLIST_STATUSES).map(status => [status, 0]))
+);
+
+export default {
+  getWatchlistKey,
+  getAllWatchlist,
+  getWatchlistItem,
+  isInWatchlist,
+  addToWatchlist,
+  refreshWatchlistItem,
+  removeFromWatchlist,
+  setWatchlistStatus,
+  getProgressStatus,
+  updateWatchlistFromProgress,
+  reconcileWatchlistWithProgress,
+  getWatchlist,
+  getWatchlistCounts
+};
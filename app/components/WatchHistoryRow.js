@@ -0,0 +1,134 @@
+'use client'
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import "./Results.css"
+import "./WatchHistoryRow.css"
+import {
+  PROGRESS_SYNC_EVENT,
+  hideFromWatchHistory,
+  startProgressSync
+} from './UniversalMediaPlayer/utils/watchProgressStorage';
+import {
+  getResumeUrl,
+  getWatchEntryLabel,
+  getWatchHistoryEntries,
+  hydrateWatchEntries
+} from '../utils/watchHistory';
+
+// TMDB lookups shared by both rows and kept while the app is open
+const metadataCache = new Map();
+
+/**
+ * Home page row of titles from the local watch history ("Continue Watching"
+ * or "Recently Watched"). Renders nothing until there is something to show.
+ */
+const WatchHistoryRow = ({ category }) => {
+  const router = useRouter();
+  const [items, setItems] = useState([]);
+  const [scrollState, setScrollState] = useState(0);
+  const carouselRef = useRef(null);
+
+  const loadItems = useCallback(async () => {
+    const entries = getWatchHistoryEntries(category);
+    if (entries.length === 0) {
+      setItems([]);
+      return;
+    }
+
+    try {
+      setItems(await hydrateWatchEntries(entries, { cache: metadataCache }));
+    } catch (error) {
+      console.error('❌ Error loading watch history row:', error);
+      setItems([]);
+    }
+  }, [category]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  // Reload when progress from another device comes in
+  useEffect(() => {
+    const handleSync = (event) => {
+      if (event.detail?.received > 0) loadItems();
+    };
+
+    window.addEventListener(PROGRESS_SYNC_EVENT, handleSync);
+    startProgressSync();
+    return () => window.removeEventListener(PROGRESS_SYNC_EVENT, handleSync);
+  }, [loadItems]);
+
+  const handleArrowScroll = (direction) => {
+    carouselRef.current?.scrollBy({ left: direction === 'left' ? -300 : 300, behavior: 'smooth' });
+  };
+
+  const handleRemove = (event, item) => {
+    event.stopPropagation();
+    hideFromWatchHistory(item.mediaType, item.movieId);
+    setItems(prev => prev.filter(other => other.key !== item.key));
+  };
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="results watch-history-row">
+      <h2>{category}</h2>
+      <div className="carousel-container">
+        {scrollState === 0 ? null : (
+          <button className="left-arrow" onClick={() => handleArrowScroll('left')}>
+            ◀
+          </button>
+        )}
+        <div
+          className="movies-carousel"
+          ref={carouselRef}
+          onScroll={(event) => setScrollState(event.target.scrollLeft)}
+        >
+          {items.map((item) => (
+            <div
+              key={item.key}
+              className="movie-card watch-history-card"
+              onClick={() => router.push(getResumeUrl(item))}
+              title={item.isCompleted ? `Watch ${item.title} again` : `Resume ${item.title}`}
+            >
+              {item.posterPath ? (
+                <img src={`https://image.tmdb.org/t/p/w500${item.posterPath}`} alt={item.title} />
+              ) : (
+                <div className="watch-history-no-poster">{item.title}</div>
+              )}
+              <button
+                className="watch-history-remove"
+                onClick={(event) => handleRemove(event, item)}
+                aria-label={`Remove ${item.title} from ${category}`}
+                title={`Remove from ${category}`}
+              >
+                ✕
+              </button>
+              <div className="watch-history-info">
+                <p className="watch-history-title">{item.title}</p>
+                {item.episodeName && <p className="watch-history-episode">{item.episodeName}</p>}
+                <p className="watch-history-label">{getWatchEntryLabel(item)}</p>
+                <div className="watch-history-progress">
+                  <div
+                    className="watch-history-progress-fill"
+                    style={{ width: `${Math.round((item.isCompleted ? 1 : item.progress || 0) * 100)}%` }}
+                  />
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+        {items.length > 4 && (
+          <button className="right-arrow" onClick={() => handleArrowScroll('right')}>
+            ▶
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WatchHistoryRow;
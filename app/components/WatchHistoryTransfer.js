@@ -0,0 +1,243 @@
+'use client'
+
+import React, { useRef, useState } from 'react';
+import { generateContentKey } from './UniversalMediaPlayer/utils/watchProgressStorage';
+import { getWatchEntryLabel } from '../utils/watchHistory';
+import {
+  HISTORY_FORMATS,
+  applyHistoryImport,
+  buildImportEntries,
+  describeHistoryItem,
+  exportHistory,
+  matchHistoryItems,
+  parseHistoryFile,
+  previewHistoryImport
+} from '../utils/watchHistoryTransfer';
+
+const FORMAT_LABELS = {
+  [HISTORY_FORMATS.FLYX]: 'Flyx backup (JSON)',
+  [HISTORY_FORMATS.TRAKT]: 'Trakt (JSON)',
+  [HISTORY_FORMATS.LETTERBOXD]: 'Letterboxd (CSV, movies)'
+};
+
+// TMDB lookups shared by imports and exports while the page is open
+const lookupCache = new Map();
+
+const downloadFile = ({ filename, mimeType, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'unknown date');
+
+/**
+ * Settings section to export watch history and import it from a Flyx
+ * backup, Trakt or Letterboxd, with a preview of what changes before merging.
+ */
+const WatchHistoryTransfer = () => {
+  const fileInputRef = useRef(null);
+  const [exporting, setExporting] = useState(null);
+  const [importState, setImportState] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setMessage(null);
+    try {
+      downloadFile(await exportHistory(format, { cache: lookupCache }));
+    } catch (error) {
+      console.error('❌ Error exporting watch history:', error);
+      setMessage({ error: true, text: `Export failed: ${error.message}` });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setMessage(null);
+    let parsed;
+    try {
+      parsed = parseHistoryFile(await file.text());
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+      return;
+    }
+
+    setImportState({ step: 'matching', format: parsed.format, done: 0, total: parsed.items.length });
+    const { matched, unmatched } = await matchHistoryItems(parsed.items, {
+      cache: lookupCache,
+      onProgress: (done, total) => setImportState(prev => prev && { ...prev, done, total })
+    });
+
+    const incoming = buildImportEntries(matched);
+    const labels = Object.fromEntries(matched.map(({ item, movieId }) => [
+      generateContentKey(item.mediaType, movieId, item.seasonId, item.episodeId),
+      describeHistoryItem(item)
+    ]));
+
+    setImportState({
+      step: 'preview',
+      format: parsed.format,
+      incoming,
+      labels,
+      unmatched,
+      preview: previewHistoryImport(incoming)
+    });
+  };
+
+  const setConflictChoice = (key, useImported) => {
+    setImportState(prev => ({
+      ...prev,
+      preview: {
+        ...prev.preview,
+        conflicts: prev.preview.conflicts.map(conflict => (
+          conflict.key === key ? { ...conflict, useImported } : conflict
+        ))
+      }
+    }));
+  };
+
+  const setAllConflictChoices = (useImported) => {
+    setImportState(prev => ({
+      ...prev,
+      preview: {
+        ...prev.preview,
+        conflicts: prev.preview.conflicts.map(conflict => ({ ...conflict, useImported }))
+      }
+    }));
+  };
+
+  const handleApply = () => {
+    const written = applyHistoryImport(importState.incoming, importState.preview);
+    setMessage(written < 0
+      ? { error: true, text: 'Saving the imported history failed' }
+      : { text: `Imported ${written} entries${importState.unmatched.length ? `; ${importState.unmatched.length} couldn't be matched` : ''}.` });
+    setImportState(null);
+  };
+
+  const renderPreview = () => {
+    const { format, preview, labels, unmatched } = importState;
+    const replacing = preview.conflicts.filter(conflict => conflict.useImported).length;
+
+    return (
+      <div className="settings-preview">
+        <p>
+          {FORMAT_LABELS[format]}: {preview.added.length} new, {preview.conflicts.length} different
+          from yours, {preview.unchanged.length} already here, {unmatched.length} not matched.
+        </p>
+
+        {preview.conflicts.length > 0 && (
+          <>
+            <div className="settings-row">
+              <h3>Different from your history</h3>
+              <button className="settings-button small" onClick={() => setAllConflictChoices(true)}>Use all imported</button>
+              <button className="settings-button small" onClick={() => setAllConflictChoices(false)}>Keep all mine</button>
+            </div>
+            <ul className="settings-list">
+              {preview.conflicts.map(conflict => (
+                <li key={conflict.key}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={conflict.useImported}
+                      onChange={(event) => setConflictChoice(conflict.key, event.target.checked)}
+                    />
+                    <strong>{labels[conflict.key] || conflict.key}</strong>
+                    <span>
+                      Yours: {getWatchEntryLabel(conflict.existing)}, {formatDate(conflict.existing.lastWatched)}
+                      {' \u2192 '}
+                      Imported: {getWatchEntryLabel(conflict.incoming)}, {formatDate(conflict.incoming.lastWatched)}
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {unmatched.length > 0 && (
+          <>
+            <h3>Not matched</h3>
+            <ul className="settings-list">
+              {unmatched.map(({ item, reason }, index) => (
+                <li key={index}>
+                  <strong>{describeHistoryItem(item)}</strong>
+                  <span>{reason}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="settings-row">
+          <button
+            className="settings-button primary"
+            onClick={handleApply}
+            disabled={preview.added.length + replacing === 0}
+          >
+            Import {preview.added.length + replacing} entries
+          </button>
+          <button className="settings-button" onClick={() => setImportState(null)}>Cancel</button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <section className="settings-section">
+      <h2>📦 Import and export history</h2>
+      <p>
+        Export your watch history as a Flyx backup or for Trakt and Letterboxd, or import
+        history from them. You can review what changes before anything is merged.
+      </p>
+
+      <div className="settings-row">
+        {Object.values(HISTORY_FORMATS).map(format => (
+          <button
+            key={format}
+            className="settings-button"
+            onClick={() => handleExport(format)}
+            disabled={Boolean(exporting)}
+          >
+            {exporting === format ? 'Exporting\u2026' : `Export ${FORMAT_LABELS[format]}`}
+          </button>
+        ))}
+      </div>
+
+      <div className="settings-row">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleFile}
+          style={{ display: 'none' }}
+        />
+        <button
+          className="settings-button primary"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={importState?.step === 'matching'}
+        >
+          Import a file
+        </button>
+      </div>
+
+      {importState?.step === 'matching' && (
+        <p className="settings-status">
+          Matching {FORMAT_LABELS[importState.format]} titles with TMDB: {importState.done}/{importState.total}
+        </p>
+      )}
+      {importState?.step === 'preview' && renderPreview()}
+      {message && <p className={`settings-status ${message.error ? 'error' : ''}`}>{message.text}</p>}
+    </section>
+  );
+};
+
+export default WatchHistoryTransfer;
@@ -0,0 +1,99 @@
+'use client'
+
+import React, { useEffect, useState } from 'react';
+import {
+  WATCHLIST_EVENT,
+  WATCHLIST_STATUSES,
+  WATCHLIST_STATUS_LABELS,
+  addToWatchlist,
+  getWatchlistItem,
+  getWatchlistKey,
+  refreshWatchlistItem,
+  removeFromWatchlist,
+  setWatchlistStatus,
+  updateWatchlistFromProgress
+} from './UniversalMediaPlayer/utils/watchlistStorage';
+import './WatchlistButton.css';
+
+/**
+ * Add/remove toggle for My List. The "card" variant is a small overlay for
+ * result cards; the "details" variant also lets you pick the status.
+ * @param {Object} media - TMDB movie or show, with media_type
+ */
+const WatchlistButton = ({ media, variant = 'card' }) => {
+  const mediaType = media?.media_type;
+  const [item, setItem] = useState(null);
+
+  // Details pages have the full episode count and the latest progress
+  useEffect(() => {
+    if (variant !== 'details' || !media?.id) return;
+
+    refreshWatchlistItem(media);
+    updateWatchlistFromProgress(media.media_type, media.id);
+  }, [media, variant]);
+
+  useEffect(() => {
+    if (!media?.id) return undefined;
+
+    setItem(getWatchlistItem(mediaType, media.id));
+
+    const key = getWatchlistKey(mediaType, media.id);
+    const handleChange = (event) => {
+      if (!event.detail?.key || event.detail.key === key) {
+        setItem(getWatchlistItem(mediaType, media.id));
+      }
+    };
+
+    window.addEventListener(WATCHLIST_EVENT, handleChange);
+    return () => window.removeEventListener(WATCHLIST_EVENT, handleChange);
+  }, [mediaType, media?.id]);
+
+  if (!media?.id || !['movie', 'tv'].includes(mediaType)) {
+    return null;
+  }
+
+  const handleToggle = (event) => {
+    // Cards open the title when clicked
+    event.stopPropagation();
+    if (item) {
+      removeFromWatchlist(mediaType, media.id);
+    } else {
+      addToWatchlist(media);
+    }
+  };
+
+  if (variant === 'card') {
+    return (
+      <button
+        className={`watchlist-card-button ${item ? 'active' : ''}`}
+        onClick={handleToggle}
+        title={item ? `In My List: ${WATCHLIST_STATUS_LABELS[item.status]}` : 'Add to My List'}
+        aria-label={item ? 'Remove from My List' : 'Add to My List'}
+      >
+        {item ? '\u2713' : '+'}
+      </button>
+    );
+  }
+
+  return (
+    <div className="watchlist-details">
+      <button className={`watchlist-details-button ${item ? 'active' : ''}`} onClick={handleToggle}>
+        {item ? '\u2713 In My List' : '+ Add to My List'}
+      </button>
+      {item && (
+        <select
+          className="watchlist-status-select"
+          value={item.status}
+          onChange={(event) => setWatchlistStatus(mediaType, media.id, event.target.value)}
+          aria-label="My List status"
+        >
+          {Object.values(WATCHLIST_STATUSES).map(status => (
+            <option key={status} value={status}>{WATCHLIST_STATUS_LABELS[status]}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistButton;
@@ -1,6 +1,6 @@
 'use client'
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useParams, useRouter, useSearchParams } from 'next/navigation';
 import ShowDetails from '../../components/ShowDetails';
 import NavBar from '../../components/NavBar';
@@ -16,6 +16,20 @@ export default function DetailsPage() {
   const [isMediaPlayerActive, setIsMediaPlayerActive] = useState(false);
   const [preventNavigation, setPreventNavigation] = useState(false);
 
+  // Links from the home page's watch history start playback right away:
+  // ?t=<seconds> plus, for shows, &season=<n>&episode=<n>
+  const startTimeParam = searchParams.get('t');
+  const seasonParam = searchParams.get('season');
+  const episodeParam = searchParams.get('episode');
+  const playbackRequest = useMemo(() => {
+    if (startTimeParam === null) return null;
+    return {
+      seasonNumber: seasonParam !== null ? parseInt(seasonParam, 10) : null,
+      episodeNumber: episodeParam !== null ? parseInt(episodeParam, 10) : null,
+      startTime: Math.max(0, parseInt(startTimeParam, 10) || 0)
+    };
+  }, [startTimeParam, seasonParam, episodeParam]);
+
   useEffect(() => {
     const fetchMovieData = async () => {
       if (!params.id) return;
@@ -152,6 +166,7 @@ export default function DetailsPage() {
           movieId={movieData} 
           clearMovie={handleClearMovie} 
           onMediaPlayerStateChange={handleMediaPlayerStateChange}
+          playbackRequest={playbackRequest}
         />
         {!isMediaPlayerActive && <Footer />}
       </div>
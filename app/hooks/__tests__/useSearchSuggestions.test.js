@@ -0,0 +1,78 @@
+/**
+ * Search Suggestion Hook Tests
+ * Tests debouncing, the minimum query length and cancelling requests for
+ * outdated queries
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import { useSearchSuggestions } from '../useSearchSuggestions';
+
+function jsonResponse(body) {
+  return { ok: true, status: 200, json: async () => body };
+}
+
+describe('useSearchSuggestions', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should fetch once the query settles', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ results: [{ id: 1, media_type: 'movie', title: 'Dune' }] }));
+    const { result, rerender } = renderHook(({ query }) => useSearchSuggestions(query), { initialProps: { query: 'du' } });
+
+    rerender({ query: 'dun' });
+    rerender({ query: 'dune' });
+    expect(result.current.loading).toBe(true);
+
+    await act(async () => {
+      jest.advanceTimersByTime(250);
+    });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/tmdb?action=suggest&query=dune');
+    expect(result.current).toMatchObject({ loading: false, suggestions: [{ id: 1, title: 'Dune' }] });
+  });
+
+  test('should not fetch for short queries or when disabled', async () => {
+    const { result, rerender } = renderHook(({ query, enabled }) => useSearchSuggestions(query, { enabled }), {
+      initialProps: { query: 'd', enabled: true }
+    });
+    rerender({ query: 'dune', enabled: false });
+
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(result.current.suggestions).toEqual([]);
+  });
+
+  test('should abort a request in flight when the query changes', async () => {
+    let firstSignal = null;
+    global.fetch
+      .mockImplementationOnce((url, { signal }) => {
+        firstSignal = signal;
+        return new Promise(() => {});
+      })
+      .mockResolvedValueOnce(jsonResponse({ results: [{ id: 2, media_type: 'tv', title: 'The Bear' }] }));
+
+    const { result, rerender } = renderHook(({ query }) => useSearchSuggestions(query), { initialProps: { query: 'dune' } });
+    await act(async () => {
+      jest.advanceTimersByTime(250);
+    });
+
+    rerender({ query: 'the bear' });
+    expect(firstSignal.aborted).toBe(true);
+
+    await act(async () => {
+      jest.advanceTimersByTime(250);
+    });
+
+    expect(result.current.suggestions).toEqual([{ id: 2, media_type: 'tv', title: 'The Bear' }]);
+  });
+});
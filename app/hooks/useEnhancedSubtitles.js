@@ -4,10 +4,28 @@
  * Implements requirements 3.1, 3.2, 3.3, 3.4, 3.5 for enhanced subtitle management
  */
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { parseVTTEnhanced } from '../utils/enhancedVttParser';
+import { getActiveASSCues, parseASS } from '../utils/assParser';
 import { createSubtitleSynchronizer } from '../utils/subtitleSynchronizer';
+import {
+  applySyncCorrection,
+  canConnectMediaAudio,
+  createSpeechActivityMonitor,
+  DEFAULT_SYNC_OPTIONS,
+  IDENTITY_CORRECTION,
+  solveLinearSync,
+  solveSubtitleSync,
+  toCueTime
+} from '../utils/audioSubtitleSync';
 import { createMultiLanguageSubtitleManager, LANGUAGE_PRIORITY_PRESETS } from '../utils/multiLanguageSubtitleManager';
+import { readLocalSubtitleFile } from '../utils/localSubtitleFile';
+import {
+  alignDualCues,
+  findDualCueAt,
+  getDualSubtitleSettings,
+  saveDualSubtitleSettings
+} from '../utils/dualSubtitles';
 
 // Language configuration matching the original useSubtitles
 const REQUESTED_LANGUAGES = [
@@ -20,6 +38,52 @@ const REQUESTED_LANGUAGES = [
   { code: 'fre', name: 'French' }
 ];
 
+// Seconds of played audio auto-sync listens to before fitting
+const AUTO_SYNC_LISTEN_SECONDS = 45;
+
+// VTT and ASS content of an OpenSubtitles file, converted by the download route
+async function downloadSubtitleData(subtitle) {
+  console.log('📥 Downloading subtitle with enhanced processing:', subtitle.downloadLink);
+
+  const response = await fetch('/api/subtitles/download', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ download_link: subtitle.downloadLink, encoding: subtitle.encoding }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Download failed: ${response.status} ${errorText}`);
+  }
+
+  return response.json();
+}
+
+// Resolves once the monitor has heard enough audio; while playback is paused it just waits
+function waitForSpeechCoverage(monitor, seconds, signal, onProgress) {
+  return new Promise((resolve, reject) => {
+    const timer = setInterval(() => {
+      if (signal.aborted) {
+        clearInterval(timer);
+        reject(new Error('Auto-sync cancelled'));
+        return;
+      }
+      if (monitor.isSilent()) {
+        clearInterval(timer);
+        reject(new Error('The video\'s audio cannot be analyzed in this browser'));
+        return;
+      }
+
+      const coverage = monitor.getCoverage();
+      onProgress(Math.min(1, coverage / seconds));
+      if (coverage >= seconds) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 500);
+  });
+}
+
 /**
  * Enhanced subtitle hook with improved parsing and synchronization
  * @param {Object} options - Hook configuration
@@ -31,11 +95,22 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
   const [availableLanguages, setAvailableLanguages] = useState([]);
   const [activeSubtitle, setActiveSubtitle] = useState(null);
   const [currentSubtitleText, setCurrentSubtitleText] = useState('');
+  const [currentStyledCues, setCurrentStyledCues] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [parsingStats, setParsingStats] = useState(null);
   const [synchronizerMetrics, setSynchronizerMetrics] = useState(null);
 
+  // Timing correction for subtitles made for another release
+  const [syncCorrection, setSyncCorrection] = useState(IDENTITY_CORRECTION);
+  const [syncStatus, setSyncStatus] = useState({ state: 'idle' });
+
+  // Second language shown with the active one
+  const [secondarySubtitle, setSecondarySubtitle] = useState(null);
+  const [currentDualCue, setCurrentDualCue] = useState(null);
+  const [managerDualCues, setManagerDualCues] = useState([]);
+  const [dualSubtitleSettings, setDualSubtitleSettings] = useState(getDualSubtitleSettings);
+
   // Multi-language management state
   const [activeLanguage, setActiveLanguage] = useState(null);
   const [languagePriority, setLanguagePriority] = useState(LANGUAGE_PRIORITY_PRESETS.ENGLISH_FIRST);
@@ -46,6 +121,11 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
   const updateIntervalRef = useRef(null);
   const blobUrlsRef = useRef(new Set());
   const multiLanguageManagerRef = useRef(null);
+  const styledCueIdsRef = useRef('');
+  const dualCueIdRef = useRef(null);
+  const speechMonitorRef = useRef(null);
+  const syncAnchorsRef = useRef([]);
+  const autoSyncAbortRef = useRef(null);
 
   // Memory manager integration
   const memoryManagerRef = useRef(null);
@@ -196,17 +276,21 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
         }
       }
 
+      // Files loaded by the user stay listed after the online ones
       if (allSubtitles.length > 0) {
-        setSubtitles(allSubtitles);
-        setAvailableLanguages(allSubtitles.map(s => ({ 
-          langcode: s.langcode, 
-          language: s.language 
-        })));
+        setSubtitles(prev => [...allSubtitles, ...prev.filter(s => s.isLocal)]);
+        setAvailableLanguages(prev => [
+          ...allSubtitles.map(s => ({ 
+            langcode: s.langcode, 
+            language: s.language 
+          })),
+          ...prev.filter(s => s.isLocal)
+        ]);
         console.log(`✅ Enhanced subtitle fetch completed: ${allSubtitles.length} languages`);
       } else {
         console.warn('❌ No subtitles found in any language');
-        setSubtitles([]);
-        setAvailableLanguages([]);
+        setSubtitles(prev => prev.filter(s => s.isLocal));
+        setAvailableLanguages(prev => prev.filter(s => s.isLocal));
       }
     } catch (err) {
       setError(err.message);
@@ -216,14 +300,45 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
     }
   }, [imdbId, season, episode, enabled]);
 
+  // VTT and ASS content for a subtitle, from the language manager for local files
+  const getSubtitleData = useCallback(async (subtitle) => {
+    if (subtitle.isLocal) {
+      // Local files were converted when loaded and live in the language manager
+      const localTrack = multiLanguageManagerRef.current?.getLocalSubtitle(subtitle.langcode);
+      if (!localTrack) {
+        throw new Error(`${subtitle.fileName} is no longer loaded, please add it again`);
+      }
+      return { vtt: localTrack.content, ass: localTrack.ass };
+    }
+
+    // Language menu entries only carry the language; the fetched entry has the link
+    const source = subtitle.downloadLink
+      ? subtitle
+      : subtitles.find(s => s.langcode === subtitle.langcode) || subtitle;
+    return downloadSubtitleData(source);
+  }, [subtitles]);
+
   // Enhanced subtitle selection with improved parsing
   const selectSubtitle = useCallback(async (subtitle) => {
     console.log('🎬 Enhanced subtitle selection:', subtitle?.language);
+
+    // Timing fixes belong to the file they were made for
+    autoSyncAbortRef.current?.abort();
+    syncAnchorsRef.current = [];
+    setSyncCorrection(IDENTITY_CORRECTION);
+    setSyncStatus({ state: 'idle' });
     
+    // The second language has to differ from the first
+    if (!subtitle || subtitle.langcode === secondarySubtitle?.langcode) {
+      setSecondarySubtitle(null);
+    }
+
     if (!subtitle) {
       console.log('🔄 Clearing active subtitle');
       setActiveSubtitle(null);
       setCurrentSubtitleText('');
+      setCurrentStyledCues([]);
+      styledCueIdsRef.current = '';
       if (synchronizerRef.current) {
         synchronizerRef.current.stop();
       }
@@ -234,20 +349,7 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
     setError(null);
     
     try {
-      console.log('📥 Downloading subtitle with enhanced processing:', subtitle.downloadLink);
-      
-      const response = await fetch('/api/subtitles/download', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ download_link: subtitle.downloadLink }),
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Download failed: ${response.status} ${errorText}`);
-      }
-      
-      const responseData = await response.json();
+      const responseData = await getSubtitleData(subtitle);
       if (!responseData.vtt) {
         throw new Error('No VTT content in response');
       }
@@ -296,7 +398,7 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
           type: 'subtitle',
           language: subtitle.language,
           size: blob.size,
-          source: 'opensubtitles'
+          source: subtitle.isLocal ? 'local' : 'opensubtitles'
         });
       }
 
@@ -310,10 +412,23 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
         blobUrlsRef.current.delete(activeSubtitle.blobUrl);
       }
 
+      // ASS/SSA scripts also keep their styled cues for the overlay
+      const assTrack = responseData.ass ? parseASS(responseData.ass) : null;
+      if (assTrack) {
+        console.log('🎨 Styled subtitles loaded:', {
+          format: assTrack.metadata.format,
+          cues: assTrack.cues.length,
+          resolution: `${assTrack.info.playResX}x${assTrack.info.playResY}`
+        });
+      }
+      setCurrentStyledCues([]);
+      styledCueIdsRef.current = '';
+
       const newActiveSubtitle = { 
         ...subtitle, 
         blobUrl,
         cues: parseResult.cues,
+        ass: assTrack,
         parsingMetadata: parseResult.metadata
       };
       
@@ -339,14 +454,101 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
     } finally {
       setLoading(false);
     }
-  }, [activeSubtitle]);
+  }, [activeSubtitle, secondarySubtitle, getSubtitleData]);
+
+  // Show a second language under (or above) the active one
+  const selectSecondarySubtitle = useCallback(async (subtitle) => {
+    if (!subtitle) {
+      setSecondarySubtitle(null);
+      return;
+    }
+
+    setError(null);
+
+    try {
+      const responseData = await getSubtitleData(subtitle);
+      if (!responseData.vtt) {
+        throw new Error('No VTT content in response');
+      }
+
+      const parseResult = parseVTTEnhanced(responseData.vtt, {
+        strictMode: false,
+        enableErrorRecovery: true,
+        sanitizeHtml: true,
+        validateTiming: true,
+        maxCues: 5000
+      });
+      if (parseResult.cues.length === 0) {
+        throw new Error('No valid subtitle cues found in the second language');
+      }
+
+      console.log('🌍 Second subtitle language loaded:', {
+        language: subtitle.language,
+        cues: parseResult.cues.length
+      });
+
+      setSecondarySubtitle({ ...subtitle, cues: parseResult.cues });
+    } catch (err) {
+      setError(err.message);
+      console.error('❌ Second subtitle language error:', err);
+    }
+  }, [getSubtitleData]);
+
+  // Both languages paired line by line; the active file's timing correction moves its lines
+  const dualCues = useMemo(() => {
+    if (activeLanguage) return managerDualCues;
+    if (!activeSubtitle?.cues || !secondarySubtitle) return [];
+    return alignDualCues(applySyncCorrection(activeSubtitle.cues, syncCorrection), secondarySubtitle.cues);
+  }, [activeLanguage, managerDualCues, activeSubtitle, secondarySubtitle, syncCorrection]);
+
+  // State only changes when a different aligned line comes up
+  const updateDualCue = useCallback((currentTime) => {
+    const dualCue = findDualCueAt(dualCues, currentTime);
+    if ((dualCue?.id || null) !== dualCueIdRef.current) {
+      dualCueIdRef.current = dualCue?.id || null;
+      setCurrentDualCue(dualCue);
+    }
+  }, [dualCues]);
+
+  useEffect(() => {
+    dualCueIdRef.current = null;
+    setCurrentDualCue(null);
+  }, [dualCues]);
+
+  const updateDualSubtitleSettings = useCallback((changes) => {
+    setDualSubtitleSettings(prev => saveDualSubtitleSettings({
+      ...prev,
+      ...changes,
+      primary: { ...prev.primary, ...changes.primary },
+      secondary: { ...prev.secondary, ...changes.secondary }
+    }));
+  }, []);
+
+  // Styled cues on the corrected timeline
+  const styledCues = useMemo(() => (
+    activeSubtitle?.ass ? applySyncCorrection(activeSubtitle.ass.cues, syncCorrection) : []
+  ), [activeSubtitle, syncCorrection]);
 
   // High-frequency time update for synchronizer
   const updateSubtitleTime = useCallback((currentTime) => {
     if (synchronizerRef.current && activeSubtitle) {
       synchronizerRef.current.updateTime(currentTime);
     }
-  }, [activeSubtitle]);
+
+    if (dualCues.length > 0) {
+      updateDualCue(currentTime);
+    }
+
+    // Styled cues can overlap, so all active ones are tracked; state only changes with the set
+    if (activeSubtitle?.ass) {
+      const activeCues = getActiveASSCues(styledCues, currentTime);
+      const ids = activeCues.map(cue => cue.id).join(',');
+      if (ids !== styledCueIdsRef.current) {
+        styledCueIdsRef.current = ids;
+        setCurrentStyledCues(activeCues);
+      }
+    }
+  }, [activeSubtitle, styledCues, dualCues, updateDualCue]);
 
   // Start high-frequency updates when video is available
   useEffect(() => {
@@ -364,6 +566,7 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
           // Update multi-language manager if active
           if (multiLanguageManagerRef.current && activeLanguage) {
             multiLanguageManagerRef.current.updateTime(currentTime);
+            updateDualCue(currentTime);
           } else {
             // Fallback to single synchronizer
             updateSubtitleTime(currentTime);
@@ -379,7 +582,7 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
         }
       };
     }
-  }, [videoRef, activeSubtitle, activeLanguage, updateSubtitleTime]);
+  }, [videoRef, activeSubtitle, activeLanguage, updateSubtitleTime, updateDualCue]);
 
   // Initial subtitle fetch
   useEffect(() => {
@@ -403,12 +606,20 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
 
       // Update available languages from manager
       const availableLangs = multiLanguageManagerRef.current.getAvailableLanguages();
-      setAvailableLanguages(availableLangs.map(lang => ({
-        langcode: lang.langCode,
-        language: REQUESTED_LANGUAGES.find(l => l.code === lang.langCode)?.name || lang.langCode,
-        qualityScore: lang.qualityScore,
-        cached: lang.cached
-      })));
+      setAvailableLanguages(prev => availableLangs.map(lang => (
+        lang.local ? prev.find(s => s.langcode === lang.langCode) || {
+          langcode: lang.langCode,
+          language: lang.bestFileName,
+          isLocal: true
+        } : {
+          langcode: lang.langCode,
+          language: REQUESTED_LANGUAGES.find(l => l.code === lang.langCode)?.name || lang.langCode,
+          qualityScore: lang.qualityScore,
+          cached: lang.cached
+        }
+      )));
+
+      setManagerDualCues(multiLanguageManagerRef.current.getDualCues());
 
       console.log('🌍 Multi-language subtitles loaded:', availableLangs.length);
     } catch (error) {
@@ -419,6 +630,47 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
     }
   }, []);
 
+  // Load a subtitle file from the user's disk as its own language track
+  const loadLocalSubtitle = useCallback(async (file) => {
+    if (!multiLanguageManagerRef.current) return null;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const track = await readLocalSubtitleFile(file);
+      const langcode = multiLanguageManagerRef.current.registerLocalSubtitle({
+        content: track.vtt,
+        ass: track.ass,
+        fileName: track.fileName,
+        label: track.label
+      });
+
+      const localSubtitle = {
+        id: langcode,
+        langcode,
+        language: track.label,
+        languageName: track.language?.name ? `${track.language.name} (${track.label})` : track.label,
+        fileName: track.fileName,
+        format: track.format,
+        encoding: track.encoding,
+        isLocal: true
+      };
+
+      setSubtitles(prev => [...prev, localSubtitle]);
+      setAvailableLanguages(prev => [...prev, localSubtitle]);
+
+      await selectSubtitle(localSubtitle);
+      return localSubtitle;
+    } catch (error) {
+      console.error('❌ Error loading local subtitle file:', error);
+      setError(error.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [selectSubtitle]);
+
   const switchLanguage = useCallback(async (langCode, options = {}) => {
     if (!multiLanguageManagerRef.current) return;
 
@@ -433,6 +685,7 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
       });
 
       console.log('🔄 Switched to language:', langCode);
+      setManagerDualCues(multiLanguageManagerRef.current.getDualCues());
     } catch (error) {
       console.error('❌ Error switching language:', error);
       setError(error.message);
@@ -441,6 +694,21 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
     }
   }, []);
 
+  // Second language from the multi-language manager, shown with the active one
+  const switchSecondaryLanguage = useCallback(async (langCode) => {
+    if (!multiLanguageManagerRef.current) return;
+
+    setError(null);
+
+    try {
+      await multiLanguageManagerRef.current.setSecondaryLanguage(langCode);
+      setManagerDualCues(multiLanguageManagerRef.current.getDualCues());
+    } catch (error) {
+      console.error('❌ Error setting secondary language:', error);
+      setError(error.message);
+    }
+  }, []);
+
   const setLanguagePriorityOrder = useCallback((priorityOrder) => {
     setLanguagePriority(priorityOrder);
     if (multiLanguageManagerRef.current) {
@@ -505,6 +773,143 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
     }
   }, [updateSubtitleTime, activeLanguage]);
 
+  // Retime the active subtitle and refresh what's on screen right away
+  const applyTimingCorrection = useCallback((correction) => {
+    setSyncCorrection(correction);
+    styledCueIdsRef.current = '';
+
+    if (synchronizerRef.current) {
+      synchronizerRef.current.setTimingCorrection(correction);
+      if (videoRef?.current) {
+        synchronizerRef.current.updateTime(videoRef.current.currentTime);
+      }
+    }
+
+    console.log('⏱️ Subtitle timing corrected:', {
+      offset: correction.offset.toFixed(3),
+      scale: correction.scale.toFixed(5)
+    });
+  }, [videoRef]);
+
+  // A newer sync point replaces any older one nearby; points far apart reveal a framerate difference
+  const addSyncAnchor = useCallback((anchor, scale) => {
+    syncAnchorsRef.current = [
+      ...syncAnchorsRef.current.filter(existing => (
+        Math.abs(existing.cueTime - anchor.cueTime) >= DEFAULT_SYNC_OPTIONS.minAnchorSpan
+      )),
+      anchor
+    ];
+    return solveLinearSync(syncAnchorsRef.current, { scale });
+  }, []);
+
+  // Listen to the audio for a while and fit the cues to the detected speech
+  const syncToAudio = useCallback(async ({ listenSeconds = AUTO_SYNC_LISTEN_SECONDS } = {}) => {
+    const video = videoRef?.current;
+    if (!video || !activeSubtitle?.cues?.length) return null;
+
+    // Tapping audio Web Audio can't hear would mute the video for good
+    if (speechMonitorRef.current?.media !== video && !canConnectMediaAudio(video)) {
+      setSyncStatus({
+        state: 'unsure',
+        message: "This video's audio can't be analysed. Pick the line you just heard instead."
+      });
+      return null;
+    }
+
+    autoSyncAbortRef.current?.abort();
+    const controller = new AbortController();
+    autoSyncAbortRef.current = controller;
+
+    try {
+      // Web Audio can only tap an element once, so the monitor is kept per element
+      if (speechMonitorRef.current?.media !== video) {
+        speechMonitorRef.current?.monitor.destroy();
+        speechMonitorRef.current = { media: video, monitor: createSpeechActivityMonitor(video) };
+      }
+      const { monitor } = speechMonitorRef.current;
+
+      monitor.reset();
+      monitor.start();
+      setSyncStatus({ state: 'listening', progress: 0 });
+      console.log('🎧 Listening for dialogue to sync subtitles...');
+
+      await waitForSpeechCoverage(monitor, listenSeconds, controller.signal, (progress) => {
+        setSyncStatus({ state: 'listening', progress });
+      });
+
+      const ranges = monitor.getAnalyzedRanges();
+      const result = solveSubtitleSync(activeSubtitle.cues, monitor.getRegions(), ranges);
+      console.log('🎧 Audio sync result:', result);
+
+      if (!result.reliable) {
+        setSyncStatus({
+          state: 'unsure',
+          confidence: result.confidence,
+          message: 'Could not match the subtitles to the dialogue. Pick the line you just heard instead.'
+        });
+        return result;
+      }
+
+      const videoTime = (ranges[0].start + ranges[ranges.length - 1].end) / 2;
+      const correction = addSyncAnchor({ cueTime: toCueTime(videoTime, result), videoTime }, result.scale);
+      applyTimingCorrection(correction);
+      setSyncStatus({ state: 'synced', method: 'audio', confidence: result.confidence });
+      return result;
+    } catch (err) {
+      if (controller.signal.aborted) {
+        setSyncStatus({ state: 'idle' });
+        return null;
+      }
+      console.error('❌ Audio subtitle sync failed:', err);
+      setSyncStatus({ state: 'error', message: err.message });
+      return null;
+    } finally {
+      // A newer run may already own the monitor
+      if (autoSyncAbortRef.current === controller) {
+        autoSyncAbortRef.current = null;
+        speechMonitorRef.current?.monitor.stop();
+      }
+    }
+  }, [videoRef, activeSubtitle, addSyncAnchor, applyTimingCorrection]);
+
+  const cancelAutoSync = useCallback(() => {
+    autoSyncAbortRef.current?.abort();
+  }, []);
+
+  // "This line is now": the given cue (in the file's own timing) starts at the current video time
+  const syncCueToTime = useCallback((cue, videoTime = videoRef?.current?.currentTime) => {
+    if (!cue || typeof videoTime !== 'number') return;
+
+    autoSyncAbortRef.current?.abort();
+    const correction = addSyncAnchor({ cueTime: cue.start, videoTime }, syncCorrection.scale);
+    applyTimingCorrection(correction);
+    setSyncStatus({ state: 'synced', method: 'manual' });
+  }, [videoRef, syncCorrection.scale, addSyncAnchor, applyTimingCorrection]);
+
+  // Lines around the playback position to choose from for syncCueToTime
+  const getSyncCandidates = useCallback((count = 3) => {
+    const cues = activeSubtitle?.cues;
+    if (!cues?.length || !videoRef?.current) return [];
+
+    const cueTime = toCueTime(videoRef.current.currentTime, syncCorrection);
+    const index = cues.findIndex(cue => cue.end >= cueTime);
+    const anchor = index === -1 ? cues.length : index;
+    return cues.slice(Math.max(0, anchor - count), anchor + count);
+  }, [activeSubtitle, videoRef, syncCorrection]);
+
+  const resetSync = useCallback(() => {
+    autoSyncAbortRef.current?.abort();
+    syncAnchorsRef.current = [];
+    applyTimingCorrection(IDENTITY_CORRECTION);
+    setSyncStatus({ state: 'idle' });
+  }, [applyTimingCorrection]);
+
+  // Stop listening when the player goes away; the element keeps playing through Web Audio
+  useEffect(() => () => {
+    autoSyncAbortRef.current?.abort();
+    speechMonitorRef.current?.monitor.destroy();
+  }, []);
+
   return {
     // Original API compatibility
     subtitles,
@@ -514,21 +919,41 @@ export const useEnhancedSubtitles = ({ imdbId, season, episode, enabled, videoRe
     error,
     fetchSubtitles: fetchAllSubtitles,
     selectSubtitle,
+    loadLocalSubtitle,
+
+    // Dual subtitles
+    secondarySubtitle,
+    selectSecondarySubtitle,
+    currentDualCue,
+    dualSubtitleSettings,
+    updateDualSubtitleSettings,
     
     // Enhanced features
     currentSubtitleText,
+    currentStyledCues,
+    assInfo: activeSubtitle?.ass?.info || null,
     parsingStats,
     synchronizerMetrics,
     getCurrentCue,
     getPerformanceMetrics,
     updateSubtitleTime: manualTimeUpdate,
-    
+
+    // Timing correction
+    syncCorrection,
+    syncStatus,
+    syncToAudio,
+    cancelAutoSync,
+    syncCueToTime,
+    getSyncCandidates,
+    resetSync,
+
     // Multi-language features
     activeLanguage,
     languagePriority,
     multiLanguageStats,
     loadMultipleLanguages,
     switchLanguage,
+    switchSecondaryLanguage,
     setLanguagePriorityOrder,
     getMultiLanguageStats,
     
@@ -0,0 +1,83 @@
+'use client'
+
+import { useEffect, useRef, useState } from 'react';
+
+const DEFAULT_DEBOUNCE_MS = 250;
+const DEFAULT_MIN_LENGTH = 2;
+
+/**
+ * As-you-type search suggestions from the TMDB `suggest` action.
+ * Requests are debounced, and a request still in flight is aborted as soon
+ * as the query changes, so results for an old query never replace newer ones.
+ * @param {string} query - Current search input
+ * @param {object} options - { debounceMs, minLength, enabled }
+ * @returns {object} { suggestions, loading, error }
+ */
+export const useSearchSuggestions = (query, options = {}) => {
+  const {
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    minLength = DEFAULT_MIN_LENGTH,
+    enabled = true
+  } = options;
+
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    const trimmed = (query || '').trim();
+
+    // Whatever was in flight belongs to an older query
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+
+    if (!enabled || trimmed.length < minLength) {
+      setSuggestions([]);
+      setLoading(false);
+      setError(null);
+      return undefined;
+    }
+
+    setLoading(true);
+
+    const timer = setTimeout(async () => {
+      const controller = new AbortController();
+      controllerRef.current = controller;
+
+      try {
+        const response = await fetch(`/api/tmdb?action=suggest&query=${encodeURIComponent(trimmed)}`, {
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new Error(`Suggestions failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!controller.signal.aborted) {
+          setSuggestions(data.results || []);
+          setError(null);
+        }
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          console.error('Error fetching search suggestions:', err);
+          setSuggestions([]);
+          setError(err.message);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    }, debounceMs);
+
+    return () => clearTimeout(timer);
+  }, [query, debounceMs, minLength, enabled]);
+
+  // Abort anything still running on unmount
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { suggestions, loading, error };
+};
+
+export default useSearchSuggestions;
@@ -0,0 +1,182 @@
+'use client'
+
+import React, { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import NavBar from '../components/NavBar';
+import Footer from '../components/Footer';
+import {
+  PROGRESS_SYNC_EVENT,
+  getShowProgress,
+  getWatchProgress
+} from '../components/UniversalMediaPlayer/utils/watchProgressStorage';
+import {
+  WATCHLIST_EVENT,
+  WATCHLIST_SORTS,
+  WATCHLIST_STATUSES,
+  WATCHLIST_STATUS_LABELS,
+  getWatchlist,
+  getWatchlistCounts,
+  reconcileWatchlistWithProgress,
+  removeFromWatchlist,
+  setWatchlistStatus
+} from '../components/UniversalMediaPlayer/utils/watchlistStorage';
+import './MyList.css';
+
+const SORT_LABELS = {
+  [WATCHLIST_SORTS.ADDED]: 'Recently added',
+  [WATCHLIST_SORTS.UPDATED]: 'Recently updated',
+  [WATCHLIST_SORTS.TITLE]: 'Title',
+  [WATCHLIST_SORTS.RATING]: 'Rating',
+  [WATCHLIST_SORTS.RELEASE]: 'Release date'
+};
+
+const MEDIA_TYPE_LABELS = {
+  '': 'Movies & TV',
+  movie: 'Movies',
+  tv: 'TV shows'
+};
+
+// Short progress line for a card, or null before anything was watched
+const getProgressLabel = (item) => {
+  if (item.mediaType === 'movie') {
+    const progress = getWatchProgress('movie', item.movieId);
+    if (progress.isCompleted) return 'Watched';
+    return progress.isStarted ? `${Math.round(progress.progress * 100)}% watched` : null;
+  }
+
+  const showProgress = getShowProgress(item.movieId, item.totalEpisodes);
+  if (showProgress.watchedEpisodes + showProgress.inProgressEpisodes === 0) return null;
+  return item.totalEpisodes
+    ? `${showProgress.watchedEpisodes}/${showProgress.totalEpisodes} episodes`
+    : `${showProgress.watchedEpisodes} episodes watched`;
+};
+
+export default function MyListPage() {
+  const [status, setStatus] = useState('');
+  const [mediaType, setMediaType] = useState('');
+  const [sortBy, setSortBy] = useState(WATCHLIST_SORTS.ADDED);
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loaded, setLoaded] = useState(false);
+
+  const loadItems = useCallback(() => {
+    setItems(getWatchlist({ status: status || null, mediaType: mediaType || null, sortBy }));
+    setCounts(getWatchlistCounts());
+    setLoaded(true);
+  }, [status, mediaType, sortBy]);
+
+  useEffect(() => {
+    // Progress may have come from another device or an import since the last visit
+    reconcileWatchlistWithProgress();
+  }, []);
+
+  useEffect(() => {
+    loadItems();
+
+    const handleProgressSynced = (event) => {
+      if (event.detail?.received > 0) reconcileWatchlistWithProgress();
+    };
+
+    window.addEventListener(WATCHLIST_EVENT, loadItems);
+    window.addEventListener(PROGRESS_SYNC_EVENT, handleProgressSynced);
+    return () => {
+      window.removeEventListener(WATCHLIST_EVENT, loadItems);
+      window.removeEventListener(PROGRESS_SYNC_EVENT, handleProgressSynced);
+    };
+  }, [loadItems]);
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="app">
+      <NavBar />
+      <main className="my-list-page">
+        <h1>My List</h1>
+
+        <div className="my-list-tabs" role="tablist">
+          {['', ...Object.values(WATCHLIST_STATUSES)].map(value => (
+            <button
+              key={value || 'all'}
+              role="tab"
+              aria-selected={status === value}
+              className={`my-list-tab ${status === value ? 'active' : ''}`}
+              onClick={() => setStatus(value)}
+            >
+              {value ? WATCHLIST_STATUS_LABELS[value] : 'All'}
+              <span className="my-list-count">{value ? counts[value] || 0 : total}</span>
+            </button>
+          ))}
+        </div>
+
+        <div className="my-list-controls">
+          <select value={mediaType} onChange={(event) => setMediaType(event.target.value)} aria-label="Type">
+            {Object.entries(MEDIA_TYPE_LABELS).map(([value, label]) => (
+              <option key={value || 'all'} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={sortBy} onChange={(event) => setSortBy(event.target.value)} aria-label="Sort by">
+            {Object.values(WATCHLIST_SORTS).map(value => (
+              <option key={value} value={value}>{SORT_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+
+        {loaded && items.length === 0 && (
+          <p className="my-list-empty">
+            {total === 0
+              ? 'Nothing here yet. Use the + on any movie or show to add it to your list.'
+              : 'Nothing matches these filters.'}
+          </p>
+        )}
+
+        <div className="my-list-grid">
+          {items.map(item => {
+            const progressLabel = getProgressLabel(item);
+
+            return (
+              <div key={item.key} className="my-list-card">
+                <Link href={`/details/${item.movieId}?type=${item.mediaType}`} className="my-list-poster">
+                  {item.posterPath ? (
+                    <img src={`https://image.tmdb.org/t/p/w342${item.posterPath}`} alt={item.title || ''} />
+                  ) : (
+                    <div className="my-list-no-poster">{item.title}</div>
+                  )}
+                </Link>
+                <div className="my-list-info">
+                  <Link href={`/details/${item.movieId}?type=${item.mediaType}`} className="my-list-title">
+                    {item.title || 'Untitled'}
+                  </Link>
+                  <p className="my-list-meta">
+                    {item.mediaType === 'tv' ? 'TV' : 'Movie'}
+                    {item.releaseDate && ` \u00b7 ${item.releaseDate.split('-')[0]}`}
+                    {item.voteAverage ? ` \u00b7 ${item.voteAverage.toFixed(1)}⭐` : ''}
+                  </p>
+                  {progressLabel && <p className="my-list-progress">{progressLabel}</p>}
+                  <div className="my-list-actions">
+                    <select
+                      value={item.status}
+                      onChange={(event) => setWatchlistStatus(item.mediaType, item.movieId, event.target.value)}
+                      aria-label="Status"
+                    >
+                      {Object.values(WATCHLIST_STATUSES).map(value => (
+                        <option key={value} value={value}>{WATCHLIST_STATUS_LABELS[value]}</option>
+                      ))}
+                    </select>
+                    <button
+                      className="my-list-remove"
+                      onClick={() => removeFromWatchlist(item.mediaType, item.movieId)}
+                      aria-label={`Remove ${item.title || 'title'} from My List`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </main>
+      <Footer />
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+'use client'
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useParams, useRouter } from 'next/navigation';
+import NavBar from '../../components/NavBar';
+import Footer from '../../components/Footer';
+import styles from './page.module.css';
+
+const SORT_OPTIONS = [
+  { value: 'date', label: 'Newest' },
+  { value: 'popularity', label: 'Most Popular' }
+];
+
+const formatDate = (date) => {
+  if (!date) return null;
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+export default function PersonPage() {
+  const params = useParams();
+  const router = useRouter();
+  const [person, setPerson] = useState(null);
+  const [credits, setCredits] = useState({ cast: [], crew: [] });
+  const [sortBy, setSortBy] = useState('date');
+  const [activeTab, setActiveTab] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [creditsLoading, setCreditsLoading] = useState(true);
+  const [showFullBio, setShowFullBio] = useState(false);
+
+  useEffect(() => {
+    const fetchPerson = async () => {
+      if (!params.id) return;
+
+      try {
+        setLoading(true);
+        const response = await fetch(`/api/tmdb?action=getPerson&personId=${params.id}`);
+        setPerson(response.ok ? await response.json() : null);
+      } catch (error) {
+        console.error('Error fetching person:', error);
+        setPerson(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPerson();
+  }, [params.id]);
+
+  useEffect(() => {
+    const fetchCredits = async () => {
+      if (!params.id) return;
+
+      try {
+        setCreditsLoading(true);
+        const response = await fetch(`/api/tmdb?action=getPersonCredits&personId=${params.id}&sortBy=${sortBy}`);
+        if (response.ok) {
+          const data = await response.json();
+          setCredits({ cast: data.cast || [], crew: data.crew || [] });
+        }
+      } catch (error) {
+        console.error('Error fetching person credits:', error);
+      } finally {
+        setCreditsLoading(false);
+      }
+    };
+
+    fetchCredits();
+  }, [params.id, sortBy]);
+
+  // Open on the tab matching what the person is known for, e.g. Directing -> Crew
+  useEffect(() => {
+    if (!person || activeTab) return;
+    setActiveTab(person.known_for_department && person.known_for_department !== 'Acting' ? 'crew' : 'cast');
+  }, [person, activeTab]);
+
+  const handleNavBarClear = () => {
+    router.push('/');
+  };
+
+  if (loading) {
+    return (
+      <div className="app">
+        <NavBar onClearSearch={handleNavBarClear} />
+        <div style={{ padding: '20px', textAlign: 'center' }}>Loading...</div>
+        <Footer />
+      </div>
+    );
+  }
+
+  if (!person) {
+    return (
+      <div className="app">
+        <NavBar onClearSearch={handleNavBarClear} />
+        <div style={{ padding: '20px', textAlign: 'center' }}>
+          Person not found.
+          <br />
+          <button onClick={handleNavBarClear} style={{ marginTop: '10px' }}>
+            Back to Home
+          </button>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  const tab = activeTab || 'cast';
+  const visibleCredits = credits[tab];
+  const biography = person.biography || '';
+  const isLongBio = biography.length > 600;
+
+  return (
+    <div className="app">
+      <NavBar onClearSearch={handleNavBarClear} />
+      <div className={styles.personPage}>
+        <div className={styles.header}>
+          {person.profile_path ? (
+            <img
+              className={styles.profile}
+              src={`https://image.tmdb.org/t/p/w400${person.profile_path}`}
+              alt={person.name}
+            />
+          ) : (
+            <div className={`${styles.profile} ${styles.noImage}`}>No Image</div>
+          )}
+          <div className={styles.info}>
+            <h1>{person.name}</h1>
+            <ul className={styles.facts}>
+              {person.known_for_department && <li>Known for {person.known_for_department}</li>}
+              {person.birthday && (
+                <li>
+                  Born {formatDate(person.birthday)}
+                  {person.place_of_birth && ` in ${person.place_of_birth}`}
+                </li>
+              )}
+              {person.deathday && <li>Died {formatDate(person.deathday)}</li>}
+            </ul>
+            {biography && (
+              <p className={styles.biography}>
+                {isLongBio && !showFullBio ? `${biography.slice(0, 600).trimEnd()}…` : biography}
+                {isLongBio && (
+                  <button className={styles.bioToggle} onClick={() => setShowFullBio(!showFullBio)}>
+                    {showFullBio ? 'Show less' : 'Read more'}
+                  </button>
+                )}
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className={styles.controls}>
+          <div className={styles.tabs}>
+            <button
+              className={`${styles.tab} ${tab === 'cast' ? styles.active : ''}`}
+              onClick={() => setActiveTab('cast')}
+            >
+              Acting ({credits.cast.length})
+            </button>
+            <button
+              className={`${styles.tab} ${tab === 'crew' ? styles.active : ''}`}
+              onClick={() => setActiveTab('crew')}
+            >
+              Crew ({credits.crew.length})
+            </button>
+          </div>
+          <select
+            className={styles.sort}
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            aria-label="Sort credits"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {creditsLoading ? (
+          <div className={styles.message}>Loading credits...</div>
+        ) : visibleCredits.length === 0 ? (
+          <div className={styles.message}>No {tab === 'cast' ? 'acting' : 'crew'} credits.</div>
+        ) : (
+          <div className={styles.grid}>
+            {visibleCredits.map(credit => (
+              <Link
+                key={`${credit.media_type}-${credit.id}`}
+                href={`/details/${credit.id}?type=${credit.media_type}`}
+                className={styles.card}
+              >
+                {credit.poster_path ? (
+                  <img
+                    className={styles.poster}
+                    src={`https://image.tmdb.org/t/p/w300${credit.poster_path}`}
+                    alt={credit.title}
+                    loading="lazy"
+                  />
+                ) : (
+                  <div className={`${styles.poster} ${styles.noImage}`}>No Image</div>
+                )}
+                <div className={styles.cardInfo}>
+                  <h3>{credit.title}</h3>
+                  <div className={styles.meta}>
+                    <span>{credit.date ? credit.date.substring(0, 4) : 'TBA'}</span>
+                    <span>{credit.media_type === 'movie' ? 'Movie' : 'TV Show'}</span>
+                  </div>
+                  {credit.roles.length > 0 && (
+                    <p className={styles.roles}>
+                      {tab === 'cast' ? 'as ' : ''}{credit.roles.join(', ')}
+                      {credit.episode_count > 0 && ` · ${credit.episode_count} ep.`}
+                    </p>
+                  )}
+                </div>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+      <Footer />
+    </div>
+  );
+}
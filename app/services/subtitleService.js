@@ -1,6 +1,7 @@
 // Frontend subtitle service based on cloudnestra's approach
 // This moves subtitle fetching from vm-server to frontend for better performance
 import { parseVTTEnhanced, parseTimeEnhanced } from '../utils/enhancedVttParser';
+import { convertSrtToVtt } from '../utils/subtitleConversion';
 
 class SubtitleService {
   constructor() {
@@ -102,6 +103,11 @@ class SubtitleService {
       // Use our server-side download proxy
       const proxyUrl = new URL('/api/subtitles/download', window.location.origin);
       proxyUrl.searchParams.set('url', subtitle.downloadLink);
+      // Have the proxy unpack and transcode the file to UTF-8 VTT
+      proxyUrl.searchParams.set('format', 'vtt');
+      if (subtitle.encoding) {
+        proxyUrl.searchParams.set('encoding', subtitle.encoding);
+      }
 
       const response = await fetch(proxyUrl.toString(), {
         method: 'GET',
@@ -121,44 +127,8 @@ class SubtitleService {
         encoding: subtitle.encoding || 'unknown'
       });
       
-      let subtitleContent;
-      
-      // First, try to detect if the content is gzipped
-      const uint8Array = new Uint8Array(arrayBuffer);
-      const isGzipped = uint8Array.length >= 2 && uint8Array[0] === 0x1f && uint8Array[1] === 0x8b;
-      
-      console.log('🔍 File analysis:', {
-        isGzipped,
-        firstBytes: Array.from(uint8Array.slice(0, 10)).map(b => b.toString(16)).join(' ')
-      });
-
-      // Handle gzipped content (most OpenSubtitles files are gzipped)
-      if (isGzipped) {
-        try {
-          // Ensure pako is loaded
-          if (typeof window !== 'undefined' && !window.pako) {
-            console.log('📚 Loading pako library for decompression...');
-            await this.loadPako();
-          }
-
-          if (window.pako) {
-            subtitleContent = window.pako.inflate(arrayBuffer, { to: 'string' });
-            console.log('✅ Successfully decompressed gzipped subtitle:', {
-              originalSize: arrayBuffer.byteLength,
-              decompressedSize: subtitleContent.length
-            });
-          } else {
-            throw new Error('Pako library not available for decompression');
-          }
-        } catch (decompressError) {
-          console.error('❌ Gzip decompression failed:', decompressError);
-          throw new Error(`Failed to decompress gzipped subtitle: ${decompressError.message}`);
-        }
-      } else {
-        // Handle uncompressed content
-        console.log('📄 Processing uncompressed content');
-        subtitleContent = new TextDecoder('utf-8').decode(arrayBuffer);
-      }
+      // The proxy has already unpacked and transcoded the file to UTF-8
+      const subtitleContent = new TextDecoder('utf-8').decode(arrayBuffer);
 
       // Validate we have content
       if (!subtitleContent || subtitleContent.trim().length === 0) {
@@ -224,7 +194,6 @@ class SubtitleService {
         format: subtitle.format,
         originalSize: arrayBuffer.byteLength,
         processedSize: vttContent.length,
-        isGzipped,
         hasValidVTT: vttContent.startsWith('WEBVTT'),
         validationSummary: validation.summary,
         useDirectContent: true
@@ -239,7 +208,6 @@ class SubtitleService {
         processed: true,
         processedAt: Date.now(),
         usedProxy: true,
-        wasGzipped: isGzipped,
         useDirectContent: true  // Flag to indicate we should use content directly
       };
 
@@ -249,25 +217,6 @@ class SubtitleService {
     }
   }
 
-  // Load pako compression library
-  async loadPako() {
-    return new Promise((resolve, reject) => {
-      if (typeof window !== 'undefined' && window.pako) {
-        resolve(window.pako);
-        return;
-      }
-
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/pako/2.1.0/pako.min.js';
-      script.async = true;
-      
-      script.onload = () => resolve(window.pako);
-      script.onerror = () => reject(new Error('Failed to load pako'));
-      
-      document.head.appendChild(script);
-    });
-  }
-
   // Check if content is in SRT format
   isSrtFormat(content) {
     const lines = content.trim().split('\n');
@@ -284,172 +233,9 @@ class SubtitleService {
     return isNumberFirst && hasTimestamp;
   }
 
-  // Convert SRT to VTT format (improved)
+  // Convert SRT to VTT format (shared with /api/subtitles/download)
   convertSrtToVtt(srtContent) {
-    try {
-      let vttContent = 'WEBVTT\n';
-      vttContent += 'NOTE Generated by Flyx subtitle service\n\n';
-      
-      // Clean up the content first
-      let cleanContent = srtContent
-        .replace(/\r\n/g, '\n')  // Normalize line endings
-        .replace(/\r/g, '\n')    // Handle old Mac line endings
-        .trim();
-      
-      // Split into subtitle blocks - be more permissive with splitting
-      const blocks = cleanContent.split(/\n\s*\n/);
-      console.log(`🔍 Processing ${blocks.length} subtitle blocks`);
-      
-      const processedBlocks = [];
-      let validBlockCount = 0;
-      
-      blocks.forEach((block, blockIndex) => {
-        const lines = block.trim().split('\n');
-        if (lines.length < 2) {
-          console.log(`⚠️ Skipping block ${blockIndex}: too few lines (${lines.length})`);
-          return; // Skip blocks with too few lines
-        }
-        
-        // Find the timestamp line (might not always be the second line)
-        let timestampLineIndex = -1;
-        let timestampLine = '';
-        
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i].trim();
-          if (/\d{2}:\d{2}:\d{2}[,.]\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}[,.]\d{3}/.test(line)) {
-            timestampLineIndex = i;
-            timestampLine = line;
-            break;
-          }
-        }
-        
-        if (timestampLineIndex === -1) {
-          console.log(`⚠️ Skipping block ${blockIndex}: no valid timestamp found`);
-          return;
-        }
-        
-        // Convert SRT timestamp format to VTT format
-        // SRT: 00:01:30,500 --> 00:01:33,400
-        // VTT: 00:01:30.500 --> 00:01:33.400
-        const vttTimestamp = timestampLine.replace(/(\d{2}):(\d{2}):(\d{2}),(\d{3})/g, '$1:$2:$3.$4');
-        
-        // Validate VTT timestamp format
-        if (!/\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{3}/.test(vttTimestamp)) {
-          console.warn(`⚠️ Invalid VTT timestamp format in block ${blockIndex}:`, vttTimestamp);
-          return;
-        }
-        
-        // Get subtitle text (everything after the timestamp line)
-        const textLines = lines.slice(timestampLineIndex + 1);
-        const subtitleText = textLines.join('\n').trim();
-        
-        if (!subtitleText) {
-          console.log(`⚠️ Skipping block ${blockIndex}: empty subtitle text`);
-          return;
-        }
-        
-        // Clean up subtitle text (remove some common SRT formatting that doesn't work in VTT)
-        let cleanedText = subtitleText
-          .replace(/{[^}]*}/g, '')  // Remove SRT formatting tags like {y:i}
-          .replace(/\\N/g, '\n')    // Replace \N with actual line breaks
-          .replace(/<font[^>]*>/gi, '') // Remove font tags
-          .replace(/<\/font>/gi, '') // Remove closing font tags
-          .replace(/^\s*$\n/gm, '') // Remove empty lines
-          .trim();
-        
-        // Add cue identifier for better tracking
-        const cueId = `cue-${validBlockCount + 1}`;
-        
-        // Build VTT cue
-        const vttCue = `${cueId}\n${vttTimestamp}\n${cleanedText}`;
-        processedBlocks.push(vttCue);
-        validBlockCount++;
-        
-        if (blockIndex < 3) { // Log first few for debugging
-          console.log(`✅ Processed block ${blockIndex}:`, {
-            cueId,
-            timestamp: vttTimestamp,
-            textLength: cleanedText.length,
-            textPreview: cleanedText.substring(0, 50) + (cleanedText.length > 50 ? '...' : '')
-          });
-        }
-      });
-      
-      if (processedBlocks.length === 0) {
-        console.error('❌ No valid subtitle blocks found after processing');
-        // Fallback to simple conversion
-        return this.convertSrtToVttSimple(srtContent);
-      }
-      
-      vttContent += processedBlocks.join('\n\n');
-      
-      // Ensure proper ending
-      if (!vttContent.endsWith('\n')) {
-        vttContent += '\n';
-      }
-      
-      console.log('🔄 SRT to VTT conversion completed:', {
-        originalBlocks: blocks.length,
-        processedBlocks: processedBlocks.length,
-        validBlocks: validBlockCount,
-        finalLength: vttContent.length,
-        startsWithWebVTT: vttContent.startsWith('WEBVTT'),
-        hasNote: vttContent.includes('NOTE'),
-        firstCuePreview: processedBlocks[0] ? processedBlocks[0].substring(0, 100) + '...' : 'none'
-      });
-      
-      // Show first 400 characters of VTT content for debugging
-      console.log('📄 VTT Content (first 400 chars):\n' + vttContent.substring(0, 400) + '\n[...truncated...]');
-      
-      return vttContent;
-      
-    } catch (error) {
-      console.error('❌ Error converting SRT to VTT:', error);
-      // Fallback to simple conversion
-      return this.convertSrtToVttSimple(srtContent);
-    }
-  }
-
-  // Simple fallback SRT to VTT conversion (improved)
-  convertSrtToVttSimple(srtContent) {
-    console.log('🔄 Using simple SRT to VTT conversion fallback');
-    
-    try {
-      let vttContent = 'WEBVTT\n';
-      vttContent += 'NOTE Simple conversion fallback\n\n';
-      
-      // Clean and normalize content
-      let cleanContent = srtContent
-        .replace(/\r\n/g, '\n')
-        .replace(/\r/g, '\n')
-        .trim();
-      
-      // Simple approach: fix timestamps and remove sequence numbers at start of lines
-      cleanContent = cleanContent
-        .replace(/(\d{2}):(\d{2}):(\d{2}),(\d{3})/g, '$1:$2:$3.$4')  // Fix timestamps
-        .replace(/^\d+\n/gm, '')  // Remove sequence numbers at start of lines
-        .replace(/\n\n\n+/g, '\n\n')  // Clean up extra newlines
-        .trim();
-      
-      vttContent += cleanContent;
-      
-      // Ensure proper ending
-      if (!vttContent.endsWith('\n')) {
-        vttContent += '\n';
-      }
-      
-      console.log('✅ Simple conversion completed:', {
-        finalLength: vttContent.length,
-        startsWithWebVTT: vttContent.startsWith('WEBVTT')
-      });
-      
-      return vttContent;
-      
-    } catch (error) {
-      console.error('❌ Simple conversion also failed:', error);
-      // Ultra-simple fallback
-      return `WEBVTT\nNOTE Conversion failed\n\n00:00:01.000 --> 00:00:05.000\nSubtitle conversion error occurred\n`;
-    }
+    return convertSrtToVtt(srtContent);
   }
 
   // Clean up blob URLs
@@ -640,18 +426,11 @@ Another test line`;
       const convertedVtt = this.convertSrtToVtt(sampleSrt);
       console.log('Converted VTT:', convertedVtt);
       
-      // Test pako loading
-      if (typeof window !== 'undefined') {
-        await this.loadPako();
-        console.log('Pako loaded:', !!window.pako);
-      }
-      
       return {
         success: true,
         tests: {
           srtDetection: this.isSrtFormat(sampleSrt),
-          vttConversion: convertedVtt.startsWith('WEBVTT'),
-          pakoAvailable: typeof window !== 'undefined' ? !!window.pako : false
+          vttConversion: convertedVtt.startsWith('WEBVTT')
         }
       };
       
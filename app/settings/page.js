@@ -0,0 +1,24 @@
+'use client'
+
+import React from 'react';
+import NavBar from '../components/NavBar';
+import Footer from '../components/Footer';
+import PlaybackSettings from '../components/PlaybackSettings';
+import ProgressSyncSettings from '../components/ProgressSyncSettings';
+import WatchHistoryTransfer from '../components/WatchHistoryTransfer';
+import './Settings.css';
+
+export default function SettingsPage() {
+  return (
+    <div className="app">
+      <NavBar />
+      <main className="settings-page">
+        <h1>Settings</h1>
+        <ProgressSyncSettings />
+        <WatchHistoryTransfer />
+        <PlaybackSettings />
+      </main>
+      <Footer />
+    </div>
+  );
+}
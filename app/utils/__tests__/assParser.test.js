@@ -0,0 +1,193 @@
+/**
+ * ASS/SSA Parser Tests
+ * Tests styles, override tags, positioning, karaoke, the plain-text fallback
+ * for unsupported tags and the WebVTT conversion
+ */
+
+import {
+  assToVTT,
+  getActiveASSCues,
+  isASSContent,
+  parseASS,
+  parseASSColor,
+  parseASSScriptInfo,
+  parseASSTime
+} from '../assParser';
+import { parseVTTEnhanced } from '../enhancedVttParser';
+
+const SCRIPT = `\uFEFF[Script Info]
+Title: Test Episode
+ScriptType: v4.00+
+PlayResX: 1920
+PlayResY: 1080
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Open Sans,72,&H00FFFFFF,&H000000FF,&H00202020,&H80000000,0,0,0,0,100,100,0,0,1,3.5,1.5,2,60,60,50,1
+Style: Sign,Arial,48,&H0000FFFF,&H000000FF,&H00000000,&H00000000,0,-1,0,0,100,100,0,0,3,2,0,8,10,10,20,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Comment: 0,0:00:00.00,0:00:05.00,Default,,0,0,0,,This is a comment line
+Dialogue: 0,0:00:01.50,0:00:04.00,Default,Frieren,0,0,0,,{\\i1}Himmel{\\i0} would have done the same,\\Nright?
+Dialogue: 1,0:00:02.00,0:00:03.00,Sign,,0,0,80,,{\\an7\\pos(100,200)\\fad(200,300)\\c&H0000FF&\\b1}Sign text
+Dialogue: 0,0:00:05.00,0:00:07.00,Default,,0,0,0,,{\\k50}Ka{\\kf100}ra{\\ko25}o{\\r}ke
+Dialogue: 0,0:00:08.00,0:00:09.00,Default,,0,0,0,,{\\clip(0,0,100,100)\\t(0,500,\\fs90)}Clipped line
+Dialogue: 0,0:00:10.00,0:00:11.00,Sign,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100 0 100{\\p0}
+Dialogue: 0,0:00:12.00,0:00:11.00,Default,,0,0,0,,Backwards timing
+`;
+
+describe('ASS parser', () => {
+  test('should detect ASS content and parse timestamps and colors', () => {
+    expect(isASSContent(SCRIPT)).toBe(true);
+    expect(isASSContent('WEBVTT\n\n00:00.000 --> 00:01.000\nHi')).toBe(false);
+
+    expect(parseASSTime('0:01:02.50')).toBe(62.5);
+    expect(parseASSTime('1:00:00.05')).toBe(3600.05);
+    expect(parseASSTime('nope')).toBeNull();
+
+    // &HAABBGGRR with inverted alpha, and SSA's decimal colors
+    expect(parseASSColor('&H800000FF')).toEqual({ r: 255, g: 0, b: 0, a: 0.498 });
+    expect(parseASSColor('&H00FF00&')).toEqual({ r: 0, g: 255, b: 0, a: 1 });
+    expect(parseASSColor('16777215')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+  });
+
+  test('should read the script info and derive a missing resolution', () => {
+    expect(parseASSScriptInfo(SCRIPT)).toMatchObject({
+      title: 'Test Episode',
+      playResX: 1920,
+      playResY: 1080,
+      wrapStyle: 0,
+      scaledBorderAndShadow: true
+    });
+    expect(parseASSScriptInfo('[Script Info]\nPlayResX: 640')).toMatchObject({ playResX: 640, playResY: 480 });
+    expect(parseASSScriptInfo('')).toMatchObject({ playResX: 384, playResY: 288 });
+  });
+
+  test('should parse styles by their Format line', () => {
+    const { styles } = parseASS(SCRIPT);
+
+    expect(styles.Default).toMatchObject({
+      fontName: 'Open Sans',
+      fontSize: 72,
+      bold: false,
+      italic: false,
+      outline: 3.5,
+      shadow: 1.5,
+      alignment: 2,
+      marginL: 60,
+      marginV: 50,
+      backColor: { r: 0, g: 0, b: 0, a: 0.498 }
+    });
+    expect(styles.Sign).toMatchObject({
+      fontName: 'Arial',
+      italic: true,
+      borderStyle: 3,
+      alignment: 8,
+      primaryColor: { r: 255, g: 255, b: 0, a: 1 }
+    });
+  });
+
+  test('should turn dialogue into styled segments and skip comments and bad timing', () => {
+    const { cues, metadata } = parseASS(SCRIPT);
+
+    expect(cues).toHaveLength(5);
+    expect(metadata.skippedCues).toBe(1);
+
+    const [dialogue] = cues;
+    expect(dialogue).toMatchObject({
+      start: 1.5,
+      end: 4,
+      actor: 'Frieren',
+      styleName: 'Default',
+      alignment: 2,
+      text: 'Himmel would have done the same,\nright?',
+      margins: { left: 60, right: 60, vertical: 50 },
+      fallback: false
+    });
+    expect(dialogue.segments.map(segment => [segment.text, segment.style.italic])).toEqual([
+      ['Himmel', true],
+      [' would have done the same,\nright?', false]
+    ]);
+  });
+
+  test('should read placement, fades and inline overrides', () => {
+    const sign = parseASS(SCRIPT).cues.find(cue => cue.styleName === 'Sign' && cue.text);
+
+    expect(sign).toMatchObject({
+      layer: 1,
+      alignment: 7,
+      position: { x: 100, y: 200 },
+      margins: { left: 10, right: 10, vertical: 80 },
+      fade: { alphas: [255, 0, 255], times: [0, 200, 700, 1000] }
+    });
+    expect(sign.segments[0].style).toMatchObject({ bold: true, primaryColor: { r: 255, g: 0, b: 0, a: 1 } });
+  });
+
+  test('should time karaoke syllables and reset styles with \\r', () => {
+    const karaoke = parseASS(SCRIPT).cues.find(cue => cue.text === 'Karaoke');
+
+    expect(karaoke.segments.map(segment => [segment.text, segment.karaoke])).toEqual([
+      ['Ka', { type: 'k', start: 0, duration: 0.5 }],
+      ['ra', { type: 'kf', start: 0.5, duration: 1 }],
+      ['o', { type: 'ko', start: 1.5, duration: 0.25 }],
+      ['ke', { type: 'ko', start: 1.5, duration: 0.25 }]
+    ]);
+  });
+
+  test('should flag unsupported tags for the plain-text fallback and drop drawings', () => {
+    const { cues } = parseASS(SCRIPT);
+    const clipped = cues.find(cue => cue.text === 'Clipped line');
+    const drawing = cues.find(cue => cue.start === 10);
+
+    expect(clipped.fallback).toBe(true);
+    expect(clipped.unsupportedTags).toEqual(['clip', 't']);
+    // Tags inside \t are animated, not applied
+    expect(clipped.segments[0].style.fontSize).toBe(72);
+
+    expect(drawing).toMatchObject({ text: '', fallback: true, unsupportedTags: ['p'] });
+  });
+
+  test('should support SSA v4 styles with legacy alignment', () => {
+    const ssa = `[Script Info]
+ScriptType: v4.00
+
+[V4 Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, TertiaryColour, BackColour, Bold, Italic, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, AlphaLevel, Encoding
+Style: Top,Tahoma,24,16777215,255,65280,0,0,0,1,2,0,6,10,10,10,0,0
+
+[Events]
+Format: Marked, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: Marked=0,0:00:01.00,0:00:02.00,Top,,0000,0000,0000,,{\\a9}Middle left
+`;
+    const { cues, styles, metadata } = parseASS(ssa);
+
+    expect(metadata.format).toBe('ssa');
+    expect(styles.Top).toMatchObject({ alignment: 8, outlineColor: { r: 0, g: 255, b: 0, a: 1 } });
+    expect(cues[0]).toMatchObject({ alignment: 4, text: 'Middle left' });
+  });
+
+  test('should return every cue showing at a time, lowest layer first', () => {
+    const { cues } = parseASS(SCRIPT);
+
+    expect(getActiveASSCues(cues, 2.5).map(cue => cue.layer)).toEqual([0, 1]);
+    expect(getActiveASSCues(cues, 4)).toEqual([]);
+  });
+
+  test('should convert to WebVTT that the VTT parser reads back', () => {
+    const vtt = assToVTT(parseASS(SCRIPT));
+
+    expect(vtt).toContain('00:00:01.500 --> 00:00:04.000\n<i>Himmel</i> would have done the same,\nright?');
+    expect(vtt).toContain('00:00:02.000 --> 00:00:03.000 position:5.21% line:18.52%\n<b><i>Sign text</i></b>');
+    expect(vtt).toContain('00:00:05.000 --> 00:00:07.000\nKaraoke');
+    expect(vtt).not.toContain('m 0 0 l');
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { cues } = parseVTTEnhanced(vtt);
+    console.log.mockRestore();
+
+    expect(cues.map(cue => [cue.start, cue.end])).toEqual([[1.5, 4], [2, 3], [5, 7], [8, 9]]);
+  });
+});
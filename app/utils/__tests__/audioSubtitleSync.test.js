@@ -0,0 +1,227 @@
+/**
+ * Audio Subtitle Sync Tests
+ * Tests speech detection on analysis frames and fitting subtitle timing to
+ * detected speech: constant delays, framerate ratios and manual sync points
+ */
+
+import { URL as NodeURL } from 'url';
+import {
+  FRAMERATE_RATIOS,
+  VoiceActivityDetector,
+  applySyncCorrection,
+  canConnectMediaAudio,
+  connectMediaAudio,
+  mapCueTime,
+  measureSpeechFeatures,
+  solveLinearSync,
+  solveSubtitleSync,
+  toCueTime
+} from '../audioSubtitleSync';
+
+// Deterministic pseudo-random numbers so the fixtures never change
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Dialogue with irregular gaps, like a real episode
+function createCues(count, seed = 7) {
+  const random = createRandom(seed);
+  const cues = [];
+  let time = 5;
+  for (let i = 0; i < count; i++) {
+    const duration = 1 + random() * 3;
+    cues.push({ id: `cue-${i}`, start: time, end: time + duration, text: `Line ${i}` });
+    time += duration + 0.3 + random() * 6;
+  }
+  return cues;
+}
+
+// Speech as the detector would report it: a little early or late, some lines missed
+function speechFor(cues, correction, seed = 11) {
+  const random = createRandom(seed);
+  return cues
+    .filter(() => random() > 0.1)
+    .map(cue => ({
+      start: mapCueTime(cue.start, correction) + (random() - 0.5) * 0.3,
+      end: mapCueTime(cue.end, correction) - random() * 0.4
+    }));
+}
+
+describe('audio subtitle sync', () => {
+  test('should measure level and speech-band share of a frame', () => {
+    const timeData = new Float32Array(1024).fill(0.5);
+    // 8 kHz over 16 bins puts 250 Hz in each; bins 2-13 fall inside 300-3400 Hz
+    const frequencyData = new Float32Array(16).fill(-100);
+    frequencyData[4] = -20;
+
+    const features = measureSpeechFeatures(timeData, frequencyData, 8000);
+
+    expect(features.energy).toBeCloseTo(-6.02, 1);
+    expect(features.bandRatio).toBeGreaterThan(0.99);
+
+    frequencyData[4] = -100;
+    frequencyData[15] = -20;
+    expect(measureSpeechFeatures(timeData, frequencyData, 8000).bandRatio).toBeLessThan(0.01);
+    expect(measureSpeechFeatures(new Float32Array(8), frequencyData, 8000).energy).toBe(-Infinity);
+  });
+
+  test('should detect speech regions over an adaptive noise floor', () => {
+    const detector = new VoiceActivityDetector();
+    const quiet = { energy: -45, bandRatio: 0.3 };
+    const voice = { energy: -20, bandRatio: 0.7 };
+    const music = { energy: -20, bandRatio: 0.1 };
+
+    for (let time = 0; time < 10; time += 0.03) {
+      const speaking = (time >= 2 && time < 4) || (time >= 4.1 && time < 5);
+      const playingMusic = time >= 7 && time < 9;
+      detector.process(time, speaking ? voice : playingMusic ? music : quiet);
+    }
+
+    // The 0.1 s breath is bridged; loud music without voice-band energy is not speech
+    const regions = detector.getRegions();
+    expect(regions).toHaveLength(1);
+    expect(regions[0].start).toBeCloseTo(2, 1);
+    expect(regions[0].end).toBeCloseTo(5, 1);
+    expect(detector.getCoverage()).toBeCloseTo(10, 0);
+  });
+
+  test('should split analyzed ranges on seeks and drop short blips', () => {
+    const detector = new VoiceActivityDetector();
+
+    for (let time = 0; time < 3; time += 0.03) {
+      detector.process(time, { energy: time > 1 && time < 1.1 ? -10 : -50, bandRatio: 0.8 });
+    }
+    for (let time = 60; time < 62; time += 0.03) {
+      detector.process(time, { energy: -50, bandRatio: 0.8 });
+    }
+
+    expect(detector.getRegions()).toEqual([]);
+    expect(detector.getAnalyzedRanges().map(range => Math.round(range.start))).toEqual([0, 60]);
+    expect(detector.getCoverage()).toBeCloseTo(5, 0);
+  });
+
+  test('should find a constant delay from a minute of audio', () => {
+    const cues = createCues(150);
+    const truth = { offset: 3.4, scale: 1 };
+    const analyzedRanges = [{ start: 200, end: 260 }];
+    const regions = speechFor(cues, truth).filter(region => region.start >= 200 && region.end <= 260);
+
+    const result = solveSubtitleSync(cues, regions, analyzedRanges);
+
+    expect(result.scale).toBe(1);
+    expect(Math.abs(result.offset - 3.4)).toBeLessThan(0.1);
+    expect(result.reliable).toBe(true);
+    expect(result.confidence).toBeGreaterThan(0.6);
+  });
+
+  test('should find a framerate ratio when the audio spans enough of the file', () => {
+    const cues = createCues(250);
+    const truth = { offset: -1.2, scale: 25 / 23.976 };
+    const analyzedRanges = [{ start: 100, end: 220 }, { start: 600, end: 720 }];
+    const regions = speechFor(cues, truth).filter(region =>
+      analyzedRanges.some(range => region.start >= range.start && region.end <= range.end)
+    );
+
+    const result = solveSubtitleSync(cues, regions, analyzedRanges, { maxOffset: 40 });
+
+    expect(result.scale).toBeCloseTo(25 / 23.976, 6);
+    expect(Math.abs(result.offset + 1.2)).toBeLessThan(0.1);
+    expect(result.reliable).toBe(true);
+  });
+
+  test('should not trust a fit without speech or with too few cues', () => {
+    const cues = createCues(150);
+
+    expect(solveSubtitleSync(cues, [], [{ start: 200, end: 260 }])).toMatchObject({
+      offset: 0,
+      scale: 1,
+      reliable: false
+    });
+    expect(solveSubtitleSync(cues.slice(0, 3), speechFor(cues.slice(0, 3), { offset: 0, scale: 1 }), [{ start: 0, end: 30 }]).reliable).toBe(false);
+    expect(solveSubtitleSync([], [], []).reliable).toBe(false);
+  });
+
+  test('should fit manual sync points, snapping the scale to a framerate ratio', () => {
+    const truth = { offset: 2, scale: 23.976 / 25 };
+    const anchors = [120, 1500].map(cueTime => ({ cueTime, videoTime: mapCueTime(cueTime, truth) + 0.05 }));
+
+    const fitted = solveLinearSync(anchors);
+    expect(fitted.scale).toBe(FRAMERATE_RATIOS[2]);
+    expect(fitted.offset).toBeCloseTo(2.05, 2);
+
+    // Close-together points can't reveal a speed difference, so the given scale stays
+    expect(solveLinearSync([{ cueTime: 100, videoTime: 98.5 }, { cueTime: 160, videoTime: 158.7 }], { scale: 1 }))
+      .toEqual({ offset: expect.closeTo(-1.4, 5), scale: 1 });
+    // A mis-tapped point far away is not read as a framerate change
+    expect(solveLinearSync([{ cueTime: 100, videoTime: 100 }, { cueTime: 700, videoTime: 1000 }]).scale).toBe(1);
+    expect(solveLinearSync([])).toBeNull();
+  });
+
+  test('should map cues both ways and leave the originals alone', () => {
+    const cues = [{ id: 1, start: 10, end: 12, text: 'Hello' }];
+    const correction = { offset: 1.5, scale: 25 / 24 };
+
+    const corrected = applySyncCorrection(cues, correction);
+
+    expect(corrected[0]).toEqual({ id: 1, start: expect.closeTo(11.9167, 4), end: 14, text: 'Hello' });
+    expect(cues[0].start).toBe(10);
+    expect(toCueTime(corrected[0].start, correction)).toBeCloseTo(10, 9);
+    expect(applySyncCorrection(cues, { offset: 0, scale: 1 })).toBe(cues);
+  });
+
+  test('should resume a suspended audio context when the element plays', () => {
+    const context = {
+      state: 'suspended',
+      destination: {},
+      resume: jest.fn(async () => { context.state = 'running'; }),
+      createMediaElementSource: jest.fn(() => ({ connect: jest.fn() }))
+    };
+    const originalURL = global.URL;
+    global.URL = NodeURL;
+    window.AudioContext = jest.fn(() => context);
+    const media = document.createElement('video');
+    media.src = 'blob:http://localhost:3000/6c1f0e2a';
+
+    try {
+      expect(connectMediaAudio(media)).toBe(connectMediaAudio(media));
+      expect(context.createMediaElementSource).toHaveBeenCalledTimes(1);
+      expect(context.resume).not.toHaveBeenCalled();
+
+      media.dispatchEvent(new Event('play'));
+      expect(context.resume).toHaveBeenCalledTimes(1);
+    } finally {
+      global.URL = originalURL;
+      delete window.AudioContext;
+    }
+  });
+
+  test('should refuse media whose audio Web Audio would mute', () => {
+    const originalURL = global.URL;
+    global.URL = NodeURL;
+    window.AudioContext = jest.fn();
+    const media = (src, crossOrigin = null) => {
+      const element = document.createElement('video');
+      element.src = src;
+      if (crossOrigin) element.crossOrigin = crossOrigin;
+      return element;
+    };
+
+    try {
+      expect(canConnectMediaAudio(media('http://localhost:3000/api/stream-proxy?url=x'))).toBe(true);
+      expect(canConnectMediaAudio(media('blob:http://localhost:3000/6c1f0e2a'))).toBe(true);
+      expect(canConnectMediaAudio(media('https://cdn.example.com/movie.mp4', 'anonymous'))).toBe(true);
+      expect(canConnectMediaAudio(media('https://cdn.example.com/movie.mp4'))).toBe(false);
+      expect(canConnectMediaAudio(document.createElement('video'))).toBe(false);
+
+      expect(() => connectMediaAudio(media('https://cdn.example.com/movie.mp4'))).toThrow('CORS');
+      expect(window.AudioContext).not.toHaveBeenCalled();
+    } finally {
+      global.URL = originalURL;
+      delete window.AudioContext;
+    }
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Dual Subtitles Tests
+ * Tests pairing two languages by time overlap, looking lines up during
+ * playback, saved styling, and the language manager's second language
+ */
+
+import {
+  DEFAULT_DUAL_SUBTITLE_SETTINGS,
+  alignDualCues,
+  findDualCueAt,
+  getDualCueText,
+  getDualSubtitleSettings,
+  saveDualSubtitleSettings
+} from '../dualSubtitles';
+import { createMultiLanguageSubtitleManager } from '../multiLanguageSubtitleManager';
+
+const cue = (start, end, text) => ({ id: `${text}-${start}`, start, end, text });
+
+describe('Dual subtitles', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should pair lines that overlap, even when timed slightly differently', () => {
+    const english = [cue(1, 3, 'Hello.'), cue(4, 6, 'How are you?')];
+    const spanish = [cue(1.2, 3.1, 'Hola.'), cue(4.1, 6.2, '\u00bfC\u00f3mo est\u00e1s?')];
+
+    const aligned = alignDualCues(english, spanish);
+
+    expect(aligned).toHaveLength(2);
+    expect(getDualCueText(aligned[0], 'primary')).toBe('Hello.');
+    expect(getDualCueText(aligned[0], 'secondary')).toBe('Hola.');
+    expect(aligned[1]).toMatchObject({ start: 4, end: 6.2 });
+  });
+
+  test('should keep a sentence split over two lines with its translation', () => {
+    const english = [cue(10, 14, 'I never thought we would make it this far.')];
+    const german = [cue(10, 12, 'Ich h\u00e4tte nie gedacht,'), cue(12, 14, 'dass wir so weit kommen.')];
+
+    const aligned = alignDualCues(english, german);
+
+    expect(aligned).toHaveLength(1);
+    expect(getDualCueText(aligned[0], 'secondary')).toBe('Ich h\u00e4tte nie gedacht,\ndass wir so weit kommen.');
+  });
+
+  test('should give a line spanning two others to the one it overlaps most', () => {
+    const english = [cue(20, 22, 'Wait.'), cue(22, 26, 'Where are you going?')];
+    const french = [cue(21.5, 26, 'Attends, o\u00f9 vas-tu ?')];
+
+    const aligned = alignDualCues(english, french);
+
+    expect(aligned.map(line => line.secondary.length)).toEqual([0, 1]);
+  });
+
+  test('should show lines without a partner on their own', () => {
+    const english = [cue(1, 2, 'Hi.'), cue(30, 32, '[door slams]')];
+    const italian = [cue(1, 2, 'Ciao.'), cue(50, 52, 'Fine.')];
+
+    const aligned = alignDualCues(english, italian);
+
+    expect(aligned.map(line => [line.primary.length, line.secondary.length])).toEqual([[1, 1], [1, 0], [0, 1]]);
+    // Barely touching lines are not a pair
+    expect(alignDualCues([cue(0, 4, 'A')], [cue(3.9, 8, 'B')])).toHaveLength(2);
+  });
+
+  test('should find the line showing at a time', () => {
+    const aligned = alignDualCues(
+      [cue(1, 3, 'One'), cue(5, 7, 'Two'), cue(6, 9, 'Overlapping')],
+      [cue(1, 3, 'Uno')]
+    );
+
+    expect(findDualCueAt(aligned, 2)?.primary[0].text).toBe('One');
+    expect(findDualCueAt(aligned, 4)).toBeNull();
+    expect(findDualCueAt(aligned, 6.5)?.primary[0].text).toBe('Overlapping');
+    expect(findDualCueAt(aligned, 8.5)?.primary[0].text).toBe('Overlapping');
+    expect(findDualCueAt(aligned, 0.5)).toBeNull();
+    expect(findDualCueAt([], 1)).toBeNull();
+  });
+
+  test('should save layout and per-language styling over the defaults', () => {
+    expect(getDualSubtitleSettings()).toEqual(DEFAULT_DUAL_SUBTITLE_SETTINGS);
+
+    saveDualSubtitleSettings({ layout: 'split', secondary: { color: '#7fdbff' } });
+
+    expect(getDualSubtitleSettings()).toEqual({
+      ...DEFAULT_DUAL_SUBTITLE_SETTINGS,
+      layout: 'split',
+      secondary: { fontSize: 'small', color: '#7fdbff' }
+    });
+  });
+});
+
+describe('Second language in the language manager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    manager = createMultiLanguageSubtitleManager({ preloadNextLanguage: false });
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should run a second language alongside the active one', async () => {
+    const english = manager.registerLocalSubtitle({
+      content: 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nGood morning\n',
+      fileName: 'movie.en.srt'
+    });
+    const french = manager.registerLocalSubtitle({
+      content: 'WEBVTT\n\n00:00:01.200 --> 00:00:03.000\nBonjour\n',
+      fileName: 'movie.fr.srt'
+    });
+    const primaryChanges = jest.fn();
+    const secondaryChanges = jest.fn();
+    manager.on('subtitleChange', primaryChanges);
+    manager.on('secondarySubtitleChange', secondaryChanges);
+
+    await manager.switchToLanguage(english);
+    await manager.setSecondaryLanguage(french);
+    manager.updateTime(2);
+
+    expect(primaryChanges).toHaveBeenCalledWith(expect.objectContaining({ text: 'Good morning', language: english }));
+    expect(secondaryChanges).toHaveBeenCalledWith(expect.objectContaining({ text: 'Bonjour', language: french }));
+
+    const [line] = manager.getDualCues();
+    expect(getDualCueText(line, 'primary')).toBe('Good morning');
+    expect(getDualCueText(line, 'secondary')).toBe('Bonjour');
+
+    await expect(manager.setSecondaryLanguage(english)).rejects.toThrow('already the primary language');
+
+    // Making the second language the first one turns the second off
+    await manager.switchToLanguage(french);
+    expect(manager.secondaryLanguage).toBeNull();
+    expect(manager.getDualCues()).toEqual([]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Intro Marker Tests
+ * Tests fingerprinting episode audio, finding the theme two episodes share,
+ * recognising it early from a season template, and storing markers
+ */
+
+import {
+  AudioFingerprinter,
+  MARKER_TYPES,
+  detectMarker,
+  detectSharedRange,
+  getActiveMarker,
+  locateTemplate,
+  measureBandEnergies
+} from '../introMarkers';
+import {
+  MARKER_SOURCES,
+  decodeFingerprintCodes,
+  encodeFingerprintCodes,
+  getEpisodeMarkers,
+  getSeasonFingerprints,
+  isIntroDetectionEnabled,
+  removeEpisodeMarker,
+  saveEpisodeFingerprint,
+  saveEpisodeMarker,
+  setIntroDetectionEnabled
+} from '../../components/UniversalMediaPlayer/utils/introMarkerStorage';
+
+const BANDS = 33;
+const CELL = 0.5;
+
+// Small seeded generator so every run hears the same "audio"
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Band energies (dB) per half second of audio
+const makeAudio = (seconds, random) => Array.from(
+  { length: Math.round(seconds / CELL) },
+  () => Array.from({ length: BANDS }, () => -60 + random() * 40)
+);
+
+// Feed audio cells to a fingerprinter as 50 ms frames with a little noise
+const listen = (cells, { windowLength = 300, from = 0, to = Infinity, seed = 99 } = {}) => {
+  const random = createRandom(seed);
+  const fingerprinter = new AudioFingerprinter(0, windowLength);
+  for (let time = from; time < Math.min(to, cells.length * CELL); time += 0.05) {
+    const cell = cells[Math.floor(time / CELL + 1e-9)];
+    fingerprinter.process(time, Float64Array.from(cell, energy => energy + (random() - 0.5)));
+  }
+  return fingerprinter.getFingerprint();
+};
+
+// Ranges may be off by the half second one code covers
+const expectNear = (value, expected) => {
+  expect(Math.abs(value - expected)).toBeLessThanOrEqual(CELL);
+};
+
+const theme = makeAudio(40, createRandom(1));
+
+// An episode: a cold open of `introAt` seconds, the theme, then the episode
+const episode = (introAt, seed) => [
+  ...makeAudio(introAt, createRandom(seed)),
+  ...theme,
+  ...makeAudio(300 - introAt - 40, createRandom(seed + 1))
+];
+
+describe('Intro markers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should measure band energies and ignore silence', () => {
+    const frequencyData = new Float32Array(2048).fill(-Infinity);
+    expect(measureBandEnergies(frequencyData, 48000)).toBeNull();
+
+    frequencyData.fill(-50);
+    const energies = measureBandEnergies(frequencyData, 48000);
+    expect(energies).toHaveLength(BANDS);
+    energies.forEach(energy => expect(energy).toBeCloseTo(-50, 5));
+  });
+
+  test('should find the theme two episodes share', () => {
+    const first = listen(episode(12, 10), { seed: 1 });
+    const second = listen(episode(95, 20), { seed: 2 });
+
+    const shared = detectSharedRange(MARKER_TYPES.INTRO, second, first);
+
+    expectNear(shared.range.start, 95);
+    expectNear(shared.range.end, 135);
+    expectNear(shared.referenceRange.start, 12);
+    expectNear(shared.referenceRange.end, 52);
+    expect(shared.template.codes.length).toBeGreaterThan(70);
+  });
+
+  test('should not match episodes without a shared theme', () => {
+    const first = listen(makeAudio(300, createRandom(5)));
+    const second = listen(makeAudio(300, createRandom(6)));
+
+    expect(detectSharedRange(MARKER_TYPES.INTRO, first, second)).toBeNull();
+  });
+
+  test('should recognise the season template a few seconds into the theme', () => {
+    const first = listen(episode(12, 10), { seed: 1 });
+    const second = listen(episode(95, 20), { seed: 2 });
+    const { template } = detectSharedRange(MARKER_TYPES.INTRO, second, first);
+
+    // Third episode, heard up to 8 seconds into its theme
+    const third = episode(30, 30);
+    expect(locateTemplate(listen(third, { to: 33 }), template)).toBeNull();
+
+    const range = locateTemplate(listen(third, { to: 38 }), template);
+    expectNear(range.start, 30);
+    expectNear(range.end, 70);
+
+    expect(detectMarker(MARKER_TYPES.INTRO, listen(third, { to: 38 }), { template }))
+      .toEqual({ range, reference: null, template: null });
+  });
+
+  test('should show the skip button only inside a range', () => {
+    const markers = {
+      intro: { start: 30, end: 70, source: 'detected' },
+      credits: { start: null, end: null, source: 'manual' }
+    };
+
+    expect(getActiveMarker(markers, 29)).toBeNull();
+    expect(getActiveMarker(markers, 30)).toBe(MARKER_TYPES.INTRO);
+    expect(getActiveMarker(markers, 69.5)).toBeNull();
+    expect(getActiveMarker(markers, 2500)).toBeNull();
+  });
+
+  test('should store markers per show and season and keep manual corrections', () => {
+    saveEpisodeMarker(1396, 1, 2, MARKER_TYPES.INTRO, { start: 95, end: 135 }, MARKER_SOURCES.DETECTED);
+    expect(getEpisodeMarkers(1396, 1, 2).intro).toMatchObject({ start: 95, end: 135, source: 'detected' });
+    expect(getEpisodeMarkers(1396, 2, 2).intro).toBeNull();
+
+    saveEpisodeMarker(1396, 1, 2, MARKER_TYPES.INTRO, { start: 94, end: 130 });
+    saveEpisodeMarker(1396, 1, 2, MARKER_TYPES.INTRO, { start: 95, end: 135 }, MARKER_SOURCES.DETECTED);
+    expect(getEpisodeMarkers(1396, 1, 2).intro).toMatchObject({ start: 94, end: 130, source: 'manual' });
+
+    removeEpisodeMarker(1396, 1, 2, MARKER_TYPES.INTRO);
+    expect(getEpisodeMarkers(1396, 1, 2).intro).toBeNull();
+  });
+
+  test('should keep fingerprints of a few recent episodes', () => {
+    const codes = [null, 0, 0xffffffff, 0x12ab34cd];
+    expect(decodeFingerprintCodes(encodeFingerprintCodes(codes))).toEqual(codes);
+
+    jest.useFakeTimers();
+    [1, 2, 3, 4].forEach((episodeId, index) => {
+      jest.setSystemTime(new Date(Date.UTC(2025, 0, 1, 12, index)));
+      saveEpisodeFingerprint(1396, 1, episodeId, { intro: { start: 0, codes }, credits: null });
+    });
+    jest.useRealTimers();
+
+    const stored = getSeasonFingerprints(1396, 1, MARKER_TYPES.INTRO, 4);
+    expect(stored.map(entry => entry.episodeId)).toEqual(['3', '2']);
+    expect(stored[0].fingerprint).toEqual({ start: 0, codes });
+    expect(getSeasonFingerprints(1396, 1, MARKER_TYPES.CREDITS)).toEqual([]);
+  });
+
+  test('should keep detection off until it is turned on', () => {
+    expect(isIntroDetectionEnabled()).toBe(false);
+
+    setIntroDetectionEnabled(true);
+    expect(isIntroDetectionEnabled()).toBe(true);
+
+    setIntroDetectionEnabled(false);
+    expect(isIntroDetectionEnabled()).toBe(false);
+  });
+});
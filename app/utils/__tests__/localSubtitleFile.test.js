@@ -0,0 +1,208 @@
+/**
+ * Local Subtitle File Tests
+ * Tests reading dropped or picked files: archives, encodings, format
+ * conversion, and registering the result as a language track
+ */
+
+import { gzipSync, deflateRawSync } from 'zlib';
+import { TextDecoder as NodeTextDecoder } from 'util';
+import { DecompressionStream as NodeDecompressionStream } from 'stream/web';
+import {
+  guessSubtitleLanguage,
+  isSupportedSubtitleFile,
+  readLocalSubtitleFile
+} from '../localSubtitleFile';
+import { listZipEntries } from '../subtitleArchive';
+import { createMultiLanguageSubtitleManager } from '../multiLanguageSubtitleManager';
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:03,500',
+  'Hello there.',
+  '',
+  '2',
+  '00:00:04,000 --> 00:00:06,000',
+  'General Kenobi!',
+  ''
+].join('\r\n');
+
+const ASS = `[Script Info]
+ScriptType: v4.00+
+PlayResX: 1920
+PlayResY: 1080
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Italic, Alignment
+Style: Default,Arial,48,&H00FFFFFF,0,0,2
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:03.00,Default,,0,0,0,,{\\i1}Styled{\\i0} line
+`;
+
+// Stand-in for a File from an input or drop event
+const fileFrom = (name, bytes) => ({
+  name,
+  size: bytes.length,
+  arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+});
+
+// Minimal zip writer: one local header per file, then the central directory
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, content, deflate = true }) => {
+    const nameBytes = Buffer.from(name);
+    const data = deflate ? deflateRawSync(content) : Buffer.from(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+describe('Local subtitle files', () => {
+  const originalTextDecoder = global.TextDecoder;
+
+  beforeAll(() => {
+    global.TextDecoder = NodeTextDecoder;
+    global.DecompressionStream = NodeDecompressionStream;
+  });
+
+  afterAll(() => {
+    global.TextDecoder = originalTextDecoder;
+    delete global.DecompressionStream;
+  });
+
+  test('should convert an SRT file to WebVTT', async () => {
+    const track = await readLocalSubtitleFile(fileFrom('Movie.2019.en.srt', new Uint8Array(Buffer.from(SRT))));
+
+    expect(track).toMatchObject({
+      fileName: 'Movie.2019.en.srt',
+      label: 'Movie.2019.en',
+      format: 'srt',
+      encoding: 'utf-8',
+      ass: null,
+      cueCount: 2,
+      language: { code: 'eng', name: 'English' }
+    });
+    expect(track.vtt).toMatch(/^WEBVTT/);
+    expect(track.vtt).toContain('00:00:01.000 --> 00:00:03.500');
+  });
+
+  test('should unpack a gzipped UTF-16 file', async () => {
+    const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(SRT, 'utf16le')]);
+    const track = await readLocalSubtitleFile(fileFrom('episode.srt.gz', new Uint8Array(gzipSync(utf16))));
+
+    expect(track).toMatchObject({ fileName: 'episode.srt', encoding: 'utf-16le', cueCount: 2 });
+  });
+
+  test('should pick the subtitle out of a zip archive', async () => {
+    const zip = createZip([
+      { name: '__MACOSX/Show/._Show.S01E01.srt', content: 'junk' },
+      { name: 'Show/readme.nfo', content: 'Release notes', deflate: false },
+      { name: 'Show/Show.S01E01.srt', content: SRT }
+    ]);
+
+    expect(listZipEntries(zip).map(entry => entry.name)).toHaveLength(3);
+
+    const track = await readLocalSubtitleFile(fileFrom('Show.S01E01.zip', zip));
+    expect(track).toMatchObject({ fileName: 'Show.S01E01.srt', format: 'srt', cueCount: 2 });
+
+    await expect(readLocalSubtitleFile(fileFrom('notes.zip', createZip([{ name: 'readme.nfo', content: 'x' }]))))
+      .rejects.toThrow('No .srt, .vtt or .ass file found in notes.zip');
+  });
+
+  test('should keep the ASS script for the styled overlay', async () => {
+    const track = await readLocalSubtitleFile(fileFrom('anime.ass', new Uint8Array(Buffer.from(ASS))));
+
+    expect(track.format).toBe('ass');
+    expect(track.ass).toBe(ASS);
+    expect(track.vtt).toContain('<i>Styled</i> line');
+  });
+
+  test('should reject files without subtitle lines', async () => {
+    await expect(readLocalSubtitleFile(fileFrom('notes.srt', new Uint8Array(Buffer.from('Just some notes')))))
+      .rejects.toThrow('No subtitle lines found in notes.srt');
+    await expect(readLocalSubtitleFile({ name: 'movie.srt', size: 50 * 1024 * 1024 }))
+      .rejects.toThrow('too large');
+  });
+
+  test('should recognise supported files and language tags', () => {
+    expect(isSupportedSubtitleFile({ name: 'Movie.SRT' })).toBe(true);
+    expect(isSupportedSubtitleFile({ name: 'subs.zip' })).toBe(true);
+    expect(isSupportedSubtitleFile({ name: 'movie.mkv' })).toBe(false);
+
+    expect(guessSubtitleLanguage('Movie.2019.spa.forced.srt')?.IdSubLanguage).toBe('spa');
+    expect(guessSubtitleLanguage('Movie.French.srt')?.IdSubLanguage).toBe('fre');
+    // Title words are not language tags
+    expect(guessSubtitleLanguage('It.srt')).toBeNull();
+    expect(guessSubtitleLanguage('It.Follows.2014.srt')).toBeNull();
+  });
+});
+
+describe('Local subtitle tracks in the language manager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    manager = createMultiLanguageSubtitleManager({ preloadNextLanguage: false });
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should switch to a local track without downloading it', async () => {
+    const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nFrom disk\n';
+    const langCode = manager.registerLocalSubtitle({ content: vtt, fileName: 'movie.srt', label: 'movie' });
+    const downloadSpy = jest.spyOn(manager, 'downloadSubtitleContent');
+
+    await manager.switchToLanguage(langCode);
+
+    expect(downloadSpy).not.toHaveBeenCalled();
+    expect(manager.activeLanguage).toBe(langCode);
+    expect(manager.activeSynchronizer.findActiveCue(2)?.text).toBe('From disk');
+    expect(manager.getAvailableLanguages()).toEqual([
+      expect.objectContaining({ langCode, local: true, cached: true, bestFileName: 'movie.srt' })
+    ]);
+  });
+
+  test('should keep local tracks when online subtitles are reloaded', async () => {
+    const langCode = manager.registerLocalSubtitle({ content: 'WEBVTT\n', fileName: 'movie.srt' });
+
+    await manager.loadMultipleLanguages({}, { autoSelectBest: false });
+    expect(manager.getLocalSubtitle(langCode)).toMatchObject({ fileName: 'movie.srt' });
+
+    manager.removeLocalSubtitle(langCode);
+    expect(manager.availableLanguages.has(langCode)).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Recent Search History Tests
+ * Tests ordering, de-duplication, the size limit and removal
+ */
+
+import { addRecentSearch, clearRecentSearches, getRecentSearches, removeRecentSearch } from '../recentSearches';
+
+describe('Recent searches', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should keep the newest search first and collapse repeats', () => {
+    addRecentSearch('dune');
+    addRecentSearch('  The   Bear ');
+    addRecentSearch('DUNE');
+
+    expect(getRecentSearches()).toEqual(['DUNE', 'The Bear']);
+  });
+
+  test('should keep at most eight searches and ignore blank ones', () => {
+    for (let i = 1; i <= 10; i++) {
+      addRecentSearch(`query ${i}`);
+    }
+    addRecentSearch('   ');
+
+    const searches = getRecentSearches();
+    expect(searches).toHaveLength(8);
+    expect(searches[0]).toBe('query 10');
+    expect(searches).not.toContain('query 2');
+  });
+
+  test('should remove single searches and clear the history', () => {
+    addRecentSearch('dune');
+    addRecentSearch('severance');
+
+    expect(removeRecentSearch('Dune')).toEqual(['severance']);
+    expect(clearRecentSearches()).toBe(true);
+    expect(getRecentSearches()).toEqual([]);
+  });
+
+  test('should recover from corrupted storage', () => {
+    localStorage.setItem('flyx_recent_searches', '{not json');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(getRecentSearches()).toEqual([]);
+    expect(addRecentSearch('dune')).toEqual(['dune']);
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Subtitle Archive Tests
+ * Tests the limits on unpacking: output size while inflating and how many
+ * layers of gzip are opened
+ */
+
+import { gzipSync, deflateRawSync } from 'zlib';
+import { TextDecoder as NodeTextDecoder } from 'util';
+import { DecompressionStream as NodeDecompressionStream } from 'stream/web';
+import { MAX_UNPACKED_SUBTITLE_SIZE, readZipEntry, unpackSubtitleFile } from '../subtitleArchive';
+
+const SRT = '1\n00:00:01,000 --> 00:00:03,500\nHello there.\n';
+
+describe('Subtitle archives', () => {
+  const originalTextDecoder = global.TextDecoder;
+
+  beforeAll(() => {
+    global.TextDecoder = NodeTextDecoder;
+    global.DecompressionStream = NodeDecompressionStream;
+  });
+
+  afterAll(() => {
+    global.TextDecoder = originalTextDecoder;
+    delete global.DecompressionStream;
+  });
+
+  test('should gunzip a subtitle file once', async () => {
+    const unpacked = await unpackSubtitleFile(new Uint8Array(gzipSync(SRT)), 'movie.srt.gz');
+
+    expect(unpacked.fileName).toBe('movie.srt');
+    expect(Buffer.from(unpacked.bytes).toString()).toBe(SRT);
+  });
+
+  test('should refuse files gzipped more than once', async () => {
+    const twice = new Uint8Array(gzipSync(gzipSync(SRT)));
+
+    await expect(unpackSubtitleFile(twice, 'movie.srt.gz.gz')).rejects.toThrow('gzipped more than once');
+  });
+
+  test('should stop inflating once the output is too large', async () => {
+    const bomb = new Uint8Array(gzipSync(Buffer.alloc(MAX_UNPACKED_SUBTITLE_SIZE + 1024)));
+    expect(bomb.length).toBeLessThan(64 * 1024);
+
+    await expect(unpackSubtitleFile(bomb, 'bomb.srt.gz')).rejects.toThrow('bomb.srt.gz unpacks to more than a subtitle file can hold');
+
+    const deflated = new Uint8Array(deflateRawSync(Buffer.alloc(MAX_UNPACKED_SUBTITLE_SIZE + 1024)));
+    const entry = { name: 'bomb.srt', method: 8, encrypted: false, compressedSize: deflated.length, localHeaderOffset: 0 };
+    const zip = new Uint8Array(30 + deflated.length);
+    new DataView(zip.buffer).setUint32(0, 0x04034b50, true);
+    zip.set(deflated, 30);
+
+    await expect(readZipEntry(zip, entry)).rejects.toThrow('bomb.srt unpacks to more than a subtitle file can hold');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Subtitle Encoding Tests
+ * Tests BOM handling, UTF-16 without BOM, telling the legacy code pages apart
+ * and following the encoding announced by OpenSubtitles
+ */
+
+import { TextDecoder as NodeTextDecoder } from 'util';
+import { decodeSubtitleBytes, detectSubtitleEncoding } from '../subtitleEncoding';
+
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+// Windows-1251 puts the Cyrillic alphabet (U+0410-U+044F) at 0xC0-0xFF
+const encode1251 = (text) => Uint8Array.from(text, char => {
+  const code = char.charCodeAt(0);
+  return code >= 0x410 && code <= 0x44f ? code - 0x410 + 0xc0 : code;
+});
+
+// Any single-byte code page, by reversing its decoding table
+const encodeWith = (encoding, text) => {
+  const decoder = new NodeTextDecoder(encoding);
+  const bytesByChar = new Map();
+  for (let byte = 0; byte < 256; byte++) {
+    bytesByChar.set(decoder.decode(Uint8Array.of(byte)), byte);
+  }
+  return Uint8Array.from(text, char => bytesByChar.get(char));
+};
+
+const GREEK = '\u03a0\u03bf\u03cd \u03ae\u03c3\u03bf\u03c5\u03bd \u03cc\u03bb\u03bf \u03b1\u03c5\u03c4\u03cc \u03c4\u03bf\u03bd \u03ba\u03b1\u03b9\u03c1\u03cc;';
+const ARABIC = '\u0623\u064a\u0646 \u0643\u0646\u062a \u0637\u0648\u0627\u0644 \u0647\u0630\u0627 \u0627\u0644\u0648\u0642\u062a\u061f';
+const POLISH = 'Dzie\u0144 dobry, jak si\u0119 masz?';
+
+describe('Subtitle encoding detection', () => {
+  const originalTextDecoder = global.TextDecoder;
+
+  beforeAll(() => {
+    global.TextDecoder = NodeTextDecoder;
+  });
+
+  afterAll(() => {
+    global.TextDecoder = originalTextDecoder;
+  });
+
+  test('should follow a byte order mark and strip it from the text', () => {
+    const utf8 = Uint8Array.from([0xef, 0xbb, 0xbf, ...Buffer.from('Caf\u00e9')]);
+    expect(decodeSubtitleBytes(utf8)).toEqual({ text: 'Caf\u00e9', encoding: 'utf-8' });
+
+    const utf16 = Uint8Array.from([0xff, 0xfe, ...Buffer.from('Hi', 'utf16le')]);
+    expect(decodeSubtitleBytes(utf16)).toEqual({ text: 'Hi', encoding: 'utf-16le' });
+  });
+
+  test('should recognise UTF-16 without a byte order mark', () => {
+    const text = '1\n00:00:01,000 --> 00:00:02,000\nHello there\n';
+
+    expect(detectSubtitleEncoding(Buffer.from(text, 'utf16le'))).toBe('utf-16le');
+    expect(decodeSubtitleBytes(Buffer.from(text, 'utf16le').swap16()).text).toBe(text);
+  });
+
+  test('should read valid UTF-8 as UTF-8', () => {
+    const bytes = Buffer.from('\u041f\u0440\u0438\u0432\u0435\u0442 / \u3053\u3093\u306b\u3061\u306f / na\u00efve');
+    expect(decodeSubtitleBytes(bytes).encoding).toBe('utf-8');
+  });
+
+  test('should tell Windows-1251 from Windows-1252', () => {
+    const russian = '\u041f\u0440\u0438\u0432\u0435\u0442, \u043a\u0430\u043a \u0434\u0435\u043b\u0430?';
+    expect(decodeSubtitleBytes(encode1251(russian))).toEqual({ text: russian, encoding: 'windows-1251' });
+
+    // "Ca va tres bien, merci" with the accents at 0xC7 and 0xE8
+    const french = Uint8Array.from([0xc7, ...ascii('a va tr'), 0xe8, ...ascii('s bien, merci')]);
+    expect(decodeSubtitleBytes(french)).toEqual({ text: '\u00c7a va tr\u00e8s bien, merci', encoding: 'windows-1252' });
+  });
+
+  test('should recognise Shift-JIS', () => {
+    // "Hello, world" in Japanese
+    const bytes = Uint8Array.from([
+      0x82, 0xb1, 0x82, 0xf1, 0x82, 0xc9, 0x82, 0xbf, 0x82, 0xcd,
+      0x81, 0x41, 0x90, 0xa2, 0x8a, 0x45
+    ]);
+
+    expect(decodeSubtitleBytes(bytes)).toEqual({
+      text: '\u3053\u3093\u306b\u3061\u306f\u3001\u4e16\u754c',
+      encoding: 'shift_jis'
+    });
+  });
+
+  test('should tell Greek and Arabic code pages apart', () => {
+    expect(decodeSubtitleBytes(encodeWith('windows-1253', GREEK))).toEqual({ text: GREEK, encoding: 'windows-1253' });
+    expect(decodeSubtitleBytes(encodeWith('windows-1256', ARABIC))).toEqual({ text: ARABIC, encoding: 'windows-1256' });
+  });
+
+  test('should follow an announced encoding the bytes agree with', () => {
+    // Same script, different code page: only the hint can tell
+    expect(detectSubtitleEncoding(encodeWith('iso-8859-7', GREEK), { hint: 'ISO-8859-7' })).toBe('iso-8859-7');
+    expect(decodeSubtitleBytes(encodeWith('windows-1250', POLISH), { hint: 'CP1250' }))
+      .toEqual({ text: POLISH, encoding: 'windows-1250' });
+  });
+
+  test('should ignore an announced encoding the bytes contradict', () => {
+    const russian = '\u0413\u0434\u0435 \u0442\u044b \u0431\u044b\u043b \u0432\u0441\u0451 \u044d\u0442\u043e \u0432\u0440\u0435\u043c\u044f?';
+    const bytes = encodeWith('windows-1251', russian);
+
+    expect(detectSubtitleEncoding(bytes, { hint: 'CP1252' })).toBe('windows-1251');
+    expect(detectSubtitleEncoding(bytes, { hint: 'UTF-8' })).toBe('windows-1251');
+    expect(detectSubtitleEncoding(bytes, { hint: 'not-an-encoding' })).toBe('windows-1251');
+    // Valid UTF-8 stays UTF-8 whatever was announced
+    expect(detectSubtitleEncoding(Buffer.from(russian), { hint: 'CP1251' })).toBe('utf-8');
+  });
+});
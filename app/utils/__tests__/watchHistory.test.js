@@ -0,0 +1,124 @@
+/**
+ * Watch History Row Tests
+ * Tests picking one card per title, labels, resume links, hiding titles
+ * and adding TMDB metadata
+ */
+
+import {
+  WATCH_HISTORY_ROWS,
+  formatTimeLeft,
+  getResumeUrl,
+  getWatchEntryLabel,
+  getWatchHistoryEntries,
+  hydrateWatchEntries
+} from '../watchHistory';
+import {
+  hideFromWatchHistory,
+  markAsCompleted,
+  saveWatchProgress
+} from '../../components/UniversalMediaPlayer/utils/watchProgressStorage';
+
+const watch = (mediaType, movieId, seasonId, episodeId, currentTime, duration, minutesAgo) => {
+  jest.setSystemTime(new Date(Date.UTC(2025, 0, 1, 12, 0) - minutesAgo * 60000));
+  saveWatchProgress(mediaType, movieId, seasonId, episodeId, { currentTime, duration });
+};
+
+describe('Watch history rows', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('should show one card per show, for its latest episode', () => {
+    watch('tv', 1396, 2, 4, 2700, 2800, 30);   // finished
+    watch('tv', 1396, 2, 5, 1800, 2640, 10);   // in progress
+    watch('movie', 603, null, null, 3000, 8160, 20);
+    watch('movie', 550, null, null, 60, 8340, 5); // barely started
+
+    expect(getWatchHistoryEntries(WATCH_HISTORY_ROWS.CONTINUE_WATCHING).map(entry => entry.key))
+      .toEqual(['tv_1396_s2_e5', 'movie_603']);
+    expect(getWatchHistoryEntries(WATCH_HISTORY_ROWS.RECENTLY_WATCHED).map(entry => entry.key))
+      .toEqual(['tv_1396_s2_e5', 'movie_603']);
+
+    watch('tv', 1396, 2, 6, 2640, 2640, 1);
+    expect(getWatchHistoryEntries(WATCH_HISTORY_ROWS.CONTINUE_WATCHING).map(entry => entry.key))
+      .toEqual(['tv_1396_s2_e5', 'movie_603']);
+    expect(getWatchHistoryEntries(WATCH_HISTORY_ROWS.RECENTLY_WATCHED)[0].key).toBe('tv_1396_s2_e6');
+  });
+
+  test('should hide a title until it is watched again', () => {
+    watch('tv', 1396, 2, 4, 1000, 2800, 30);
+    watch('tv', 1396, 2, 5, 1800, 2640, 10);
+    watch('movie', 603, null, null, 3000, 8160, 20);
+
+    hideFromWatchHistory('tv', 1396);
+    expect(getWatchHistoryEntries(WATCH_HISTORY_ROWS.CONTINUE_WATCHING).map(entry => entry.key)).toEqual(['movie_603']);
+    expect(getWatchHistoryEntries(WATCH_HISTORY_ROWS.RECENTLY_WATCHED).map(entry => entry.key)).toEqual(['movie_603']);
+
+    watch('tv', 1396, 2, 5, 1900, 2640, 0);
+    expect(getWatchHistoryEntries(WATCH_HISTORY_ROWS.CONTINUE_WATCHING)[0].key).toBe('tv_1396_s2_e5');
+
+    // Finishing it counts as watching it again
+    hideFromWatchHistory('movie', 603);
+    markAsCompleted('movie', 603);
+    expect(getWatchHistoryEntries(WATCH_HISTORY_ROWS.RECENTLY_WATCHED).map(entry => entry.key)).toContain('movie_603');
+  });
+
+  test('should label cards with the episode and time left', () => {
+    expect(getWatchEntryLabel({ mediaType: 'tv', seasonId: 2, episodeId: 5, currentTime: 1800, duration: 2640 }))
+      .toBe('S2E5 \u00b7 14 min left');
+    expect(getWatchEntryLabel({ mediaType: 'movie', currentTime: 600, duration: 8160 })).toBe('2 h 6 min left');
+    expect(getWatchEntryLabel({ mediaType: 'tv', seasonId: 1, episodeId: 1, isCompleted: true })).toBe('S1E1 \u00b7 Watched');
+    expect(formatTimeLeft(20)).toBe('1 min left');
+    expect(formatTimeLeft(7200)).toBe('2 h left');
+  });
+
+  test('should link to playback at the saved position', () => {
+    expect(getResumeUrl({ mediaType: 'tv', movieId: 1396, seasonId: 2, episodeId: 5, currentTime: 1800.7, duration: 2640 }))
+      .toBe('/details/1396?type=tv&season=2&episode=5&t=1800');
+    expect(getResumeUrl({ mediaType: 'movie', movieId: 603, currentTime: 3000, duration: 8160 }))
+      .toBe('/details/603?type=movie&t=3000');
+    // Finished titles start over
+    expect(getResumeUrl({ mediaType: 'movie', movieId: 603, currentTime: 8100, duration: 8160, isCompleted: true }))
+      .toBe('/details/603?type=movie&t=0');
+  });
+
+  test('should add titles, posters and episode names from TMDB', async () => {
+    const responses = {
+      '/api/tmdb?action=getShowDetails&movieId=1396': { name: 'Breaking Bad', poster_path: '/bb.jpg' },
+      '/api/tmdb/tv/1396/season/2': { episodes: [{ episode_number: 5, name: 'Breakage', still_path: '/s2e5.jpg' }] },
+      '/api/tmdb?action=getMovieDetails&movieId=603': { title: 'The Matrix', poster_path: '/matrix.jpg' }
+    };
+    const fetchJson = jest.fn(async (url) => {
+      if (!responses[url]) throw new Error('Not found');
+      return responses[url];
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const entries = [
+      { key: 'tv_1396_s2_e5', mediaType: 'tv', movieId: 1396, seasonId: 2, episodeId: 5 },
+      { key: 'movie_603', mediaType: 'movie', movieId: 603 },
+      { key: 'movie_1', mediaType: 'movie', movieId: 1 }
+    ];
+    const cache = new Map();
+    const hydrated = await hydrateWatchEntries(entries, { fetchJson, cache });
+
+    expect(hydrated).toEqual([
+      expect.objectContaining({ key: 'tv_1396_s2_e5', title: 'Breaking Bad', posterPath: '/bb.jpg', episodeName: 'Breakage', stillPath: '/s2e5.jpg' }),
+      expect.objectContaining({ key: 'movie_603', title: 'The Matrix', posterPath: '/matrix.jpg', episodeName: null })
+    ]);
+
+    // Loaded titles come from the cache; the failed one is tried again
+    fetchJson.mockClear();
+    await hydrateWatchEntries(entries, { fetchJson, cache });
+    expect(fetchJson.mock.calls.map(([url]) => url)).toEqual(['/api/tmdb?action=getMovieDetails&movieId=1']);
+
+    console.warn.mockRestore();
+  });
+});
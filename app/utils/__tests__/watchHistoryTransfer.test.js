@@ -0,0 +1,216 @@
+/**
+ * Watch History Import/Export Tests
+ * Tests reading Flyx, Trakt and Letterboxd files, matching titles to TMDB,
+ * previewing conflicts, merging, and exporting for Trakt and Letterboxd
+ */
+
+import {
+  HISTORY_FORMATS,
+  applyHistoryImport,
+  buildImportEntries,
+  buildLetterboxdCsv,
+  buildTraktHistory,
+  matchHistoryItems,
+  parseCsv,
+  parseHistoryFile,
+  previewHistoryImport
+} from '../watchHistoryTransfer';
+import {
+  exportWatchProgress,
+  getAllWatchProgress,
+  getWatchProgress,
+  saveWatchProgress
+} from '../../components/UniversalMediaPlayer/utils/watchProgressStorage';
+
+const TRAKT_HISTORY = [
+  {
+    id: 1,
+    watched_at: '2024-03-01T20:00:00.000Z',
+    action: 'watch',
+    type: 'movie',
+    movie: { title: 'Inception', year: 2010, ids: { trakt: 16662, imdb: 'tt1375666', tmdb: 27205 } }
+  },
+  {
+    id: 2,
+    watched_at: '2024-03-02T21:00:00.000Z',
+    action: 'watch',
+    type: 'episode',
+    episode: { season: 1, number: 2, title: 'Cat\'s in the Bag...', ids: {} },
+    show: { title: 'Breaking Bad', year: 2008, ids: { imdb: 'tt0903747', tmdb: null } }
+  }
+];
+
+const LETTERBOXD_DIARY = [
+  'Date,Name,Year,Letterboxd URI,Rating,Rewatch,Tags,Watched Date',
+  '2024-02-11,"Crouching Tiger, Hidden Dragon",2000,https://boxd.it/1,4.5,,,2024-02-10',
+  '2024-02-12,Parasite,2019,https://boxd.it/2,5,,,2024-02-12',
+  '2024-02-20,Parasite,2019,https://boxd.it/2,5,Yes,,2024-02-19',
+  '2024-02-21,Nothing Like It,1999,https://boxd.it/3,3,,,2024-02-21'
+].join('\r\n');
+
+// Fake /api/tmdb for the lookup actions
+function createFetchJson() {
+  return jest.fn(async (url) => {
+    const params = new URLSearchParams(url.split('?')[1]);
+    switch (params.get('action')) {
+      case 'findByImdbId':
+        return { results: params.get('imdbId') === 'tt0903747' ? [{ id: 1396, media_type: 'tv' }] : [] };
+      case 'searchTitle':
+        // The festival release puts Crouching Tiger in 2000 on Letterboxd and 2001 elsewhere
+        if (params.get('query') === 'Crouching Tiger, Hidden Dragon') {
+          return { results: params.get('year') ? [] : [{ id: 146, title: 'Crouching Tiger, Hidden Dragon', year: 2001 }] };
+        }
+        if (params.get('query') === 'Parasite') {
+          return { results: [{ id: 496243, title: 'Parasite', year: 2019 }, { id: 9999, title: 'Parasites', year: 2019 }] };
+        }
+        return { results: [] };
+      case 'getMovieDetails':
+        return { 27205: { title: 'Inception', release_date: '2010-07-15' } }[params.get('movieId')] || {};
+      default:
+        throw new Error('Unexpected request');
+    }
+  });
+}
+
+describe('Watch history import/export', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-01T12:00:00Z'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('should parse quoted CSV fields', () => {
+    expect(parseCsv('\ufeffa,"b, c","say ""hi"""\r\n1,"two\nlines",3\n\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['1', 'two\nlines', '3']
+    ]);
+  });
+
+  test('should recognise each format', () => {
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 600, duration: 8880 });
+
+    const flyx = parseHistoryFile(exportWatchProgress());
+    expect(flyx.format).toBe(HISTORY_FORMATS.FLYX);
+    expect(flyx.items[0]).toMatchObject({ mediaType: 'movie', ids: { tmdb: 27205 } });
+
+    const trakt = parseHistoryFile(JSON.stringify(TRAKT_HISTORY));
+    expect(trakt.format).toBe(HISTORY_FORMATS.TRAKT);
+    expect(trakt.items[1]).toEqual({
+      mediaType: 'tv',
+      ids: { tmdb: null, imdb: 'tt0903747' },
+      title: 'Breaking Bad',
+      year: 2008,
+      seasonId: 1,
+      episodeId: 2,
+      watchedAt: '2024-03-02T21:00:00.000Z'
+    });
+
+    const letterboxd = parseHistoryFile(LETTERBOXD_DIARY);
+    expect(letterboxd.format).toBe(HISTORY_FORMATS.LETTERBOXD);
+    expect(letterboxd.items[0]).toEqual({
+      mediaType: 'movie',
+      ids: { tmdb: null, imdb: null },
+      title: 'Crouching Tiger, Hidden Dragon',
+      year: 2000,
+      watchedAt: '2024-02-10T00:00:00.000Z'
+    });
+
+    expect(() => parseHistoryFile('{"hello": 1}')).toThrow('Unrecognized JSON');
+    expect(() => parseHistoryFile('just some text')).toThrow('Unrecognized file');
+  });
+
+  test('should match titles by TMDB ID, IMDb ID, and title and year', async () => {
+    const fetchJson = createFetchJson();
+    const onProgress = jest.fn();
+
+    const trakt = await matchHistoryItems(parseHistoryFile(JSON.stringify(TRAKT_HISTORY)).items, { fetchJson, onProgress });
+    expect(trakt.matched.map(match => match.movieId)).toEqual([27205, 1396]);
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+
+    const letterboxd = await matchHistoryItems(parseHistoryFile(LETTERBOXD_DIARY).items, { fetchJson });
+    expect(letterboxd.matched.map(match => match.movieId)).toEqual([146, 496243, 496243]);
+    expect(letterboxd.unmatched).toEqual([{
+      item: expect.objectContaining({ title: 'Nothing Like It' }),
+      reason: 'No TMDB match for this title and year'
+    }]);
+
+    // Repeated titles are looked up once
+    const parasiteSearches = fetchJson.mock.calls.filter(([url]) => url.includes('query=Parasite'));
+    expect(parasiteSearches).toHaveLength(1);
+  });
+
+  test('should count rewatches and keep the latest watch date', async () => {
+    const { matched } = await matchHistoryItems(parseHistoryFile(LETTERBOXD_DIARY).items, { fetchJson: createFetchJson() });
+    const entries = buildImportEntries(matched);
+
+    expect(Object.keys(entries)).toEqual(['movie_146', 'movie_496243']);
+    expect(entries.movie_496243).toMatchObject({
+      isCompleted: true,
+      progress: 1,
+      watchCount: 2,
+      lastWatched: '2024-02-19T00:00:00.000Z'
+    });
+  });
+
+  test('should preview conflicts and merge only what was chosen', async () => {
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 600, duration: 8880 });
+    saveWatchProgress('movie', 496243, null, null, { currentTime: 7900, duration: 7920 });
+    saveWatchProgress('tv', 1396, 1, 2, { currentTime: 300, duration: 2800 });
+
+    const { matched } = await matchHistoryItems(
+      [...parseHistoryFile(JSON.stringify(TRAKT_HISTORY)).items, ...parseHistoryFile(LETTERBOXD_DIARY).items],
+      { fetchJson: createFetchJson() }
+    );
+    const incoming = buildImportEntries(matched);
+    const preview = previewHistoryImport(incoming);
+
+    expect(preview.added).toEqual(['movie_146']);
+    expect(preview.unchanged).toEqual(['movie_496243']);
+    expect(preview.conflicts.map(conflict => [conflict.key, conflict.useImported])).toEqual([
+      ['movie_27205', false],   // Watched here more recently than on Trakt
+      ['tv_1396_s1_e2', false]
+    ]);
+
+    preview.conflicts[1].useImported = true;
+    expect(applyHistoryImport(incoming, preview)).toBe(2);
+
+    expect(getWatchProgress('movie', 146)).toMatchObject({ isCompleted: true, updatedAt: '2025-01-01T12:00:00.000Z' });
+    expect(getWatchProgress('tv', 1396, 1, 2)).toMatchObject({ isCompleted: true, completedAt: '2024-03-02T21:00:00.000Z' });
+    expect(getWatchProgress('movie', 27205)).toMatchObject({ isCompleted: false, currentTime: 600 });
+  });
+
+  test('should export finished titles for Trakt and Letterboxd', async () => {
+    saveWatchProgress('movie', 27205, null, null, { currentTime: 8800, duration: 8880 });
+    saveWatchProgress('movie', 603, null, null, { currentTime: 600, duration: 8160 });
+    saveWatchProgress('tv', 1396, 1, 3, { currentTime: 2790, duration: 2800 });
+    saveWatchProgress('tv', 1396, 1, 2, { currentTime: 2790, duration: 2800 });
+    const { entries } = getAllWatchProgress();
+
+    expect(buildTraktHistory(entries)).toEqual({
+      movies: [{ watched_at: '2025-01-01T12:00:00.000Z', ids: { tmdb: 27205 } }],
+      shows: [{
+        ids: { tmdb: 1396 },
+        seasons: [{
+          number: 1,
+          episodes: [
+            { number: 2, watched_at: '2025-01-01T12:00:00.000Z' },
+            { number: 3, watched_at: '2025-01-01T12:00:00.000Z' }
+          ]
+        }]
+      }]
+    });
+
+    const csv = await buildLetterboxdCsv(entries, { fetchJson: createFetchJson() });
+    expect(csv).toBe('tmdbID,Title,Year,WatchedDate,Rewatch\n27205,Inception,2010,2025-01-01,false');
+
+    // What we export reads back in
+    expect(parseHistoryFile(csv).items[0]).toMatchObject({ ids: { tmdb: 27205 }, title: 'Inception', year: 2010 });
+    expect(parseHistoryFile(JSON.stringify(buildTraktHistory(entries))).items).toHaveLength(3);
+  });
+});
@@ -0,0 +1,694 @@
+/**
+ * ASS/SSA subtitle parser
+ * Turns [Script Info], [V4+ Styles] / [V4 Styles] and [Events] into a
+ * style-aware cue model for the styled subtitle overlay, and converts that
+ * model to WebVTT for players that only understand plain cues
+ */
+
+// VSFilter's script resolution when a file doesn't declare one
+export const ASS_DEFAULT_PLAY_RES = { x: 384, y: 288 };
+
+export const ASS_DEFAULT_STYLE = {
+  name: 'Default',
+  fontName: 'Arial',
+  fontSize: 20,
+  primaryColor: { r: 255, g: 255, b: 255, a: 1 },
+  secondaryColor: { r: 255, g: 0, b: 0, a: 1 },
+  outlineColor: { r: 0, g: 0, b: 0, a: 1 },
+  backColor: { r: 0, g: 0, b: 0, a: 1 },
+  bold: false,
+  italic: false,
+  underline: false,
+  strikeout: false,
+  scaleX: 100,
+  scaleY: 100,
+  spacing: 0,
+  angle: 0,
+  borderStyle: 1,
+  outline: 2,
+  shadow: 2,
+  blur: 0,
+  alignment: 2,
+  marginL: 10,
+  marginR: 10,
+  marginV: 10
+};
+
+// Override tags the overlay can't draw; cues using them fall back to plain text
+export const UNSUPPORTED_OVERRIDE_TAGS = ['clip', 'iclip', 't', 'org', 'frx', 'fry', 'fax', 'fay', 'p'];
+
+// Longest names first, so \fscx isn't read as \fs and \clip isn't read as \c
+const OVERRIDE_TAG_NAMES = [
+  'iclip', 'alpha', 'xbord', 'ybord', 'xshad', 'yshad', 'fscx', 'fscy', 'move', 'fade', 'clip', 'blur', 'bord', 'shad',
+  'fsp', 'frx', 'fry', 'frz', 'fax', 'fay', 'fad', 'org', 'pos', 'pbo',
+  '1c', '2c', '3c', '4c', '1a', '2a', '3a', '4a', 'an', 'be', 'fn', 'fs', 'fr', 'fe', 'kf', 'ko',
+  'a', 'b', 'c', 'i', 'k', 'K', 'p', 'q', 'r', 's', 't', 'u'
+];
+
+const COLOR_TAGS = { c: 'primaryColor', '1c': 'primaryColor', '2c': 'secondaryColor', '3c': 'outlineColor', '4c': 'backColor' };
+const ALPHA_TAGS = { '1a': ['primaryColor'], '2a': ['secondaryColor'], '3a': ['outlineColor'], '4a': ['backColor'] };
+const ALL_COLORS = ['primaryColor', 'secondaryColor', 'outlineColor', 'backColor'];
+
+/**
+ * Detect ASS/SSA content
+ * @param {string} content - Raw subtitle content
+ * @returns {boolean} True for ASS/SSA scripts
+ */
+export function isASSContent(content) {
+  if (!content || typeof content !== 'string') return false;
+  return /^\s*\[Script Info\]/i.test(content.replace(/^\uFEFF/, '')) ||
+    (/^\[V4\+? Styles\]/im.test(content) && /^Dialogue:/m.test(content));
+}
+
+/**
+ * Parse an ASS timestamp (H:MM:SS.cc)
+ * @param {string} value - Timestamp
+ * @returns {number|null} Seconds, or null when malformed
+ */
+export function parseASSTime(value) {
+  const match = String(value).trim().match(/^(\d+):(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return null;
+
+  const [, hours, minutes, seconds, fraction = '0'] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + parseFloat(`0.${fraction}`);
+}
+
+/**
+ * Parse an ASS color. Accepts &HAABBGGRR, &HBBGGRR& and SSA's decimal form.
+ * ASS alpha is inverted (00 is opaque), so `a` is returned as CSS opacity.
+ * @param {string} value - Color value
+ * @param {Object} fallback - Color to return when the value is malformed
+ * @returns {{r: number, g: number, b: number, a: number}} Color
+ */
+export function parseASSColor(value, fallback = ASS_DEFAULT_STYLE.primaryColor) {
+  const raw = String(value ?? '').trim();
+  const hex = raw.match(/^&?H([0-9a-f]+)&?$/i);
+  const number = hex ? parseInt(hex[1], 16) : /^-?\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+  if (!Number.isFinite(number)) return fallback;
+
+  const unsigned = number >>> 0;
+  return {
+    r: unsigned & 0xff,
+    g: (unsigned >>> 8) & 0xff,
+    b: (unsigned >>> 16) & 0xff,
+    a: roundTo(1 - ((unsigned >>> 24) & 0xff) / 255, 3)
+  };
+}
+
+/**
+ * Parse an ASS alpha value (&HAA&) into CSS opacity
+ */
+function parseASSAlpha(value) {
+  const match = String(value).trim().match(/^&?H?([0-9a-f]{1,2})&?$/i);
+  return match ? roundTo(1 - parseInt(match[1], 16) / 255, 3) : null;
+}
+
+/**
+ * CSS color for a parsed ASS color
+ * @param {{r: number, g: number, b: number, a: number}} color - Parsed color
+ * @returns {string} rgba() color
+ */
+export function assColorToCss(color) {
+  return `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a})`;
+}
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// SSA's \a numbering: 1-3 bottom, +4 top, +8 middle
+function legacyAlignmentToNumpad(value) {
+  const horizontal = value & 3 || 2;
+  if (value & 4) return horizontal + 6;
+  if (value & 8) return horizontal + 3;
+  return horizontal;
+}
+
+function parseBoolean(value) {
+  return parseInt(value, 10) !== 0 && !Number.isNaN(parseInt(value, 10));
+}
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Split `Key: a,b,c` into its values, using the section's Format line;
+ * the last field (Text) keeps any commas it contains
+ */
+function splitFormattedLine(value, fieldCount) {
+  const parts = value.split(',');
+  if (parts.length <= fieldCount) return parts;
+  return [...parts.slice(0, fieldCount - 1), parts.slice(fieldCount - 1).join(',')];
+}
+
+function sections(content) {
+  const result = new Map();
+  let current = null;
+
+  content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach(line => {
+    const header = line.trim().match(/^\[([^\]]+)\]$/);
+    if (header) {
+      current = header[1].trim().toLowerCase();
+      result.set(current, []);
+    } else if (current && line.trim() && !line.trim().startsWith(';')) {
+      result.get(current).push(line);
+    }
+  });
+
+  return result;
+}
+
+function keyValue(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+  return [line.slice(0, colon).trim(), line.slice(colon + 1).trim()];
+}
+
+/**
+ * Read the [Script Info] header: script resolution, wrapping and border scaling
+ * @param {string} content - Raw ASS/SSA content
+ * @returns {Object} Script info
+ */
+export function parseASSScriptInfo(content) {
+  const values = {};
+  (sections(content).get('script info') || []).forEach(line => {
+    const entry = keyValue(line);
+    if (entry) values[entry[0].toLowerCase()] = entry[1];
+  });
+
+  let playResX = parseNumber(values.playresx, 0);
+  let playResY = parseNumber(values.playresy, 0);
+  // libass derives a missing dimension from the other one
+  if (!playResX && !playResY) {
+    playResX = ASS_DEFAULT_PLAY_RES.x;
+    playResY = ASS_DEFAULT_PLAY_RES.y;
+  } else if (!playResY) {
+    playResY = playResX === 1280 ? 1024 : Math.round(playResX * 3 / 4);
+  } else if (!playResX) {
+    playResX = playResY === 1024 ? 1280 : Math.round(playResY * 4 / 3);
+  }
+
+  return {
+    title: values.title || null,
+    scriptType: values.scripttype || null,
+    playResX,
+    playResY,
+    wrapStyle: parseInt(values.wrapstyle, 10) || 0,
+    scaledBorderAndShadow: !/^no$/i.test(values.scaledborderandshadow || 'yes')
+  };
+}
+
+function parseStyles(sectionMap, warnings) {
+  const styles = { Default: { ...ASS_DEFAULT_STYLE } };
+  const isV4Plus = sectionMap.has('v4+ styles');
+  const lines = sectionMap.get('v4+ styles') || sectionMap.get('v4 styles') || [];
+  let format = null;
+
+  lines.forEach(line => {
+    const entry = keyValue(line);
+    if (!entry) return;
+    const [key, value] = entry;
+
+    if (key.toLowerCase() === 'format') {
+      format = value.split(',').map(field => field.trim().toLowerCase());
+      return;
+    }
+    if (key.toLowerCase() !== 'style') return;
+    if (!format) {
+      warnings.push('Style line before a Format line was skipped');
+      return;
+    }
+
+    const fields = {};
+    splitFormattedLine(value, format.length).forEach((field, index) => {
+      fields[format[index]] = field.trim();
+    });
+
+    const base = ASS_DEFAULT_STYLE;
+    const alignment = parseInt(fields.alignment, 10);
+    const style = {
+      name: fields.name || 'Default',
+      fontName: fields.fontname || base.fontName,
+      fontSize: parseNumber(fields.fontsize, base.fontSize),
+      primaryColor: parseASSColor(fields.primarycolour, base.primaryColor),
+      secondaryColor: parseASSColor(fields.secondarycolour, base.secondaryColor),
+      // SSA v4 calls the outline color TertiaryColour
+      outlineColor: parseASSColor(fields.outlinecolour ?? fields.tertiarycolour, base.outlineColor),
+      backColor: parseASSColor(fields.backcolour, base.backColor),
+      bold: parseBoolean(fields.bold),
+      italic: parseBoolean(fields.italic),
+      underline: parseBoolean(fields.underline),
+      strikeout: parseBoolean(fields.strikeout),
+      scaleX: parseNumber(fields.scalex, base.scaleX),
+      scaleY: parseNumber(fields.scaley, base.scaleY),
+      spacing: parseNumber(fields.spacing, base.spacing),
+      angle: parseNumber(fields.angle, base.angle),
+      borderStyle: parseInt(fields.borderstyle, 10) || base.borderStyle,
+      outline: parseNumber(fields.outline, base.outline),
+      shadow: parseNumber(fields.shadow, base.shadow),
+      blur: 0,
+      alignment: Number.isInteger(alignment)
+        ? (isV4Plus ? alignment : legacyAlignmentToNumpad(alignment))
+        : base.alignment,
+      marginL: parseNumber(fields.marginl, base.marginL),
+      marginR: parseNumber(fields.marginr, base.marginR),
+      marginV: parseNumber(fields.marginv, base.marginV)
+    };
+
+    styles[style.name] = style;
+  });
+
+  return styles;
+}
+
+/**
+ * Split an override block (the part between braces) into tags. Arguments in
+ * parentheses may themselves contain tags, as in \t(0,500,\fs30).
+ */
+function tokenizeOverrideBlock(block) {
+  const tags = [];
+  let i = block.indexOf('\\');
+
+  while (i !== -1 && i < block.length) {
+    let j = i + 1;
+    let depth = 0;
+    while (j < block.length && (depth > 0 || block[j] !== '\\')) {
+      if (block[j] === '(') depth++;
+      if (block[j] === ')') depth = Math.max(0, depth - 1);
+      j++;
+    }
+
+    const token = block.slice(i + 1, j).trim();
+    const name = OVERRIDE_TAG_NAMES.find(tagName => token.startsWith(tagName));
+    if (name) {
+      tags.push({ name, value: token.slice(name.length).trim() });
+    }
+    i = j < block.length ? j : -1;
+  }
+
+  return tags;
+}
+
+function parseArguments(value) {
+  const match = value.match(/^\((.*)\)$/s);
+  return (match ? match[1] : value).split(',').map(arg => arg.trim());
+}
+
+/**
+ * Parse one Dialogue text field into styled segments plus cue-level
+ * placement (alignment, \pos, \move, \fad)
+ */
+function parseDialogueText(text, { style, styles, duration, wrapStyle }) {
+  const cue = {
+    alignment: null,
+    position: null,
+    move: null,
+    fade: null,
+    angle: null,
+    wrapStyle,
+    segments: [],
+    unsupportedTags: []
+  };
+
+  let current = { ...style };
+  let drawing = false;
+  let karaoke = null;
+  let karaokeOffset = 0;
+
+  const markUnsupported = (name) => {
+    if (!cue.unsupportedTags.includes(name)) cue.unsupportedTags.push(name);
+  };
+
+  const applyTag = ({ name, value }) => {
+    const number = parseFloat(value);
+    const hasNumber = Number.isFinite(number);
+
+    switch (name) {
+      case 'b':
+        // \b1 or a font weight such as \b700; a bare \b resets to the style
+        current.bold = value === '' ? style.bold : number === 1 || number >= 600;
+        break;
+      case 'i':
+        current.italic = value === '' ? style.italic : number === 1;
+        break;
+      case 'u':
+        current.underline = value === '' ? style.underline : number === 1;
+        break;
+      case 's':
+        current.strikeout = value === '' ? style.strikeout : number === 1;
+        break;
+      case 'fn':
+        current.fontName = value || style.fontName;
+        break;
+      case 'fs':
+        if (/^[+-]/.test(value) && hasNumber) {
+          current.fontSize = Math.max(1, current.fontSize * (1 + number / 10));
+        } else {
+          current.fontSize = hasNumber && number > 0 ? number : style.fontSize;
+        }
+        break;
+      case 'fscx':
+        current.scaleX = hasNumber ? number : style.scaleX;
+        break;
+      case 'fscy':
+        current.scaleY = hasNumber ? number : style.scaleY;
+        break;
+      case 'fsp':
+        current.spacing = hasNumber ? number : style.spacing;
+        break;
+      case 'bord':
+      case 'xbord':
+      case 'ybord':
+        current.outline = hasNumber ? Math.max(0, number) : style.outline;
+        break;
+      case 'shad':
+      case 'xshad':
+      case 'yshad':
+        current.shadow = hasNumber ? number : style.shadow;
+        break;
+      case 'be':
+      case 'blur':
+        current.blur = hasNumber ? Math.max(0, number) : 0;
+        break;
+      case 'c':
+      case '1c':
+      case '2c':
+      case '3c':
+      case '4c': {
+        const key = COLOR_TAGS[name];
+        const color = value ? parseASSColor(value, null) : style[key];
+        if (color) current[key] = { ...color, a: current[key].a };
+        break;
+      }
+      case 'alpha':
+      case '1a':
+      case '2a':
+      case '3a':
+      case '4a': {
+        const alpha = parseASSAlpha(value);
+        (ALPHA_TAGS[name] || ALL_COLORS).forEach(key => {
+          current[key] = { ...current[key], a: alpha ?? style[key].a };
+        });
+        break;
+      }
+      case 'an':
+        if (cue.alignment === null && number >= 1 && number <= 9) cue.alignment = number;
+        break;
+      case 'a':
+        if (cue.alignment === null && hasNumber) cue.alignment = legacyAlignmentToNumpad(number);
+        break;
+      case 'pos': {
+        const [x, y] = parseArguments(value).map(Number);
+        if (!cue.position && !cue.move && Number.isFinite(x) && Number.isFinite(y)) {
+          cue.position = { x, y };
+        }
+        break;
+      }
+      case 'move': {
+        const [x1, y1, x2, y2, t1, t2] = parseArguments(value).map(Number);
+        if (!cue.position && !cue.move && [x1, y1, x2, y2].every(Number.isFinite)) {
+          const timed = Number.isFinite(t1) && Number.isFinite(t2) && t2 > t1;
+          cue.move = { x1, y1, x2, y2, t1: timed ? t1 : 0, t2: timed ? t2 : duration };
+          cue.position = { x: x1, y: y1 };
+        }
+        break;
+      }
+      case 'fad': {
+        const [fadeIn, fadeOut] = parseArguments(value).map(Number);
+        if (!cue.fade && Number.isFinite(fadeIn) && Number.isFinite(fadeOut)) {
+          cue.fade = { alphas: [255, 0, 255], times: [0, fadeIn, duration - fadeOut, duration] };
+        }
+        break;
+      }
+      case 'fade': {
+        const args = parseArguments(value).map(Number);
+        if (!cue.fade && args.length === 7 && args.every(Number.isFinite)) {
+          cue.fade = { alphas: args.slice(0, 3), times: args.slice(3) };
+        }
+        break;
+      }
+      case 'fr':
+      case 'frz':
+        if (cue.angle === null && hasNumber) cue.angle = number;
+        break;
+      case 'k':
+      case 'K':
+      case 'kf':
+      case 'ko': {
+        const length = hasNumber ? Math.max(0, number) / 100 : 0;
+        karaoke = { type: name === 'K' ? 'kf' : name, start: karaokeOffset, duration: length };
+        karaokeOffset += length;
+        break;
+      }
+      case 'q':
+        if (hasNumber) cue.wrapStyle = number;
+        break;
+      case 'r': {
+        const reset = value && styles[value] ? styles[value] : style;
+        current = { ...reset };
+        break;
+      }
+      case 'p':
+        drawing = hasNumber && number > 0;
+        if (drawing) markUnsupported('p');
+        break;
+      case 'fe':
+      case 'pbo':
+        break;
+      default:
+        if (UNSUPPORTED_OVERRIDE_TAGS.includes(name)) markUnsupported(name);
+        break;
+    }
+  };
+
+  const addSegment = (rawText) => {
+    if (!rawText || drawing) return;
+
+    const segmentText = rawText
+      .replace(/\\N/g, '\n')
+      .replace(/\\n/g, cue.wrapStyle === 2 ? '\n' : ' ')
+      .replace(/\\h/g, '\u00a0');
+    cue.segments.push({
+      text: segmentText,
+      style: { ...current },
+      karaoke
+    });
+  };
+
+  const blockPattern = /\{([^}]*)\}/g;
+  let lastIndex = 0;
+  let match;
+  while ((match = blockPattern.exec(text)) !== null) {
+    addSegment(text.slice(lastIndex, match.index));
+    // Blocks without a backslash are comments
+    tokenizeOverrideBlock(match[1]).forEach(applyTag);
+    lastIndex = blockPattern.lastIndex;
+  }
+  addSegment(text.slice(lastIndex));
+
+  return cue;
+}
+
+/**
+ * Parse ASS/SSA content into styles and style-aware cues
+ * @param {string} content - Raw ASS/SSA content
+ * @returns {Object} Script info, styles, cues (sorted by start time and layer) and metadata
+ */
+export function parseASS(content) {
+  const metadata = {
+    format: 'ass',
+    processedCues: 0,
+    skippedCues: 0,
+    errors: [],
+    warnings: []
+  };
+
+  if (!content || typeof content !== 'string') {
+    metadata.errors.push('Invalid ASS content: must be a non-empty string');
+    return { info: parseASSScriptInfo(''), styles: { Default: { ...ASS_DEFAULT_STYLE } }, cues: [], metadata };
+  }
+
+  const sectionMap = sections(content);
+  const info = parseASSScriptInfo(content);
+  if (!sectionMap.has('v4+ styles') && sectionMap.has('v4 styles')) {
+    metadata.format = 'ssa';
+  }
+
+  const styles = parseStyles(sectionMap, metadata.warnings);
+  const cues = [];
+  let format = null;
+
+  (sectionMap.get('events') || []).forEach(line => {
+    const entry = keyValue(line);
+    if (!entry) return;
+    const [key, value] = entry;
+
+    if (key.toLowerCase() === 'format') {
+      format = value.split(',').map(field => field.trim().toLowerCase());
+      return;
+    }
+    if (key.toLowerCase() !== 'dialogue') return;
+    if (!format || !format.includes('text')) {
+      metadata.skippedCues++;
+      metadata.warnings.push('Dialogue line before an Events Format line was skipped');
+      return;
+    }
+
+    const fields = {};
+    splitFormattedLine(value, format.length).forEach((field, index) => {
+      fields[format[index]] = index === format.length - 1 ? field : field.trim();
+    });
+
+    const start = parseASSTime(fields.start);
+    const end = parseASSTime(fields.end);
+    if (start === null || end === null || end <= start) {
+      metadata.skippedCues++;
+      metadata.warnings.push(`Dialogue with invalid timing skipped: ${fields.start} --> ${fields.end}`);
+      return;
+    }
+
+    const styleName = (fields.style || 'Default').replace(/^\*/, '');
+    const style = styles[styleName] || styles.Default;
+    if (!styles[styleName]) {
+      metadata.warnings.push(`Unknown style "${styleName}" replaced by Default`);
+    }
+
+    const rawText = fields.text ?? '';
+    const parsed = parseDialogueText(rawText, {
+      style,
+      styles,
+      duration: Math.round((end - start) * 1000),
+      wrapStyle: info.wrapStyle
+    });
+
+    // Event margins of 0 mean "use the style's margin"
+    const margin = (field, fallback) => parseInt(field, 10) || fallback;
+
+    cues.push({
+      id: `ass-${cues.length + 1}`,
+      start,
+      end,
+      layer: parseInt(fields.layer, 10) || 0,
+      styleName: style.name,
+      actor: fields.name || '',
+      effect: fields.effect || '',
+      text: parsed.segments.map(segment => segment.text).join('').trim(),
+      originalText: rawText,
+      segments: parsed.segments,
+      alignment: parsed.alignment ?? style.alignment,
+      position: parsed.position,
+      move: parsed.move,
+      fade: parsed.fade,
+      angle: parsed.angle ?? style.angle,
+      wrapStyle: parsed.wrapStyle,
+      margins: {
+        left: margin(fields.marginl, style.marginL),
+        right: margin(fields.marginr, style.marginR),
+        vertical: margin(fields.marginv, style.marginV)
+      },
+      unsupportedTags: parsed.unsupportedTags,
+      fallback: parsed.unsupportedTags.length > 0
+    });
+  });
+
+  // Stable sort: file order is kept for cues starting together on one layer
+  cues.sort((a, b) => a.start - b.start || a.layer - b.layer);
+  metadata.processedCues = cues.length;
+
+  if (!sectionMap.has('events')) {
+    metadata.errors.push('No [Events] section found');
+  }
+
+  return { info, styles, cues, metadata };
+}
+
+/**
+ * Cues showing at a point in time, lowest layer first
+ * @param {Array} cues - Parsed ASS cues
+ * @param {number} time - Time in seconds
+ * @returns {Array} Active cues
+ */
+export function getActiveASSCues(cues, time) {
+  return cues
+    .filter(cue => cue.start <= time && time < cue.end)
+    .sort((a, b) => a.layer - b.layer);
+}
+
+function formatVTTTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+function escapeVTT(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// WebVTT cue settings approximating the cue's placement
+function vttCueSettings(cue, info) {
+  if (cue.position) {
+    const x = Math.min(100, Math.max(0, (cue.position.x / info.playResX) * 100));
+    const y = Math.min(100, Math.max(0, (cue.position.y / info.playResY) * 100));
+    return `position:${roundTo(x, 2)}% line:${roundTo(y, 2)}%`;
+  }
+
+  const settings = [];
+  const vertical = Math.ceil(cue.alignment / 3);
+  if (vertical === 3) settings.push('line:5%');
+  if (vertical === 2) settings.push('line:50%');
+
+  const horizontal = (cue.alignment - 1) % 3;
+  if (horizontal === 0) settings.push('align:start');
+  if (horizontal === 2) settings.push('align:end');
+  return settings.join(' ');
+}
+
+/**
+ * Convert parsed ASS cues to WebVTT. Bold, italic and underline survive as
+ * VTT tags and placement as cue settings; everything else is dropped.
+ * @param {Object} parsed - Result of parseASS
+ * @returns {string} WebVTT content
+ */
+export function assToVTT({ info, cues }) {
+  const blocks = cues
+    .map(cue => {
+      // Adjacent segments with the same formatting become one run
+      const runs = [];
+      cue.segments.forEach(({ text, style }) => {
+        const previous = runs[runs.length - 1];
+        if (previous && ['bold', 'italic', 'underline'].every(key => previous.style[key] === style[key])) {
+          previous.text += text;
+        } else {
+          runs.push({ text, style });
+        }
+      });
+
+      const text = runs
+        .map(({ text, style }) => {
+          let html = escapeVTT(text);
+          if (style.italic) html = `<i>${html}</i>`;
+          if (style.bold) html = `<b>${html}</b>`;
+          if (style.underline) html = `<u>${html}</u>`;
+          return html;
+        })
+        .join('')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+      if (!text) return null;
+
+      const settings = vttCueSettings(cue, info);
+      return `${formatVTTTime(cue.start)} --> ${formatVTTTime(cue.end)}${settings ? ` ${settings}` : ''}\n${text}`;
+    })
+    .filter(Boolean)
+    .map((block, index) => `${index + 1}\n${block}`);
+
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
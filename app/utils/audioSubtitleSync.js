@@ -0,0 +1,583 @@
+/**
+ * Audio-based subtitle synchronization
+ *
+ * Subtitles made for another release of the same title drift from the video by
+ * a constant delay, a framerate ratio (a 25 fps PAL file on a 23.976 fps
+ * release runs about 4% fast), or both. Instead of comparing two text tracks,
+ * this module listens to the video's own audio: a voice activity detector
+ * marks where people are talking, and a solver searches for the offset and
+ * scale that put the most cues on top of speech.
+ *
+ * Corrections map subtitle time to video time: videoTime = cueTime * scale + offset
+ */
+
+export const IDENTITY_CORRECTION = Object.freeze({ offset: 0, scale: 1 });
+
+/**
+ * Speed ratios between common release framerates. 1 comes first so it wins ties.
+ */
+export const FRAMERATE_RATIOS = [
+  1,
+  25 / 23.976,
+  23.976 / 25,
+  25 / 24,
+  24 / 25,
+  24 / 23.976,
+  23.976 / 24
+];
+
+export const DEFAULT_VAD_OPTIONS = {
+  speechBand: [300, 3400], // Hz, where most voice energy sits
+  thresholdDb: 9, // Speech must be this far above the noise floor
+  silenceDb: -60, // Frames quieter than this are never speech
+  minBandRatio: 0.4, // Share of the spectrum's power inside the speech band
+  noiseAdaptRate: 0.02, // How fast the noise floor creeps up during non-speech
+  hangover: 0.25, // Seconds of non-speech tolerated inside one region
+  minSpeech: 0.2, // Shorter regions are dropped as clicks and bangs
+  maxFrameGap: 0.5 // Larger jumps in media time (seeks, stalls) split the analysis
+};
+
+export const DEFAULT_SYNC_OPTIONS = {
+  scales: FRAMERATE_RATIOS,
+  maxOffset: 30, // Seconds searched either side of the current timing
+  coarseStep: 0.1,
+  fineStep: 0.01,
+  resolution: 0.05, // Grid the speech timeline is sampled on
+  onsetTolerance: 0.3, // A cue "starts on speech" within this many seconds of an onset
+  onsetWeight: 0.5,
+  scalePreference: 0.05, // A framerate change must score this much better than none
+  minCues: 6,
+  minConfidence: 0.5,
+  minAnchorSpan: 300 // Seconds between sync points needed to fit a scale
+};
+
+// Longer cues are treated as broken timing and ignored by the solver
+const MAX_CUE_DURATION = 30;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Map a subtitle timestamp onto the video timeline
+ * @param {number} time - Time in the subtitle file, in seconds
+ * @param {Object} correction - { offset, scale }
+ * @returns {number} Video time in seconds
+ */
+export function mapCueTime(time, correction = IDENTITY_CORRECTION) {
+  return time * correction.scale + correction.offset;
+}
+
+/**
+ * Map a video timestamp back into the subtitle file's timeline
+ * @param {number} time - Video time in seconds
+ * @param {Object} correction - { offset, scale }
+ * @returns {number} Subtitle time in seconds
+ */
+export function toCueTime(time, correction = IDENTITY_CORRECTION) {
+  return (time - correction.offset) / correction.scale;
+}
+
+/**
+ * Whether a correction leaves timing unchanged
+ * @param {Object} correction - { offset, scale }
+ * @returns {boolean}
+ */
+export function isIdentityCorrection(correction) {
+  return !correction || (Math.abs(correction.offset) < 0.001 && Math.abs(correction.scale - 1) < 1e-6);
+}
+
+/**
+ * Apply a timing correction to cues without touching the originals
+ * @param {Array} cues - Cues with start/end in seconds
+ * @param {Object} correction - { offset, scale }
+ * @returns {Array} Corrected cues
+ */
+export function applySyncCorrection(cues, correction = IDENTITY_CORRECTION) {
+  if (isIdentityCorrection(correction)) {
+    return cues;
+  }
+
+  return cues.map(cue => ({
+    ...cue,
+    start: mapCueTime(cue.start, correction),
+    end: mapCueTime(cue.end, correction)
+  }));
+}
+
+/**
+ * Measure one analysis frame
+ * @param {Float32Array} timeData - Samples from AnalyserNode.getFloatTimeDomainData
+ * @param {Float32Array} frequencyData - dB values from AnalyserNode.getFloatFrequencyData
+ * @param {number} sampleRate - Audio context sample rate
+ * @param {Array<number>} speechBand - [low, high] in Hz
+ * @returns {Object} { energy (dBFS), bandRatio (0-1) }
+ */
+export function measureSpeechFeatures(timeData, frequencyData, sampleRate, speechBand = DEFAULT_VAD_OPTIONS.speechBand) {
+  let sumSquares = 0;
+  for (let i = 0; i < timeData.length; i++) {
+    sumSquares += timeData[i] * timeData[i];
+  }
+  const rms = Math.sqrt(sumSquares / Math.max(1, timeData.length));
+  const energy = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+
+  // Bins cover 0..Nyquist; the DC bin is skipped
+  const binWidth = sampleRate / 2 / frequencyData.length;
+  let total = 0;
+  let inBand = 0;
+  for (let bin = 1; bin < frequencyData.length; bin++) {
+    const power = Number.isFinite(frequencyData[bin]) ? Math.pow(10, frequencyData[bin] / 10) : 0;
+    const frequency = bin * binWidth;
+    total += power;
+    if (frequency >= speechBand[0] && frequency <= speechBand[1]) {
+      inBand += power;
+    }
+  }
+
+  return {
+    energy,
+    bandRatio: total > 0 ? inBand / total : 0
+  };
+}
+
+/**
+ * Frame-by-frame voice activity detector with an adaptive noise floor.
+ * Frames are fed in media time, so pauses cost nothing and seeks start a new range.
+ */
+export class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_VAD_OPTIONS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.noiseFloor = null;
+    this.regions = [];
+    this.ranges = [];
+    this.openRegion = null;
+    this.openRange = null;
+    this.lastTime = null;
+  }
+
+  /**
+   * Feed one frame
+   * @param {number} time - Media time of the frame in seconds
+   * @param {Object} features - { energy, bandRatio } from measureSpeechFeatures
+   * @returns {boolean} Whether the frame was classified as speech
+   */
+  process(time, { energy, bandRatio }) {
+    const { thresholdDb, silenceDb, minBandRatio, noiseAdaptRate, hangover, maxFrameGap } = this.options;
+
+    if (this.lastTime !== null && (time < this.lastTime || time - this.lastTime > maxFrameGap)) {
+      this.closeRange();
+    }
+
+    if (!this.openRange) {
+      this.openRange = { start: time, end: time };
+    }
+    this.openRange.end = time;
+    this.lastTime = time;
+
+    const level = Number.isFinite(energy) ? energy : silenceDb - 1;
+    if (this.noiseFloor === null) {
+      this.noiseFloor = level;
+    }
+
+    const isSpeech = level > silenceDb &&
+      level - this.noiseFloor >= thresholdDb &&
+      bandRatio >= minBandRatio;
+
+    if (isSpeech) {
+      if (!this.openRegion) {
+        this.openRegion = { start: time, lastSpeech: time };
+      }
+      this.openRegion.lastSpeech = time;
+    } else {
+      // The floor drops to quiet frames at once and rises slowly, so speech doesn't raise it
+      this.noiseFloor = level < this.noiseFloor
+        ? level
+        : this.noiseFloor + (level - this.noiseFloor) * noiseAdaptRate;
+
+      if (this.openRegion && time - this.openRegion.lastSpeech > hangover) {
+        this.closeRegion();
+      }
+    }
+
+    return isSpeech;
+  }
+
+  closeRegion() {
+    if (!this.openRegion) return;
+
+    const { start, lastSpeech } = this.openRegion;
+    if (lastSpeech - start >= this.options.minSpeech) {
+      this.regions.push({ start, end: lastSpeech });
+    }
+    this.openRegion = null;
+  }
+
+  closeRange() {
+    this.closeRegion();
+    if (this.openRange && this.openRange.end > this.openRange.start) {
+      this.ranges.push(this.openRange);
+    }
+    this.openRange = null;
+  }
+
+  /**
+   * @returns {Array} Speech regions found so far, sorted by start
+   */
+  getRegions() {
+    const regions = [...this.regions];
+    if (this.openRegion && this.openRegion.lastSpeech - this.openRegion.start >= this.options.minSpeech) {
+      regions.push({ start: this.openRegion.start, end: this.openRegion.lastSpeech });
+    }
+    return regions.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * @returns {Array} Stretches of media time that were listened to
+   */
+  getAnalyzedRanges() {
+    const ranges = [...this.ranges];
+    if (this.openRange && this.openRange.end > this.openRange.start) {
+      ranges.push({ ...this.openRange });
+    }
+    return ranges.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * @returns {number} Seconds of audio analyzed
+   */
+  getCoverage() {
+    return this.getAnalyzedRanges().reduce((total, range) => total + (range.end - range.start), 0);
+  }
+}
+
+// A media element can only ever be wired to one MediaElementAudioSourceNode
+const mediaSources = new WeakMap();
+
+/**
+ * Whether a media element's audio can go through Web Audio without being
+ * muted. Media Source (blob:) and same-origin sources can; another origin
+ * only when the element loads it with CORS, i.e. has crossOrigin set.
+ * @param {HTMLMediaElement} media - Video or audio element
+ * @returns {boolean}
+ */
+export function canConnectMediaAudio(media) {
+  const src = media?.currentSrc || media?.src;
+  if (!src || typeof window === 'undefined') return false;
+
+  try {
+    const url = new URL(src, window.location.href);
+    if (url.protocol === 'blob:' || url.protocol === 'data:') return true;
+    return url.origin === new URL(window.location.href).origin || Boolean(media.crossOrigin);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Route a media element's audio through Web Audio, once per element, so
+ * several analysers can listen to it. There is no way back: the element's
+ * sound then plays only while the context runs, so elements whose audio
+ * Web Audio would mute (see canConnectMediaAudio) are refused. A context
+ * created without a user gesture starts suspended, so it is resumed whenever
+ * the element starts playing.
+ * @param {HTMLMediaElement} media - Video or audio element
+ * @returns {Object} { context, source } shared by every caller
+ * @throws {Error} When Web Audio is missing or can't hear the element
+ */
+export function connectMediaAudio(media) {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) {
+    throw new Error('Web Audio is not supported in this browser');
+  }
+
+  let entry = mediaSources.get(media);
+  if (!entry) {
+    if (!canConnectMediaAudio(media)) {
+      throw new Error('The audio of media from another origin can only be analysed when it is loaded with CORS');
+    }
+
+    const context = new AudioContextClass();
+    const source = context.createMediaElementSource(media);
+    source.connect(context.destination);
+    media.addEventListener('play', () => {
+      if (context.state === 'suspended') {
+        context.resume().catch(() => {});
+      }
+    });
+    entry = { context, source };
+    mediaSources.set(media, entry);
+  }
+  return entry;
+}
+
+/**
+ * Listen to a playing media element and detect speech.
+ * The element's audio is routed through Web Audio from the first call on
+ * (see connectMediaAudio); isSilent() reports audio that never arrives.
+ * @param {HTMLMediaElement} media - Video or audio element
+ * @param {Object} options - VAD options plus frameInterval (ms) and fftSize
+ * @returns {Object} Monitor with start/stop/reset/destroy and result getters
+ */
+export function createSpeechActivityMonitor(media, options = {}) {
+  const { frameInterval = 30, fftSize = 2048, ...vadOptions } = options;
+  const { context, source } = connectMediaAudio(media);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = 0;
+  source.connect(analyser);
+
+  const detector = new VoiceActivityDetector(vadOptions);
+  const timeData = new Float32Array(analyser.fftSize);
+  const frequencyData = new Float32Array(analyser.frequencyBinCount);
+  let timer = null;
+  let frames = 0;
+  let silentFrames = 0;
+
+  const sample = () => {
+    if (media.paused || media.seeking) return;
+
+    analyser.getFloatTimeDomainData(timeData);
+    analyser.getFloatFrequencyData(frequencyData);
+    const features = measureSpeechFeatures(timeData, frequencyData, context.sampleRate, detector.options.speechBand);
+
+    frames++;
+    if (!Number.isFinite(features.energy)) {
+      silentFrames++;
+    }
+    detector.process(media.currentTime, features);
+  };
+
+  return {
+    start() {
+      if (timer) return;
+      if (context.state === 'suspended') {
+        context.resume().catch(() => {});
+      }
+      timer = setInterval(sample, frameInterval);
+    },
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+      detector.closeRange();
+    },
+    reset() {
+      detector.reset();
+      frames = 0;
+      silentFrames = 0;
+    },
+    destroy() {
+      this.stop();
+      analyser.disconnect();
+    },
+    getRegions: () => detector.getRegions(),
+    getAnalyzedRanges: () => detector.getAnalyzedRanges(),
+    getCoverage: () => detector.getCoverage(),
+    // Digital silence on nearly every frame means the audio never reached the graph
+    isSilent: () => frames >= 30 && silentFrames / frames > 0.98
+  };
+}
+
+/**
+ * Sample speech regions onto a grid with prefix sums, so the speech balance
+ * of any interval is O(1): +1 per cell of speech, -1 per cell of listened
+ * non-speech, 0 where nothing was analyzed
+ */
+function buildSpeechTimeline(regions, analyzedRanges, resolution) {
+  const start = analyzedRanges[0].start;
+  const end = analyzedRanges[analyzedRanges.length - 1].end;
+  const size = Math.max(1, Math.ceil((end - start) / resolution));
+  const values = new Int8Array(size);
+  const onsets = new Uint8Array(size);
+  const cell = time => clamp(Math.floor((time - start) / resolution), 0, size - 1);
+
+  analyzedRanges.forEach(range => {
+    for (let i = cell(range.start); i <= cell(range.end); i++) values[i] = -1;
+  });
+  regions.forEach(region => {
+    for (let i = cell(region.start); i <= cell(region.end); i++) {
+      if (values[i] !== 0) values[i] = 1;
+    }
+    onsets[cell(region.start)] = 1;
+  });
+
+  const balance = new Float64Array(size + 1);
+  const analyzed = new Float64Array(size + 1);
+  const onsetCount = new Float64Array(size + 1);
+  for (let i = 0; i < size; i++) {
+    balance[i + 1] = balance[i] + values[i];
+    analyzed[i + 1] = analyzed[i] + (values[i] !== 0 ? 1 : 0);
+    onsetCount[i + 1] = onsetCount[i] + onsets[i];
+  }
+
+  const index = time => clamp(Math.round((time - start) / resolution), 0, size);
+  const sum = (prefix, from, to) => prefix[index(to)] - prefix[index(from)];
+
+  return {
+    start,
+    end,
+    balance: (from, to) => sum(balance, from, to) * resolution,
+    analyzed: (from, to) => sum(analyzed, from, to) * resolution,
+    hasOnset: (from, to) => sum(onsetCount, from, to) > 0
+  };
+}
+
+// Cues are sorted by start; with the longest cue duration as slack this finds where a scan can begin
+function firstCueEndingAfter(cues, time) {
+  let low = 0;
+  let high = cues.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (cues[middle].start < time - MAX_CUE_DURATION) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * Fit subtitle timing to detected speech
+ *
+ * Each scale is searched around the middle of the analyzed audio, so a
+ * framerate change only wins when the listened stretch is long enough to tell
+ * it apart from a plain delay.
+ *
+ * @param {Array} cues - Cues in the subtitle file's own timing
+ * @param {Array} regions - Speech regions in video time
+ * @param {Array} analyzedRanges - Stretches of video time that were analyzed
+ * @param {Object} options - Overrides for DEFAULT_SYNC_OPTIONS
+ * @returns {Object} { offset, scale, confidence, reliable, score, evaluatedCues, matchedCues }
+ */
+export function solveSubtitleSync(cues, regions, analyzedRanges, options = {}) {
+  const config = { ...DEFAULT_SYNC_OPTIONS, ...options };
+  const unreliable = { ...IDENTITY_CORRECTION, confidence: 0, reliable: false, score: 0, evaluatedCues: 0, matchedCues: 0 };
+
+  if (!cues?.length || !analyzedRanges?.length) {
+    return unreliable;
+  }
+
+  const sortedCues = [...cues].filter(cue => cue.end > cue.start && cue.end - cue.start <= MAX_CUE_DURATION).sort((a, b) => a.start - b.start);
+  const timeline = buildSpeechTimeline(regions, analyzedRanges, config.resolution);
+  const center = (timeline.start + timeline.end) / 2;
+
+  const evaluate = (scale, shift) => {
+    // Only cues that can land on the analyzed audio matter
+    const from = (timeline.start - center - shift) / scale + center;
+    const to = (timeline.end - center - shift) / scale + center;
+    let score = 0;
+    let evaluatedCues = 0;
+    let matchedCues = 0;
+
+    for (let i = firstCueEndingAfter(sortedCues, from); i < sortedCues.length; i++) {
+      const cue = sortedCues[i];
+      if (cue.start > to) break;
+      if (cue.end < from) continue;
+
+      const start = scale * (cue.start - center) + center + shift;
+      const end = scale * (cue.end - center) + center + shift;
+      const analyzed = timeline.analyzed(start, end);
+      if (analyzed < (end - start) / 2) continue;
+
+      const overlap = timeline.balance(start, end) / analyzed;
+      const onset = timeline.hasOnset(start - config.onsetTolerance, start + config.onsetTolerance);
+      score += overlap + (onset ? config.onsetWeight : 0);
+      evaluatedCues++;
+      if (overlap > 0 && onset) matchedCues++;
+    }
+
+    return { score, evaluatedCues, matchedCues };
+  };
+
+  const candidates = config.scales.map(scale => {
+    const curve = [];
+    let best = { shift: 0, score: -Infinity };
+
+    const coarseSteps = Math.round(config.maxOffset / config.coarseStep);
+    for (let step = -coarseSteps; step <= coarseSteps; step++) {
+      const shift = step * config.coarseStep;
+      const result = evaluate(scale, shift);
+      curve.push({ shift, score: result.score });
+      if (result.score > best.score) best = { shift, ...result };
+    }
+
+    const coarseShift = best.shift;
+    const fineSteps = Math.round(config.coarseStep / config.fineStep);
+    for (let step = -fineSteps; step <= fineSteps; step++) {
+      const shift = coarseShift + step * config.fineStep;
+      const result = evaluate(scale, shift);
+      if (result.score > best.score) best = { shift, ...result };
+    }
+
+    // Runner-up away from the peak tells a clear match from a repetitive one
+    const runnerUp = curve.reduce((max, point) => (
+      Math.abs(point.shift - best.shift) > 1 && point.score > max ? point.score : max
+    ), 0);
+
+    return { scale, ...best, runnerUp };
+  });
+
+  const unscaled = candidates.find(candidate => candidate.scale === 1) || candidates[0];
+  let chosen = candidates.reduce((best, candidate) => (candidate.score > best.score ? candidate : best), unscaled);
+  if (chosen !== unscaled && chosen.score - unscaled.score <= Math.abs(unscaled.score) * config.scalePreference) {
+    chosen = unscaled;
+  }
+
+  if (chosen.evaluatedCues < config.minCues || chosen.score <= 0) {
+    return { ...unreliable, score: chosen.score, evaluatedCues: chosen.evaluatedCues, matchedCues: chosen.matchedCues };
+  }
+
+  const matchRatio = chosen.matchedCues / chosen.evaluatedCues;
+  const distinctness = clamp((chosen.score - chosen.runnerUp) / chosen.score, 0, 1);
+  const confidence = Math.round(matchRatio * Math.min(1, distinctness * 3) * 100) / 100;
+
+  return {
+    offset: center * (1 - chosen.scale) + chosen.shift,
+    scale: chosen.scale,
+    confidence,
+    reliable: confidence >= config.minConfidence,
+    score: chosen.score,
+    evaluatedCues: chosen.evaluatedCues,
+    matchedCues: chosen.matchedCues
+  };
+}
+
+/**
+ * Fit a correction through sync points. One point, or points too close
+ * together to measure a speed difference, only move the offset; otherwise a
+ * least-squares line is fitted and its scale snapped to a framerate ratio.
+ * @param {Array} anchors - [{ cueTime, videoTime }]
+ * @param {Object} options - { scale: scale to keep when it can't be fitted, minAnchorSpan }
+ * @returns {Object|null} { offset, scale } or null without anchors
+ */
+export function solveLinearSync(anchors, options = {}) {
+  const { scale: fallbackScale = 1, minAnchorSpan = DEFAULT_SYNC_OPTIONS.minAnchorSpan } = options;
+  if (!anchors?.length) return null;
+
+  const offsetFor = scale => anchors.reduce((sum, anchor) => sum + anchor.videoTime - anchor.cueTime * scale, 0) / anchors.length;
+
+  const cueTimes = anchors.map(anchor => anchor.cueTime);
+  if (Math.max(...cueTimes) - Math.min(...cueTimes) < minAnchorSpan) {
+    return { offset: offsetFor(fallbackScale), scale: fallbackScale };
+  }
+
+  const meanCue = cueTimes.reduce((sum, time) => sum + time, 0) / anchors.length;
+  const meanVideo = anchors.reduce((sum, anchor) => sum + anchor.videoTime, 0) / anchors.length;
+  let covariance = 0;
+  let variance = 0;
+  anchors.forEach(({ cueTime, videoTime }) => {
+    covariance += (cueTime - meanCue) * (videoTime - meanVideo);
+    variance += (cueTime - meanCue) ** 2;
+  });
+
+  const fitted = covariance / variance;
+  // Anything outside +-10% is a mis-tapped sync point, not a framerate difference
+  if (!(Math.abs(fitted - 1) <= 0.1)) {
+    return { offset: offsetFor(fallbackScale), scale: fallbackScale };
+  }
+  const snapped = FRAMERATE_RATIOS.find(ratio => Math.abs(fitted / ratio - 1) < 0.002);
+  const scale = snapped ?? fitted;
+
+  return { offset: offsetFor(scale), scale };
+}
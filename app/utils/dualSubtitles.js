@@ -0,0 +1,169 @@
+/**
+ * Dual subtitles
+ *
+ * Shows two subtitle languages at once. Lines from the two tracks are paired
+ * by time overlap, so a translation appears and disappears together with the
+ * line it belongs to, even when the files split sentences differently.
+ * Also keeps the layout and per-track styling chosen by the viewer.
+ */
+
+const STORAGE_KEY = 'flyx_dual_subtitles';
+
+// Overlap, as a share of the shorter cue, needed to pair two lines
+const MIN_OVERLAP_SHARE = 0.3;
+
+// Longest cue expected in a subtitle file; bounds the overlap search
+const MAX_CUE_DURATION = 30;
+
+export const DUAL_SUBTITLE_LAYOUTS = [
+  { id: 'stacked', label: 'Stacked' },
+  { id: 'split', label: 'Top & bottom' }
+];
+
+export const DUAL_SUBTITLE_SIZES = ['small', 'medium', 'large'];
+
+export const DUAL_SUBTITLE_COLORS = ['#ffffff', '#ffd866', '#7fdbff', '#a6e22e'];
+
+export const DEFAULT_DUAL_SUBTITLE_SETTINGS = {
+  layout: 'stacked',
+  pauseOnClick: true,
+  primary: { fontSize: 'medium', color: '#ffffff' },
+  secondary: { fontSize: 'small', color: '#ffd866' }
+};
+
+const byStart = (a, b) => a.start - b.start || a.end - b.end;
+
+/**
+ * Pair the cues of two subtitle tracks by time overlap. Each secondary cue
+ * joins the primary cue it overlaps most, so a sentence split over two lines
+ * in one file still lines up with one line in the other; cues without a
+ * partner are shown on their own.
+ * @param {Array} primaryCues - Cues of the main language ({ start, end, text })
+ * @param {Array} secondaryCues - Cues of the second language
+ * @param {Object} options - Alignment options
+ * @param {number} options.minOverlap - Overlap share of the shorter cue needed to pair
+ * @returns {Array} Aligned lines: { id, start, end, primary: [cues], secondary: [cues] }
+ */
+export function alignDualCues(primaryCues = [], secondaryCues = [], { minOverlap = MIN_OVERLAP_SHARE } = {}) {
+  const primary = [...primaryCues].sort(byStart);
+  const groups = primary.map(cue => ({ start: cue.start, end: cue.end, primary: [cue], secondary: [] }));
+
+  let firstCandidate = 0;
+  [...secondaryCues].sort(byStart).forEach(cue => {
+    while (firstCandidate < primary.length && primary[firstCandidate].start + MAX_CUE_DURATION < cue.start) {
+      firstCandidate++;
+    }
+
+    let best = -1;
+    let bestOverlap = 0;
+    for (let i = firstCandidate; i < primary.length && primary[i].start < cue.end; i++) {
+      const other = primary[i];
+      const overlap = Math.min(cue.end, other.end) - Math.max(cue.start, other.start);
+      const shorter = Math.min(cue.end - cue.start, other.end - other.start);
+      if (overlap > bestOverlap && overlap >= shorter * minOverlap) {
+        best = i;
+        bestOverlap = overlap;
+      }
+    }
+
+    if (best === -1) {
+      groups.push({ start: cue.start, end: cue.end, primary: [], secondary: [cue] });
+    } else {
+      const group = groups[best];
+      group.secondary.push(cue);
+      group.start = Math.min(group.start, cue.start);
+      group.end = Math.max(group.end, cue.end);
+    }
+  });
+
+  return groups
+    .sort(byStart)
+    .map((group, index) => ({ id: `dual-${index}`, ...group }));
+}
+
+/**
+ * Find the aligned line showing at a time; when lines overlap the most recent wins
+ * @param {Array} alignedCues - Result of alignDualCues
+ * @param {number} time - Video time in seconds
+ * @returns {Object|null} Aligned line or null
+ */
+export function findDualCueAt(alignedCues, time) {
+  if (!alignedCues?.length) return null;
+
+  // Last line starting at or before the time
+  let low = 0;
+  let high = alignedCues.length - 1;
+  let index = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (alignedCues[middle].start <= time) {
+      index = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  // Ends aren't sorted, so look back over lines that could still be showing
+  for (let i = index; i >= 0 && alignedCues[i].start >= time - MAX_CUE_DURATION * 2; i--) {
+    if (alignedCues[i].end > time) return alignedCues[i];
+  }
+  return null;
+}
+
+/**
+ * Text of one track of an aligned line
+ * @param {Object} alignedCue - Aligned line
+ * @param {'primary'|'secondary'} track - Which language
+ * @returns {string} Lines joined with newlines
+ */
+export function getDualCueText(alignedCue, track) {
+  return (alignedCue?.[track] || [])
+    .map(cue => cue.text)
+    .filter(Boolean)
+    .join('\n');
+}
+
+const mergeSettings = (settings = {}) => ({
+  ...DEFAULT_DUAL_SUBTITLE_SETTINGS,
+  ...settings,
+  primary: { ...DEFAULT_DUAL_SUBTITLE_SETTINGS.primary, ...settings.primary },
+  secondary: { ...DEFAULT_DUAL_SUBTITLE_SETTINGS.secondary, ...settings.secondary }
+});
+
+/**
+ * Get the saved dual subtitle layout and styling
+ * @returns {Object} Settings, with defaults for anything not saved
+ */
+export const getDualSubtitleSettings = () => {
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return mergeSettings();
+  }
+
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    return mergeSettings(data ? JSON.parse(data) : {});
+  } catch (error) {
+    console.error('❌ Error reading dual subtitle settings:', error);
+    return mergeSettings();
+  }
+};
+
+/**
+ * Save dual subtitle layout and styling
+ * @param {Object} settings - Settings to save (merged over the defaults)
+ * @returns {Object} The settings as saved
+ */
+export const saveDualSubtitleSettings = (settings) => {
+  const merged = mergeSettings(settings);
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return merged;
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+  } catch (error) {
+    console.error('❌ Error saving dual subtitle settings:', error);
+  }
+  return merged;
+};
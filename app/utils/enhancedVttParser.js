@@ -480,7 +480,8 @@ function parseTimestamp(timestampLine, validateTiming = true) {
     }
 
     const start = parseTimeEnhanced(parts[0]);
-    const end = parseTimeEnhanced(parts[1]);
+    // Cue settings (line:10% align:start) follow the end time
+    const end = parseTimeEnhanced(parts[1].split(/\s+/)[0]);
 
     if (validateTiming) {
       if (start < 0 || end < 0) {
@@ -0,0 +1,426 @@
+/**
+ * Intro and credits detection
+ *
+ * Episodes of a season share their opening theme and end credits music, even
+ * when a cold open moves the intro around. While an episode plays, the first
+ * and last minutes of its audio are reduced to a fingerprint: one 32-bit code
+ * per half second, each bit telling whether the energy difference between two
+ * neighbouring frequency bands grew or shrank since the previous half second.
+ * Comparing the fingerprints of two episodes finds the stretch of audio they
+ * have in common, which becomes the intro or credits range of both.
+ *
+ * The matched stretch is kept as a template for the season, so later episodes
+ * are recognised a few seconds into the theme instead of after it has played.
+ */
+
+import { connectMediaAudio } from './audioSubtitleSync';
+
+export const MARKER_TYPES = {
+  INTRO: 'intro',
+  CREDITS: 'credits'
+};
+
+export const DEFAULT_FINGERPRINT_OPTIONS = {
+  cellDuration: 0.5, // Seconds of audio behind each code
+  bandCount: 33, // Neighbouring band pairs give 32 bits per code
+  frequencyRange: [300, 5000], // Hz, where theme songs carry most of their structure
+  silenceDb: -90, // Cells quieter than this get no code, so silence never matches silence
+  introWindow: 300, // Seconds from the start searched for the intro
+  creditsWindow: 300 // Seconds before the end searched for the credits
+};
+
+export const DEFAULT_MATCH_OPTIONS = {
+  maxBitErrors: 10, // Codes this close (out of 32 bits) count as the same audio
+  maxGap: 6, // Cells of mismatch tolerated inside one shared stretch
+  minMatchRatio: 0.6, // Share of cells in a stretch that must match
+  minLength: { intro: 15, credits: 20 }, // Seconds two episodes must share
+  minTemplateMatch: 5 // Seconds of a season template heard before it is trusted
+};
+
+// The skip button goes away this many seconds before the range ends
+const SKIP_END_MARGIN = 1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Band edges spaced evenly on a log scale
+ * @param {number} bandCount - Number of bands
+ * @param {Array<number>} frequencyRange - [low, high] in Hz
+ * @returns {Array<number>} bandCount + 1 edges in Hz
+ */
+export function getBandEdges(bandCount, [low, high]) {
+  const ratio = Math.pow(high / low, 1 / bandCount);
+  return Array.from({ length: bandCount + 1 }, (_, index) => low * Math.pow(ratio, index));
+}
+
+/**
+ * Energy of each fingerprint band in one analysis frame
+ * @param {Float32Array} frequencyData - dB values from AnalyserNode.getFloatFrequencyData
+ * @param {number} sampleRate - Audio context sample rate
+ * @param {Object} options - Overrides for DEFAULT_FINGERPRINT_OPTIONS
+ * @returns {Float64Array|null} Band energies in dB, null for silence
+ */
+export function measureBandEnergies(frequencyData, sampleRate, options = {}) {
+  const { bandCount, frequencyRange, silenceDb } = { ...DEFAULT_FINGERPRINT_OPTIONS, ...options };
+  const edges = getBandEdges(bandCount, frequencyRange);
+  const binWidth = sampleRate / 2 / frequencyData.length;
+  const energies = new Float64Array(bandCount);
+  let loudest = -Infinity;
+
+  for (let band = 0; band < bandCount; band++) {
+    const firstBin = Math.min(frequencyData.length - 1, Math.ceil(edges[band] / binWidth));
+    const lastBin = Math.min(frequencyData.length - 1, Math.max(firstBin, Math.floor(edges[band + 1] / binWidth)));
+
+    let power = 0;
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      power += Number.isFinite(frequencyData[bin]) ? Math.pow(10, frequencyData[bin] / 10) : 0;
+    }
+
+    const energy = 10 * Math.log10(power / (lastBin - firstBin + 1) + 1e-20);
+    energies[band] = energy;
+    loudest = Math.max(loudest, energy);
+  }
+
+  return loudest > silenceDb ? energies : null;
+}
+
+/**
+ * Turn per-cell band energies into fingerprint codes
+ * @param {Array} cells - Band energies per cell, null where nothing was heard
+ * @returns {Array} 32-bit codes, null where a cell or the one before it is missing
+ */
+export function computeFingerprintCodes(cells) {
+  return cells.map((current, index) => {
+    const previous = index > 0 ? cells[index - 1] : null;
+    if (!current || !previous) return null;
+
+    let code = 0;
+    for (let band = 0; band < Math.min(32, current.length - 1); band++) {
+      const change = (current[band] - current[band + 1]) - (previous[band] - previous[band + 1]);
+      if (change > 0) {
+        code |= 1 << band;
+      }
+    }
+    return code >>> 0;
+  });
+}
+
+/**
+ * Number of differing bits between two codes
+ */
+export function hammingDistance(a, b) {
+  let bits = (a ^ b) >>> 0;
+  let count = 0;
+  while (bits) {
+    bits &= bits - 1;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Collects band energies for one stretch of an episode (its first or last
+ * minutes) and averages them per cell. Frames are placed by media time, so
+ * pauses and seeks only leave cells empty.
+ */
+export class AudioFingerprinter {
+  constructor(windowStart, windowLength, options = {}) {
+    this.options = { ...DEFAULT_FINGERPRINT_OPTIONS, ...options };
+    this.windowStart = windowStart;
+    this.cellCount = Math.max(0, Math.ceil(windowLength / this.options.cellDuration));
+    this.sums = new Array(this.cellCount).fill(null);
+    this.counts = new Array(this.cellCount).fill(0);
+  }
+
+  /**
+   * Whether a media time falls inside this window
+   */
+  covers(time) {
+    const cell = Math.floor((time - this.windowStart) / this.options.cellDuration);
+    return cell >= 0 && cell < this.cellCount;
+  }
+
+  /**
+   * Feed one frame
+   * @param {number} time - Media time of the frame in seconds
+   * @param {Float64Array|null} energies - From measureBandEnergies
+   */
+  process(time, energies) {
+    if (!energies || !this.covers(time)) return;
+
+    const cell = Math.floor((time - this.windowStart) / this.options.cellDuration);
+    if (!this.sums[cell]) {
+      this.sums[cell] = new Float64Array(energies.length);
+    }
+    for (let band = 0; band < energies.length; band++) {
+      this.sums[cell][band] += energies[band];
+    }
+    this.counts[cell]++;
+  }
+
+  /**
+   * Cells that have been heard
+   */
+  getHeardCells() {
+    return this.counts.filter(count => count > 0).length;
+  }
+
+  /**
+   * @returns {Object} { start, codes } with the window start in media time
+   */
+  getFingerprint() {
+    const cells = this.sums.map((sum, cell) => (
+      sum ? Array.from(sum, energy => energy / this.counts[cell]) : null
+    ));
+    return { start: this.windowStart, codes: computeFingerprintCodes(cells) };
+  }
+}
+
+/**
+ * Longest stretch two code sequences share, at any alignment. Mismatches of up
+ * to maxGap cells are bridged so a few noisy codes don't split a theme song,
+ * while stretches start and end on two matching codes in a row so a lone
+ * chance match next to them doesn't stretch them.
+ * @param {Array} a - Codes, null where unknown
+ * @param {Array} b - Codes, null where unknown
+ * @param {Object} options - Overrides for DEFAULT_MATCH_OPTIONS plus minCells
+ * @returns {Object|null} { startA, startB, length, matched } in cells
+ */
+export function findSharedSegment(a, b, options = {}) {
+  const { maxBitErrors, maxGap, minMatchRatio } = { ...DEFAULT_MATCH_OPTIONS, ...options };
+  const minCells = Math.max(2, options.minCells || 2);
+  let best = null;
+
+  for (let shift = -(b.length - 1); shift < a.length; shift++) {
+    // Cell i of a lines up with cell i - shift of b
+    const first = Math.max(0, shift);
+    const last = Math.min(a.length, b.length + shift);
+    if (last - first < minCells) continue;
+
+    let runStart = -1;
+    let runEnd = -1;
+    let runMatched = 0;
+    let matchesAtRunStart = 0;
+    let matches = 0;
+    let previousMatched = false;
+
+    const closeRun = () => {
+      const length = runEnd - runStart + 1;
+      if (runStart >= 0 && length >= minCells && runMatched / length >= minMatchRatio && (!best || runMatched > best.matched)) {
+        best = { startA: runStart, startB: runStart - shift, length, matched: runMatched };
+      }
+      runStart = -1;
+    };
+
+    for (let i = first; i < last; i++) {
+      const x = a[i];
+      const y = b[i - shift];
+      const matched = x != null && y != null && hammingDistance(x, y) <= maxBitErrors;
+      if (matched) {
+        matches++;
+      }
+
+      if (matched && previousMatched) {
+        if (runStart >= 0 && (i - 1) - runEnd - 1 > maxGap) {
+          closeRun();
+        }
+        if (runStart < 0) {
+          runStart = i - 1;
+          matchesAtRunStart = matches - 2;
+        }
+        runEnd = i;
+        runMatched = matches - matchesAtRunStart;
+      }
+      previousMatched = matched;
+    }
+    closeRun();
+  }
+
+  return best;
+}
+
+/**
+ * Media time range covered by a run of codes. A code also depends on the cell
+ * before it, so the codes at either edge of a shared stretch may or may not
+ * match, and ranges can be half a second off.
+ */
+export function segmentToRange(startCell, length, windowStart, cellDuration = DEFAULT_FINGERPRINT_OPTIONS.cellDuration) {
+  return {
+    start: round(windowStart + Math.max(0, startCell) * cellDuration),
+    end: round(windowStart + (startCell + length) * cellDuration)
+  };
+}
+
+/**
+ * Find the intro or credits two episodes share
+ * @param {string} type - MARKER_TYPES value
+ * @param {Object} current - { start, codes } for this episode's window
+ * @param {Object} reference - { start, codes } for another episode of the season
+ * @param {Object} options - Overrides for DEFAULT_MATCH_OPTIONS and cellDuration
+ * @returns {Object|null} { range, referenceRange, template }
+ */
+export function detectSharedRange(type, current, reference, options = {}) {
+  if (!current?.codes?.length || !reference?.codes?.length) return null;
+
+  const { minLength, cellDuration = DEFAULT_FINGERPRINT_OPTIONS.cellDuration } = { ...DEFAULT_MATCH_OPTIONS, ...options };
+  const segment = findSharedSegment(current.codes, reference.codes, {
+    ...options,
+    minCells: Math.ceil(minLength[type] / cellDuration)
+  });
+  if (!segment) return null;
+
+  return {
+    range: segmentToRange(segment.startA, segment.length, current.start, cellDuration),
+    referenceRange: segmentToRange(segment.startB, segment.length, reference.start, cellDuration),
+    template: { codes: current.codes.slice(segment.startA, segment.startA + segment.length) }
+  };
+}
+
+/**
+ * Find a season template in an episode, possibly before all of it has played
+ * @param {Object} fingerprint - { start, codes } for the episode's window
+ * @param {Object} template - { codes } from detectSharedRange
+ * @param {Object} options - Overrides for DEFAULT_MATCH_OPTIONS and cellDuration
+ * @returns {Object|null} { start, end } where the whole template would lie
+ */
+export function locateTemplate(fingerprint, template, options = {}) {
+  if (!fingerprint?.codes?.length || !template?.codes?.length) return null;
+
+  const { minTemplateMatch, cellDuration = DEFAULT_FINGERPRINT_OPTIONS.cellDuration } = { ...DEFAULT_MATCH_OPTIONS, ...options };
+  const segment = findSharedSegment(template.codes, fingerprint.codes, {
+    ...options,
+    minCells: Math.ceil(minTemplateMatch / cellDuration)
+  });
+  if (!segment) return null;
+
+  return segmentToRange(segment.startB - segment.startA, template.codes.length, fingerprint.start, cellDuration);
+}
+
+/**
+ * Pick the range for one marker type of an episode: the season template when
+ * it is heard, otherwise whatever the episode shares with another one
+ * @param {string} type - MARKER_TYPES value
+ * @param {Object} fingerprint - { start, codes } for this episode's window
+ * @param {Object} season - { template, references: [{ episodeId, fingerprint }] }
+ * @returns {Object|null} { range, reference: { episodeId, range } | null, template | null }
+ */
+export function detectMarker(type, fingerprint, { template = null, references = [] } = {}, options = {}) {
+  const located = locateTemplate(fingerprint, template, options);
+  if (located) {
+    return { range: located, reference: null, template: null };
+  }
+
+  for (const { episodeId, fingerprint: other } of references) {
+    const shared = detectSharedRange(type, fingerprint, other, options);
+    if (shared) {
+      return {
+        range: shared.range,
+        reference: { episodeId, range: shared.referenceRange },
+        template: shared.template
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a stored marker has a usable range (markers cleared by hand don't)
+ */
+export function hasMarkerRange(marker) {
+  return Boolean(marker) && Number.isFinite(marker.start) && Number.isFinite(marker.end) && marker.end > marker.start;
+}
+
+/**
+ * The marker type whose skip button should show at a media time
+ * @param {Object} markers - { intro, credits }
+ * @param {number} time - Media time in seconds
+ * @returns {string|null} MARKER_TYPES value
+ */
+export function getActiveMarker(markers, time) {
+  return Object.values(MARKER_TYPES).find(type => {
+    const marker = markers?.[type];
+    return hasMarkerRange(marker) && time >= marker.start && time < marker.end - SKIP_END_MARGIN;
+  }) || null;
+}
+
+/**
+ * Listen to a playing media element and fingerprint the start and end of
+ * each episode. Like the speech monitor, this taps the element's audio
+ * through Web Audio.
+ * @param {HTMLMediaElement} media - Video element
+ * @param {Object} options - Fingerprint options plus frameInterval (ms) and fftSize
+ * @returns {Object} Monitor with start/stop/reset/destroy and getFingerprint
+ */
+export function createFingerprintMonitor(media, options = {}) {
+  const { frameInterval = 50, fftSize = 4096, ...fingerprintOptions } = options;
+  const settings = { ...DEFAULT_FINGERPRINT_OPTIONS, ...fingerprintOptions };
+  const { context, source } = connectMediaAudio(media);
+
+  const analyser = context.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = 0;
+  source.connect(analyser);
+
+  const frequencyData = new Float32Array(analyser.frequencyBinCount);
+  let windows = null;
+  let timer = null;
+  let frames = 0;
+  let silentFrames = 0;
+
+  const sample = () => {
+    if (!windows || media.paused || media.seeking) return;
+
+    const time = media.currentTime;
+    const listening = Object.values(windows).filter(fingerprinter => fingerprinter.covers(time));
+    if (listening.length === 0) return;
+
+    analyser.getFloatFrequencyData(frequencyData);
+    const energies = measureBandEnergies(frequencyData, context.sampleRate, settings);
+
+    frames++;
+    if (!energies) {
+      silentFrames++;
+    }
+    listening.forEach(fingerprinter => fingerprinter.process(time, energies));
+  };
+
+  return {
+    start() {
+      if (timer) return;
+      if (context.state === 'suspended') {
+        context.resume().catch(() => {});
+      }
+      timer = setInterval(sample, frameInterval);
+    },
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+    // Start over for an episode of the given duration
+    reset(duration) {
+      windows = duration > 0 ? {
+        [MARKER_TYPES.INTRO]: new AudioFingerprinter(0, Math.min(settings.introWindow, duration), settings),
+        [MARKER_TYPES.CREDITS]: new AudioFingerprinter(
+          Math.max(0, duration - settings.creditsWindow),
+          Math.min(settings.creditsWindow, duration),
+          settings
+        )
+      } : null;
+      frames = 0;
+      silentFrames = 0;
+    },
+    destroy() {
+      this.stop();
+      analyser.disconnect();
+    },
+    getFingerprint: (type) => windows?.[type]?.getFingerprint() || null,
+    getHeardCells: () => windows
+      ? Object.values(windows).reduce((total, fingerprinter) => total + fingerprinter.getHeardCells(), 0)
+      : 0,
+    // Digital silence on nearly every frame means the audio never reached the graph
+    isSilent: () => frames >= 30 && silentFrames / frames > 0.98
+  };
+}
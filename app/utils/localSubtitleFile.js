@@ -0,0 +1,113 @@
+/**
+ * Local subtitle files
+ *
+ * Reads a subtitle file picked or dropped by the user: unpacks .gz and .zip
+ * archives, detects the text encoding and converts SRT and ASS/SSA to WebVTT,
+ * so the result can be used like a subtitle from /api/subtitles.
+ */
+
+import subtitleService from '../services/subtitleService';
+import { parseVTTEnhanced } from './enhancedVttParser';
+import { decodeSubtitleBytes } from './subtitleEncoding';
+import {
+  ARCHIVE_FILE_EXTENSIONS,
+  SUBTITLE_FILE_EXTENSIONS,
+  getSubtitleFileExtension,
+  unpackSubtitleFile
+} from './subtitleArchive';
+import { convertSubtitleText } from './subtitleConversion';
+
+// Value for the file input's accept attribute
+export const LOCAL_SUBTITLE_ACCEPT = [...SUBTITLE_FILE_EXTENSIONS, ...ARCHIVE_FILE_EXTENSIONS]
+  .map(extension => `.${extension}`)
+  .join(',');
+
+// Larger files are not subtitles
+export const MAX_LOCAL_SUBTITLE_SIZE = 10 * 1024 * 1024;
+
+// File name tags that describe the subtitle variant rather than its language
+const SUBTITLE_VARIANT_TAGS = ['forced', 'sdh', 'hi', 'cc', 'full'];
+
+/**
+ * Check whether a file looks like something readLocalSubtitleFile can read
+ * @param {File|{name: string}} file - File from an input or drop
+ * @returns {boolean} True for subtitle files and archives
+ */
+export function isSupportedSubtitleFile(file) {
+  const extension = getSubtitleFileExtension(file?.name);
+  return SUBTITLE_FILE_EXTENSIONS.includes(extension) || ARCHIVE_FILE_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Guess the subtitle language from the tag at the end of the file name,
+ * e.g. "Movie.en.srt" or "Movie.English.SDH.srt"
+ * @param {string} fileName - Subtitle file name
+ * @returns {Object|null} Language from the subtitle service, or null
+ */
+export function guessSubtitleLanguage(fileName = '') {
+  const tokens = fileName.toLowerCase().replace(/\.[a-z0-9]+$/, '').split(/[\s._\-()[\]]+/).filter(Boolean);
+
+  // Only the last tag counts, so words in the title aren't mistaken for languages
+  while (tokens.length > 1 && SUBTITLE_VARIANT_TAGS.includes(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+  const tag = tokens[tokens.length - 1];
+  if (!tag || tokens.length < 2) return null;
+
+  return subtitleService.languages.find(lang => (
+    lang.IdSubLanguage === tag ||
+    lang.ISO639 === tag ||
+    lang.LanguageName.toLowerCase() === tag
+  )) || null;
+}
+
+/**
+ * Read a local subtitle file into WebVTT
+ * @param {File|Blob} file - File picked or dropped by the user
+ * @returns {Promise<Object>} { fileName, label, format, encoding, vtt, ass, cueCount, language }
+ */
+export async function readLocalSubtitleFile(file) {
+  if (!file) {
+    throw new Error('No subtitle file selected');
+  }
+  if (file.size > MAX_LOCAL_SUBTITLE_SIZE) {
+    throw new Error(`${file.name} is too large to be a subtitle file`);
+  }
+
+  const buffer = await file.arrayBuffer();
+  const unpacked = await unpackSubtitleFile(new Uint8Array(buffer), file.name || 'subtitle');
+  const { text, encoding } = decodeSubtitleBytes(unpacked.bytes);
+  const { vtt, ass, format } = convertSubtitleText(text, unpacked.fileName);
+
+  const parseResult = parseVTTEnhanced(vtt, {
+    strictMode: false,
+    enableErrorRecovery: true,
+    sanitizeHtml: true,
+    validateTiming: true,
+    maxCues: 5000
+  });
+  if (parseResult.cues.length === 0) {
+    throw new Error(`No subtitle lines found in ${unpacked.fileName}`);
+  }
+
+  const language = guessSubtitleLanguage(unpacked.fileName);
+
+  console.log('📂 Local subtitle file read:', {
+    fileName: unpacked.fileName,
+    format,
+    encoding,
+    cues: parseResult.cues.length,
+    language: language?.LanguageName || 'unknown'
+  });
+
+  return {
+    fileName: unpacked.fileName,
+    label: unpacked.fileName.replace(/\.[a-z0-9]+$/i, ''),
+    format,
+    encoding,
+    vtt,
+    ass,
+    cueCount: parseResult.cues.length,
+    language: language ? { code: language.IdSubLanguage, name: language.LanguageName } : null
+  };
+}
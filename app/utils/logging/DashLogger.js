@@ -0,0 +1,260 @@
+/**
+ * Specialized logger for DASH player events and error recovery
+ * Mirrors HlsLogger for the dash.js playback path so both paths produce
+ * comparable diagnostics
+ */
+
+import { getLogger } from './EnhancedLogger.js';
+
+export class DashLogger {
+  constructor(streamUrl = null) {
+    this.streamUrl = streamUrl;
+    this.playbackSessionId = this.generatePlaybackSessionId();
+    this.logger = getLogger('DASH', {
+      enableConsole: true,
+      enableStorage: true,
+      logLevel: 'debug'
+    });
+
+    // DASH-specific tracking
+    this.qualitySwitches = [];
+    this.errorRecoveryAttempts = [];
+    this.segmentErrors = new Map();
+    this.performanceMetrics = {
+      segmentLoadTimes: [],
+      qualityChanges: 0,
+      stallEvents: 0,
+      recoveryAttempts: 0
+    };
+  }
+
+  generatePlaybackSessionId() {
+    return `dash_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // DASH initialization and configuration logging
+  logDashInitialization(settings, streamUrl) {
+    this.streamUrl = streamUrl;
+
+    return this.logger.info('DASH player initialization', {
+      playbackSessionId: this.playbackSessionId,
+      streamUrl: streamUrl?.substring(0, 100) + (streamUrl?.length > 100 ? '...' : ''),
+      settings: {
+        bufferTimeAtTopQuality: settings?.streaming?.buffer?.bufferTimeAtTopQuality,
+        stableBufferTime: settings?.streaming?.buffer?.stableBufferTime,
+        autoSwitchBitrate: settings?.streaming?.abr?.autoSwitchBitrate?.video,
+        retryAttempts: settings?.streaming?.retryAttempts?.MediaSegment
+      },
+      dashInitialization: true
+    });
+  }
+
+  // Manifest and quality logging
+  logManifestParsed(representations, initialQuality) {
+    const qualityInfo = representations.map(representation => ({
+      id: representation.id,
+      height: representation.height,
+      bitrate: representation.bitrate
+    }));
+
+    return this.logger.info('DASH manifest parsed', {
+      playbackSessionId: this.playbackSessionId,
+      representationCount: representations.length,
+      qualities: qualityInfo,
+      initialQuality: {
+        id: initialQuality?.id,
+        height: initialQuality?.height,
+        bitrate: initialQuality?.bitrate
+      },
+      manifestParsed: true
+    });
+  }
+
+  logQualitySwitch(fromLevel, toLevel, reason, automatic = true) {
+    const switchEvent = {
+      timestamp: Date.now(),
+      fromLevel: fromLevel ? {
+        id: fromLevel.id,
+        height: fromLevel.height,
+        bitrate: fromLevel.bitrate
+      } : null,
+      toLevel: toLevel ? {
+        id: toLevel.id,
+        height: toLevel.height,
+        bitrate: toLevel.bitrate
+      } : null,
+      reason,
+      automatic
+    };
+
+    this.qualitySwitches.push(switchEvent);
+    this.performanceMetrics.qualityChanges++;
+
+    return this.logger.info('Quality switch', {
+      playbackSessionId: this.playbackSessionId,
+      ...switchEvent,
+      totalSwitches: this.qualitySwitches.length,
+      qualitySwitch: true
+    });
+  }
+
+  // Segment logging
+  logFragmentLoaded(request, loadTime) {
+    this.performanceMetrics.segmentLoadTimes.push(loadTime);
+    if (this.performanceMetrics.segmentLoadTimes.length > 100) {
+      this.performanceMetrics.segmentLoadTimes.shift();
+    }
+
+    return this.logger.debug('DASH segment loaded', {
+      playbackSessionId: this.playbackSessionId,
+      mediaType: request?.mediaType,
+      segmentIndex: request?.index,
+      quality: request?.quality,
+      loadTime: `${loadTime}ms`,
+      segmentLoaded: true
+    });
+  }
+
+  logFragmentError(request, error, errorCount) {
+    const key = `${request?.mediaType}_${request?.index}`;
+    this.segmentErrors.set(key, {
+      count: errorCount,
+      lastError: error,
+      timestamp: Date.now()
+    });
+
+    return this.logger.warn('DASH segment load error', {
+      playbackSessionId: this.playbackSessionId,
+      mediaType: request?.mediaType,
+      segmentIndex: request?.index,
+      url: request?.url?.substring(0, 100),
+      error,
+      errorCount,
+      segmentError: true
+    });
+  }
+
+  // Error and recovery logging
+  logDashError(errorCode, errorMessage, fatal, context = {}) {
+    const errorEvent = {
+      timestamp: Date.now(),
+      errorCode,
+      errorMessage,
+      fatal,
+      context
+    };
+
+    return this.logger.error(`DASH ${fatal ? 'Fatal' : 'Non-Fatal'} Error: ${errorCode}`, null, {
+      playbackSessionId: this.playbackSessionId,
+      ...errorEvent,
+      dashError: true
+    });
+  }
+
+  logRecoveryAttempt(recoveryType, attempt, strategy, context = {}) {
+    const recoveryEvent = {
+      timestamp: Date.now(),
+      recoveryType,
+      attempt,
+      strategy,
+      context
+    };
+
+    this.errorRecoveryAttempts.push(recoveryEvent);
+    this.performanceMetrics.recoveryAttempts++;
+
+    return this.logger.info(`Recovery attempt: ${recoveryType}`, {
+      playbackSessionId: this.playbackSessionId,
+      ...recoveryEvent,
+      totalRecoveryAttempts: this.errorRecoveryAttempts.length,
+      dashRecovery: true
+    });
+  }
+
+  logRecoveryResult(recoveryType, success, action, timeTaken, context = {}) {
+    return this.logger.info(`Recovery ${success ? 'successful' : 'failed'}: ${recoveryType}`, {
+      playbackSessionId: this.playbackSessionId,
+      recoveryType,
+      success,
+      action,
+      timeTaken: `${timeTaken}ms`,
+      context,
+      dashRecoveryResult: true
+    });
+  }
+
+  // Buffer health logging
+  logBufferStall(currentTime, bufferLength, stallCount) {
+    this.performanceMetrics.stallEvents++;
+
+    return this.logger.warn('DASH buffer stalled', {
+      playbackSessionId: this.playbackSessionId,
+      currentTime,
+      bufferLength,
+      stallCount,
+      bufferStall: true
+    });
+  }
+
+  getAverageSegmentLoadTime() {
+    const times = this.performanceMetrics.segmentLoadTimes;
+    if (times.length === 0) return 0;
+    return times.reduce((a, b) => a + b, 0) / times.length;
+  }
+
+  // Export DASH-specific diagnostic data
+  exportDashDiagnostics() {
+    const baseExport = this.logger.exportLogs({
+      category: 'dash'
+    });
+
+    return {
+      ...baseExport,
+      playbackSessionId: this.playbackSessionId,
+      streamUrl: this.streamUrl?.substring(0, 100) + '...',
+      dashSpecific: {
+        qualitySwitches: this.qualitySwitches,
+        errorRecoveryAttempts: this.errorRecoveryAttempts,
+        segmentErrors: Object.fromEntries(this.segmentErrors),
+        performanceMetrics: {
+          ...this.performanceMetrics,
+          averageSegmentLoadTime: this.getAverageSegmentLoadTime()
+        }
+      }
+    };
+  }
+
+  // Convenience methods
+  info(message, data = {}) {
+    return this.logger.info(message, {
+      playbackSessionId: this.playbackSessionId,
+      ...data
+    });
+  }
+
+  warn(message, data = {}) {
+    return this.logger.warn(message, {
+      playbackSessionId: this.playbackSessionId,
+      ...data
+    });
+  }
+
+  error(message, error = null, data = {}) {
+    return this.logger.error(message, error, {
+      playbackSessionId: this.playbackSessionId,
+      ...data
+    });
+  }
+
+  debug(message, data = {}) {
+    return this.logger.debug(message, {
+      playbackSessionId: this.playbackSessionId,
+      ...data
+    });
+  }
+}
+
+// Factory function for creating DASH loggers
+export function createDashLogger(streamUrl = null) {
+  return new DashLogger(streamUrl);
+}
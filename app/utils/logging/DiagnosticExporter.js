@@ -149,7 +149,7 @@ export class DiagnosticExporter {
   exportPerformanceDiagnostics(options = {}) {
     const performanceOptions = {
       ...options,
-      includeComponents: ['HLS', 'Performance', 'Subtitle'],
+      includeComponents: ['HLS', 'DASH', 'Performance', 'Subtitle'],
       includePerformanceMetrics: true,
       includeSystemInfo: true
     };
@@ -328,6 +328,10 @@ export class DiagnosticExporter {
       specificData.hls = logger.exportHlsDiagnostics();
     }
     
+    if (typeof logger.exportDashDiagnostics === 'function') {
+      specificData.dash = logger.exportDashDiagnostics();
+    }
+    
     if (typeof logger.exportSubtitleDiagnostics === 'function') {
       specificData.subtitle = logger.exportSubtitleDiagnostics();
     }
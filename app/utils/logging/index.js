@@ -21,6 +21,11 @@ export {
   createHlsLogger 
 } from './HlsLogger.js';
 
+export { 
+  DashLogger, 
+  createDashLogger 
+} from './DashLogger.js';
+
 export { 
   SubtitleLogger, 
   createSubtitleLogger 
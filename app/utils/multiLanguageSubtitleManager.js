@@ -12,6 +12,7 @@
 
 import { parseVTTEnhanced } from './enhancedVttParser';
 import { createSubtitleSynchronizer } from './subtitleSynchronizer';
+import { alignDualCues } from './dualSubtitles';
 
 /**
  * Multi-language subtitle manager class
@@ -47,10 +48,15 @@ export class MultiLanguageSubtitleManager {
     this.blobUrls = new Set(); // Track all blob URLs for cleanup
     this.activeLanguage = null;
     this.languagePriority = [...this.options.defaultLanguagePriority];
+    this.localTrackCount = 0; // Numbering for tracks loaded from local files
     
     // Synchronizer management
     this.synchronizers = new Map(); // langCode -> synchronizer instance
     this.activeSynchronizer = null;
+
+    // Second language shown alongside the active one
+    this.secondaryLanguage = null;
+    this.secondarySynchronizer = null;
     
     // Performance tracking
     this.metrics = {
@@ -66,6 +72,7 @@ export class MultiLanguageSubtitleManager {
     this.callbacks = {
       onLanguageChange: null,
       onSubtitleChange: null,
+      onSecondarySubtitleChange: null,
       onCacheUpdate: null,
       onError: null
     };
@@ -117,8 +124,8 @@ export class MultiLanguageSubtitleManager {
     });
 
     try {
-      // Clear existing data
-      this.clearAllLanguages();
+      // Clear existing data; files loaded by the user stay available
+      this.clearAllLanguages({ keepLocal: true });
 
       // Process each language
       for (const [langCode, subtitles] of Object.entries(subtitleData)) {
@@ -178,6 +185,82 @@ export class MultiLanguageSubtitleManager {
     }
   }
 
+  /**
+   * Register a subtitle file loaded by the user as a language track. Its
+   * content lives with the track rather than in the cache, so it is never
+   * evicted or downloaded.
+   * @param {Object} track - Local subtitle
+   * @param {string} track.content - VTT content
+   * @param {string} track.fileName - Original file name
+   * @param {string} [track.label] - Display label
+   * @param {string|null} [track.ass] - Original ASS/SSA script
+   * @returns {string} Language code of the new track
+   */
+  registerLocalSubtitle({ content, fileName, label, ass = null }) {
+    this.localTrackCount++;
+    const langCode = `local_${this.localTrackCount}`;
+
+    const bestSubtitle = {
+      id: langCode,
+      fileName,
+      language: label || fileName,
+      isLocal: true,
+      qualityScore: 1
+    };
+
+    this.availableLanguages.set(langCode, {
+      langCode,
+      subtitles: [bestSubtitle],
+      bestSubtitle,
+      qualityScore: 1,
+      loadedAt: Date.now(),
+      processed: true,
+      local: { content, ass, fileName }
+    });
+
+    console.log('📂 Registered local subtitle track:', { langCode, fileName });
+
+    this.notifyCallback('onCacheUpdate', {
+      availableLanguages: Array.from(this.availableLanguages.keys()),
+      cacheSize: this.getCacheSize()
+    });
+
+    return langCode;
+  }
+
+  /**
+   * Get a local subtitle track's content
+   * @param {string} langCode - Language code from registerLocalSubtitle
+   * @returns {Object|null} { content, ass, fileName }
+   */
+  getLocalSubtitle(langCode) {
+    return this.availableLanguages.get(langCode)?.local || null;
+  }
+
+  /**
+   * Remove a local subtitle track
+   * @param {string} langCode - Language code from registerLocalSubtitle
+   */
+  removeLocalSubtitle(langCode) {
+    if (!this.getLocalSubtitle(langCode)) return;
+
+    const synchronizer = this.synchronizers.get(langCode);
+    if (synchronizer) {
+      synchronizer.destroy();
+      this.synchronizers.delete(langCode);
+    }
+    if (this.activeLanguage === langCode) {
+      this.activeSynchronizer = null;
+      this.activeLanguage = null;
+    }
+    if (this.secondaryLanguage === langCode) {
+      this.secondarySynchronizer = null;
+      this.secondaryLanguage = null;
+    }
+
+    this.availableLanguages.delete(langCode);
+  }
+
   /**
    * Switch to a specific language
    * @param {string} langCode - Language code to switch to
@@ -203,6 +286,11 @@ export class MultiLanguageSubtitleManager {
         throw new Error(`Language ${langCode} is not available`);
       }
 
+      // A language can't be shown twice
+      if (langCode === this.secondaryLanguage) {
+        await this.setSecondaryLanguage(null);
+      }
+
       // Get current time for seamless switching
       let currentTime = 0;
       if (preserveTime && this.activeSynchronizer) {
@@ -269,6 +357,58 @@ export class MultiLanguageSubtitleManager {
     }
   }
 
+  /**
+   * Show a second language alongside the active one
+   * @param {string|null} langCode - Language code, or null to turn the second language off
+   */
+  async setSecondaryLanguage(langCode) {
+    if (this.secondarySynchronizer) {
+      this.secondarySynchronizer.stop();
+    }
+
+    if (!langCode) {
+      this.secondarySynchronizer = null;
+      this.secondaryLanguage = null;
+      this.notifyCallback('onSecondarySubtitleChange', { cue: null, text: '', language: null });
+      return;
+    }
+
+    if (!this.availableLanguages.has(langCode)) {
+      throw new Error(`Language ${langCode} is not available`);
+    }
+    if (langCode === this.activeLanguage) {
+      throw new Error(`Language ${langCode} is already the primary language`);
+    }
+
+    console.log('🌍 Setting secondary language:', langCode);
+
+    // Set first so the synchronizer's changes are relayed as secondary
+    this.secondaryLanguage = langCode;
+
+    let synchronizer = this.synchronizers.get(langCode);
+    if (!synchronizer) {
+      try {
+        synchronizer = await this.createSynchronizerForLanguage(langCode);
+      } catch (error) {
+        this.secondaryLanguage = null;
+        this.secondarySynchronizer = null;
+        throw error;
+      }
+      this.synchronizers.set(langCode, synchronizer);
+    }
+
+    this.secondarySynchronizer = synchronizer;
+    this.secondarySynchronizer.start();
+  }
+
+  /**
+   * Cues of the active and secondary languages, paired by time overlap
+   * @returns {Array} Aligned lines from alignDualCues, empty without a second language
+   */
+  getDualCues() {
+    if (!this.activeSynchronizer || !this.secondarySynchronizer) return [];
+    return alignDualCues(this.activeSynchronizer.cues, this.secondarySynchronizer.cues);
+  }
   /**
    * Get best available language based on priority
    * @returns {string|null} Best available language code
@@ -424,17 +564,15 @@ export class MultiLanguageSubtitleManager {
       enablePerformanceOptimization: true
     });
 
-    // Set up callbacks
-    synchronizer.on('subtitleChange', (data) => {
-      this.notifyCallback('onSubtitleChange', {
+    // Load cues; loadCues sets the change callback, so the relay is passed here
+    synchronizer.loadCues(parseResult.cues, (data) => {
+      const callbackName = langCode === this.secondaryLanguage ? 'onSecondarySubtitleChange' : 'onSubtitleChange';
+      this.notifyCallback(callbackName, {
         ...data,
         language: langCode
       });
     });
 
-    // Load cues
-    synchronizer.loadCues(parseResult.cues);
-
     console.log('✅ Synchronizer created for language:', {
       langCode,
       cueCount: parseResult.cues.length,
@@ -450,6 +588,11 @@ export class MultiLanguageSubtitleManager {
    * @returns {string} VTT content
    */
   async getSubtitleContent(langCode) {
+    const localTrack = this.getLocalSubtitle(langCode);
+    if (localTrack) {
+      return localTrack.content;
+    }
+
     const cacheKey = this.getCacheKey(langCode);
     
     // Check cache first
@@ -672,6 +815,9 @@ Please try switching to another language or refreshing subtitles.
     if (this.activeSynchronizer) {
       this.activeSynchronizer.updateTime(currentTime);
     }
+    if (this.secondarySynchronizer) {
+      this.secondarySynchronizer.updateTime(currentTime);
+    }
   }
 
   /**
@@ -684,7 +830,8 @@ Please try switching to another language or refreshing subtitles.
       qualityScore: data.qualityScore,
       subtitleCount: data.subtitles.length,
       bestFileName: data.bestSubtitle.fileName,
-      cached: this.cachedSubtitles.has(this.getCacheKey(langCode))
+      local: !!data.local,
+      cached: !!data.local || this.cachedSubtitles.has(this.getCacheKey(langCode))
     }));
   }
 
@@ -712,8 +859,10 @@ Please try switching to another language or refreshing subtitles.
 
   /**
    * Clear all languages and cache
+   * @param {Object} options - Clear options
+   * @param {boolean} options.keepLocal - Keep tracks loaded from local files
    */
-  clearAllLanguages() {
+  clearAllLanguages({ keepLocal = false } = {}) {
     console.log('🗑️ Clearing all languages and cache');
 
     // Stop all synchronizers
@@ -722,9 +871,15 @@ Please try switching to another language or refreshing subtitles.
     }
     this.synchronizers.clear();
     this.activeSynchronizer = null;
+    this.secondarySynchronizer = null;
+    this.secondaryLanguage = null;
 
     // Clear data
-    this.availableLanguages.clear();
+    for (const [langCode, data] of this.availableLanguages) {
+      if (!keepLocal || !data.local) {
+        this.availableLanguages.delete(langCode);
+      }
+    }
     this.cachedSubtitles.clear();
     this.activeLanguage = null;
 
@@ -773,7 +928,7 @@ Please try switching to another language or refreshing subtitles.
     
     // Clean up unused synchronizers
     for (const [langCode, synchronizer] of this.synchronizers) {
-      if (langCode !== this.activeLanguage && !synchronizer.isActive) {
+      if (langCode !== this.activeLanguage && langCode !== this.secondaryLanguage && !synchronizer.isActive) {
         synchronizer.destroy();
         this.synchronizers.delete(langCode);
         console.log('🗑️ Cleaned up unused synchronizer:', langCode);
@@ -0,0 +1,88 @@
+/**
+ * Recent Search History
+ *
+ * Keeps the last few search queries in local storage for the search bar
+ * dropdown. Newest first; repeating a query moves it back to the top.
+ */
+
+const STORAGE_KEY = 'flyx_recent_searches';
+const MAX_RECENT_SEARCHES = 8;
+
+const hasStorage = () => typeof window !== 'undefined' && !!window.localStorage;
+
+const normalizeQuery = (query) => (typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : '');
+
+/**
+ * Get recent searches, newest first
+ */
+export const getRecentSearches = () => {
+  if (!hasStorage()) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(query => typeof query === 'string' && query) : [];
+  } catch (error) {
+    console.error('❌ Error reading recent searches:', error);
+    return [];
+  }
+};
+
+const saveRecentSearches = (searches) => {
+  if (!hasStorage()) {
+    return false;
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving recent searches:', error);
+    return false;
+  }
+};
+
+/**
+ * Add a query to the top of the history, replacing earlier entries that
+ * differ only in case or spacing. Returns the updated list.
+ */
+export const addRecentSearch = (query) => {
+  const normalized = normalizeQuery(query);
+  if (!normalized) {
+    return getRecentSearches();
+  }
+
+  const searches = [
+    normalized,
+    ...getRecentSearches().filter(existing => existing.toLowerCase() !== normalized.toLowerCase())
+  ].slice(0, MAX_RECENT_SEARCHES);
+
+  saveRecentSearches(searches);
+  return searches;
+};
+
+/**
+ * Remove one query from the history. Returns the updated list.
+ */
+export const removeRecentSearch = (query) => {
+  const normalized = normalizeQuery(query).toLowerCase();
+  const searches = getRecentSearches().filter(existing => existing.toLowerCase() !== normalized);
+
+  saveRecentSearches(searches);
+  return searches;
+};
+
+export const clearRecentSearches = () => {
+  if (!hasStorage()) {
+    return false;
+  }
+
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+    return true;
+  } catch (error) {
+    console.error('❌ Error clearing recent searches:', error);
+    return false;
+  }
+};
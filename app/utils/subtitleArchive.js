@@ -0,0 +1,193 @@
+/**
+ * Subtitle archives
+ *
+ * Unpacks .gz and .zip subtitle files down to the subtitle they contain.
+ * Used in the browser for local files and by /api/subtitles/download, so it
+ * must not depend on client-only code.
+ */
+
+export const SUBTITLE_FILE_EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa'];
+export const ARCHIVE_FILE_EXTENSIONS = ['zip', 'gz'];
+
+// Inflating stops past this size, so a small archive can't expand without bound
+export const MAX_UNPACKED_SUBTITLE_SIZE = 10 * 1024 * 1024;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+/**
+ * Lower-case extension of a file name
+ * @param {string} fileName - File name
+ * @returns {string} Extension without the dot, or an empty string
+ */
+export function getSubtitleFileExtension(fileName = '') {
+  const match = fileName.toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : '';
+}
+
+const isGzip = (bytes) => bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+const isZip = (bytes) => bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+
+/**
+ * Inflate gzip or raw deflate data, giving up once the output passes the limit
+ * @param {Uint8Array} bytes - Compressed data
+ * @param {'gzip'|'deflate-raw'} format - Compression format
+ * @param {string} fileName - Name of the file, for error messages
+ * @returns {Promise<Uint8Array>} Decompressed data
+ */
+async function decompress(bytes, format, fileName) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Compressed subtitle files can\'t be unpacked in this browser');
+  }
+
+  const stream = new DecompressionStream(format);
+  const writer = stream.writable.getWriter();
+  // Both settle with the read loop below; a cancelled read rejects them
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const chunks = [];
+  let length = 0;
+  const reader = stream.readable.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.length;
+    if (length > MAX_UNPACKED_SUBTITLE_SIZE) {
+      await reader.cancel();
+      throw new Error(`${fileName} unpacks to more than a subtitle file can hold`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * List the files in a zip archive from its central directory
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {Array<{name: string, method: number, encrypted: boolean, compressedSize: number, localHeaderOffset: number}>}
+ */
+export function listZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-directory record sits in the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+    if (view.getUint32(offset, true) === ZIP_END_OF_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('This zip archive is damaged or incomplete');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder('utf-8');
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) {
+      throw new Error('This zip archive is damaged or incomplete');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+
+    entries.push({
+      name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      encrypted: (view.getUint16(offset + 8, true) & 0x1) !== 0,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read one file out of a zip archive (stored or deflated)
+ * @param {Uint8Array} bytes - Archive contents
+ * @param {Object} entry - Entry from listZipEntries
+ * @returns {Promise<Uint8Array>} File contents
+ */
+export async function readZipEntry(bytes, entry) {
+  if (entry.encrypted) {
+    throw new Error(`${entry.name} is password protected`);
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerOffset = entry.localHeaderOffset;
+  if (view.getUint32(headerOffset, true) !== ZIP_LOCAL_HEADER) {
+    throw new Error('This zip archive is damaged or incomplete');
+  }
+
+  // The local header has its own name and extra field lengths
+  const dataOffset = headerOffset + 30 +
+    view.getUint16(headerOffset + 26, true) +
+    view.getUint16(headerOffset + 28, true);
+  const data = bytes.subarray(dataOffset, dataOffset + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return decompress(data, 'deflate-raw', entry.name);
+  throw new Error(`${entry.name} uses an unsupported zip compression method`);
+}
+
+/**
+ * Pick the subtitle file out of a zip archive
+ * @param {Array} entries - Entries from listZipEntries
+ * @returns {Object|null} First subtitle entry, skipping folders and macOS metadata
+ */
+export function findSubtitleEntry(entries) {
+  return entries.find(entry => (
+    !entry.name.endsWith('/') &&
+    !entry.name.startsWith('__MACOSX/') &&
+    !entry.name.split('/').pop().startsWith('.') &&
+    SUBTITLE_FILE_EXTENSIONS.includes(getSubtitleFileExtension(entry.name))
+  )) || null;
+}
+
+/**
+ * Unpack archives down to the subtitle file they contain. A file is gunzipped
+ * at most once; a zip (also inside the gzip) gives up its first subtitle.
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} fileName - Name of the file
+ * @returns {Promise<{bytes: Uint8Array, fileName: string}>} Subtitle file contents
+ */
+export async function unpackSubtitleFile(bytes, fileName) {
+  let contents = bytes;
+  let name = fileName;
+
+  if (isGzip(contents)) {
+    contents = await decompress(contents, 'gzip', fileName);
+    name = name.replace(/\.gz$/i, '');
+    if (isGzip(contents)) {
+      throw new Error(`${fileName} is gzipped more than once`);
+    }
+  }
+
+  if (isZip(contents)) {
+    const entry = findSubtitleEntry(listZipEntries(contents));
+    if (!entry) {
+      throw new Error(`No .srt, .vtt or .ass file found in ${fileName}`);
+    }
+    return { bytes: await readZipEntry(contents, entry), fileName: entry.name.split('/').pop() };
+  }
+
+  return { bytes: contents, fileName: name };
+}
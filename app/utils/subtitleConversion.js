@@ -0,0 +1,206 @@
+/**
+ * Subtitle conversion
+ *
+ * Turns decoded SRT and ASS/SSA text into WebVTT. Used in the browser for
+ * local files and by /api/subtitles/download, so it must not depend on
+ * client-only code.
+ */
+
+import { assToVTT, isASSContent, parseASS } from './assParser';
+import { getSubtitleFileExtension } from './subtitleArchive';
+
+// Simple fallback SRT to VTT conversion
+function convertSrtToVttSimple(srtContent) {
+  console.log('🔄 Using simple SRT to VTT conversion fallback');
+  
+  try {
+    let vttContent = 'WEBVTT\n';
+    vttContent += 'NOTE Simple conversion fallback\n\n';
+    
+    // Clean and normalize content
+    let cleanContent = srtContent
+      .replace(/\r\n/g, '\n')
+      .replace(/\r/g, '\n')
+      .trim();
+    
+    // Simple approach: fix timestamps and remove sequence numbers at start of lines
+    cleanContent = cleanContent
+      .replace(/(\d{2}):(\d{2}):(\d{2}),(\d{3})/g, '$1:$2:$3.$4')  // Fix timestamps
+      .replace(/^\d+\n/gm, '')  // Remove sequence numbers at start of lines
+      .replace(/\n\n\n+/g, '\n\n')  // Clean up extra newlines
+      .trim();
+    
+    vttContent += cleanContent;
+    
+    // Ensure proper ending
+    if (!vttContent.endsWith('\n')) {
+      vttContent += '\n';
+    }
+    
+    console.log('✅ Simple conversion completed:', {
+      finalLength: vttContent.length,
+      startsWithWebVTT: vttContent.startsWith('WEBVTT')
+    });
+    
+    return vttContent;
+    
+  } catch (error) {
+    console.error('❌ Simple conversion also failed:', error);
+    // Ultra-simple fallback
+    return `WEBVTT\nNOTE Conversion failed\n\n00:00:01.000 --> 00:00:05.000\nSubtitle conversion error occurred\n`;
+  }
+}
+
+/**
+ * Convert SRT to WebVTT, dropping blocks without a valid timestamp
+ * @param {string} srtContent - SRT text
+ * @returns {string} WebVTT text
+ */
+export function convertSrtToVtt(srtContent) {
+  try {
+    let vttContent = 'WEBVTT\n';
+    vttContent += 'NOTE Generated by Flyx subtitle service\n\n';
+    
+    // Clean up the content first
+    let cleanContent = srtContent
+      .replace(/\r\n/g, '\n')  // Normalize line endings
+      .replace(/\r/g, '\n')    // Handle old Mac line endings
+      .trim();
+    
+    // Split into subtitle blocks - be more permissive with splitting
+    const blocks = cleanContent.split(/\n\s*\n/);
+    console.log(`🔍 Processing ${blocks.length} subtitle blocks`);
+    
+    const processedBlocks = [];
+    let validBlockCount = 0;
+    
+    blocks.forEach((block, blockIndex) => {
+      const lines = block.trim().split('\n');
+      if (lines.length < 2) {
+        console.log(`⚠️ Skipping block ${blockIndex}: too few lines (${lines.length})`);
+        return; // Skip blocks with too few lines
+      }
+      
+      // Find the timestamp line (might not always be the second line)
+      let timestampLineIndex = -1;
+      let timestampLine = '';
+      
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (/\d{2}:\d{2}:\d{2}[,.]\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}[,.]\d{3}/.test(line)) {
+          timestampLineIndex = i;
+          timestampLine = line;
+          break;
+        }
+      }
+      
+      if (timestampLineIndex === -1) {
+        console.log(`⚠️ Skipping block ${blockIndex}: no valid timestamp found`);
+        return;
+      }
+      
+      // Convert SRT timestamp format to VTT format
+      // SRT: 00:01:30,500 --> 00:01:33,400
+      // VTT: 00:01:30.500 --> 00:01:33.400
+      const vttTimestamp = timestampLine.replace(/(\d{2}):(\d{2}):(\d{2}),(\d{3})/g, '$1:$2:$3.$4');
+      
+      // Validate VTT timestamp format
+      if (!/\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{3}/.test(vttTimestamp)) {
+        console.warn(`⚠️ Invalid VTT timestamp format in block ${blockIndex}:`, vttTimestamp);
+        return;
+      }
+      
+      // Get subtitle text (everything after the timestamp line)
+      const textLines = lines.slice(timestampLineIndex + 1);
+      const subtitleText = textLines.join('\n').trim();
+      
+      if (!subtitleText) {
+        console.log(`⚠️ Skipping block ${blockIndex}: empty subtitle text`);
+        return;
+      }
+      
+      // Clean up subtitle text (remove some common SRT formatting that doesn't work in VTT)
+      let cleanedText = subtitleText
+        .replace(/{[^}]*}/g, '')  // Remove SRT formatting tags like {y:i}
+        .replace(/\\N/g, '\n')    // Replace \N with actual line breaks
+        .replace(/<font[^>]*>/gi, '') // Remove font tags
+        .replace(/<\/font>/gi, '') // Remove closing font tags
+        .replace(/^\s*$\n/gm, '') // Remove empty lines
+        .trim();
+      
+      // Add cue identifier for better tracking
+      const cueId = `cue-${validBlockCount + 1}`;
+      
+      // Build VTT cue
+      const vttCue = `${cueId}\n${vttTimestamp}\n${cleanedText}`;
+      processedBlocks.push(vttCue);
+      validBlockCount++;
+      
+      if (blockIndex < 3) { // Log first few for debugging
+        console.log(`✅ Processed block ${blockIndex}:`, {
+          cueId,
+          timestamp: vttTimestamp,
+          textLength: cleanedText.length,
+          textPreview: cleanedText.substring(0, 50) + (cleanedText.length > 50 ? '...' : '')
+        });
+      }
+    });
+    
+    if (processedBlocks.length === 0) {
+      console.error('❌ No valid subtitle blocks found after processing');
+      // Fallback to simple conversion
+      return convertSrtToVttSimple(srtContent);
+    }
+    
+    vttContent += processedBlocks.join('\n\n');
+    
+    // Ensure proper ending
+    if (!vttContent.endsWith('\n')) {
+      vttContent += '\n';
+    }
+    
+    console.log('🔄 SRT to VTT conversion completed:', {
+      originalBlocks: blocks.length,
+      processedBlocks: processedBlocks.length,
+      validBlocks: validBlockCount,
+      finalLength: vttContent.length,
+      startsWithWebVTT: vttContent.startsWith('WEBVTT'),
+      hasNote: vttContent.includes('NOTE'),
+      firstCuePreview: processedBlocks[0] ? processedBlocks[0].substring(0, 100) + '...' : 'none'
+    });
+    
+    // Show first 400 characters of VTT content for debugging
+    console.log('📄 VTT Content (first 400 chars):\n' + vttContent.substring(0, 400) + '\n[...truncated...]');
+    
+    return vttContent;
+    
+  } catch (error) {
+    console.error('❌ Error converting SRT to VTT:', error);
+    // Fallback to simple conversion
+    return convertSrtToVttSimple(srtContent);
+  }
+}
+
+/**
+ * Convert decoded subtitle text to WebVTT
+ * @param {string} text - Subtitle text
+ * @param {string} fileName - Name of the file, used when the content is ambiguous
+ * @returns {{ vtt: string, ass: string|null, format: string }} WebVTT plus the original ASS script
+ */
+export function convertSubtitleText(text, fileName = '') {
+  const content = text.replace(/^\uFEFF/, '');
+  const extension = getSubtitleFileExtension(fileName);
+
+  if (/^WEBVTT/.test(content.trimStart())) {
+    return { vtt: content, ass: null, format: 'vtt' };
+  }
+
+  if (isASSContent(content) || extension === 'ass' || extension === 'ssa') {
+    const assTrack = parseASS(content);
+    if (assTrack.cues.length > 0) {
+      return { vtt: assToVTT(assTrack), ass: content, format: assTrack.metadata.format };
+    }
+  }
+
+  return { vtt: convertSrtToVtt(content), ass: null, format: 'srt' };
+}
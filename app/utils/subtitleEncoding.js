@@ -0,0 +1,214 @@
+/**
+ * Subtitle text encoding detection
+ *
+ * Subtitle files are rarely UTF-8 across the board: older SRTs come in the
+ * Windows code page of their language, and some tools write UTF-16. This
+ * detects the encoding from the raw bytes and decodes them to a string.
+ *
+ * Detected: UTF-8, UTF-16 LE/BE (with or without BOM), Windows-1252,
+ * Windows-1251 (Cyrillic), Windows-1253 (Greek), Windows-1256 (Arabic) and
+ * Shift-JIS. An encoding announced by the source, such as OpenSubtitles'
+ * SubEncoding, is used when the bytes agree with it, which also covers the
+ * code pages the heuristics can't tell apart (ISO-8859-7, Windows-1250...).
+ */
+
+// Bytes inspected for the UTF-16 heuristic
+const UTF16_SAMPLE_SIZE = 4096;
+
+// Share of letters that must be non-ASCII before a single-byte text is read
+// as a non-Latin script rather than Western European with accents
+const NON_LATIN_LETTER_SHARE = 0.3;
+
+// Share of non-ASCII characters that must be Japanese for Shift-JIS to win
+const JAPANESE_CHAR_SHARE = 0.7;
+
+const JAPANESE_CHAR_PATTERN = /[\u3000-\u30ff\u4e00-\u9fff\uff01-\uff5e]/g;
+const ASCII_LETTER_PATTERN = /[a-z]/gi;
+const NON_ASCII_PATTERN = /[^\x00-\x7f]/g;
+
+// Non-Latin code pages put letters in the same byte range, so any of them
+// decodes the others to letters. The right one is the code page whose
+// decoding is made mostly of its language's most frequent letters.
+const SCRIPT_CODE_PAGES = [
+  { encoding: 'windows-1251', script: 'cyrillic', commonLetters: /[\u043e\u0435\u0430\u0438\u043d\u0442\u0441\u0440\u0432\u043b]/gi },
+  { encoding: 'windows-1253', script: 'greek', commonLetters: /[\u03b1\u03bf\u03b9\u03b5\u03c4\u03bd\u03c3\u03c2\u03ba\u03c5\u03c1\u03bc\u03c0\u03b7]/gi },
+  { encoding: 'windows-1256', script: 'arabic', commonLetters: /[\u0627\u0644\u064a\u0645\u0648\u0646\u0647\u0631\u062a\u0628\u0639\u0623]/g }
+];
+
+// Script of the encodings a source may announce; others can't be checked
+const ENCODING_SCRIPTS = {
+  'windows-1251': 'cyrillic',
+  'iso-8859-5': 'cyrillic',
+  'koi8-r': 'cyrillic',
+  'koi8-u': 'cyrillic',
+  'ibm866': 'cyrillic',
+  'windows-1253': 'greek',
+  'iso-8859-7': 'greek',
+  'windows-1256': 'arabic',
+  'iso-8859-6': 'arabic',
+  'shift_jis': 'japanese',
+  'euc-jp': 'japanese',
+  'iso-2022-jp': 'japanese',
+  'windows-1250': 'latin',
+  'windows-1252': 'latin',
+  'windows-1254': 'latin',
+  'windows-1257': 'latin',
+  'iso-8859-2': 'latin',
+  'iso-8859-3': 'latin',
+  'iso-8859-4': 'latin',
+  'iso-8859-10': 'latin',
+  'iso-8859-13': 'latin',
+  'iso-8859-15': 'latin',
+  'iso-8859-16': 'latin'
+};
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Decode bytes, returning null when they are not valid in that encoding
+ */
+const tryDecode = (bytes, encoding) => {
+  try {
+    return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Encoding announced by a byte order mark
+ */
+const detectBOM = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return null;
+};
+
+/**
+ * UTF-16 without a BOM: mostly-ASCII text leaves every other byte zero
+ */
+const detectUTF16 = (bytes) => {
+  const length = Math.min(bytes.length, UTF16_SAMPLE_SIZE) & ~1;
+  if (length < 4) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+
+  const pairs = length / 2;
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+};
+
+/**
+ * Pick between the legacy code pages for bytes that aren't valid UTF-8
+ * @returns {{ encoding: string, script: string }} Best code page and its script
+ */
+const detectLegacyEncoding = (bytes) => {
+  const shiftJis = tryDecode(bytes, 'shift_jis');
+  if (shiftJis) {
+    const nonAscii = countMatches(shiftJis, NON_ASCII_PATTERN);
+    if (nonAscii > 0 && countMatches(shiftJis, JAPANESE_CHAR_PATTERN) / nonAscii >= JAPANESE_CHAR_SHARE) {
+      return { encoding: 'shift_jis', script: 'japanese' };
+    }
+  }
+
+  // Single-byte code pages put letters in the high bytes; Cyrillic, Greek
+  // and Arabic text is nearly all high bytes, Western European text only
+  // has the odd accent
+  let highLetters = 0;
+  bytes.forEach(byte => {
+    if (byte >= 0xc0) highLetters++;
+  });
+  const letters = highLetters + countMatches(new TextDecoder('windows-1252').decode(bytes), ASCII_LETTER_PATTERN);
+  if (letters === 0 || highLetters / letters < NON_LATIN_LETTER_SHARE) {
+    return { encoding: 'windows-1252', script: 'latin' };
+  }
+
+  let best = null;
+  let bestScore = -1;
+  SCRIPT_CODE_PAGES.forEach(codePage => {
+    // Bytes a code page leaves undefined rule it out
+    const text = tryDecode(bytes, codePage.encoding);
+    if (text === null) return;
+
+    const score = countMatches(text, codePage.commonLetters) / Math.max(1, countMatches(text, NON_ASCII_PATTERN));
+    if (score > bestScore) {
+      best = codePage;
+      bestScore = score;
+    }
+  });
+
+  return best
+    ? { encoding: best.encoding, script: best.script }
+    : { encoding: 'windows-1252', script: 'latin' };
+};
+
+/**
+ * Turn an announced encoding ("CP1251", "ISO-8859-7", "UTF-8"...) into a
+ * WHATWG encoding name; null for unknown names and Unicode encodings, which
+ * the byte checks already recognise
+ */
+const normalizeEncodingHint = (hint) => {
+  if (!hint || typeof hint !== 'string') return null;
+
+  try {
+    const { encoding } = new TextDecoder(hint.trim());
+    return encoding.startsWith('utf-') ? null : encoding;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Detect the text encoding of subtitle bytes
+ * @param {Uint8Array|ArrayBuffer} input - Raw file contents
+ * @param {Object} options - Detection options
+ * @param {string} options.hint - Encoding announced by the source, e.g. OpenSubtitles' SubEncoding
+ * @returns {string} WHATWG encoding label
+ */
+export function detectSubtitleEncoding(input, { hint } = {}) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+
+  const bomEncoding = detectBOM(bytes);
+  if (bomEncoding) return bomEncoding;
+
+  const utf16Encoding = detectUTF16(bytes);
+  if (utf16Encoding) return utf16Encoding;
+
+  if (tryDecode(bytes, 'utf-8') !== null) return 'utf-8';
+
+  const detected = detectLegacyEncoding(bytes);
+
+  // The hint picks between code pages of one script (ISO-8859-7 or
+  // Windows-1253, Central or Western European), but a hint naming another
+  // script than the bytes show is a mislabelled upload
+  const hinted = normalizeEncodingHint(hint);
+  if (hinted && tryDecode(bytes, hinted) !== null) {
+    const hintedScript = ENCODING_SCRIPTS[hinted];
+    if (!hintedScript || hintedScript === detected.script) return hinted;
+  }
+
+  return detected.encoding;
+}
+
+/**
+ * Decode subtitle bytes to text in their detected encoding
+ * @param {Uint8Array|ArrayBuffer} input - Raw file contents
+ * @param {Object} options - Options for detectSubtitleEncoding
+ * @returns {{ text: string, encoding: string }} Decoded text without BOM
+ */
+export function decodeSubtitleBytes(input, options = {}) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const encoding = detectSubtitleEncoding(bytes, options);
+
+  return {
+    text: new TextDecoder(encoding).decode(bytes),
+    encoding
+  };
+}
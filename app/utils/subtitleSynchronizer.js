@@ -4,6 +4,7 @@
  */
 
 import { createSubtitleLogger } from './logging/SubtitleLogger.js';
+import { applySyncCorrection, IDENTITY_CORRECTION } from './audioSubtitleSync.js';
 
 /**
  * Subtitle synchronizer class for high-frequency updates and smooth transitions
@@ -20,6 +21,8 @@ export class SubtitleSynchronizer {
     };
 
     this.cues = [];
+    this.sourceCues = [];
+    this.timingCorrection = IDENTITY_CORRECTION;
     
     // Enhanced logging for subtitle synchronization
     this.logger = createSubtitleLogger(options.mediaId);
@@ -58,6 +61,9 @@ export class SubtitleSynchronizer {
       hasCallback: !!onSubtitleChange
     });
 
+    // A new file brings its own timing, so any previous correction is dropped
+    this.sourceCues = cues;
+    this.timingCorrection = IDENTITY_CORRECTION;
     this.cues = this.optimizeCues(cues);
     this.callbacks.onSubtitleChange = onSubtitleChange;
     this.buildCueCache();
@@ -69,6 +75,25 @@ export class SubtitleSynchronizer {
     });
   }
 
+  /**
+   * Retime the loaded cues onto the video timeline
+   * @param {Object} correction - { offset, scale } where videoTime = cueTime * scale + offset
+   */
+  setTimingCorrection(correction = IDENTITY_CORRECTION) {
+    this.timingCorrection = { ...IDENTITY_CORRECTION, ...correction };
+    this.cues = this.optimizeCues(applySyncCorrection(this.sourceCues, this.timingCorrection));
+    this.buildCueCache();
+
+    this.logger.info('Timing correction applied', this.timingCorrection);
+  }
+
+  /**
+   * @returns {Object} The correction currently applied to the cues
+   */
+  getTimingCorrection() {
+    return this.timingCorrection;
+  }
+
   /**
    * Start high-frequency subtitle synchronization
    */
@@ -262,7 +287,8 @@ export class SubtitleSynchronizer {
       this.nextCue = this.findNextCue(currentTime);
       
       // Calculate sync accuracy (assuming we're within 100ms tolerance)
-      const syncAccuracy = Math.abs(currentTime - newCue.start) * 1000; // Convert to ms
+      // Leaving a cue (newCue is null) still has to report the change so the text clears
+      const syncAccuracy = newCue ? Math.abs(currentTime - newCue.start) * 1000 : 0; // Convert to ms
       this.logger.logSyncUpdate(currentTime, newCue, this.nextCue, syncAccuracy);
       
       return true;
@@ -402,6 +428,7 @@ export class SubtitleSynchronizer {
   destroy() {
     this.stop();
     this.cues = [];
+    this.sourceCues = [];
     this.cueCache.clear();
     this.callbacks = {};
     this.logger.info('SubtitleSynchronizer destroyed');
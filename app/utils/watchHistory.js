@@ -0,0 +1,183 @@
+/**
+ * Watch History Rows
+ *
+ * Builds the home page's "Continue Watching" and "Recently Watched" rows from
+ * stored watch progress: one card per movie or show (its latest episode),
+ * TMDB metadata for the poster and episode name, a progress label and a link
+ * that resumes playback where it stopped.
+ */
+
+import {
+  getContinueWatching,
+  getRecentlyWatched
+} from '../components/UniversalMediaPlayer/utils/watchProgressStorage';
+
+export const WATCH_HISTORY_ROWS = {
+  CONTINUE_WATCHING: 'Continue Watching',
+  RECENTLY_WATCHED: 'Recently Watched'
+};
+
+const ROW_LIMITS = {
+  [WATCH_HISTORY_ROWS.CONTINUE_WATCHING]: 10,
+  [WATCH_HISTORY_ROWS.RECENTLY_WATCHED]: 20
+};
+
+// Progress entries read before collapsing episodes into one card per show
+const ENTRIES_PER_CARD = 5;
+
+// Seconds before the start or end where resuming isn't worth it
+const RESUME_MARGIN = 10;
+
+const titleKey = (entry) => `${entry.mediaType}_${entry.movieId}`;
+
+/**
+ * Keep the most recently watched entry of each movie or show
+ * @param {Array} entries - Progress entries, newest first
+ * @returns {Array} One entry per title
+ */
+export function latestPerTitle(entries = []) {
+  const seen = new Set();
+  return entries.filter(entry => {
+    const key = titleKey(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Progress entries for a home page row
+ * @param {string} row - One of WATCH_HISTORY_ROWS
+ * @returns {Array} Entries, newest first, one per title
+ */
+export function getWatchHistoryEntries(row) {
+  const limit = ROW_LIMITS[row] || 10;
+  const entries = row === WATCH_HISTORY_ROWS.CONTINUE_WATCHING
+    ? getContinueWatching(limit * ENTRIES_PER_CARD)
+    : getRecentlyWatched(limit * ENTRIES_PER_CARD);
+
+  return latestPerTitle(entries).slice(0, limit);
+}
+
+/**
+ * "S2E5" for an episode entry, null for movies
+ */
+export function getEpisodeCode(entry) {
+  if (entry.mediaType !== 'tv' || entry.seasonId == null || entry.episodeId == null) return null;
+  return `S${entry.seasonId}E${entry.episodeId}`;
+}
+
+/**
+ * Time left as shown on a card: "14 min left", "1 h 5 min left"
+ * @param {number} seconds - Seconds left
+ * @returns {string} Label
+ */
+export function formatTimeLeft(seconds) {
+  const minutes = Math.max(1, Math.round((seconds || 0) / 60));
+  if (minutes < 60) return `${minutes} min left`;
+
+  const hours = Math.floor(minutes / 60);
+  const remainingMinutes = minutes % 60;
+  return remainingMinutes > 0 ? `${hours} h ${remainingMinutes} min left` : `${hours} h left`;
+}
+
+/**
+ * Card label: "S2E5 · 14 min left", "Watched" for finished entries
+ * @param {Object} entry - Progress entry
+ * @returns {string} Label
+ */
+export function getWatchEntryLabel(entry) {
+  const status = entry.isCompleted
+    ? 'Watched'
+    : formatTimeLeft((entry.duration || 0) - (entry.currentTime || 0));
+
+  return [getEpisodeCode(entry), status].filter(Boolean).join(' \u00b7 ');
+}
+
+/**
+ * Link that opens the title and starts playback at the saved position
+ * @param {Object} entry - Progress entry
+ * @returns {string} Details page URL with the episode and start time
+ */
+export function getResumeUrl(entry) {
+  const params = new URLSearchParams({ type: entry.mediaType });
+  if (entry.mediaType === 'tv') {
+    params.set('season', String(entry.seasonId));
+    params.set('episode', String(entry.episodeId));
+  }
+
+  // Finished titles start over; near the end or the beginning as well
+  const time = Math.floor(entry.currentTime || 0);
+  const canResume = !entry.isCompleted && time >= RESUME_MARGIN && time < (entry.duration || 0) - RESUME_MARGIN;
+  params.set('t', String(canResume ? time : 0));
+
+  return `/details/${entry.movieId}?${params.toString()}`;
+}
+
+const defaultFetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Request failed: ${response.status}`);
+  }
+  return response.json();
+};
+
+// Fetch once per key; failed lookups are forgotten so they can be retried
+const cached = (cache, key, load) => {
+  if (!cache.has(key)) {
+    cache.set(key, load().catch(error => {
+      cache.delete(key);
+      throw error;
+    }));
+  }
+  return cache.get(key);
+};
+
+/**
+ * Add TMDB metadata to progress entries. Entries whose title can't be
+ * loaded are left out; a missing episode name just isn't shown.
+ * @param {Array} entries - Progress entries
+ * @param {Object} options - Hydration options
+ * @param {Function} options.fetchJson - Fetches a URL and returns its JSON
+ * @param {Map} options.cache - Lookups shared between calls
+ * @returns {Promise<Array>} Entries with title, posterPath, backdropPath, episodeName and stillPath
+ */
+export async function hydrateWatchEntries(entries = [], { fetchJson = defaultFetchJson, cache = new Map() } = {}) {
+  const hydrated = await Promise.all(entries.map(async (entry) => {
+    const isTv = entry.mediaType === 'tv';
+    const action = isTv ? 'getShowDetails' : 'getMovieDetails';
+
+    let details;
+    try {
+      details = await cached(cache, titleKey(entry), () => fetchJson(`/api/tmdb?action=${action}&movieId=${entry.movieId}`));
+    } catch (error) {
+      console.warn('⚠️ Could not load details for watch history entry:', entry.key, error.message);
+      return null;
+    }
+
+    let episode = null;
+    if (isTv && entry.seasonId != null) {
+      try {
+        const season = await cached(
+          cache,
+          `${titleKey(entry)}_s${entry.seasonId}`,
+          () => fetchJson(`/api/tmdb/tv/${entry.movieId}/season/${entry.seasonId}`)
+        );
+        episode = season.episodes?.find(item => item.episode_number === Number(entry.episodeId)) || null;
+      } catch (error) {
+        console.warn('⚠️ Could not load episode for watch history entry:', entry.key, error.message);
+      }
+    }
+
+    return {
+      ...entry,
+      title: details.title || details.name || 'Untitled',
+      posterPath: details.poster_path || null,
+      backdropPath: details.backdrop_path || null,
+      episodeName: episode?.name || null,
+      stillPath: episode?.still_path || null
+    };
+  }));
+
+  return hydrated.filter(Boolean);
+}
@@ -0,0 +1,584 @@
+/**
+ * Watch History Import/Export
+ *
+ * Moves watch progress in and out of Flyx as our own JSON backup, as
+ * Trakt-compatible JSON (the /sync/history body; Trakt's history and watched
+ * exports are read too) and as Letterboxd CSV (movies only).
+ *
+ * Importing runs in steps so the settings page can show what will happen:
+ * parseHistoryFile() reads the file, matchHistoryItems() maps each title to
+ * a TMDB ID through /api/tmdb (TMDB IDs as they are, IMDb IDs via
+ * findByImdbId, otherwise title and year via searchTitle),
+ * previewHistoryImport() compares the result with stored progress, and
+ * applyHistoryImport() merges the entries the user kept.
+ */
+
+import {
+  exportWatchProgress,
+  generateContentKey,
+  getAllWatchProgress,
+  importWatchProgress
+} from '../components/UniversalMediaPlayer/utils/watchProgressStorage';
+
+export const HISTORY_FORMATS = {
+  FLYX: 'flyx',
+  TRAKT: 'trakt',
+  LETTERBOXD: 'letterboxd'
+};
+
+// TMDB lookups running at once while matching
+const MATCH_CONCURRENCY = 4;
+
+// Seconds of difference below which two in-progress entries are the same
+const SAME_POSITION_MARGIN = 30;
+
+const KEY_PATTERN = /^(movie_\d+|tv_\d+_s\d+_e\d+)$/;
+
+const defaultFetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Request failed: ${response.status}`);
+  }
+  return response.json();
+};
+
+// Fetch once per key; failed lookups are forgotten so they can be retried
+const lookupOnce = (cache, key, load) => {
+  if (!cache.has(key)) {
+    cache.set(key, load().catch(error => {
+      cache.delete(key);
+      throw error;
+    }));
+  }
+  return cache.get(key);
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const toId = (value) => {
+  const id = parseInt(value, 10);
+  return Number.isFinite(id) && id > 0 ? id : null;
+};
+
+const normalizeTitle = (title) => String(title || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/&/g, 'and')
+  .replace(/[^a-z0-9]+/g, '');
+
+/**
+ * "Title (Year)" or "Title S1E2" for lists of matched and unmatched items
+ */
+export function describeHistoryItem(item) {
+  const title = item.title || (item.ids?.imdb) || (item.ids?.tmdb ? `TMDB ${item.ids.tmdb}` : 'Untitled');
+  const year = item.year ? ` (${item.year})` : '';
+  const episode = item.mediaType === 'tv' && item.seasonId != null ? ` S${item.seasonId}E${item.episodeId}` : '';
+  return `${title}${year}${episode}`;
+}
+
+// ===== CSV =====
+
+/**
+ * Parse CSV text into rows of strings: quoted fields, escaped quotes and
+ * line breaks inside quotes, CRLF line ends and a leading BOM
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\ufeff/, '');
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ===== Parsing =====
+
+/**
+ * Items in a Letterboxd export (watched.csv, diary.csv, ratings.csv) or a
+ * file in Letterboxd's import format (tmdbID, imdbID, Title, Year, WatchedDate)
+ */
+export function parseLetterboxdCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase().replace(/\s+/g, ''));
+  const column = (...names) => names.map(name => columns.indexOf(name)).find(index => index >= 0) ?? -1;
+  const at = (cells, index) => (index >= 0 ? (cells[index] || '').trim() : '');
+
+  const tmdbColumn = column('tmdbid');
+  const imdbColumn = column('imdbid');
+  const titleColumn = column('name', 'title');
+  const yearColumn = column('year');
+  // Diary rows have the day it was watched; the plain "Date" is when it was logged
+  const dateColumn = column('watcheddate', 'date');
+
+  return rows.map(cells => ({
+    mediaType: 'movie',
+    ids: { tmdb: toId(at(cells, tmdbColumn)), imdb: at(cells, imdbColumn) || null },
+    title: at(cells, titleColumn) || null,
+    year: toId(at(cells, yearColumn)),
+    watchedAt: toDate(at(cells, dateColumn))
+  }));
+}
+
+const traktIds = (ids = {}) => ({ tmdb: toId(ids.tmdb), imdb: ids.imdb || null });
+
+const traktShowItems = (show, seasons = [], fallbackDate = null) => seasons.flatMap(season => (season.episodes || []).map(episode => ({
+  mediaType: 'tv',
+  ids: traktIds(show.ids),
+  title: show.title || null,
+  year: show.year || null,
+  seasonId: season.number,
+  episodeId: episode.number,
+  watchedAt: toDate(episode.watched_at || episode.last_watched_at || fallbackDate)
+})));
+
+/**
+ * Items in Trakt JSON: a /sync/history body ({ movies, shows }), a history
+ * export (array of watch events) or a watched export (array of movies or
+ * shows with plays)
+ */
+export function parseTraktHistory(data) {
+  if (Array.isArray(data)) {
+    return data.flatMap(item => {
+      if (item.episode && item.show) {
+        return [{
+          mediaType: 'tv',
+          ids: traktIds(item.show.ids),
+          title: item.show.title || null,
+          year: item.show.year || null,
+          seasonId: item.episode.season,
+          episodeId: item.episode.number,
+          watchedAt: toDate(item.watched_at)
+        }];
+      }
+      if (item.show && item.seasons) {
+        return traktShowItems(item.show, item.seasons, item.last_watched_at);
+      }
+      if (item.movie) {
+        return [{
+          mediaType: 'movie',
+          ids: traktIds(item.movie.ids),
+          title: item.movie.title || null,
+          year: item.movie.year || null,
+          watchedAt: toDate(item.watched_at || item.last_watched_at)
+        }];
+      }
+      return [];
+    });
+  }
+
+  return [
+    ...(data.movies || []).map(movie => ({
+      mediaType: 'movie',
+      ids: traktIds(movie.ids),
+      title: movie.title || null,
+      year: movie.year || null,
+      watchedAt: toDate(movie.watched_at)
+    })),
+    ...(data.shows || []).flatMap(show => traktShowItems(show, show.seasons, show.watched_at))
+  ];
+}
+
+/**
+ * Items in one of our own backups; these already carry their entries
+ */
+export function parseFlyxHistory(data) {
+  return Object.entries(data.entries || {})
+    .filter(([key, entry]) => KEY_PATTERN.test(key) && entry && typeof entry === 'object')
+    .map(([, entry]) => ({
+      mediaType: entry.mediaType,
+      ids: { tmdb: toId(entry.movieId), imdb: null },
+      title: null,
+      year: null,
+      seasonId: entry.seasonId,
+      episodeId: entry.episodeId,
+      watchedAt: toDate(entry.lastWatched),
+      entry
+    }));
+}
+
+/**
+ * Read an exported history file in any supported format
+ * @param {string} text - File contents
+ * @returns {Object} { format, items }
+ * @throws {Error} When the format isn't recognized
+ */
+export function parseHistoryFile(text) {
+  const trimmed = String(text || '').replace(/^\ufeff/, '').trim();
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`The file isn't valid JSON: ${error.message}`);
+    }
+
+    if (data && !Array.isArray(data) && data.entries) {
+      return { format: HISTORY_FORMATS.FLYX, items: parseFlyxHistory(data) };
+    }
+    if (Array.isArray(data) || data?.movies || data?.shows) {
+      return { format: HISTORY_FORMATS.TRAKT, items: parseTraktHistory(data) };
+    }
+    throw new Error('Unrecognized JSON: expected a Flyx backup or Trakt history');
+  }
+
+  const header = parseCsv(trimmed.split(/\r?\n/, 1)[0])[0] || [];
+  if (header.some(name => /^(name|title|tmdbid|imdbid)$/i.test(name.trim()))) {
+    return { format: HISTORY_FORMATS.LETTERBOXD, items: parseLetterboxdCsv(trimmed) };
+  }
+  throw new Error('Unrecognized file: expected JSON or a Letterboxd CSV export');
+}
+
+// ===== Matching =====
+
+const yearOf = (result) => result.year ?? null;
+
+// Best search result for a title: same title and year, then same title within a
+// year (release dates differ between sites), then the top result of the year
+const pickTitleMatch = (results, title, year) => {
+  const wanted = normalizeTitle(title);
+  const sameTitle = results.filter(result => normalizeTitle(result.title) === wanted);
+
+  return (year && sameTitle.find(result => yearOf(result) === year))
+    || (year ? sameTitle.find(result => Math.abs((yearOf(result) || 0) - year) <= 1) : sameTitle[0])
+    || (year && results.find(result => yearOf(result) === year))
+    || null;
+};
+
+// Season 0 holds specials; episodes start at 1
+const hasEpisodeNumbers = (item) => item.seasonId != null
+  && Number.isInteger(Number(item.seasonId))
+  && Number(item.seasonId) >= 0
+  && toId(item.episodeId) !== null;
+
+const matchHistoryItem = async (item, { fetchJson, cache }) => {
+  if (item.ids?.tmdb) {
+    return { movieId: item.ids.tmdb };
+  }
+
+  if (item.ids?.imdb) {
+    const data = await lookupOnce(cache, `imdb_${item.ids.imdb}`, () => fetchJson(
+      `/api/tmdb?action=findByImdbId&imdbId=${encodeURIComponent(item.ids.imdb)}`
+    ));
+    const result = (data.results || []).find(candidate => candidate.media_type === item.mediaType);
+    if (result) return { movieId: result.id };
+    if (!item.title) return { reason: `No TMDB title with IMDb ID ${item.ids.imdb}` };
+  }
+
+  if (!item.title) {
+    return { reason: 'No ID or title to match' };
+  }
+
+  const search = (year) => lookupOnce(cache, `title_${item.mediaType}_${normalizeTitle(item.title)}_${year || ''}`, () => {
+    const params = new URLSearchParams({ action: 'searchTitle', mediaType: item.mediaType, query: item.title });
+    if (year) params.set('year', String(year));
+    return fetchJson(`/api/tmdb?${params.toString()}`);
+  });
+
+  let match = pickTitleMatch((await search(item.year)).results || [], item.title, item.year);
+  if (!match && item.year) {
+    match = pickTitleMatch((await search(null)).results || [], item.title, item.year);
+  }
+  return match ? { movieId: match.id } : { reason: 'No TMDB match for this title and year' };
+};
+
+/**
+ * Map parsed items to TMDB IDs
+ * @param {Array} items - Items from parseHistoryFile
+ * @param {Object} options - Matching options
+ * @param {Function} options.fetchJson - Fetches a URL and returns its JSON
+ * @param {Map} options.cache - Lookups shared between calls
+ * @param {Function} options.onProgress - Called with (done, total)
+ * @returns {Promise<Object>} { matched: [{ item, movieId }], unmatched: [{ item, reason }] }
+ */
+export async function matchHistoryItems(items = [], { fetchJson = defaultFetchJson, cache = new Map(), onProgress } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+
+      if (item.mediaType === 'tv' && !hasEpisodeNumbers(item)) {
+        results[index] = { item, reason: 'Missing season or episode number' };
+      } else {
+        try {
+          results[index] = { item, ...(await matchHistoryItem(item, { fetchJson, cache })) };
+        } catch (error) {
+          console.warn('⚠️ Could not match imported title:', describeHistoryItem(item), error.message);
+          results[index] = { item, reason: `Lookup failed: ${error.message}` };
+        }
+      }
+
+      done++;
+      onProgress?.(done, items.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(MATCH_CONCURRENCY, items.length) }, worker));
+
+  return {
+    matched: results.filter(result => result.movieId).map(({ item, movieId }) => ({ item, movieId })),
+    unmatched: results.filter(result => !result.movieId).map(({ item, reason }) => ({ item, reason }))
+  };
+}
+
+/**
+ * Progress entry for a title watched elsewhere: finished, with the date it was watched
+ */
+export function createImportedEntry({ mediaType, movieId, seasonId = null, episodeId = null, watchedAt, watchCount = 1 }) {
+  const watched = watchedAt || new Date().toISOString();
+  return {
+    mediaType,
+    movieId,
+    seasonId: mediaType === 'tv' ? Number(seasonId) : null,
+    episodeId: mediaType === 'tv' ? Number(episodeId) : null,
+    currentTime: 0,
+    duration: 0,
+    progress: 1,
+    isStarted: true,
+    isCompleted: true,
+    lastWatched: watched,
+    createdAt: watched,
+    updatedAt: watched,
+    watchCount,
+    resumeCount: 0,
+    completedAt: watched,
+    dismissedAt: null
+  };
+}
+
+/**
+ * Progress entries for matched items, one per movie or episode; rewatches
+ * count as plays and the latest one is kept
+ * @returns {Object} Entries by content key
+ */
+export function buildImportEntries(matched = []) {
+  const entries = {};
+
+  matched.forEach(({ item, movieId }) => {
+    if (item.entry) {
+      // Our own backups keep everything, keyed by the ID they were saved under
+      entries[generateContentKey(item.mediaType, movieId, item.seasonId, item.episodeId)] = { ...item.entry, movieId };
+      return;
+    }
+
+    const key = generateContentKey(item.mediaType, movieId, item.seasonId, item.episodeId);
+    const existing = entries[key];
+    const entry = createImportedEntry({ ...item, movieId });
+
+    entries[key] = existing
+      ? {
+        ...(new Date(entry.lastWatched) > new Date(existing.lastWatched) ? entry : existing),
+        watchCount: existing.watchCount + 1
+      }
+      : entry;
+  });
+
+  return entries;
+}
+
+// Whether an imported entry says something different about a title than the stored one
+const differs = (existing, incoming) => {
+  if (Boolean(existing.isCompleted) !== Boolean(incoming.isCompleted)) return true;
+  if (existing.isCompleted) return false;
+  return Math.abs((existing.currentTime || 0) - (incoming.currentTime || 0)) > SAME_POSITION_MARGIN;
+};
+
+/**
+ * Compare imported entries with stored progress
+ * @param {Object} incoming - Entries by key, from buildImportEntries
+ * @param {Object} existing - Stored entries by key
+ * @returns {Object} { added, unchanged, conflicts }: keys, keys, and
+ * [{ key, existing, incoming, useImported }] where useImported defaults to
+ * whichever was watched last
+ */
+export function previewHistoryImport(incoming = {}, existing = getAllWatchProgress().entries) {
+  const preview = { added: [], unchanged: [], conflicts: [] };
+
+  Object.entries(incoming).forEach(([key, entry]) => {
+    const current = existing[key];
+    if (!current) {
+      preview.added.push(key);
+    } else if (!differs(current, entry)) {
+      preview.unchanged.push(key);
+    } else {
+      preview.conflicts.push({
+        key,
+        existing: current,
+        incoming: entry,
+        useImported: new Date(entry.lastWatched) > new Date(current.lastWatched)
+      });
+    }
+  });
+
+  return preview;
+}
+
+/**
+ * Merge the new entries and the conflicts resolved in favour of the import.
+ * Merged entries are stamped as updated now, so sync carries them to other devices.
+ * @param {Object} incoming - Entries by key
+ * @param {Object} preview - From previewHistoryImport, with the user's useImported choices
+ * @returns {number} Entries written, or -1 when saving failed
+ */
+export function applyHistoryImport(incoming, preview) {
+  const updatedAt = new Date().toISOString();
+  const keys = [
+    ...preview.added,
+    ...preview.conflicts.filter(conflict => conflict.useImported).map(conflict => conflict.key)
+  ];
+  if (keys.length === 0) return 0;
+
+  const entries = Object.fromEntries(keys.map(key => [key, { ...incoming[key], updatedAt }]));
+  const saved = importWatchProgress(JSON.stringify({ entries }), true);
+  console.log(`📥 Imported ${keys.length} watch history entries`);
+  return saved ? keys.length : -1;
+}
+
+// ===== Export =====
+
+const watchedDate = (entry) => entry.completedAt || entry.lastWatched;
+
+/**
+ * Finished titles as a Trakt /sync/history body
+ * @param {Object} entries - Stored entries by key
+ */
+export function buildTraktHistory(entries = {}) {
+  const finished = Object.values(entries).filter(entry => entry.isCompleted);
+  const shows = new Map();
+
+  finished
+    .filter(entry => entry.mediaType === 'tv')
+    .forEach(entry => {
+      const showId = toId(entry.movieId);
+      if (!shows.has(showId)) shows.set(showId, new Map());
+      const seasons = shows.get(showId);
+      const seasonNumber = Number(entry.seasonId);
+      if (!seasons.has(seasonNumber)) seasons.set(seasonNumber, []);
+      seasons.get(seasonNumber).push({ number: Number(entry.episodeId), watched_at: watchedDate(entry) });
+    });
+
+  return {
+    movies: finished
+      .filter(entry => entry.mediaType === 'movie')
+      .map(entry => ({ watched_at: watchedDate(entry), ids: { tmdb: toId(entry.movieId) } })),
+    shows: [...shows.entries()].map(([showId, seasons]) => ({
+      ids: { tmdb: showId },
+      seasons: [...seasons.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([number, episodes]) => ({ number, episodes: episodes.sort((a, b) => a.number - b.number) }))
+    }))
+  };
+}
+
+/**
+ * Finished movies in Letterboxd's import format. Letterboxd matches on
+ * tmdbID; title and year are there for people reading the file.
+ * @param {Object} entries - Stored entries by key
+ * @param {Object} options - { fetchJson, cache } for the titles
+ * @returns {Promise<string>} CSV text
+ */
+export async function buildLetterboxdCsv(entries = {}, { fetchJson = defaultFetchJson, cache = new Map() } = {}) {
+  const movies = Object.values(entries)
+    .filter(entry => entry.mediaType === 'movie' && entry.isCompleted)
+    .sort((a, b) => new Date(watchedDate(a)) - new Date(watchedDate(b)));
+
+  const rows = await Promise.all(movies.map(async (entry) => {
+    let details = {};
+    try {
+      details = await lookupOnce(cache, `movie_${entry.movieId}`, () => fetchJson(`/api/tmdb?action=getMovieDetails&movieId=${entry.movieId}`));
+    } catch (error) {
+      console.warn('⚠️ Could not load title for export:', entry.movieId, error.message);
+    }
+
+    return [
+      entry.movieId,
+      details.title || '',
+      details.release_date ? details.release_date.substring(0, 4) : '',
+      (watchedDate(entry) || '').substring(0, 10),
+      entry.watchCount > 1 ? 'true' : 'false'
+    ];
+  }));
+
+  return [['tmdbID', 'Title', 'Year', 'WatchedDate', 'Rewatch'], ...rows]
+    .map(cells => cells.map(csvField).join(','))
+    .join('\n');
+}
+
+/**
+ * Export stored history in a format
+ * @param {string} format - One of HISTORY_FORMATS
+ * @returns {Promise<Object>} { filename, mimeType, content }
+ */
+export async function exportHistory(format, options = {}) {
+  const date = new Date().toISOString().substring(0, 10);
+  const { entries } = getAllWatchProgress();
+
+  switch (format) {
+    case HISTORY_FORMATS.TRAKT:
+      return {
+        filename: `flyx-trakt-history-${date}.json`,
+        mimeType: 'application/json',
+        content: JSON.stringify(buildTraktHistory(entries), null, 2)
+      };
+    case HISTORY_FORMATS.LETTERBOXD:
+      return {
+        filename: `flyx-letterboxd-${date}.csv`,
+        mimeType: 'text/csv',
+        content: await buildLetterboxdCsv(entries, options)
+      };
+    default:
+      return {
+        filename: `flyx-watch-history-${date}.json`,
+        mimeType: 'application/json',
+        content: exportWatchProgress()
+      };
+  }
+}